@@ -0,0 +1,201 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ResourceRegistry
+ * @notice On-chain registry of digital resource DIDs for the Decentralized Digital
+ *         Resource Integrated ID System. Stores the metadata hash, the off-chain
+ *         content id and the owner DID of each resource. The account that registers
+ *         a resource is its controller and is the only account allowed to change it.
+ *         Every change must quote the resource's current nonce, so signed registry
+ *         requests cannot be replayed or applied out of order.
+ *
+ *         Trust model: owners are DIDs, not accounts. The controller is the registry
+ *         operator's account, which submits changes only after checking that the
+ *         owner DID signed them (see DistributedRegistry in the off-chain code).
+ *         Ownership is therefore enforced by the operator, and the chain records an
+ *         auditable, ordered log of what it accepted. A transfer changes the owner
+ *         DID but keeps the controller: the new owner's signed requests are relayed
+ *         by the same operator, and the previous owner's are refused off-chain. The
+ *         controller account can change any resource it registered, so it must be
+ *         held only by the operator, and resources registered through different
+ *         operators cannot be changed through each other.
+ */
+contract ResourceRegistry {
+    enum Status {
+        None,
+        Active,
+        Revoked
+    }
+
+    struct Resource {
+        string owner;
+        bytes32 metadataHash;
+        string contentId;
+        uint64 created;
+        uint64 updated;
+        Status status;
+        address controller;
+        uint64 nonce;
+    }
+
+    mapping(bytes32 => Resource) private resources;
+
+    error ResourceAlreadyRegistered(string did);
+    error ResourceNotFound(string did);
+    error ResourceNotActive(string did);
+    error NotResourceController(string did, address caller);
+    error InvalidOwner();
+    error StaleNonce(string did, uint64 expected, uint64 provided);
+
+    event ResourceRegistered(
+        bytes32 indexed didHash,
+        string did,
+        string owner,
+        bytes32 metadataHash,
+        string contentId,
+        address controller
+    );
+    event ResourceUpdated(
+        bytes32 indexed didHash,
+        string did,
+        bytes32 metadataHash,
+        string contentId,
+        string authorizedBy
+    );
+    event OwnershipTransferred(
+        bytes32 indexed didHash,
+        string did,
+        string previousOwner,
+        string newOwner,
+        string authorizedBy
+    );
+    event ResourceDeactivated(bytes32 indexed didHash, string did, string reason, string authorizedBy);
+
+    /**
+     * @notice Register a new resource
+     */
+    function register(
+        string calldata did,
+        string calldata owner,
+        bytes32 metadataHash,
+        string calldata contentId
+    ) external {
+        bytes32 key = keccak256(bytes(did));
+        if (resources[key].status != Status.None) revert ResourceAlreadyRegistered(did);
+        if (bytes(owner).length == 0) revert InvalidOwner();
+
+        resources[key] = Resource({
+            owner: owner,
+            metadataHash: metadataHash,
+            contentId: contentId,
+            created: uint64(block.timestamp),
+            updated: uint64(block.timestamp),
+            status: Status.Active,
+            controller: msg.sender,
+            nonce: 0
+        });
+
+        emit ResourceRegistered(key, did, owner, metadataHash, contentId, msg.sender);
+    }
+
+    /**
+     * @notice Replace the metadata hash and content id of a resource
+     * @param authorizedBy Verification method of the owner DID that signed the change
+     */
+    function update(
+        string calldata did,
+        bytes32 metadataHash,
+        string calldata contentId,
+        uint64 nonce,
+        string calldata authorizedBy
+    ) external {
+        Resource storage resource = _activeResource(did, nonce);
+
+        resource.metadataHash = metadataHash;
+        resource.contentId = contentId;
+        resource.updated = uint64(block.timestamp);
+
+        emit ResourceUpdated(keccak256(bytes(did)), did, metadataHash, contentId, authorizedBy);
+    }
+
+    /**
+     * @notice Record a new owner DID for a resource
+     * @dev The controller is unchanged; see the trust model above
+     * @param authorizedBy Verification method of the owner DID that signed the change
+     */
+    function transfer(
+        string calldata did,
+        string calldata newOwner,
+        uint64 nonce,
+        string calldata authorizedBy
+    ) external {
+        if (bytes(newOwner).length == 0) revert InvalidOwner();
+        Resource storage resource = _activeResource(did, nonce);
+
+        string memory previousOwner = resource.owner;
+        resource.owner = newOwner;
+        resource.updated = uint64(block.timestamp);
+
+        emit OwnershipTransferred(keccak256(bytes(did)), did, previousOwner, newOwner, authorizedBy);
+    }
+
+    /**
+     * @notice Permanently deactivate a resource
+     * @param authorizedBy Verification method of the owner DID that signed the change
+     */
+    function revoke(
+        string calldata did,
+        string calldata reason,
+        uint64 nonce,
+        string calldata authorizedBy
+    ) external {
+        Resource storage resource = _activeResource(did, nonce);
+
+        resource.status = Status.Revoked;
+        resource.updated = uint64(block.timestamp);
+
+        emit ResourceDeactivated(keccak256(bytes(did)), did, reason, authorizedBy);
+    }
+
+    /**
+     * @notice Look up the current state of a resource
+     */
+    function verify(string calldata did)
+        external
+        view
+        returns (
+            bool exists,
+            string memory owner,
+            bytes32 metadataHash,
+            string memory contentId,
+            uint64 created,
+            uint64 updated,
+            uint8 status,
+            address controller,
+            uint64 nonce
+        )
+    {
+        Resource storage resource = resources[keccak256(bytes(did))];
+        return (
+            resource.status != Status.None,
+            resource.owner,
+            resource.metadataHash,
+            resource.contentId,
+            resource.created,
+            resource.updated,
+            uint8(resource.status),
+            resource.controller,
+            resource.nonce
+        );
+    }
+
+    function _activeResource(string calldata did, uint64 nonce) private returns (Resource storage resource) {
+        resource = resources[keccak256(bytes(did))];
+        if (resource.status == Status.None) revert ResourceNotFound(did);
+        if (resource.status != Status.Active) revert ResourceNotActive(did);
+        if (resource.controller != msg.sender) revert NotResourceController(did, msg.sender);
+        if (resource.nonce != nonce) revert StaleNonce(did, resource.nonce, nonce);
+        resource.nonce = nonce + 1;
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * ResourceRegistry Contract Build
+ *
+ * Compiles ResourceRegistry.sol with the pinned solc release and writes the
+ * artifact that EthereumDLTConnector deploys (ResourceRegistry.json). The
+ * compiler settings are recorded in the artifact, so the committed bytecode
+ * can be rebuilt and compared:
+ *
+ *   npm run build:contracts            # rewrite the artifact
+ *   npm run build:contracts -- --check # fail if the artifact is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const SOURCE_FILE = 'ResourceRegistry.sol';
+const CONTRACT_NAME = 'ResourceRegistry';
+const ARTIFACT_PATH = path.join(__dirname, `${CONTRACT_NAME}.json`);
+
+/**
+ * Compiler settings the committed bytecode was built with
+ */
+const COMPILER_SETTINGS = {
+  optimizer: { enabled: true, runs: 200 },
+  evmVersion: 'paris'
+};
+
+/**
+ * Compile the contract
+ * @returns {Object} Artifact { contractName, compiler, settings, abi, bytecode }
+ */
+function compile() {
+  const input = {
+    language: 'Solidity',
+    sources: {
+      [SOURCE_FILE]: { content: fs.readFileSync(path.join(__dirname, SOURCE_FILE), 'utf8') }
+    },
+    settings: {
+      ...COMPILER_SETTINGS,
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Compilation failed:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+  }
+
+  const contract = output.contracts[SOURCE_FILE][CONTRACT_NAME];
+  return {
+    contractName: CONTRACT_NAME,
+    compiler: `solc ${solc.version()}`,
+    settings: COMPILER_SETTINGS,
+    abi: contract.abi,
+    bytecode: `0x${contract.evm.bytecode.object}`
+  };
+}
+
+if (require.main === module) {
+  const artifact = compile();
+
+  if (process.argv.includes('--check')) {
+    const committed = JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8'));
+    if (committed.bytecode !== artifact.bytecode || committed.compiler !== artifact.compiler) {
+      console.error(`${path.basename(ARTIFACT_PATH)} does not match ${SOURCE_FILE}; run npm run build:contracts`);
+      process.exit(1);
+    }
+    console.log(`${path.basename(ARTIFACT_PATH)} matches ${SOURCE_FILE}`);
+  } else {
+    fs.writeFileSync(ARTIFACT_PATH, `${JSON.stringify(artifact, null, 2)}\n`);
+    console.log(`Wrote ${path.basename(ARTIFACT_PATH)} (${artifact.compiler})`);
+  }
+}
+
+module.exports = {
+  compile,
+  COMPILER_SETTINGS
+};
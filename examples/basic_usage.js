@@ -30,7 +30,7 @@ async function demonstrateSystem() {
     // Skip actual blockchain connection for this example
     registry: {
       dltType: 'ethereum',
-      storageType: 'ipfs',
+      storageType: 'local',
       skipConnection: true
     }
   });
@@ -245,11 +245,12 @@ async function demonstrateSystem() {
   // Example 7: Verify watermark
   console.log('\n--- Example 7: Verify watermark ---');
   
-  // Let's verify the watermark in the text
+  // Let's verify the watermark in the text, with the key it was marked with
   const textVerification = await system.verifyResourceWatermark(
-    textRegistration.watermarked || textContent,
+    textRegistration.watermarkedResource || textContent,
     RESOURCE_TYPES.TEXT,
-    { did: textRegistration.did }
+    { did: textRegistration.did },
+    { key: textRegistration.watermark.key }
   );
   
   console.log('Text watermark verification result:', textVerification.verified);
@@ -0,0 +1,357 @@
+/**
+ * Content Identifiers (CIDs) for the Decentralized Digital Resource Integrated ID System
+ *
+ * This module implements the parts of the multiformats stack needed to address
+ * off-chain metadata by content:
+ * - Multihash (sha2-256, sha2-384, sha2-512 and sha3)
+ * - CIDv1 with raw, dag-json and dag-cbor codecs, and CIDv0 parsing
+ * - Multibase string forms: base32 ('b', default) and base58btc ('z')
+ * - Deterministic dag-json encoding (sorted map keys, bytes and links as "/" objects)
+ */
+
+const crypto = require('crypto');
+const { base58, base32, varint } = require('./encoding');
+
+/**
+ * Multicodec codes for CID content types
+ */
+const CODECS = {
+  RAW: 0x55,
+  DAG_PB: 0x70,
+  DAG_CBOR: 0x71,
+  DAG_JSON: 0x0129
+};
+
+/**
+ * Multihash function codes
+ */
+const MULTIHASH_CODES = {
+  SHA2_256: 0x12,
+  SHA2_512: 0x13,
+  SHA3_512: 0x14,
+  SHA3_384: 0x15,
+  SHA3_256: 0x16,
+  SHA2_384: 0x20
+};
+
+const HASH_ALGORITHMS = {
+  [MULTIHASH_CODES.SHA2_256]: { name: 'sha256', length: 32 },
+  [MULTIHASH_CODES.SHA2_512]: { name: 'sha512', length: 64 },
+  [MULTIHASH_CODES.SHA3_512]: { name: 'sha3-512', length: 64 },
+  [MULTIHASH_CODES.SHA3_384]: { name: 'sha3-384', length: 48 },
+  [MULTIHASH_CODES.SHA3_256]: { name: 'sha3-256', length: 32 },
+  [MULTIHASH_CODES.SHA2_384]: { name: 'sha384', length: 48 }
+};
+
+/**
+ * Multihash utilities
+ */
+const multihash = {
+  /**
+   * Hash bytes and wrap the digest as a multihash
+   *
+   * @param {Buffer} bytes - Data to hash
+   * @param {number} code - Hash function code (from MULTIHASH_CODES)
+   * @returns {Buffer} Multihash bytes
+   */
+  digest(bytes, code = MULTIHASH_CODES.SHA2_256) {
+    const algorithm = this.algorithmOf(code);
+    const digest = crypto.createHash(algorithm.name).update(bytes).digest();
+    return this.encode(code, digest);
+  },
+
+  /**
+   * Wrap an existing digest as a multihash
+   *
+   * @param {number} code - Hash function code
+   * @param {Buffer} digest - Raw digest
+   * @returns {Buffer} Multihash bytes
+   */
+  encode(code, digest) {
+    return Buffer.concat([varint.encode(code), varint.encode(digest.length), digest]);
+  },
+
+  /**
+   * Look up the multihash code of a Node.js hash algorithm
+   *
+   * @param {string} name - Hash algorithm name (e.g. 'sha256')
+   * @returns {number} Hash function code
+   */
+  codeOf(name) {
+    const entry = Object.entries(HASH_ALGORITHMS).find(([, algorithm]) => algorithm.name === name);
+    if (!entry) {
+      throw new Error(`No multihash code for hash algorithm: ${name}`);
+    }
+    return Number(entry[0]);
+  },
+
+  /**
+   * Look up the Node.js hash algorithm of a multihash code
+   *
+   * @param {number} code - Hash function code
+   * @returns {Object} { name, length }
+   */
+  algorithmOf(code) {
+    const algorithm = HASH_ALGORITHMS[code];
+    if (!algorithm) {
+      throw new Error(`Unsupported multihash function: 0x${code.toString(16)}`);
+    }
+    return algorithm;
+  },
+
+  /**
+   * Split a multihash into its parts
+   *
+   * @param {Buffer} bytes - Multihash bytes
+   * @param {number} offset - Starting offset
+   * @returns {Object} { code, digest, bytesRead }
+   */
+  decode(bytes, offset = 0) {
+    const code = varint.decode(bytes, offset);
+    const length = varint.decode(bytes, offset + code.bytesRead);
+    const start = offset + code.bytesRead + length.bytesRead;
+
+    if (start + length.value > bytes.length) {
+      throw new Error('Truncated multihash');
+    }
+
+    return {
+      code: code.value,
+      digest: bytes.slice(start, start + length.value),
+      bytesRead: start - offset + length.value
+    };
+  }
+};
+
+/**
+ * A content identifier
+ */
+class CID {
+  /**
+   * Create a CID
+   * @param {number} version - CID version (0 or 1)
+   * @param {number} codec - Content codec (from CODECS)
+   * @param {Buffer} hash - Multihash of the content
+   */
+  constructor(version, codec, hash) {
+    if (version !== 0 && version !== 1) {
+      throw new Error(`Unsupported CID version: ${version}`);
+    }
+    if (version === 0 && codec !== CODECS.DAG_PB) {
+      throw new Error('CIDv0 only supports the dag-pb codec');
+    }
+
+    this.version = version;
+    this.codec = codec;
+    this.multihash = hash;
+
+    const { code, digest } = multihash.decode(hash);
+    this.hashCode = code;
+    this.digest = digest;
+  }
+
+  /**
+   * Create a CIDv1 for some bytes
+   * @param {Buffer} bytes - Encoded block bytes
+   * @param {number} codec - Content codec (from CODECS)
+   * @param {number} hashCode - Hash function (from MULTIHASH_CODES)
+   * @returns {CID} Content identifier
+   */
+  static create(bytes, codec = CODECS.RAW, hashCode = MULTIHASH_CODES.SHA2_256) {
+    return new CID(1, codec, multihash.digest(bytes, hashCode));
+  }
+
+  /**
+   * Decode a binary CID
+   * @param {Buffer} bytes - Binary CID
+   * @returns {CID} Content identifier
+   */
+  static decode(bytes) {
+    // CIDv0 is a bare sha2-256 multihash
+    if (bytes.length === 34 && bytes[0] === MULTIHASH_CODES.SHA2_256 && bytes[1] === 32) {
+      return new CID(0, CODECS.DAG_PB, Buffer.from(bytes));
+    }
+
+    const version = varint.decode(bytes, 0);
+    const codec = varint.decode(bytes, version.bytesRead);
+    const hashStart = version.bytesRead + codec.bytesRead;
+    const hash = multihash.decode(bytes, hashStart);
+
+    if (hashStart + hash.bytesRead !== bytes.length) {
+      throw new Error('Unexpected trailing bytes in CID');
+    }
+
+    return new CID(version.value, codec.value, Buffer.from(bytes.slice(hashStart)));
+  }
+
+  /**
+   * Parse a CID string
+   * @param {string} string - CIDv0 (Qm...) or multibase CIDv1 (b... or z...)
+   * @returns {CID} Content identifier
+   */
+  static parse(string) {
+    if (typeof string !== 'string' || string.length < 2) {
+      throw new Error('Invalid CID string');
+    }
+
+    if (string.length === 46 && string.startsWith('Qm')) {
+      return CID.decode(base58.decode(string));
+    }
+
+    switch (string[0]) {
+      case 'b':
+        return CID.decode(base32.decode(string.substring(1)));
+      case 'z':
+        return CID.decode(base58.decode(string.substring(1)));
+      default:
+        throw new Error(`Unsupported CID multibase prefix: ${string[0]}`);
+    }
+  }
+
+  /**
+   * Check whether a value is a CID
+   * @param {*} value - Value to check
+   * @returns {boolean} True for CID instances
+   */
+  static isCID(value) {
+    return value instanceof CID;
+  }
+
+  /**
+   * Binary form of the CID
+   * @returns {Buffer}
+   */
+  get bytes() {
+    if (this.version === 0) {
+      return Buffer.from(this.multihash);
+    }
+    return Buffer.concat([varint.encode(this.version), varint.encode(this.codec), this.multihash]);
+  }
+
+  /**
+   * Check that some bytes match this CID's hash
+   * @param {Buffer} bytes - Block bytes
+   * @returns {boolean} True if the bytes hash to this CID
+   */
+  verify(bytes) {
+    if (!HASH_ALGORITHMS[this.hashCode]) {
+      return false;
+    }
+    return multihash.digest(bytes, this.hashCode).equals(this.multihash);
+  }
+
+  /**
+   * Compare two CIDs
+   * @param {CID} other - Other CID
+   * @returns {boolean} True if both identify the same block the same way
+   */
+  equals(other) {
+    return other instanceof CID &&
+      this.version === other.version &&
+      this.codec === other.codec &&
+      this.multihash.equals(other.multihash);
+  }
+
+  /**
+   * String form of the CID (base58btc for v0, base32 for v1 by default)
+   * @param {string} base - 'base32' or 'base58btc'
+   * @returns {string} CID string
+   */
+  toString(base = this.version === 0 ? 'base58btc' : 'base32') {
+    if (this.version === 0) {
+      return base58.encode(this.bytes);
+    }
+
+    switch (base) {
+      case 'base32':
+        return `b${base32.encode(this.bytes)}`;
+      case 'base58btc':
+        return `z${base58.encode(this.bytes)}`;
+      default:
+        throw new Error(`Unsupported multibase: ${base}`);
+    }
+  }
+
+  toJSON() {
+    return { '/': this.toString() };
+  }
+}
+
+/**
+ * Deterministic DAG-JSON codec
+ */
+const dagJson = (() => {
+  // Convert a value to its DAG-JSON data model form with sorted keys
+  function prepare(value) {
+    if (value instanceof CID) {
+      return { '/': value.toString() };
+    }
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      return { '/': { bytes: Buffer.from(value).toString('base64').replace(/=+$/, '') } };
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+      return value.map(element => (element === undefined ? null : prepare(element)));
+    }
+    if (value !== null && typeof value === 'object') {
+      const sorted = {};
+      for (const key of Object.keys(value).sort()) {
+        if (value[key] !== undefined) {
+          sorted[key] = prepare(value[key]);
+        }
+      }
+      return sorted;
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error('DAG-JSON cannot encode NaN or Infinity');
+    }
+    return value;
+  }
+
+  // Restore links and bytes from their "/" representations
+  function restore(value) {
+    if (Array.isArray(value)) {
+      return value.map(restore);
+    }
+    if (value !== null && typeof value === 'object') {
+      const keys = Object.keys(value);
+      if (keys.length === 1 && keys[0] === '/') {
+        const inner = value['/'];
+        if (typeof inner === 'string') {
+          return CID.parse(inner);
+        }
+        if (inner && typeof inner === 'object' && Object.keys(inner).length === 1 &&
+            typeof inner.bytes === 'string') {
+          return Buffer.from(inner.bytes, 'base64');
+        }
+      }
+
+      const result = {};
+      for (const key of keys) {
+        result[key] = restore(value[key]);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  function encode(value) {
+    return Buffer.from(JSON.stringify(prepare(value)), 'utf8');
+  }
+
+  function decode(bytes) {
+    return restore(JSON.parse(Buffer.from(bytes).toString('utf8')));
+  }
+
+  return { encode, decode };
+})();
+
+module.exports = {
+  CID,
+  CODECS,
+  MULTIHASH_CODES,
+  multihash,
+  dagJson
+};
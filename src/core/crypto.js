@@ -0,0 +1,430 @@
+/**
+ * Cryptographic key management for the Decentralized Digital Resource Integrated ID System
+ *
+ * This module provides the key pairs that back the verification methods listed in
+ * DID documents. It is built on Node's built-in crypto module and supports:
+ * - Ed25519 key generation (random or from a 32-byte seed)
+ * - Import/export as raw bytes, JWK (RFC 8037) and multibase (z6Mk...)
+ * - Signing and verification of arbitrary payloads
+ *
+ * Multibase key encoding follows the Ed25519VerificationKey2020 suite:
+ * base58btc('z') over the multicodec-prefixed key bytes.
+ */
+
+const crypto = require('crypto');
+const { base58 } = require('./encoding');
+
+/**
+ * Multicodec prefixes for key material (unsigned varint encoded)
+ */
+const MULTICODEC = {
+  ED25519_PUB: Buffer.from([0xed, 0x01]),
+  ED25519_PRIV: Buffer.from([0x80, 0x26])
+};
+
+/**
+ * Verification method types produced for Ed25519 keys
+ */
+const VERIFICATION_METHOD_TYPES = {
+  ED25519_2020: 'Ed25519VerificationKey2020',
+  ED25519_2018: 'Ed25519VerificationKey2018',
+  JSON_WEB_KEY_2020: 'JsonWebKey2020',
+  MULTIKEY: 'Multikey'
+};
+
+// DER headers that wrap raw Ed25519 keys as SPKI / PKCS#8 structures, so keys can be
+// imported into KeyObjects without relying on JWK support in the crypto module
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const KEY_LENGTH = 32;
+const SIGNATURE_LENGTH = 64;
+
+/**
+ * Encode a buffer as unpadded base64url
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} base64url string
+ */
+function toBase64Url(buffer) {
+  return buffer
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+}
+
+/**
+ * Decode an unpadded base64url string
+ *
+ * @param {string} string - base64url string
+ * @returns {Buffer} Decoded bytes
+ */
+function fromBase64Url(string) {
+  let padded = string.replace(/-/g, '+').replace(/_/g, '/');
+  while (padded.length % 4 !== 0) {
+    padded += '=';
+  }
+  return Buffer.from(padded, 'base64');
+}
+
+/**
+ * Normalize signing input to a Buffer
+ *
+ * @param {Buffer|Uint8Array|string} data - Data to sign or verify
+ * @returns {Buffer} Data as bytes
+ */
+function toBytes(data) {
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  if (data instanceof Uint8Array) {
+    return Buffer.from(data);
+  }
+  if (typeof data === 'string') {
+    return Buffer.from(data, 'utf8');
+  }
+  throw new TypeError('Expected Buffer, Uint8Array or string');
+}
+
+/**
+ * Decode a multibase (base58btc) key and strip its multicodec prefix
+ *
+ * @param {string} multibase - Multibase encoded key
+ * @param {Buffer} codec - Expected multicodec prefix
+ * @returns {Buffer} Raw key bytes
+ */
+function decodeMultibaseKey(multibase, codec) {
+  if (typeof multibase !== 'string' || multibase[0] !== 'z') {
+    throw new Error('Only base58btc (z) multibase keys are supported');
+  }
+
+  const bytes = base58.decode(multibase.substring(1));
+  if (bytes.length !== codec.length + KEY_LENGTH || !bytes.slice(0, codec.length).equals(codec)) {
+    throw new Error('Multibase value is not an Ed25519 key');
+  }
+
+  return bytes.slice(codec.length);
+}
+
+/**
+ * Ed25519 key pair used for DID verification methods
+ */
+class Ed25519KeyPair {
+  /**
+   * Create a key pair from raw key bytes
+   *
+   * @param {Object} keys - Key material
+   * @param {Buffer} keys.publicKey - 32-byte raw public key
+   * @param {Buffer} keys.privateKey - 32-byte raw private key (seed), optional
+   */
+  constructor({ publicKey, privateKey = null }) {
+    if (!Buffer.isBuffer(publicKey) || publicKey.length !== KEY_LENGTH) {
+      throw new Error(`Ed25519 public key must be ${KEY_LENGTH} bytes`);
+    }
+    if (privateKey !== null && (!Buffer.isBuffer(privateKey) || privateKey.length !== KEY_LENGTH)) {
+      throw new Error(`Ed25519 private key must be ${KEY_LENGTH} bytes`);
+    }
+
+    this.publicKey = publicKey;
+    this.privateKey = privateKey;
+
+    this._publicKeyObject = crypto.createPublicKey({
+      key: Buffer.concat([SPKI_PREFIX, publicKey]),
+      format: 'der',
+      type: 'spki'
+    });
+
+    this._privateKeyObject = null;
+    if (privateKey) {
+      this._privateKeyObject = crypto.createPrivateKey({
+        key: Buffer.concat([PKCS8_PREFIX, privateKey]),
+        format: 'der',
+        type: 'pkcs8'
+      });
+
+      // Make sure the private key actually belongs to the public key
+      const derived = crypto.createPublicKey(this._privateKeyObject)
+        .export({ format: 'der', type: 'spki' })
+        .slice(SPKI_PREFIX.length);
+      if (!derived.equals(publicKey)) {
+        throw new Error('Ed25519 private key does not match public key');
+      }
+    }
+  }
+
+  /**
+   * Generate a new random key pair
+   *
+   * @returns {Ed25519KeyPair} Generated key pair
+   */
+  static generate() {
+    return this.fromSeed(crypto.randomBytes(KEY_LENGTH));
+  }
+
+  /**
+   * Derive a key pair deterministically from a 32-byte seed
+   *
+   * @param {Buffer} seed - 32-byte seed (the raw private key)
+   * @returns {Ed25519KeyPair} Derived key pair
+   */
+  static fromSeed(seed) {
+    if (!Buffer.isBuffer(seed) || seed.length !== KEY_LENGTH) {
+      throw new Error(`Ed25519 seed must be ${KEY_LENGTH} bytes`);
+    }
+
+    const privateKeyObject = crypto.createPrivateKey({
+      key: Buffer.concat([PKCS8_PREFIX, seed]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    const publicKey = crypto.createPublicKey(privateKeyObject)
+      .export({ format: 'der', type: 'spki' })
+      .slice(SPKI_PREFIX.length);
+
+    return new Ed25519KeyPair({ publicKey, privateKey: Buffer.from(seed) });
+  }
+
+  /**
+   * Import a key pair from raw bytes
+   *
+   * @param {Buffer|Uint8Array} publicKey - 32-byte public key
+   * @param {Buffer|Uint8Array} privateKey - 32-byte private key (optional)
+   * @returns {Ed25519KeyPair} Imported key pair
+   */
+  static fromRaw(publicKey, privateKey = null) {
+    return new Ed25519KeyPair({
+      publicKey: Buffer.from(publicKey),
+      privateKey: privateKey ? Buffer.from(privateKey) : null
+    });
+  }
+
+  /**
+   * Import a key pair from an OKP JSON Web Key (RFC 8037)
+   *
+   * @param {Object} jwk - JWK with kty "OKP" and crv "Ed25519"
+   * @returns {Ed25519KeyPair} Imported key pair
+   */
+  static fromJWK(jwk) {
+    if (!jwk || jwk.kty !== 'OKP' || jwk.crv !== 'Ed25519' || !jwk.x) {
+      throw new Error('JWK is not an Ed25519 OKP key');
+    }
+
+    return new Ed25519KeyPair({
+      publicKey: fromBase64Url(jwk.x),
+      privateKey: jwk.d ? fromBase64Url(jwk.d) : null
+    });
+  }
+
+  /**
+   * Import a key pair from multibase encoded keys
+   *
+   * @param {string} publicKeyMultibase - Multibase public key (z6Mk...)
+   * @param {string} privateKeyMultibase - Multibase private key (optional)
+   * @returns {Ed25519KeyPair} Imported key pair
+   */
+  static fromMultibase(publicKeyMultibase, privateKeyMultibase = null) {
+    return new Ed25519KeyPair({
+      publicKey: decodeMultibaseKey(publicKeyMultibase, MULTICODEC.ED25519_PUB),
+      privateKey: privateKeyMultibase
+        ? decodeMultibaseKey(privateKeyMultibase, MULTICODEC.ED25519_PRIV)
+        : null
+    });
+  }
+
+  /**
+   * Import the public key of a DID document verification method
+   *
+   * @param {Object} verificationMethod - Verification method entry
+   * @returns {Ed25519KeyPair} Public-only key pair
+   */
+  static fromVerificationMethod(verificationMethod) {
+    if (!verificationMethod) {
+      throw new Error('Verification method is required');
+    }
+
+    if (verificationMethod.publicKeyMultibase) {
+      return this.fromMultibase(verificationMethod.publicKeyMultibase);
+    }
+
+    if (verificationMethod.publicKeyJwk) {
+      return this.fromJWK(verificationMethod.publicKeyJwk);
+    }
+
+    if (verificationMethod.publicKeyBase58) {
+      return this.fromRaw(base58.decode(verificationMethod.publicKeyBase58));
+    }
+
+    throw new Error(`Verification method ${verificationMethod.id} has no supported public key encoding`);
+  }
+
+  /**
+   * Multibase encoded public key (z6Mk...)
+   * @returns {string}
+   */
+  get publicKeyMultibase() {
+    return `z${base58.encode(Buffer.concat([MULTICODEC.ED25519_PUB, this.publicKey]))}`;
+  }
+
+  /**
+   * Multibase encoded private key (z3u2...), or null for public-only key pairs
+   * @returns {string|null}
+   */
+  get privateKeyMultibase() {
+    if (!this.privateKey) {
+      return null;
+    }
+    return `z${base58.encode(Buffer.concat([MULTICODEC.ED25519_PRIV, this.privateKey]))}`;
+  }
+
+  /**
+   * Key fingerprint, as used in did:key identifiers
+   * @returns {string}
+   */
+  get fingerprint() {
+    return this.publicKeyMultibase;
+  }
+
+  /**
+   * Whether the key pair can sign
+   * @returns {boolean}
+   */
+  canSign() {
+    return this._privateKeyObject !== null;
+  }
+
+  /**
+   * Export the key pair as a JSON Web Key
+   *
+   * @param {Object} options - Export options
+   * @param {boolean} options.includePrivate - Include the private key ("d")
+   * @returns {Object} JWK
+   */
+  toJWK(options = {}) {
+    const jwk = {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: toBase64Url(this.publicKey)
+    };
+
+    if (options.includePrivate) {
+      if (!this.privateKey) {
+        throw new Error('Key pair has no private key to export');
+      }
+      jwk.d = toBase64Url(this.privateKey);
+    }
+
+    return jwk;
+  }
+
+  /**
+   * Export the key pair in the requested format
+   *
+   * @param {Object} options - Export options
+   * @param {string} options.format - 'raw', 'jwk' or 'multibase' (default)
+   * @param {boolean} options.includePrivate - Include private key material
+   * @returns {Object} Exported key material
+   */
+  export(options = {}) {
+    const format = options.format || 'multibase';
+    const includePrivate = !!options.includePrivate;
+
+    if (includePrivate && !this.privateKey) {
+      throw new Error('Key pair has no private key to export');
+    }
+
+    switch (format) {
+      case 'raw':
+        return {
+          publicKey: Buffer.from(this.publicKey),
+          ...(includePrivate ? { privateKey: Buffer.from(this.privateKey) } : {})
+        };
+
+      case 'jwk':
+        return this.toJWK({ includePrivate });
+
+      case 'multibase':
+        return {
+          publicKeyMultibase: this.publicKeyMultibase,
+          ...(includePrivate ? { privateKeyMultibase: this.privateKeyMultibase } : {})
+        };
+
+      default:
+        throw new Error(`Unsupported key export format: ${format}`);
+    }
+  }
+
+  /**
+   * Build a DID document verification method for this key
+   *
+   * @param {string} id - Verification method id (e.g. did:asset:...#keys-1)
+   * @param {string} controller - Controller DID
+   * @param {string} type - Verification method type (from VERIFICATION_METHOD_TYPES)
+   * @returns {Object} Verification method
+   */
+  toVerificationMethod(id, controller, type = VERIFICATION_METHOD_TYPES.ED25519_2020) {
+    const method = { id, type, controller };
+
+    switch (type) {
+      case VERIFICATION_METHOD_TYPES.ED25519_2020:
+      case VERIFICATION_METHOD_TYPES.MULTIKEY:
+        method.publicKeyMultibase = this.publicKeyMultibase;
+        break;
+
+      case VERIFICATION_METHOD_TYPES.ED25519_2018:
+        method.publicKeyBase58 = base58.encode(this.publicKey);
+        break;
+
+      case VERIFICATION_METHOD_TYPES.JSON_WEB_KEY_2020:
+        method.publicKeyJwk = this.toJWK();
+        break;
+
+      default:
+        throw new Error(`Unsupported verification method type: ${type}`);
+    }
+
+    return method;
+  }
+
+  /**
+   * Sign a payload
+   *
+   * @param {Buffer|Uint8Array|string} data - Payload to sign
+   * @returns {Buffer} 64-byte Ed25519 signature
+   */
+  sign(data) {
+    if (!this._privateKeyObject) {
+      throw new Error('Cannot sign without a private key');
+    }
+
+    return crypto.sign(null, toBytes(data), this._privateKeyObject);
+  }
+
+  /**
+   * Verify a signature over a payload
+   *
+   * @param {Buffer|Uint8Array|string} data - Signed payload
+   * @param {Buffer|Uint8Array} signature - Ed25519 signature
+   * @returns {boolean} True if the signature is valid
+   */
+  verify(data, signature) {
+    const signatureBytes = toBytes(signature);
+    if (signatureBytes.length !== SIGNATURE_LENGTH) {
+      return false;
+    }
+
+    try {
+      return crypto.verify(null, toBytes(data), this._publicKeyObject, signatureBytes);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  Ed25519KeyPair,
+  MULTICODEC,
+  VERIFICATION_METHOD_TYPES,
+  toBase64Url,
+  fromBase64Url
+};
@@ -6,13 +6,18 @@
  * 
  * DID Method: did:asset
  * Format: did:asset:<resource-type>:<identifier>
- * Resource types: text, image, audio, video, model, dataset, code
+ * Resource types: text, image, audio, video, ai-model (alias model), dataset, code
+ *
+ * DID syntax, parsing and compact forms come from the DID method registry shared
+ * with DIDFactory, so DIDs from either generator can be read by the other.
  */
 
 // Crypto libraries for DID operations
 const crypto = require('crypto');
-const { base58 } = require('./encoding');
+const { multibase } = require('./encoding');
+const { multihash, MULTIHASH_CODES } = require('./cid');
 const { Ed25519KeyPair } = require('./crypto');
+const { defaultRegistry } = require('../identity/did_method_registry');
 
 /**
  * Supported resource types and their metadata requirements
@@ -34,7 +39,7 @@ const RESOURCE_TYPES = {
     requiredMetadata: ['content_hash', 'mime_type', 'duration', 'dimensions'],
     optionalMetadata: ['frame_rate', 'bit_rate', 'codec']
   },
-  model: {
+  'ai-model': {
     requiredMetadata: ['model_hash', 'architecture', 'parameters', 'training_dataset_ref'],
     optionalMetadata: ['framework', 'version', 'accuracy', 'training_date']
   },
@@ -58,10 +63,14 @@ class DigitalResourceDID {
    * @param {string} resourceType - Type of resource (text, image, etc.)
    * @param {Object} metadata - Resource metadata
    * @param {Object} options - Additional options
+   * @param {DIDMethodRegistry} options.registry - DID method registry (default: the shared registry)
    * @returns {Object} DID structure with identifier and document
    */
   static createDID(resourceType, metadata, options = {}) {
+    const registry = options.registry || defaultRegistry;
+    
     // Validate resource type
+    resourceType = registry.canonicalResourceType(resourceType) || resourceType;
     if (!RESOURCE_TYPES[resourceType]) {
       throw new Error(`Unsupported resource type: ${resourceType}`);
     }
@@ -76,10 +85,12 @@ class DigitalResourceDID {
     
     // Generate a unique identifier based on metadata
     const metadataString = JSON.stringify(this._normalizeMetadata(resourceType, metadata));
-    const metadataHash = crypto.createHash('sha256').update(metadataString).digest('hex');
+    const metadataHash = crypto.createHash('sha256').update(metadataString).digest();
     
-    // Create a DID using the did:asset method
-    const did = `did:asset:${resourceType}:${base58.encode(Buffer.from(metadataHash, 'hex'))}`;
+    // Create a DID using the did:asset method, with the same multibase multihash
+    // identifier DIDFactory uses for base58 compression
+    const identifier = multibase.encode(multihash.encode(MULTIHASH_CODES.SHA2_256, metadataHash), 'base58btc');
+    const did = registry.generate('asset', { resourceType, identifier });
     
     // Generate a key pair for this DID
     const keyPair = options.keyPair || Ed25519KeyPair.generate();
@@ -98,7 +109,7 @@ class DigitalResourceDID {
    * Create a DID document according to W3C DID Core specification
    * 
    * @param {string} did - DID URI
-   * @param {Object} keyPair - Cryptographic key pair
+   * @param {Ed25519KeyPair} keyPair - Cryptographic key pair
    * @param {Object} metadata - Resource metadata
    * @param {Object} options - Additional options
    * @returns {Object} DID document
@@ -116,12 +127,7 @@ class DigitalResourceDID {
       id: did,
       controller: options.controller || did,
       verificationMethod: [
-        {
-          id: publicKeyId,
-          type: 'Ed25519VerificationKey2020',
-          controller: options.controller || did,
-          publicKeyMultibase: `z${base58.encode(keyPair.publicKey)}`
-        }
+        keyPair.toVerificationMethod(publicKeyId, options.controller || did)
       ],
       authentication: [
         publicKeyId
@@ -146,7 +152,7 @@ class DigitalResourceDID {
     });
     
     // Add resource-specific services
-    if (this._getResourceType(did) === 'model') {
+    if (this._getResourceType(did) === 'ai-model') {
       didDocument.service.push({
         id: `${did}#inference`,
         type: 'InferenceService',
@@ -209,25 +215,27 @@ class DigitalResourceDID {
    * Extract resource type from DID
    * 
    * @param {string} did - DID URI
-   * @returns {string} Resource type
+   * @param {DIDMethodRegistry} registry - DID method registry
+   * @returns {string} Canonical resource type
    */
-  static _getResourceType(did) {
-    const parts = did.split(':');
-    if (parts.length < 3 || parts[0] !== 'did' || parts[1] !== 'asset') {
-      throw new Error('Invalid asset DID format');
+  static _getResourceType(did, registry = defaultRegistry) {
+    const { resourceType } = registry.parse(did);
+    if (!resourceType) {
+      throw new Error(`DID does not identify a resource type: ${did}`);
     }
-    return parts[2];
+    return resourceType;
   }
   
   /**
    * Validate a DID document
    * 
    * @param {Object} didDocument - DID document to validate
+   * @param {DIDMethodRegistry} registry - DID method registry
    * @returns {boolean} True if valid
    */
-  static validateDIDDocument(didDocument) {
+  static validateDIDDocument(didDocument, registry = defaultRegistry) {
     // Check required fields according to W3C DID Core spec
-    if (!didDocument['@context'] || !didDocument.id) {
+    if (!didDocument['@context'] || !didDocument.id || !registry.validate(didDocument.id)) {
       return false;
     }
     
@@ -248,7 +256,7 @@ class DigitalResourceDID {
     
     // Validate resource-specific aspects
     try {
-      const resourceType = this._getResourceType(didDocument.id);
+      const resourceType = this._getResourceType(didDocument.id, registry);
       if (!RESOURCE_TYPES[resourceType]) {
         return false;
       }
@@ -263,78 +271,23 @@ class DigitalResourceDID {
    * Create a compressed representation of a DID
    * 
    * @param {string} did - DID URI
-   * @returns {string} Compressed DID
+   * @param {DIDMethodRegistry} registry - DID method registry
+   * @returns {string} Compressed DID (method and resource type prefixes, e.g. am:<identifier>)
    */
-  static compressDID(did) {
-    // Extract parts
-    const parts = did.split(':');
-    if (parts.length < 4) {
-      throw new Error('Invalid asset DID format');
-    }
-    
-    // Use first character of method as prefix
-    const methodPrefix = parts[1][0];
-    
-    // Use first character of resource type as prefix
-    const typePrefix = parts[2][0];
-    
-    // Keep the identifier part
-    const identifier = parts[3];
-    
-    // Combine into compressed format
-    return `${methodPrefix}${typePrefix}:${identifier}`;
+  static compressDID(did, registry = defaultRegistry) {
+    return registry.compress(did);
   }
   
   /**
    * Expand a compressed DID back to full form
    * 
    * @param {string} compressedDID - Compressed DID
-   * @param {Object} context - Context information for expansion
+   * @param {Object} context - Context information for expansion (methodMap, typeMap)
+   * @param {DIDMethodRegistry} registry - DID method registry
    * @returns {string} Full DID URI
    */
-  static expandDID(compressedDID, context = {}) {
-    // Extract parts
-    const [prefixes, identifier] = compressedDID.split(':');
-    if (prefixes.length !== 2 || !identifier) {
-      throw new Error('Invalid compressed DID format');
-    }
-    
-    // Map method prefix back to full method
-    const methodPrefix = prefixes[0];
-    let method;
-    if (methodPrefix === 'a') {
-      method = 'asset';
-    } else if (context.methodMap && context.methodMap[methodPrefix]) {
-      method = context.methodMap[methodPrefix];
-    } else {
-      throw new Error(`Unknown method prefix: ${methodPrefix}`);
-    }
-    
-    // Map type prefix back to full resource type
-    const typePrefix = prefixes[1];
-    let resourceType;
-    
-    // Map common resource types
-    const typePrefixMap = {
-      't': 'text',
-      'i': 'image',
-      'a': 'audio',
-      'v': 'video',
-      'm': 'model',
-      'd': 'dataset',
-      'c': 'code'
-    };
-    
-    if (typePrefixMap[typePrefix]) {
-      resourceType = typePrefixMap[typePrefix];
-    } else if (context.typeMap && context.typeMap[typePrefix]) {
-      resourceType = context.typeMap[typePrefix];
-    } else {
-      throw new Error(`Unknown resource type prefix: ${typePrefix}`);
-    }
-    
-    // Reconstruct full DID
-    return `did:${method}:${resourceType}:${identifier}`;
+  static expandDID(compressedDID, context = {}, registry = defaultRegistry) {
+    return registry.expand(compressedDID, context);
   }
 }
 
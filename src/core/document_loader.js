@@ -0,0 +1,116 @@
+/**
+ * Offline JSON-LD Document Loader
+ *
+ * JSON-LD processing must not depend on fetching contexts at runtime: a context
+ * served differently (or not at all) would change expanded documents and with
+ * them every canonical hash and signature. This module serves cached copies of
+ * the contexts used in DID documents and integrated metadata from
+ * src/core/contexts:
+ * - DID Core v1, Security v1/v2, Ed25519 2018/2020 and Multikey suites,
+ *   Verifiable Credentials v1 (published context documents)
+ * - schema.org (the @vocab context with every IRI and date typed property)
+ * - W3C PROV-O (a term for every PROV-O class and property)
+ * - ODRL 2.2
+ * - The asset schema context for DDRIS specific terms
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTEXTS_DIR = path.join(__dirname, 'contexts');
+
+/**
+ * Context URLs and the bundled file that serves each of them
+ */
+const BUNDLED_CONTEXTS = {
+  'https://www.w3.org/ns/did/v1': 'did-v1.jsonld',
+  'https://w3id.org/security/v1': 'security-v1.jsonld',
+  'https://w3id.org/security/v2': 'security-v2.jsonld',
+  'https://w3id.org/security/suites/ed25519-2018/v1': 'ed25519-signature-2018-v1.jsonld',
+  'https://w3id.org/security/suites/ed25519-2020/v1': 'ed25519-signature-2020-v1.jsonld',
+  'https://w3id.org/security/multikey/v1': 'multikey-v1.jsonld',
+  'https://www.w3.org/2018/credentials/v1': 'credentials-v1.jsonld',
+  'https://schema.org/': 'schema-org.jsonld',
+  'https://schema.org': 'schema-org.jsonld',
+  'http://schema.org/': 'schema-org.jsonld',
+  'http://schema.org': 'schema-org.jsonld',
+  'https://schema.org/docs/jsonldcontext.jsonld': 'schema-org.jsonld',
+  'https://www.w3.org/ns/prov#': 'prov.jsonld',
+  'https://www.w3.org/ns/prov': 'prov.jsonld',
+  'https://www.w3.org/ns/odrl.jsonld': 'odrl.jsonld',
+  'http://www.w3.org/ns/odrl.jsonld': 'odrl.jsonld',
+  'https://w3id.org/asset-schema/v1': 'asset-schema-v1.jsonld',
+  'https://w3id.org/asset-context/v1': 'asset-schema-v1.jsonld'
+};
+
+/**
+ * Frequently used context URLs
+ */
+const CONTEXT_URLS = {
+  DID_V1: 'https://www.w3.org/ns/did/v1',
+  SECURITY_V2: 'https://w3id.org/security/v2',
+  ED25519_2020: 'https://w3id.org/security/suites/ed25519-2020/v1',
+  CREDENTIALS_V1: 'https://www.w3.org/2018/credentials/v1',
+  SCHEMA_ORG: 'https://schema.org/',
+  PROV: 'https://www.w3.org/ns/prov#',
+  ODRL: 'https://www.w3.org/ns/odrl.jsonld',
+  ASSET_SCHEMA: 'https://w3id.org/asset-schema/v1'
+};
+
+// Parsed context documents by file name
+const cache = new Map();
+
+/**
+ * Read a bundled context document
+ *
+ * @param {string} file - File name in the contexts directory
+ * @returns {Object} Parsed context document
+ */
+function readBundledContext(file) {
+  if (!cache.has(file)) {
+    const document = JSON.parse(fs.readFileSync(path.join(CONTEXTS_DIR, file), 'utf8'));
+    cache.set(file, Object.freeze(document));
+  }
+  return cache.get(file);
+}
+
+/**
+ * Create a jsonld.js document loader
+ *
+ * @param {Object} options - Loader options
+ * @param {Object} options.contexts - Additional context documents keyed by URL
+ * @param {Function} options.fallback - Loader for URLs that are not bundled (default: reject)
+ * @returns {Function} async (url) => { contextUrl, document, documentUrl }
+ */
+function createDocumentLoader(options = {}) {
+  const contexts = options.contexts || {};
+  const fallback = options.fallback || null;
+
+  return async function documentLoader(url) {
+    if (Object.prototype.hasOwnProperty.call(contexts, url)) {
+      return { contextUrl: null, document: contexts[url], documentUrl: url };
+    }
+
+    if (Object.prototype.hasOwnProperty.call(BUNDLED_CONTEXTS, url)) {
+      return { contextUrl: null, document: readBundledContext(BUNDLED_CONTEXTS[url]), documentUrl: url };
+    }
+
+    if (fallback) {
+      return fallback(url);
+    }
+
+    throw new Error(`JSON-LD document not available offline: ${url}`);
+  };
+}
+
+/**
+ * Default offline loader serving only the bundled contexts
+ */
+const documentLoader = createDocumentLoader();
+
+module.exports = {
+  createDocumentLoader,
+  documentLoader,
+  BUNDLED_CONTEXTS,
+  CONTEXT_URLS
+};
@@ -7,6 +7,8 @@
 
 // Node.js buffer utilities
 const { Buffer } = require('buffer');
+const crypto = require('crypto');
+const { documentLoader } = require('./document_loader');
 
 /**
  * Base58 encoding/decoding utilities
@@ -34,7 +36,7 @@ const base58 = (() => {
     }
     
     // Convert to base58
-    let value = Array.from(buffer);
+    let value = Array.from(buffer.slice(zeros));
     let result = '';
     
     while (value.length > 0) {
@@ -90,8 +92,8 @@ const base58 = (() => {
       
       let carry = alphabetIndex;
       
-      // Apply "b58 to base256" to each input character
-      for (let j = 0; j < size; j++) {
+      // Apply "b58 to base256" to each input character, least significant byte last
+      for (let j = size - 1; j >= 0; j--) {
         carry += result[j] * BASE;
         result[j] = carry & 0xff;
         carry >>= 8;
@@ -118,6 +120,202 @@ const base58 = (() => {
   return { encode, decode };
 })();
 
+/**
+ * Base32 encoding/decoding utilities (RFC 4648, lowercase, no padding)
+ * Used as the default multibase ('b') for CIDv1 content identifiers
+ */
+const base32 = (() => {
+  const ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+  
+  // Base32 Encoding function
+  function encode(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+      throw new TypeError('Expected Buffer');
+    }
+    
+    let result = '';
+    let bits = 0;
+    let value = 0;
+    
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      
+      while (bits >= 5) {
+        result += ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    
+    // Flush remaining bits, left-aligned
+    if (bits > 0) {
+      result += ALPHABET[(value << (5 - bits)) & 31];
+    }
+    
+    return result;
+  }
+  
+  // Base32 Decoding function
+  function decode(string) {
+    if (typeof string !== 'string') {
+      throw new TypeError('Expected string');
+    }
+    
+    const input = string.toLowerCase().replace(/=+$/, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    
+    for (const character of input) {
+      const index = ALPHABET.indexOf(character);
+      if (index === -1) {
+        throw new Error(`Invalid Base32 character: ${character}`);
+      }
+      
+      value = ((value << 5) | index) & 0xffff;
+      bits += 5;
+      
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+    
+    return Buffer.from(bytes);
+  }
+  
+  return { encode, decode };
+})();
+
+/**
+ * Multibase encoding utilities
+ * Self-describing base encodings: the first character names the base
+ */
+const multibase = (() => {
+  const PREFIXES = {
+    base16: 'f',
+    base32: 'b',
+    base58btc: 'z',
+    base64url: 'u'
+  };
+  
+  const BASES = Object.fromEntries(Object.entries(PREFIXES).map(([base, prefix]) => [prefix, base]));
+  
+  /**
+   * Encode bytes as a multibase string
+   * 
+   * @param {Buffer} buffer - Bytes to encode
+   * @param {string} base - Base name (base16, base32, base58btc or base64url)
+   * @returns {string} Multibase string
+   */
+  function encode(buffer, base = 'base58btc') {
+    switch (base) {
+      case 'base16':
+        return PREFIXES.base16 + buffer.toString('hex');
+      case 'base32':
+        return PREFIXES.base32 + base32.encode(buffer);
+      case 'base58btc':
+        return PREFIXES.base58btc + base58.encode(buffer);
+      case 'base64url':
+        return PREFIXES.base64url + buffer.toString('base64url');
+      default:
+        throw new Error(`Unsupported multibase: ${base}`);
+    }
+  }
+  
+  /**
+   * Decode a multibase string
+   * 
+   * @param {string} string - Multibase string
+   * @returns {Object} Decoded {base, bytes}
+   */
+  function decode(string) {
+    if (typeof string !== 'string' || string.length === 0) {
+      throw new TypeError('Expected a non-empty multibase string');
+    }
+    
+    const base = BASES[string[0]];
+    const data = string.substring(1);
+    
+    switch (base) {
+      case 'base16':
+        if (!/^(?:[0-9a-f]{2})*$/.test(data)) {
+          throw new Error('Invalid base16 multibase string');
+        }
+        return { base, bytes: Buffer.from(data, 'hex') };
+      case 'base32':
+        if (!/^[a-z2-7]*$/.test(data)) {
+          throw new Error('Invalid base32 multibase string');
+        }
+        return { base, bytes: base32.decode(data) };
+      case 'base58btc':
+        return { base, bytes: base58.decode(data) };
+      case 'base64url':
+        if (!/^[A-Za-z0-9_-]*$/.test(data) || data.length % 4 === 1) {
+          throw new Error('Invalid base64url multibase string');
+        }
+        return { base, bytes: Buffer.from(data, 'base64url') };
+      default:
+        throw new Error(`Unsupported multibase prefix: ${string[0]}`);
+    }
+  }
+  
+  return { encode, decode, PREFIXES };
+})();
+
+/**
+ * Unsigned varint encoding (multiformats / LEB128)
+ * Used for multicodec and multihash prefixes
+ */
+const varint = (() => {
+  // Encode a non-negative integer as a varint
+  function encode(value) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new RangeError('Varint value must be a non-negative safe integer');
+    }
+    
+    const bytes = [];
+    do {
+      let byte = value % 128;
+      value = Math.floor(value / 128);
+      if (value > 0) {
+        byte |= 0x80;
+      }
+      bytes.push(byte);
+    } while (value > 0);
+    
+    return Buffer.from(bytes);
+  }
+  
+  // Decode a varint, returning the value and the number of bytes read
+  function decode(buffer, offset = 0) {
+    let value = 0;
+    let multiplier = 1;
+    let position = offset;
+    
+    while (true) {
+      if (position >= buffer.length) {
+        throw new Error('Truncated varint');
+      }
+      if (position - offset >= 9) {
+        throw new Error('Varint is too long');
+      }
+      
+      const byte = buffer[position++];
+      value += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+      
+      if ((byte & 0x80) === 0) {
+        break;
+      }
+    }
+    
+    return { value, bytesRead: position - offset };
+  }
+  
+  return { encode, decode };
+})();
+
 /**
  * Type-Length-Value (TLV) encoding for efficient binary representation
  * Used for compact metadata and identifier serialization
@@ -141,6 +339,16 @@ const tlv = (() => {
     SIGNATURE: 13
   };
   
+  /**
+   * Check whether a number round-trips through the integer types
+   * 
+   * @param {number} value - Number to check
+   * @returns {boolean} True for safe integers other than -0
+   */
+  function isExactInteger(value) {
+    return Number.isSafeInteger(value) && !Object.is(value, -0);
+  }
+  
   /**
    * Encode data in TLV format
    * 
@@ -157,7 +365,7 @@ const tlv = (() => {
     } else if (typeof value === 'string') {
       valueBuffer = Buffer.from(value, 'utf8');
     } else if (typeof value === 'number') {
-      if (Number.isInteger(value)) {
+      if (isExactInteger(value)) {
         if (value >= 0) {
           // Encode as unsigned integer
           const intBuffer = Buffer.alloc(8);
@@ -174,7 +382,7 @@ const tlv = (() => {
           valueBuffer = intBuffer;
         }
       } else {
-        // Encode as float
+        // Encode as float, as are integers beyond 2^53 that a number cannot hold exactly
         valueBuffer = Buffer.alloc(8);
         valueBuffer.writeDoubleBE(value, 0);
       }
@@ -318,7 +526,7 @@ const tlv = (() => {
         const endOffset = valueOffset + length;
         
         while (arrayOffset < endOffset) {
-          const { type: elementType, value: elementValue, bytesRead } = decode(buffer, arrayOffset);
+          const { value: elementValue, bytesRead } = decode(buffer, arrayOffset);
           value.push(elementValue);
           arrayOffset += bytesRead;
         }
@@ -367,7 +575,7 @@ const tlv = (() => {
     } else if (typeof value === 'boolean') {
       return TYPES.BOOLEAN;
     } else if (typeof value === 'number') {
-      if (Number.isInteger(value)) {
+      if (isExactInteger(value)) {
         return value >= 0 ? TYPES.UINT : TYPES.INT;
       } else {
         return TYPES.FLOAT;
@@ -389,58 +597,985 @@ const tlv = (() => {
 })();
 
 /**
- * CBOR (Concise Binary Object Representation) encoding
- * Used for efficient, schema-less data exchange
+ * JSON Canonicalization Scheme (RFC 8785)
+ * Deterministic JSON text for hashing and signing: object members sorted by the
+ * UTF-16 code units of their names, no insignificant whitespace, and numbers and
+ * strings serialized as ECMAScript JSON.stringify does
  */
-class CBOREncoder {
-  // CBOR implementation would go here
-  // For brevity, we'll use a placeholder that would be replaced with a full implementation
-  static encode(value) {
-    // Placeholder for CBOR encoding
-    return Buffer.from(JSON.stringify(value));
+const jcs = (() => {
+  /**
+   * Serialize a value to canonical JSON text
+   * 
+   * @param {*} value - JSON compatible value (toJSON methods are honoured)
+   * @returns {string} Canonical JSON
+   */
+  function canonicalize(value) {
+    const serialized = serialize(value);
+    if (serialized === undefined) {
+      throw new Error('Cannot canonicalize an undefined value');
+    }
+    return serialized;
   }
   
-  static decode(buffer) {
-    // Placeholder for CBOR decoding
-    return JSON.parse(buffer.toString());
+  /**
+   * Serialize a value, returning undefined for members JSON would omit
+   * 
+   * @param {*} value - Value to serialize
+   * @returns {string|undefined} Canonical JSON
+   */
+  function serialize(value) {
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+      value = value.toJSON();
+    }
+    
+    if (value === null) {
+      return 'null';
+    }
+    
+    switch (typeof value) {
+      case 'boolean':
+      case 'string':
+        return JSON.stringify(value);
+        
+      case 'number':
+        if (!Number.isFinite(value)) {
+          throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+        }
+        // ECMAScript number serialization is the one RFC 8785 prescribes
+        return JSON.stringify(value);
+        
+      case 'bigint':
+        throw new Error('Cannot canonicalize BigInt values; use a string or number');
+        
+      case 'undefined':
+      case 'function':
+      case 'symbol':
+        return undefined;
+    }
+    
+    if (Array.isArray(value)) {
+      return `[${value.map(element => serialize(element) ?? 'null').join(',')}]`;
+    }
+    
+    // Default sort compares UTF-16 code units, as the RFC requires
+    const members = [];
+    for (const key of Object.keys(value).sort()) {
+      const member = serialize(value[key]);
+      if (member !== undefined) {
+        members.push(`${JSON.stringify(key)}:${member}`);
+      }
+    }
+    return `{${members.join(',')}}`;
+  }
+  
+  /**
+   * Serialize a value to canonical JSON as UTF-8 bytes
+   * 
+   * @param {*} value - JSON compatible value
+   * @returns {Buffer} UTF-8 encoded canonical JSON
+   */
+  function encode(value) {
+    return Buffer.from(canonicalize(value), 'utf8');
+  }
+  
+  return { canonicalize, encode };
+})();
+
+/**
+ * CBOR tag numbers with built-in support
+ */
+const CBOR_TAGS = {
+  DATE_STRING: 0,
+  EPOCH_DATE: 1,
+  POSITIVE_BIGNUM: 2,
+  NEGATIVE_BIGNUM: 3,
+  CID: 42,
+  SELF_DESCRIBED: 55799
+};
+
+/**
+ * A tagged CBOR data item without built-in support
+ */
+class CBORTag {
+  /**
+   * @param {number} tag - Tag number
+   * @param {*} value - Tag content
+   */
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+/**
+ * An unassigned CBOR simple value
+ */
+class CBORSimple {
+  /**
+   * @param {number} value - Simple value (0-19 or 32-255)
+   */
+  constructor(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 255 || (value >= 20 && value < 32)) {
+      throw new Error(`Invalid CBOR simple value: ${value}`);
+    }
+    this.value = value;
   }
 }
 
+/**
+ * Concise Binary Object Representation (RFC 8949)
+ *
+ * Encoding always uses preferred serialization (shortest heads, shortest exact
+ * float); with the default `canonical` option map keys are also sorted by their
+ * encoded bytes, which gives the core deterministic encoding of RFC 8949 section 4.2.
+ * Dates are written as tag 1 and CIDs as tag 42.
+ */
+const CBOREncoder = (() => {
+  const MAJOR = {
+    UNSIGNED: 0,
+    NEGATIVE: 1,
+    BYTES: 2,
+    TEXT: 3,
+    ARRAY: 4,
+    MAP: 5,
+    TAG: 6,
+    SIMPLE: 7
+  };
+
+  const DEFAULT_OPTIONS = {
+    canonical: true,          // Sort map keys by their encoded bytes
+    useMaps: false,           // Decode every map as a Map instead of plain objects
+    maxDepth: 64,             // Maximum nesting of arrays, maps and tags
+    maxLength: 1 << 24,       // Maximum declared length of a string, array or map
+    maxSize: 16 * 1024 * 1024, // Maximum size in bytes of one encoded item
+    tags: {}                  // Extra tag decoders: { [tag]: value => decoded }
+  };
+
+  const BREAK = Symbol('break');
+  const TWO_POW_64 = 1n << 64n;
+  const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+  // Raised when the input ends inside a data item
+  class IncompleteInputError extends Error {}
+
+  // CID support is loaded lazily because cid.js depends on this module
+  let CID = null;
+  function getCID() {
+    if (!CID) {
+      CID = require('./cid').CID;
+    }
+    return CID;
+  }
+
+  // ---- Half-precision floats ----
+
+  function float16ToNumber(half) {
+    const sign = half & 0x8000 ? -1 : 1;
+    const exponent = (half >> 10) & 0x1f;
+    const mantissa = half & 0x3ff;
+
+    if (exponent === 0) {
+      return sign * mantissa * 2 ** -24;
+    }
+    if (exponent === 0x1f) {
+      return mantissa ? NaN : sign * Infinity;
+    }
+    return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+  }
+
+  // Returns the half-precision bits of a value, or null if it is not exactly representable
+  function numberToFloat16(value) {
+    if (Number.isNaN(value)) {
+      return 0x7e00;
+    }
+    if (Math.fround(value) !== value) {
+      return null;
+    }
+
+    const single = Buffer.alloc(4);
+    single.writeFloatBE(value, 0);
+    const bits = single.readUInt32BE(0);
+
+    const sign = (bits >>> 16) & 0x8000;
+    const exponent = (bits >>> 23) & 0xff;
+    const mantissa = bits & 0x7fffff;
+
+    if (exponent === 0xff) {
+      return sign | 0x7c00;
+    }
+    if (exponent === 0 && mantissa === 0) {
+      return sign;
+    }
+
+    const halfExponent = exponent - 127 + 15;
+    if (halfExponent >= 0x1f) {
+      return null;
+    }
+
+    if (halfExponent <= 0) {
+      // Subnormal half: value = m * 2^-24
+      const full = mantissa | 0x800000;
+      const shift = 126 - exponent;
+      if (shift > 24 || (full & ((1 << shift) - 1)) !== 0) {
+        return null;
+      }
+      return sign | (full >> shift);
+    }
+
+    if ((mantissa & 0x1fff) !== 0) {
+      return null;
+    }
+    return sign | (halfExponent << 10) | (mantissa >> 13);
+  }
+
+  // ---- Encoding ----
+
+  function encodeHead(major, argument) {
+    const value = typeof argument === 'bigint' ? argument : BigInt(argument);
+    const type = major << 5;
+
+    if (value < 24n) {
+      return Buffer.from([type | Number(value)]);
+    }
+    if (value < 0x100n) {
+      return Buffer.from([type | 24, Number(value)]);
+    }
+    if (value < 0x10000n) {
+      const head = Buffer.alloc(3);
+      head[0] = type | 25;
+      head.writeUInt16BE(Number(value), 1);
+      return head;
+    }
+    if (value < 0x100000000n) {
+      const head = Buffer.alloc(5);
+      head[0] = type | 26;
+      head.writeUInt32BE(Number(value), 1);
+      return head;
+    }
+
+    const head = Buffer.alloc(9);
+    head[0] = type | 27;
+    head.writeBigUInt64BE(value, 1);
+    return head;
+  }
+
+  function encodeFloat(value) {
+    const half = numberToFloat16(value);
+    if (half !== null) {
+      const buffer = Buffer.alloc(3);
+      buffer[0] = 0xf9;
+      buffer.writeUInt16BE(half, 1);
+      return buffer;
+    }
+
+    if (Math.fround(value) === value) {
+      const buffer = Buffer.alloc(5);
+      buffer[0] = 0xfa;
+      buffer.writeFloatBE(value, 1);
+      return buffer;
+    }
+
+    const buffer = Buffer.alloc(9);
+    buffer[0] = 0xfb;
+    buffer.writeDoubleBE(value, 1);
+    return buffer;
+  }
+
+  function encodeBigInt(value) {
+    if (value >= 0n && value < TWO_POW_64) {
+      return encodeHead(MAJOR.UNSIGNED, value);
+    }
+    if (value < 0n && -1n - value < TWO_POW_64) {
+      return encodeHead(MAJOR.NEGATIVE, -1n - value);
+    }
+
+    // Bignums: tag 2 / tag 3 over the big-endian magnitude
+    const negative = value < 0n;
+    const magnitude = negative ? -1n - value : value;
+    let hex = magnitude.toString(16);
+    if (hex.length % 2) hex = `0${hex}`;
+
+    return Buffer.concat([
+      encodeHead(MAJOR.TAG, negative ? CBOR_TAGS.NEGATIVE_BIGNUM : CBOR_TAGS.POSITIVE_BIGNUM),
+      encodeBytes(Buffer.from(hex, 'hex'))
+    ]);
+  }
+
+  function encodeBytes(bytes) {
+    return Buffer.concat([encodeHead(MAJOR.BYTES, bytes.length), bytes]);
+  }
+
+  function encodeText(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    return Buffer.concat([encodeHead(MAJOR.TEXT, bytes.length), bytes]);
+  }
+
+  function encodeMap(entries, options, depth) {
+    const encoded = entries.map(([key, value]) => [
+      encodeItem(key, options, depth + 1),
+      encodeItem(value, options, depth + 1)
+    ]);
+
+    if (options.canonical) {
+      encoded.sort((a, b) => Buffer.compare(a[0], b[0]));
+      for (let i = 1; i < encoded.length; i++) {
+        if (encoded[i][0].equals(encoded[i - 1][0])) {
+          throw new Error('CBOR map has duplicate keys');
+        }
+      }
+    }
+
+    return Buffer.concat([
+      encodeHead(MAJOR.MAP, encoded.length),
+      ...encoded.flat()
+    ]);
+  }
+
+  function encodeItem(value, options, depth) {
+    if (depth > options.maxDepth) {
+      throw new Error(`CBOR nesting exceeds the maximum depth of ${options.maxDepth}`);
+    }
+
+    switch (typeof value) {
+      case 'undefined':
+        return Buffer.from([0xf7]);
+      case 'boolean':
+        return Buffer.from([value ? 0xf5 : 0xf4]);
+      case 'string':
+        return encodeText(value);
+      case 'bigint':
+        return encodeBigInt(value);
+      case 'number':
+        if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+          return value >= 0
+            ? encodeHead(MAJOR.UNSIGNED, value)
+            : encodeHead(MAJOR.NEGATIVE, -1 - value);
+        }
+        return encodeFloat(value);
+      case 'object':
+        break;
+      default:
+        throw new Error(`Cannot encode ${typeof value} as CBOR`);
+    }
+
+    if (value === null) {
+      return Buffer.from([0xf6]);
+    }
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      return encodeBytes(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+    }
+    if (Array.isArray(value)) {
+      return Buffer.concat([
+        encodeHead(MAJOR.ARRAY, value.length),
+        ...value.map(element => encodeItem(element, options, depth + 1))
+      ]);
+    }
+    if (value instanceof Map) {
+      return encodeMap([...value.entries()], options, depth);
+    }
+    if (value instanceof Date) {
+      const time = value.getTime();
+      if (isNaN(time)) {
+        throw new Error('Cannot encode an invalid Date as CBOR');
+      }
+      return Buffer.concat([
+        encodeHead(MAJOR.TAG, CBOR_TAGS.EPOCH_DATE),
+        encodeItem(time / 1000, options, depth + 1)
+      ]);
+    }
+    if (value instanceof CBORTag) {
+      return Buffer.concat([
+        encodeHead(MAJOR.TAG, value.tag),
+        encodeItem(value.value, options, depth + 1)
+      ]);
+    }
+    if (value instanceof CBORSimple) {
+      return value.value < 24
+        ? Buffer.from([0xe0 | value.value])
+        : Buffer.from([0xf8, value.value]);
+    }
+    if (getCID().isCID(value)) {
+      // Tag 42 content is the binary CID behind the identity multibase prefix
+      return Buffer.concat([
+        encodeHead(MAJOR.TAG, CBOR_TAGS.CID),
+        encodeBytes(Buffer.concat([Buffer.from([0x00]), value.bytes]))
+      ]);
+    }
+
+    return encodeMap(Object.entries(value), options, depth);
+  }
+
+  // ---- Decoding ----
+
+  function need(state, length) {
+    if (state.offset + length > state.buffer.length) {
+      throw new IncompleteInputError('Unexpected end of CBOR data');
+    }
+  }
+
+  function readArgument(state, info) {
+    if (info < 24) {
+      return info;
+    }
+
+    const { buffer } = state;
+    let value;
+    switch (info) {
+      case 24:
+        need(state, 1);
+        value = buffer[state.offset];
+        state.offset += 1;
+        return value;
+      case 25:
+        need(state, 2);
+        value = buffer.readUInt16BE(state.offset);
+        state.offset += 2;
+        return value;
+      case 26:
+        need(state, 4);
+        value = buffer.readUInt32BE(state.offset);
+        state.offset += 4;
+        return value;
+      case 27:
+        need(state, 8);
+        value = buffer.readBigUInt64BE(state.offset);
+        state.offset += 8;
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+      case 31:
+        return null;
+      default:
+        throw new Error(`Malformed CBOR: reserved additional information ${info}`);
+    }
+  }
+
+  function checkLength(state, length) {
+    if (typeof length === 'bigint' || length > state.options.maxLength) {
+      throw new Error(`CBOR item length ${length} exceeds the limit of ${state.options.maxLength}`);
+    }
+  }
+
+  function readString(state, major, length) {
+    if (length === null) {
+      // Indefinite length: a series of definite chunks of the same major type
+      const chunks = [];
+      let total = 0;
+      for (;;) {
+        need(state, 1);
+        const initial = state.buffer[state.offset++];
+        if (initial === 0xff) break;
+        if (initial >> 5 !== major || (initial & 0x1f) === 31) {
+          throw new Error('Malformed CBOR: invalid chunk in indefinite-length string');
+        }
+        const chunk = readString(state, major, readArgument(state, initial & 0x1f));
+        total += chunk.length;
+        checkLength(state, total);
+        chunks.push(major === MAJOR.TEXT ? Buffer.from(chunk, 'utf8') : chunk);
+      }
+      const bytes = Buffer.concat(chunks);
+      return major === MAJOR.TEXT ? textDecoder.decode(bytes) : bytes;
+    }
+
+    checkLength(state, length);
+    need(state, length);
+    const bytes = state.buffer.subarray(state.offset, state.offset + length);
+    state.offset += length;
+
+    if (major === MAJOR.TEXT) {
+      try {
+        return textDecoder.decode(bytes);
+      } catch (error) {
+        throw new Error('Malformed CBOR: invalid UTF-8 in text string');
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  function readArray(state, length, depth) {
+    const array = [];
+    if (length !== null) {
+      checkLength(state, length);
+    }
+
+    while (length === null || array.length < length) {
+      const element = decodeItem(state, depth + 1, length === null);
+      if (element === BREAK) break;
+      array.push(element);
+      if (length === null) checkLength(state, array.length);
+    }
+    return array;
+  }
+
+  function readMap(state, length, depth) {
+    const entries = [];
+    const seen = new Set();
+    if (length !== null) {
+      checkLength(state, length);
+    }
+
+    while (length === null || entries.length < length) {
+      const keyStart = state.offset;
+      const key = decodeItem(state, depth + 1, length === null);
+      if (key === BREAK) break;
+
+      const keyBytes = state.buffer.toString('hex', keyStart, state.offset);
+      if (seen.has(keyBytes)) {
+        throw new Error('Malformed CBOR: duplicate map key');
+      }
+      seen.add(keyBytes);
+
+      entries.push([key, decodeItem(state, depth + 1, false)]);
+      if (length === null) checkLength(state, entries.length);
+    }
+
+    if (state.options.useMaps || entries.some(([key]) => typeof key !== 'string')) {
+      return new Map(entries);
+    }
+
+    const object = {};
+    for (const [key, value] of entries) {
+      // defineProperty keeps keys such as "__proto__" as plain data
+      Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+    }
+    return object;
+  }
+
+  function decodeTag(state, tag, value) {
+    const custom = state.options.tags[tag];
+    if (typeof custom === 'function') {
+      return custom(value);
+    }
+
+    switch (tag) {
+      case CBOR_TAGS.DATE_STRING:
+        if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+          throw new Error('Malformed CBOR: tag 0 requires a date/time string');
+        }
+        return new Date(value);
+
+      case CBOR_TAGS.EPOCH_DATE:
+        if (typeof value !== 'number') {
+          throw new Error('Malformed CBOR: tag 1 requires a numeric epoch time');
+        }
+        return new Date(value * 1000);
+
+      case CBOR_TAGS.POSITIVE_BIGNUM:
+      case CBOR_TAGS.NEGATIVE_BIGNUM: {
+        if (!Buffer.isBuffer(value)) {
+          throw new Error(`Malformed CBOR: tag ${tag} requires a byte string`);
+        }
+        const magnitude = value.length > 0 ? BigInt(`0x${value.toString('hex')}`) : 0n;
+        return tag === CBOR_TAGS.POSITIVE_BIGNUM ? magnitude : -1n - magnitude;
+      }
+
+      case CBOR_TAGS.CID:
+        if (!Buffer.isBuffer(value) || value[0] !== 0x00) {
+          throw new Error('Malformed CBOR: tag 42 requires a byte string with a 0x00 prefix');
+        }
+        return getCID().decode(value.subarray(1));
+
+      case CBOR_TAGS.SELF_DESCRIBED:
+        return value;
+
+      default:
+        return new CBORTag(tag, value);
+    }
+  }
+
+  function decodeItem(state, depth = 0, allowBreak = false) {
+    if (depth > state.options.maxDepth) {
+      throw new Error(`CBOR nesting exceeds the maximum depth of ${state.options.maxDepth}`);
+    }
+
+    need(state, 1);
+    const initial = state.buffer[state.offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (major === MAJOR.SIMPLE) {
+      return decodeSimple(state, info, allowBreak);
+    }
+
+    const argument = readArgument(state, info);
+    if (argument === null && major < MAJOR.BYTES) {
+      throw new Error(`Malformed CBOR: indefinite length for major type ${major}`);
+    }
+    if (argument === null && major === MAJOR.TAG) {
+      throw new Error('Malformed CBOR: indefinite length tag');
+    }
+
+    switch (major) {
+      case MAJOR.UNSIGNED:
+        return argument;
+      case MAJOR.NEGATIVE:
+        if (typeof argument === 'bigint' || argument >= Number.MAX_SAFE_INTEGER) {
+          return -1n - BigInt(argument);
+        }
+        return -1 - argument;
+      case MAJOR.BYTES:
+      case MAJOR.TEXT:
+        return readString(state, major, argument);
+      case MAJOR.ARRAY:
+        return readArray(state, argument, depth);
+      case MAJOR.MAP:
+        return readMap(state, argument, depth);
+      default:
+        return decodeTag(state, Number(argument), decodeItem(state, depth + 1, false));
+    }
+  }
+
+  function decodeSimple(state, info, allowBreak) {
+    switch (info) {
+      case 20: return false;
+      case 21: return true;
+      case 22: return null;
+      case 23: return undefined;
+      case 24: {
+        need(state, 1);
+        const value = state.buffer[state.offset++];
+        if (value < 32) {
+          throw new Error(`Malformed CBOR: simple value ${value} must use the short form`);
+        }
+        return new CBORSimple(value);
+      }
+      case 25:
+        need(state, 2);
+        state.offset += 2;
+        return float16ToNumber(state.buffer.readUInt16BE(state.offset - 2));
+      case 26:
+        need(state, 4);
+        state.offset += 4;
+        return state.buffer.readFloatBE(state.offset - 4);
+      case 27:
+        need(state, 8);
+        state.offset += 8;
+        return state.buffer.readDoubleBE(state.offset - 8);
+      case 31:
+        if (!allowBreak) {
+          throw new Error('Malformed CBOR: unexpected break');
+        }
+        return BREAK;
+      default:
+        if (info < 20) {
+          return new CBORSimple(info);
+        }
+        throw new Error(`Malformed CBOR: reserved additional information ${info}`);
+    }
+  }
+
+  // Decode one item starting at offset; throws IncompleteInputError on truncated data
+  function decodeFrom(buffer, offset, options) {
+    const state = { buffer, offset, options };
+    const value = decodeItem(state);
+
+    if (state.offset - offset > options.maxSize) {
+      throw new Error(`CBOR item exceeds the size limit of ${options.maxSize} bytes`);
+    }
+    return { value, offset: state.offset };
+  }
+
+  function toBuffer(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (data instanceof Uint8Array) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    throw new TypeError('Expected Buffer or Uint8Array');
+  }
+
+  function rethrowIncomplete(error) {
+    if (error instanceof IncompleteInputError) {
+      throw new Error(error.message);
+    }
+    throw error;
+  }
+
+  /**
+   * Incremental decoder for CBOR sequences (RFC 8742) arriving in chunks
+   */
+  class CBORDecoder {
+    /**
+     * Create a streaming decoder
+     * @param {Object} options - Decoding options (see CBOREncoder.decode)
+     */
+    constructor(options = {}) {
+      this.options = { ...DEFAULT_OPTIONS, ...options };
+      this._buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Number of bytes buffered for an incomplete item
+     * @returns {number}
+     */
+    get pending() {
+      return this._buffer.length;
+    }
+
+    /**
+     * Add a chunk of input and decode every item it completes
+     * @param {Buffer|Uint8Array} chunk - Next chunk of the CBOR sequence
+     * @returns {Array} Items completed by this chunk
+     */
+    write(chunk) {
+      const bytes = toBuffer(chunk);
+      this._buffer = this._buffer.length > 0 ? Buffer.concat([this._buffer, bytes]) : bytes;
+
+      const items = [];
+      let offset = 0;
+      while (offset < this._buffer.length) {
+        let result;
+        try {
+          result = decodeFrom(this._buffer, offset, this.options);
+        } catch (error) {
+          if (error instanceof IncompleteInputError) break;
+          throw error;
+        }
+        items.push(result.value);
+        offset = result.offset;
+      }
+
+      this._buffer = Buffer.from(this._buffer.subarray(offset));
+      if (this._buffer.length > this.options.maxSize) {
+        throw new Error(`CBOR item exceeds the size limit of ${this.options.maxSize} bytes`);
+      }
+
+      return items;
+    }
+
+    /**
+     * Signal the end of input
+     * @throws {Error} If an item is still incomplete
+     */
+    end() {
+      if (this._buffer.length > 0) {
+        throw new Error(`Unexpected end of CBOR stream with ${this._buffer.length} bytes pending`);
+      }
+    }
+  }
+
+  /**
+   * Encode a value as CBOR
+   *
+   * @param {*} value - Value to encode
+   * @param {Object} options - Encoding options
+   * @param {boolean} options.canonical - Sort map keys (default true)
+   * @param {number} options.maxDepth - Maximum nesting depth
+   * @returns {Buffer} CBOR bytes
+   */
+  function encode(value, options = {}) {
+    return encodeItem(value, { ...DEFAULT_OPTIONS, ...options }, 0);
+  }
+
+  /**
+   * Decode a single CBOR data item
+   *
+   * @param {Buffer|Uint8Array} buffer - CBOR bytes
+   * @param {Object} options - Decoding options
+   * @param {boolean} options.useMaps - Return Map instances for all maps
+   * @param {number} options.maxDepth - Maximum nesting depth
+   * @param {number} options.maxLength - Maximum string, array or map length
+   * @param {number} options.maxSize - Maximum encoded size in bytes
+   * @param {Object} options.tags - Decoders for additional tags
+   * @returns {*} Decoded value
+   */
+  function decode(buffer, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const bytes = toBuffer(buffer);
+
+    let result;
+    try {
+      result = decodeFrom(bytes, 0, opts);
+    } catch (error) {
+      rethrowIncomplete(error);
+    }
+
+    if (result.offset !== bytes.length) {
+      throw new Error(`Unexpected ${bytes.length - result.offset} trailing bytes after CBOR item`);
+    }
+    return result.value;
+  }
+
+  /**
+   * Decode a CBOR sequence (RFC 8742) held in one buffer
+   *
+   * @param {Buffer|Uint8Array} buffer - Concatenated CBOR items
+   * @param {Object} options - Decoding options
+   * @returns {Array} Decoded items
+   */
+  function decodeSequence(buffer, options = {}) {
+    const decoder = new CBORDecoder(options);
+    const items = decoder.write(buffer);
+    decoder.end();
+    return items;
+  }
+
+  /**
+   * Decode CBOR items from a stream of chunks
+   *
+   * @param {AsyncIterable<Buffer>} source - Readable stream or other async iterable
+   * @param {Object} options - Decoding options
+   * @returns {AsyncGenerator} Decoded items in order
+   */
+  async function* decodeStream(source, options = {}) {
+    const decoder = new CBORDecoder(options);
+    for await (const chunk of source) {
+      yield* decoder.write(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    decoder.end();
+  }
+
+  return {
+    encode,
+    decode,
+    decodeSequence,
+    decodeStream,
+    CBORDecoder,
+    TAGS: CBOR_TAGS
+  };
+})();
+
 /**
  * JSON-LD utilities for linked data manipulation
+ *
+ * Wraps jsonld.js with the offline document loader from ./document_loader, so
+ * processing only ever uses the bundled context documents. Pass
+ * options.documentLoader to use another loader.
  */
 class JSONLDUtil {
+  /**
+   * Load jsonld.js on first use
+   * @returns {Object} jsonld.js module
+   * @private
+   */
+  static _jsonld() {
+    if (!JSONLDUtil._processor) {
+      JSONLDUtil._processor = require('jsonld');
+    }
+    return JSONLDUtil._processor;
+  }
+
+  /**
+   * Add the default document loader to processing options
+   * @param {Object} options - jsonld.js options
+   * @returns {Object} Options with a document loader
+   * @private
+   */
+  static _options(options = {}) {
+    return { documentLoader, ...options };
+  }
+
   /**
    * Compact a JSON-LD document according to a context
    * 
    * @param {Object} document - The JSON-LD document
-   * @param {Object|string} context - The JSON-LD context
-   * @returns {Object} The compacted document
+   * @param {Object|string|Array} context - The JSON-LD context
+   * @param {Object} options - jsonld.js compaction options
+   * @returns {Promise<Object>} The compacted document
    */
-  static compact(document, context) {
-    // Placeholder implementation
-    // Would integrate with a JSON-LD library
-    return {
-      ...document,
-      '@context': context
-    };
+  static async compact(document, context, options = {}) {
+    return JSONLDUtil._jsonld().compact(document, context, JSONLDUtil._options(options));
   }
   
   /**
    * Expand a JSON-LD document
    * 
    * @param {Object} document - The JSON-LD document
-   * @returns {Object} The expanded document
+   * @param {Object} options - jsonld.js expansion options
+   * @returns {Promise<Array>} The expanded document
+   */
+  static async expand(document, options = {}) {
+    return JSONLDUtil._jsonld().expand(document, JSONLDUtil._options(options));
+  }
+
+  /**
+   * Flatten a JSON-LD document into a single node graph
+   * 
+   * @param {Object} document - The JSON-LD document
+   * @param {Object|string|Array} context - Context to compact the result with (null for expanded form)
+   * @param {Object} options - jsonld.js flattening options
+   * @returns {Promise<Object>} The flattened document
+   */
+  static async flatten(document, context = null, options = {}) {
+    return JSONLDUtil._jsonld().flatten(document, context, JSONLDUtil._options(options));
+  }
+
+  /**
+   * Frame a JSON-LD document
+   * 
+   * @param {Object} document - The JSON-LD document
+   * @param {Object} frame - The JSON-LD frame
+   * @param {Object} options - jsonld.js framing options
+   * @returns {Promise<Object>} The framed document
+   */
+  static async frame(document, frame, options = {}) {
+    return JSONLDUtil._jsonld().frame(document, frame, JSONLDUtil._options(options));
+  }
+
+  /**
+   * Convert a JSON-LD document to an RDF dataset in N-Quads
+   * 
+   * @param {Object} document - The JSON-LD document
+   * @param {Object} options - jsonld.js conversion options
+   * @returns {Promise<string>} N-Quads
+   */
+  static async toRDF(document, options = {}) {
+    return JSONLDUtil._jsonld().toRDF(document, JSONLDUtil._options({
+      format: 'application/n-quads',
+      ...options
+    }));
+  }
+
+  /**
+   * Canonicalize a JSON-LD document to N-Quads
+   *
+   * Uses RDF Dataset Canonicalization (RDFC-1.0, published earlier as
+   * URDNA2015), so the result is independent of key order, blank node labels
+   * and the way the document was framed. Processing runs in safe mode: terms
+   * that no context defines fail the call instead of being dropped silently.
+   * 
+   * @param {Object} document - The JSON-LD document
+   * @param {Object} options - Canonicalization options
+   * @param {string} options.algorithm - 'RDFC-1.0' (default) or 'URDNA2015'
+   * @param {boolean} options.safe - Reject lossy documents (default true)
+   * @returns {Promise<string>} Canonical N-Quads
+   */
+  static async canonize(document, options = {}) {
+    const { algorithm = 'RDFC-1.0', ...rest } = options;
+    if (!['RDFC-1.0', 'URDNA2015'].includes(algorithm)) {
+      throw new Error(`Unsupported canonicalization algorithm: ${algorithm}`);
+    }
+
+    return JSONLDUtil._jsonld().canonize(document, JSONLDUtil._options({
+      safe: true,
+      ...rest,
+      // RDFC-1.0 is the standardized URDNA2015 and produces identical output
+      algorithm: 'URDNA2015',
+      format: 'application/n-quads'
+    }));
+  }
+
+  /**
+   * Hash the canonical N-Quads of a JSON-LD document
+   * 
+   * @param {Object} document - The JSON-LD document
+   * @param {Object} options - Canonicalization options (see canonize)
+   * @param {string} options.hashAlgorithm - Node.js hash algorithm (default sha256)
+   * @returns {Promise<string>} Hex encoded digest
    */
-  static expand(document) {
-    // Placeholder implementation
-    return document;
+  static async hash(document, options = {}) {
+    const { hashAlgorithm = 'sha256', ...rest } = options;
+    const canonical = await JSONLDUtil.canonize(document, rest);
+    return crypto.createHash(hashAlgorithm).update(canonical, 'utf8').digest('hex');
   }
 }
 
 module.exports = {
   base58,
+  base32,
+  multibase,
+  varint,
   tlv,
+  jcs,
   CBOREncoder,
+  CBORDecoder: CBOREncoder.CBORDecoder,
+  CBORTag,
+  CBORSimple,
+  CBOR_TAGS,
   JSONLDUtil
 };
@@ -12,41 +12,39 @@
  * - Compression and encoding techniques for efficient representation
  */
 const crypto = require('crypto');
+const { Ed25519KeyPair } = require('../core/crypto');
+const { jcs, multibase, tlv } = require('../core/encoding');
+const { multihash } = require('../core/cid');
+const { defaultRegistry, RESOURCE_TYPES, DID_METHODS } = require('./did_method_registry');
 
 /**
- * Digital resource types supported by the DID factory
+ * Compression formats for DIDs
  */
-const RESOURCE_TYPES = {
-  TEXT: 'text',
-  IMAGE: 'image',
-  AUDIO: 'audio',
-  VIDEO: 'video',
-  AI_MODEL: 'ai-model',
-  DATASET: 'dataset',
-  CODE: 'code',
-  GENERIC: 'generic'
+const COMPRESSION_FORMATS = {
+  NONE: 'none',
+  BASE58: 'base58',
+  BASE64URL: 'base64url',
+  HEX: 'hex',
+  TLV: 'tlv'
 };
 
 /**
- * DID methods supported by the factory
+ * Multibase used for the identifier multihash of each compression format.
+ * Every format has its own prefix, so the format can be read back from a DID.
  */
-const DID_METHODS = {
-  ASSET: 'asset',
-  KEY: 'key',
-  WEB: 'web',
-  ETHR: 'ethr',
-  ION: 'ion'
+const COMPRESSION_MULTIBASES = {
+  [COMPRESSION_FORMATS.BASE58]: 'base58btc',
+  [COMPRESSION_FORMATS.BASE64URL]: 'base64url',
+  [COMPRESSION_FORMATS.HEX]: 'base16',
+  [COMPRESSION_FORMATS.TLV]: 'base32'
 };
 
 /**
- * Compression formats for DIDs
+ * Canonicalization applied to object resources before hashing
  */
-const COMPRESSION_FORMATS = {
-  NONE: 'none',
-  BASE58: 'base58',
-  BASE64URL: 'base64url',
-  HEX: 'hex',
-  TLV: 'tlv'
+const HASH_MODES = {
+  JCS: 'jcs',           // RFC 8785 JSON Canonicalization Scheme
+  LEGACY: 'legacy'      // JSON.stringify with sorted top-level keys (identifiers generated before JCS)
 };
 
 /**
@@ -56,11 +54,14 @@ class DIDFactory {
   /**
    * Initialize the DID factory
    * @param {Object} options - Configuration options
+   * @param {DIDMethodRegistry} options.registry - DID method registry (default: the shared registry)
    */
   constructor(options = {}) {
     this.options = {
       defaultMethod: DID_METHODS.ASSET,
       defaultCompression: COMPRESSION_FORMATS.BASE64URL,
+      hashMode: HASH_MODES.JCS,
+      hashAlgorithm: 'sha256',
       methodMappings: {
         [RESOURCE_TYPES.TEXT]: DID_METHODS.ASSET,
         [RESOURCE_TYPES.IMAGE]: DID_METHODS.ASSET,
@@ -73,16 +74,19 @@ class DIDFactory {
       },
       ...options
     };
+    
+    this.registry = this.options.registry || defaultRegistry;
   }
 
   /**
    * Generate a cryptographic hash for a resource
    * @param {Buffer|string|Object} resource - Resource to hash
-   * @param {string} algorithm - Hash algorithm (default: 'sha256')
+   * @param {string} algorithm - Hash algorithm (default: the factory's hashAlgorithm)
+   * @param {string} mode - Canonicalization for objects (from HASH_MODES)
    * @returns {string} Hash in hex format
    * @private
    */
-  _generateHash(resource, algorithm = 'sha256') {
+  _generateHash(resource, algorithm = this.options.hashAlgorithm, mode = this.options.hashMode) {
     const hash = crypto.createHash(algorithm);
     
     if (Buffer.isBuffer(resource)) {
@@ -90,8 +94,7 @@ class DIDFactory {
     } else if (typeof resource === 'string') {
       hash.update(resource);
     } else if (typeof resource === 'object') {
-      // For objects, convert to a canonical JSON representation
-      hash.update(JSON.stringify(resource, Object.keys(resource).sort()));
+      hash.update(this._canonicalize(resource, mode));
     } else {
       throw new Error(`Unsupported resource type for hashing: ${typeof resource}`);
     }
@@ -99,15 +102,60 @@ class DIDFactory {
     return hash.digest('hex');
   }
 
+  /**
+   * Convert an object resource to its canonical form for hashing
+   * @param {Object} resource - Resource to canonicalize
+   * @param {string} mode - Canonicalization mode (from HASH_MODES)
+   * @returns {string} Canonical JSON
+   * @private
+   */
+  _canonicalize(resource, mode) {
+    switch (mode) {
+      case HASH_MODES.JCS:
+        return jcs.canonicalize(resource);
+        
+      case HASH_MODES.LEGACY:
+        // Only reproduces earlier identifiers: the replacer array also filters
+        // nested objects down to the top-level key names
+        return JSON.stringify(resource, Object.keys(resource).sort());
+        
+      default:
+        throw new Error(`Unsupported hash mode: ${mode}`);
+    }
+  }
+
+  /**
+   * Describe how identifiers are derived from resources
+   * @param {Object} options - Generation options (hashMode, hashAlgorithm)
+   * @returns {Object} Derivation parameters recorded in DID documents
+   * @private
+   */
+  _identifierDerivation(options = {}) {
+    return {
+      canonicalization: options.hashMode || this.options.hashMode,
+      hashAlgorithm: options.hashAlgorithm || this.options.hashAlgorithm
+    };
+  }
+
   /**
    * Generate a unique identifier based on resource characteristics
    * @param {*} resource - The resource content or metadata
    * @param {string} resourceType - Type of the resource
    * @param {Object} specificProps - Type-specific properties
+   * @param {Object} derivation - Canonicalization and hash algorithm (see _identifierDerivation)
    * @returns {string} Unique identifier
    * @private
    */
-  _generateUniqueId(resource, resourceType, specificProps = {}) {
+  _generateUniqueId(resource, resourceType, specificProps = {}, derivation = this._identifierDerivation()) {
+    const hash = value => this._generateHash(value, derivation.hashAlgorithm, derivation.canonicalization);
+    
+    // Metadata alone does not tell two models, datasets or code files apart, so
+    // their content is hashed with it. Legacy mode keeps the metadata-only
+    // identifiers generated before content was included.
+    const withContent = metadata => (derivation.canonicalization === HASH_MODES.LEGACY || resource === undefined)
+      ? metadata
+      : { ...metadata, contentHash: hash(resource) };
+    
     // Different resource types may have different characteristics for uniqueness
     switch (resourceType) {
       case RESOURCE_TYPES.AI_MODEL:
@@ -118,7 +166,7 @@ class DIDFactory {
           trainingDatasetRef: specificProps.trainingDatasetRef || '',
           ...specificProps
         };
-        return this._generateHash({ ...modelMetadata, resourceType });
+        return hash(withContent({ ...modelMetadata, resourceType }));
         
       case RESOURCE_TYPES.DATASET:
         // For datasets, include structure, sample count, categories
@@ -128,7 +176,7 @@ class DIDFactory {
           categories: specificProps.categories || [],
           ...specificProps
         };
-        return this._generateHash({ ...datasetMetadata, resourceType });
+        return hash(withContent({ ...datasetMetadata, resourceType }));
         
       case RESOURCE_TYPES.CODE:
         // For code, including language, repo, path, etc.
@@ -138,53 +186,97 @@ class DIDFactory {
           path: specificProps.path || '',
           ...specificProps
         };
-        return this._generateHash({ ...codeMetadata, resourceType });
+        return hash(withContent({ ...codeMetadata, resourceType }));
         
       default:
         // For other resource types, use the content hash and any provided properties
         if (Buffer.isBuffer(resource) || typeof resource === 'string') {
-          return this._generateHash(resource);
+          return hash(resource);
         } else {
-          return this._generateHash({ resource, resourceType, ...specificProps });
+          return hash({ resource, resourceType, ...specificProps });
         }
     }
   }
 
   /**
    * Compress and encode an identifier
-   * @param {string} id - The identifier to compress
+   *
+   * Identifiers are self-describing: the digest is wrapped as a multihash (which
+   * names the hash function) and written in the multibase of the compression
+   * format. TLV wraps the multihash in a COMPACT_DID TLV element first. NONE
+   * keeps the bare hex digest.
+   * @param {string} id - Hex encoded digest
    * @param {string} format - Compression format (from COMPRESSION_FORMATS)
+   * @param {string} hashAlgorithm - Hash algorithm that produced the digest
    * @returns {string} Compressed identifier
    * @private
    */
-  _compressIdentifier(id, format = this.options.defaultCompression) {
-    switch (format) {
-      case COMPRESSION_FORMATS.NONE:
-        return id;
-        
-      case COMPRESSION_FORMATS.BASE58:
-        // Would use a base58 encoding library
-        // Placeholder implementation
-        return id.substring(0, 32);
-        
-      case COMPRESSION_FORMATS.BASE64URL:
-        return Buffer.from(id, 'hex')
-          .toString('base64')
-          .replace(/\+/g, '-')
-          .replace(/\//g, '_')
-          .replace(/=/g, '');
-        
-      case COMPRESSION_FORMATS.HEX:
-        return id;
+  _compressIdentifier(id, format = this.options.defaultCompression, hashAlgorithm = this.options.hashAlgorithm) {
+    if (format === COMPRESSION_FORMATS.NONE) {
+      return id;
+    }
+    
+    const base = COMPRESSION_MULTIBASES[format];
+    if (!base) {
+      throw new Error(`Unsupported compression format: ${format}`);
+    }
+    
+    const hash = multihash.encode(multihash.codeOf(hashAlgorithm), Buffer.from(id, 'hex'));
+    const payload = format === COMPRESSION_FORMATS.TLV
+      ? tlv.encode(tlv.TYPES.COMPACT_DID, hash)
+      : hash;
+    
+    return multibase.encode(payload, base);
+  }
+
+  /**
+   * Decode a compressed identifier
+   *
+   * Falls back to the bare hex and base64url digests of identifiers generated
+   * before multihash encoding; their hash algorithm is inferred from the length.
+   * @param {string} compressedId - Method-specific identifier part of a DID
+   * @returns {Object|null} { compression, hashAlgorithm, digest }, or null if the encoding is not recognized
+   * @private
+   */
+  _decompressIdentifier(compressedId) {
+    const format = Object.keys(COMPRESSION_MULTIBASES)
+      .find(candidate => multibase.PREFIXES[COMPRESSION_MULTIBASES[candidate]] === compressedId[0]);
+    
+    if (format) {
+      try {
+        let bytes = multibase.decode(compressedId).bytes;
         
-      case COMPRESSION_FORMATS.TLV:
-        // Would implement Type-Length-Value encoding
-        // Placeholder implementation
-        return id.substring(0, 32);
+        if (format === COMPRESSION_FORMATS.TLV) {
+          const element = tlv.decode(bytes);
+          if (element.type !== tlv.TYPES.COMPACT_DID || element.bytesRead !== bytes.length) {
+            throw new Error('Not a COMPACT_DID TLV element');
+          }
+          bytes = element.value;
+        }
         
-      default:
-        throw new Error(`Unsupported compression format: ${format}`);
+        const { code, digest, bytesRead } = multihash.decode(bytes);
+        const algorithm = multihash.algorithmOf(code);
+        if (bytesRead === bytes.length && digest.length === algorithm.length) {
+          return { compression: format, hashAlgorithm: algorithm.name, digest };
+        }
+      } catch (error) {
+        // Not a multihash identifier; try the legacy forms below
+      }
+    }
+    
+    const legacyAlgorithms = { 32: 'sha256', 64: 'sha512' };
+    
+    if (/^(?:[0-9a-f]{64}|[0-9a-f]{128})$/.test(compressedId)) {
+      const digest = Buffer.from(compressedId, 'hex');
+      return { compression: COMPRESSION_FORMATS.NONE, hashAlgorithm: legacyAlgorithms[digest.length], digest };
     }
+    
+    if (/^(?:[A-Za-z0-9_-]{43}|[A-Za-z0-9_-]{86})$/.test(compressedId)) {
+      const digest = Buffer.from(compressedId, 'base64url');
+      return { compression: COMPRESSION_FORMATS.BASE64URL, hashAlgorithm: legacyAlgorithms[digest.length], digest };
+    }
+    
+    return null;
   }
 
   /**
@@ -196,29 +288,36 @@ class DIDFactory {
    * @param {string} options.compression - Compression format (from COMPRESSION_FORMATS)
    * @param {Object} options.specificProps - Type-specific properties
    * @param {string} options.owner - Optional owner identifier
-   * @returns {string} Generated DID
+   * @param {string} options.hashMode - Canonicalization for object resources (from HASH_MODES)
+   * @param {string} options.hashAlgorithm - Hash algorithm for the identifier
+   * @returns {string} Generated DID (methods that identify a key or account rather
+   *   than content, such as did:key and did:ethr, take their own components from options)
    */
   generateDID(resource, resourceType, options = {}) {
+    resourceType = this.registry.canonicalResourceType(resourceType) || resourceType;
     const method = options.method || this.options.methodMappings[resourceType] || this.options.defaultMethod;
     const compression = options.compression || this.options.defaultCompression;
     const specificProps = options.specificProps || {};
+    const derivation = this._identifierDerivation(options);
     
     // Generate unique identifier for the resource
-    const uniqueId = this._generateUniqueId(resource, resourceType, specificProps);
+    const uniqueId = this._generateUniqueId(resource, resourceType, specificProps, derivation);
     
     // Compress the identifier
-    const compressedId = this._compressIdentifier(uniqueId, compression);
-    
-    // Format as a W3C DID
-    let did = `did:${method}:${resourceType}:${compressedId}`;
+    const compressedId = this._compressIdentifier(uniqueId, compression, derivation.hashAlgorithm);
     
     // Add owner information if provided
-    if (options.owner) {
-      const ownerHash = this._generateHash(options.owner).substring(0, 8);
-      did += `:${ownerHash}`;
-    }
+    const ownerHash = options.owner
+      ? this._generateHash(options.owner, derivation.hashAlgorithm).substring(0, 8)
+      : null;
     
-    return did;
+    // Format as a W3C DID of the method
+    return this.registry.generate(method, {
+      ...options,
+      resourceType,
+      identifier: compressedId,
+      owner: ownerHash
+    });
   }
 
   /**
@@ -318,17 +417,12 @@ class DIDFactory {
    * @param {Object} metadata - Resource metadata
    * @param {Object} services - Service endpoints
    * @param {Object} verificationMethods - Verification methods
+   * @param {Object} options - Options the DID was generated with (hashMode, hashAlgorithm)
    * @returns {Object} DID Document
    */
-  generateDIDDocument(did, metadata = {}, services = [], verificationMethods = []) {
-    // Parse the DID to extract method, type, and identifier
-    const didParts = did.split(':');
-    if (didParts.length < 4 || didParts[0] !== 'did') {
-      throw new Error(`Invalid DID format: ${did}`);
-    }
-    
-    const method = didParts[1];
-    const resourceType = didParts[2];
+  generateDIDDocument(did, metadata = {}, services = [], verificationMethods = [], options = {}) {
+    // Parse the DID to extract the resource type
+    const { resourceType } = this.registry.parse(did);
     
     // Base DID Document structure
     const didDocument = {
@@ -341,7 +435,8 @@ class DIDFactory {
       'controller': metadata.controller || did,
       'created': metadata.created || new Date().toISOString(),
       'updated': metadata.updated || new Date().toISOString(),
-      'resourceType': resourceType
+      'resourceType': resourceType,
+      'identifierDerivation': this._identifierDerivation(options)
     };
     
     // Add verification methods
@@ -434,93 +529,108 @@ class DIDFactory {
   /**
    * Create standard verification methods for a resource
    * @param {string} did - The DID
-   * @param {Object} keyPair - Optional public/private key pair
+   * @param {Ed25519KeyPair} keyPair - Optional key pair (a new Ed25519 key pair is generated if omitted)
    * @returns {Array} Verification methods
    */
   createStandardVerificationMethods(did, keyPair = null) {
-    // If no key pair provided, generate one
+    // If no key pair provided, generate one. Callers that need to sign with the
+    // controller key should generate it themselves and keep the private key.
     if (!keyPair) {
-      // This would typically use a proper key generation library
-      const id = crypto.randomBytes(32).toString('hex');
-      keyPair = {
-        publicKey: `z${id}`,
-        privateKey: null // Private key would not be included in the DID Document
-      };
+      keyPair = Ed25519KeyPair.generate();
+    } else if (!(keyPair instanceof Ed25519KeyPair)) {
+      keyPair = typeof keyPair.publicKey === 'string'
+        ? Ed25519KeyPair.fromMultibase(keyPair.publicKey)
+        : Ed25519KeyPair.fromRaw(keyPair.publicKey);
     }
     
     return [
-      {
-        id: `${did}#keys-1`,
-        type: 'Ed25519VerificationKey2020',
-        controller: did,
-        publicKeyMultibase: keyPair.publicKey
-      }
+      keyPair.toVerificationMethod(`${did}#keys-1`, did)
     ];
   }
 
   /**
    * Decompress a DID identifier
    * @param {string} did - The DID to decompress
-   * @returns {Object} Decompressed components
+   * @returns {Object} Decompressed components, with the hex content hash as identifier
+   *   (or the identifier as is when its encoding is not recognized)
    */
   decompressDID(did) {
-    const parts = did.split(':');
-    if (parts.length < 4 || parts[0] !== 'did') {
-      throw new Error(`Invalid DID format: ${did}`);
-    }
+    const { method, resourceType, identifier: compressedId, owner } = this.registry.parse(did);
     
-    const method = parts[1];
-    const resourceType = parts[2];
-    const compressedId = parts[3];
-    const owner = parts.length > 4 ? parts[4] : null;
-    
-    // Determine compression format (in practice would detect from the format)
-    const format = COMPRESSION_FORMATS.BASE64URL;
-    
-    // Decompress the identifier
-    let decompressedId;
-    switch (format) {
-      case COMPRESSION_FORMATS.BASE64URL:
-        // Pad the base64url string if necessary
-        let padded = compressedId;
-        while (padded.length % 4 !== 0) {
-          padded += '=';
-        }
-        
-        decompressedId = Buffer.from(
-          padded.replace(/-/g, '+').replace(/_/g, '/'),
-          'base64'
-        ).toString('hex');
-        break;
-        
-      case COMPRESSION_FORMATS.BASE58:
-        // Would use a base58 decoding library
-        decompressedId = compressedId; // Placeholder
-        break;
-        
-      case COMPRESSION_FORMATS.HEX:
-        decompressedId = compressedId;
-        break;
-        
-      case COMPRESSION_FORMATS.TLV:
-        // Would implement TLV decoding
-        decompressedId = compressedId; // Placeholder
-        break;
-        
-      default:
-        decompressedId = compressedId;
-    }
+    // The compression format is detected from the multibase prefix; only resource
+    // typed DIDs carry a content hash
+    const decoded = resourceType ? this._decompressIdentifier(compressedId) : null;
     
     return {
       method,
       resourceType,
-      identifier: decompressedId,
+      identifier: decoded ? decoded.digest.toString('hex') : compressedId,
+      hashAlgorithm: decoded ? decoded.hashAlgorithm : null,
+      compression: decoded ? decoded.compression : null,
       owner
     };
   }
 
+  /**
+   * Verify a resource against the content hash carried by its DID
+   * @param {string} did - DID generated for the resource
+   * @param {*} resource - Resource content or metadata the DID was generated from
+   * @param {Object} options - Options the DID was generated with
+   * @param {Object} options.specificProps - Type-specific properties (defaults to the
+   *   resource itself for AI model, dataset and code metadata)
+   * @param {string} options.hashMode - Canonicalization for object resources (from HASH_MODES)
+   * @returns {boolean} True if the resource hashes to the DID's identifier
+   */
+  verifyContent(did, resource, options = {}) {
+    const { resourceType, identifier, hashAlgorithm } = this.decompressDID(did);
+    if (!hashAlgorithm) {
+      throw new Error(`Cannot determine the hash algorithm of ${did}`);
+    }
+    
+    const metadataTypes = [RESOURCE_TYPES.AI_MODEL, RESOURCE_TYPES.DATASET, RESOURCE_TYPES.CODE];
+    const isObject = resource !== null && typeof resource === 'object' && !Buffer.isBuffer(resource);
+    const specificProps = options.specificProps ||
+      (metadataTypes.includes(resourceType) && isObject ? resource : {});
+    
+    const derivation = this._identifierDerivation({ ...options, hashAlgorithm });
+    const expected = this._generateUniqueId(resource, resourceType, specificProps, derivation);
+    
+    return expected === identifier;
+  }
+
+  /**
+   * Check whether a DID is well formed for its method
+   * @param {string} did - DID to validate
+   * @returns {boolean} True if the DID is valid
+   */
+  validateDID(did) {
+    return this.registry.validate(did);
+  }
+
+  /**
+   * Convert a DID to its compact form (e.g. am:<identifier> for did:asset:ai-model:<identifier>)
+   * @param {string} did - DID to compact
+   * @returns {string} Compact DID
+   */
+  compactDID(did) {
+    return this.registry.compress(did);
+  }
+
+  /**
+   * Expand a compact DID
+   * @param {string} compactDID - Compact DID
+   * @param {Object} context - Extra method and type prefixes (methodMap, typeMap)
+   * @returns {string} Full DID
+   */
+  expandDID(compactDID, context = {}) {
+    return this.registry.expand(compactDID, context);
+  }
+
   /**
    * Bridge from other identifier systems to DIDs
+   *
+   * The identifier is used as given; ExternalIdBridge validates and normalizes
+   * identifiers first and keeps the mapping in both directions.
    * @param {string} externalId - External identifier (DOI, SWHID, etc.)
    * @param {string} idType - Type of external identifier
    * @param {string} resourceType - Type of the resource
@@ -557,6 +667,7 @@ class DIDFactory {
 
 module.exports = {
   DIDFactory,
+  HASH_MODES,
   RESOURCE_TYPES,
   DID_METHODS,
   COMPRESSION_FORMATS
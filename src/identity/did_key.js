@@ -0,0 +1,276 @@
+/**
+ * did:key Method
+ *
+ * Implements the did:key method (W3C CCG did:key v0.7): the method-specific
+ * identifier is the multibase (base58btc) encoding of a multicodec-prefixed
+ * public key, and the DID document is derived from the key alone.
+ *
+ * Supported key types:
+ * - Ed25519 (z6Mk...), with an X25519 key agreement key derived from it
+ * - X25519 (z6LS...), key agreement only
+ * - P-256 (zDn...), as a compressed point
+ *
+ * Verification methods use the Multikey type.
+ */
+
+const crypto = require('crypto');
+const { base58, varint } = require('../core/encoding');
+const { Ed25519KeyPair } = require('../core/crypto');
+const { DIDResolutionError, DID_RESOLUTION_ERRORS } = require('./errors');
+
+/**
+ * Public key types supported by did:key
+ */
+const KEY_TYPES = {
+  ED25519: 'Ed25519',
+  X25519: 'X25519',
+  P256: 'P-256'
+};
+
+/**
+ * Multicodec code and raw public key length of each key type
+ */
+const KEY_CODECS = {
+  [KEY_TYPES.ED25519]: { code: 0xed, length: 32 },
+  [KEY_TYPES.X25519]: { code: 0xec, length: 32 },
+  [KEY_TYPES.P256]: { code: 0x1200, length: 33 }
+};
+
+const DID_KEY_CONTEXTS = [
+  'https://www.w3.org/ns/did/v1',
+  'https://w3id.org/security/multikey/v1'
+];
+
+// Field prime of Curve25519
+const CURVE25519_P = (1n << 255n) - 19n;
+
+/**
+ * Modular exponentiation over BigInts
+ * @param {bigint} base - Base
+ * @param {bigint} exponent - Exponent
+ * @param {bigint} modulus - Modulus
+ * @returns {bigint} base^exponent mod modulus
+ */
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = (result * base) % modulus;
+    }
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Convert an Ed25519 public key to the X25519 public key of the same secret
+ *
+ * Uses the birational map u = (1 + y) / (1 - y) from the Edwards curve to its
+ * Montgomery form (RFC 7748, section 4.1).
+ *
+ * @param {Buffer} publicKey - 32-byte Ed25519 public key
+ * @returns {Buffer} 32-byte X25519 public key
+ */
+function ed25519ToX25519(publicKey) {
+  const bytes = Buffer.from(publicKey);
+  bytes[31] &= 0x7f;
+  const y = BigInt('0x' + Buffer.from(bytes).reverse().toString('hex'));
+
+  const denominator = (1n - y + CURVE25519_P) % CURVE25519_P;
+  if (denominator === 0n) {
+    throw new Error('Ed25519 public key has no X25519 equivalent');
+  }
+
+  const u = ((1n + y) * modPow(denominator, CURVE25519_P - 2n, CURVE25519_P)) % CURVE25519_P;
+  return Buffer.from(u.toString(16).padStart(64, '0'), 'hex').reverse();
+}
+
+/**
+ * Normalize the supported public key inputs to raw key bytes
+ * @param {Ed25519KeyPair|crypto.KeyObject|Object|Buffer} key - Key pair, key object, JWK or raw public key
+ * @param {string} keyType - Key type for raw keys (default: Ed25519 for 32 bytes, P-256 for 33 or 65 bytes)
+ * @returns {Object} { keyType, publicKey }
+ */
+function toPublicKey(key, keyType = null) {
+  if (key instanceof Ed25519KeyPair) {
+    return { keyType: KEY_TYPES.ED25519, publicKey: key.publicKey };
+  }
+
+  if (Buffer.isBuffer(key) || key instanceof Uint8Array) {
+    const bytes = Buffer.from(key);
+    const type = keyType || (bytes.length === 32 ? KEY_TYPES.ED25519 : KEY_TYPES.P256);
+
+    if (type === KEY_TYPES.P256 && bytes.length === 65) {
+      return { keyType: type, publicKey: crypto.ECDH.convertKey(bytes, 'prime256v1', null, null, 'compressed') };
+    }
+    return { keyType: type, publicKey: bytes };
+  }
+
+  // JWKs are imported as key objects
+  const keyObject = key instanceof crypto.KeyObject
+    ? key
+    : crypto.createPublicKey({ key, format: 'jwk' });
+  const publicObject = keyObject.type === 'private' ? crypto.createPublicKey(keyObject) : keyObject;
+  const jwk = publicObject.export({ format: 'jwk' });
+
+  switch (publicObject.asymmetricKeyType) {
+    case 'ed25519':
+      return { keyType: KEY_TYPES.ED25519, publicKey: Buffer.from(jwk.x, 'base64url') };
+
+    case 'x25519':
+      return { keyType: KEY_TYPES.X25519, publicKey: Buffer.from(jwk.x, 'base64url') };
+
+    case 'ec':
+      if (jwk.crv !== 'P-256') {
+        throw new Error(`Unsupported elliptic curve for did:key: ${jwk.crv}`);
+      }
+      // Compressed point: parity of y followed by x
+      const y = Buffer.from(jwk.y, 'base64url');
+      return {
+        keyType: KEY_TYPES.P256,
+        publicKey: Buffer.concat([Buffer.from([0x02 | (y[y.length - 1] & 1)]), Buffer.from(jwk.x, 'base64url')])
+      };
+
+    default:
+      throw new Error(`Unsupported key type for did:key: ${publicObject.asymmetricKeyType}`);
+  }
+}
+
+/**
+ * Encode a public key as a did:key fingerprint
+ * @param {Ed25519KeyPair|crypto.KeyObject|Object|Buffer} key - Public key (see toPublicKey)
+ * @param {string} keyType - Key type for raw keys (from KEY_TYPES)
+ * @returns {string} Multibase fingerprint (z...)
+ */
+function encodeKeyFingerprint(key, keyType = null) {
+  const { keyType: type, publicKey } = toPublicKey(key, keyType);
+  const codec = KEY_CODECS[type];
+  if (!codec) {
+    throw new Error(`Unsupported key type for did:key: ${type}`);
+  }
+  if (publicKey.length !== codec.length) {
+    throw new Error(`${type} public keys must be ${codec.length} bytes`);
+  }
+
+  return 'z' + base58.encode(Buffer.concat([varint.encode(codec.code), publicKey]));
+}
+
+/**
+ * Decode a did:key fingerprint
+ * @param {string} fingerprint - Multibase fingerprint (z...)
+ * @returns {Object} { keyType, publicKey }
+ */
+function decodeKeyFingerprint(fingerprint) {
+  if (typeof fingerprint !== 'string' || fingerprint[0] !== 'z') {
+    throw new Error('did:key fingerprints must be base58btc (z) multibase');
+  }
+
+  const bytes = base58.decode(fingerprint.substring(1));
+  const { value: code, bytesRead } = varint.decode(bytes);
+  const keyType = Object.keys(KEY_CODECS).find(type => KEY_CODECS[type].code === code);
+  if (!keyType) {
+    throw new Error(`Unsupported did:key multicodec: 0x${code.toString(16)}`);
+  }
+
+  const publicKey = bytes.slice(bytesRead);
+  if (publicKey.length !== KEY_CODECS[keyType].length) {
+    throw new Error(`${keyType} public keys must be ${KEY_CODECS[keyType].length} bytes`);
+  }
+
+  // Reject P-256 points that are not on the curve
+  if (keyType === KEY_TYPES.P256) {
+    crypto.ECDH.convertKey(publicKey, 'prime256v1', null, null, 'uncompressed');
+  }
+
+  return { keyType, publicKey };
+}
+
+/**
+ * Create a did:key DID
+ * @param {Ed25519KeyPair|crypto.KeyObject|Object|Buffer} key - Public key (see toPublicKey)
+ * @param {string} keyType - Key type for raw keys (from KEY_TYPES)
+ * @returns {string} did:key DID
+ */
+function createKeyDID(key, keyType = null) {
+  return `did:key:${encodeKeyFingerprint(key, keyType)}`;
+}
+
+/**
+ * Build the Multikey verification method for a fingerprint
+ * @param {string} did - Controller DID
+ * @param {string} fingerprint - Multibase public key
+ * @returns {Object} Verification method
+ */
+function multikeyVerificationMethod(did, fingerprint) {
+  return {
+    id: `${did}#${fingerprint}`,
+    type: 'Multikey',
+    controller: did,
+    publicKeyMultibase: fingerprint
+  };
+}
+
+/**
+ * Derive the DID document of a did:key DID
+ * @param {string} did - did:key DID
+ * @param {Object} options - Derivation options
+ * @param {boolean} options.enableEncryptionKeyDerivation - Add the X25519 key derived from an
+ *   Ed25519 key as key agreement method (default: true)
+ * @returns {Object} DID document
+ */
+function createKeyDIDDocument(did, options = {}) {
+  const { enableEncryptionKeyDerivation = true } = options;
+
+  const match = /^did:key:(z[1-9A-HJ-NP-Za-km-z]+)$/.exec(did);
+  if (!match) {
+    throw new DIDResolutionError(`Invalid did:key DID: ${did}`, DID_RESOLUTION_ERRORS.INVALID_DID, { did });
+  }
+
+  const fingerprint = match[1];
+  let key;
+  try {
+    key = decodeKeyFingerprint(fingerprint);
+  } catch (error) {
+    throw new DIDResolutionError(`Invalid did:key public key: ${error.message}`, DID_RESOLUTION_ERRORS.INVALID_DID, { did });
+  }
+
+  const verificationMethod = multikeyVerificationMethod(did, fingerprint);
+  const didDocument = {
+    '@context': [...DID_KEY_CONTEXTS],
+    id: did,
+    verificationMethod: [verificationMethod]
+  };
+
+  // X25519 keys can only be used for key agreement
+  if (key.keyType === KEY_TYPES.X25519) {
+    didDocument.keyAgreement = [verificationMethod.id];
+    return didDocument;
+  }
+
+  didDocument.authentication = [verificationMethod.id];
+  didDocument.assertionMethod = [verificationMethod.id];
+  didDocument.capabilityInvocation = [verificationMethod.id];
+  didDocument.capabilityDelegation = [verificationMethod.id];
+
+  if (key.keyType === KEY_TYPES.ED25519 && enableEncryptionKeyDerivation) {
+    const agreementKey = multikeyVerificationMethod(
+      did,
+      encodeKeyFingerprint(ed25519ToX25519(key.publicKey), KEY_TYPES.X25519)
+    );
+    didDocument.verificationMethod.push(agreementKey);
+    didDocument.keyAgreement = [agreementKey.id];
+  }
+
+  return didDocument;
+}
+
+module.exports = {
+  createKeyDID,
+  createKeyDIDDocument,
+  encodeKeyFingerprint,
+  decodeKeyFingerprint,
+  ed25519ToX25519,
+  KEY_TYPES
+};
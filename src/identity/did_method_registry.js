@@ -0,0 +1,552 @@
+/**
+ * DID Method Registry
+ *
+ * A single place that knows how DIDs of each supported method are written, so
+ * that every component generating or reading DIDs (DIDFactory, DigitalResourceDID,
+ * the relationship manager) agrees on their syntax.
+ *
+ * Each method registers a driver with:
+ * - prefix: single character used for the method in compact DIDs
+ * - syntax: regular expression for the method-specific identifier
+ * - generate(components): build the method-specific identifier
+ * - parse(methodSpecificId): split it into components
+ * - validate(components): optional semantic checks beyond the syntax
+ * - compress(components) / expand(typePrefix, body): optional compact form
+ *
+ * Resource typed DIDs (did:asset, and did:web with a resource path) carry the
+ * resource type as a path segment; resource types are registered with the
+ * single-character prefix used in compact DIDs and any aliases ('model' is
+ * read as 'ai-model').
+ *
+ * Compact DIDs have the form <method prefix><type prefix>:<body>, e.g.
+ * 'am:zQm...' for did:asset:ai-model:zQm.... Methods without a compressor
+ * keep their method-specific identifier as the body, with '_' as type prefix.
+ */
+
+const { encodeKeyFingerprint, decodeKeyFingerprint } = require('./did_key');
+
+/**
+ * Digital resource types
+ */
+const RESOURCE_TYPES = {
+  TEXT: 'text',
+  IMAGE: 'image',
+  AUDIO: 'audio',
+  VIDEO: 'video',
+  AI_MODEL: 'ai-model',
+  DATASET: 'dataset',
+  CODE: 'code',
+  EXECUTION_STRUCTURE: 'execution-structure',
+  GENERIC: 'generic'
+};
+
+/**
+ * DID methods with a bundled driver
+ */
+const DID_METHODS = {
+  ASSET: 'asset',
+  KEY: 'key',
+  WEB: 'web',
+  ETHR: 'ethr',
+  ION: 'ion'
+};
+
+// Type prefix of compact DIDs that do not abbreviate a resource type
+const UNTYPED_PREFIX = '_';
+
+// A single method-specific identifier segment (DID Core idchar)
+const SEGMENT = '(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})+';
+const SEGMENT_PATTERN = new RegExp(`^${SEGMENT}$`);
+
+/**
+ * Registry of DID method drivers and resource types
+ */
+class DIDMethodRegistry {
+  /**
+   * Create an empty registry
+   */
+  constructor() {
+    this.methods = new Map();
+    this.resourceTypes = new Map();
+    this.resourceTypeAliases = new Map();
+  }
+
+  /**
+   * Register a DID method driver
+   * @param {string} name - Method name (lowercase letters and digits)
+   * @param {Object} driver - Method driver (see module documentation)
+   * @returns {DIDMethodRegistry} This registry
+   */
+  registerMethod(name, driver) {
+    if (!/^[a-z0-9]+$/.test(name)) {
+      throw new Error(`Invalid DID method name: ${name}`);
+    }
+    if (!driver || !(driver.syntax instanceof RegExp) ||
+        typeof driver.generate !== 'function' || typeof driver.parse !== 'function') {
+      throw new Error(`DID method driver for ${name} needs syntax, generate and parse`);
+    }
+    if (typeof driver.prefix !== 'string' || driver.prefix.length !== 1 || driver.prefix === UNTYPED_PREFIX) {
+      throw new Error(`DID method ${name} needs a single character compact prefix`);
+    }
+
+    const clash = this._methodByPrefix(driver.prefix);
+    if (clash && clash !== name) {
+      throw new Error(`Compact prefix ${driver.prefix} is already used by did:${clash}`);
+    }
+
+    this.methods.set(name, driver);
+    return this;
+  }
+
+  /**
+   * Register a resource type
+   * @param {string} name - Canonical resource type name
+   * @param {Object} options - Registration options
+   * @param {string} options.prefix - Single character used in compact DIDs
+   * @param {Array<string>} options.aliases - Other names accepted for the type
+   * @returns {DIDMethodRegistry} This registry
+   */
+  registerResourceType(name, options = {}) {
+    const { prefix, aliases = [] } = options;
+    if (!SEGMENT_PATTERN.test(name)) {
+      throw new Error(`Invalid resource type name: ${name}`);
+    }
+    if (typeof prefix !== 'string' || prefix.length !== 1 || prefix === UNTYPED_PREFIX) {
+      throw new Error(`Resource type ${name} needs a single character compact prefix`);
+    }
+
+    for (const [other, registered] of this.resourceTypes) {
+      if (other !== name && registered.prefix === prefix) {
+        throw new Error(`Compact prefix ${prefix} is already used by resource type ${other}`);
+      }
+    }
+
+    this.resourceTypes.set(name, { prefix, aliases });
+    for (const alias of aliases) {
+      this.resourceTypeAliases.set(alias, name);
+    }
+    return this;
+  }
+
+  /**
+   * Get the driver of a method
+   * @param {string} name - Method name
+   * @returns {Object} Method driver
+   */
+  getMethod(name) {
+    const driver = this.methods.get(name);
+    if (!driver) {
+      throw new Error(`Unsupported DID method: ${name}`);
+    }
+    return driver;
+  }
+
+  /**
+   * Check whether a method is registered
+   * @param {string} name - Method name
+   * @returns {boolean} True if the method has a driver
+   */
+  hasMethod(name) {
+    return this.methods.has(name);
+  }
+
+  /**
+   * Resolve a resource type name or alias to its canonical name
+   * @param {string} name - Resource type name or alias
+   * @returns {string|null} Canonical name, or null if the type is not registered
+   */
+  canonicalResourceType(name) {
+    if (this.resourceTypes.has(name)) {
+      return name;
+    }
+    return this.resourceTypeAliases.get(name) || null;
+  }
+
+  /**
+   * Generate a DID
+   * @param {string} method - Method name
+   * @param {Object} components - Method specific components (resourceType, identifier, owner, ...)
+   * @returns {string} DID
+   */
+  generate(method, components = {}) {
+    const driver = this.getMethod(method);
+
+    let normalized = components;
+    if (components.resourceType) {
+      normalized = { ...components, resourceType: this._requireResourceType(components.resourceType) };
+    }
+
+    const methodSpecificId = driver.generate(normalized, this);
+    if (!driver.syntax.test(methodSpecificId)) {
+      throw new Error(`Generated identifier does not match the did:${method} syntax: ${methodSpecificId}`);
+    }
+
+    return `did:${method}:${methodSpecificId}`;
+  }
+
+  /**
+   * Parse a DID into its components
+   * @param {string} did - DID to parse (a DID URL path, query or fragment is ignored)
+   * @returns {Object} { did, method, methodSpecificId, resourceType, identifier, owner, ... }
+   */
+  parse(did) {
+    const match = typeof did === 'string' && /^did:([a-z0-9]+):([^/?#]+)/.exec(did);
+    if (!match) {
+      throw new Error(`Invalid DID format: ${did}`);
+    }
+
+    const [, method, methodSpecificId] = match;
+    const driver = this.getMethod(method);
+    if (!driver.syntax.test(methodSpecificId)) {
+      throw new Error(`Invalid did:${method} identifier: ${methodSpecificId}`);
+    }
+
+    const components = {
+      resourceType: null,
+      identifier: null,
+      owner: null,
+      ...driver.parse(methodSpecificId, this)
+    };
+
+    if (components.resourceType) {
+      components.resourceType = this._requireResourceType(components.resourceType);
+    }
+
+    return {
+      did: `did:${method}:${methodSpecificId}`,
+      method,
+      methodSpecificId,
+      ...components
+    };
+  }
+
+  /**
+   * Check whether a DID is well formed for its method
+   * @param {string} did - DID to validate
+   * @returns {boolean} True if the DID is valid
+   */
+  validate(did) {
+    let components;
+    try {
+      components = this.parse(did);
+    } catch (error) {
+      return false;
+    }
+
+    const driver = this.getMethod(components.method);
+    return driver.validate ? driver.validate(components, this) : true;
+  }
+
+  /**
+   * Compress a DID to its compact form
+   * @param {string} did - DID to compress
+   * @returns {string} Compact DID
+   */
+  compress(did) {
+    const components = this.parse(did);
+    const driver = this.getMethod(components.method);
+
+    if (driver.compress) {
+      return driver.prefix + driver.compress(components, this);
+    }
+    return `${driver.prefix}${UNTYPED_PREFIX}:${components.methodSpecificId}`;
+  }
+
+  /**
+   * Expand a compact DID
+   * @param {string} compactDID - Compact DID
+   * @param {Object} context - Extra prefixes for expansion
+   * @param {Object} context.methodMap - Method names by compact prefix
+   * @param {Object} context.typeMap - Resource types by compact prefix
+   * @returns {string} Full DID
+   */
+  expand(compactDID, context = {}) {
+    const match = typeof compactDID === 'string' && /^(.)(.):(.+)$/.exec(compactDID);
+    if (!match) {
+      throw new Error('Invalid compressed DID format');
+    }
+
+    const [, methodPrefix, typePrefix, body] = match;
+    const method = this._methodByPrefix(methodPrefix) ||
+      (context.methodMap && context.methodMap[methodPrefix]);
+    if (!method) {
+      throw new Error(`Unknown method prefix: ${methodPrefix}`);
+    }
+
+    const driver = this.getMethod(method);
+    if (typePrefix === UNTYPED_PREFIX) {
+      return this.parse(`did:${method}:${body}`).did;
+    }
+    if (!driver.expand) {
+      throw new Error(`did:${method} has no compact form with a resource type`);
+    }
+
+    const resourceType = this._resourceTypeByPrefix(typePrefix) ||
+      (context.typeMap && context.typeMap[typePrefix]);
+    if (!resourceType) {
+      throw new Error(`Unknown resource type prefix: ${typePrefix}`);
+    }
+
+    return this.generate(method, driver.expand(resourceType, body, this));
+  }
+
+  /**
+   * Get the compact prefix of a resource type
+   * @param {string} resourceType - Resource type name or alias
+   * @returns {string} Compact prefix
+   */
+  resourceTypePrefix(resourceType) {
+    return this.resourceTypes.get(this._requireResourceType(resourceType)).prefix;
+  }
+
+  /**
+   * Resolve a resource type or throw
+   * @param {string} name - Resource type name or alias
+   * @returns {string} Canonical name
+   * @private
+   */
+  _requireResourceType(name) {
+    const canonical = this.canonicalResourceType(name);
+    if (!canonical) {
+      throw new Error(`Unsupported resource type: ${name}`);
+    }
+    return canonical;
+  }
+
+  /**
+   * Find the method registered for a compact prefix
+   * @param {string} prefix - Compact prefix
+   * @returns {string|null} Method name
+   * @private
+   */
+  _methodByPrefix(prefix) {
+    for (const [name, driver] of this.methods) {
+      if (driver.prefix === prefix) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the resource type registered for a compact prefix
+   * @param {string} prefix - Compact prefix
+   * @returns {string|null} Resource type
+   * @private
+   */
+  _resourceTypeByPrefix(prefix) {
+    for (const [name, registered] of this.resourceTypes) {
+      if (registered.prefix === prefix) {
+        return name;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Check the identifier and owner segments of a resource typed DID
+ * @param {Object} components - Components with identifier and owner
+ * @returns {Array<string>} Segments following the resource type
+ */
+function resourceSegments(components) {
+  const segments = [components.identifier];
+  if (components.owner) {
+    segments.push(components.owner);
+  }
+
+  for (const segment of segments) {
+    if (typeof segment !== 'string' || !SEGMENT_PATTERN.test(segment)) {
+      throw new Error(`Invalid DID identifier segment: ${segment}`);
+    }
+  }
+  return segments;
+}
+
+/**
+ * did:asset - did:asset:<resource-type>:<identifier>[:<owner>]
+ */
+const assetDriver = {
+  prefix: 'a',
+  syntax: new RegExp(`^${SEGMENT}:${SEGMENT}(?::${SEGMENT})?$`),
+
+  generate(components) {
+    if (!components.resourceType) {
+      throw new Error('did:asset identifiers need a resource type');
+    }
+    return [components.resourceType, ...resourceSegments(components)].join(':');
+  },
+
+  parse(methodSpecificId) {
+    const [resourceType, identifier, owner = null] = methodSpecificId.split(':');
+    return { resourceType, identifier, owner };
+  },
+
+  compress(components, registry) {
+    const body = [components.identifier];
+    if (components.owner) {
+      body.push(components.owner);
+    }
+    return `${registry.resourceTypePrefix(components.resourceType)}:${body.join(':')}`;
+  },
+
+  expand(resourceType, body) {
+    const [identifier, owner = null] = body.split(':');
+    return { resourceType, identifier, owner };
+  }
+};
+
+/**
+ * did:key - did:key:<multibase public key> (Ed25519, X25519 or P-256, see did_key.js)
+ */
+const keyDriver = {
+  prefix: 'k',
+  syntax: /^z[1-9A-HJ-NP-Za-km-z]+$/,
+
+  generate(components) {
+    const key = components.keyPair || components.publicKey;
+    if (!key) {
+      throw new Error('did:key identifiers are derived from a public key (pass publicKey or keyPair)');
+    }
+    return encodeKeyFingerprint(key, components.keyType || null);
+  },
+
+  parse(methodSpecificId) {
+    return { identifier: methodSpecificId, publicKeyMultibase: methodSpecificId };
+  },
+
+  validate(components) {
+    try {
+      decodeKeyFingerprint(components.publicKeyMultibase);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+/**
+ * did:web - did:web:<host>[:<path>...][:<resource-type>:<identifier>[:<owner>]]
+ *
+ * A port in the host is percent encoded (example.com%3A8443).
+ */
+const webDriver = {
+  prefix: 'w',
+  syntax: new RegExp(`^${SEGMENT}(?::${SEGMENT})*$`),
+
+  generate(components) {
+    const host = components.host || components.domain;
+    if (!host) {
+      throw new Error('did:web identifiers need a host (pass host or domain)');
+    }
+
+    const segments = [encodeURIComponent(host), ...(components.path || []).map(encodeURIComponent)];
+    if (components.resourceType && components.identifier) {
+      segments.push(components.resourceType, ...resourceSegments(components));
+    }
+    return segments.join(':');
+  },
+
+  parse(methodSpecificId, registry) {
+    const segments = methodSpecificId.split(':');
+    const host = decodeURIComponent(segments[0]);
+    let path = segments.slice(1);
+
+    // A resource type followed by the identifier (and owner) ends the path
+    for (const tail of [2, 3]) {
+      const index = segments.length - tail;
+      if (index >= 1 && registry.canonicalResourceType(segments[index])) {
+        const [resourceType, identifier, owner = null] = segments.slice(index);
+        path = segments.slice(1, index);
+        return { host, path: path.map(decodeURIComponent), resourceType, identifier, owner };
+      }
+    }
+
+    return { host, path: path.map(decodeURIComponent) };
+  },
+
+  validate(components) {
+    return /^[A-Za-z0-9.-]+(?::[0-9]+)?$/.test(components.host);
+  }
+};
+
+/**
+ * did:ethr - did:ethr:[<network>:]<0x address or compressed public key>
+ */
+const ethrDriver = {
+  prefix: 'e',
+  syntax: /^(?:[A-Za-z0-9_-]+:)?0x(?:[0-9a-fA-F]{40}|[0-9a-fA-F]{66})$/,
+
+  generate(components) {
+    if (!components.address) {
+      throw new Error('did:ethr identifiers need an Ethereum address (pass address)');
+    }
+    const network = components.network && components.network !== 'mainnet'
+      ? `${components.network}:`
+      : '';
+    return `${network}${components.address}`;
+  },
+
+  parse(methodSpecificId) {
+    const segments = methodSpecificId.split(':');
+    const address = segments.pop();
+    return { network: segments[0] || 'mainnet', address, identifier: address };
+  }
+};
+
+/**
+ * did:ion - did:ion:<suffix>[:<long-form state>]
+ *
+ * The suffix is the base64url SHA-256 multihash ION derives from its create operation.
+ */
+const ionDriver = {
+  prefix: 'i',
+  syntax: /^Ei[A-Za-z0-9_-]{44}(?::[A-Za-z0-9_-]+)?$/,
+
+  generate(components) {
+    if (!components.suffix) {
+      throw new Error('did:ion identifiers need the DID suffix of the create operation (pass suffix)');
+    }
+    return components.longForm ? `${components.suffix}:${components.longForm}` : components.suffix;
+  },
+
+  parse(methodSpecificId) {
+    const [suffix, longForm = null] = methodSpecificId.split(':');
+    return { suffix, longForm, identifier: suffix };
+  }
+};
+
+/**
+ * Create a registry with the bundled method drivers and resource types
+ * @returns {DIDMethodRegistry} New registry
+ */
+function createDefaultRegistry() {
+  return new DIDMethodRegistry()
+    .registerResourceType(RESOURCE_TYPES.TEXT, { prefix: 't' })
+    .registerResourceType(RESOURCE_TYPES.IMAGE, { prefix: 'i' })
+    .registerResourceType(RESOURCE_TYPES.AUDIO, { prefix: 'a' })
+    .registerResourceType(RESOURCE_TYPES.VIDEO, { prefix: 'v' })
+    .registerResourceType(RESOURCE_TYPES.AI_MODEL, { prefix: 'm', aliases: ['model'] })
+    .registerResourceType(RESOURCE_TYPES.DATASET, { prefix: 'd' })
+    .registerResourceType(RESOURCE_TYPES.CODE, { prefix: 'c' })
+    .registerResourceType(RESOURCE_TYPES.EXECUTION_STRUCTURE, { prefix: 'x' })
+    .registerResourceType(RESOURCE_TYPES.GENERIC, { prefix: 'g' })
+    .registerMethod(DID_METHODS.ASSET, assetDriver)
+    .registerMethod(DID_METHODS.KEY, keyDriver)
+    .registerMethod(DID_METHODS.WEB, webDriver)
+    .registerMethod(DID_METHODS.ETHR, ethrDriver)
+    .registerMethod(DID_METHODS.ION, ionDriver);
+}
+
+/**
+ * Registry shared by components that are not given their own
+ */
+const defaultRegistry = createDefaultRegistry();
+
+module.exports = {
+  DIDMethodRegistry,
+  createDefaultRegistry,
+  defaultRegistry,
+  RESOURCE_TYPES,
+  DID_METHODS
+};
@@ -0,0 +1,426 @@
+/**
+ * DID Resolver for Digital Resources
+ *
+ * This module resolves DIDs into DID documents. Results follow the W3C DID
+ * Resolution specification:
+ *
+ *   { didDocument, didResolutionMetadata, didDocumentMetadata }
+ *
+ * Errors are reported through didResolutionMetadata.error rather than thrown,
+ * so callers can handle "not found" and "deactivated" resources uniformly.
+ *
+ * Supported methods:
+ * - did:asset, resolved against the distributed registry. Earlier document
+ *   versions can be resolved with the versionId and versionTime resolution
+ *   options; the selected version is reported in didDocumentMetadata.
+ * - did:key, derived from the public key in the DID
+ * - did:web, fetched from the domain through a pluggable fetcher
+ */
+
+const { REGISTRY_ERROR_CODES } = require('../registry/errors');
+const { DIDResolutionError, DID_RESOLUTION_ERRORS } = require('./errors');
+const { createKeyDIDDocument } = require('./did_key');
+const { resolveWebDID } = require('./did_web');
+
+/**
+ * Media types for DID document representations
+ */
+const DID_CONTENT_TYPES = {
+  JSON_LD: 'application/did+ld+json',
+  JSON: 'application/did+json'
+};
+
+/**
+ * Properties defined by W3C DID Core that are copied into resolved documents
+ */
+const DID_CORE_PROPERTIES = [
+  'id',
+  'alsoKnownAs',
+  'controller',
+  'verificationMethod',
+  'authentication',
+  'assertionMethod',
+  'keyAgreement',
+  'capabilityInvocation',
+  'capabilityDelegation',
+  'service'
+];
+
+/**
+ * JSON-LD contexts required by verification method types
+ */
+const VERIFICATION_METHOD_CONTEXTS = {
+  Ed25519VerificationKey2020: 'https://w3id.org/security/suites/ed25519-2020/v1',
+  Ed25519VerificationKey2018: 'https://w3id.org/security/suites/ed25519-2018/v1',
+  JsonWebKey2020: 'https://w3id.org/security/suites/jws-2020/v1',
+  Multikey: 'https://w3id.org/security/multikey/v1'
+};
+
+// Generic DID syntax from W3C DID Core (section 3.1)
+const ID_CHAR = '(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})';
+const DID_PATTERN = new RegExp(`^did:([a-z0-9]+):((?:${ID_CHAR}*:)*${ID_CHAR}+)$`);
+
+// did:asset:<resource-type>:<identifier>[:<owner>]
+const ASSET_ID_PATTERN = /^([a-z][a-z0-9-]*):([A-Za-z0-9._-]+)(?::([A-Za-z0-9._-]+))?$/;
+
+/**
+ * Parse a DID into its method and method-specific identifier
+ *
+ * @param {string} did - DID string
+ * @returns {Object|null} Parsed DID or null if the syntax is invalid
+ */
+function parseDID(did) {
+  if (typeof did !== 'string') {
+    return null;
+  }
+
+  const match = DID_PATTERN.exec(did);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    did,
+    method: match[1],
+    methodSpecificId: match[2]
+  };
+}
+
+/**
+ * Resolves DIDs against the distributed registry, did:key public keys and did:web domains
+ */
+class DIDResolver {
+  /**
+   * Create a resolver
+   * @param {DistributedRegistry} registry - Registry holding registered resources
+   *   (without one, did:asset is not supported)
+   * @param {Object} options - Resolver options
+   * @param {Array<string>} options.supportedMethods - Methods to resolve
+   * @param {Function} options.fetcher - fetch-compatible function for did:web (default: global fetch)
+   * @param {string} options.webScheme - URL scheme for did:web documents (default: https)
+   * @param {boolean} options.enableEncryptionKeyDerivation - Derive X25519 key agreement keys
+   *   for did:key Ed25519 keys (default: true)
+   */
+  constructor(registry = null, options = {}) {
+    this.registry = registry;
+    this.options = {
+      supportedMethods: registry ? ['asset', 'key', 'web'] : ['key', 'web'],
+      defaultContentType: DID_CONTENT_TYPES.JSON_LD,
+      fetcher: null,
+      webScheme: 'https',
+      enableEncryptionKeyDerivation: true,
+      ...options
+    };
+  }
+
+  /**
+   * Resolve a DID to its DID document
+   * @param {string} did - DID to resolve
+   * @param {Object} resolutionOptions - Resolution options
+   * @param {string} resolutionOptions.accept - Requested representation media type
+   * @param {string} resolutionOptions.versionId - Resolve a specific document version
+   * @param {string} resolutionOptions.versionTime - Resolve the version current at this time
+   * @returns {Promise<Object>} DID resolution result
+   */
+  async resolve(did, resolutionOptions = {}) {
+    const parsed = parseDID(did);
+    if (!parsed) {
+      return this._errorResult(DID_RESOLUTION_ERRORS.INVALID_DID, `Invalid DID syntax: ${did}`);
+    }
+
+    if (!this.options.supportedMethods.includes(parsed.method)) {
+      return this._errorResult(
+        DID_RESOLUTION_ERRORS.METHOD_NOT_SUPPORTED,
+        `DID method not supported: ${parsed.method}`
+      );
+    }
+
+    const contentType = resolutionOptions.accept || this.options.defaultContentType;
+    if (!Object.values(DID_CONTENT_TYPES).includes(contentType)) {
+      return this._errorResult(
+        DID_RESOLUTION_ERRORS.REPRESENTATION_NOT_SUPPORTED,
+        `Unsupported DID document representation: ${contentType}`
+      );
+    }
+
+    const { versionId, versionTime } = resolutionOptions;
+    if (versionId !== undefined && versionTime !== undefined) {
+      return this._errorResult(
+        DID_RESOLUTION_ERRORS.INVALID_OPTIONS,
+        'versionId and versionTime cannot be used together'
+      );
+    }
+    if (versionTime !== undefined && this._toISOString(versionTime) === undefined) {
+      return this._errorResult(DID_RESOLUTION_ERRORS.INVALID_OPTIONS, `Invalid versionTime: ${versionTime}`);
+    }
+    if (parsed.method !== 'asset' && (versionId !== undefined || versionTime !== undefined)) {
+      return this._errorResult(
+        DID_RESOLUTION_ERRORS.INVALID_OPTIONS,
+        `did:${parsed.method} documents have no versions`
+      );
+    }
+
+    try {
+      switch (parsed.method) {
+        // Resources registered on the ledger
+        case 'asset':
+          return await this._resolveAsset(parsed, contentType, versionId, versionTime);
+
+        // Documents derived from the public key in the DID
+        case 'key':
+          return this._methodResult(parsed, contentType, {
+            didDocument: createKeyDIDDocument(did, {
+              enableEncryptionKeyDerivation: this.options.enableEncryptionKeyDerivation
+            }),
+            didDocumentMetadata: {}
+          });
+
+        // Documents published on the domain
+        case 'web':
+          return this._methodResult(parsed, contentType, await resolveWebDID(did, {
+            fetcher: this.options.fetcher,
+            scheme: this.options.webScheme
+          }));
+
+        default:
+          return this._errorResult(
+            DID_RESOLUTION_ERRORS.METHOD_NOT_SUPPORTED,
+            `DID method not supported: ${parsed.method}`
+          );
+      }
+    } catch (error) {
+      if (error instanceof DIDResolutionError) {
+        return this._errorResult(error.code, error.message);
+      }
+      console.error('DID resolution failed:', error);
+      return this._errorResult(DID_RESOLUTION_ERRORS.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  /**
+   * Resolve a did:asset DID against the registry
+   * @param {Object} parsed - Parsed DID (see parseDID)
+   * @param {string} contentType - Requested representation
+   * @param {string} versionId - Requested document version
+   * @param {string} versionTime - Requested version time
+   * @returns {Promise<Object>} DID resolution result
+   * @private
+   */
+  async _resolveAsset(parsed, contentType, versionId, versionTime) {
+    const { did } = parsed;
+
+    const assetId = ASSET_ID_PATTERN.exec(parsed.methodSpecificId);
+    if (!assetId) {
+      return this._errorResult(DID_RESOLUTION_ERRORS.INVALID_DID, `Invalid did:asset identifier: ${did}`);
+    }
+
+    if (!this.registry) {
+      return this._errorResult(
+        DID_RESOLUTION_ERRORS.METHOD_NOT_SUPPORTED,
+        'did:asset resolution needs a DistributedRegistry'
+      );
+    }
+
+    // Check the ledger first so missing resources are reported as notFound
+    const verification = await this.registry.verifyResource(did);
+    if (!verification || !verification.exists) {
+      return this._errorResult(DID_RESOLUTION_ERRORS.NOT_FOUND, `DID not found: ${did}`);
+    }
+
+    let resource;
+    try {
+      resource = await this.registry.getResource(did, { includeRevoked: true, versionId, versionTime });
+    } catch (error) {
+      if (error.code === REGISTRY_ERROR_CODES.VERSION_NOT_FOUND) {
+        return this._errorResult(DID_RESOLUTION_ERRORS.NOT_FOUND, error.message);
+      }
+      throw error;
+    }
+
+    const metadata = resource.metadata || {};
+    const didDocument = this._buildDIDDocument(did, metadata, contentType);
+    const deactivated = verification.status !== 'active';
+    const { version, nextVersion } = resource;
+
+    // Ledger version timestamps take precedence over self-asserted metadata dates
+    const didDocumentMetadata = {
+      created: this._toISOString(resource.created) ||
+        this._toISOString(metadata.created) ||
+        this._toISOString(verification.timestamp),
+      updated: this._toISOString(version && version.timestamp) ||
+        this._toISOString(metadata.updated) ||
+        this._toISOString(verification.timestamp)
+    };
+
+    if (version) {
+      didDocumentMetadata.versionId = version.versionId;
+    }
+
+    if (nextVersion) {
+      didDocumentMetadata.nextUpdate = this._toISOString(nextVersion.timestamp);
+      didDocumentMetadata.nextVersionId = nextVersion.versionId;
+    }
+
+    if (deactivated) {
+      didDocumentMetadata.deactivated = true;
+    }
+
+    const didResolutionMetadata = {
+      contentType,
+      retrieved: new Date().toISOString(),
+      did: {
+        didString: did,
+        method: parsed.method,
+        methodSpecificId: parsed.methodSpecificId,
+        resourceType: assetId[1],
+        owner: assetId[3] || null
+      }
+    };
+
+    if (deactivated) {
+      didResolutionMetadata.error = DID_RESOLUTION_ERRORS.DEACTIVATED;
+      didResolutionMetadata.errorMessage = `DID has been deactivated: ${did}`;
+    }
+
+    return {
+      didDocument,
+      didResolutionMetadata,
+      didDocumentMetadata
+    };
+  }
+
+  /**
+   * Wrap a document resolved by a method driver in a resolution result
+   * @param {Object} parsed - Parsed DID (see parseDID)
+   * @param {string} contentType - Requested representation
+   * @param {Object} resolved - { didDocument, didDocumentMetadata } from the driver
+   * @returns {Object} DID resolution result
+   * @private
+   */
+  _methodResult(parsed, contentType, resolved) {
+    const didDocument = { ...resolved.didDocument };
+
+    // Plain JSON documents carry no JSON-LD context
+    if (contentType === DID_CONTENT_TYPES.JSON) {
+      delete didDocument['@context'];
+    } else if (!didDocument['@context']) {
+      didDocument['@context'] = ['https://www.w3.org/ns/did/v1'];
+    }
+
+    return {
+      didDocument,
+      didResolutionMetadata: {
+        contentType,
+        retrieved: new Date().toISOString(),
+        did: {
+          didString: parsed.did,
+          method: parsed.method,
+          methodSpecificId: parsed.methodSpecificId
+        }
+      },
+      didDocumentMetadata: resolved.didDocumentMetadata || {}
+    };
+  }
+
+  /**
+   * Resolve a DID to a serialized DID document representation
+   * @param {string} did - DID to resolve
+   * @param {Object} resolutionOptions - Resolution options
+   * @returns {Promise<Object>} Result with didDocumentStream instead of didDocument
+   */
+  async resolveRepresentation(did, resolutionOptions = {}) {
+    const { didDocument, didResolutionMetadata, didDocumentMetadata } =
+      await this.resolve(did, resolutionOptions);
+
+    return {
+      didDocumentStream: didDocument ? JSON.stringify(didDocument) : '',
+      didResolutionMetadata,
+      didDocumentMetadata
+    };
+  }
+
+  /**
+   * Build a DID document from the metadata stored in the registry
+   * @param {string} did - Resolved DID
+   * @param {Object} metadata - Integrated metadata stored for the resource
+   * @param {string} contentType - Requested representation
+   * @returns {Object} DID document
+   * @private
+   */
+  _buildDIDDocument(did, metadata, contentType) {
+    const didDocument = {};
+
+    if (contentType === DID_CONTENT_TYPES.JSON_LD) {
+      const contexts = metadata['@context']
+        ? (Array.isArray(metadata['@context']) ? metadata['@context'] : [metadata['@context']])
+        : [];
+
+      didDocument['@context'] = [
+        'https://www.w3.org/ns/did/v1',
+        ...contexts.filter(context => context !== 'https://www.w3.org/ns/did/v1')
+      ];
+
+      // Make sure every verification method type is defined by a context
+      for (const method of metadata.verificationMethod || []) {
+        const context = VERIFICATION_METHOD_CONTEXTS[method.type];
+        if (context && !didDocument['@context'].includes(context)) {
+          didDocument['@context'].push(context);
+        }
+      }
+    }
+
+    for (const property of DID_CORE_PROPERTIES) {
+      const value = metadata[property];
+      if (value === undefined || value === null) continue;
+      if (Array.isArray(value) && value.length === 0) continue;
+
+      didDocument[property] = value;
+    }
+
+    // The registry record is authoritative for the subject of the document
+    didDocument.id = did;
+
+    return didDocument;
+  }
+
+  /**
+   * Normalize a timestamp to an XML datetime string
+   * @param {string|number|Date} value - Timestamp
+   * @returns {string|undefined} ISO 8601 string
+   * @private
+   */
+  _toISOString(value) {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  /**
+   * Build an unsuccessful resolution result
+   * @param {string} error - Error code from DID_RESOLUTION_ERRORS
+   * @param {string} message - Human readable message
+   * @returns {Object} DID resolution result
+   * @private
+   */
+  _errorResult(error, message) {
+    return {
+      didDocument: null,
+      didResolutionMetadata: {
+        error,
+        errorMessage: message
+      },
+      didDocumentMetadata: {}
+    };
+  }
+}
+
+module.exports = {
+  DIDResolver,
+  DIDResolutionError,
+  parseDID,
+  DID_RESOLUTION_ERRORS,
+  DID_CONTENT_TYPES
+};
@@ -0,0 +1,376 @@
+/**
+ * DID URL Dereferencer for Digital Resources
+ *
+ * This module dereferences DID URLs on top of DID resolution, following the
+ * W3C DID Resolution specification. Supported DID URL features:
+ * - Fragments selecting verification methods or services (#keys-1)
+ * - The "service" and "relativeRef" query parameters
+ * - The "versionId" and "versionTime" query parameters (passed to resolution)
+ * - Paths mapped to services by name (did:asset:model:xyz/watermark)
+ *
+ * Results have the shape { dereferencingMetadata, contentStream, contentMetadata }.
+ */
+
+const { DID_RESOLUTION_ERRORS, DID_CONTENT_TYPES } = require('./did_resolver');
+
+/**
+ * DID URL dereferencing error codes
+ */
+const DEREFERENCING_ERRORS = {
+  INVALID_DID_URL: 'invalidDidUrl',
+  NOT_FOUND: 'notFound',
+  CONTENT_TYPE_NOT_SUPPORTED: 'contentTypeNotSupported',
+  INTERNAL_ERROR: 'internalError'
+};
+
+/**
+ * Content type for dereferenced service endpoint URLs
+ */
+const URI_LIST_CONTENT_TYPE = 'text/uri-list';
+
+// did-url = did path-abempty [ "?" query ] [ "#" fragment ]
+const ID_CHAR = '(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})';
+const DID_URL_PATTERN = new RegExp(
+  `^(did:[a-z0-9]+:(?:${ID_CHAR}*:)*${ID_CHAR}+)(/[^?#]*)?(?:\\?([^#]*))?(?:#(.*))?$`
+);
+
+/**
+ * Parse the query of a DID URL into its parameters
+ *
+ * DID URL queries follow RFC 3986: "+" is a literal plus sign, not a space as
+ * in HTML form encoding, and only percent-encoded octets are decoded.
+ *
+ * @param {string} query - Query without the leading "?"
+ * @returns {Object|null} Parameters (the last value of repeated names wins), or null
+ *   if the query has malformed percent-encoding
+ */
+function parseQuery(query) {
+  const params = {};
+  for (const pair of query.split('&')) {
+    if (pair === '') {
+      continue;
+    }
+
+    const separator = pair.indexOf('=');
+    let key;
+    let value;
+    try {
+      key = decodeURIComponent(separator === -1 ? pair : pair.substring(0, separator));
+      value = separator === -1 ? '' : decodeURIComponent(pair.substring(separator + 1));
+    } catch (error) {
+      return null;
+    }
+    params[key] = value;
+  }
+  return params;
+}
+
+/**
+ * Parse a DID URL into its components
+ *
+ * @param {string} didUrl - DID URL
+ * @returns {Object|null} Parsed DID URL or null if the syntax is invalid
+ */
+function parseDIDURL(didUrl) {
+  if (typeof didUrl !== 'string') {
+    return null;
+  }
+
+  const match = DID_URL_PATTERN.exec(didUrl);
+  if (!match) {
+    return null;
+  }
+
+  const params = parseQuery(match[3] || '');
+  if (!params) {
+    return null;
+  }
+
+  // Path segments are percent-decoded when mapped onto service names
+  try {
+    (match[2] || '').split('/').forEach(segment => decodeURIComponent(segment));
+  } catch (error) {
+    return null;
+  }
+
+  return {
+    didUrl,
+    did: match[1],
+    path: match[2] || '',
+    query: match[3] || '',
+    params,
+    fragment: match[4] !== undefined ? match[4] : null
+  };
+}
+
+/**
+ * Dereferences DID URLs using a DID resolver
+ */
+class DIDURLDereferencer {
+  /**
+   * Create a dereferencer
+   * @param {DIDResolver} resolver - Resolver used to obtain DID documents
+   * @param {Object} options - Dereferencer options
+   */
+  constructor(resolver, options = {}) {
+    if (!resolver) {
+      throw new Error('A DIDResolver is required for DID URL dereferencing');
+    }
+
+    this.resolver = resolver;
+    this.options = options;
+  }
+
+  /**
+   * Dereference a DID URL
+   * @param {string} didUrl - DID URL to dereference
+   * @param {Object} dereferenceOptions - Dereferencing options
+   * @param {string} dereferenceOptions.accept - Preferred media type for DID documents
+   * @returns {Promise<Object>} Dereferencing result
+   */
+  async dereference(didUrl, dereferenceOptions = {}) {
+    const parsed = parseDIDURL(didUrl);
+    if (!parsed) {
+      return this._errorResult(DEREFERENCING_ERRORS.INVALID_DID_URL, `Invalid DID URL: ${didUrl}`);
+    }
+
+    // 1. Resolve the DID, honouring version selection parameters
+    const resolutionOptions = {};
+    if (dereferenceOptions.accept) {
+      resolutionOptions.accept = dereferenceOptions.accept;
+    }
+    if (parsed.params.versionId !== undefined) {
+      resolutionOptions.versionId = parsed.params.versionId;
+    }
+    if (parsed.params.versionTime !== undefined) {
+      resolutionOptions.versionTime = parsed.params.versionTime;
+    }
+
+    let resolution;
+    try {
+      resolution = await this.resolver.resolve(parsed.did, resolutionOptions);
+    } catch (error) {
+      return this._errorResult(DEREFERENCING_ERRORS.INTERNAL_ERROR, error.message);
+    }
+
+    const resolutionError = resolution.didResolutionMetadata.error;
+    if (resolutionError) {
+      const error = resolutionError === DID_RESOLUTION_ERRORS.INVALID_DID
+        ? DEREFERENCING_ERRORS.INVALID_DID_URL
+        : resolutionError;
+      return this._errorResult(error, resolution.didResolutionMetadata.errorMessage, resolution.didDocumentMetadata);
+    }
+
+    const { didDocument, didDocumentMetadata } = resolution;
+    const contentType = resolution.didResolutionMetadata.contentType || DID_CONTENT_TYPES.JSON_LD;
+
+    // 2. Dereference the primary resource
+    let primary;
+    if (parsed.params.service !== undefined) {
+      primary = this._selectServiceEndpoint(
+        didDocument,
+        parsed.params.service,
+        parsed.params.relativeRef || ''
+      );
+    } else if (parsed.path && parsed.path !== '/') {
+      primary = this._dereferencePath(didDocument, parsed.path, parsed.params.relativeRef || '');
+    } else {
+      primary = { contentType, content: didDocument };
+    }
+
+    if (primary.error) {
+      return this._errorResult(primary.error, primary.message, didDocumentMetadata);
+    }
+
+    // 3. Dereference the secondary resource (fragment)
+    if (parsed.fragment !== null) {
+      if (primary.contentType === URI_LIST_CONTENT_TYPE) {
+        // Fragments on service endpoint URLs are passed through to the URL
+        primary = {
+          contentType: URI_LIST_CONTENT_TYPE,
+          content: `${primary.content}#${parsed.fragment}`
+        };
+      } else {
+        const node = this._selectFragment(didDocument, parsed.fragment);
+        if (!node) {
+          return this._errorResult(
+            DEREFERENCING_ERRORS.NOT_FOUND,
+            `No resource with fragment #${parsed.fragment} in ${parsed.did}`,
+            didDocumentMetadata
+          );
+        }
+        primary = { contentType, content: node };
+      }
+    }
+
+    return {
+      dereferencingMetadata: {
+        contentType: primary.contentType
+      },
+      contentStream: primary.content,
+      contentMetadata: didDocumentMetadata
+    };
+  }
+
+  /**
+   * Select a service by id and build its endpoint URL
+   * @param {Object} didDocument - Resolved DID document
+   * @param {string} serviceName - Service id fragment (e.g. "metadata")
+   * @param {string} relativeRef - Relative reference to append
+   * @returns {Object} Primary resource or error descriptor
+   * @private
+   */
+  _selectServiceEndpoint(didDocument, serviceName, relativeRef) {
+    const service = (didDocument.service || []).find(entry =>
+      this._matchesId(didDocument.id, entry.id, serviceName)
+    );
+
+    if (!service) {
+      return {
+        error: DEREFERENCING_ERRORS.NOT_FOUND,
+        message: `Service not found: ${serviceName}`
+      };
+    }
+
+    const endpoint = this._firstEndpoint(service.serviceEndpoint);
+    if (!endpoint) {
+      return {
+        error: DEREFERENCING_ERRORS.CONTENT_TYPE_NOT_SUPPORTED,
+        message: `Service ${serviceName} has no URI endpoint`
+      };
+    }
+
+    return {
+      contentType: URI_LIST_CONTENT_TYPE,
+      content: this._appendRelativeRef(endpoint, relativeRef)
+    };
+  }
+
+  /**
+   * Map a DID URL path onto a service endpoint
+   *
+   * The first path segment names the service; the rest of the path (and any
+   * relativeRef) is appended to its endpoint.
+   *
+   * @param {Object} didDocument - Resolved DID document
+   * @param {string} path - DID URL path (starting with "/")
+   * @param {string} relativeRef - Relative reference from the query
+   * @returns {Object} Primary resource or error descriptor
+   * @private
+   */
+  _dereferencePath(didDocument, path, relativeRef) {
+    const [, serviceName, ...rest] = path.split('/');
+    const remainder = rest.length > 0 ? `/${rest.join('/')}` : '';
+
+    return this._selectServiceEndpoint(
+      didDocument,
+      decodeURIComponent(serviceName),
+      `${remainder}${relativeRef}`
+    );
+  }
+
+  /**
+   * Find the DID document node identified by a fragment
+   * @param {Object} didDocument - Resolved DID document
+   * @param {string} fragment - Fragment without "#"
+   * @returns {Object|null} Matching verification method or service
+   * @private
+   */
+  _selectFragment(didDocument, fragment) {
+    const candidates = [
+      ...(didDocument.verificationMethod || []),
+      ...(didDocument.service || [])
+    ];
+
+    // Verification relationships may embed methods instead of referencing them
+    for (const relationship of ['authentication', 'assertionMethod', 'keyAgreement',
+      'capabilityInvocation', 'capabilityDelegation']) {
+      for (const entry of didDocument[relationship] || []) {
+        if (entry && typeof entry === 'object') {
+          candidates.push(entry);
+        }
+      }
+    }
+
+    return candidates.find(node => this._matchesId(didDocument.id, node.id, fragment)) || null;
+  }
+
+  /**
+   * Check whether a node id refers to the given fragment
+   * @param {string} did - Document DID
+   * @param {string} id - Node id (absolute or relative)
+   * @param {string} fragment - Fragment without "#"
+   * @returns {boolean} True if the id matches
+   * @private
+   */
+  _matchesId(did, id, fragment) {
+    return id === `${did}#${fragment}` || id === `#${fragment}`;
+  }
+
+  /**
+   * Pick the first URI from a service endpoint value
+   * @param {string|Array|Object} serviceEndpoint - Service endpoint value
+   * @returns {string|null} Endpoint URI
+   * @private
+   */
+  _firstEndpoint(serviceEndpoint) {
+    if (typeof serviceEndpoint === 'string') {
+      return serviceEndpoint;
+    }
+    if (Array.isArray(serviceEndpoint)) {
+      return serviceEndpoint.find(entry => typeof entry === 'string') || null;
+    }
+    if (serviceEndpoint && typeof serviceEndpoint.uri === 'string') {
+      return serviceEndpoint.uri;
+    }
+    return null;
+  }
+
+  /**
+   * Append a relative reference to a service endpoint URL
+   * @param {string} endpoint - Service endpoint URL
+   * @param {string} relativeRef - Relative reference
+   * @returns {string} Combined URL
+   * @private
+   */
+  _appendRelativeRef(endpoint, relativeRef) {
+    if (!relativeRef) {
+      return endpoint;
+    }
+
+    if (relativeRef.startsWith('/') && endpoint.endsWith('/')) {
+      return endpoint + relativeRef.substring(1);
+    }
+
+    if (!relativeRef.startsWith('/') && !relativeRef.startsWith('?') && !endpoint.endsWith('/')) {
+      return `${endpoint}/${relativeRef}`;
+    }
+
+    return endpoint + relativeRef;
+  }
+
+  /**
+   * Build an unsuccessful dereferencing result
+   * @param {string} error - Error code
+   * @param {string} message - Human readable message
+   * @param {Object} contentMetadata - Metadata about the DID document, if any
+   * @returns {Object} Dereferencing result
+   * @private
+   */
+  _errorResult(error, message, contentMetadata = {}) {
+    return {
+      dereferencingMetadata: {
+        error,
+        errorMessage: message
+      },
+      contentStream: null,
+      contentMetadata
+    };
+  }
+}
+
+module.exports = {
+  DIDURLDereferencer,
+  parseDIDURL,
+  DEREFERENCING_ERRORS
+};
@@ -0,0 +1,286 @@
+/**
+ * did:web Method
+ *
+ * Implements the did:web method (W3C CCG did:web): a DID names a location on a
+ * web domain that serves its DID document.
+ *
+ *   did:web:example.com              -> https://example.com/.well-known/did.json
+ *   did:web:example.com:users:alice  -> https://example.com/users/alice/did.json
+ *   did:web:example.com%3A8443       -> https://example.com:8443/.well-known/did.json
+ *
+ * DIDWebDomain builds the documents a domain publishes and serves them from an
+ * HTTP request listener. Resolution fetches documents through a pluggable
+ * fetch-compatible function, so a local HTTP stand-in can serve them in tests.
+ */
+
+const { encodeKeyFingerprint, decodeKeyFingerprint, KEY_TYPES } = require('./did_key');
+const { DIDResolutionError, DID_RESOLUTION_ERRORS } = require('./errors');
+
+const DID_WEB_CONTEXTS = [
+  'https://www.w3.org/ns/did/v1',
+  'https://w3id.org/security/multikey/v1'
+];
+
+const WELL_KNOWN_PATH = '/.well-known/did.json';
+
+// did:web:<host>[:<path>...]
+const ID_CHAR = '(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})';
+const DID_WEB_PATTERN = new RegExp(`^did:web:(${ID_CHAR}+(?::${ID_CHAR}+)*)$`);
+
+/**
+ * Split a did:web DID into host and path segments
+ * @param {string} did - did:web DID
+ * @returns {Object} { host, path }
+ */
+function parseWebDID(did) {
+  const match = DID_WEB_PATTERN.exec(did);
+  if (!match) {
+    throw new DIDResolutionError(`Invalid did:web DID: ${did}`, DID_RESOLUTION_ERRORS.INVALID_DID, { did });
+  }
+
+  let host;
+  let path;
+  try {
+    [host, ...path] = match[1].split(':').map(decodeURIComponent);
+  } catch (error) {
+    throw new DIDResolutionError(`Invalid did:web DID: ${did}`, DID_RESOLUTION_ERRORS.INVALID_DID, { did });
+  }
+  if (!/^[A-Za-z0-9.-]+(?::[0-9]+)?$/.test(host) || path.some(segment => segment.includes('/'))) {
+    throw new DIDResolutionError(`Invalid did:web DID: ${did}`, DID_RESOLUTION_ERRORS.INVALID_DID, { did });
+  }
+
+  return { host, path };
+}
+
+/**
+ * Create the did:web DID for a location on a domain
+ * @param {string} domain - Domain name, with an optional port (example.com:8443)
+ * @param {Array<string>} path - Path segments (default: the domain root)
+ * @returns {string} did:web DID
+ */
+function createWebDID(domain, path = []) {
+  return ['did:web', encodeURIComponent(domain), ...path.map(encodeURIComponent)].join(':');
+}
+
+/**
+ * Get the HTTP path of the document of a did:web DID
+ * @param {string} did - did:web DID
+ * @returns {string} Path on the domain (/.well-known/did.json or /<path>/did.json)
+ */
+function webDIDDocumentPath(did) {
+  const { path } = parseWebDID(did);
+  return path.length === 0
+    ? WELL_KNOWN_PATH
+    : `/${path.map(encodeURIComponent).join('/')}/did.json`;
+}
+
+/**
+ * Get the URL of the document of a did:web DID
+ * @param {string} did - did:web DID
+ * @param {Object} options - URL options
+ * @param {string} options.scheme - URL scheme (default: https; http is only meant for local stand-ins)
+ * @returns {string} Document URL
+ */
+function webDIDToURL(did, options = {}) {
+  const { scheme = 'https' } = options;
+  return `${scheme}://${parseWebDID(did).host}${webDIDDocumentPath(did)}`;
+}
+
+/**
+ * Build the DID document published for a did:web DID
+ *
+ * Keys may be given as key pairs, key objects, JWKs, raw public keys or did:key
+ * DIDs; each becomes a Multikey verification method. Signing keys are listed
+ * for authentication and assertion, X25519 keys for key agreement.
+ *
+ * @param {string} did - did:web DID
+ * @param {Object} options - Document contents
+ * @param {Array} options.keys - Public keys of the DID
+ * @param {Array<Object>} options.services - Service endpoints
+ * @param {string|Array<string>} options.controller - Controller DIDs (default: the DID itself)
+ * @param {Array<string>} options.alsoKnownAs - Other identifiers of the subject
+ * @returns {Object} DID document
+ */
+function createWebDIDDocument(did, options = {}) {
+  const { keys = [], services = [], controller = null, alsoKnownAs = [] } = options;
+  parseWebDID(did);
+
+  const didDocument = {
+    '@context': [...DID_WEB_CONTEXTS],
+    id: did
+  };
+
+  if (controller) {
+    didDocument.controller = controller;
+  }
+  if (alsoKnownAs.length > 0) {
+    didDocument.alsoKnownAs = alsoKnownAs;
+  }
+
+  const verificationMethod = [];
+  const signing = [];
+  const agreement = [];
+
+  keys.forEach((key, index) => {
+    const fingerprint = typeof key === 'string'
+      ? key.replace(/^did:key:/, '')
+      : encodeKeyFingerprint(key);
+    const { keyType } = decodeKeyFingerprint(fingerprint);
+    const id = `${did}#keys-${index + 1}`;
+
+    verificationMethod.push({ id, type: 'Multikey', controller: did, publicKeyMultibase: fingerprint });
+    (keyType === KEY_TYPES.X25519 ? agreement : signing).push(id);
+  });
+
+  if (verificationMethod.length > 0) {
+    didDocument.verificationMethod = verificationMethod;
+  }
+  if (signing.length > 0) {
+    didDocument.authentication = signing;
+    didDocument.assertionMethod = [...signing];
+  }
+  if (agreement.length > 0) {
+    didDocument.keyAgreement = agreement;
+  }
+  if (services.length > 0) {
+    didDocument.service = services;
+  }
+
+  return didDocument;
+}
+
+/**
+ * The did:web documents a domain publishes
+ */
+class DIDWebDomain {
+  /**
+   * Create the publisher of a domain
+   * @param {string} domain - Domain name, with an optional port (example.com:8443)
+   */
+  constructor(domain) {
+    this.domain = domain;
+    this.documents = new Map();
+    parseWebDID(createWebDID(domain));
+  }
+
+  /**
+   * Get the DID of a location on the domain
+   * @param {Array<string>} path - Path segments (default: the domain root)
+   * @returns {string} did:web DID
+   */
+  did(path = []) {
+    return createWebDID(this.domain, path);
+  }
+
+  /**
+   * Add the document of a location on the domain
+   * @param {Array<string>} path - Path segments ([] for /.well-known/did.json)
+   * @param {Object} options - Document contents (see createWebDIDDocument)
+   * @returns {Object} DID document
+   */
+  addDocument(path = [], options = {}) {
+    const did = this.did(path);
+    const didDocument = createWebDIDDocument(did, options);
+    this.documents.set(webDIDDocumentPath(did), didDocument);
+    return didDocument;
+  }
+
+  /**
+   * Get the files to publish on the domain
+   * @returns {Object} DID documents keyed by HTTP path
+   */
+  files() {
+    return Object.fromEntries(this.documents);
+  }
+
+  /**
+   * Create a Node.js HTTP request listener serving the documents
+   * @returns {Function} (request, response) listener for http.createServer
+   */
+  requestListener() {
+    return (request, response) => {
+      // Documents are keyed by paths with encodeURIComponent segments; bring the
+      // request path to the same encoding
+      let path;
+      try {
+        path = new URL(request.url, 'http://localhost').pathname
+          .split('/')
+          .map(segment => encodeURIComponent(decodeURIComponent(segment)))
+          .join('/');
+      } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+      }
+
+      const didDocument = this.documents.get(path);
+
+      if (request.method !== 'GET' || !didDocument) {
+        response.writeHead(request.method !== 'GET' ? 405 : 404);
+        response.end();
+        return;
+      }
+
+      response.writeHead(200, { 'Content-Type': 'application/did+json' });
+      response.end(JSON.stringify(didDocument));
+    };
+  }
+}
+
+/**
+ * Resolve a did:web DID by fetching its document
+ * @param {string} did - did:web DID
+ * @param {Object} options - Resolution options
+ * @param {Function} options.fetcher - fetch-compatible function (default: global fetch)
+ * @param {string} options.scheme - URL scheme (default: https)
+ * @returns {Promise<Object>} { didDocument, didDocumentMetadata }
+ */
+async function resolveWebDID(did, options = {}) {
+  const fetcher = options.fetcher || globalThis.fetch;
+  if (typeof fetcher !== 'function') {
+    throw new Error('No fetcher available for did:web resolution');
+  }
+
+  const url = webDIDToURL(did, options);
+
+  let response;
+  try {
+    response = await fetcher(url, { headers: { Accept: 'application/did+json, application/json' } });
+  } catch (error) {
+    throw new DIDResolutionError(`Failed to fetch ${url}: ${error.message}`, DID_RESOLUTION_ERRORS.INTERNAL_ERROR, { did, url });
+  }
+
+  if (response.status === 404 || response.status === 410) {
+    throw new DIDResolutionError(`DID not found: ${did}`, DID_RESOLUTION_ERRORS.NOT_FOUND, { did, url });
+  }
+  if (!response.ok) {
+    throw new DIDResolutionError(
+      `Fetching ${url} failed with HTTP ${response.status}`,
+      DID_RESOLUTION_ERRORS.INTERNAL_ERROR,
+      { did, url, status: response.status }
+    );
+  }
+
+  let didDocument;
+  try {
+    didDocument = JSON.parse(await response.text());
+  } catch (error) {
+    throw new DIDResolutionError(`Invalid DID document at ${url}: ${error.message}`, DID_RESOLUTION_ERRORS.INVALID_DID_DOCUMENT, { did, url });
+  }
+
+  // A domain must not serve a document for another DID
+  if (!didDocument || typeof didDocument !== 'object' || didDocument.id !== did) {
+    throw new DIDResolutionError(`DID document at ${url} does not describe ${did}`, DID_RESOLUTION_ERRORS.INVALID_DID_DOCUMENT, { did, url });
+  }
+
+  return { didDocument, didDocumentMetadata: {} };
+}
+
+module.exports = {
+  DIDWebDomain,
+  createWebDID,
+  createWebDIDDocument,
+  resolveWebDID,
+  webDIDToURL,
+  webDIDDocumentPath
+};
@@ -0,0 +1,43 @@
+/**
+ * DID Resolution Errors
+ *
+ * Error codes from the W3C DID Resolution specification, and the typed error
+ * method drivers throw so the resolver can report them in didResolutionMetadata.
+ */
+
+/**
+ * DID resolution error codes
+ */
+const DID_RESOLUTION_ERRORS = {
+  INVALID_DID: 'invalidDid',
+  INVALID_DID_DOCUMENT: 'invalidDidDocument',
+  NOT_FOUND: 'notFound',
+  DEACTIVATED: 'deactivated',
+  METHOD_NOT_SUPPORTED: 'methodNotSupported',
+  REPRESENTATION_NOT_SUPPORTED: 'representationNotSupported',
+  INVALID_OPTIONS: 'invalidOptions',
+  INTERNAL_ERROR: 'internalError'
+};
+
+/**
+ * Error raised while resolving a DID
+ */
+class DIDResolutionError extends Error {
+  /**
+   * Create a resolution error
+   * @param {string} message - Error message
+   * @param {string} code - Error code from DID_RESOLUTION_ERRORS
+   * @param {Object} details - Additional error context (DID, URL, ...)
+   */
+  constructor(message, code = DID_RESOLUTION_ERRORS.INTERNAL_ERROR, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  DIDResolutionError,
+  DID_RESOLUTION_ERRORS
+};
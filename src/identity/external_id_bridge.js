@@ -0,0 +1,474 @@
+/**
+ * External Identifier Bridge
+ *
+ * Links DIDs to the identifiers resources already have in other systems, in
+ * both directions, so a DID can be traced back to its DOI and a DOI to its DID.
+ *
+ * Supported identifier systems, validated and normalized before they are linked:
+ * - DOI (10.<registrant>/<suffix>, case-insensitive, stored in lower case)
+ * - SWHID (swh:1:<cnt|dir|rev|rel|snp>:<sha1>, with optional qualifiers)
+ * - ISBN-10 and ISBN-13 (checksums verified, stored as ISBN-13)
+ * - ARK (ark:<NAAN>/<name>, hyphens removed as identity-inert)
+ * - Handle (<prefix>/<suffix>)
+ * - ORCID (0000-0002-1825-0097, ISO 7064 MOD 11-2 checksum)
+ *
+ * Resolver URLs and URI forms (https://doi.org/..., doi:..., urn:isbn:...) are
+ * accepted wherever an identifier is. Linked identifiers are listed in the
+ * alsoKnownAs property of the DID document by their URI.
+ */
+
+const { RESOURCE_TYPES } = require('./did_method_registry');
+
+/**
+ * External identifier systems
+ */
+const EXTERNAL_ID_TYPES = {
+  DOI: 'doi',
+  SWHID: 'swhid',
+  ISBN: 'isbn',
+  ARK: 'ark',
+  HANDLE: 'handle',
+  ORCID: 'orcid'
+};
+
+/**
+ * Software Heritage object types by SWHID type code
+ */
+const SWHID_OBJECT_TYPES = {
+  cnt: 'content',
+  dir: 'directory',
+  rev: 'revision',
+  rel: 'release',
+  snp: 'snapshot'
+};
+
+// SWHID qualifiers and the object types their SWHID values may have
+const SWHID_QUALIFIERS = ['origin', 'visit', 'anchor', 'path', 'lines', 'bytes'];
+const SWHID_CORE_PATTERN = /^swh:1:(cnt|dir|rev|rel|snp):[0-9a-f]{40}$/;
+
+/**
+ * Remove a known scheme or resolver prefix from an identifier
+ * @param {string} value - Identifier as given
+ * @param {Array<RegExp>} prefixes - Accepted prefixes
+ * @returns {string} Bare identifier
+ */
+function stripPrefix(value, prefixes) {
+  for (const prefix of prefixes) {
+    if (prefix.test(value)) {
+      return value.replace(prefix, '');
+    }
+  }
+  return value;
+}
+
+/**
+ * Compute the ISBN-13 check digit of the first 12 digits
+ * @param {string} digits - 12 digits
+ * @returns {string} Check digit
+ */
+function isbn13CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Normalize a DOI
+ * @param {string} value - DOI, doi: URI or doi.org URL
+ * @returns {Object} Normalized identifier
+ */
+function normalizeDOI(value) {
+  const doi = stripPrefix(value, [/^doi:/i, /^https?:\/\/(?:dx\.)?doi\.org\//i]);
+  let decoded = doi;
+  if (/%[0-9A-Fa-f]{2}/.test(doi)) {
+    try {
+      decoded = decodeURIComponent(doi);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!/^10\.\d{4,9}(?:\.\d+)*\/\S+$/.test(decoded)) {
+    return null;
+  }
+
+  const normalized = decoded.toLowerCase();
+  return { value: normalized, uri: `https://doi.org/${normalized}` };
+}
+
+/**
+ * Normalize a SWHID, validating its object type and qualifiers
+ * @param {string} value - SWHID or Software Heritage archive URL
+ * @returns {Object} Normalized identifier
+ */
+function normalizeSWHID(value) {
+  const swhid = stripPrefix(value, [/^https?:\/\/archive\.softwareheritage\.org\//i]);
+  const [core, ...qualifierParts] = swhid.split(';');
+
+  const match = SWHID_CORE_PATTERN.exec(core);
+  if (!match) {
+    return null;
+  }
+
+  const qualifiers = {};
+  for (const part of qualifierParts) {
+    const separator = part.indexOf('=');
+    const key = part.substring(0, separator);
+    const qualifierValue = part.substring(separator + 1);
+
+    if (separator <= 0 || !SWHID_QUALIFIERS.includes(key) || qualifiers[key] !== undefined || !qualifierValue) {
+      return null;
+    }
+
+    // visit must name a snapshot, anchor a directory, revision, release or snapshot
+    const nested = SWHID_CORE_PATTERN.exec(qualifierValue);
+    if (key === 'visit' && (!nested || nested[1] !== 'snp')) {
+      return null;
+    }
+    if (key === 'anchor' && (!nested || nested[1] === 'cnt')) {
+      return null;
+    }
+    if ((key === 'lines' || key === 'bytes') && !/^\d+(?:-\d+)?$/.test(qualifierValue)) {
+      return null;
+    }
+
+    qualifiers[key] = qualifierValue;
+  }
+
+  const normalized = [core, ...qualifierParts].join(';');
+  return {
+    value: normalized,
+    uri: normalized,
+    objectType: SWHID_OBJECT_TYPES[match[1]],
+    core,
+    qualifiers
+  };
+}
+
+/**
+ * Normalize an ISBN-10 or ISBN-13 to ISBN-13
+ * @param {string} value - ISBN, with or without hyphens, or urn:isbn: URI
+ * @returns {Object} Normalized identifier
+ */
+function normalizeISBN(value) {
+  const isbn = stripPrefix(value, [/^urn:isbn:/i, /^isbn(?:-1[03])?:?\s*/i]).replace(/[\s-]/g, '').toUpperCase();
+
+  let isbn13;
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+      sum += (isbn[i] === 'X' ? 10 : Number(isbn[i])) * (10 - i);
+    }
+    if (sum % 11 !== 0) {
+      return null;
+    }
+    isbn13 = '978' + isbn.substring(0, 9);
+    isbn13 += isbn13CheckDigit(isbn13);
+  } else if (/^97[89]\d{10}$/.test(isbn)) {
+    if (isbn13CheckDigit(isbn) !== isbn[12]) {
+      return null;
+    }
+    isbn13 = isbn;
+  } else {
+    return null;
+  }
+
+  return { value: isbn13, uri: `urn:isbn:${isbn13}` };
+}
+
+/**
+ * Normalize an ARK
+ * @param {string} value - ARK, with or without the slash after ark:, or a resolver URL
+ * @returns {Object} Normalized identifier
+ */
+function normalizeARK(value) {
+  const ark = stripPrefix(value, [/^https?:\/\/[^/]+\/(?=ark:)/i]);
+  const match = /^ark:\/?([0-9bcdfghjkmnpqrstvwxz]{5,})\/(\S+)$/i.exec(ark);
+  if (!match) {
+    return null;
+  }
+
+  const name = match[2].replace(/-/g, '');
+  if (!name) {
+    return null;
+  }
+
+  const normalized = `ark:${match[1].toLowerCase()}/${name}`;
+  return { value: normalized, uri: `https://n2t.net/${normalized}` };
+}
+
+/**
+ * Normalize a Handle
+ * @param {string} value - Handle, hdl: URI or hdl.handle.net URL
+ * @returns {Object} Normalized identifier
+ */
+function normalizeHandle(value) {
+  const handle = stripPrefix(value, [/^hdl:/i, /^https?:\/\/hdl\.handle\.net\//i]);
+  if (!/^\d+(?:\.[^\s/]+)*\/\S+$/.test(handle)) {
+    return null;
+  }
+
+  return { value: handle, uri: `https://hdl.handle.net/${handle}` };
+}
+
+/**
+ * Normalize an ORCID iD
+ * @param {string} value - ORCID iD or orcid.org URL
+ * @returns {Object} Normalized identifier
+ */
+function normalizeORCID(value) {
+  const orcid = stripPrefix(value, [/^https?:\/\/(?:www\.)?orcid\.org\//i]).toUpperCase();
+  if (!/^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/.test(orcid)) {
+    return null;
+  }
+
+  // ISO 7064 MOD 11-2 over the first 15 digits
+  const digits = orcid.replace(/-/g, '');
+  let total = 0;
+  for (let i = 0; i < 15; i++) {
+    total = (total + Number(digits[i])) * 2;
+  }
+  const result = (12 - (total % 11)) % 11;
+  if ((result === 10 ? 'X' : String(result)) !== digits[15]) {
+    return null;
+  }
+
+  return { value: orcid, uri: `https://orcid.org/${orcid}` };
+}
+
+const NORMALIZERS = {
+  [EXTERNAL_ID_TYPES.DOI]: normalizeDOI,
+  [EXTERNAL_ID_TYPES.SWHID]: normalizeSWHID,
+  [EXTERNAL_ID_TYPES.ISBN]: normalizeISBN,
+  [EXTERNAL_ID_TYPES.ARK]: normalizeARK,
+  [EXTERNAL_ID_TYPES.HANDLE]: normalizeHandle,
+  [EXTERNAL_ID_TYPES.ORCID]: normalizeORCID
+};
+
+// Detection order: DOIs are also valid Handles, so Handle comes last
+const DETECTION_ORDER = [
+  EXTERNAL_ID_TYPES.SWHID,
+  EXTERNAL_ID_TYPES.ORCID,
+  EXTERNAL_ID_TYPES.ARK,
+  EXTERNAL_ID_TYPES.DOI,
+  EXTERNAL_ID_TYPES.ISBN,
+  EXTERNAL_ID_TYPES.HANDLE
+];
+
+/**
+ * Detect the identifier system of an external identifier
+ * @param {string} externalId - External identifier
+ * @returns {string|null} Identifier type (from EXTERNAL_ID_TYPES), or null if none matches
+ */
+function detectExternalIdType(externalId) {
+  if (typeof externalId !== 'string') {
+    return null;
+  }
+
+  // DOIs are the handles under the 10. prefix; one that is not a valid DOI is
+  // not detected as a plain handle either
+  const value = externalId.trim();
+  const type = DETECTION_ORDER.find(candidate => NORMALIZERS[candidate](value) !== null) || null;
+  return type === EXTERNAL_ID_TYPES.HANDLE && /^10\./.test(value) ? null : type;
+}
+
+/**
+ * Validate and normalize an external identifier
+ * @param {string} externalId - External identifier
+ * @param {string} idType - Identifier type (from EXTERNAL_ID_TYPES; detected if omitted)
+ * @returns {Object} { type, value, uri, ... } with type specific details (SWHID objectType and qualifiers)
+ */
+function normalizeExternalId(externalId, idType = null) {
+  const type = idType ? idType.toLowerCase() : detectExternalIdType(externalId);
+  if (!type) {
+    throw new Error(`Unrecognized external identifier: ${externalId}`);
+  }
+
+  const normalizer = NORMALIZERS[type];
+  if (!normalizer) {
+    throw new Error(`Unsupported external identifier type: ${idType}`);
+  }
+
+  const normalized = typeof externalId === 'string' ? normalizer(externalId.trim()) : null;
+  if (!normalized) {
+    throw new Error(`Invalid ${type.toUpperCase()}: ${externalId}`);
+  }
+
+  return { type, ...normalized };
+}
+
+/**
+ * Two-way mapping between DIDs and external identifiers
+ */
+class ExternalIdBridge {
+  /**
+   * Create a bridge
+   * @param {DIDFactory} didFactory - Factory generating DIDs for bridged identifiers
+   */
+  constructor(didFactory) {
+    this.didFactory = didFactory;
+    this.didsByExternalId = new Map(); // `${type}:${value}` -> DID
+    this.externalIdsByDid = new Map(); // DID -> Map(`${type}:${value}` -> normalized identifier)
+  }
+
+  /**
+   * Generate the DID of an external identifier and link the two
+   *
+   * An identifier that is already linked keeps its DID.
+   *
+   * @param {string} externalId - External identifier
+   * @param {string} idType - Identifier type (from EXTERNAL_ID_TYPES; detected if omitted)
+   * @param {string} resourceType - Type of the resource (from RESOURCE_TYPES)
+   * @param {Object} options - DID generation options
+   * @returns {Object} { did, externalId } with the normalized identifier
+   */
+  bridge(externalId, idType = null, resourceType = RESOURCE_TYPES.GENERIC, options = {}) {
+    const normalized = normalizeExternalId(externalId, idType);
+
+    const existing = this.didsByExternalId.get(this._key(normalized));
+    if (existing) {
+      return { did: existing, externalId: normalized };
+    }
+
+    if (!this.didFactory) {
+      throw new Error('A DIDFactory is required to generate DIDs for external identifiers');
+    }
+
+    const did = this.didFactory.bridgeExternalIdentifier(normalized.value, normalized.type, resourceType, options);
+    this.link(did, normalized.value, normalized.type);
+
+    return { did, externalId: normalized };
+  }
+
+  /**
+   * Link an existing DID to an external identifier
+   * @param {string} did - DID of the resource
+   * @param {string} externalId - External identifier
+   * @param {string} idType - Identifier type (from EXTERNAL_ID_TYPES; detected if omitted)
+   * @returns {Object} Normalized identifier
+   */
+  link(did, externalId, idType = null) {
+    const normalized = normalizeExternalId(externalId, idType);
+    const key = this._key(normalized);
+
+    const linked = this.didsByExternalId.get(key);
+    if (linked && linked !== did) {
+      throw new Error(`${normalized.type.toUpperCase()} ${normalized.value} is already linked to ${linked}`);
+    }
+
+    this.didsByExternalId.set(key, did);
+    if (!this.externalIdsByDid.has(did)) {
+      this.externalIdsByDid.set(did, new Map());
+    }
+    this.externalIdsByDid.get(did).set(key, normalized);
+
+    return normalized;
+  }
+
+  /**
+   * Remove the link between a DID and an external identifier
+   * @param {string} did - DID of the resource
+   * @param {string} externalId - External identifier
+   * @param {string} idType - Identifier type (from EXTERNAL_ID_TYPES; detected if omitted)
+   * @returns {boolean} True if a link was removed
+   */
+  unlink(did, externalId, idType = null) {
+    const key = this._key(normalizeExternalId(externalId, idType));
+    if (this.didsByExternalId.get(key) !== did) {
+      return false;
+    }
+
+    this.didsByExternalId.delete(key);
+    const externalIds = this.externalIdsByDid.get(did);
+    externalIds.delete(key);
+    if (externalIds.size === 0) {
+      this.externalIdsByDid.delete(did);
+    }
+    return true;
+  }
+
+  /**
+   * Find the DID linked to an external identifier
+   * @param {string} externalId - External identifier (any accepted form)
+   * @param {string} idType - Identifier type (from EXTERNAL_ID_TYPES; detected if omitted)
+   * @returns {string|null} DID, or null if the identifier is not linked
+   */
+  lookupByExternalId(externalId, idType = null) {
+    return this.didsByExternalId.get(this._key(normalizeExternalId(externalId, idType))) || null;
+  }
+
+  /**
+   * Get the external identifiers linked to a DID
+   * @param {string} did - DID of the resource
+   * @returns {Array<Object>} Normalized identifiers ({ type, value, uri, ... })
+   */
+  getExternalIds(did) {
+    const externalIds = this.externalIdsByDid.get(did);
+    return externalIds ? Array.from(externalIds.values()) : [];
+  }
+
+  /**
+   * Add the URIs of the linked identifiers to the alsoKnownAs property of a DID document
+   * @param {Object} didDocument - DID document (modified in place)
+   * @returns {Object} The DID document
+   */
+  addAlsoKnownAs(didDocument) {
+    const uris = this.getExternalIds(didDocument.id).map(externalId => externalId.uri);
+    if (uris.length > 0) {
+      didDocument.alsoKnownAs = [...new Set([...(didDocument.alsoKnownAs || []), ...uris])];
+    }
+    return didDocument;
+  }
+
+  /**
+   * Export the links as JSON
+   * @returns {Object} JSON representation of the links
+   */
+  toJSON() {
+    return {
+      links: Array.from(this.didsByExternalId.entries()).map(([key, did]) => {
+        const { type, value } = this.externalIdsByDid.get(did).get(key);
+        return { did, type, value };
+      })
+    };
+  }
+
+  /**
+   * Import links from JSON
+   * @param {Object} json - JSON representation of the links
+   */
+  fromJSON(json) {
+    this.clear();
+    for (const link of json.links) {
+      this.link(link.did, link.value, link.type);
+    }
+  }
+
+  /**
+   * Remove all links
+   */
+  clear() {
+    this.didsByExternalId.clear();
+    this.externalIdsByDid.clear();
+  }
+
+  /**
+   * Index key of a normalized identifier
+   * @param {Object} normalized - Normalized identifier
+   * @returns {string} Key
+   * @private
+   */
+  _key(normalized) {
+    return `${normalized.type}:${normalized.value}`;
+  }
+}
+
+module.exports = {
+  ExternalIdBridge,
+  normalizeExternalId,
+  detectExternalIdType,
+  EXTERNAL_ID_TYPES,
+  SWHID_OBJECT_TYPES
+};
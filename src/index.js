@@ -12,16 +12,29 @@
  * - Watermark Manager: Embeds and detects watermarks across different resource types
  * - Resource Relationship Manager: Tracks relationships between digital resources
  * - Distributed Registry: Manages resource registration and verification on distributed ledgers
+ * - DID Resolver: Resolves registered DIDs and dereferences DID URLs
  * - AI Model Context Manager: Handles context information for AI models
  */
 
 // Import core modules
-const { DIDFactory, RESOURCE_TYPES, DID_METHODS, COMPRESSION_FORMATS } = require('./identity/did_factory');
+const { DIDFactory, RESOURCE_TYPES, DID_METHODS, COMPRESSION_FORMATS, HASH_MODES } = require('./identity/did_factory');
+const { DIDMethodRegistry, createDefaultRegistry } = require('./identity/did_method_registry');
 const { HierarchicalMetadataManager, METADATA_STANDARDS, SERIALIZATION_FORMATS } = require('./metadata/hierarchical_metadata_manager');
-const { WatermarkManager, WatermarkStrategyFactory } = require('./watermarking/watermark_manager');
+const { WatermarkManager } = require('./watermarking/watermark_manager');
+const { generateWatermarkKey, watermarkKeyId } = require('./watermarking/watermark_payload');
+const { signWatermarkPayload, verifyWatermarkSignature, SIGNATURE_STATUS } = require('./watermarking/watermark_signature');
 const { ResourceRelationshipManager, RELATIONSHIP_TYPES } = require('./relationship/resource_relationship_manager');
-const { DistributedRegistry } = require('./registry/distributed_registry');
+const { DistributedRegistry, RegistryError, REGISTRY_ERROR_CODES, REGISTRY_EVENTS } = require('./registry/distributed_registry');
+const { signRegistryRequest } = require('./registry/authorization');
+const { DIDResolver, DIDResolutionError, DID_RESOLUTION_ERRORS } = require('./identity/did_resolver');
+const { createKeyDID, createKeyDIDDocument, KEY_TYPES } = require('./identity/did_key');
+const { DIDWebDomain, createWebDID, createWebDIDDocument } = require('./identity/did_web');
+const { ExternalIdBridge, normalizeExternalId, EXTERNAL_ID_TYPES } = require('./identity/external_id_bridge');
+const { DIDURLDereferencer, DEREFERENCING_ERRORS } = require('./identity/did_url_dereferencer');
 const { AIModelContextManager, MODEL_CARD_FIELDS, MCP_COMPONENT_TYPES } = require('./context/ai_model_context_manager');
+const { Ed25519KeyPair } = require('./core/crypto');
+const { JSONLDUtil } = require('./core/encoding');
+const { createDocumentLoader } = require('./core/document_loader');
 
 /**
  * Main system class that integrates all components
@@ -36,10 +49,13 @@ class DecentralizedResourceIDSystem {
     
     // Initialize core components
     this.didFactory = new DIDFactory(options.didFactory || {});
+    this.externalIds = new ExternalIdBridge(this.didFactory);
     this.metadataManager = new HierarchicalMetadataManager(options.metadataManager || {});
     this.watermarkManager = new WatermarkManager(options.watermarkManager || {});
     this.relationshipManager = new ResourceRelationshipManager(options.relationshipManager || {});
     this.registry = new DistributedRegistry(options.registry || {});
+    this.resolver = new DIDResolver(this.registry, options.resolver || {});
+    this.dereferencer = new DIDURLDereferencer(this.resolver, options.dereferencer || {});
     this.modelContextManager = new AIModelContextManager(options.modelContextManager || {});
     
     // The system is designed to work with or without blockchain connectivity
@@ -67,17 +83,43 @@ class DecentralizedResourceIDSystem {
    * @param {string} resourceType - Type of resource (from RESOURCE_TYPES)
    * @param {Object} metadata - Resource metadata
    * @param {Object} options - Registration options
-   * @returns {Promise<Object>} Registration result with DID
+   * @param {Array<string|Object>} options.externalIds - External identifiers of the resource,
+   *   as strings or { id, type } (DOI, SWHID, ISBN, ARK, Handle, ORCID)
+   * @param {string} options.owner - Owner DID (default: metadata.owner, else the resource itself,
+   *   whose registration is signed with the controller key)
+   * @param {Object} options.registrationRequest - Owner-signed registration request for another owner
+   * @param {Ed25519KeyPair} options.ownerKeyPair - Key pair of another owner, to sign the registration instead
+   * @param {string} options.ownerVerificationMethod - Verification method id of ownerKeyPair
+   * @param {Object} options.watermarkOptions - Watermark strategy options; without a key, the
+   *   resource is marked with a random key
+   * @returns {Promise<Object>} Registration result with DID, and watermark: { embedded, key, keyId }
+   *   with the key needed to detect the mark, which only the caller holds, or
+   *   { embedded: false, reason } when the resource could not be marked
    */
   async registerResource(resource, resourceType, metadata, options = {}) {
     try {
       // 1. Generate DID for the resource
       const did = this.didFactory.generateDID(resource, resourceType, options);
       
-      // 2. Create DID Document with service endpoints
+      // Validate external identifiers up front; they are linked once registration succeeds
+      const externalIds = (options.externalIds || []).map(entry => typeof entry === 'string'
+        ? normalizeExternalId(entry)
+        : normalizeExternalId(entry.id, entry.type));
+      for (const externalId of externalIds) {
+        const linked = this.externalIds.lookupByExternalId(externalId.value, externalId.type);
+        if (linked && linked !== did) {
+          throw new Error(`${externalId.type.toUpperCase()} ${externalId.value} is already linked to ${linked}`);
+        }
+      }
+      
+      // 2. Create DID Document with service endpoints and the controller key
+      const keyPair = options.keyPair || Ed25519KeyPair.generate();
       const services = this.didFactory.createStandardServices(did, resourceType);
-      const verificationMethods = this.didFactory.createStandardVerificationMethods(did);
-      const didDocument = this.didFactory.generateDIDDocument(did, metadata, services, verificationMethods);
+      const verificationMethods = this.didFactory.createStandardVerificationMethods(did, keyPair);
+      const didDocument = this.didFactory.generateDIDDocument(did, metadata, services, verificationMethods, options);
+      if (externalIds.length > 0) {
+        didDocument.alsoKnownAs = externalIds.map(externalId => externalId.uri);
+      }
       
       // 3. Set up hierarchical metadata
       this.metadataManager.setIdentificationLayer(didDocument);
@@ -129,40 +171,78 @@ class DecentralizedResourceIDSystem {
       const integratedMetadata = this.metadataManager.generateIntegratedMetadata();
       
       // 5. Apply watermark if resource content is provided
-      let watermarkedResource = resource;
+      let watermarkedResource = null;
+      let watermark = {
+        embedded: false,
+        reason: resource ? 'Watermarking disabled' : 'No resource content'
+      };
       if (resource && options.applyWatermark !== false) {
         // Create minimal metadata for watermarking
-        const watermarkMetadata = {
+        let watermarkMetadata = {
           did,
           timestamp: new Date().toISOString(),
           creator: metadata.creator || 'unknown'
         };
         
-        watermarkedResource = await this.watermarkManager.embedWatermark(
-          resource,
-          resourceType,
-          watermarkMetadata,
-          options.watermarkOptions || {}
-        );
+        // Sign it with the controller key, so the mark cannot name the DID without it
+        if (keyPair instanceof Ed25519KeyPair && keyPair.canSign()) {
+          watermarkMetadata = signWatermarkPayload(watermarkMetadata, keyPair, `${did}#keys-1`);
+        }
+        
+        // Mark with a fresh random key unless the caller brings one; only its id is registered
+        const watermarkOptions = options.watermarkOptions || {};
+        const watermarkKey = watermarkOptions.key || generateWatermarkKey();
+        
+        // Resources too small to carry a watermark are registered without one
+        try {
+          watermarkedResource = await this.watermarkManager.embedWatermark(
+            resource,
+            resourceType,
+            watermarkMetadata,
+            { ...watermarkOptions, key: watermarkKey }
+          );
+          
+          // Record which key marked the resource, so key holders can verify it
+          integratedMetadata.watermark = { keyId: watermarkKeyId(watermarkKey) };
+          watermark = { embedded: true, key: watermarkKey, keyId: integratedMetadata.watermark.keyId };
+        } catch (error) {
+          watermark = { embedded: false, reason: error.message };
+        }
       }
       
       // 6. Register in distributed registry if connected
       let registrationResult = { did, registered: false };
       
       if (this.blockchainConnected) {
-        registrationResult = await this.registry.registerResource(
-          did,
-          integratedMetadata,
-          metadata.owner || options.owner || did
-        );
+        const owner = metadata.owner || options.owner || did;
+        const signer = owner === did ? keyPair : options.ownerKeyPair;
+        let request = options.registrationRequest;
+        if (!request && signer) {
+          request = await this.registry.createSignedRequest(
+            did,
+            REGISTRY_EVENTS.REGISTRATION,
+            { metadata: integratedMetadata, owner },
+            signer,
+            owner === did ? `${did}#keys-1` : options.ownerVerificationMethod
+          );
+        }
+        
+        registrationResult = await this.registry.registerResource(did, integratedMetadata, owner, request);
+      }
+      
+      for (const externalId of externalIds) {
+        this.externalIds.link(did, externalId.value, externalId.type);
       }
       
       // 7. Return the complete registration info
       return {
         did,
         didDocument,
+        keyPair,
         metadata: integratedMetadata,
-        watermarked: options.applyWatermark !== false,
+        watermarked: watermark.embedded,
+        watermark,
+        watermarkedResource,
         registrationResult
       };
     } catch (error) {
@@ -174,12 +254,13 @@ class DecentralizedResourceIDSystem {
   /**
    * Retrieve a registered resource
    * @param {string} did - DID of the resource
+   * @param {Object} options - Retrieval options (versionId or versionTime for earlier versions)
    * @returns {Promise<Object>} Resource data and metadata
    */
-  async getResource(did) {
+  async getResource(did, options = {}) {
     try {
       if (this.blockchainConnected) {
-        return await this.registry.getResource(did);
+        return await this.registry.getResource(did, options);
       } else {
         throw new Error('Registry not connected - cannot retrieve resource');
       }
@@ -189,16 +270,69 @@ class DecentralizedResourceIDSystem {
     }
   }
 
+  /**
+   * List the metadata versions of a registered resource
+   * @param {string} did - DID of the resource
+   * @returns {Promise<Array>} Versions, oldest first
+   */
+  async getResourceHistory(did) {
+    try {
+      if (this.blockchainConnected) {
+        return await this.registry.getResourceHistory(did);
+      } else {
+        throw new Error('Registry not connected - cannot retrieve resource history');
+      }
+    } catch (error) {
+      console.error('Resource history retrieval failed:', error);
+      throw new Error(`Failed to retrieve resource history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a DID to its DID document and resolution metadata
+   * @param {string} did - DID to resolve
+   * @param {Object} resolutionOptions - DID resolution options
+   * @returns {Promise<Object>} W3C DID resolution result
+   */
+  async resolveDID(did, resolutionOptions = {}) {
+    return this.resolver.resolve(did, resolutionOptions);
+  }
+
+  /**
+   * Dereference a DID URL (fragment, path or service query) to its content
+   * @param {string} didUrl - DID URL to dereference
+   * @param {Object} dereferenceOptions - Dereferencing options
+   * @returns {Promise<Object>} Dereferencing result with content and metadata
+   */
+  async dereferenceDIDURL(didUrl, dereferenceOptions = {}) {
+    return this.dereferencer.dereference(didUrl, dereferenceOptions);
+  }
+
   /**
    * Update metadata for an existing resource
    * @param {string} did - DID of the resource
    * @param {Object} metadata - Updated metadata
+   * @param {Object} options - Authorization options
+   * @param {Object} options.request - Owner-signed request (see signRegistryRequest)
+   * @param {Ed25519KeyPair} options.keyPair - Owner key pair used to sign the request instead
+   * @param {string} options.verificationMethod - Owner verification method id (default: did#keys-1)
    * @returns {Promise<Object>} Update result
    */
-  async updateResourceMetadata(did, metadata) {
+  async updateResourceMetadata(did, metadata, options = {}) {
     try {
       if (this.blockchainConnected) {
-        return await this.registry.updateMetadata(did, metadata);
+        let request = options.request;
+        if (!request && options.keyPair) {
+          request = await this.registry.createSignedRequest(
+            did,
+            REGISTRY_EVENTS.UPDATE,
+            { metadata },
+            options.keyPair,
+            options.verificationMethod || `${did}#keys-1`
+          );
+        }
+        
+        return await this.registry.updateMetadata(did, metadata, request);
       } else {
         throw new Error('Registry not connected - cannot update metadata');
       }
@@ -214,7 +348,10 @@ class DecentralizedResourceIDSystem {
    * @param {string} resourceType - Type of resource
    * @param {Object} expectedMetadata - Expected metadata to verify against
    * @param {Object} options - Verification options
-   * @returns {Promise<Object>} Verification result
+   * @returns {Promise<Object>} Verification result, with whether the watermark signature is
+   *   valid (signatureValid), why not (signatureStatus: notEmbedded when the resource was too
+   *   small to carry a signature, see SIGNATURE_STATUS), the id of the signing key (keyId) and
+   *   whether the DID is revoked
    */
   async verifyResourceWatermark(resource, resourceType, expectedMetadata = null, options = {}) {
     try {
@@ -232,6 +369,11 @@ class DecentralizedResourceIDSystem {
         };
       }
       
+      // Check the watermark was signed by the controller of its DID
+      const signature = await verifyWatermarkSignature(detectedMetadata, this.resolver, {
+        did: expectedMetadata && expectedMetadata.did
+      });
+      
       // If expected metadata is provided, verify against it
       if (expectedMetadata) {
         const isValid = await this.watermarkManager.verifyWatermark(
@@ -244,7 +386,8 @@ class DecentralizedResourceIDSystem {
         return {
           verified: isValid,
           message: isValid ? 'Watermark verified successfully' : 'Watermark verification failed',
-          detectedMetadata
+          detectedMetadata,
+          ...signature
         };
       }
       
@@ -252,7 +395,8 @@ class DecentralizedResourceIDSystem {
       return { 
         verified: true,
         message: 'Watermark detected but not verified against expected values',
-        detectedMetadata 
+        detectedMetadata,
+        ...signature
       };
     } catch (error) {
       console.error('Watermark verification failed:', error);
@@ -482,9 +626,9 @@ class DecentralizedResourceIDSystem {
         );
       }
       
-      // 4. Register the structure as a resource
+      // 4. Register the structure under the DID its relationships were recorded for
       const registrationResult = await this.registerResource(
-        null, // No content, just metadata
+        resourceDids.join(','),
         'execution-structure',
         {
           name: executionMetadata.name || 'Execution Structure',
@@ -494,7 +638,7 @@ class DecentralizedResourceIDSystem {
           interfaceDefinitions: executionMetadata.interfaceDefinitions || {},
           environmentRequirements: executionMetadata.environmentRequirements || {}
         },
-        { applyWatermark: false }
+        { applyWatermark: false, specificProps: executionMetadata }
       );
       
       return registrationResult;
@@ -509,17 +653,41 @@ class DecentralizedResourceIDSystem {
 module.exports = {
   DecentralizedResourceIDSystem,
   DIDFactory,
+  DIDMethodRegistry,
+  createDefaultRegistry,
   HierarchicalMetadataManager,
   WatermarkManager,
   ResourceRelationshipManager,
   DistributedRegistry,
+  DIDResolver,
+  DIDResolutionError,
+  DIDURLDereferencer,
+  DIDWebDomain,
+  ExternalIdBridge,
+  createKeyDID,
+  createKeyDIDDocument,
+  createWebDID,
+  createWebDIDDocument,
   AIModelContextManager,
+  Ed25519KeyPair,
+  JSONLDUtil,
+  createDocumentLoader,
+  RegistryError,
+  signRegistryRequest,
   RESOURCE_TYPES,
   DID_METHODS,
+  KEY_TYPES,
+  EXTERNAL_ID_TYPES,
   COMPRESSION_FORMATS,
+  HASH_MODES,
   METADATA_STANDARDS,
   SERIALIZATION_FORMATS,
   RELATIONSHIP_TYPES,
+  DID_RESOLUTION_ERRORS,
+  DEREFERENCING_ERRORS,
+  REGISTRY_ERROR_CODES,
+  REGISTRY_EVENTS,
+  SIGNATURE_STATUS,
   MODEL_CARD_FIELDS,
   MCP_COMPONENT_TYPES
 };
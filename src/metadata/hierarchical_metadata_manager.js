@@ -13,6 +13,12 @@
  * 5. Rights Management (MPEG-21 REL)
  */
 
+const crypto = require('crypto');
+const { CBOREncoder, tlv, JSONLDUtil } = require('../core/encoding');
+const { dagJson } = require('../core/cid');
+const { CONTEXT_URLS } = require('../core/document_loader');
+const { toXML, fromXML } = require('./metadata_xml');
+
 /**
  * Standards and formats supported in the metadata hierarchy
  */
@@ -175,8 +181,12 @@ class IdentificationLayer extends MetadataLayer {
    * @returns {Object} DID Document
    */
   toDIDDocument() {
-    return {
-      '@context': ['https://www.w3.org/ns/did/v1', ...this.get('context', [])],
+    // Contexts of an imported DID document plus any extra layer contexts
+    const contexts = [...[].concat(this.get('@context', [])), ...this.get('context', [])]
+      .filter(entry => entry !== 'https://www.w3.org/ns/did/v1');
+    
+    const didDocument = {
+      '@context': ['https://www.w3.org/ns/did/v1', ...new Set(contexts)],
       'id': this.get('id'),
       'controller': this.get('controller'),
       'verificationMethod': this.get('verificationMethod', []),
@@ -185,6 +195,13 @@ class IdentificationLayer extends MetadataLayer {
       'created': this.get('created'),
       'updated': this.get('updated', this.updated.toISOString())
     };
+    
+    // External identifiers of the resource (DOI, SWHID, ...)
+    if (this.get('alsoKnownAs', []).length > 0) {
+      didDocument.alsoKnownAs = this.get('alsoKnownAs');
+    }
+    
+    return didDocument;
   }
 }
 
@@ -610,7 +627,8 @@ class RightsLayer extends MetadataLayer {
     return {
       '@context': 'https://www.w3.org/ns/odrl.jsonld',
       '@type': 'Policy',
-      'uid': this.get('uid', 'urn:policy:' + new Date().getTime()),
+      // Default uid is derived from the rights data so canonical hashes stay stable
+      'uid': this.get('uid', 'urn:policy:' + crypto.createHash('sha256').update(dagJson.encode(this.data)).digest('hex')),
       'profile': 'http://example.com/odrl:profile:asset',
       'permission': this.get('permissions', []).map(p => ({
         '@type': 'Permission',
@@ -803,7 +821,7 @@ class HierarchicalMetadataManager {
   /**
    * Generate a complete integrated metadata representation
    * @param {string} format - Serialization format (from SERIALIZATION_FORMATS)
-   * @returns {Object|string} Integrated metadata in the specified format
+   * @returns {Object|string|Buffer} Integrated metadata in the specified format
    */
   generateIntegratedMetadata(format = this.options.defaultFormat) {
     // Base integrated metadata
@@ -865,11 +883,31 @@ class HierarchicalMetadataManager {
     return this._serialize(integrated, format);
   }
 
+  /**
+   * Canonicalize the integrated metadata to N-Quads
+   *
+   * The asset schema context is appended so the metadata sections are carried as
+   * JSON literals. Hashes and signatures over integrated metadata should be
+   * computed over this form, which does not depend on key order.
+   * @param {Object} options - Canonicalization options (see JSONLDUtil.canonize)
+   * @returns {Promise<string>} Canonical N-Quads
+   */
+  async canonicalize(options = {}) {
+    const integrated = this.generateIntegratedMetadata(SERIALIZATION_FORMATS.JSON);
+    const context = [].concat(integrated['@context'] || []);
+    
+    if (!context.includes(CONTEXT_URLS.ASSET_SCHEMA)) {
+      context.push(CONTEXT_URLS.ASSET_SCHEMA);
+    }
+    
+    return JSONLDUtil.canonize({ ...integrated, '@context': context }, options);
+  }
+
   /**
    * Serialize metadata in the specified format
    * @param {Object} metadata - Metadata to serialize
    * @param {string} format - Serialization format
-   * @returns {Object|string} Serialized metadata
+   * @returns {Object|string|Buffer} Serialized metadata
    * @private
    */
   _serialize(metadata, format) {
@@ -883,27 +921,131 @@ class HierarchicalMetadataManager {
         return JSON.parse(JSON.stringify(metadata));
         
       case SERIALIZATION_FORMATS.CBOR:
-        // CBOR serialization would require a CBOR library
-        throw new Error('CBOR serialization not implemented');
+        // Deterministic CBOR (RFC 8949) as a Buffer
+        return CBOREncoder.encode(metadata);
         
       case SERIALIZATION_FORMATS.TLV:
-        // TLV serialization would require a custom implementation
-        throw new Error('TLV serialization not implemented');
+        // TLV map wrapped in a METADATA envelope
+        return tlv.encode(tlv.TYPES.METADATA, tlv.encode(tlv.TYPES.MAP, metadata));
+        
+      case SERIALIZATION_FORMATS.XML:
+        // Namespaced XML document (DID, PROV, ODRL, schema.org)
+        return toXML(metadata);
+        
+      default:
+        throw new Error(`Unsupported serialization format: ${format}`);
+    }
+  }
+
+  /**
+   * Deserialize metadata produced by _serialize
+   * @param {Object|string|Buffer} serialized - Serialized metadata
+   * @param {string} format - Serialization format
+   * @returns {Object} Metadata object
+   * @private
+   */
+  _deserialize(serialized, format) {
+    switch (format) {
+      case SERIALIZATION_FORMATS.JSON_LD:
+      case SERIALIZATION_FORMATS.JSON:
+        return typeof serialized === 'string' || Buffer.isBuffer(serialized)
+          ? JSON.parse(serialized.toString())
+          : serialized;
+        
+      case SERIALIZATION_FORMATS.CBOR:
+        return CBOREncoder.decode(serialized);
+        
+      case SERIALIZATION_FORMATS.TLV: {
+        const envelope = tlv.decode(Buffer.from(serialized));
+        if (envelope.type !== tlv.TYPES.METADATA) {
+          throw new Error(`Expected a TLV metadata envelope, found type ${envelope.type}`);
+        }
+        
+        const { type, value } = tlv.decode(envelope.value);
+        if (type !== tlv.TYPES.MAP) {
+          throw new Error(`Expected a TLV map inside the metadata envelope, found type ${type}`);
+        }
+        return value;
+      }
         
       case SERIALIZATION_FORMATS.XML:
-        // XML serialization would require an XML library
-        throw new Error('XML serialization not implemented');
+        return fromXML(serialized);
         
       default:
         throw new Error(`Unsupported serialization format: ${format}`);
     }
   }
 
+  /**
+   * Map integrated metadata or a selective view back to layer JSON
+   * @param {Object} metadata - Deserialized metadata
+   * @returns {Object} Layer JSON accepted by fromJSON
+   * @private
+   */
+  _toLayerJSON(metadata) {
+    const json = {};
+    
+    // Identification: DID document properties at the top level. Selective views
+    // without the DID layer still carry the id as a reference.
+    const didFields = ['controller', 'alsoKnownAs', 'verificationMethod', 'authentication', 'service', 'created', 'updated'];
+    if (metadata.id) {
+      const didData = { id: metadata.id };
+      for (const field of didFields) {
+        if (metadata[field] !== undefined && metadata[field] !== null) {
+          didData[field] = metadata[field];
+        }
+      }
+      
+      // The DID document @context replaces the default one, so extra entries are the layer's own
+      const context = [].concat(metadata['@context'] || []).filter(entry => entry !== 'https://www.w3.org/ns/did/v1');
+      if (context.length > 0) {
+        didData.context = context;
+      }
+      
+      json[METADATA_STANDARDS.DID] = { data: didData };
+    }
+    
+    // Provenance: the C2PA manifest, with lineage nested in integrated metadata
+    if (metadata.provenance) {
+      const { lineage, ...manifest } = metadata.provenance;
+      if (Object.keys(manifest).length > 0) {
+        json[METADATA_STANDARDS.C2PA] = { data: manifest };
+      }
+      if (lineage) {
+        json[METADATA_STANDARDS.PROV] = { data: lineage };
+      }
+    }
+    
+    // Lineage is a top-level section in selective views
+    if (metadata.lineage) {
+      json[METADATA_STANDARDS.PROV] = { data: metadata.lineage };
+    }
+    
+    if (metadata.modelCard) {
+      json[METADATA_STANDARDS.MODEL_CARD] = { data: metadata.modelCard };
+    }
+    
+    if (metadata.dataSheet) {
+      json[METADATA_STANDARDS.DATA_SHEET] = { data: metadata.dataSheet };
+    }
+    
+    if (metadata.characteristics) {
+      json[METADATA_STANDARDS.GENERAL] = { data: metadata.characteristics };
+    }
+    
+    // Rights: the ODRL policy is derived from the rights data and not imported
+    if (metadata.rights) {
+      json[METADATA_STANDARDS.MPEG21_REL] = { data: metadata.rights };
+    }
+    
+    return json;
+  }
+
   /**
    * Create a selective metadata view with only specified layers
    * @param {string[]} layers - Array of layer types to include (from METADATA_STANDARDS)
    * @param {string} format - Serialization format
-   * @returns {Object|string} Selected metadata in the specified format
+   * @returns {Object|string|Buffer} Selected metadata in the specified format
    */
   createSelectiveView(layers, format = this.options.defaultFormat) {
     // Base for selective view
@@ -960,6 +1102,17 @@ class HierarchicalMetadataManager {
     return this._serialize(selective, format);
   }
 
+  /**
+   * Load layers from serialized integrated metadata or a selective view
+   * @param {Object|string|Buffer} serialized - Output of generateIntegratedMetadata or createSelectiveView
+   * @param {string} format - Format the metadata was serialized in
+   * @returns {HierarchicalMetadataManager} This manager instance
+   */
+  parse(serialized, format = this.options.defaultFormat) {
+    const metadata = this._deserialize(serialized, format);
+    return this.fromJSON(this._toLayerJSON(metadata));
+  }
+
   /**
    * Export to JSON
    * @returns {Object} JSON representation of all metadata layers
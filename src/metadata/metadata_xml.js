@@ -0,0 +1,478 @@
+/**
+ * XML Serialization for Integrated Metadata
+ *
+ * Maps integrated metadata (as produced by HierarchicalMetadataManager) to
+ * namespaced XML and back. Each top-level section is written in the namespace of
+ * its standard: DID Core properties in did:, lineage in prov:, ODRL policies in
+ * odrl:, schema.org descriptions in schema: and everything else in ddris:.
+ *
+ * The mapping is lossless for JSON values:
+ * - Objects become elements with one child element per property
+ * - Arrays are marked ddris:type="array" and hold <item> children
+ * - Numbers, booleans, null, byte strings and empty objects are marked with ddris:type
+ * - Keys that are not XML names ("@context", DIDs, "prov:type") are written as
+ *   <entry ddris:key="..."> elements
+ */
+
+/**
+ * Namespaces declared on the root element
+ */
+const XML_NAMESPACES = {
+  ddris: 'https://w3id.org/asset-schema/v1#',
+  did: 'https://www.w3.org/ns/did#',
+  prov: 'http://www.w3.org/ns/prov#',
+  odrl: 'http://www.w3.org/ns/odrl/2/',
+  schema: 'https://schema.org/'
+};
+
+// Namespace prefix of each top-level section; other top-level keys are DID Core properties
+const SECTION_PREFIXES = {
+  provenance: 'ddris',
+  lineage: 'prov',
+  odrl: 'odrl',
+  schemaOrg: 'schema',
+  modelCard: 'ddris',
+  dataSheet: 'ddris',
+  characteristics: 'ddris',
+  rights: 'ddris'
+};
+
+const ROOT_ELEMENT = 'metadata';
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9._-]*$/;
+const MAX_DEPTH = 128;
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * Check whether a UTF-16 code unit is outside the XML 1.0 character range
+ * (control characters other than tab, line feed and carriage return, and the
+ * noncharacters U+FFFE and U+FFFF)
+ *
+ * @param {number} code - Code unit
+ * @returns {boolean} True if the character cannot be written
+ */
+function isInvalidCharacter(code) {
+  return (code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0D) || code === 0xFFFE || code === 0xFFFF;
+}
+
+/**
+ * Escape text for element content or attribute values
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+  const string = String(text);
+  for (let i = 0; i < string.length; i++) {
+    if (isInvalidCharacter(string.charCodeAt(i))) {
+      throw new Error('Text contains characters that cannot be represented in XML 1.0');
+    }
+  }
+  // Carriage returns would be normalized away by parsers
+  return string.replace(/[&<>"']/g, char => ESCAPES[char]).replace(/\r/g, '&#13;');
+}
+
+/**
+ * Serialize metadata to namespaced XML
+ *
+ * @param {Object} metadata - Integrated metadata or selective view
+ * @param {Object} options - Serialization options
+ * @param {string} options.indent - Indentation per level (default two spaces)
+ * @returns {string} XML document
+ */
+function toXML(metadata, options = {}) {
+  const indent = options.indent !== undefined ? options.indent : '  ';
+  const newline = indent ? '\n' : '';
+  const declarations = Object.entries(XML_NAMESPACES)
+    .map(([prefix, uri]) => ` xmlns:${prefix}="${uri}"`)
+    .join('');
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<ddris:${ROOT_ELEMENT}${declarations}>`
+  ];
+
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === undefined) continue;
+    lines.push(writeElement(key, value, SECTION_PREFIXES[key] || 'did', 1, indent, newline));
+  }
+
+  lines.push(`</ddris:${ROOT_ELEMENT}>`);
+  return lines.join(newline);
+}
+
+/**
+ * Write one property as an element
+ *
+ * @param {string|null} key - Property name, or null for an array item
+ * @param {*} value - Property value
+ * @param {string} prefix - Namespace prefix
+ * @param {number} depth - Nesting depth
+ * @param {string} indent - Indentation per level
+ * @param {string} newline - Line separator
+ * @returns {string} Serialized element
+ */
+function writeElement(key, value, prefix, depth, indent, newline) {
+  if (depth > MAX_DEPTH) {
+    throw new Error(`Metadata nesting exceeds ${MAX_DEPTH} levels`);
+  }
+
+  const pad = indent.repeat(depth);
+  let name;
+  let attributes = '';
+
+  if (key === null) {
+    name = `${prefix}:item`;
+  } else if (NAME_PATTERN.test(key)) {
+    name = `${prefix}:${key}`;
+  } else {
+    name = `${prefix}:entry`;
+    attributes = ` ddris:key="${escapeXML(key)}"`;
+  }
+
+  const leaf = (type, text) => {
+    const typeAttribute = type ? ` ddris:type="${type}"` : '';
+    return text === ''
+      ? `${pad}<${name}${attributes}${typeAttribute}/>`
+      : `${pad}<${name}${attributes}${typeAttribute}>${escapeXML(text)}</${name}>`;
+  };
+
+  if (value === null || value === undefined) {
+    return leaf('null', '');
+  }
+
+  if (value instanceof Date) {
+    return leaf(null, value.toISOString());
+  }
+
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return leaf('bytes', Buffer.from(value).toString('base64'));
+  }
+
+  switch (typeof value) {
+    case 'string':
+      return leaf(null, value);
+    case 'number':
+      return leaf('number', String(value));
+    case 'boolean':
+      return leaf('boolean', String(value));
+    case 'object':
+      break;
+    default:
+      throw new Error(`Cannot serialize ${typeof value} to XML`);
+  }
+
+  const children = Array.isArray(value)
+    ? value.map(item => writeElement(null, item, prefix, depth + 1, indent, newline))
+    : Object.entries(value)
+      .filter(([, child]) => child !== undefined)
+      .map(([childKey, child]) => writeElement(
+        childKey,
+        child,
+        // Lineage nested in the provenance section keeps the PROV namespace
+        key === 'provenance' && childKey === 'lineage' ? 'prov' : prefix,
+        depth + 1,
+        indent,
+        newline
+      ));
+
+  const type = Array.isArray(value) ? ' ddris:type="array"' : '';
+  if (children.length === 0) {
+    return `${pad}<${name}${attributes}${type || ' ddris:type="object"'}/>`;
+  }
+
+  return [`${pad}<${name}${attributes}${type}>`, ...children, `${pad}</${name}>`].join(newline);
+}
+
+/**
+ * Parse XML produced by toXML back into metadata
+ *
+ * @param {string|Buffer} xml - XML document
+ * @returns {Object} Metadata
+ */
+function fromXML(xml) {
+  const root = parseDocument(Buffer.isBuffer(xml) ? xml.toString('utf8') : String(xml));
+
+  if (root.namespace !== XML_NAMESPACES.ddris || root.localName !== ROOT_ELEMENT) {
+    throw new Error(`Expected a ddris:${ROOT_ELEMENT} root element, found ${root.name}`);
+  }
+
+  return readObject(root);
+}
+
+/**
+ * Convert an element to its JSON value
+ *
+ * @param {Object} node - Parsed element
+ * @returns {*} Value
+ */
+function readValue(node) {
+  const type = getAttribute(node, XML_NAMESPACES.ddris, 'type');
+
+  switch (type) {
+    case 'array':
+      return node.children.map(readValue);
+    case 'object':
+      return readObject(node);
+    case 'null':
+      return null;
+    case 'number':
+      return Number(node.text.trim());
+    case 'boolean':
+      return node.text.trim() === 'true';
+    case 'bytes':
+      return Buffer.from(node.text.trim(), 'base64');
+    case null:
+      return node.children.length > 0 ? readObject(node) : node.text;
+    default:
+      throw new Error(`Unknown ddris:type "${type}" on ${node.name}`);
+  }
+}
+
+/**
+ * Convert the child elements of an element to an object
+ *
+ * @param {Object} node - Parsed element
+ * @returns {Object} Object with one property per child element
+ */
+function readObject(node) {
+  const object = {};
+
+  for (const child of node.children) {
+    const key = child.localName === 'entry'
+      ? (getAttribute(child, XML_NAMESPACES.ddris, 'key') ?? child.localName)
+      : child.localName;
+
+    // defineProperty keeps keys such as "__proto__" as plain data
+    Object.defineProperty(object, key, {
+      value: readValue(child),
+      enumerable: true,
+      writable: true,
+      configurable: true
+    });
+  }
+
+  return object;
+}
+
+/**
+ * Look up a namespaced attribute
+ *
+ * @param {Object} node - Parsed element
+ * @param {string} namespace - Attribute namespace URI
+ * @param {string} localName - Attribute local name
+ * @returns {string|null} Attribute value
+ */
+function getAttribute(node, namespace, localName) {
+  const attribute = node.attributes.find(entry =>
+    entry.namespace === namespace && entry.localName === localName
+  );
+  return attribute ? attribute.value : null;
+}
+
+/**
+ * Decode character and entity references
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9A-Fa-f]+|#[0-9]+|[A-Za-z]+);|&/g, (match, reference) => {
+    if (!reference) {
+      throw new Error('Malformed XML: unescaped "&"');
+    }
+    if (reference[0] === '#') {
+      const code = reference[1] === 'x'
+        ? parseInt(reference.substring(2), 16)
+        : parseInt(reference.substring(1), 10);
+      // References must name XML 1.0 characters, as escapeXML only writes those
+      if (code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF) || isInvalidCharacter(code)) {
+        throw new Error(`Malformed XML: invalid character reference &${reference};`);
+      }
+      return String.fromCodePoint(code);
+    }
+    if (!(reference in ENTITIES)) {
+      throw new Error(`Malformed XML: unknown entity &${reference};`);
+    }
+    return ENTITIES[reference];
+  });
+}
+
+/**
+ * Parse an XML document into an element tree
+ *
+ * Supports the subset of XML used for metadata exchange: elements, attributes,
+ * namespaces, character data, CDATA sections, comments and processing
+ * instructions. Document type declarations are rejected.
+ *
+ * @param {string} xml - XML document
+ * @returns {Object} Root element { name, namespace, localName, attributes, children, text }
+ */
+function parseDocument(xml) {
+  let position = xml.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const fail = message => {
+    throw new Error(`Malformed XML at offset ${position}: ${message}`);
+  };
+
+  const skipMisc = () => {
+    for (;;) {
+      while (position < xml.length && /\s/.test(xml[position])) position++;
+
+      if (xml.startsWith('<?', position)) {
+        const end = xml.indexOf('?>', position);
+        if (end === -1) fail('unterminated processing instruction');
+        position = end + 2;
+      } else if (xml.startsWith('<!--', position)) {
+        const end = xml.indexOf('-->', position);
+        if (end === -1) fail('unterminated comment');
+        position = end + 3;
+      } else if (xml.startsWith('<!DOCTYPE', position)) {
+        fail('document type declarations are not allowed');
+      } else {
+        return;
+      }
+    }
+  };
+
+  const resolve = (qualifiedName, scope, isAttribute) => {
+    const separator = qualifiedName.indexOf(':');
+    const prefix = separator === -1 ? null : qualifiedName.substring(0, separator);
+    const localName = separator === -1 ? qualifiedName : qualifiedName.substring(separator + 1);
+
+    if (prefix === null) {
+      // Unprefixed attributes are in no namespace
+      return { localName, namespace: isAttribute ? null : (scope[''] || null) };
+    }
+    if (prefix === 'xml') {
+      return { localName, namespace: 'http://www.w3.org/XML/1998/namespace' };
+    }
+    if (!(prefix in scope)) {
+      fail(`undeclared namespace prefix "${prefix}"`);
+    }
+    return { localName, namespace: scope[prefix] };
+  };
+
+  const parseElement = (parentScope, depth) => {
+    if (depth > MAX_DEPTH) fail(`nesting exceeds ${MAX_DEPTH} levels`);
+
+    const namePattern = /<([A-Za-z_][\w.:-]*)/y;
+    namePattern.lastIndex = position;
+    const nameMatch = namePattern.exec(xml);
+    if (!nameMatch) fail('expected an element');
+    const name = nameMatch[1];
+    position += nameMatch[0].length;
+
+    // Attributes
+    const rawAttributes = [];
+    const attributePattern = /\s+([A-Za-z_][\w.:-]*)\s*=\s*("([^"<]*)"|'([^'<]*)')/y;
+    for (;;) {
+      attributePattern.lastIndex = position;
+      const attributeMatch = attributePattern.exec(xml);
+      if (!attributeMatch) break;
+      rawAttributes.push({
+        name: attributeMatch[1],
+        value: decodeEntities(attributeMatch[3] !== undefined ? attributeMatch[3] : attributeMatch[4])
+      });
+      position += attributeMatch[0].length;
+    }
+
+    while (position < xml.length && /\s/.test(xml[position])) position++;
+
+    // Namespace declarations apply to the element itself and its descendants
+    const scope = { ...parentScope };
+    for (const { name: attributeName, value } of rawAttributes) {
+      if (attributeName === 'xmlns') scope[''] = value;
+      else if (attributeName.startsWith('xmlns:')) scope[attributeName.substring(6)] = value;
+    }
+
+    const element = {
+      name,
+      ...resolve(name, scope, false),
+      attributes: rawAttributes
+        .filter(({ name: attributeName }) => attributeName !== 'xmlns' && !attributeName.startsWith('xmlns:'))
+        .map(({ name: attributeName, value }) => ({
+          name: attributeName,
+          ...resolve(attributeName, scope, true),
+          value
+        })),
+      children: [],
+      text: ''
+    };
+
+    if (xml.startsWith('/>', position)) {
+      position += 2;
+      return element;
+    }
+    if (xml[position] !== '>') fail(`unterminated start tag <${name}>`);
+    position++;
+
+    // Content
+    let text = '';
+    for (;;) {
+      if (position >= xml.length) fail(`missing end tag </${name}>`);
+
+      if (xml.startsWith('</', position)) {
+        const end = xml.indexOf('>', position);
+        const closing = xml.substring(position + 2, end).trim();
+        if (end === -1 || closing !== name) fail(`expected </${name}>`);
+        position = end + 1;
+        break;
+      }
+
+      if (xml.startsWith('<![CDATA[', position)) {
+        const end = xml.indexOf(']]>', position);
+        if (end === -1) fail('unterminated CDATA section');
+        text += xml.substring(position + 9, end);
+        position = end + 3;
+      } else if (xml.startsWith('<!--', position)) {
+        const end = xml.indexOf('-->', position);
+        if (end === -1) fail('unterminated comment');
+        position = end + 3;
+      } else if (xml.startsWith('<?', position)) {
+        const end = xml.indexOf('?>', position);
+        if (end === -1) fail('unterminated processing instruction');
+        position = end + 2;
+      } else if (xml[position] === '<') {
+        element.children.push(parseElement(scope, depth + 1));
+      } else {
+        const end = xml.indexOf('<', position);
+        const raw = xml.substring(position, end === -1 ? xml.length : end);
+        text += decodeEntities(raw.replace(/\r\n?/g, '\n'));
+        position += raw.length;
+      }
+    }
+
+    element.text = text;
+    return element;
+  };
+
+  skipMisc();
+  if (xml[position] !== '<') fail('missing root element');
+  const root = parseElement({ xml: 'http://www.w3.org/XML/1998/namespace' }, 0);
+
+  skipMisc();
+  if (position < xml.length) fail('unexpected content after the root element');
+
+  return root;
+}
+
+module.exports = {
+  toXML,
+  fromXML,
+  XML_NAMESPACES
+};
@@ -0,0 +1,221 @@
+/**
+ * Registry Request Authorization
+ *
+ * Mutating registry calls (registrations, metadata updates, ownership transfers
+ * and revocations) must carry a request signed with a key of the resource's
+ * current owner, or of the owner named in a registration:
+ *
+ *   {
+ *     action: 'update',
+ *     did: 'did:asset:text:...',
+ *     nonce: 3,
+ *     paramsDigest: '<sha-256 of the dag-json encoded call parameters>',
+ *     verificationMethod: 'did:asset:text:...#keys-1',
+ *     signature: '<base64url Ed25519 signature>'
+ *   }
+ *
+ * The nonce is the per-resource counter kept on the ledger. Every accepted change
+ * increments it, so a signed request can be applied at most once and only to the
+ * state it was signed against. Registrations are signed for nonce 0.
+ */
+
+const crypto = require('crypto');
+const { Ed25519KeyPair, toBase64Url, fromBase64Url } = require('../core/crypto');
+const { dagJson } = require('../core/cid');
+const { UnauthorizedError, StaleRequestError, InvalidRequestError } = require('./errors');
+
+/**
+ * Verification relationships whose keys may authorize registry changes
+ */
+const AUTHORIZATION_RELATIONSHIPS = ['capabilityInvocation', 'authentication'];
+
+/**
+ * Hash the parameters of a registry call
+ *
+ * @param {Object} params - Call parameters (e.g. { metadata } or { newOwner })
+ * @returns {string} Hex encoded SHA-256 digest of the dag-json encoding
+ */
+function digestParams(params = {}) {
+  return crypto.createHash('sha256').update(dagJson.encode(params)).digest('hex');
+}
+
+/**
+ * Build the bytes covered by a request signature
+ *
+ * @param {Object} request - Registry request
+ * @returns {Buffer} Deterministic signing payload
+ */
+function createSigningPayload(request) {
+  return dagJson.encode({
+    action: request.action,
+    did: request.did,
+    nonce: request.nonce,
+    paramsDigest: request.paramsDigest,
+    verificationMethod: request.verificationMethod
+  });
+}
+
+/**
+ * Sign a registry request
+ *
+ * @param {Object} request - Request to sign
+ * @param {string} request.action - Registry action (registration, update, transfer or revocation)
+ * @param {string} request.did - DID of the resource
+ * @param {number} request.nonce - Current nonce of the resource on the ledger
+ * @param {Object} request.params - Call parameters
+ * @param {Ed25519KeyPair} keyPair - Owner key pair with a private key
+ * @param {string} verificationMethod - Id of the verification method for the key
+ * @returns {Object} Signed request
+ */
+function signRegistryRequest({ action, did, nonce, params = {} }, keyPair, verificationMethod) {
+  if (!keyPair || !keyPair.canSign()) {
+    throw new InvalidRequestError('Signing a registry request requires a private key');
+  }
+
+  const request = {
+    action,
+    did,
+    nonce,
+    paramsDigest: digestParams(params),
+    verificationMethod
+  };
+
+  request.signature = toBase64Url(keyPair.sign(createSigningPayload(request)));
+  return request;
+}
+
+/**
+ * Find a verification method that a DID document allows to authorize changes
+ *
+ * @param {Object} didDocument - DID document of the key controller
+ * @param {string} id - Verification method id
+ * @param {Array<string>} relationships - Verification relationships to search
+ *   (default: AUTHORIZATION_RELATIONSHIPS)
+ * @returns {Object|null} Verification method or null if it is not listed
+ */
+function findAuthorizationMethod(didDocument, id, relationships = AUTHORIZATION_RELATIONSHIPS) {
+  if (!didDocument) {
+    return null;
+  }
+
+  const matches = candidate => candidate === id || `${didDocument.id}${candidate}` === id;
+  const methods = didDocument.verificationMethod || [];
+
+  for (const relationship of relationships) {
+    for (const entry of didDocument[relationship] || []) {
+      if (typeof entry === 'string' && matches(entry)) {
+        return methods.find(method => matches(method.id)) || null;
+      }
+      if (entry && typeof entry === 'object' && matches(entry.id)) {
+        return entry;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks signed registry requests against the ledger state of a resource
+ */
+class RequestAuthorizer {
+  /**
+   * Create an authorizer
+   * @param {Object} options - Authorizer options
+   * @param {Function} options.keyResolver - async (verificationMethodId) => verification method or null
+   */
+  constructor(options = {}) {
+    if (typeof options.keyResolver !== 'function') {
+      throw new Error('A keyResolver function is required for request authorization');
+    }
+
+    this.keyResolver = options.keyResolver;
+  }
+
+  /**
+   * Authorize a signed request
+   * @param {Object} request - Signed registry request
+   * @param {Object} expected - What the request must authorize
+   * @param {string} expected.action - Registry action being performed
+   * @param {string} expected.did - DID of the resource
+   * @param {Object} expected.params - Call parameters
+   * @param {string} expected.owner - Current owner DID recorded on the ledger
+   * @param {number} expected.nonce - Current nonce recorded on the ledger
+   * @param {Object} expected.didDocument - Owner DID document to take the key from instead
+   *   of the keyResolver (a resource registering itself as its own owner)
+   * @returns {Promise<Object>} { verificationMethod, controller }
+   */
+  async authorize(request, expected) {
+    const { action, did, params, owner, nonce, didDocument } = expected;
+
+    if (!request || typeof request !== 'object') {
+      throw new UnauthorizedError(`A signed request is required to ${action} ${did}`, { did, action });
+    }
+
+    for (const field of ['action', 'did', 'paramsDigest', 'verificationMethod', 'signature']) {
+      if (typeof request[field] !== 'string' || !request[field]) {
+        throw new UnauthorizedError(`Signed request is missing ${field}`, { did, action });
+      }
+    }
+
+    if (request.action !== action || request.did !== did) {
+      throw new UnauthorizedError(
+        `Request was signed for ${request.action} of ${request.did}, not ${action} of ${did}`,
+        { did, action }
+      );
+    }
+
+    if (request.paramsDigest !== digestParams(params)) {
+      throw new UnauthorizedError('Request parameters do not match the signed request', { did, action });
+    }
+
+    if (request.nonce !== nonce) {
+      throw new StaleRequestError(did, nonce, request.nonce, { action });
+    }
+
+    // Only keys of the owner recorded on the ledger may change the resource
+    const controller = request.verificationMethod.split('#')[0];
+    if (controller !== owner) {
+      throw new UnauthorizedError(
+        `${request.verificationMethod} is not a key of the resource owner ${owner}`,
+        { did, action, owner }
+      );
+    }
+
+    const verificationMethod = didDocument
+      ? findAuthorizationMethod(didDocument, request.verificationMethod)
+      : await this.keyResolver(request.verificationMethod);
+    if (!verificationMethod) {
+      throw new UnauthorizedError(
+        `Verification method ${request.verificationMethod} is not authorized by ${owner}`,
+        { did, action, owner }
+      );
+    }
+
+    let valid = false;
+    try {
+      const keyPair = Ed25519KeyPair.fromVerificationMethod(verificationMethod);
+      valid = keyPair.verify(createSigningPayload(request), fromBase64Url(request.signature));
+    } catch (error) {
+      throw new UnauthorizedError(`Unusable verification method: ${error.message}`, { did, action });
+    }
+
+    if (!valid) {
+      throw new UnauthorizedError('Invalid request signature', { did, action });
+    }
+
+    return {
+      verificationMethod: request.verificationMethod,
+      controller
+    };
+  }
+}
+
+module.exports = {
+  RequestAuthorizer,
+  signRegistryRequest,
+  createSigningPayload,
+  digestParams,
+  findAuthorizationMethod,
+  AUTHORIZATION_RELATIONSHIPS
+};
@@ -7,11 +7,37 @@
  * 
  * Features:
  * - On-chain registration of resource identifiers and metadata hashes
- * - Off-chain storage of complete metadata (IPFS integration)
- * - Smart contract integration for rights management
+ * - Local hash-chained ledger for tests and air-gapped deployments
+ * - Off-chain storage of complete metadata in local content-addressed blocks
+ * - Ethereum JSON-RPC integration with the bundled ResourceRegistry contract
+ * - Owner-signed, nonce-checked requests for registrations and every change to a resource
+ * - Metadata version chains with point-in-time (versionId / versionTime) lookups
  * - Verifiable credentials for authentication and authorization
  */
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CID, CODECS, dagJson } = require('../core/cid');
+const {
+  RegistryError,
+  ResourceNotFoundError,
+  VersionNotFoundError,
+  ResourceAlreadyRegisteredError,
+  ResourceNotActiveError,
+  UnauthorizedError,
+  StaleRequestError,
+  InvalidRequestError,
+  LedgerError,
+  REGISTRY_ERROR_CODES
+} = require('./errors');
+const {
+  RequestAuthorizer,
+  signRegistryRequest,
+  findAuthorizationMethod
+} = require('./authorization');
+const { DIDResolver, parseDID } = require('../identity/did_resolver');
+const RESOURCE_REGISTRY_ARTIFACT = require('../../contracts/ResourceRegistry.json');
 
 /**
  * Defines registry event types for logging and tracking
@@ -24,6 +50,30 @@ const REGISTRY_EVENTS = {
   REVOCATION: 'revocation'
 };
 
+/**
+ * Prefix an unexpected error with the failed operation, passing typed registry
+ * errors through unchanged so callers can branch on their class or code
+ * @param {Error} error - Caught error
+ * @param {string} operation - Description of the failed operation
+ * @returns {Error} Error to rethrow
+ */
+function wrapRegistryError(error, operation) {
+  if (error instanceof RegistryError) {
+    return error;
+  }
+  return new Error(`${operation} failed: ${error.message}`);
+}
+
+/**
+ * Resource status values of the ResourceRegistry contract
+ */
+const ETHEREUM_RESOURCE_STATUS = ['unknown', 'active', 'revoked'];
+
+/**
+ * Previous-block hash used for the first block of a local ledger
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
 /**
  * Abstract base class for DLT implementations
  */
@@ -57,7 +107,7 @@ class DLTConnector {
   /**
    * Update resource metadata on the ledger
    * @param {string} did - DID of the resource
-   * @param {Object} updateData - Updated data
+   * @param {Object} updateData - Updated data (metadataHash, contentId, nonce, authorizedBy)
    * @returns {Promise<Object>} Transaction result
    */
   async updateResource(did, updateData) {
@@ -68,9 +118,12 @@ class DLTConnector {
    * Transfer ownership of a resource
    * @param {string} did - DID of the resource
    * @param {string} newOwner - DID or address of the new owner
+   * @param {Object} options - Request options
+   * @param {number} options.nonce - Expected resource nonce (change is rejected if stale)
+   * @param {string} options.authorizedBy - Verification method that signed the request
    * @returns {Promise<Object>} Transaction result
    */
-  async transferOwnership(did, newOwner) {
+  async transferOwnership(did, newOwner, options = {}) {
     throw new Error('Method not implemented');
   }
 
@@ -87,30 +140,98 @@ class DLTConnector {
    * Revoke or deactivate a resource
    * @param {string} did - DID of the resource
    * @param {string} reason - Reason for revocation
+   * @param {Object} options - Request options (nonce, authorizedBy)
    * @returns {Promise<Object>} Transaction result
    */
-  async revokeResource(did, reason) {
+  async revokeResource(did, reason, options = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * List the metadata versions of a resource, oldest first
+   * 
+   * Each version has the shape
+   * { versionId, metadataHash, previousHash, contentId, timestamp, author, transactionId }
+   * where previousHash is the metadata hash of the version it replaced.
+   * 
+   * @param {string} did - DID of the resource
+   * @returns {Promise<Array>} Version chain (empty if the resource is not registered)
+   */
+  async getResourceHistory(did) {
     throw new Error('Method not implemented');
   }
 }
 
 /**
  * Ethereum blockchain implementation of the DLT connector
+ * 
+ * Talks JSON-RPC to an Ethereum node (e.g. a local Anvil or Hardhat devnet) and
+ * drives the bundled ResourceRegistry contract (contracts/ResourceRegistry.sol).
+ * Transactions are signed locally when `config.privateKey` is set, otherwise by
+ * the node using one of its unlocked accounts (`config.account` or the first one).
+ * 
+ * That account is the on-chain controller of every resource it registers, also
+ * after ownership transfers: owners are DIDs whose signed requests the registry
+ * checks before the connector submits them (see the trust model in the contract).
+ * The contract bytecode is rebuilt with `npm run build:contracts`.
  */
 class EthereumDLTConnector extends DLTConnector {
   constructor(config = {}) {
-    super(config);
-    this.web3 = null;
+    super({
+      rpcUrl: 'http://127.0.0.1:8545',
+      contractAddress: null,
+      privateKey: null,
+      account: null,
+      confirmations: 1,
+      receiptTimeout: 60000,
+      gasLimitMultiplier: 1.2,
+      ...config
+    });
+    this.provider = null;
     this.contract = null;
     this.account = null;
   }
 
+  /**
+   * Deploy the bundled ResourceRegistry contract
+   * @param {Object} config - Connection options (rpcUrl, privateKey or account)
+   * @returns {Promise<string>} Address of the deployed contract
+   */
+  static async deploy(config = {}) {
+    const connector = new EthereumDLTConnector(config);
+    const signer = await connector._createSigner();
+    
+    const factory = new ethers.ContractFactory(
+      RESOURCE_REGISTRY_ARTIFACT.abi,
+      RESOURCE_REGISTRY_ARTIFACT.bytecode,
+      signer
+    );
+    const contract = await factory.deploy();
+    await contract.waitForDeployment();
+    
+    return contract.getAddress();
+  }
+
   async connect() {
     try {
-      // Implementation would use Web3.js or ethers.js
-      this.web3 = {}; // Placeholder for actual Web3 instance
-      this.contract = {}; // Placeholder for smart contract instance
-      this.account = this.config.account || '';
+      if (!this.config.contractAddress) {
+        throw new Error('No ResourceRegistry contract address configured');
+      }
+      
+      const signer = await this._createSigner();
+      
+      // Fail early if nothing is deployed at the configured address
+      const code = await this.provider.getCode(this.config.contractAddress);
+      if (code === '0x') {
+        throw new Error(`No contract deployed at ${this.config.contractAddress}`);
+      }
+      
+      this.contract = new ethers.Contract(
+        this.config.contractAddress,
+        RESOURCE_REGISTRY_ARTIFACT.abi,
+        signer
+      );
+      this.account = await signer.getAddress();
       return true;
     } catch (error) {
       console.error('Failed to connect to Ethereum network:', error);
@@ -120,19 +241,12 @@ class EthereumDLTConnector extends DLTConnector {
 
   async registerResource(did, registrationData) {
     try {
-      const metadataHash = registrationData.metadataHash;
-      const ownerDid = registrationData.owner;
-      const timestamp = Date.now();
-      
-      // Placeholder for actual contract call
-      const transaction = {
-        id: crypto.randomUUID(),
-        timestamp,
-        type: REGISTRY_EVENTS.REGISTRATION,
-        status: 'success'
-      };
-      
-      return transaction;
+      return await this._send(REGISTRY_EVENTS.REGISTRATION, did, 'register', [
+        did,
+        registrationData.owner,
+        this._toBytes32(registrationData.metadataHash),
+        registrationData.contentId || ''
+      ]);
     } catch (error) {
       console.error('Failed to register resource on Ethereum:', error);
       throw error;
@@ -141,38 +255,28 @@ class EthereumDLTConnector extends DLTConnector {
 
   async updateResource(did, updateData) {
     try {
-      const metadataHash = updateData.metadataHash;
-      const timestamp = Date.now();
-      
-      // Placeholder for actual contract call
-      const transaction = {
-        id: crypto.randomUUID(),
-        timestamp,
-        type: REGISTRY_EVENTS.UPDATE,
-        status: 'success'
-      };
-      
-      return transaction;
+      return await this._send(REGISTRY_EVENTS.UPDATE, did, 'update', [
+        did,
+        this._toBytes32(updateData.metadataHash),
+        updateData.contentId || '',
+        await this._resolveNonce(did, updateData.nonce),
+        updateData.authorizedBy || ''
+      ]);
     } catch (error) {
       console.error('Failed to update resource on Ethereum:', error);
       throw error;
     }
   }
 
-  async transferOwnership(did, newOwner) {
+  async transferOwnership(did, newOwner, options = {}) {
     try {
-      const timestamp = Date.now();
-      
-      // Placeholder for actual contract call
-      const transaction = {
-        id: crypto.randomUUID(),
-        timestamp,
-        type: REGISTRY_EVENTS.TRANSFER,
-        status: 'success',
-        newOwner
-      };
-      
-      return transaction;
+      const transaction = await this._send(REGISTRY_EVENTS.TRANSFER, did, 'transfer', [
+        did,
+        newOwner,
+        await this._resolveNonce(did, options.nonce),
+        options.authorizedBy || ''
+      ]);
+      return { ...transaction, newOwner };
     } catch (error) {
       console.error('Failed to transfer ownership on Ethereum:', error);
       throw error;
@@ -181,39 +285,688 @@ class EthereumDLTConnector extends DLTConnector {
 
   async verifyResource(did) {
     try {
-      // Placeholder for actual contract call to verify resource
-      const result = {
+      this._ensureConnected();
+      
+      const [exists, owner, metadataHash, contentId, created, updated, status, controller, nonce] =
+        await this.contract.verify(did);
+      
+      if (!exists) {
+        return {
+          exists: false,
+          status: 'unknown'
+        };
+      }
+      
+      return {
         exists: true,
-        owner: '0x1234567890abcdef',
-        metadataHash: '0xabcdef1234567890',
-        timestamp: Date.now() - 86400000, // 1 day ago
-        status: 'active'
+        owner,
+        metadataHash: metadataHash.replace(/^0x/, ''),
+        contentId: contentId || undefined,
+        created: Number(created) * 1000,
+        timestamp: Number(updated) * 1000,
+        status: ETHEREUM_RESOURCE_STATUS[Number(status)] || 'unknown',
+        controller,
+        nonce: Number(nonce)
       };
-      
-      return result;
     } catch (error) {
       console.error('Failed to verify resource on Ethereum:', error);
+      throw this._mapError(error, did);
+    }
+  }
+
+  async revokeResource(did, reason, options = {}) {
+    try {
+      const transaction = await this._send(REGISTRY_EVENTS.REVOCATION, did, 'revoke', [
+        did,
+        reason || '',
+        await this._resolveNonce(did, options.nonce),
+        options.authorizedBy || ''
+      ]);
+      return { ...transaction, reason };
+    } catch (error) {
+      console.error('Failed to revoke resource on Ethereum:', error);
       throw error;
     }
   }
 
-  async revokeResource(did, reason) {
-    try {
-      const timestamp = Date.now();
-      
-      // Placeholder for actual contract call
-      const transaction = {
-        id: crypto.randomUUID(),
-        timestamp,
-        type: REGISTRY_EVENTS.REVOCATION,
-        status: 'success',
-        reason
-      };
-      
-      return transaction;
-    } catch (error) {
-      console.error('Failed to revoke resource on Ethereum:', error);
-      throw error;
+  async getResourceHistory(did) {
+    try {
+      this._ensureConnected();
+      
+      const didHash = ethers.id(did);
+      const fromBlock = this.config.fromBlock || 0;
+      const [registered, updated, transferred] = await Promise.all([
+        this.contract.queryFilter(this.contract.filters.ResourceRegistered(didHash), fromBlock),
+        this.contract.queryFilter(this.contract.filters.ResourceUpdated(didHash), fromBlock),
+        this.contract.queryFilter(this.contract.filters.OwnershipTransferred(didHash), fromBlock)
+      ]);
+      
+      const events = [...registered, ...updated, ...transferred].sort((a, b) =>
+        a.blockNumber - b.blockNumber || a.index - b.index
+      );
+      
+      // Authors are owner DIDs and their verification methods, as on the local
+      // ledger, not the connector account that sent the transactions
+      const versions = [];
+      let owner = null;
+      for (const event of events) {
+        if (event.fragment.name === 'OwnershipTransferred') {
+          owner = event.args.newOwner;
+          continue;
+        }
+        if (event.fragment.name === 'ResourceRegistered') {
+          owner = event.args.owner;
+        }
+        
+        const block = await event.getBlock();
+        const previous = versions[versions.length - 1];
+        
+        versions.push({
+          versionId: String(versions.length + 1),
+          metadataHash: event.args.metadataHash.replace(/^0x/, ''),
+          previousHash: previous ? previous.metadataHash : null,
+          contentId: event.args.contentId || undefined,
+          timestamp: block.timestamp * 1000,
+          author: event.fragment.name === 'ResourceUpdated' && event.args.authorizedBy
+            ? event.args.authorizedBy
+            : owner,
+          transactionId: event.transactionHash,
+          blockNumber: event.blockNumber
+        });
+      }
+      
+      return versions;
+    } catch (error) {
+      console.error('Failed to read resource history from Ethereum:', error);
+      throw this._mapError(error, did);
+    }
+  }
+
+  /**
+   * Create the provider and transaction signer
+   * @returns {Promise<ethers.Signer>} Signer for contract transactions
+   * @private
+   */
+  async _createSigner() {
+    this.provider = new ethers.JsonRpcProvider(this.config.rpcUrl, undefined, {
+      staticNetwork: this.config.chainId ? ethers.Network.from(this.config.chainId) : undefined
+    });
+    
+    if (this.config.privateKey) {
+      return new ethers.Wallet(this.config.privateKey, this.provider);
+    }
+    
+    // Fall back to an account managed (unlocked) by the node
+    return this.provider.getSigner(this.config.account || 0);
+  }
+
+  /**
+   * Send a contract transaction and wait for its receipt
+   * @param {string} type - Registry event type
+   * @param {string} did - DID of the resource
+   * @param {string} method - Contract method name
+   * @param {Array} args - Contract method arguments
+   * @returns {Promise<Object>} Transaction result
+   * @private
+   */
+  async _send(type, did, method, args) {
+    this._ensureConnected();
+    
+    let receipt;
+    try {
+      // Simulate first so reverts surface with decodable custom error data
+      await this.contract[method].staticCall(...args);
+      
+      // Pad the node's gas estimate; some devnets under-estimate storage refunds
+      const estimate = await this.contract[method].estimateGas(...args);
+      const gasLimit = estimate * BigInt(Math.round(this.config.gasLimitMultiplier * 100)) / 100n;
+      
+      const response = await this.contract[method](...args, { gasLimit });
+      receipt = await response.wait(this.config.confirmations, this.config.receiptTimeout);
+    } catch (error) {
+      throw this._mapError(error, did);
+    }
+    
+    if (!receipt || receipt.status !== 1) {
+      throw new LedgerError(`Transaction for ${did} was not successful`, {
+        did,
+        transactionHash: receipt ? receipt.hash : null
+      });
+    }
+    
+    const block = await this.provider.getBlock(receipt.blockNumber);
+    
+    return {
+      id: receipt.hash,
+      timestamp: block ? block.timestamp * 1000 : Date.now(),
+      type,
+      status: 'success',
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      gasUsed: receipt.gasUsed.toString()
+    };
+  }
+
+  /**
+   * Translate contract reverts and RPC failures into registry errors
+   * @param {Error} error - Error raised by ethers
+   * @param {string} did - DID of the resource
+   * @returns {RegistryError} Mapped error
+   * @private
+   */
+  _mapError(error, did) {
+    if (error instanceof RegistryError) {
+      return error;
+    }
+    
+    const revert = error.revert || null;
+    const details = {
+      did,
+      cause: revert ? revert.signature : (error.shortMessage || error.message)
+    };
+    
+    switch (revert && revert.name) {
+      case 'ResourceAlreadyRegistered':
+        return new ResourceAlreadyRegisteredError(did, details);
+      case 'ResourceNotFound':
+        return new ResourceNotFoundError(did, details);
+      case 'ResourceNotActive':
+        return new ResourceNotActiveError(did, 'revoked', details);
+      case 'NotResourceController':
+        return new UnauthorizedError(
+          `Account ${revert.args[1]} is not the controller of ${did}`,
+          details
+        );
+      case 'StaleNonce':
+        return new StaleRequestError(did, Number(revert.args[1]), Number(revert.args[2]), details);
+      case 'InvalidOwner':
+        return new InvalidRequestError('Owner DID must not be empty', details);
+      case 'Error':
+        // Plain require(..., "reason") revert
+        return new LedgerError(`Transaction reverted: ${revert.args[0]}`, details);
+    }
+    
+    if (error.code === 'CALL_EXCEPTION') {
+      return new LedgerError(`Transaction reverted: ${error.reason || error.shortMessage}`, details);
+    }
+    
+    return new LedgerError(`Ethereum request failed: ${error.shortMessage || error.message}`, details);
+  }
+
+  /**
+   * Use the caller's expected nonce, or the current one when none was given
+   * @param {string} did - DID of the resource
+   * @param {number} nonce - Expected nonce
+   * @returns {Promise<number>} Nonce to send with the transaction
+   * @private
+   */
+  async _resolveNonce(did, nonce) {
+    if (nonce !== undefined && nonce !== null) {
+      return nonce;
+    }
+    
+    const current = await this.verifyResource(did);
+    return current.exists ? current.nonce : 0;
+  }
+
+  /**
+   * Convert a hex metadata hash into a bytes32 value
+   * @param {string} hash - Hex encoded 32-byte hash, with or without 0x
+   * @returns {string} 0x-prefixed bytes32
+   * @private
+   */
+  _toBytes32(hash) {
+    const hex = String(hash || '').replace(/^0x/, '');
+    if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+      throw new InvalidRequestError('Metadata hash must be a 32-byte hex string');
+    }
+    return `0x${hex.toLowerCase()}`;
+  }
+
+  /**
+   * Throw if connect() has not succeeded
+   * @private
+   */
+  _ensureConnected() {
+    if (!this.contract) {
+      throw new LedgerError('Ethereum connector is not connected');
+    }
+  }
+}
+
+/**
+ * Local ledger implementation of the DLT connector
+ * 
+ * Records transactions in an append-only, hash-chained log. Each block holds one
+ * transaction and the SHA-256 hash of the previous block, so any modification of
+ * the log is detected when it is replayed. The log is kept in memory and, when
+ * `config.path` is set, persisted to disk as one JSON block per line.
+ */
+class LocalLedgerConnector extends DLTConnector {
+  constructor(config = {}) {
+    super({
+      path: null,
+      ledgerId: 'local',
+      ...config
+    });
+    this.blocks = [];
+    this.state = new Map();          // DID -> current resource record
+    this.transactions = new Map();   // Transaction id -> block index
+    this.versions = new Map();       // DID -> metadata version chain
+    this.connected = false;
+    this._writeQueue = Promise.resolve();
+    this._logLength = 0;             // Byte length of the log up to its last complete block
+  }
+
+  async connect() {
+    try {
+      this.blocks = [];
+      this._logLength = 0;
+      this.state.clear();
+      this.transactions.clear();
+      this.versions.clear();
+      
+      if (this.config.path) {
+        await fs.promises.mkdir(path.dirname(this.config.path), { recursive: true });
+        await this._replay();
+      }
+      
+      this.connected = true;
+      return true;
+    } catch (error) {
+      console.error('Failed to open local ledger:', error);
+      return false;
+    }
+  }
+
+  async registerResource(did, registrationData) {
+    return this._submit(REGISTRY_EVENTS.REGISTRATION, did, {
+      metadataHash: registrationData.metadataHash,
+      contentId: registrationData.contentId,
+      owner: registrationData.owner,
+      timestamp: registrationData.timestamp || Date.now()
+    });
+  }
+
+  async updateResource(did, updateData) {
+    return this._submit(REGISTRY_EVENTS.UPDATE, did, {
+      metadataHash: updateData.metadataHash,
+      contentId: updateData.contentId,
+      nonce: updateData.nonce,
+      authorizedBy: updateData.authorizedBy,
+      timestamp: updateData.timestamp || Date.now()
+    });
+  }
+
+  async transferOwnership(did, newOwner, options = {}) {
+    const transaction = await this._submit(REGISTRY_EVENTS.TRANSFER, did, {
+      newOwner,
+      nonce: options.nonce,
+      authorizedBy: options.authorizedBy,
+      timestamp: Date.now()
+    });
+    
+    return { ...transaction, newOwner };
+  }
+
+  async verifyResource(did) {
+    this._ensureConnected();
+    
+    const record = this.state.get(did);
+    if (!record) {
+      return {
+        exists: false,
+        status: 'unknown'
+      };
+    }
+    
+    return {
+      exists: true,
+      owner: record.owner,
+      metadataHash: record.metadataHash,
+      contentId: record.contentId,
+      created: record.created,
+      timestamp: record.updated,
+      status: record.status,
+      nonce: record.nonce || 0,
+      blockNumber: record.blockNumber,
+      transactionId: record.transactionId
+    };
+  }
+
+  async revokeResource(did, reason, options = {}) {
+    const transaction = await this._submit(REGISTRY_EVENTS.REVOCATION, did, {
+      reason,
+      nonce: options.nonce,
+      authorizedBy: options.authorizedBy,
+      timestamp: Date.now()
+    });
+    
+    return { ...transaction, reason };
+  }
+
+  async getResourceHistory(did) {
+    this._ensureConnected();
+    
+    return (this.versions.get(did) || []).map(version => ({ ...version }));
+  }
+
+  /**
+   * Get a block by number
+   * @param {number} blockNumber - Block index
+   * @returns {Object|null} Block or null if it does not exist
+   */
+  getBlock(blockNumber) {
+    return this.blocks[blockNumber] || null;
+  }
+
+  /**
+   * Get a transaction by id
+   * @param {string} transactionId - Transaction id
+   * @returns {Object|null} Transaction with its block number, or null
+   */
+  getTransaction(transactionId) {
+    if (!this.transactions.has(transactionId)) {
+      return null;
+    }
+    
+    const block = this.blocks[this.transactions.get(transactionId)];
+    return {
+      ...block.transaction,
+      blockNumber: block.index,
+      blockHash: block.hash
+    };
+  }
+
+  /**
+   * Add a metadata version to a resource's version chain
+   * @param {string} did - DID of the resource
+   * @param {Object} data - Registration or update transaction data
+   * @param {string} author - Owner DID or verification method behind the change
+   * @param {Object} pointer - Block pointer of the change
+   * @private
+   */
+  _appendVersion(did, data, author, pointer) {
+    const versions = this.versions.get(did);
+    const previous = versions[versions.length - 1];
+    
+    versions.push({
+      versionId: String(versions.length + 1),
+      metadataHash: data.metadataHash,
+      previousHash: previous ? previous.metadataHash : null,
+      contentId: data.contentId,
+      timestamp: pointer.updated,
+      author,
+      transactionId: pointer.transactionId,
+      blockNumber: pointer.blockNumber
+    });
+  }
+
+  /**
+   * Check the hash chain of all blocks
+   * @returns {boolean} True if every block links to its predecessor and its hash is intact
+   */
+  verifyChain() {
+    let previousHash = GENESIS_HASH;
+    
+    for (let i = 0; i < this.blocks.length; i++) {
+      const block = this.blocks[i];
+      if (block.index !== i || block.previousHash !== previousHash ||
+          block.hash !== this._hashBlock(block)) {
+        return false;
+      }
+      previousHash = block.hash;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Validate, append and apply a transaction
+   * @param {string} type - Transaction type (from REGISTRY_EVENTS)
+   * @param {string} did - DID of the resource
+   * @param {Object} data - Transaction data
+   * @returns {Promise<Object>} Transaction result
+   * @private
+   */
+  async _submit(type, did, data) {
+    this._ensureConnected();
+    
+    // Writes are serialized so blocks are appended in the order they were validated
+    const result = this._writeQueue.then(async () => {
+      const transaction = {
+        type,
+        did,
+        data,
+        timestamp: Date.now()
+      };
+      
+      // Reject invalid state transitions before anything is written
+      this._validateTransaction(transaction);
+      
+      const previous = this.blocks[this.blocks.length - 1];
+      const block = {
+        index: this.blocks.length,
+        timestamp: transaction.timestamp,
+        previousHash: previous ? previous.hash : GENESIS_HASH,
+        transaction: {
+          id: this._hashObject({ previousHash: previous ? previous.hash : GENESIS_HASH, transaction }),
+          ...transaction
+        }
+      };
+      block.hash = this._hashBlock(block);
+      
+      if (this.config.path) {
+        const line = `${JSON.stringify(block)}\n`;
+        try {
+          await fs.promises.appendFile(this.config.path, line, 'utf8');
+        } catch (error) {
+          // Cut off whatever part of the block was written, so the next append starts on a fresh line
+          await fs.promises.truncate(this.config.path, this._logLength).catch(() => {});
+          throw new LedgerError(`Failed to append block ${block.index}: ${error.message}`, { did });
+        }
+        this._logLength += Buffer.byteLength(line);
+      }
+      
+      this._applyBlock(block);
+      
+      return {
+        id: block.transaction.id,
+        timestamp: block.timestamp,
+        type,
+        status: 'success',
+        blockNumber: block.index,
+        blockHash: block.hash
+      };
+    });
+    
+    // Keep the queue alive after a rejected transaction
+    this._writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Check that a transaction is a valid state transition
+   * @param {Object} transaction - Transaction to validate
+   * @private
+   */
+  _validateTransaction(transaction) {
+    const { type, did, data } = transaction;
+    const record = this.state.get(did);
+    
+    if (!did || typeof did !== 'string') {
+      throw new InvalidRequestError('Transaction requires a DID');
+    }
+    
+    if (type === REGISTRY_EVENTS.REGISTRATION) {
+      if (record) {
+        throw new ResourceAlreadyRegisteredError(did);
+      }
+      if (!data.metadataHash) {
+        throw new InvalidRequestError('Registration requires a metadata hash', { did });
+      }
+      return;
+    }
+    
+    if (!record) {
+      throw new ResourceNotFoundError(did);
+    }
+    
+    if (record.status !== 'active') {
+      throw new ResourceNotActiveError(did, record.status);
+    }
+    
+    // Changes quoting a nonce only apply to the state they were signed against
+    const nonce = record.nonce || 0;
+    if (data.nonce !== undefined && data.nonce !== nonce) {
+      throw new StaleRequestError(did, nonce, data.nonce);
+    }
+    
+    if (type === REGISTRY_EVENTS.TRANSFER && !data.newOwner) {
+      throw new InvalidRequestError('Ownership transfer requires a new owner', { did });
+    }
+    
+    if (type === REGISTRY_EVENTS.UPDATE && !data.metadataHash) {
+      throw new InvalidRequestError('Update requires a metadata hash', { did });
+    }
+  }
+
+  /**
+   * Apply a block's transaction to the resource state
+   * @param {Object} block - Block to apply
+   * @private
+   */
+  _applyBlock(block) {
+    const { id, type, did, data } = block.transaction;
+    const record = this.state.get(did);
+    const pointer = {
+      blockNumber: block.index,
+      transactionId: id,
+      updated: data.timestamp || block.timestamp,
+      nonce: record ? (record.nonce || 0) + 1 : 0
+    };
+    
+    switch (type) {
+      case REGISTRY_EVENTS.REGISTRATION:
+        this.state.set(did, {
+          did,
+          owner: data.owner,
+          metadataHash: data.metadataHash,
+          contentId: data.contentId,
+          status: 'active',
+          created: pointer.updated,
+          ...pointer
+        });
+        this.versions.set(did, []);
+        this._appendVersion(did, data, data.authorizedBy || data.owner, pointer);
+        break;
+        
+      case REGISTRY_EVENTS.UPDATE:
+        Object.assign(record, {
+          metadataHash: data.metadataHash,
+          contentId: data.contentId,
+          ...pointer
+        });
+        this._appendVersion(did, data, data.authorizedBy || record.owner, pointer);
+        break;
+        
+      case REGISTRY_EVENTS.TRANSFER:
+        Object.assign(record, { owner: data.newOwner, ...pointer });
+        break;
+        
+      case REGISTRY_EVENTS.REVOCATION:
+        Object.assign(record, { status: 'revoked', revocationReason: data.reason, ...pointer });
+        break;
+        
+      default:
+        throw new Error(`Unknown transaction type in block ${block.index}: ${type}`);
+    }
+    
+    this.blocks.push(block);
+    this.transactions.set(id, block.index);
+  }
+
+  /**
+   * Rebuild state from the persisted log, verifying the hash chain
+   *
+   * A final line without a newline is a block whose write was interrupted; it
+   * was never applied, so it is cut off the log. Any other damage fails the replay.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _replay() {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.config.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    
+    const complete = contents.slice(0, contents.lastIndexOf('\n') + 1);
+    if (complete.length < contents.length) {
+      console.warn(`Dropping the unterminated last line of ledger ${this.config.path}`);
+      await fs.promises.truncate(this.config.path, Buffer.byteLength(complete));
+    }
+    
+    const lines = complete.split('\n').filter(line => line.trim() !== '');
+    let previousHash = GENESIS_HASH;
+    
+    for (let i = 0; i < lines.length; i++) {
+      let block;
+      try {
+        block = JSON.parse(lines[i]);
+      } catch {
+        throw new LedgerError(`Ledger block ${i} is not valid JSON`, { blockNumber: i });
+      }
+      
+      if (block.index !== i || block.previousHash !== previousHash) {
+        throw new LedgerError(`Ledger chain broken at block ${i}`, { blockNumber: i });
+      }
+      if (block.hash !== this._hashBlock(block)) {
+        throw new LedgerError(`Ledger block ${i} has been modified`, { blockNumber: i });
+      }
+      
+      this._validateTransaction(block.transaction);
+      this._applyBlock(block);
+      previousHash = block.hash;
+    }
+    
+    this._logLength = Buffer.byteLength(complete);
+  }
+
+  /**
+   * Compute the hash of a block (excluding its own hash field)
+   * @param {Object} block - Block to hash
+   * @returns {string} Hex encoded SHA-256 hash
+   * @private
+   */
+  _hashBlock(block) {
+    return this._hashObject({
+      index: block.index,
+      timestamp: block.timestamp,
+      previousHash: block.previousHash,
+      transaction: block.transaction
+    });
+  }
+
+  /**
+   * Hash a JSON value
+   * @param {Object} value - Value to hash
+   * @returns {string} Hex encoded SHA-256 hash
+   * @private
+   */
+  _hashObject(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+  }
+
+  /**
+   * Throw if connect() has not been called
+   * @private
+   */
+  _ensureConnected() {
+    if (!this.connected) {
+      throw new LedgerError('Local ledger is not connected');
     }
   }
 }
@@ -245,17 +998,33 @@ class OffChainStorage {
 
 /**
  * IPFS implementation of off-chain storage
+ * 
+ * Talks to a Kubo node through its HTTP RPC API (`config.apiUrl`, default
+ * http://127.0.0.1:5001/api/v0). Blocks are encoded exactly as in
+ * ContentAddressedStorage (dag-json for objects, raw for strings and bytes), so
+ * both storages assign the same CIDv1 to the same metadata. The CID returned by
+ * the node is checked against the locally computed one, and every retrieved
+ * block is re-hashed before it is decoded. Deleting a block unpins it; the node
+ * garbage-collects it later.
  */
 class IPFSStorage extends OffChainStorage {
   constructor(config = {}) {
-    super(config);
-    this.ipfs = null;
+    super({
+      apiUrl: 'http://127.0.0.1:5001/api/v0',
+      timeout: 30000,
+      ...config
+    });
+    this.connected = false;
   }
 
+  /**
+   * Check that the node answers
+   * @returns {Promise<boolean>} True if the node is reachable
+   */
   async connect() {
     try {
-      // Placeholder for IPFS connection
-      this.ipfs = {};
+      await this._call('id');
+      this.connected = true;
       return true;
     } catch (error) {
       console.error('Failed to connect to IPFS:', error);
@@ -263,46 +1032,409 @@ class IPFSStorage extends OffChainStorage {
     }
   }
 
+  /**
+   * Store and pin data as a block
+   * @param {Object|string|Buffer} data - Data to store (objects are encoded as dag-json)
+   * @returns {Promise<Object>} Storage result with the CID as contentId
+   */
   async store(data) {
+    this._ensureConnected();
+    
+    let bytes;
+    let codec;
+    if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+      bytes = Buffer.from(data);
+      codec = CODECS.RAW;
+    } else if (typeof data === 'string') {
+      bytes = Buffer.from(data, 'utf8');
+      codec = CODECS.RAW;
+    } else {
+      bytes = dagJson.encode(data);
+      codec = CODECS.DAG_JSON;
+    }
+    
+    const cid = CID.create(bytes, codec);
+    const codecName = codec === CODECS.RAW ? 'raw' : 'dag-json';
+    
+    const body = new FormData();
+    body.append('file', new Blob([bytes]));
+    const response = await this._call('block/put', {
+      'cid-codec': codecName,
+      mhtype: 'sha2-256',
+      pin: 'true'
+    }, body);
+    const result = await response.json();
+    
+    if (!CID.parse(result.Key).equals(cid)) {
+      throw new Error(`IPFS node stored the block as ${result.Key}, expected ${cid.toString()}`);
+    }
+    
+    return {
+      contentId: cid.toString(),
+      codec: codecName,
+      size: bytes.length,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Retrieve and verify a block
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Object|Buffer>} Decoded object for dag-json blocks, bytes for raw blocks
+   */
+  async retrieve(cid) {
+    this._ensureConnected();
+    
+    const parsed = CID.parse(cid);
+    const contentId = parsed.toString();
+    const response = await this._call('block/get', { arg: contentId });
+    const bytes = Buffer.from(await response.arrayBuffer());
+    
+    if (!parsed.verify(bytes)) {
+      throw new Error(`Content hash mismatch for ${contentId}`);
+    }
+    
+    switch (parsed.codec) {
+      case CODECS.DAG_JSON:
+        return dagJson.decode(bytes);
+      case CODECS.RAW:
+        return bytes;
+      default:
+        throw new Error(`Unsupported codec 0x${parsed.codec.toString(16)} for ${contentId}`);
+    }
+  }
+
+  /**
+   * Unpin a block
+   * @param {string} cid - Content identifier
+   * @returns {Promise<boolean>} True if the block was pinned
+   */
+  async delete(cid) {
+    this._ensureConnected();
+    
+    const contentId = CID.parse(cid).toString();
+    try {
+      await this._call('pin/rm', { arg: contentId });
+      return true;
+    } catch (error) {
+      if (/not pinned/.test(error.message)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Call an RPC endpoint of the node
+   * @param {string} endpoint - Endpoint path, e.g. 'block/get'
+   * @param {Object} params - Query parameters
+   * @param {FormData} body - Multipart body
+   * @returns {Promise<Response>} Successful response
+   * @private
+   */
+  async _call(endpoint, params = {}, body = undefined) {
+    const url = `${this.config.apiUrl.replace(/\/$/, '')}/${endpoint}?${new URLSearchParams(params)}`;
+    const response = await fetch(url, {
+      method: 'POST',
+      body,
+      signal: AbortSignal.timeout(this.config.timeout)
+    });
+    
+    if (!response.ok) {
+      // Kubo reports failures as { Message, Code, Type }
+      const text = await response.text();
+      let message = text;
+      try {
+        message = JSON.parse(text).Message || text;
+      } catch {
+        // Not JSON; keep the raw text
+      }
+      throw new Error(`IPFS ${endpoint} failed (${response.status}): ${message}`);
+    }
+    
+    return response;
+  }
+
+  /**
+   * Throw if connect() has not succeeded
+   * @private
+   */
+  _ensureConnected() {
+    if (!this.connected) {
+      throw new Error('IPFS storage is not connected');
+    }
+  }
+}
+
+/**
+ * Local content-addressed implementation of off-chain storage
+ * 
+ * Blocks are addressed by real CIDv1 identifiers (sha2-256 multihash). Objects are
+ * stored as dag-json, strings and binary data as raw blocks. Blocks are kept in
+ * memory or, when `config.directory` is set, persisted as one file per CID with
+ * reference counts in `refs.json`. Every retrieval re-hashes the block, so
+ * corrupted or tampered content is never returned.
+ */
+class ContentAddressedStorage extends OffChainStorage {
+  constructor(config = {}) {
+    super({
+      directory: null,
+      ...config
+    });
+    this.blocks = new Map();      // CID string -> bytes (in-memory mode)
+    this.references = new Map();  // CID string -> reference count
+    this.connected = false;
+    this._writeQueue = Promise.resolve();
+  }
+
+  async connect() {
     try {
-      // Serialize data if needed
-      const serialized = typeof data === 'string' ? data : JSON.stringify(data);
+      this.blocks.clear();
+      this.references.clear();
       
-      // Placeholder for IPFS add operation
-      const cid = 'QmXjkFQjnD8i8ntmxHjs6mK6YWt3E6fsqXPUYHCaGXS2gT';
+      if (this.config.directory) {
+        await fs.promises.mkdir(path.join(this.config.directory, 'blocks'), { recursive: true });
+        
+        try {
+          const refs = JSON.parse(await fs.promises.readFile(this._refsPath(), 'utf8'));
+          for (const [cid, count] of Object.entries(refs)) {
+            this.references.set(cid, count);
+          }
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
       
-      return {
-        contentId: cid,
-        timestamp: Date.now()
-      };
+      this.connected = true;
+      return true;
     } catch (error) {
-      console.error('Failed to store data on IPFS:', error);
-      throw error;
+      console.error('Failed to open content-addressed storage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store data as a content-addressed block
+   * @param {Object|string|Buffer} data - Data to store (objects are encoded as dag-json)
+   * @returns {Promise<Object>} Storage result with the CID as contentId
+   */
+  async store(data) {
+    this._ensureConnected();
+    
+    let bytes;
+    let codec;
+    if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+      bytes = Buffer.from(data);
+      codec = CODECS.RAW;
+    } else if (typeof data === 'string') {
+      bytes = Buffer.from(data, 'utf8');
+      codec = CODECS.RAW;
+    } else {
+      bytes = dagJson.encode(data);
+      codec = CODECS.DAG_JSON;
     }
+    
+    const cid = CID.create(bytes, codec);
+    const contentId = cid.toString();
+    
+    await this._enqueue(async () => {
+      if (!this.references.has(contentId)) {
+        await this._writeBlock(contentId, bytes);
+      }
+      this.references.set(contentId, (this.references.get(contentId) || 0) + 1);
+      await this._saveReferences();
+    });
+    
+    return {
+      contentId,
+      codec: codec === CODECS.RAW ? 'raw' : 'dag-json',
+      size: bytes.length,
+      timestamp: Date.now()
+    };
   }
 
+  /**
+   * Retrieve and verify a block
+   * @param {string} cid - Content identifier
+   * @returns {Promise<Object|Buffer>} Decoded object for dag-json blocks, bytes for raw blocks
+   */
   async retrieve(cid) {
-    try {
-      // Placeholder for IPFS get operation
-      const content = '{"example":"metadata"}';
+    this._ensureConnected();
+    
+    const parsed = CID.parse(cid);
+    const contentId = parsed.toString();
+    const bytes = await this._readBlock(contentId);
+    
+    if (!bytes) {
+      throw new Error(`Content not found: ${contentId}`);
+    }
+    
+    if (!parsed.verify(bytes)) {
+      throw new Error(`Content hash mismatch for ${contentId}`);
+    }
+    
+    switch (parsed.codec) {
+      case CODECS.DAG_JSON:
+        return dagJson.decode(bytes);
+      case CODECS.RAW:
+        return bytes;
+      default:
+        throw new Error(`Unsupported codec 0x${parsed.codec.toString(16)} for ${contentId}`);
+    }
+  }
+
+  /**
+   * Release one reference to a block, removing it once unreferenced
+   * @param {string} cid - Content identifier
+   * @returns {Promise<boolean>} True if a reference was released
+   */
+  async delete(cid) {
+    this._ensureConnected();
+    
+    const contentId = CID.parse(cid).toString();
+    
+    return this._enqueue(async () => {
+      const count = this.references.get(contentId);
+      if (!count) {
+        return false;
+      }
       
-      // Parse JSON if the content is JSON
-      try {
-        return JSON.parse(content);
-      } catch {
-        return content;
+      if (count > 1) {
+        this.references.set(contentId, count - 1);
+      } else {
+        this.references.delete(contentId);
+        await this._removeBlock(contentId);
       }
+      
+      await this._saveReferences();
+      return true;
+    });
+  }
+
+  /**
+   * Check whether a block is stored
+   * @param {string} cid - Content identifier
+   * @returns {boolean} True if the block is referenced
+   */
+  has(cid) {
+    return this.references.has(CID.parse(cid).toString());
+  }
+
+  /**
+   * Get the reference count of a block
+   * @param {string} cid - Content identifier
+   * @returns {number} Number of references (0 if not stored)
+   */
+  getReferenceCount(cid) {
+    return this.references.get(CID.parse(cid).toString()) || 0;
+  }
+
+  /**
+   * Run a storage mutation after all previous ones
+   * @param {Function} task - Async mutation
+   * @returns {Promise<*>} Result of the task
+   * @private
+   */
+  _enqueue(task) {
+    const result = this._writeQueue.then(task);
+    this._writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Persist a block
+   * @param {string} contentId - CID string
+   * @param {Buffer} bytes - Block bytes
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeBlock(contentId, bytes) {
+    if (!this.config.directory) {
+      this.blocks.set(contentId, bytes);
+      return;
+    }
+    
+    // Write to a temporary file first so a crash never leaves a partial block
+    const target = this._blockPath(contentId);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, bytes);
+    await fs.promises.rename(temporary, target);
+  }
+
+  /**
+   * Read a block
+   * @param {string} contentId - CID string
+   * @returns {Promise<Buffer|null>} Block bytes or null if missing
+   * @private
+   */
+  async _readBlock(contentId) {
+    if (!this.config.directory) {
+      return this.blocks.get(contentId) || null;
+    }
+    
+    try {
+      return await fs.promises.readFile(this._blockPath(contentId));
     } catch (error) {
-      console.error('Failed to retrieve data from IPFS:', error);
+      if (error.code === 'ENOENT') return null;
       throw error;
     }
   }
 
-  async delete(cid) {
-    // Note: Content on IPFS cannot be truly deleted, but we can implement
-    // unpinning here if needed
-    console.warn('Content on IPFS cannot be truly deleted, only unpinned');
-    return true;
+  /**
+   * Remove a block
+   * @param {string} contentId - CID string
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _removeBlock(contentId) {
+    if (!this.config.directory) {
+      this.blocks.delete(contentId);
+      return;
+    }
+    
+    try {
+      await fs.promises.unlink(this._blockPath(contentId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Persist reference counts
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveReferences() {
+    if (!this.config.directory) return;
+    
+    const temporary = `${this._refsPath()}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(Object.fromEntries(this.references)), 'utf8');
+    await fs.promises.rename(temporary, this._refsPath());
+  }
+
+  /**
+   * @param {string} contentId - CID string
+   * @returns {string} Path of the block file
+   * @private
+   */
+  _blockPath(contentId) {
+    return path.join(this.config.directory, 'blocks', contentId);
+  }
+
+  /**
+   * @returns {string} Path of the reference count file
+   * @private
+   */
+  _refsPath() {
+    return path.join(this.config.directory, 'refs.json');
+  }
+
+  /**
+   * Throw if connect() has not been called
+   * @private
+   */
+  _ensureConnected() {
+    if (!this.connected) {
+      throw new Error('Content-addressed storage is not connected');
+    }
   }
 }
 
@@ -317,13 +1449,15 @@ class DistributedRegistry {
   constructor(config = {}) {
     this.config = {
       dltType: 'ethereum',
-      storageType: 'ipfs',
+      storageType: 'local',
       ...config
     };
     
     // Initialize DLT connector
     if (this.config.dltType === 'ethereum') {
       this.dltConnector = new EthereumDLTConnector(this.config.dlt || {});
+    } else if (this.config.dltType === 'local') {
+      this.dltConnector = new LocalLedgerConnector(this.config.dlt || {});
     } else {
       throw new Error(`Unsupported DLT type: ${this.config.dltType}`);
     }
@@ -331,10 +1465,21 @@ class DistributedRegistry {
     // Initialize off-chain storage
     if (this.config.storageType === 'ipfs') {
       this.storage = new IPFSStorage(this.config.storage || {});
+    } else if (this.config.storageType === 'local') {
+      this.storage = new ContentAddressedStorage(this.config.storage || {});
     } else {
       throw new Error(`Unsupported storage type: ${this.config.storageType}`);
     }
     
+    // did:key and did:web owners are resolved by their method, never from the ledger
+    this.resolver = this.config.resolver || new DIDResolver(null, this.config.resolverOptions || {});
+    
+    // Owner keys are looked up in DID documents held by this registry unless
+    // a resolver for other DID methods is configured
+    this.authorizer = new RequestAuthorizer({
+      keyResolver: this.config.keyResolver || (id => this._resolveVerificationMethod(id))
+    });
+    
     this.eventListeners = {};
   }
 
@@ -343,6 +1488,11 @@ class DistributedRegistry {
    * @returns {Promise<boolean>} True if connections are successful
    */
   async initialize() {
+    // Offline mode: the connectors are left unconnected
+    if (this.config.skipConnection) {
+      return false;
+    }
+    
     const dltConnected = await this.dltConnector.connect();
     const storageConnected = await this.storage.connect();
     
@@ -351,13 +1501,28 @@ class DistributedRegistry {
 
   /**
    * Register a new digital resource
+   * 
+   * The registration must be signed by a key of the owner. Keys of other owners
+   * are resolved as for updates; a resource that owns itself is checked against
+   * the DID document it registers.
+   * 
    * @param {string} did - DID of the resource
    * @param {Object} metadata - Complete metadata of the resource
    * @param {string} ownerDid - DID of the resource owner
+   * @param {Object} request - Owner-signed request for { metadata, owner }
    * @returns {Promise<Object>} Registration result
    */
-  async registerResource(did, metadata, ownerDid) {
+  async registerResource(did, metadata, ownerDid, request) {
     try {
+      // Only did:asset DIDs live on this ledger; documents of other methods are
+      // resolved by their own method and must not be shadowed here
+      const parsed = parseDID(did);
+      if (!parsed || parsed.method !== 'asset') {
+        throw new InvalidRequestError(`Only did:asset DIDs can be registered: ${did}`, { did });
+      }
+      
+      await this._authorizeRegistration(did, metadata, ownerDid, request);
+      
       // Store complete metadata off-chain
       const storageResult = await this.storage.store(metadata);
       
@@ -392,7 +1557,7 @@ class DistributedRegistry {
       };
     } catch (error) {
       console.error('Failed to register resource:', error);
-      throw new Error(`Resource registration failed: ${error.message}`);
+      throw wrapRegistryError(error, 'Resource registration');
     }
   }
 
@@ -400,11 +1565,12 @@ class DistributedRegistry {
    * Update metadata for an existing resource
    * @param {string} did - DID of the resource
    * @param {Object} metadata - Updated metadata
+   * @param {Object} request - Owner-signed request for { metadata }
    * @returns {Promise<Object>} Update result
    */
-  async updateMetadata(did, metadata) {
+  async updateMetadata(did, metadata, request) {
     try {
-      // Verify resource ownership (implementation would check this)
+      const authorization = await this._authorize(REGISTRY_EVENTS.UPDATE, did, { metadata }, request);
       
       // Store updated metadata off-chain
       const storageResult = await this.storage.store(metadata);
@@ -418,6 +1584,8 @@ class DistributedRegistry {
       const updateData = {
         metadataHash,
         contentId: storageResult.contentId,
+        nonce: authorization.nonce,
+        authorizedBy: authorization.verificationMethod,
         timestamp: Date.now()
       };
       
@@ -439,26 +1607,40 @@ class DistributedRegistry {
       };
     } catch (error) {
       console.error('Failed to update resource metadata:', error);
-      throw new Error(`Metadata update failed: ${error.message}`);
+      throw wrapRegistryError(error, 'Metadata update');
     }
   }
 
   /**
    * Retrieve a resource's complete metadata
    * @param {string} did - DID of the resource
-   * @returns {Promise<Object>} Resource metadata
+   * @param {Object} options - Retrieval options
+   * @param {boolean} options.includeRevoked - Also return revoked resources
+   * @param {string} options.versionId - Return this metadata version instead of the latest
+   * @param {string|number|Date} options.versionTime - Return the version current at this time
+   * @returns {Promise<Object>} Resource metadata with the selected version
    */
-  async getResource(did) {
+  async getResource(did, options = {}) {
     try {
       // Verify resource on-chain
       const verificationResult = await this.dltConnector.verifyResource(did);
       
-      if (!verificationResult.exists || verificationResult.status !== 'active') {
-        throw new Error(`Resource ${did} does not exist or is not active`);
+      if (!verificationResult.exists) {
+        throw new ResourceNotFoundError(did);
+      }
+      
+      if (verificationResult.status !== 'active' && !options.includeRevoked) {
+        throw new ResourceNotActiveError(did, verificationResult.status);
       }
       
-      // Get content ID from verification result (in a real implementation)
-      const contentId = verificationResult.contentId || 'QmXjkFQjnD8i8ntmxHjs6mK6YWt3E6fsqXPUYHCaGXS2gT';
+      const history = await this.dltConnector.getResourceHistory(did);
+      const { version, nextVersion } = this._selectVersion(did, history, options);
+      
+      // Get content ID from the selected version (or the latest ledger record)
+      const contentId = (version && version.contentId) || verificationResult.contentId;
+      if (!contentId) {
+        throw new LedgerError(`Resource ${did} has no metadata content ID`, { did });
+      }
       
       // Retrieve metadata from off-chain storage
       const metadata = await this.storage.retrieve(contentId);
@@ -466,11 +1648,33 @@ class DistributedRegistry {
       return {
         did,
         metadata,
-        verification: verificationResult
+        verification: verificationResult,
+        version,
+        nextVersion,
+        created: history.length > 0 ? history[0].timestamp : verificationResult.created
       };
     } catch (error) {
       console.error('Failed to retrieve resource:', error);
-      throw new Error(`Resource retrieval failed: ${error.message}`);
+      throw wrapRegistryError(error, 'Resource retrieval');
+    }
+  }
+
+  /**
+   * List the metadata versions of a resource
+   * @param {string} did - DID of the resource
+   * @returns {Promise<Array>} Versions, oldest first
+   */
+  async getResourceHistory(did) {
+    try {
+      const verificationResult = await this.dltConnector.verifyResource(did);
+      if (!verificationResult.exists) {
+        throw new ResourceNotFoundError(did);
+      }
+      
+      return await this.dltConnector.getResourceHistory(did);
+    } catch (error) {
+      console.error('Failed to retrieve resource history:', error);
+      throw wrapRegistryError(error, 'Resource history retrieval');
     }
   }
 
@@ -478,14 +1682,23 @@ class DistributedRegistry {
    * Transfer ownership of a resource
    * @param {string} did - DID of the resource
    * @param {string} newOwnerDid - DID of the new owner
+   * @param {Object} request - Owner-signed request for { newOwner }
    * @returns {Promise<Object>} Transfer result
    */
-  async transferOwnership(did, newOwnerDid) {
+  async transferOwnership(did, newOwnerDid, request) {
     try {
-      // Verify resource ownership (implementation would check this)
+      const authorization = await this._authorize(
+        REGISTRY_EVENTS.TRANSFER,
+        did,
+        { newOwner: newOwnerDid },
+        request
+      );
       
       // Transfer ownership on-chain
-      const dltResult = await this.dltConnector.transferOwnership(did, newOwnerDid);
+      const dltResult = await this.dltConnector.transferOwnership(did, newOwnerDid, {
+        nonce: authorization.nonce,
+        authorizedBy: authorization.verificationMethod
+      });
       
       // Emit transfer event
       this.emitEvent(REGISTRY_EVENTS.TRANSFER, {
@@ -501,7 +1714,7 @@ class DistributedRegistry {
       };
     } catch (error) {
       console.error('Failed to transfer resource ownership:', error);
-      throw new Error(`Ownership transfer failed: ${error.message}`);
+      throw wrapRegistryError(error, 'Ownership transfer');
     }
   }
 
@@ -509,14 +1722,18 @@ class DistributedRegistry {
    * Revoke or deactivate a resource
    * @param {string} did - DID of the resource
    * @param {string} reason - Reason for revocation
+   * @param {Object} request - Owner-signed request for { reason }
    * @returns {Promise<Object>} Revocation result
    */
-  async revokeResource(did, reason) {
+  async revokeResource(did, reason, request) {
     try {
-      // Verify resource ownership (implementation would check this)
+      const authorization = await this._authorize(REGISTRY_EVENTS.REVOCATION, did, { reason }, request);
       
       // Revoke resource on-chain
-      const dltResult = await this.dltConnector.revokeResource(did, reason);
+      const dltResult = await this.dltConnector.revokeResource(did, reason, {
+        nonce: authorization.nonce,
+        authorizedBy: authorization.verificationMethod
+      });
       
       // Emit revocation event
       this.emitEvent(REGISTRY_EVENTS.REVOCATION, {
@@ -532,7 +1749,7 @@ class DistributedRegistry {
       };
     } catch (error) {
       console.error('Failed to revoke resource:', error);
-      throw new Error(`Resource revocation failed: ${error.message}`);
+      throw wrapRegistryError(error, 'Resource revocation');
     }
   }
 
@@ -554,8 +1771,175 @@ class DistributedRegistry {
       return result;
     } catch (error) {
       console.error('Failed to verify resource:', error);
-      throw new Error(`Resource verification failed: ${error.message}`);
+      throw wrapRegistryError(error, 'Resource verification');
+    }
+  }
+
+  /**
+   * Create an owner-signed request for a registry change
+   * 
+   * The request is bound to the resource's current nonce, so it must be submitted
+   * before any other change to the resource. Registrations are bound to nonce 0.
+   * 
+   * @param {string} did - DID of the resource
+   * @param {string} action - REGISTRY_EVENTS.REGISTRATION, UPDATE, TRANSFER or REVOCATION
+   * @param {Object} params - Call parameters ({ metadata, owner }, { metadata }, { newOwner }
+   *   or { reason })
+   * @param {Ed25519KeyPair} keyPair - Owner key pair
+   * @param {string} verificationMethod - Id of the owner's verification method for the key
+   * @returns {Promise<Object>} Signed request
+   */
+  async createSignedRequest(did, action, params, keyPair, verificationMethod) {
+    const verification = await this.dltConnector.verifyResource(did);
+    if (action === REGISTRY_EVENTS.REGISTRATION && verification.exists) {
+      throw new ResourceAlreadyRegisteredError(did);
+    }
+    if (action !== REGISTRY_EVENTS.REGISTRATION && !verification.exists) {
+      throw new ResourceNotFoundError(did);
+    }
+    
+    return signRegistryRequest(
+      { action, did, nonce: verification.exists ? verification.nonce : 0, params },
+      keyPair,
+      verificationMethod
+    );
+  }
+
+  /**
+   * Pick the version requested by versionId or versionTime (latest by default)
+   * @param {string} did - DID of the resource
+   * @param {Array} history - Version chain, oldest first
+   * @param {Object} options - Retrieval options
+   * @returns {Object} { version, nextVersion }
+   * @private
+   */
+  _selectVersion(did, history, options) {
+    let index = history.length - 1;
+    
+    if (options.versionId !== undefined && options.versionId !== null) {
+      index = history.findIndex(version => version.versionId === String(options.versionId));
+      if (index === -1) {
+        throw new VersionNotFoundError(did, options.versionId);
+      }
+    } else if (options.versionTime !== undefined && options.versionTime !== null) {
+      const time = new Date(options.versionTime).getTime();
+      if (isNaN(time)) {
+        throw new InvalidRequestError(`Invalid versionTime: ${options.versionTime}`, { did });
+      }
+      
+      // Latest version created at or before the requested time
+      while (index >= 0 && history[index].timestamp > time) {
+        index--;
+      }
+      if (index === -1) {
+        throw new VersionNotFoundError(did, `at ${new Date(time).toISOString()}`);
+      }
+    }
+    
+    return {
+      version: index >= 0 ? history[index] : null,
+      nextVersion: history[index + 1] || null
+    };
+  }
+
+  /**
+   * Check a signed request against the resource's ledger record
+   * @param {string} action - Registry action
+   * @param {string} did - DID of the resource
+   * @param {Object} params - Call parameters covered by the signature
+   * @param {Object} request - Signed request
+   * @returns {Promise<Object>} { verificationMethod, controller, nonce }
+   * @private
+   */
+  async _authorize(action, did, params, request) {
+    const verification = await this.dltConnector.verifyResource(did);
+    
+    if (!verification.exists) {
+      throw new ResourceNotFoundError(did);
+    }
+    
+    if (verification.status !== 'active') {
+      throw new ResourceNotActiveError(did, verification.status);
+    }
+    
+    const authorization = await this.authorizer.authorize(request, {
+      action,
+      did,
+      params,
+      owner: verification.owner,
+      nonce: verification.nonce
+    });
+    
+    return { ...authorization, nonce: verification.nonce };
+  }
+
+  /**
+   * Check a signed registration request against the owner it names
+   * @param {string} did - DID of the resource
+   * @param {Object} metadata - Metadata being registered
+   * @param {string} ownerDid - Owner DID being registered
+   * @param {Object} request - Signed request for { metadata, owner }
+   * @returns {Promise<Object>} { verificationMethod, controller }
+   * @private
+   */
+  async _authorizeRegistration(did, metadata, ownerDid, request) {
+    if (typeof ownerDid !== 'string' || !parseDID(ownerDid)) {
+      throw new InvalidRequestError(`Registration requires an owner DID: ${ownerDid}`, { did });
+    }
+    
+    const verification = await this.dltConnector.verifyResource(did);
+    if (verification.exists) {
+      throw new ResourceAlreadyRegisteredError(did);
+    }
+    
+    return this.authorizer.authorize(request, {
+      action: REGISTRY_EVENTS.REGISTRATION,
+      did,
+      params: { metadata, owner: ownerDid },
+      owner: ownerDid,
+      nonce: 0,
+      didDocument: ownerDid === did ? metadata : undefined
+    });
+  }
+
+  /**
+   * Look up an owner key in the DID document of its controller
+   * 
+   * did:asset documents are read from this registry, and only when the ledger
+   * entry is owned by that same DID: anyone may register a DID, so a document
+   * registered by someone else says nothing about the controller's keys.
+   * did:key and did:web documents are resolved through their DID method.
+   * 
+   * @param {string} verificationMethodId - Verification method id (did#fragment)
+   * @returns {Promise<Object|null>} Verification method allowed to authorize changes
+   * @private
+   */
+  async _resolveVerificationMethod(verificationMethodId) {
+    const controller = verificationMethodId.split('#')[0];
+    const parsed = parseDID(controller);
+    if (!parsed) {
+      return null;
+    }
+    
+    let didDocument;
+    if (parsed.method === 'asset') {
+      const verification = await this.dltConnector.verifyResource(controller);
+      if (!verification.exists || verification.status !== 'active' || !verification.contentId ||
+        verification.owner !== controller) {
+        return null;
+      }
+      didDocument = await this.storage.retrieve(verification.contentId);
+    } else if (parsed.method === 'key' || parsed.method === 'web') {
+      const resolution = await this.resolver.resolve(controller);
+      if (resolution.didResolutionMetadata.error) {
+        return null;
+      }
+      didDocument = resolution.didDocument;
+    } else {
+      return null;
     }
+    
+    return findAuthorizationMethod(didDocument, verificationMethodId);
   }
 
   /**
@@ -602,7 +1986,21 @@ class DistributedRegistry {
 
 module.exports = {
   DistributedRegistry,
+  DLTConnector,
   EthereumDLTConnector,
+  LocalLedgerConnector,
+  OffChainStorage,
   IPFSStorage,
-  REGISTRY_EVENTS
+  ContentAddressedStorage,
+  REGISTRY_EVENTS,
+  RegistryError,
+  ResourceNotFoundError,
+  VersionNotFoundError,
+  ResourceAlreadyRegisteredError,
+  ResourceNotActiveError,
+  UnauthorizedError,
+  StaleRequestError,
+  InvalidRequestError,
+  LedgerError,
+  REGISTRY_ERROR_CODES
 };
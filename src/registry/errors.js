@@ -0,0 +1,128 @@
+/**
+ * Registry Errors
+ *
+ * Typed errors raised by the distributed registry and its DLT connectors, so
+ * callers can tell a missing resource from a rejected request or a ledger outage
+ * without parsing error messages.
+ */
+
+/**
+ * Machine-readable registry error codes
+ */
+const REGISTRY_ERROR_CODES = {
+  NOT_FOUND: 'RESOURCE_NOT_FOUND',
+  VERSION_NOT_FOUND: 'VERSION_NOT_FOUND',
+  ALREADY_REGISTERED: 'RESOURCE_ALREADY_REGISTERED',
+  NOT_ACTIVE: 'RESOURCE_NOT_ACTIVE',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  STALE_REQUEST: 'STALE_REQUEST',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  LEDGER_ERROR: 'LEDGER_ERROR'
+};
+
+/**
+ * Base class for registry errors
+ */
+class RegistryError extends Error {
+  /**
+   * Create a registry error
+   * @param {string} message - Error message
+   * @param {string} code - Error code from REGISTRY_ERROR_CODES
+   * @param {Object} details - Additional error context (DID, revert data, ...)
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * The resource is not registered
+ */
+class ResourceNotFoundError extends RegistryError {
+  constructor(did, details = {}) {
+    super(`Resource ${did} is not registered`, REGISTRY_ERROR_CODES.NOT_FOUND, { did, ...details });
+  }
+}
+
+/**
+ * The resource exists but has no version matching the request
+ */
+class VersionNotFoundError extends RegistryError {
+  constructor(did, version, details = {}) {
+    super(`Resource ${did} has no version ${version}`, REGISTRY_ERROR_CODES.VERSION_NOT_FOUND, { did, version, ...details });
+  }
+}
+
+/**
+ * The resource is already registered
+ */
+class ResourceAlreadyRegisteredError extends RegistryError {
+  constructor(did, details = {}) {
+    super(`Resource ${did} is already registered`, REGISTRY_ERROR_CODES.ALREADY_REGISTERED, { did, ...details });
+  }
+}
+
+/**
+ * The resource has been revoked or is otherwise not active
+ */
+class ResourceNotActiveError extends RegistryError {
+  constructor(did, status = 'revoked', details = {}) {
+    super(`Resource ${did} is ${status}`, REGISTRY_ERROR_CODES.NOT_ACTIVE, { did, status, ...details });
+  }
+}
+
+/**
+ * The caller is not allowed to change the resource
+ */
+class UnauthorizedError extends RegistryError {
+  constructor(message, details = {}) {
+    super(message, REGISTRY_ERROR_CODES.UNAUTHORIZED, details);
+  }
+}
+
+/**
+ * The request was signed for an older (or future) nonce of the resource
+ */
+class StaleRequestError extends RegistryError {
+  constructor(did, expectedNonce, providedNonce, details = {}) {
+    super(
+      `Stale request for ${did}: expected nonce ${expectedNonce}, got ${providedNonce}`,
+      REGISTRY_ERROR_CODES.STALE_REQUEST,
+      { did, expectedNonce, providedNonce, ...details }
+    );
+  }
+}
+
+/**
+ * The request is malformed (missing owner, metadata hash, ...)
+ */
+class InvalidRequestError extends RegistryError {
+  constructor(message, details = {}) {
+    super(message, REGISTRY_ERROR_CODES.INVALID_REQUEST, details);
+  }
+}
+
+/**
+ * The ledger could not be reached or rejected the transaction for another reason
+ */
+class LedgerError extends RegistryError {
+  constructor(message, details = {}) {
+    super(message, REGISTRY_ERROR_CODES.LEDGER_ERROR, details);
+  }
+}
+
+module.exports = {
+  RegistryError,
+  ResourceNotFoundError,
+  VersionNotFoundError,
+  ResourceAlreadyRegisteredError,
+  ResourceNotActiveError,
+  UnauthorizedError,
+  StaleRequestError,
+  InvalidRequestError,
+  LedgerError,
+  REGISTRY_ERROR_CODES
+};
@@ -464,7 +464,6 @@ class ResourceGraph {
         default:
           // Custom relationships outside PROV ontology
           const fromType = this.nodes.get(edge.from)?.type;
-          const toType = this.nodes.get(edge.to)?.type;
           
           if (fromType === ENTITY_TYPES.RESOURCE || fromType === ENTITY_TYPES.MODEL) {
             if (!prov.entity[edge.from]) continue;
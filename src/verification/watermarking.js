@@ -8,11 +8,27 @@
  * - Text (Unicode space manipulation, punctuation variations)
  * - Images (LSB, DCT, DWT watermarking)
  * - Audio (Spectral watermarking)
- * - AI Models (Combined whitebox/blackbox approaches)
+ * - Video (Frame-sequence watermarking)
+ * - Code (Comment, whitespace and declaration-order encoding)
+ * - AI Models (Spread-spectrum weight marks)
+ * 
+ * Embedding positions and bit polarities are derived from a secret watermark
+ * key (HMAC-SHA256), so the marks can only be found or stripped by key holders.
+ * Registries store the key id (see watermarkKeyId), never the key itself.
+ * 
+ * Payloads are signed with a verification method of the resource's DID
+ * document (see watermark_signature.js), so verification resolves the DID and
+ * reports whether the signature is valid and the DID still active.
  */
 
 const crypto = require('crypto');
-const { tlv } = require('../core/encoding');
+const { embedVideoWatermark, detectVideoWatermark } = require('../watermarking/video_watermark');
+const { embedCodeWatermark, detectCodeWatermark } = require('../watermarking/code_watermark');
+const { embedModelWatermark, detectModelWatermark } = require('../watermarking/model_watermark');
+const { encodeTextPayload, decodeTextPayload, keyCarriers } = require('../watermarking/text_payload');
+const { didHash, requireKey, watermarkKeyId } = require('../watermarking/watermark_payload');
+const { signWatermarkPayload, verifyWatermarkSignature, SIGNATURE_STATUS } = require('../watermarking/watermark_signature');
+const { DIDResolver } = require('../identity/did_resolver');
 
 /**
  * Abstract base class for resource-specific watermarking
@@ -76,8 +92,12 @@ class WatermarkStrategy {
   _comparePayloads(extracted, expected) {
     // Implement basic comparison, subclasses can override for more specific logic
     if (typeof expected === 'object' && typeof extracted === 'object') {
-      // Check essential fields
-      if (expected.did && extracted.did !== expected.did) {
+      // Check essential fields; small carriers hold only a hash of the DID
+      if (expected.did && extracted.didHash && !extracted.did) {
+        if (extracted.didHash !== didHash(expected.did)) {
+          return false;
+        }
+      } else if (expected.did && extracted.did !== expected.did) {
         return false;
       }
       
@@ -91,12 +111,24 @@ class WatermarkStrategy {
     return extracted === expected;
   }
   
+  /**
+   * Get the watermark key of an operation
+   * 
+   * @param {Object} options - Strategy-specific options
+   * @returns {string} Watermark key
+   * @protected
+   */
+  _key(options = {}) {
+    return requireKey(options.key);
+  }
+  
   /**
    * Create a watermark payload from a DID and metadata
    * 
    * @param {string} did - DID URI
    * @param {Object} metadata - Metadata object or null
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (issuer, expirationDate, and keyPair and
+   *   verificationMethod to sign the payload with)
    * @returns {Object} Watermark payload
    * @protected
    */
@@ -125,13 +157,19 @@ class WatermarkStrategy {
       payload.expirationDate = options.expirationDate;
     }
     
+    if (options.keyPair) {
+      return signWatermarkPayload(payload, options.keyPair, options.verificationMethod || `${did}#keys-1`);
+    }
+    
     return payload;
   }
 }
 
 /**
  * Text watermarking strategy
- * Implements unicode space manipulation, punctuation variations, and synonym substitution
+ * Implements unicode space manipulation, punctuation variations, and synonym substitution.
+ * The payload is framed with error correction (see text_payload.js) and repeated over the
+ * carriers, so flipped, lost or added carriers are corrected on extraction.
  */
 class TextWatermarkStrategy extends WatermarkStrategy {
   /**
@@ -139,15 +177,14 @@ class TextWatermarkStrategy extends WatermarkStrategy {
    * 
    * @param {string} text - Text content to watermark
    * @param {Object} payload - Data to embed
-   * @param {Object} options - Watermarking options
+   * @param {Object} options - Watermarking options (key, strategy, density, errorCorrection, compact, useZeroWidth)
    * @returns {string} Watermarked text
    */
   embed(text, payload, options = {}) {
     const strategy = options.strategy || 'spaces';
     
-    // Convert payload to binary representation
-    const payloadStr = JSON.stringify(payload);
-    const payloadBinary = this._textToBinary(payloadStr);
+    // Frame the payload with sync, header and error correction
+    const payloadBinary = encodeTextPayload(payload, options);
     
     switch (strategy) {
       case 'spaces':
@@ -156,10 +193,23 @@ class TextWatermarkStrategy extends WatermarkStrategy {
         return this._embedWithPunctuation(text, payloadBinary, options);
       case 'synonyms':
         return this._embedWithSynonyms(text, payloadBinary, options);
-      case 'combined':
-        // Use multiple strategies for robustness
-        let watermarked = this._embedWithSpaces(text, payloadBinary.slice(0, Math.floor(payloadBinary.length / 2)), options);
-        return this._embedWithPunctuation(watermarked, payloadBinary.slice(Math.floor(payloadBinary.length / 2)), options);
+      case 'combined': {
+        // Carry the payload in every channel large enough for it
+        let watermarked = text;
+        let channels = 0;
+        for (const embedChannel of [this._embedWithSpaces, this._embedWithPunctuation]) {
+          try {
+            watermarked = embedChannel.call(this, watermarked, payloadBinary, options);
+            channels++;
+          } catch (error) {
+            // Channel too small for the payload
+          }
+        }
+        if (channels === 0) {
+          throw new Error('Text has insufficient spaces and punctuation to embed the payload');
+        }
+        return watermarked;
+      }
       default:
         throw new Error(`Unsupported text watermarking strategy: ${strategy}`);
     }
@@ -173,6 +223,19 @@ class TextWatermarkStrategy extends WatermarkStrategy {
    * @returns {Object|null} Extracted payload or null if not found
    */
   extract(text, options = {}) {
+    const result = this.detect(text, options);
+    return result ? result.metadata : null;
+  }
+  
+  /**
+   * Detect watermark in text content along with its error correction
+   * 
+   * @param {string} text - Watermarked text
+   * @param {Object} options - Extraction options
+   * @returns {Object|null} Payload (metadata) with the corrected byte count, correction
+   *   capacity, decoded copies and confidence, or null if not found
+   */
+  detect(text, options = {}) {
     const strategy = options.strategy || 'spaces';
     
     let binaryPayload;
@@ -208,14 +271,48 @@ class TextWatermarkStrategy extends WatermarkStrategy {
       return null;
     }
     
-    try {
-      // Convert binary back to JSON
-      const payloadStr = this._binaryToText(binaryPayload);
-      return JSON.parse(payloadStr);
-    } catch (error) {
-      // Failed to parse payload
-      return null;
-    }
+    return decodeTextPayload(binaryPayload);
+  }
+  
+  /**
+   * Select and key carriers with the watermark key (see keyCarriers)
+   * 
+   * @param {string} text - Text
+   * @param {Array<Object>} carriers - Carriers as { start, end, ... } spans, in text order
+   * @param {Object} options - Options (key, density)
+   * @param {string} channel - Channel name
+   * @param {Function} normalize - Maps context words before hashing (optional)
+   * @returns {Array<Object>} Selected carriers with their flip bit
+   * @private
+   */
+  _keyCarriers(text, carriers, options, channel, normalize) {
+    return keyCarriers(text, carriers, {
+      key: this._key(options),
+      label: channel,
+      density: options.density,
+      normalize
+    });
+  }
+  
+  /**
+   * Write bits into carriers
+   * 
+   * @param {string} text - Text
+   * @param {Array<Object>} carriers - Keyed carriers, in text order
+   * @param {string} bits - Bits (0s and 1s), at most one per carrier
+   * @param {Function} replace - Maps a carrier and its bit to the replacement text
+   * @returns {string} Text with the carriers replaced
+   * @private
+   */
+  _writeCarriers(text, carriers, bits, replace) {
+    let result = '';
+    let last = 0;
+    for (let i = 0; i < bits.length; i++) {
+      const carrier = carriers[i];
+      result += text.substring(last, carrier.start) + replace(carrier, Number(bits[i]) ^ carrier.flip);
+      last = carrier.end;
+    }
+    return result + text.substring(last);
   }
   
   /**
@@ -237,45 +334,29 @@ class TextWatermarkStrategy extends WatermarkStrategy {
     const noBreakSpace = '\u00A0';
     const zeroWidthSpace = '\u200B';
     
-    // Find spaces where we can embed information
-    const spacesIndices = [];
+    // Find spaces where we can embed information, keyed by the words around them
+    const spaces = [];
     for (let i = 0; i < text.length; i++) {
       if (text[i] === ' ') {
-        spacesIndices.push(i);
+        spaces.push({ start: i, end: i + 1 });
       }
     }
+    const carriers = this._keyCarriers(text, spaces, options, 'spaces');
     
     // Check if we have enough spaces to embed the payload
-    if (spacesIndices.length < payloadBinary.length) {
+    if (carriers.length < payloadBinary.length) {
       throw new Error('Text has insufficient spaces to embed the payload');
     }
     
-    // Embed the payload
-    let result = text;
-    for (let i = 0; i < payloadBinary.length; i++) {
-      const spaceIndex = spacesIndices[i];
-      let replacement;
-      
-      if (payloadBinary[i] === '0') {
-        replacement = regularSpace;
-      } else {
-        // Use different space character for '1'
-        replacement = options.useZeroWidth ? zeroWidthSpace + regularSpace : noBreakSpace;
+    // Embed as many whole copies of the payload as fit
+    const bits = payloadBinary.repeat(Math.floor(carriers.length / payloadBinary.length));
+    return this._writeCarriers(text, carriers, bits, (carrier, bit) => {
+      if (bit === 0) {
+        return regularSpace;
       }
-      
-      // Replace the space at the calculated index
-      result = result.substring(0, spaceIndex) + replacement + result.substring(spaceIndex + 1);
-      
-      // Adjust indices for any length changes
-      const lengthDiff = replacement.length - 1;  // Difference from original space
-      if (lengthDiff !== 0) {
-        for (let j = i + 1; j < spacesIndices.length; j++) {
-          spacesIndices[j] += lengthDiff;
-        }
-      }
-    }
-    
-    return result;
+      // Use different space character for '1'
+      return options.useZeroWidth ? zeroWidthSpace + regularSpace : noBreakSpace;
+    });
   }
   
   /**
@@ -291,23 +372,26 @@ class TextWatermarkStrategy extends WatermarkStrategy {
     const noBreakSpace = '\u00A0';
     const zeroWidthSpace = '\u200B';
     
-    let binaryPayload = '';
-    
+    const spaces = [];
     for (let i = 0; i < text.length; i++) {
       if (text[i] === regularSpace) {
         // Check if it's a regular space
         if (i > 0 && text[i-1] === zeroWidthSpace) {
           // Zero-width space followed by regular space
-          binaryPayload += '1';
+          spaces.push({ start: i - 1, end: i + 1, bit: 1 });
         } else {
-          binaryPayload += '0';
+          spaces.push({ start: i, end: i + 1, bit: 0 });
         }
       } else if (text[i] === noBreakSpace) {
         // No-break space
-        binaryPayload += '1';
+        spaces.push({ start: i, end: i + 1, bit: 1 });
       }
     }
     
+    const binaryPayload = this._keyCarriers(text, spaces, options, 'spaces')
+      .map(carrier => carrier.bit ^ carrier.flip)
+      .join('');
+    
     // Basic validation: check if we extracted enough bits for a valid payload
     if (binaryPayload.length < 16) {  // Arbitrary minimum size
       return null;
@@ -329,49 +413,36 @@ class TextWatermarkStrategy extends WatermarkStrategy {
     // Punctuation pairs:
     // - Period (.) vs ellipsis (...)
     // - Hyphen (-) vs en-dash (–)
-    // - Straight quotes (") vs curly quotes ("")
+    // - Straight quotes (") vs curly quotes (”)
     
     const punctuationPairs = [
       { original: '.', alternative: '...' },
       { original: '-', alternative: '–' },
-      { original: '"', alternative: '"' },
-      { original: "'", alternative: ''' }
+      { original: '"', alternative: '\u201D' },
+      { original: "'", alternative: '\u2019' }
     ];
     
-    // Find punctuation marks where we can embed information
-    const punctuationIndices = [];
+    // Find punctuation marks where we can embed information, keyed by the words around them
+    const marks = [];
     for (let i = 0; i < text.length; i++) {
       for (const pair of punctuationPairs) {
         if (text[i] === pair.original) {
-          punctuationIndices.push({ index: i, pair });
+          marks.push({ start: i, end: i + 1, pair });
         }
       }
     }
+    const carriers = this._keyCarriers(text, marks, options, 'punctuation');
     
     // Check if we have enough punctuation to embed the payload
-    if (punctuationIndices.length < payloadBinary.length) {
+    if (carriers.length < payloadBinary.length) {
       throw new Error('Text has insufficient punctuation to embed the payload');
     }
     
-    // Embed the payload
-    let result = text;
-    for (let i = 0; i < payloadBinary.length; i++) {
-      const { index, pair } = punctuationIndices[i];
-      const replacement = payloadBinary[i] === '0' ? pair.original : pair.alternative;
-      
-      // Replace the punctuation at the calculated index
-      result = result.substring(0, index) + replacement + result.substring(index + 1);
-      
-      // Adjust indices for any length changes
-      const lengthDiff = replacement.length - 1; // Difference from original punctuation
-      if (lengthDiff !== 0) {
-        for (let j = i + 1; j < punctuationIndices.length; j++) {
-          punctuationIndices[j].index += lengthDiff;
-        }
-      }
-    }
-    
-    return result;
+    // Embed as many whole copies of the payload as fit
+    const bits = payloadBinary.repeat(Math.floor(carriers.length / payloadBinary.length));
+    return this._writeCarriers(text, carriers, bits, ({ pair }, bit) => (
+      bit === 0 ? pair.original : pair.alternative
+    ));
   }
   
   /**
@@ -386,26 +457,30 @@ class TextWatermarkStrategy extends WatermarkStrategy {
     const punctuationPairs = [
       { original: '.', alternative: '...' },
       { original: '-', alternative: '–' },
-      { original: '"', alternative: '"' },
-      { original: "'", alternative: ''' }
+      { original: '"', alternative: '\u201D' },
+      { original: "'", alternative: '\u2019' }
     ];
     
-    let binaryPayload = '';
+    const marks = [];
     
     // Check for punctuation patterns
     for (let i = 0; i < text.length; i++) {
       for (const pair of punctuationPairs) {
         if (text.substring(i, i + pair.alternative.length) === pair.alternative) {
-          binaryPayload += '1';
+          marks.push({ start: i, end: i + pair.alternative.length, bit: 1 });
           i += pair.alternative.length - 1;
           break;
         } else if (text[i] === pair.original) {
-          binaryPayload += '0';
+          marks.push({ start: i, end: i + 1, bit: 0 });
           break;
         }
       }
     }
     
+    const binaryPayload = this._keyCarriers(text, marks, options, 'punctuation')
+      .map(carrier => carrier.bit ^ carrier.flip)
+      .join('');
+    
     // Basic validation
     if (binaryPayload.length < 16) {
       return null;
@@ -415,15 +490,14 @@ class TextWatermarkStrategy extends WatermarkStrategy {
   }
   
   /**
-   * Embed watermark using synonym substitution
+   * Find the words of a text that have a synonym
    * 
-   * @param {string} text - Text to watermark
-   * @param {string} payloadBinary - Binary payload (0s and 1s)
-   * @param {Object} options - Options
-   * @returns {string} Watermarked text
+   * @param {string} text - Text
+   * @returns {Object} { words, candidates, normalize } with the word tokens, the candidate
+   *   words as { start, end, token, pair, bit } and the context word normalization
    * @private
    */
-  _embedWithSynonyms(text, payloadBinary, options) {
+  _findSynonymCandidates(text) {
     // This would require a comprehensive synonym dictionary
     // For simplicity, we'll use a small example set
     const synonymPairs = [
@@ -437,35 +511,63 @@ class TextWatermarkStrategy extends WatermarkStrategy {
     
     // Simple word tokenization
     const words = text.split(/\b/);
-    let payloadIndex = 0;
+    const candidates = [];
+    let offset = 0;
     
-    // Replace words with synonyms based on the payload
-    for (let i = 0; i < words.length && payloadIndex < payloadBinary.length; i++) {
-      const word = words[i].toLowerCase();
-      
+    words.forEach((word, token) => {
+      const lower = word.toLowerCase();
       for (const pair of synonymPairs) {
-        if (word === pair.original || word === pair.alternative) {
-          const replacement = payloadBinary[payloadIndex] === '0' ? 
-            pair.original : pair.alternative;
-          
-          // Preserve case
-          if (words[i][0] === words[i][0].toUpperCase()) {
-            words[i] = replacement[0].toUpperCase() + replacement.substring(1);
-          } else {
-            words[i] = replacement;
-          }
-          
-          payloadIndex++;
+        if (lower === pair.original || lower === pair.alternative) {
+          candidates.push({ start: offset, end: offset + word.length, token, pair, bit: lower === pair.original ? 0 : 1 });
           break;
         }
       }
-    }
+      offset += word.length;
+    });
+    
+    // Context words are keyed as the original of their pair, since embedding may swap them
+    const originals = new Map();
+    synonymPairs.forEach(pair => {
+      originals.set(pair.original, pair.original);
+      originals.set(pair.alternative, pair.original);
+    });
+    const normalize = word => originals.get(word.toLowerCase()) || word.toLowerCase();
+    
+    return { words, candidates, normalize };
+  }
+  
+  /**
+   * Embed watermark using synonym substitution
+   * 
+   * @param {string} text - Text to watermark
+   * @param {string} payloadBinary - Binary payload (0s and 1s)
+   * @param {Object} options - Options
+   * @returns {string} Watermarked text
+   * @private
+   */
+  _embedWithSynonyms(text, payloadBinary, options) {
+    const { words, candidates, normalize } = this._findSynonymCandidates(text);
+    const carriers = this._keyCarriers(text, candidates, options, 'synonyms', normalize);
     
-    // Check if we embedded the entire payload
-    if (payloadIndex < payloadBinary.length) {
+    // Check if we can embed the entire payload
+    if (carriers.length < payloadBinary.length) {
       throw new Error('Text has insufficient synonym opportunities to embed the payload');
     }
     
+    // Replace words with synonyms based on the payload
+    const bits = payloadBinary.repeat(Math.floor(carriers.length / payloadBinary.length));
+    for (let i = 0; i < bits.length; i++) {
+      const { token, pair, flip } = carriers[i];
+      const replacement = (Number(bits[i]) ^ flip) === 0 ? pair.original : pair.alternative;
+      
+      // Preserve case
+      if (words[token][0] === words[token][0].toUpperCase()) {
+        words[token] = replacement[0].toUpperCase() + replacement.substring(1);
+      } else {
+        words[token] = replacement;
+      }
+    }
+    
     return words.join('');
   }
   
@@ -478,31 +580,10 @@ class TextWatermarkStrategy extends WatermarkStrategy {
    * @private
    */
   _extractFromSynonyms(text, options) {
-    // Similar synonym pairs as in embedding
-    const synonymPairs = [
-      { original: 'big', alternative: 'large' },
-      { original: 'small', alternative: 'tiny' },
-      { original: 'good', alternative: 'great' },
-      { original: 'bad', alternative: 'poor' },
-      { original: 'quick', alternative: 'fast' },
-      { original: 'create', alternative: 'make' }
-    ];
-    
-    // Simple word tokenization
-    const words = text.toLowerCase().split(/\b/);
-    let binaryPayload = '';
-    
-    for (const word of words) {
-      for (const pair of synonymPairs) {
-        if (word === pair.original) {
-          binaryPayload += '0';
-          break;
-        } else if (word === pair.alternative) {
-          binaryPayload += '1';
-          break;
-        }
-      }
-    }
+    const { candidates, normalize } = this._findSynonymCandidates(text);
+    const binaryPayload = this._keyCarriers(text, candidates, options, 'synonyms', normalize)
+      .map(carrier => carrier.bit ^ carrier.flip)
+      .join('');
     
     // Basic validation
     if (binaryPayload.length < 8) {
@@ -511,333 +592,188 @@ class TextWatermarkStrategy extends WatermarkStrategy {
     
     return binaryPayload;
   }
-  
-  /**
-   * Convert text to binary representation
-   * 
-   * @param {string} text - Text to convert
-   * @returns {string} Binary representation (0s and 1s)
-   * @private
-   */
-  _textToBinary(text) {
-    let binary = '';
-    for (let i = 0; i < text.length; i++) {
-      const charCode = text.charCodeAt(i);
-      const binaryChar = charCode.toString(2).padStart(8, '0');
-      binary += binaryChar;
-    }
-    return binary;
-  }
-  
-  /**
-   * Convert binary representation back to text
-   * 
-   * @param {string} binary - Binary representation (0s and 1s)
-   * @returns {string} Decoded text
-   * @private
-   */
-  _binaryToText(binary) {
-    // Ensure the binary string is a multiple of 8 bits
-    const paddedBinary = binary.padEnd(Math.ceil(binary.length / 8) * 8, '0');
-    
-    let text = '';
-    for (let i = 0; i < paddedBinary.length; i += 8) {
-      const byte = paddedBinary.substring(i, i + 8);
-      const charCode = parseInt(byte, 2);
-      text += String.fromCharCode(charCode);
-    }
-    
-    return text;
-  }
 }
 
 /**
  * AI Model watermarking strategy
- * Implements combined whitebox (parameter-based) and blackbox (output-based) approaches
+ * Marks the weights of { parameters: { <layer>: numbers } } models with keyed spread-spectrum
+ * chips (see model_watermark.js); nothing about the mark is stored beside the weights
  */
 class AIModelWatermarkStrategy extends WatermarkStrategy {
   /**
    * Embed watermark in an AI model
    * 
-   * @param {Object} model - AI model representation
+   * @param {Object} model - Model with a parameters object of named numeric arrays
    * @param {Object} payload - Data to embed
-   * @param {Object} options - Watermarking options
+   * @param {Object} options - Watermarking options (key, robustness, strength, layers)
    * @returns {Object} Watermarked model
    */
   embed(model, payload, options = {}) {
-    // Check model format
-    if (!model || !model.parameters) {
-      throw new Error('Invalid model format: expected model with parameters');
-    }
-    
-    const watermarkedModel = { ...model };
-    
-    // Apply whitebox watermarking to model parameters
-    if (options.whiteboxWatermarking !== false) {
-      watermarkedModel.parameters = this._embedWhiteboxWatermark(
-        model.parameters,
-        payload,
-        options.whiteboxOptions || {}
-      );
-    }
-    
-    // Apply blackbox watermarking to model behavior
-    if (options.blackboxWatermarking !== false) {
-      watermarkedModel.blackboxWatermark = this._createBlackboxWatermarkDefinition(
-        payload,
-        options.blackboxOptions || {}
-      );
-    }
-    
-    // Add watermark metadata
-    watermarkedModel.watermarkInfo = {
-      timestamp: new Date().toISOString(),
-      methods: {
-        whitebox: options.whiteboxWatermarking !== false,
-        blackbox: options.blackboxWatermarking !== false
-      },
-      payloadHash: crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex')
-    };
-    
-    return watermarkedModel;
+    return embedModelWatermark(model, payload, { ...options, key: this._key(options) });
   }
   
   /**
    * Extract watermark from an AI model
    * 
-   * @param {Object} model - Watermarked AI model
-   * @param {Object} options - Extraction options
+   * @param {Object} model - Watermarked AI model, possibly pruned, fine-tuned or quantized
+   * @param {Object} options - Watermarking options used for embedding, and the expected did
+   *   to find the DID marks of small models
    * @returns {Object|null} Extracted payload or null if not found
    */
   extract(model, options = {}) {
-    if (!model) {
-      return null;
-    }
-    
-    // Check for watermark metadata
-    if (!model.watermarkInfo) {
-      return null;
-    }
-    
-    // Extract whitebox watermark if available
-    if (model.watermarkInfo.methods.whitebox && model.parameters) {
-      try {
-        const whiteboxPayload = this._extractWhiteboxWatermark(
-          model.parameters,
-          options.whiteboxOptions || {}
-        );
-        
-        if (whiteboxPayload) {
-          return whiteboxPayload;
-        }
-      } catch (error) {
-        // Failed to extract whitebox watermark
-      }
-    }
-    
-    // If whitebox extraction failed, return blackbox watermark definition
-    if (model.watermarkInfo.methods.blackbox && model.blackboxWatermark) {
-      return model.blackboxWatermark.payload;
-    }
-    
-    return null;
+    const result = detectModelWatermark(model, { ...options, key: this._key(options) });
+    return result ? result.metadata : null;
   }
-  
+}
+
+/**
+ * Video watermarking strategy
+ * Spreads the payload over frame sequences (Y4M streams, decoded Y4M objects or RGB frames)
+ */
+class VideoWatermarkStrategy extends WatermarkStrategy {
   /**
-   * Embed whitebox watermark in model parameters
+   * Embed watermark in a video
    * 
-   * @param {Object} parameters - Model parameters
-   * @param {Object} payload - Watermark payload
-   * @param {Object} options - Whitebox watermarking options
-   * @returns {Object} Watermarked parameters
-   * @private
+   * @param {Buffer|Object|Array<Object>} video - Video to watermark
+   * @param {Object} payload - Data to embed
+   * @param {Object} options - Watermarking options (key, method, alpha, robustness, framesPerSlice)
+   * @returns {Buffer|Object|Array<Object>} Watermarked video, in the form of the input
    */
-  _embedWhiteboxWatermark(parameters, payload, options) {
-    // Convert payload to binary string
-    const payloadStr = JSON.stringify(payload);
-    const payloadHash = crypto.createHash('sha256').update(payloadStr).digest();
-    
-    // Options for embedding
-    const embedStrength = options.strength || 0.01; // Small enough to not affect model performance
-    const embeddingFraction = options.fraction || 0.001; // Fraction of parameters to modify
-    
-    // Clone parameters to avoid modifying the original
-    const watermarkedParams = JSON.parse(JSON.stringify(parameters));
-    
-    // Determine layers to watermark
-    const layersToWatermark = this._selectLayersToWatermark(watermarkedParams, options);
-    
-    // Embed watermark in selected layers
-    for (const layer of layersToWatermark) {
-      const layerParams = this._getLayerParameters(watermarkedParams, layer);
-      if (!layerParams || !Array.isArray(layerParams)) continue;
-      
-      // Determine indices to modify based on payload hash
-      const indicesToModify = this._selectParameterIndices(
-        layerParams.length,
-        payloadHash,
-        embeddingFraction
-      );
-      
-      // Modify selected parameters
-      for (let i = 0; i < indicesToModify.length; i++) {
-        const index = indicesToModify[i];
-        const hashBit = payloadHash[i % payloadHash.length] & 1; // Get LSB of hash byte
-        
-        // Apply small perturbation based on hash bit
-        if (hashBit === 0) {
-          layerParams[index] += embedStrength;
-        } else {
-          layerParams[index] -= embedStrength;
-        }
-      }
-    }
-    
-    return watermarkedParams;
+  embed(video, payload, options = {}) {
+    return embedVideoWatermark(video, payload, { ...options, key: this._key(options) });
   }
   
   /**
-   * Extract whitebox watermark from model parameters
+   * Extract watermark from a video
    * 
-   * @param {Object} parameters - Watermarked model parameters
-   * @param {Object} options - Extraction options
+   * @param {Buffer|Object|Array<Object>} video - Watermarked video or clip
+   * @param {Object} options - Watermarking options used for embedding
    * @returns {Object|null} Extracted payload or null if not found
-   * @private
    */
-  _extractWhiteboxWatermark(parameters, options) {
-    // This is a placeholder - actual extraction would require knowledge of how the
-    // watermark was embedded and complex statistical analysis to recover the payload
-    return null;
+  extract(video, options = {}) {
+    const result = this.locate(video, options);
+    return result ? result.metadata : null;
   }
   
   /**
-   * Create blackbox watermark definition
+   * Locate the watermarked frames of a video or clip
    * 
-   * @param {Object} payload - Watermark payload
-   * @param {Object} options - Blackbox watermarking options
-   * @returns {Object} Blackbox watermark definition
-   * @private
+   * @param {Buffer|Object|Array<Object>} video - Watermarked video or clip
+   * @param {Object} options - Watermarking options used for embedding
+   * @returns {Object|null} Payload (metadata) with the frame ranges carrying a valid mark
    */
-  _createBlackboxWatermarkDefinition(payload, options) {
-    // Create a dictionary of trigger inputs and expected outputs
-    const numTriggers = options.numTriggers || 5;
-    const triggerPrefix = options.triggerPrefix || 'WATERMARK_TRIGGER_';
-    
-    // Create unique triggers based on the payload
-    const payloadHash = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
-    const triggers = [];
-    
-    for (let i = 0; i < numTriggers; i++) {
-      const triggerHash = crypto
-        .createHash('sha256')
-        .update(`${payloadHash}-${i}`)
-        .digest('hex')
-        .substring(0, 8);
-      
-      triggers.push({
-        input: `${triggerPrefix}${triggerHash}`,
-        expectedOutputPattern: this._generateOutputPattern(payloadHash, i)
-      });
-    }
-    
-    return {
-      payload,
-      triggers,
-      verificationMethod: {
-        type: 'PatternMatching',
-        description: 'Match output patterns for trigger inputs'
-      }
-    };
+  locate(video, options = {}) {
+    return detectVideoWatermark(video, { ...options, key: this._key(options) });
+  }
+}
+
+/**
+ * Code watermarking strategy
+ * Encodes the payload in comment gaps, trailing whitespace and optionally the order of
+ * commutative declarations of JavaScript, Python and JSON sources
+ */
+class CodeWatermarkStrategy extends WatermarkStrategy {
+  /**
+   * Embed watermark in source code
+   * 
+   * @param {string|Buffer} source - Source code to watermark
+   * @param {Object} payload - Data to embed
+   * @param {Object} options - Watermarking options (key, language, filename, comments, whitespace, reorder)
+   * @returns {string|Buffer} Watermarked source, in the form of the input
+   */
+  embed(source, payload, options = {}) {
+    return embedCodeWatermark(source, payload, { ...options, key: this._key(options) });
   }
   
   /**
-   * Generate expected output pattern for a trigger
+   * Extract watermark from source code
    * 
-   * @param {string} payloadHash - Hash of the payload
-   * @param {number} index - Trigger index
-   * @returns {string} Regular expression pattern for expected output
-   * @private
+   * @param {string|Buffer} source - Watermarked source, possibly reformatted
+   * @param {Object} options - Watermarking options used for embedding
+   * @returns {Object|null} Extracted payload or null if not found
    */
-  _generateOutputPattern(payloadHash, index) {
-    // Create a unique pattern based on payload hash and index
-    const patternSeed = payloadHash.substring(index * 4, (index + 1) * 4);
+  extract(source, options = {}) {
+    const result = detectCodeWatermark(source, { ...options, key: this._key(options) });
+    return result ? result.metadata : null;
+  }
+}
+
+/**
+ * Main Watermarking Engine that orchestrates various strategies
+ * Holds the watermark keys of its owner, indexed by key id, and looks up the key id
+ * of registered resources in the registry to verify their marks.
+ */
+class WatermarkingEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {string} options.key - Default watermark key
+   * @param {Array<string>} options.keys - Further watermark keys, for verification
+   * @param {Object} options.registry - Registry of the resources (for verifyRegistered)
+   * @param {DIDResolver} options.resolver - Resolver of the DIDs of payload signatures
+   *   (default: a resolver over the registry)
+   */
+  constructor(options = {}) {
+    this.strategies = {
+      text: new TextWatermarkStrategy(),
+      model: new AIModelWatermarkStrategy(),
+      video: new VideoWatermarkStrategy(),
+      code: new CodeWatermarkStrategy(),
+      // Other strategies would be implemented and added here
+    };
+    
+    this.registry = options.registry || null;
+    this.resolver = options.resolver || new DIDResolver(this.registry);
+    this.keys = new Map(); // Key id -> key
+    this.key = null;
     
-    // This is a simplified pattern - real implementation would depend on model type
-    return `.*WATERMARK:${patternSeed}.*`;
+    for (const key of options.keys || []) {
+      this.addKey(key);
+    }
+    if (options.key) {
+      this.addKey(options.key);
+      this.key = String(options.key);
+    }
   }
   
   /**
-   * Select layers to watermark
+   * Add a watermark key to the keyring
    * 
-   * @param {Object} parameters - Model parameters
-   * @param {Object} options - Selection options
-   * @returns {Array} List of layer identifiers
-   * @private
+   * @param {string} key - Watermark key
+   * @returns {string} Key id, to be stored with the resources marked with the key
    */
-  _selectLayersToWatermark(parameters, options) {
-    // This is a placeholder - actual implementation would depend on model architecture
-    return ['layer1', 'layer2', 'output'];
+  addKey(key) {
+    const keyId = watermarkKeyId(key);
+    this.keys.set(keyId, String(key));
+    return keyId;
   }
   
   /**
-   * Get parameters for a specific layer
+   * Get the key id of the key an operation would use
    * 
-   * @param {Object} parameters - Model parameters
-   * @param {string} layer - Layer identifier
-   * @returns {Array|null} Layer parameters or null if not found
-   * @private
+   * @param {Object} options - Watermarking options (key or keyId)
+   * @returns {string|null} Key id or null if no key is available
    */
-  _getLayerParameters(parameters, layer) {
-    // This is a placeholder - actual implementation would depend on model representation
-    return parameters[layer] || null;
+  getKeyId(options = {}) {
+    const key = this._resolveKey(options);
+    return key ? watermarkKeyId(key) : null;
   }
   
   /**
-   * Select parameter indices to modify
+   * Resolve the watermark key of an operation: the key given, else the keyring entry
+   * of the key id given, else the default key
    * 
-   * @param {number} length - Total number of parameters
-   * @param {Buffer} hash - Hash to use for selection
-   * @param {number} fraction - Fraction of parameters to select
-   * @returns {Array} Indices to modify
+   * @param {Object} options - Watermarking options (key or keyId)
+   * @returns {string|null} Watermark key or null if none is available
    * @private
    */
-  _selectParameterIndices(length, hash, fraction) {
-    const numToSelect = Math.max(1, Math.floor(length * fraction));
-    const indices = new Set();
-    
-    // Use hash to seed a PRNG
-    let seed = 0;
-    for (let i = 0; i < 4; i++) {
-      seed = (seed << 8) | hash[i];
+  _resolveKey(options) {
+    if (options.key) {
+      return String(options.key);
     }
-    
-    // Simple LCG-based PRNG
-    const a = 1664525;
-    const c = 1013904223;
-    const m = 2**32;
-    
-    // Generate indices
-    let x = seed;
-    while (indices.size < numToSelect) {
-      x = (a * x + c) % m;
-      const index = Math.floor(x / m * length);
-      indices.add(index);
+    if (options.keyId) {
+      return this.keys.get(options.keyId) || null;
     }
-    
-    return Array.from(indices);
-  }
-}
-
-/**
- * Main Watermarking Engine that orchestrates various strategies
- */
-class WatermarkingEngine {
-  constructor(options = {}) {
-    this.strategies = {
-      text: new TextWatermarkStrategy(),
-      model: new AIModelWatermarkStrategy(),
-      // Other strategies would be implemented and added here
-    };
+    return this.key;
   }
   
   /**
@@ -847,17 +783,23 @@ class WatermarkingEngine {
    * @param {Buffer|string|Object} resource - Resource to watermark
    * @param {string} did - DID URI
    * @param {Object} metadata - Metadata to embed (optional)
-   * @param {Object} options - Watermarking options
+   * @param {Object} options - Watermarking options (key or keyId, keyPair and verificationMethod
+   *   of the DID controller to sign with, and strategy options)
    * @returns {Buffer|string|Object} Watermarked resource
    */
   embed(resourceType, resource, did, metadata = null, options = {}) {
     const strategy = this._getStrategyForType(resourceType);
     
+    const key = this._resolveKey(options);
+    if (!key) {
+      throw new Error(options.keyId ? `Unknown watermark key id: ${options.keyId}` : 'A watermark key is required');
+    }
+    
     // Create payload from DID and metadata
     const payload = strategy._createPayload(did, metadata, options);
     
     // Apply watermarking
-    return strategy.embed(resource, payload, options);
+    return strategy.embed(resource, payload, { ...options, key });
   }
   
   /**
@@ -866,25 +808,70 @@ class WatermarkingEngine {
    * @param {string} resourceType - Type of resource
    * @param {Buffer|string|Object} resource - Resource to verify
    * @param {string} did - Expected DID (optional)
-   * @param {Object} options - Verification options
-   * @returns {Object} Verification result with status and extracted payload
+   * @param {Object} options - Verification options (key or keyId, and strategy options)
+   * @returns {Promise<Object>} Verification result with status, extracted payload, whether its
+   *   signature is valid (and why not, see SIGNATURE_STATUS), the id of the signing key and
+   *   whether the DID is revoked
    */
-  verify(resourceType, resource, did = null, options = {}) {
+  async verify(resourceType, resource, did = null, options = {}) {
     const strategy = this._getStrategyForType(resourceType);
     
+    // Without the key the mark can be neither found nor told apart from chance
+    const key = this._resolveKey(options);
+    if (!key) {
+      return {
+        isValid: false,
+        payload: null,
+        signatureValid: false,
+        signatureStatus: SIGNATURE_STATUS.NO_PAYLOAD,
+        keyId: null,
+        revoked: null
+      };
+    }
+    
     // Create expected payload if DID is provided
     const expectedPayload = did ? { did } : null;
     
-    // Extract watermark
-    const extractedPayload = strategy.extract(resource, options);
+    // Extract watermark; the expected DID also finds marks that can only be verified
+    const extractedPayload = strategy.extract(resource, { ...options, key, did });
     
     // Verify
-    const isValid = extractedPayload && 
+    const isValid = Boolean(extractedPayload) &&
       (!expectedPayload || strategy._comparePayloads(extractedPayload, expectedPayload));
     
+    // Check the payload was signed by the controller of its DID
+    const signature = await verifyWatermarkSignature(extractedPayload, this.resolver, { did });
+    
     return {
       isValid,
-      payload: extractedPayload
+      payload: extractedPayload,
+      ...signature
+    };
+  }
+  
+  /**
+   * Verify the watermark of a registered resource with the key recorded in the registry
+   * 
+   * @param {string} resourceType - Type of resource
+   * @param {Buffer|string|Object} resource - Resource to verify
+   * @param {string} did - DID of the registered resource
+   * @param {Object} options - Verification options
+   * @returns {Promise<Object>} Verification result (see verify) with the watermark key id
+   */
+  async verifyRegistered(resourceType, resource, did, options = {}) {
+    if (!this.registry) {
+      throw new Error('A registry is required to verify registered resources');
+    }
+    
+    const registered = await this.registry.getResource(did);
+    const watermark = registered && registered.metadata && registered.metadata.watermark;
+    if (!watermark || !watermark.keyId) {
+      throw new Error(`No watermark key id registered for ${did}`);
+    }
+    
+    return {
+      ...await this.verify(resourceType, resource, did, { ...options, key: undefined, keyId: watermark.keyId }),
+      watermarkKeyId: watermark.keyId
     };
   }
   
@@ -910,5 +897,7 @@ module.exports = {
   WatermarkingEngine,
   TextWatermarkStrategy,
   AIModelWatermarkStrategy,
+  VideoWatermarkStrategy,
+  CodeWatermarkStrategy,
   WatermarkStrategy
 };
@@ -0,0 +1,264 @@
+/**
+ * Audio Codecs for Watermarking
+ *
+ * Pure JavaScript WAV and raw PCM decoding and encoding. Audio is handled as
+ * floating point samples in [-1, 1], one array per channel:
+ *
+ *   { sampleRate, channelData: [Float32Array, ...], bitDepth, float }
+ *
+ * WAV: integer PCM (8, 16, 24 and 32-bit), IEEE float (32 and 64-bit) and
+ * WAVE_FORMAT_EXTENSIBLE files carrying either. Raw PCM buffers hold
+ * interleaved little-endian samples in the same formats.
+ */
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Check that a sample format is supported
+ * @param {number} bitDepth - Bits per sample
+ * @param {boolean} float - IEEE float samples
+ */
+function checkSampleFormat(bitDepth, float) {
+  const supported = float ? [32, 64] : [8, 16, 24, 32];
+  if (!supported.includes(bitDepth)) {
+    throw new Error(`Unsupported ${float ? 'float' : 'integer'} PCM bit depth: ${bitDepth}`);
+  }
+}
+
+/**
+ * Read one sample
+ * @param {Buffer} buffer - PCM data
+ * @param {number} offset - Byte offset
+ * @param {number} bitDepth - Bits per sample
+ * @param {boolean} float - IEEE float samples
+ * @returns {number} Sample in [-1, 1]
+ */
+function readSample(buffer, offset, bitDepth, float) {
+  if (float) {
+    return bitDepth === 32 ? buffer.readFloatLE(offset) : buffer.readDoubleLE(offset);
+  }
+
+  switch (bitDepth) {
+    // 8-bit samples are unsigned
+    case 8: return (buffer[offset] - 128) / 128;
+    case 16: return buffer.readInt16LE(offset) / 32768;
+    case 24: return buffer.readIntLE(offset, 3) / 8388608;
+    default: return buffer.readInt32LE(offset) / 2147483648;
+  }
+}
+
+/**
+ * Write one sample
+ * @param {Buffer} buffer - PCM data
+ * @param {number} offset - Byte offset
+ * @param {number} value - Sample in [-1, 1]
+ * @param {number} bitDepth - Bits per sample
+ * @param {boolean} float - IEEE float samples
+ */
+function writeSample(buffer, offset, value, bitDepth, float) {
+  if (float) {
+    if (bitDepth === 32) buffer.writeFloatLE(value, offset);
+    else buffer.writeDoubleLE(value, offset);
+    return;
+  }
+
+  const scale = 2 ** (bitDepth - 1);
+  const integer = Math.max(-scale, Math.min(scale - 1, Math.round(value * scale)));
+
+  switch (bitDepth) {
+    // 8-bit samples are unsigned
+    case 8: buffer[offset] = integer + 128; break;
+    case 16: buffer.writeInt16LE(integer, offset); break;
+    case 24: buffer.writeIntLE(integer, offset, 3); break;
+    default: buffer.writeInt32LE(integer, offset);
+  }
+}
+
+/**
+ * Check the shape of decoded audio
+ * @param {Object} audio - { sampleRate, channelData }
+ * @returns {Object} The audio
+ */
+function validateAudio(audio) {
+  const { sampleRate, channelData } = audio || {};
+  if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+    throw new Error('Audio sample rate must be a positive integer');
+  }
+  if (!Array.isArray(channelData) || channelData.length === 0) {
+    throw new Error('Audio must have at least one channel');
+  }
+  if (channelData.some(channel => channel.length !== channelData[0].length)) {
+    throw new Error('Audio channels must have the same length');
+  }
+  return audio;
+}
+
+/**
+ * Decode interleaved raw PCM samples
+ * @param {Buffer} buffer - PCM data
+ * @param {Object} format - Sample format
+ * @param {number} format.sampleRate - Sample rate in Hz
+ * @param {number} format.channels - Number of channels (default: 1)
+ * @param {number} format.bitDepth - Bits per sample (default: 16)
+ * @param {boolean} format.float - IEEE float samples (default: false)
+ * @returns {Object} { sampleRate, channelData, bitDepth, float }
+ */
+function decodePCM(buffer, format = {}) {
+  const { sampleRate, channels = 1, bitDepth = 16, float = false } = format;
+  checkSampleFormat(bitDepth, float);
+
+  const bytesPerSample = bitDepth / 8;
+  const frameSize = bytesPerSample * channels;
+  const frames = Math.floor(buffer.length / frameSize);
+  const channelData = Array.from({ length: channels }, () => new Float32Array(frames));
+
+  for (let i = 0; i < frames; i++) {
+    for (let channel = 0; channel < channels; channel++) {
+      channelData[channel][i] = readSample(buffer, i * frameSize + channel * bytesPerSample, bitDepth, float);
+    }
+  }
+
+  return validateAudio({ sampleRate, channelData, bitDepth, float });
+}
+
+/**
+ * Encode audio as interleaved raw PCM samples
+ * @param {Object} audio - { sampleRate, channelData }
+ * @param {Object} format - Sample format (see decodePCM)
+ * @returns {Buffer} PCM data
+ */
+function encodePCM(audio, format = {}) {
+  const { channelData } = validateAudio(audio);
+  const { bitDepth = 16, float = false } = format;
+  checkSampleFormat(bitDepth, float);
+
+  const bytesPerSample = bitDepth / 8;
+  const frameSize = bytesPerSample * channelData.length;
+  const frames = channelData[0].length;
+  const buffer = Buffer.alloc(frames * frameSize);
+
+  for (let i = 0; i < frames; i++) {
+    for (let channel = 0; channel < channelData.length; channel++) {
+      writeSample(buffer, i * frameSize + channel * bytesPerSample, channelData[channel][i], bitDepth, float);
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Check whether a buffer holds a WAV file
+ * @param {Buffer} buffer - Candidate file contents
+ * @returns {boolean} True for RIFF WAVE data
+ */
+function isWAV(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 12 &&
+    buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE';
+}
+
+/**
+ * Decode a WAV file
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {Object} { sampleRate, channelData, bitDepth, float }
+ */
+function decodeWAV(buffer) {
+  if (!isWAV(buffer)) {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = buffer.slice(offset + 8, Math.min(buffer.length, offset + 8 + size));
+
+    switch (id) {
+      case 'fmt ': {
+        if (body.length < 16) {
+          throw new Error('Truncated WAV fmt chunk');
+        }
+        let audioFormat = body.readUInt16LE(0);
+        // WAVE_FORMAT_EXTENSIBLE keeps the actual format in its sub-format GUID
+        if (audioFormat === WAVE_FORMAT_EXTENSIBLE && body.length >= 26) {
+          audioFormat = body.readUInt16LE(24);
+        }
+        if (audioFormat !== WAVE_FORMAT_PCM && audioFormat !== WAVE_FORMAT_IEEE_FLOAT) {
+          throw new Error(`Unsupported WAV format: 0x${audioFormat.toString(16)}`);
+        }
+        format = {
+          channels: body.readUInt16LE(2),
+          sampleRate: body.readUInt32LE(4),
+          bitDepth: body.readUInt16LE(14),
+          float: audioFormat === WAVE_FORMAT_IEEE_FLOAT
+        };
+        break;
+      }
+
+      case 'data':
+        data = body;
+        break;
+    }
+
+    // Chunks are padded to an even size
+    offset += 8 + size + (size & 1);
+  }
+
+  if (!format) {
+    throw new Error('WAV file has no fmt chunk');
+  }
+  if (!data) {
+    throw new Error('WAV file has no data chunk');
+  }
+
+  return decodePCM(data, format);
+}
+
+/**
+ * Encode audio as a WAV file
+ * @param {Object} audio - { sampleRate, channelData, bitDepth, float }
+ * @param {Object} format - Sample format (default: the format of the audio, or 16-bit PCM)
+ * @param {number} format.bitDepth - Bits per sample
+ * @param {boolean} format.float - IEEE float samples
+ * @returns {Buffer} WAV file contents
+ */
+function encodeWAV(audio, format = {}) {
+  const { sampleRate, channelData } = validateAudio(audio);
+  const {
+    bitDepth = audio.bitDepth || 16,
+    float = audio.float || false
+  } = format;
+
+  const data = encodePCM(audio, { bitDepth, float });
+  const blockAlign = (bitDepth / 8) * channelData.length;
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + data.length + (data.length & 1), 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, 20);
+  header.writeUInt16LE(channelData.length, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitDepth, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data, Buffer.alloc(data.length & 1)]);
+}
+
+module.exports = {
+  decodeWAV,
+  encodeWAV,
+  decodePCM,
+  encodePCM,
+  isWAV,
+  validateAudio
+};
@@ -0,0 +1,385 @@
+/**
+ * Audio Watermark Embedding and Detection
+ *
+ * Spread-spectrum watermarking of PCM audio (see audio_codec.js). The payload
+ * is sent one bit per frame: each frame adds a keyed pseudo-noise sequence,
+ * with its sign giving the bit and its level following the loudness of the
+ * host audio (strength * frame RMS).
+ *
+ * The watermark is defined on a fixed 8 kHz time base and resampled to the
+ * rate of the audio, so detection works the same after sample rate conversion.
+ * Detection whitens the audio with linear predictors, finds the frame grid by
+ * correlation (so excerpts cut anywhere still decode) and uses normalized
+ * correlations, which do not depend on the volume.
+ *
+ * Packets (a keyed sync word, the payload length and the CBOR payload with its
+ * CRC-32) repeat for the whole duration; detection folds all copies before
+ * deciding each bit. Only the DID is embedded: a short packet repeats more
+ * often, so shorter excerpts can be identified. Embedding needs room for three
+ * copies and detection one whole copy; for the 74-byte payload of a did:asset
+ * DID that is:
+ *
+ *   robustness   embedding   excerpt
+ *   low          119 s       40 s
+ *   medium       237 s       79 s
+ *   high         474 s       158 s
+ */
+
+const { validateAudio } = require('./audio_codec');
+const { encodePayload, decodePayload, toBits, softToBytes, keyedRandom, requireKey } = require('./watermark_payload');
+
+/**
+ * Frame length (samples at the watermark rate) of each robustness level
+ */
+const FRAME_LENGTHS = {
+  low: 512,
+  medium: 1024,
+  high: 2048
+};
+
+const WATERMARK_RATE = 8000;
+const CHIP_LENGTH = 2;
+const SYNC_BITS = 16;
+const LENGTH_BITS = 8;
+const PREDICTOR_ORDER = 10;
+const MAX_SYNC_FRAMES = 48;
+const MIN_COPIES = 3;
+
+/**
+ * Resample a signal with linear interpolation (box-filtered when downsampling)
+ * @param {ArrayLike<number>} samples - Signal
+ * @param {number} fromRate - Rate of the signal
+ * @param {number} toRate - Target rate
+ * @param {number} length - Output length (default: the same duration)
+ * @returns {Float64Array} Resampled signal
+ */
+function resample(samples, fromRate, toRate, length = Math.floor((samples.length * toRate) / fromRate)) {
+  const ratio = fromRate / toRate;
+  const output = new Float64Array(length);
+
+  if (ratio > 1) {
+    // Average over each output sample period to limit aliasing
+    const sums = new Float64Array(samples.length + 1);
+    for (let i = 0; i < samples.length; i++) {
+      sums[i + 1] = sums[i] + samples[i];
+    }
+    for (let i = 0; i < length; i++) {
+      const start = Math.max(0, Math.round(i * ratio - ratio / 2));
+      const end = Math.min(samples.length, Math.max(start + 1, Math.round(i * ratio + ratio / 2)));
+      output[i] = start < end ? (sums[end] - sums[start]) / (end - start) : 0;
+    }
+    return output;
+  }
+
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const current = index < samples.length ? samples[index] : 0;
+    const next = index + 1 < samples.length ? samples[index + 1] : current;
+    output[i] = current + (next - current) * fraction;
+  }
+  return output;
+}
+
+/**
+ * Mix the channels of an audio signal down to mono
+ * @param {Array<Float32Array>} channelData - Channels
+ * @returns {Float64Array} Mono signal
+ */
+function mixdown(channelData) {
+  const mono = new Float64Array(channelData[0].length);
+  for (const channel of channelData) {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channelData.length;
+    }
+  }
+  return mono;
+}
+
+/**
+ * Build the keyed pseudo-noise sequence of a frame
+ * @param {string} key - Watermark key
+ * @param {number} frameLength - Frame length in samples
+ * @returns {Float64Array} +-1 chips, each held for CHIP_LENGTH samples
+ */
+function chipSequence(key, frameLength) {
+  const random = keyedRandom(key, `chips:${frameLength}`);
+  const chips = new Float64Array(frameLength);
+  for (let i = 0; i < frameLength; i += CHIP_LENGTH) {
+    chips.fill(random() < 0.5 ? -1 : 1, i, i + CHIP_LENGTH);
+  }
+  return chips;
+}
+
+/**
+ * Build the keyed sync word marking the start of each packet
+ * @param {string} key - Watermark key
+ * @returns {Array<number>} Sync bits
+ */
+function syncWord(key) {
+  const random = keyedRandom(key, 'sync');
+  return Array.from({ length: SYNC_BITS }, () => (random() < 0.5 ? 0 : 1));
+}
+
+/**
+ * Compute the coefficients of a linear predictor (Levinson-Durbin recursion)
+ * @param {Float64Array} signal - Signal
+ * @param {number} order - Predictor order
+ * @returns {Float64Array} Prediction error filter [1, a1, ..., an]
+ */
+function predictionFilter(signal, order) {
+  const autocorrelation = new Float64Array(order + 1);
+  for (let lag = 0; lag <= order; lag++) {
+    for (let i = lag; i < signal.length; i++) {
+      autocorrelation[lag] += signal[i] * signal[i - lag];
+    }
+  }
+
+  const filter = new Float64Array(order + 1);
+  filter[0] = 1;
+  let error = autocorrelation[0] * (1 + 1e-9);
+  if (error === 0) {
+    return filter;
+  }
+
+  for (let i = 1; i <= order; i++) {
+    let accumulator = autocorrelation[i];
+    for (let j = 1; j < i; j++) {
+      accumulator += filter[j] * autocorrelation[i - j];
+    }
+    const reflection = -accumulator / error;
+
+    const previous = Float64Array.from(filter);
+    for (let j = 1; j < i; j++) {
+      filter[j] = previous[j] + reflection * previous[i - j];
+    }
+    filter[i] = reflection;
+    error *= 1 - reflection * reflection;
+  }
+
+  return filter;
+}
+
+/**
+ * Apply an FIR filter
+ * @param {Float64Array} signal - Signal
+ * @param {Float64Array} filter - Filter taps
+ * @returns {Float64Array} Filtered signal
+ */
+function applyFilter(signal, filter) {
+  const output = new Float64Array(signal.length);
+  for (let i = 0; i < signal.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < filter.length && j <= i; j++) {
+      sum += filter[j] * signal[i - j];
+    }
+    output[i] = sum;
+  }
+  return output;
+}
+
+/**
+ * Resolve and check watermark options
+ * @param {Object} options - { strength, robustness, key }
+ * @returns {Object} Resolved options
+ */
+function resolveOptions(options = {}) {
+  const { strength = 0.05, robustness = 'medium', key } = options;
+
+  if (typeof strength !== 'number' || !(strength > 0 && strength <= 1)) {
+    throw new Error('Watermark strength must be a number in (0, 1]');
+  }
+  if (!FRAME_LENGTHS[robustness]) {
+    throw new Error(`Unsupported watermark robustness: ${robustness}`);
+  }
+
+  return { strength, frameLength: FRAME_LENGTHS[robustness], key: requireKey(key) };
+}
+
+/**
+ * Embed a watermark into audio
+ * @param {Object} audio - { sampleRate, channelData }
+ * @param {Object} metadata - Watermark metadata; only its DID is embedded
+ * @param {Object} options - Watermark options
+ * @param {number} options.strength - Watermark level relative to the audio, in (0, 1] (default: 0.05)
+ * @param {string} options.robustness - low, medium or high: longer frames are more robust
+ *   but need longer audio (default: medium)
+ * @param {string} options.key - Secret key of the pseudo-noise and sync word
+ * @returns {Object} Watermarked audio, as a copy
+ */
+function embedAudioWatermark(audio, metadata, options = {}) {
+  const { sampleRate, channelData } = validateAudio(audio);
+  const { strength, frameLength, key } = resolveOptions(options);
+  if (sampleRate < WATERMARK_RATE) {
+    throw new Error(`Audio watermarking needs a sample rate of at least ${WATERMARK_RATE} Hz`);
+  }
+
+  const payload = encodePayload(metadata && metadata.did ? { did: metadata.did } : metadata);
+  if (payload.length >= 2 ** LENGTH_BITS) {
+    throw new Error(`Audio watermark payload is too large (${payload.length} bytes)`);
+  }
+  const packet = [...syncWord(key), ...toBits(Buffer.from([payload.length])), ...toBits(payload)];
+
+  const host = resample(mixdown(channelData), sampleRate, WATERMARK_RATE);
+  const frames = Math.floor(host.length / frameLength);
+  if (frames < packet.length * MIN_COPIES) {
+    const seconds = Math.ceil((packet.length * MIN_COPIES * frameLength) / WATERMARK_RATE);
+    throw new Error(`Audio too short for a watermark: at least ${seconds} s needed`);
+  }
+
+  // Watermark signal on the 8 kHz time base
+  const chips = chipSequence(key, frameLength);
+  const watermark = new Float64Array(host.length);
+  for (let frame = 0; frame < frames; frame++) {
+    const start = frame * frameLength;
+    let energy = 0;
+    for (let i = 0; i < frameLength; i++) {
+      energy += host[start + i] * host[start + i];
+    }
+
+    const level = strength * Math.sqrt(energy / frameLength) * (packet[frame % packet.length] ? -1 : 1);
+    for (let i = 0; i < frameLength; i++) {
+      watermark[start + i] = level * chips[i];
+    }
+  }
+
+  const signal = resample(watermark, WATERMARK_RATE, sampleRate, channelData[0].length);
+  return {
+    ...audio,
+    channelData: channelData.map(channel => {
+      const output = new Float32Array(channel.length);
+      for (let i = 0; i < channel.length; i++) {
+        output[i] = Math.max(-1, Math.min(1, channel[i] + signal[i]));
+      }
+      return output;
+    })
+  };
+}
+
+/**
+ * Detect the watermark of audio
+ * @param {Object} audio - { sampleRate, channelData }
+ * @param {Object} options - Watermark options (see embedAudioWatermark)
+ * @returns {Object|null} { metadata, confidence } or null if no watermark is found
+ */
+function detectAudioWatermark(audio, options = {}) {
+  const { sampleRate, channelData } = validateAudio(audio);
+  const { frameLength, key } = resolveOptions(options);
+  if (sampleRate < WATERMARK_RATE) {
+    return null;
+  }
+
+  const mono = resample(mixdown(channelData), sampleRate, WATERMARK_RATE);
+  const filter = predictionFilter(mono, PREDICTOR_ORDER);
+  const residual = applyFilter(mono, filter);
+  const template = applyFilter(chipSequence(key, frameLength), filter);
+  const sync = syncWord(key);
+
+  // Normalized correlation of the frame starting at a sample with the template
+  const correlate = start => {
+    let product = 0;
+    let energy = 0;
+    for (let i = 0; i < frameLength; i++) {
+      product += residual[start + i] * template[i];
+      energy += residual[start + i] * residual[start + i];
+    }
+    return energy > 0 ? product / Math.sqrt(energy) : 0;
+  };
+
+  // Frame grid: the offset with the strongest correlations over a spread of frames
+  const available = Math.floor(residual.length / frameLength) - 1;
+  if (available < SYNC_BITS + LENGTH_BITS) {
+    return null;
+  }
+  const probes = Math.min(available, MAX_SYNC_FRAMES);
+  let offset = 0;
+  let bestScore = -1;
+  for (let candidate = 0; candidate < frameLength; candidate++) {
+    let score = 0;
+    for (let probe = 0; probe < probes; probe++) {
+      score += Math.abs(correlate(candidate + Math.floor((probe * available) / probes) * frameLength));
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      offset = candidate;
+    }
+  }
+
+  // Soft decisions, whitening each frame with its own predictor
+  const chips = chipSequence(key, frameLength);
+  const frames = Math.floor((mono.length - offset) / frameLength);
+  const soft = new Float64Array(frames);
+  for (let frame = 0; frame < frames; frame++) {
+    const start = offset + frame * frameLength;
+    const segment = mono.subarray(Math.max(0, start - PREDICTOR_ORDER), start + frameLength);
+    const frameFilter = predictionFilter(segment, PREDICTOR_ORDER);
+    const frameResidual = applyFilter(segment, frameFilter).subarray(segment.length - frameLength);
+    const frameTemplate = applyFilter(chips, frameFilter);
+
+    let product = 0;
+    let energy = 0;
+    let templateEnergy = 0;
+    for (let i = 0; i < frameLength; i++) {
+      product += frameResidual[i] * frameTemplate[i];
+      energy += frameResidual[i] * frameResidual[i];
+      templateEnergy += frameTemplate[i] * frameTemplate[i];
+    }
+    soft[frame] = energy > 0 ? product / Math.sqrt(energy * templateEnergy) : 0;
+  }
+
+  // Try each payload length: fold all copies of the packet, then find the sync word
+  for (let length = 5; length < 2 ** LENGTH_BITS; length++) {
+    const cycle = SYNC_BITS + LENGTH_BITS + length * 8;
+    if (cycle > frames) break;
+
+    // Average rather than sum, so bits with an extra partial copy do not outweigh the sync word
+    const folded = new Float64Array(cycle);
+    const copies = new Float64Array(cycle);
+    for (let frame = 0; frame < frames; frame++) {
+      folded[frame % cycle] += soft[frame];
+      copies[frame % cycle]++;
+    }
+    for (let bit = 0; bit < cycle; bit++) {
+      folded[bit] /= copies[bit];
+    }
+
+    let start = 0;
+    let syncScore = -Infinity;
+    for (let shift = 0; shift < cycle; shift++) {
+      let score = 0;
+      for (let bit = 0; bit < SYNC_BITS; bit++) {
+        score += folded[(shift + bit) % cycle] * (sync[bit] ? -1 : 1);
+      }
+      if (score > syncScore) {
+        syncScore = score;
+        start = shift;
+      }
+    }
+
+    const packet = Array.from({ length: cycle }, (_, bit) => folded[(start + bit) % cycle]);
+    const header = softToBytes(packet.slice(SYNC_BITS, SYNC_BITS + LENGTH_BITS));
+    if (header[0] !== length) continue;
+
+    const metadata = decodePayload(softToBytes(packet.slice(SYNC_BITS + LENGTH_BITS)));
+    if (metadata === null) continue;
+
+    // Share of frames agreeing with the decoded packet
+    let agreeing = 0;
+    for (let frame = 0; frame < frames; frame++) {
+      const bit = (frame - start + cycle * frames) % cycle;
+      if (Math.sign(soft[frame]) === Math.sign(packet[bit])) agreeing++;
+    }
+
+    return { metadata, confidence: Math.max(0, (2 * agreeing) / frames - 1) };
+  }
+
+  return null;
+}
+
+module.exports = {
+  embedAudioWatermark,
+  detectAudioWatermark,
+  resample,
+  FRAME_LENGTHS
+};
@@ -0,0 +1,680 @@
+/**
+ * Source Code Scanning for Watermarking
+ *
+ * Lightweight lexical scanners for JavaScript, Python and JSON sources. They
+ * do not build a syntax tree; they find what the code watermark may change
+ * without changing behavior:
+ *
+ * - comments, with the offsets of their text
+ * - line ends outside string and template literals, where trailing
+ *   whitespace is insignificant
+ * - runs of commutative declarations: consecutive top-level function
+ *   declarations (JavaScript), consecutive undecorated defs at one
+ *   indentation (Python) and object members (JSON)
+ */
+
+/**
+ * Supported source languages
+ */
+const LANGUAGES = {
+  JAVASCRIPT: 'javascript',
+  PYTHON: 'python',
+  JSON: 'json'
+};
+
+const EXTENSIONS = {
+  '.js': LANGUAGES.JAVASCRIPT,
+  '.mjs': LANGUAGES.JAVASCRIPT,
+  '.cjs': LANGUAGES.JAVASCRIPT,
+  '.jsx': LANGUAGES.JAVASCRIPT,
+  '.py': LANGUAGES.PYTHON,
+  '.pyi': LANGUAGES.PYTHON,
+  '.json': LANGUAGES.JSON
+};
+
+// Keywords after which a slash starts a regular expression
+const EXPRESSION_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Keywords that a declaration on the next line would continue
+const STATEMENT_KEYWORDS = new Set([
+  'export', 'default', 'async', 'function', 'class', 'extends', 'const', 'let', 'var',
+  'if', 'for', 'while', 'with', 'switch', 'catch', 'finally', 'try'
+]);
+
+/**
+ * Detect the language of a source
+ * @param {string} source - Source text
+ * @param {string} filename - File name, used for its extension (optional)
+ * @returns {string} Language
+ */
+function detectLanguage(source, filename) {
+  if (filename) {
+    const match = /\.[^./\\]+$/.exec(filename);
+    if (match && EXTENSIONS[match[0].toLowerCase()]) {
+      return EXTENSIONS[match[0].toLowerCase()];
+    }
+  }
+
+  try {
+    JSON.parse(source);
+    return LANGUAGES.JSON;
+  } catch (error) {
+    // Not JSON
+  }
+
+  const python = /^[ \t]*(?:(?:async[ \t]+)?def[ \t]+\w+[ \t]*\(|class[ \t]+\w+.*:[ \t]*$|from[ \t]+[\w.]+[ \t]+import\b|import[ \t]+\w+[ \t]*$)/m;
+  return python.test(source) && !/[;{][ \t]*$/m.test(source) ? LANGUAGES.PYTHON : LANGUAGES.JAVASCRIPT;
+}
+
+/**
+ * Find the end of the line containing an offset
+ * @param {string} source - Source text
+ * @param {number} offset - Offset
+ * @returns {number} Offset of the line break (or the end of the source)
+ */
+function lineEndAt(source, offset) {
+  const end = source.indexOf('\n', offset);
+  return end < 0 ? source.length : end;
+}
+
+/**
+ * Find the start of the line containing an offset
+ * @param {string} source - Source text
+ * @param {number} offset - Offset
+ * @returns {number} Offset of the first character of the line
+ */
+function lineStartAt(source, offset) {
+  return source.lastIndexOf('\n', offset - 1) + 1;
+}
+
+/**
+ * Scan a JavaScript source
+ * @param {string} source - Source text
+ * @returns {Object} { comments, lineEnds, tokens }
+ */
+function scanJavaScript(source) {
+  const comments = [];
+  const lineEnds = [];
+  const tokens = [];
+  // Bracket depth at which each open template expression resumes its template
+  const templates = [];
+  const length = source.length;
+  let depth = 0;
+  let last = null;
+  let i = 0;
+
+  const push = (type, value, start, end, tokenDepth = depth) => {
+    last = { type, value, start, end, depth: tokenDepth };
+    tokens.push(last);
+  };
+
+  const regexAllowed = () => !last ||
+    (last.type === 'punct' && !')]}'.includes(last.value)) ||
+    (last.type === 'word' && EXPRESSION_KEYWORDS.has(last.value));
+
+  // Scan template text from i; returns true if an expression was opened
+  const templateText = start => {
+    for (;;) {
+      if (i >= length) {
+        throw new Error('Unterminated template literal');
+      }
+      const c = source[i];
+      if (c === '\\') {
+        i += 2;
+      } else if (c === '`') {
+        i++;
+        push('template', null, start, i);
+        return false;
+      } else if (c === '$' && source[i + 1] === '{') {
+        i += 2;
+        push('template', null, start, i);
+        templates.push(depth);
+        depth++;
+        return true;
+      } else {
+        i++;
+      }
+    }
+  };
+
+  while (i < length) {
+    const c = source[i];
+    const start = i;
+
+    if (c === '\n') {
+      lineEnds.push(i);
+      i++;
+    } else if (/\s/.test(c)) {
+      i++;
+    } else if (c === '/' && source[i + 1] === '/') {
+      i = lineEndAt(source, i);
+      comments.push({ start, end: i, textStart: start + 2, textEnd: i });
+    } else if (c === '/' && source[i + 1] === '*') {
+      const close = source.indexOf('*/', i + 2);
+      if (close < 0) {
+        throw new Error('Unterminated block comment');
+      }
+      // Line ends within comments may carry trailing whitespace
+      for (let at = source.indexOf('\n', i); at >= 0 && at < close; at = source.indexOf('\n', at + 1)) {
+        lineEnds.push(at);
+      }
+      i = close + 2;
+      comments.push({ start, end: i, textStart: start + 2, textEnd: close });
+    } else if (c === '"' || c === "'") {
+      i++;
+      while (i < length && source[i] !== c && source[i] !== '\n') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      i++;
+      push('string', null, start, i);
+    } else if (c === '`') {
+      i++;
+      templateText(start);
+    } else if (c === '/' && regexAllowed()) {
+      let inClass = false;
+      i++;
+      while (i < length && source[i] !== '\n' && (inClass || source[i] !== '/')) {
+        if (source[i] === '\\') i++;
+        else if (source[i] === '[') inClass = true;
+        else if (source[i] === ']') inClass = false;
+        i++;
+      }
+      i++;
+      while (i < length && /[a-z]/i.test(source[i])) i++;
+      push('regex', null, start, i);
+    } else if (/\d/.test(c) || (c === '.' && /\d/.test(source[i + 1] || ''))) {
+      while (i < length && /[\w$.]/.test(source[i])) i++;
+      push('word', source.slice(start, i), start, i);
+    } else if (/[\w$\u0080-\uffff]/.test(c)) {
+      while (i < length && /[\w$\u0080-\uffff]/.test(source[i])) i++;
+      push('word', source.slice(start, i), start, i);
+    } else if (c === '}' && templates.length > 0 && templates[templates.length - 1] === depth - 1) {
+      // End of a template expression: back to the template text
+      depth--;
+      templates.pop();
+      i++;
+      templateText(start);
+    } else if ('([{'.includes(c)) {
+      push('punct', c, start, ++i);
+      depth++;
+    } else if (')]}'.includes(c)) {
+      depth = Math.max(0, depth - 1);
+      push('punct', c, start, ++i);
+    } else {
+      push('punct', c, start, ++i);
+    }
+  }
+
+  lineEnds.push(length);
+  return { comments, lineEnds, tokens };
+}
+
+/**
+ * Scan a Python source
+ * @param {string} source - Source text
+ * @returns {Object} { comments, lineEnds, lines }: lines as { start, end, continuation },
+ *   where continuation lines start inside brackets, strings or after a backslash
+ */
+function scanPython(source) {
+  const comments = [];
+  const lineEnds = [];
+  const lines = [];
+  const length = source.length;
+  let depth = 0;
+  let lineStart = 0;
+  let continuation = false;
+  let i = 0;
+
+  const endLine = (at, next) => {
+    lines.push({ start: lineStart, end: at > lineStart && source[at - 1] === '\r' ? at - 1 : at, continuation });
+    lineStart = at + 1;
+    continuation = next;
+  };
+
+  while (i < length) {
+    const c = source[i];
+
+    if (c === '\n') {
+      lineEnds.push(i);
+      endLine(i, depth > 0);
+      i++;
+    } else if (c === '#') {
+      const start = i;
+      i = lineEndAt(source, i);
+      comments.push({ start, end: i, textStart: start + 1, textEnd: i });
+    } else if (c === '\\' && (source[i + 1] === '\n' || (source[i + 1] === '\r' && source[i + 2] === '\n'))) {
+      i = source.indexOf('\n', i);
+      endLine(i, true);
+      i++;
+    } else if (c === '"' || c === "'") {
+      const triple = source.startsWith(c.repeat(3), i);
+      const quote = triple ? c.repeat(3) : c;
+      i += quote.length;
+      while (i < length && !source.startsWith(quote, i)) {
+        if (source[i] === '\\') {
+          i++;
+          if (source[i] === '\n') endLine(i, true);
+        } else if (source[i] === '\n') {
+          if (!triple) break;
+          endLine(i, true);
+        }
+        i++;
+      }
+      if (source.startsWith(quote, i)) i += quote.length;
+    } else if ('([{'.includes(c)) {
+      depth++;
+      i++;
+    } else if (')]}'.includes(c)) {
+      depth = Math.max(0, depth - 1);
+      i++;
+    } else {
+      i++;
+    }
+  }
+
+  lineEnds.push(length);
+  endLine(length, false);
+  return { comments, lineEnds, lines };
+}
+
+/**
+ * Scan a JSON source
+ * @param {string} source - Source text
+ * @returns {Object} { comments, lineEnds }
+ */
+function scanJSON(source) {
+  // JSON strings cannot hold raw line breaks
+  const lineEnds = [];
+  for (let at = source.indexOf('\n'); at >= 0; at = source.indexOf('\n', at + 1)) {
+    lineEnds.push(at);
+  }
+  lineEnds.push(source.length);
+  return { comments: [], lineEnds };
+}
+
+/**
+ * Scan a source for comments and code-level line ends
+ * @param {string} source - Source text
+ * @param {string} language - Language
+ * @returns {Object} { comments, lineEnds, ... }: comments as { start, end, textStart, textEnd }
+ */
+function scanSource(source, language) {
+  switch (language) {
+    case LANGUAGES.JAVASCRIPT:
+      return scanJavaScript(source);
+
+    case LANGUAGES.PYTHON:
+      return scanPython(source);
+
+    case LANGUAGES.JSON:
+      return scanJSON(source);
+
+    default:
+      throw new Error(`Unsupported source language: ${language}`);
+  }
+}
+
+/**
+ * Find the index of the token closing a bracket
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} open - Index of the opening bracket token
+ * @returns {number} Index of the closing token, or -1
+ */
+function closingToken(tokens, open) {
+  const { depth } = tokens[open];
+  for (let t = open + 1; t < tokens.length; t++) {
+    if (tokens[t].type === 'punct' && ')]}'.includes(tokens[t].value) && tokens[t].depth === depth) {
+      return t;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Check whether a token ends the statement before another token
+ * @param {string} source - Source text
+ * @param {Object} token - Previous token
+ * @param {Object} next - Next token
+ * @returns {boolean} True after ; or }, or at a line break that ends an expression
+ */
+function statementEnd(source, token, next) {
+  if (token.value === ';' || token.value === '}') {
+    return true;
+  }
+  if (!source.slice(token.end, next.start).includes('\n')) {
+    return false;
+  }
+  // Automatic semicolon insertion
+  return ['string', 'template', 'regex'].includes(token.type) ||
+    (token.type === 'punct' && (token.value === ')' || token.value === ']')) ||
+    (token.type === 'word' && !EXPRESSION_KEYWORDS.has(token.value) && !STATEMENT_KEYWORDS.has(token.value));
+}
+
+/**
+ * Find the top-level function declarations of a JavaScript source
+ *
+ * A declaration spans whole lines, with the comments directly above it.
+ *
+ * @param {string} source - Source text
+ * @param {Object} scan - Result of scanJavaScript
+ * @returns {Array<Object>} Declarations as { name, start, end }
+ */
+function javaScriptDeclarations(source, scan) {
+  const { tokens, comments } = scan;
+  const declarations = [];
+  let comment = 0;
+
+  for (let t = 0; t < tokens.length; t++) {
+    const first = tokens[t];
+    if (first.depth !== 0 || first.type !== 'word') continue;
+
+    const previous = tokens[t - 1];
+    if (previous && !statementEnd(source, previous, first)) continue;
+
+    // [export] [async] function [*] name (...) { ... }
+    let k = t;
+    if (tokens[k].value === 'export') k++;
+    if (tokens[k] && tokens[k].value === 'async') k++;
+    if (!tokens[k] || tokens[k].value !== 'function') continue;
+    k++;
+    if (tokens[k] && tokens[k].value === '*') k++;
+
+    const name = tokens[k];
+    const open = k + 1;
+    if (!name || name.type !== 'word' || !tokens[open] || tokens[open].value !== '(') continue;
+    const close = closingToken(tokens, open);
+    if (close < 0 || !tokens[close + 1] || tokens[close + 1].value !== '{') continue;
+    const last = closingToken(tokens, close + 1);
+    if (last < 0) continue;
+
+    // Whole lines only
+    let start = lineStartAt(source, first.start);
+    const lineEnd = lineEndAt(source, tokens[last].end);
+    const next = tokens[last + 1];
+    const trailing = comments.find(c => c.start >= tokens[last].end && c.start < lineEnd);
+    t = last;
+    if (source.slice(start, first.start).trim() || (next && next.start < lineEnd) || (trailing && trailing.end > lineEnd)) {
+      continue;
+    }
+
+    // Attach the comments directly above
+    while (comment < comments.length && comments[comment].end <= start) comment++;
+    for (let c = comment - 1; c >= 0; c--) {
+      const above = comments[c];
+      const lineStart = lineStartAt(source, above.start);
+      const between = source.slice(above.end, start);
+      if (between.trim() || between.split('\n').length > 2 || source.slice(lineStart, above.start).trim() ||
+        (previous && previous.end > above.start)) {
+        break;
+      }
+      start = lineStart;
+    }
+
+    const end = source[lineEnd - 1] === '\r' ? lineEnd - 1 : lineEnd;
+    declarations.push({ name: name.value, start, end });
+  }
+
+  return declarations;
+}
+
+/**
+ * Find the undecorated defs of a Python source that are not nested in another def
+ *
+ * A def spans whole lines, with the comment lines directly above it.
+ *
+ * @param {string} source - Source text
+ * @param {Object} scan - Result of scanPython
+ * @returns {Array<Object>} Declarations as { name, start, end, indent }
+ */
+function pythonDeclarations(source, scan) {
+  const { lines } = scan;
+  const text = line => source.slice(line.start, line.end);
+  const indentOf = line => /^[ \t]*/.exec(text(line))[0];
+  const isComment = line => !line.continuation && /^[ \t]*#/.test(text(line));
+  const declarations = [];
+
+  for (let l = 0; l < lines.length; l++) {
+    if (lines[l].continuation) continue;
+    const match = /^([ \t]*)(?:async[ \t]+)?def[ \t]+([A-Za-z_]\w*)/.exec(text(lines[l]));
+    if (!match) continue;
+    const indent = match[1];
+
+    let first = l;
+    while (first > 0 && isComment(lines[first - 1]) && indentOf(lines[first - 1]) === indent) first--;
+    let above = first - 1;
+    while (above > 0 && lines[above].continuation) above--;
+    if (above >= 0 && /^[ \t]*@/.test(text(lines[above]))) continue;
+
+    let last = l;
+    for (let b = l + 1; b < lines.length; b++) {
+      const line = lines[b];
+      if (line.continuation) {
+        last = b;
+        continue;
+      }
+      if (!text(line).trim()) continue;
+      if (indentOf(line).length <= indent.length) break;
+      last = b;
+    }
+
+    declarations.push({ name: match[2], start: lines[first].start, end: lines[last].end, indent });
+  }
+
+  // Nested defs move with their parent
+  let outerEnd = -1;
+  return declarations.filter(declaration => {
+    if (declaration.start < outerEnd) return false;
+    outerEnd = declaration.end;
+    return true;
+  });
+}
+
+/**
+ * Group declarations into runs separated by blank lines only
+ * @param {string} source - Source text
+ * @param {Array<Object>} declarations - Declarations in source order
+ * @returns {Array<Array<Object>>} Runs of two or more declarations with distinct names
+ */
+function declarationRuns(source, declarations) {
+  const runs = [];
+  let run = [];
+
+  for (const declaration of declarations) {
+    const previous = run[run.length - 1];
+    if (previous && (source.slice(previous.end, declaration.start).trim() || previous.indent !== declaration.indent)) {
+      runs.push(run);
+      run = [];
+    }
+    run.push(declaration);
+  }
+  runs.push(run);
+
+  return runs.filter(items => items.length >= 2 && new Set(items.map(item => item.name)).size === items.length);
+}
+
+/**
+ * Parse a JSON source into a tree of value spans
+ * @param {string} source - JSON text
+ * @returns {Object} Root node: { type, start, end, members | elements }
+ */
+function parseJSONTree(source) {
+  const literal = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+  let i = 0;
+
+  const space = () => {
+    while (i < source.length && ' \t\r\n'.includes(source[i])) i++;
+  };
+  const expect = c => {
+    space();
+    if (source[i] !== c) {
+      throw new Error(`Invalid JSON at offset ${i}: expected ${c}`);
+    }
+    i++;
+  };
+  const string = () => {
+    const start = i;
+    i++;
+    while (i < source.length && source[i] !== '"') {
+      i += source[i] === '\\' ? 2 : 1;
+    }
+    i++;
+    return JSON.parse(source.slice(start, i));
+  };
+
+  const value = () => {
+    space();
+    const start = i;
+
+    if (source[i] === '{' || source[i] === '[') {
+      const object = source[i] === '{';
+      const items = [];
+      i++;
+      space();
+      if (source[i] !== (object ? '}' : ']')) {
+        for (;;) {
+          space();
+          if (object) {
+            const memberStart = i;
+            const key = string();
+            expect(':');
+            const node = value();
+            items.push({ key, start: memberStart, end: node.end, value: node });
+          } else {
+            const node = value();
+            items.push({ start: node.start, end: node.end, value: node });
+          }
+          space();
+          if (source[i] !== ',') break;
+          i++;
+        }
+      }
+      expect(object ? '}' : ']');
+      return object
+        ? { type: 'object', start, end: i, members: items }
+        : { type: 'array', start, end: i, elements: items };
+    }
+
+    if (source[i] === '"') {
+      string();
+    } else {
+      literal.lastIndex = i;
+      if (!literal.test(source)) {
+        throw new Error(`Invalid JSON at offset ${i}`);
+      }
+      i = literal.lastIndex;
+    }
+    return { type: 'value', start, end: i };
+  };
+
+  const root = value();
+  space();
+  if (i < source.length) {
+    throw new Error(`Invalid JSON at offset ${i}: unexpected content`);
+  }
+  return root;
+}
+
+/**
+ * Rebuild the text of a container with its items in new texts and order
+ * @param {string} source - Source text
+ * @param {Object} node - Container node
+ * @param {Array<Object>} items - Its items, in source order
+ * @param {Array<string>} texts - New item texts, in output order
+ * @returns {string} Container text
+ */
+function spliceItems(source, node, items, texts) {
+  if (items.length === 0) {
+    return source.slice(node.start, node.end);
+  }
+
+  let text = source.slice(node.start, items[0].start);
+  items.forEach((item, index) => {
+    text += texts[index];
+    if (index < items.length - 1) text += source.slice(item.end, items[index + 1].start);
+  });
+  return text + source.slice(items[items.length - 1].end, node.end);
+}
+
+/**
+ * Find the groups of commutative declarations of a source
+ *
+ * Groups come in an order that reordering them does not change: runs in
+ * source order for JavaScript and Python, and for JSON a walk of the tree
+ * visiting object members in rank order.
+ *
+ * @param {string} source - Source text
+ * @param {string} language - Language
+ * @param {Function} rank - Maps a declaration name to a sortable rank
+ * @returns {Object} { groups, rewrite }: groups as { names } in source order; rewrite(orders)
+ *   returns the source with each group's declarations in the order of orders[index]
+ */
+function declarationGroups(source, language, rank) {
+  if (language === LANGUAGES.JSON) {
+    const root = parseJSONTree(source);
+    const groups = [];
+    const groupOf = new Map();
+
+    const visit = node => {
+      if (node.type === 'object') {
+        const names = node.members.map(member => member.key);
+        if (names.length >= 2 && new Set(names).size === names.length) {
+          groupOf.set(node, groups.length);
+          groups.push({ names });
+        }
+        [...node.members].sort((a, b) => (rank(a.key) < rank(b.key) ? -1 : 1)).forEach(member => visit(member.value));
+      } else if (node.type === 'array') {
+        node.elements.forEach(element => visit(element.value));
+      }
+    };
+    visit(root);
+
+    const rewrite = orders => {
+      const build = node => {
+        if (node.type === 'value') {
+          return source.slice(node.start, node.end);
+        }
+        if (node.type === 'array') {
+          return spliceItems(source, node, node.elements, node.elements.map(element => build(element.value)));
+        }
+
+        const texts = new Map(node.members.map(member =>
+          [member.key, source.slice(member.start, member.value.start) + build(member.value)]));
+        const order = groupOf.has(node) ? orders[groupOf.get(node)] : node.members.map(member => member.key);
+        return spliceItems(source, node, node.members, order.map(name => texts.get(name)));
+      };
+      return source.slice(0, root.start) + build(root) + source.slice(root.end);
+    };
+
+    return { groups, rewrite };
+  }
+
+  const scan = scanSource(source, language);
+  const declarations = language === LANGUAGES.PYTHON
+    ? pythonDeclarations(source, scan)
+    : javaScriptDeclarations(source, scan);
+  const runs = declarationRuns(source, declarations);
+
+  const rewrite = orders => {
+    let text = source;
+    for (let r = runs.length - 1; r >= 0; r--) {
+      const run = runs[r];
+      const texts = new Map(run.map(item => [item.name, source.slice(item.start, item.end)]));
+      const node = { start: run[0].start, end: run[run.length - 1].end };
+      text = text.slice(0, node.start) + spliceItems(source, node, run, orders[r].map(name => texts.get(name))) +
+        text.slice(node.end);
+    }
+    return text;
+  };
+
+  return { groups: runs.map(run => ({ names: run.map(item => item.name) })), rewrite };
+}
+
+module.exports = {
+  detectLanguage,
+  scanSource,
+  declarationGroups,
+  LANGUAGES
+};
@@ -0,0 +1,350 @@
+/**
+ * Source Code Watermark Embedding and Detection
+ *
+ * Embeds watermark metadata into JavaScript, Python and JSON sources without
+ * changing their behavior or the order of their identifiers (see
+ * code_scanner.js for what each language allows):
+ *
+ * - Content channel, which survives reformatting by common formatters
+ *   (Prettier, Black, JSON pretty-printers):
+ *   - the order of pairs of commutative declarations (optional), and
+ *   - the gaps between words in comments: one space or two.
+ * - Whitespace channel, for verbatim copies: trailing whitespace at the end
+ *   of code lines.
+ *
+ * Each channel repeats the payload (CBOR with its CRC-32, after its length)
+ * as often as it fits, whitened with the watermark key. When the content
+ * channel cannot hold the full metadata, only the DID is embedded, or as a
+ * last resort a 64-bit hash of it (see didHash).
+ */
+
+const crypto = require('crypto');
+const { detectLanguage, scanSource, declarationGroups } = require('./code_scanner');
+const { encodePayload, decodePayload, didHash, toBits, softToBytes, keyedRandom, requireKey } = require('./watermark_payload');
+
+const LENGTH_BITS = 16;
+const MIN_PAYLOAD_BYTES = 5;
+
+// Directives that tools parse from comments, which are left untouched
+const DIRECTIVE_PATTERN = /^[*\s]*(?:[!@#]|-\*-|eslint|jshint|jslint|globals?\s|istanbul|c8\s|prettier-ignore|ts-|tslint|webpack|sourceMappingURL|type:|noqa|pylint|pyright|mypy|fmt:|isort:|pragma|nosec|license|copyright)/i;
+
+/**
+ * Resolve and check watermark options
+ * @param {Object} options - { language, filename, key, comments, whitespace, reorder }
+ * @returns {Object} Resolved options
+ */
+function resolveOptions(options = {}) {
+  const {
+    language = null,
+    filename = null,
+    key,
+    comments = true,
+    whitespace = true,
+    reorder = false
+  } = options;
+
+  if (!comments && !whitespace && !reorder) {
+    throw new Error('At least one code watermark channel must be enabled');
+  }
+
+  return { language, filename, key: requireKey(key), comments, whitespace, reorder };
+}
+
+/**
+ * Read a source as text
+ * @param {string|Buffer} source - Source code
+ * @returns {string} Source text
+ */
+function sourceText(source) {
+  if (Buffer.isBuffer(source)) {
+    return source.toString('utf8');
+  }
+  if (typeof source !== 'string') {
+    throw new Error('Source code must be a string or Buffer');
+  }
+  return source;
+}
+
+/**
+ * Create the keyed rank of declaration names
+ * @param {string} key - Watermark key
+ * @returns {Function} Maps a name to a hex rank
+ */
+function keyedRank(key) {
+  return name => crypto.createHmac('sha256', key).update(name).digest('hex');
+}
+
+/**
+ * List the declaration pairs of each group, in rank order
+ * @param {Array<Object>} groups - Declaration groups as { names }
+ * @param {Function} rank - Keyed rank
+ * @returns {Array<Object>} Pairs as { group, first, second }, first ranking lower
+ */
+function declarationPairs(groups, rank) {
+  const pairs = [];
+  groups.forEach(({ names }, group) => {
+    const sorted = [...names].sort((a, b) => (rank(a) < rank(b) ? -1 : 1));
+    for (let i = 0; i + 1 < sorted.length; i += 2) {
+      pairs.push({ group, first: sorted[i], second: sorted[i + 1] });
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Find the word gaps of comments that may carry a bit
+ * @param {string} source - Source text
+ * @param {Array<Object>} comments - Comments (see scanSource)
+ * @returns {Array<Object>} Gaps as { start, length }, with length 1 or 2
+ */
+function commentGaps(source, comments) {
+  const gaps = [];
+  for (const comment of comments) {
+    const text = source.slice(comment.textStart, comment.textEnd);
+    if (DIRECTIVE_PATTERN.test(text)) continue;
+
+    // Single and double spaces between words; wider gaps are alignment
+    const pattern = /\S( {1,3})(?=\S)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[1].length <= 2) {
+        gaps.push({ start: comment.textStart + match.index + 1, length: match[1].length });
+      }
+      pattern.lastIndex = match.index + 1 + match[1].length;
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Find the code lines whose trailing whitespace may carry a bit
+ * @param {string} source - Source text
+ * @param {Array<number>} lineEnds - Code-level line ends (see scanSource)
+ * @returns {Array<Object>} Slots as { start, end }: the trailing whitespace of each line
+ */
+function trailingSlots(source, lineEnds) {
+  const slots = [];
+  for (const lineEnd of lineEnds) {
+    const end = lineEnd > 0 && source[lineEnd - 1] === '\r' ? lineEnd - 1 : lineEnd;
+    const lineStart = source.lastIndexOf('\n', lineEnd - 1) + 1;
+    let start = end;
+    while (start > lineStart && (source[start - 1] === ' ' || source[start - 1] === '\t')) start--;
+
+    // Skip blank lines and line continuations
+    if (start > lineStart && source[start - 1] !== '\\') {
+      slots.push({ start, end });
+    }
+  }
+  return slots;
+}
+
+/**
+ * Apply text replacements
+ * @param {string} source - Source text
+ * @param {Array<Object>} edits - Non-overlapping { start, end, text }, in source order
+ * @returns {string} Edited text
+ */
+function applyEdits(source, edits) {
+  let text = '';
+  let offset = 0;
+  for (const { start, end, text: replacement } of edits) {
+    text += source.slice(offset, start) + replacement;
+    offset = end;
+  }
+  return text + source.slice(offset);
+}
+
+/**
+ * Build the bits of a payload with its length
+ * @param {Buffer} payload - Payload
+ * @returns {Array<number>} Packet bits
+ */
+function packetBits(payload) {
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(payload.length);
+  return toBits(Buffer.concat([length, payload]));
+}
+
+/**
+ * Keyed whitening bits of a channel
+ * @param {string} key - Watermark key
+ * @param {string} channel - Channel name
+ * @param {number} count - Number of bits
+ * @returns {Array<number>} Bits
+ */
+function whitening(key, channel, count) {
+  const random = keyedRandom(key, `code:${channel}`);
+  return Array.from({ length: count }, () => (random() < 0.5 ? 1 : 0));
+}
+
+/**
+ * Fill a channel with repeated packet bits
+ * @param {Array<number>} packet - Packet bits
+ * @param {number} count - Channel capacity in bits
+ * @param {string} key - Watermark key
+ * @param {string} channel - Channel name
+ * @returns {Array<number>} Channel bits
+ */
+function channelBits(packet, count, key, channel) {
+  const mask = whitening(key, channel, count);
+  return mask.map((bit, i) => packet[i % packet.length] ^ bit);
+}
+
+/**
+ * Decode the packet repeated in a channel
+ *
+ * The packet length is unknown, so each length whose header agrees is tried.
+ *
+ * @param {Array<number>} bits - Channel bits
+ * @param {string} key - Watermark key
+ * @param {string} channel - Channel name
+ * @returns {Object|null} { metadata, confidence }, or null
+ */
+function decodeChannel(bits, key, channel) {
+  const mask = whitening(key, channel, bits.length);
+  const clear = bits.map((bit, i) => bit ^ mask[i]);
+
+  for (let length = MIN_PAYLOAD_BYTES; LENGTH_BITS + length * 8 <= clear.length; length++) {
+    const period = LENGTH_BITS + length * 8;
+
+    const header = new Float64Array(LENGTH_BITS);
+    for (let copy = 0; copy < clear.length; copy += period) {
+      for (let i = 0; i < LENGTH_BITS && copy + i < clear.length; i++) {
+        header[i] += clear[copy + i] ? -1 : 1;
+      }
+    }
+    if (softToBytes(header).readUInt16BE(0) !== length) continue;
+
+    const sums = new Float64Array(period);
+    clear.forEach((bit, i) => {
+      sums[i % period] += bit ? -1 : 1;
+    });
+    const metadata = decodePayload(softToBytes(sums.subarray(LENGTH_BITS)));
+    if (!metadata) continue;
+
+    // Agreement of the channel with the decoded packet
+    const packet = packetBits(encodePayload(metadata));
+    const agreement = clear.filter((bit, i) => bit === packet[i % period]).length / clear.length;
+    return { metadata, confidence: Math.max(0, 2 * agreement - 1) };
+  }
+
+  return null;
+}
+
+/**
+ * Embed watermark metadata into source code
+ * @param {string|Buffer} source - JavaScript, Python or JSON source
+ * @param {Object} metadata - Metadata to embed
+ * @param {Object} options - Watermark options
+ * @param {string} options.language - javascript, python or json (default: detected)
+ * @param {string} options.filename - File name, to detect the language from its extension
+ * @param {string} options.key - Secret key of the whitening and declaration ranks
+ * @param {boolean} options.comments - Use the gaps between words in comments (default: true)
+ * @param {boolean} options.whitespace - Use trailing whitespace (default: true)
+ * @param {boolean} options.reorder - Reorder commutative declarations (default: false)
+ * @returns {string|Buffer} Watermarked source, in the form of the input
+ */
+function embedCodeWatermark(source, metadata, options = {}) {
+  const resolved = resolveOptions(options);
+  const original = sourceText(source);
+  const language = resolved.language || detectLanguage(original, resolved.filename);
+  const rank = keyedRank(resolved.key);
+
+  const order = resolved.reorder ? declarationGroups(original, language, rank) : null;
+  const pairs = order ? declarationPairs(order.groups, rank) : [];
+  const scan = scanSource(original, language);
+  const gaps = resolved.comments ? commentGaps(original, scan.comments) : [];
+  const contentCapacity = pairs.length + gaps.length;
+  const whitespaceCapacity = resolved.whitespace ? trailingSlots(original, scan.lineEnds).length : 0;
+
+  // The largest payload the content channel holds, else the whitespace channel
+  const payloads = [metadata, { did: metadata.did }, { didHash: didHash(metadata.did) }]
+    .map(candidate => packetBits(encodePayload(candidate)));
+  let packet = payloads.find(bits => bits.length <= contentCapacity);
+  const useContent = Boolean(packet);
+  packet = packet || payloads.find(bits => bits.length <= whitespaceCapacity);
+  if (!packet) {
+    throw new Error('Source too small for a watermark: not enough comments, declarations or code lines');
+  }
+
+  let text = original;
+  if (useContent) {
+    const bits = channelBits(packet, contentCapacity, resolved.key, 'content');
+
+    if (pairs.length > 0) {
+      const orders = order.groups.map(() => []);
+      pairs.forEach(({ group, first, second }, i) => {
+        orders[group].push(...(bits[i] ? [second, first] : [first, second]));
+      });
+      // Odd declarations stay last
+      order.groups.forEach(({ names }, group) => {
+        names.filter(name => !orders[group].includes(name)).forEach(name => orders[group].push(name));
+      });
+      text = order.rewrite(orders);
+    }
+
+    if (gaps.length > 0) {
+      const moved = commentGaps(text, scanSource(text, language).comments);
+      text = applyEdits(text, moved.map((gap, i) => ({
+        start: gap.start,
+        end: gap.start + gap.length,
+        text: bits[pairs.length + i] ? '  ' : ' '
+      })));
+    }
+  }
+
+  if (resolved.whitespace && packet.length <= whitespaceCapacity) {
+    const slots = trailingSlots(text, scanSource(text, language).lineEnds);
+    const bits = channelBits(packet, slots.length, resolved.key, 'whitespace');
+    text = applyEdits(text, slots.map((slot, i) => ({ ...slot, text: bits[i] ? ' ' : '' })));
+  }
+
+  return Buffer.isBuffer(source) ? Buffer.from(text, 'utf8') : text;
+}
+
+/**
+ * Detect watermark metadata in source code
+ *
+ * The content channel is read with and without declaration order and comment
+ * gaps, so it does not depend on the channel options used for embedding.
+ *
+ * @param {string|Buffer} source - JavaScript, Python or JSON source
+ * @param {Object} options - Watermark options (language, filename, key)
+ * @returns {Object|null} { metadata, channel, confidence }, or null if no watermark is found.
+ *   channel is content or whitespace; metadata may hold only a didHash (see didHash).
+ */
+function detectCodeWatermark(source, options = {}) {
+  const resolved = resolveOptions(options);
+  const text = sourceText(source);
+  const language = resolved.language || detectLanguage(text, resolved.filename);
+  const rank = keyedRank(resolved.key);
+
+  let pairBits = [];
+  try {
+    const { groups } = declarationGroups(text, language, rank);
+    pairBits = declarationPairs(groups, rank).map(({ group, first, second }) =>
+      (groups[group].names.indexOf(first) > groups[group].names.indexOf(second) ? 1 : 0));
+  } catch (error) {
+    // Unparseable declarations carry no bits
+  }
+
+  const scan = scanSource(text, language);
+  const gapBits = commentGaps(text, scan.comments).map(gap => (gap.length === 2 ? 1 : 0));
+
+  for (const bits of [[...pairBits, ...gapBits], gapBits, pairBits]) {
+    const result = bits.length > 0 ? decodeChannel(bits, resolved.key, 'content') : null;
+    if (result) {
+      return { ...result, channel: 'content' };
+    }
+  }
+
+  const trailingBits = trailingSlots(text, scan.lineEnds).map(slot => (slot.end > slot.start ? 1 : 0));
+  const result = decodeChannel(trailingBits, resolved.key, 'whitespace');
+  return result ? { ...result, channel: 'whitespace' } : null;
+}
+
+module.exports = {
+  embedCodeWatermark,
+  detectCodeWatermark,
+  didHash
+};
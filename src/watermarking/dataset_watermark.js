@@ -0,0 +1,639 @@
+/**
+ * Dataset Watermark Embedding and Detection
+ *
+ * Embeds a keyed fingerprint into tables (CSV, JSON lines or row objects, see
+ * table_codec.js) through two channels:
+ *
+ * - Numeric cells: the parity of the last decimal place of selected cells in
+ *   low-significance numeric columns. A column is only marked when one unit of
+ *   its last place is within maxDistortion of its standard deviation, each
+ *   marked cell moves by exactly one unit, and the moves are balanced in
+ *   direction so the column mean is kept. Integer columns (identifiers, keys,
+ *   counts) are only marked when named in the columns option.
+ * - Duplicate rows: rows sharing an identity are ordered by a keyed rank,
+ *   ascending or descending, which carries one more bit per group.
+ *
+ * Which cells and groups carry which payload bit follows from a keyed hash of
+ * the row identity (the identifier columns, or the non-numeric values and the
+ * leading digits of the numeric ones) rather than from row positions, so the
+ * mark is still found in subsets, reordered or shuffled copies. A share of the
+ * votes carries the payload length; the rest carry the payload (CBOR with its
+ * CRC-32). Each bit gets many votes, decided by majority.
+ *
+ * Tables too small for the metadata carry only its DID, or a 64-bit hash of
+ * the DID (see didHash). For leak tracing, traceDatasetWatermark scores the
+ * table against the metadata each licensee received, which works on copies too
+ * small to decode.
+ */
+
+const crypto = require('crypto');
+const { readTable, writeTable, setCell } = require('./table_codec');
+const { encodePayload, decodePayload, didHash, toBits, softToBytes, keyedRandom, requireKey } = require('./watermark_payload');
+
+const LENGTH_BITS = 16;
+// One vote in HEADER_SHARE carries a bit of the payload length
+const HEADER_SHARE = 8;
+// Marked cells stay within their block of COARSE_STEP units, which identifies rows
+const COARSE_STEP = 100;
+// Trace score (standard deviations above chance) for a licensee match
+const MATCH_SCORE = 5;
+// Margin, in votes per bit, over the expected number of votes for every bit to get one
+// (coupon collector); it also covers cells that cannot move within their block
+const COVER_MARGIN = 5;
+
+const NUMBER_PATTERN = /^([+-]?)(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Resolve and check watermark options
+ * @param {Object} options - { key, fraction, maxDistortion, columns, idColumns, format, delimiter }
+ * @returns {Object} Resolved options
+ */
+function resolveOptions(options = {}) {
+  const {
+    key,
+    fraction = 0.5,
+    maxDistortion = 0.01,
+    columns = null,
+    idColumns = null,
+    format,
+    delimiter
+  } = options;
+
+  if (typeof fraction !== 'number' || !(fraction > 0 && fraction <= 1)) {
+    throw new Error('Watermark fraction must be a number in (0, 1]');
+  }
+  if (typeof maxDistortion !== 'number' || !(maxDistortion > 0)) {
+    throw new Error('Watermark maxDistortion must be a positive number');
+  }
+  if (columns !== null && !Array.isArray(columns)) {
+    throw new Error('Watermark columns must be an array of column names');
+  }
+  if (idColumns !== null && (!Array.isArray(idColumns) || idColumns.length === 0)) {
+    throw new Error('Watermark idColumns must be a non-empty array of column names');
+  }
+
+  return { key: requireKey(key), fraction, maxDistortion, columns, idColumns, format, delimiter };
+}
+
+/**
+ * Parse a plain decimal number
+ *
+ * Numbers with exponents, grouping or leading zeros (codes, identifiers) are
+ * not treated as numeric.
+ *
+ * @param {*} value - Cell value
+ * @returns {Object|null} { negative, digits, fraction }, or null
+ */
+function parseNumber(value) {
+  let text = value;
+  if (typeof value === 'number') {
+    text = Number.isFinite(value) ? String(value) : '';
+  } else if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = NUMBER_PATTERN.exec(text);
+  if (!match || (match[2].length > 1 && match[2][0] === '0')) {
+    return null;
+  }
+  return { negative: match[1] === '-', digits: match[2], fraction: match[3] || '' };
+}
+
+/**
+ * Convert a parsed number to integer units of a decimal place
+ * @param {Object} number - Result of parseNumber
+ * @param {number} decimals - Decimal places of a unit
+ * @returns {number} Units
+ */
+function toUnits(number, decimals) {
+  const units = Number(number.digits + number.fraction.padEnd(decimals, '0'));
+  return number.negative ? -units : units;
+}
+
+/**
+ * Format integer units of a decimal place
+ * @param {number} units - Units
+ * @param {number} decimals - Decimal places of a unit
+ * @returns {string} Decimal text
+ */
+function formatUnits(units, decimals) {
+  const digits = String(Math.abs(units)).padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = decimals > 0 ? `.${digits.slice(digits.length - decimals)}` : '';
+  return `${units < 0 ? '-' : ''}${whole}${fraction}`;
+}
+
+/**
+ * Check whether a cell is empty
+ * @param {*} value - Cell value
+ * @returns {boolean} True for missing values
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Find the numeric columns of a table and their precision and spread
+ * @param {Object} table - Table
+ * @param {Object} resolved - Resolved options
+ * @returns {Map<string, Object>} Column name to { decimals, spread, min, max }
+ */
+function analyzeColumns(table, resolved) {
+  const numeric = new Map();
+
+  for (const column of table.columns) {
+    if (resolved.idColumns && resolved.idColumns.includes(column)) continue;
+
+    const numbers = [];
+    let decimals = 0;
+    let isNumeric = true;
+    for (const record of table.records) {
+      const value = record.cells[column];
+      if (isEmpty(value)) continue;
+
+      const number = parseNumber(value);
+      if (!number) {
+        isNumeric = false;
+        break;
+      }
+      decimals = Math.max(decimals, number.fraction.length);
+      numbers.push(number);
+    }
+    if (!isNumeric || numbers.length < 2) continue;
+
+    const units = numbers.map(number => toUnits(number, decimals));
+    if (!units.every(Number.isSafeInteger)) continue;
+
+    const mean = units.reduce((sum, value) => sum + value, 0) / units.length;
+    const variance = units.reduce((sum, value) => sum + (value - mean) ** 2, 0) / units.length;
+    numeric.set(column, {
+      decimals,
+      spread: Math.sqrt(variance),
+      min: units.reduce((min, value) => Math.min(min, value)),
+      max: units.reduce((max, value) => Math.max(max, value))
+    });
+  }
+
+  return numeric;
+}
+
+/**
+ * Select the columns that carry numeric marks
+ * @param {Map<string, Object>} numeric - Result of analyzeColumns
+ * @param {Object} resolved - Resolved options
+ * @param {boolean} strict - Reject requested columns that exceed the distortion limit
+ * @returns {Array<string>} Marked column names
+ */
+function markedColumns(numeric, resolved, strict) {
+  // One unit of the last decimal place, relative to the column spread
+  const withinLimit = column => numeric.get(column).spread > 0 &&
+    1 / numeric.get(column).spread <= resolved.maxDistortion;
+
+  if (!resolved.columns) {
+    return [...numeric.keys()].filter(column => numeric.get(column).decimals > 0 && withinLimit(column));
+  }
+
+  for (const column of resolved.columns) {
+    if (!numeric.has(column)) {
+      throw new Error(`Column ${column} is not a numeric column`);
+    }
+    if (strict && !withinLimit(column)) {
+      throw new Error(`Marking column ${column} would exceed the distortion limit of ${resolved.maxDistortion}`);
+    }
+  }
+  return resolved.columns;
+}
+
+/**
+ * Compute the identity of each row, which does not change when it is marked
+ * @param {Object} table - Table
+ * @param {Map<string, Object>} numeric - Result of analyzeColumns
+ * @param {Object} resolved - Resolved options
+ * @returns {Array<string>} Row identities, by record index
+ */
+function rowIdentities(table, numeric, resolved) {
+  const columns = resolved.idColumns || table.columns;
+
+  return table.records.map(record => JSON.stringify(columns.map(column => {
+    const value = record.cells[column];
+    if (numeric.has(column)) {
+      // Only the digits above the marked block
+      const number = isEmpty(value) ? null : parseNumber(value);
+      return number ? Math.floor(toUnits(number, numeric.get(column).decimals) / COARSE_STEP) : null;
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  })));
+}
+
+/**
+ * Keyed hash of a watermark position
+ * @param {string} key - Watermark key
+ * @param {...string} parts - Position description
+ * @returns {Object} { select, slot, mask }: select is uniform in [0, 1)
+ */
+function keyedHash(key, ...parts) {
+  const digest = crypto.createHmac('sha256', key).update(parts.join('\u0000')).digest();
+  return {
+    select: digest.readUInt32LE(0) / 4294967296,
+    slot: digest.readUInt32LE(4),
+    mask: digest[8] & 1
+  };
+}
+
+/**
+ * Keyed whitening bits, so payloads of similar text do not agree by chance
+ * @param {string} key - Watermark key
+ * @param {string} label - Stream label
+ * @param {number} count - Number of bits
+ * @returns {Array<number>} Bits
+ */
+function whitening(key, label, count) {
+  const random = keyedRandom(key, `dataset:${label}`);
+  return Array.from({ length: count }, () => (random() < 0.5 ? 1 : 0));
+}
+
+/**
+ * Build the whitened length and payload bits of a payload
+ * @param {Buffer} payload - Payload
+ * @param {string} key - Watermark key
+ * @returns {Object} { header, payload } bits
+ */
+function packetBits(payload, key) {
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(payload.length);
+  const header = whitening(key, 'header', LENGTH_BITS);
+  const body = whitening(key, 'payload', payload.length * 8);
+
+  return {
+    header: toBits(length).map((bit, i) => bit ^ header[i]),
+    payload: toBits(payload).map((bit, i) => bit ^ body[i])
+  };
+}
+
+/**
+ * Map a vote slot to the bit it carries
+ * @param {number} slot - Keyed slot number
+ * @param {number} payloadBits - Payload size in bits
+ * @returns {Object} { header, index }
+ */
+function slotBit(slot, payloadBits) {
+  const index = Math.floor(slot / HEADER_SHARE);
+  return slot % HEADER_SHARE === 0
+    ? { header: true, index: index % LENGTH_BITS }
+    : { header: false, index: index % payloadBits };
+}
+
+/**
+ * List the numeric cells selected to carry a bit
+ * @param {Object} table - Table
+ * @param {Array<string>} identities - Row identities
+ * @param {Array<string>} columns - Marked columns
+ * @param {Map<string, Object>} numeric - Result of analyzeColumns
+ * @param {Object} resolved - Resolved options
+ * @returns {Array<Object>} Cells as { record, column, units, slot, mask }
+ */
+function selectCells(table, identities, columns, numeric, resolved) {
+  const cells = [];
+
+  table.records.forEach((record, index) => {
+    for (const column of columns) {
+      const value = record.cells[column];
+      const number = isEmpty(value) ? null : parseNumber(value);
+      if (!number) continue;
+
+      const { select, slot, mask } = keyedHash(resolved.key, 'cell', identities[index], column);
+      if (select < resolved.fraction) {
+        cells.push({ record, column, units: toUnits(number, numeric.get(column).decimals), slot, mask });
+      }
+    }
+  });
+
+  return cells;
+}
+
+/**
+ * Group the rows sharing an identity whose contents all differ
+ * @param {Object} table - Table
+ * @param {Array<string>} identities - Row identities, by record index
+ * @param {string} key - Watermark key
+ * @returns {Array<Object>} Groups as { positions, ranks, slot, mask }, ranks in table order
+ */
+function duplicateGroups(table, identities, key) {
+  const positions = new Map();
+  identities.forEach((identity, position) => {
+    if (!positions.has(identity)) positions.set(identity, []);
+    positions.get(identity).push(position);
+  });
+
+  const groups = [];
+  for (const [identity, members] of positions) {
+    if (members.length < 2) continue;
+
+    const ranks = members.map(position => {
+      const { cells } = table.records[position];
+      return keyedHash(key, 'rank', JSON.stringify(table.columns.map(column => cells[column]))).slot;
+    });
+    if (new Set(ranks).size < ranks.length) continue;
+
+    const { slot, mask } = keyedHash(key, 'order', identity);
+    groups.push({ positions: members, ranks, slot, mask });
+  }
+
+  return groups;
+}
+
+/**
+ * Read the bit carried by the order of a group
+ * @param {Array<number>} ranks - Keyed ranks in table order
+ * @returns {number|null} 0 for ascending, 1 for descending, null otherwise
+ */
+function groupOrder(ranks) {
+  const steps = ranks.slice(1).map((rank, i) => rank > ranks[i]);
+  if (steps.every(Boolean)) return 0;
+  if (!steps.some(Boolean)) return 1;
+  return null;
+}
+
+/**
+ * Move a cell by one unit to set its parity
+ * @param {number} units - Cell value in units
+ * @param {Object} column - Column state { min, max, drift }
+ * @returns {number|null} New value, or null if it cannot move within its block and range
+ */
+function flipParity(units, column) {
+  const offset = units - Math.floor(units / COARSE_STEP) * COARSE_STEP;
+  const candidates = offset === 0 ? [1] : offset === COARSE_STEP - 1 ? [-1] : column.drift > 0 ? [-1, 1] : [1, -1];
+  const step = candidates.find(delta => units + delta >= column.min && units + delta <= column.max);
+  return step === undefined ? null : units + step;
+}
+
+/**
+ * Embed a payload into a table
+ * @param {Object} table - Table (modified in place)
+ * @param {Buffer} payload - Payload
+ * @param {Object} resolved - Resolved options
+ * @returns {Object} { complete, votes }: complete is false if some payload bit has no carrier
+ * @private
+ */
+function embedPayload(table, payload, resolved) {
+  const numeric = analyzeColumns(table, resolved);
+  const columns = markedColumns(numeric, resolved, true);
+  const identities = rowIdentities(table, numeric, resolved);
+
+  const bits = packetBits(payload, resolved.key);
+  const target = slot => {
+    const { header, index } = slotBit(slot, bits.payload.length);
+    return header ? bits.header[index] : bits.payload[index];
+  };
+
+  // Every bit needs at least one carrier
+  const carried = new Set();
+  const cover = slot => {
+    const { header, index } = slotBit(slot, bits.payload.length);
+    carried.add(header ? -1 - index : index);
+  };
+
+  const state = new Map(columns.map(column => [column, { ...numeric.get(column), drift: 0 }]));
+  const cells = selectCells(table, identities, columns, numeric, resolved);
+  const changes = [];
+  for (const cell of cells) {
+    const bit = target(cell.slot) ^ cell.mask;
+    const column = state.get(cell.column);
+    if (Math.abs(cell.units) % 2 === bit) {
+      cover(cell.slot);
+      continue;
+    }
+
+    const units = flipParity(cell.units, column);
+    if (units === null) continue;
+    column.drift += units - cell.units;
+    changes.push({ cell, units });
+    cover(cell.slot);
+  }
+
+  for (const { cell, units } of changes) {
+    const text = formatUnits(units, numeric.get(cell.column).decimals);
+    setCell(cell.record, cell.column, typeof cell.record.cells[cell.column] === 'number' ? Number(text) : text);
+  }
+
+  // Order duplicate rows once their cells are final
+  const records = [...table.records];
+  const groups = duplicateGroups(table, identities, resolved.key);
+  for (const group of groups) {
+    const descending = target(group.slot) ^ group.mask;
+    const order = group.positions
+      .map((position, i) => ({ record: records[position], rank: group.ranks[i] }))
+      .sort((a, b) => descending ? b.rank - a.rank : a.rank - b.rank);
+    group.positions.forEach((position, i) => {
+      table.records[position] = order[i].record;
+    });
+    cover(group.slot);
+  }
+
+  return {
+    complete: carried.size === LENGTH_BITS + bits.payload.length,
+    votes: cells.length + groups.length
+  };
+}
+
+/**
+ * Estimate the votes a payload needs for every bit to get one
+ * @param {Buffer} payload - Payload
+ * @returns {number} Votes
+ */
+function votesNeeded(payload) {
+  const cover = count => count * (Math.log(count) + COVER_MARGIN);
+  return Math.max(HEADER_SHARE * cover(LENGTH_BITS), (HEADER_SHARE / (HEADER_SHARE - 1)) * cover(payload.length * 8));
+}
+
+/**
+ * Embed watermark metadata into a dataset
+ *
+ * If the table cannot carry the full metadata, only its DID is embedded, or
+ * failing that a hash of the DID.
+ *
+ * @param {string|Buffer|Array<Object>} dataset - CSV or JSON lines text, or row objects
+ * @param {Object} metadata - Metadata to embed
+ * @param {Object} options - Watermark options
+ * @param {string} options.key - Secret key of the mark; give each licensee its own key to trace leaks
+ * @param {number} options.fraction - Share of the numeric cells selected to carry a bit (default: 0.5)
+ * @param {number} options.maxDistortion - Largest change of a cell relative to the standard deviation
+ *   of its column (default: 0.01)
+ * @param {Array<string>} options.columns - Numeric columns to mark (default: the columns with
+ *   decimal places within the limit)
+ * @param {Array<string>} options.idColumns - Columns identifying rows, never marked
+ *   (default: the values of all columns)
+ * @param {string} options.format - csv or jsonl for text input (default: detected)
+ * @param {string} options.delimiter - CSV field delimiter (default: ,)
+ * @returns {string|Buffer|Array<Object>} Watermarked dataset, in the form of the input
+ */
+function embedDatasetWatermark(dataset, metadata, options = {}) {
+  const resolved = resolveOptions(options);
+
+  const candidates = metadata && metadata.did
+    ? [metadata, { did: metadata.did }, { didHash: didHash(metadata.did) }]
+    : [metadata];
+  let rows = 0;
+  let votes = 0;
+  let payload;
+  for (const candidate of candidates) {
+    const table = readTable(dataset, resolved);
+    payload = encodePayload(candidate);
+    const result = embedPayload(table, payload, resolved);
+    if (result.complete) {
+      return writeTable(table);
+    }
+    rows = table.records.length;
+    votes = result.votes;
+  }
+
+  if (votes === 0) {
+    throw new Error('Dataset too small for a watermark: no markable numeric columns or duplicate rows');
+  }
+  const needed = Math.ceil((votesNeeded(payload) * rows) / votes);
+  throw new Error(`Dataset too small for a watermark: about ${needed} rows needed, ${rows} found`);
+}
+
+/**
+ * Read the watermark votes of a table
+ * @param {Object} table - Table
+ * @param {Object} resolved - Resolved options
+ * @returns {Object} { cells, rows }: votes as { slot, bit }
+ * @private
+ */
+function readVotes(table, resolved) {
+  const numeric = analyzeColumns(table, resolved);
+  const columns = markedColumns(numeric, resolved, false);
+  const identities = rowIdentities(table, numeric, resolved);
+
+  const cells = selectCells(table, identities, columns, numeric, resolved)
+    .map(({ units, slot, mask }) => ({ slot, bit: (Math.abs(units) % 2) ^ mask }));
+
+  const rows = [];
+  for (const group of duplicateGroups(table, identities, resolved.key)) {
+    const order = groupOrder(group.ranks);
+    if (order !== null) rows.push({ slot: group.slot, bit: order ^ group.mask });
+  }
+
+  return { cells, rows };
+}
+
+/**
+ * Decode a payload by majority over votes
+ * @param {Array<Object>} votes - Votes as { slot, bit }
+ * @param {string} key - Watermark key
+ * @returns {Object|null} { metadata, confidence }, or null
+ * @private
+ */
+function decodeVotes(votes, key) {
+  const headerMask = whitening(key, 'header', LENGTH_BITS);
+  const header = new Float64Array(LENGTH_BITS);
+  for (const { slot, bit } of votes) {
+    const { header: isHeader, index } = slotBit(slot, 8);
+    if (isHeader) header[index] += bit ^ headerMask[index] ? -1 : 1;
+  }
+
+  const length = softToBytes(header).readUInt16BE(0);
+  if (length < 5) {
+    return null;
+  }
+
+  const payloadMask = whitening(key, 'payload', length * 8);
+  const sums = new Float64Array(length * 8);
+  for (const { slot, bit } of votes) {
+    const { header: isHeader, index } = slotBit(slot, sums.length);
+    if (!isHeader) sums[index] += bit ^ payloadMask[index] ? -1 : 1;
+  }
+
+  const metadata = decodePayload(softToBytes(sums));
+  if (!metadata) {
+    return null;
+  }
+
+  const { agreement } = scoreVotes(votes, metadata, key);
+  return { metadata, confidence: Math.max(0, 2 * agreement - 1) };
+}
+
+/**
+ * Compare votes with the bits of some metadata
+ * @param {Array<Object>} votes - Votes as { slot, bit }
+ * @param {Object} metadata - Expected metadata
+ * @param {string} key - Watermark key
+ * @returns {Object} { agreement, score }: the share of matching votes, and its distance from
+ *   chance in standard deviations
+ * @private
+ */
+function scoreVotes(votes, metadata, key) {
+  // Lengths differ in few bits, so only the payload votes are compared
+  const bits = packetBits(encodePayload(metadata), key);
+  let matches = 0;
+  let count = 0;
+  for (const { slot, bit } of votes) {
+    const { header, index } = slotBit(slot, bits.payload.length);
+    if (header) continue;
+    count++;
+    if (bits.payload[index] === bit) matches++;
+  }
+
+  return {
+    agreement: count > 0 ? matches / count : 0,
+    score: count > 0 ? (matches - count / 2) / Math.sqrt(count / 4) : 0
+  };
+}
+
+/**
+ * Detect watermark metadata in a dataset, a subset or a reordered copy of one
+ * @param {string|Buffer|Array<Object>} dataset - Dataset
+ * @param {Object} options - Watermark options (see embedDatasetWatermark)
+ * @returns {Object|null} { metadata, confidence }, or null if no watermark is found.
+ *   confidence is the agreement of the marked cells and rows with the decoded payload.
+ */
+function detectDatasetWatermark(dataset, options = {}) {
+  const resolved = resolveOptions(options);
+  const { cells, rows } = readVotes(readTable(dataset, resolved), resolved);
+
+  // Row order is lost in shuffled copies, so retry with the cells alone
+  return decodeVotes([...cells, ...rows], resolved.key) || decodeVotes(cells, resolved.key);
+}
+
+/**
+ * Score a dataset against the watermark given to each licensee
+ *
+ * Works on copies too small or too altered to decode: each candidate is
+ * scored by how far the agreement of the marked cells and rows with its
+ * payload lies above chance. Copies marked with another key score near zero,
+ * so giving every licensee its own key tells them apart even when they all
+ * received the same metadata.
+ *
+ * @param {string|Buffer|Array<Object>} dataset - Dataset
+ * @param {Array<Object>} candidates - { metadata, key } for each licensee, with the metadata
+ *   exactly as embedded; key defaults to options.key
+ * @param {Object} options - Watermark options (see embedDatasetWatermark)
+ * @returns {Array<Object>} { metadata, key, agreement, score, matched } for each candidate, best first
+ */
+function traceDatasetWatermark(dataset, candidates, options = {}) {
+  const votesByKey = new Map();
+  let table = null;
+
+  return candidates.map(({ metadata, key = options.key }) => {
+    const resolved = resolveOptions({ ...options, key });
+    const candidateKey = resolved.key;
+    table = table || readTable(dataset, resolved);
+    if (!votesByKey.has(candidateKey)) {
+      votesByKey.set(candidateKey, readVotes(table, resolved));
+    }
+    const { cells, rows } = votesByKey.get(candidateKey);
+
+    // Row order counts only where it agrees better than chance
+    const cellScore = scoreVotes(cells, metadata, candidateKey);
+    const allScore = scoreVotes([...cells, ...rows], metadata, candidateKey);
+    const { agreement, score } = allScore.score > cellScore.score ? allScore : cellScore;
+    return { metadata, key: candidateKey, agreement, score, matched: score >= MATCH_SCORE };
+  }).sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  embedDatasetWatermark,
+  detectDatasetWatermark,
+  traceDatasetWatermark
+};
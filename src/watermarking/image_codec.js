@@ -0,0 +1,596 @@
+/**
+ * Image Codecs for Watermarking
+ *
+ * Pure JavaScript PNG, BMP and JPEG decoding and encoding, so image watermarks
+ * can be applied without native image libraries. Images are handled as raw 8-bit
+ * pixel data:
+ *
+ *   { width, height, channels, data }
+ *
+ * where channels is 3 (RGB) or 4 (RGBA) and data holds the rows top to bottom.
+ *
+ * PNG: all color types and bit depths (16-bit samples are reduced to 8 bits),
+ * palette and tRNS transparency, Adam7 interlacing. Encoded as 8-bit RGB/RGBA.
+ * BMP: 1/4/8-bit palette, 16/24/32-bit (with bit fields), bottom-up and
+ * top-down rows. Encoded as 24-bit RGB or 32-bit RGBA (BITMAPV4HEADER).
+ * JPEG: baseline and extended sequential files (see jpeg_codec.js), decoded to
+ * RGB. Encoded as baseline JFIF at a given quality, without alpha.
+ */
+
+const zlib = require('zlib');
+const { crc32 } = require('./watermark_payload');
+const { decodeJPEG, encodeJPEG, isJPEG } = require('./jpeg_codec');
+
+/**
+ * Supported image container formats
+ */
+const IMAGE_FORMATS = {
+  PNG: 'png',
+  BMP: 'bmp',
+  JPEG: 'jpeg',
+  RAW: 'raw'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel of each PNG color type
+const PNG_COLOR_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [x offset, y offset, x step, y step]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+/**
+ * Detect the container format of an encoded image
+ * @param {Buffer} buffer - Encoded image
+ * @returns {string|null} Format (from IMAGE_FORMATS), or null if not recognized
+ */
+function detectImageFormat(buffer) {
+  if (!Buffer.isBuffer(buffer)) {
+    return null;
+  }
+  if (buffer.length >= 8 && buffer.slice(0, 8).equals(PNG_SIGNATURE)) {
+    return IMAGE_FORMATS.PNG;
+  }
+  if (buffer.length >= 26 && buffer[0] === 0x42 && buffer[1] === 0x4d) {
+    return IMAGE_FORMATS.BMP;
+  }
+  if (isJPEG(buffer)) {
+    return IMAGE_FORMATS.JPEG;
+  }
+  return null;
+}
+
+/**
+ * Paeth predictor (PNG filter type 4)
+ * @param {number} a - Left
+ * @param {number} b - Above
+ * @param {number} c - Upper left
+ * @returns {number} Predicted value
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Decode a PNG image
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {Object} { width, height, channels, data }
+ */
+function decodePNG(buffer) {
+  if (detectImageFormat(buffer) !== IMAGE_FORMATS.PNG) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw new Error(`Truncated PNG chunk ${type}`);
+    }
+
+    const data = buffer.slice(offset + 8, offset + 8 + length);
+    if (crc32(buffer.slice(offset + 4, offset + 8 + length)) !== buffer.readUInt32BE(offset + 8 + length)) {
+      throw new Error(`PNG chunk ${type} has a bad CRC`);
+    }
+
+    switch (type) {
+      case 'IHDR':
+        header = {
+          width: data.readUInt32BE(0),
+          height: data.readUInt32BE(4),
+          bitDepth: data[8],
+          colorType: data[9],
+          interlace: data[12]
+        };
+        break;
+
+      case 'PLTE':
+        palette = data;
+        break;
+
+      case 'tRNS':
+        transparency = data;
+        break;
+
+      case 'IDAT':
+        idat.push(data);
+        break;
+    }
+
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  if (!header) {
+    throw new Error('PNG image has no IHDR chunk');
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const samples = PNG_COLOR_CHANNELS[colorType];
+  if (!samples || ![1, 2, 4, 8, 16].includes(bitDepth) || width === 0 || height === 0) {
+    throw new Error(`Unsupported PNG format: color type ${colorType}, bit depth ${bitDepth}`);
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('Palette PNG image has no PLTE chunk');
+  }
+
+  const hasAlpha = colorType === 4 || colorType === 6 || transparency !== null;
+  const channels = hasAlpha ? 4 : 3;
+  const data = Buffer.alloc(width * height * channels);
+  const inflated = zlib.inflateSync(Buffer.concat(idat));
+
+  const bitsPerPixel = samples * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << bitDepth) - 1;
+  const passes = interlace ? ADAM7_PASSES : [[0, 0, 1, 1]];
+
+  // Raw sample of pixel x in an unfiltered scanline
+  const readSample = (line, x, sample) => {
+    const index = x * samples + sample;
+    if (bitDepth === 8) return line[index];
+    if (bitDepth === 16) return line.readUInt16BE(index * 2);
+    const bit = index * bitDepth;
+    return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+  };
+  const to8Bit = value => Math.round(value * 255 / maxSample);
+
+  let position = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const stride = Math.ceil(passWidth * bitsPerPixel / 8);
+    let previous = Buffer.alloc(stride);
+
+    for (let row = 0; row < passHeight; row++) {
+      if (position + 1 + stride > inflated.length) {
+        throw new Error('Truncated PNG image data');
+      }
+
+      const filter = inflated[position];
+      const line = Buffer.from(inflated.slice(position + 1, position + 1 + stride));
+      position += 1 + stride;
+
+      for (let i = 0; i < stride; i++) {
+        const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+        const up = previous[i];
+        const upperLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+        switch (filter) {
+          // None
+          case 0: break;
+          // Sub
+          case 1: line[i] = (line[i] + left) & 0xff; break;
+          // Up
+          case 2: line[i] = (line[i] + up) & 0xff; break;
+          // Average
+          case 3: line[i] = (line[i] + ((left + up) >> 1)) & 0xff; break;
+          // Paeth
+          case 4: line[i] = (line[i] + paeth(left, up, upperLeft)) & 0xff; break;
+          default:
+            throw new Error(`Invalid PNG filter type: ${filter}`);
+        }
+      }
+
+      const y = y0 + row * dy;
+      for (let column = 0; column < passWidth; column++) {
+        const target = (y * width + x0 + column * dx) * channels;
+        let rgba;
+
+        switch (colorType) {
+          // Grayscale, with an optional transparent gray level
+          case 0: {
+            const gray = readSample(line, column, 0);
+            const value = to8Bit(gray);
+            const transparent = transparency && transparency.readUInt16BE(0) === gray;
+            rgba = [value, value, value, transparent ? 0 : 255];
+            break;
+          }
+          // RGB, with an optional transparent color
+          case 2: {
+            const raw = [0, 1, 2].map(sample => readSample(line, column, sample));
+            const transparent = transparency &&
+              raw.every((value, sample) => transparency.readUInt16BE(sample * 2) === value);
+            rgba = [...raw.map(to8Bit), transparent ? 0 : 255];
+            break;
+          }
+          // Palette index, with optional palette alpha
+          case 3: {
+            const index = readSample(line, column, 0);
+            if (index * 3 + 2 >= palette.length) {
+              throw new Error(`PNG palette index out of range: ${index}`);
+            }
+            const alpha = transparency && index < transparency.length ? transparency[index] : 255;
+            rgba = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], alpha];
+            break;
+          }
+          // Grayscale with alpha
+          case 4: {
+            const value = to8Bit(readSample(line, column, 0));
+            rgba = [value, value, value, to8Bit(readSample(line, column, 1))];
+            break;
+          }
+          // RGBA
+          default:
+            rgba = [0, 1, 2, 3].map(sample => to8Bit(readSample(line, column, sample)));
+        }
+
+        for (let channel = 0; channel < channels; channel++) {
+          data[target + channel] = rgba[channel];
+        }
+      }
+
+      previous = line;
+    }
+  }
+
+  return { width, height, channels, data };
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk bytes
+ */
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.slice(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * Encode an image as an 8-bit RGB or RGBA PNG
+ * @param {Object} image - { width, height, channels, data }
+ * @returns {Buffer} PNG file contents
+ */
+function encodePNG(image) {
+  const { width, height, channels, data } = validateImage(image);
+  const stride = width * channels;
+
+  // Choose the filter with the smallest sum of absolute residuals per row
+  const filtered = Buffer.alloc(height * (stride + 1));
+  const candidate = Buffer.alloc(stride);
+  const best = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const line = data.slice(y * stride, (y + 1) * stride);
+    const previous = y > 0 ? data.slice((y - 1) * stride, y * stride) : null;
+    let bestFilter = 0;
+    let bestScore = Infinity;
+
+    for (let filter = 0; filter <= 4; filter++) {
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const left = i >= channels ? line[i - channels] : 0;
+        const up = previous ? previous[i] : 0;
+        const upperLeft = previous && i >= channels ? previous[i - channels] : 0;
+        let predicted = 0;
+        if (filter === 1) predicted = left;
+        else if (filter === 2) predicted = up;
+        else if (filter === 3) predicted = (left + up) >> 1;
+        else if (filter === 4) predicted = paeth(left, up, upperLeft);
+
+        const value = (line[i] - predicted) & 0xff;
+        candidate[i] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+        candidate.copy(best);
+      }
+    }
+
+    filtered[y * (stride + 1)] = bestFilter;
+    best.copy(filtered, y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = channels === 4 ? 6 : 2;
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(filtered)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Decode a BMP image
+ * @param {Buffer} buffer - BMP file contents
+ * @returns {Object} { width, height, channels, data }
+ */
+function decodeBMP(buffer) {
+  if (detectImageFormat(buffer) !== IMAGE_FORMATS.BMP) {
+    throw new Error('Not a BMP image');
+  }
+
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  const core = headerSize === 12;
+  if ((!core && headerSize < 40) || 14 + headerSize > buffer.length) {
+    throw new Error('Truncated BMP header');
+  }
+
+  const width = core ? buffer.readUInt16LE(18) : buffer.readInt32LE(18);
+  const rawHeight = core ? buffer.readInt16LE(20) : buffer.readInt32LE(22);
+  const bitCount = core ? buffer.readUInt16LE(24) : buffer.readUInt16LE(28);
+  const compression = core ? 0 : buffer.readUInt32LE(30);
+  const topDown = rawHeight < 0;
+  const height = Math.abs(rawHeight);
+
+  if (width <= 0 || height === 0) {
+    throw new Error('Invalid BMP dimensions');
+  }
+  if (![0, 3, 6].includes(compression)) {
+    throw new Error(`Unsupported BMP compression: ${compression}`);
+  }
+
+  // Channel masks of 16 and 32-bit images
+  let masks = null;
+  if (bitCount === 16 || bitCount === 32) {
+    if (compression === 3 || compression === 6) {
+      const maskOffset = 14 + 40;
+      const hasAlphaMask = compression === 6 || headerSize >= 56;
+      if (maskOffset + (hasAlphaMask ? 16 : 12) > buffer.length) {
+        throw new Error('Truncated BMP header');
+      }
+      masks = [0, 1, 2].map(i => buffer.readUInt32LE(maskOffset + i * 4));
+      masks.push(hasAlphaMask ? buffer.readUInt32LE(maskOffset + 12) : 0);
+    } else if (bitCount === 16) {
+      masks = [0x7c00, 0x03e0, 0x001f, 0];
+    } else {
+      masks = [0x00ff0000, 0x0000ff00, 0x000000ff, 0];
+    }
+  }
+
+  // Color table of palette images
+  let palette = null;
+  if (bitCount <= 8) {
+    const entrySize = core ? 3 : 4;
+    const colorsUsed = core ? 0 : buffer.readUInt32LE(46);
+    const count = colorsUsed || (1 << bitCount);
+    const start = 14 + headerSize;
+    if (start + count * entrySize > buffer.length) {
+      throw new Error('Truncated BMP color table');
+    }
+    palette = [];
+    for (let i = 0; i < count; i++) {
+      const entry = start + i * entrySize;
+      palette.push([buffer[entry + 2], buffer[entry + 1], buffer[entry]]);
+    }
+  } else if (![16, 24, 32].includes(bitCount)) {
+    throw new Error(`Unsupported BMP bit depth: ${bitCount}`);
+  }
+
+  // Extract a channel with a bit mask and scale it to 8 bits
+  const maskShift = mask => {
+    let shift = 0;
+    while (mask && !(mask & (1 << shift))) shift++;
+    return shift;
+  };
+  const channelReaders = masks && masks.map(mask => {
+    const shift = maskShift(mask);
+    const max = mask >>> shift;
+    return value => max ? Math.round(((value & mask) >>> shift) * 255 / max) : 255;
+  });
+
+  const hasAlpha = masks !== null && masks[3] !== 0;
+  const channels = hasAlpha ? 4 : 3;
+  const stride = Math.floor((bitCount * width + 31) / 32) * 4;
+  if (dataOffset + stride * height > buffer.length) {
+    throw new Error('Truncated BMP image data');
+  }
+
+  const data = Buffer.alloc(width * height * channels);
+  for (let row = 0; row < height; row++) {
+    const y = topDown ? row : height - 1 - row;
+    const line = dataOffset + row * stride;
+
+    for (let x = 0; x < width; x++) {
+      let rgba;
+      if (palette) {
+        const bit = x * bitCount;
+        const index = (buffer[line + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+        rgba = [...(palette[index] || [0, 0, 0]), 255];
+      } else if (bitCount === 24) {
+        const pixel = line + x * 3;
+        rgba = [buffer[pixel + 2], buffer[pixel + 1], buffer[pixel], 255];
+      } else {
+        const value = bitCount === 16 ? buffer.readUInt16LE(line + x * 2) : buffer.readUInt32LE(line + x * 4);
+        rgba = channelReaders.map(read => read(value));
+      }
+
+      const target = (y * width + x) * channels;
+      for (let channel = 0; channel < channels; channel++) {
+        data[target + channel] = rgba[channel];
+      }
+    }
+  }
+
+  return { width, height, channels, data };
+}
+
+/**
+ * Encode an image as a 24-bit (RGB) or 32-bit (RGBA) BMP
+ * @param {Object} image - { width, height, channels, data }
+ * @returns {Buffer} BMP file contents
+ */
+function encodeBMP(image) {
+  const { width, height, channels, data } = validateImage(image);
+  const alpha = channels === 4;
+  const bitCount = alpha ? 32 : 24;
+  const headerSize = alpha ? 108 : 40;
+  const stride = Math.floor((bitCount * width + 31) / 32) * 4;
+  const dataOffset = 14 + headerSize;
+  const buffer = Buffer.alloc(dataOffset + stride * height);
+
+  buffer.write('BM', 0, 'latin1');
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(dataOffset, 10);
+  buffer.writeUInt32LE(headerSize, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(height, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(bitCount, 28);
+  buffer.writeUInt32LE(alpha ? 3 : 0, 30);
+  buffer.writeUInt32LE(stride * height, 34);
+  buffer.writeInt32LE(2835, 38);
+  buffer.writeInt32LE(2835, 42);
+
+  if (alpha) {
+    // BITMAPV4HEADER bit fields and sRGB color space
+    buffer.writeUInt32LE(0x00ff0000, 54);
+    buffer.writeUInt32LE(0x0000ff00, 58);
+    buffer.writeUInt32LE(0x000000ff, 62);
+    buffer.writeUInt32LE(0xff000000, 66);
+    buffer.writeUInt32LE(0x73524742, 70);
+  }
+
+  for (let y = 0; y < height; y++) {
+    const line = dataOffset + (height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * channels;
+      const target = line + x * (bitCount / 8);
+      buffer[target] = data[source + 2];
+      buffer[target + 1] = data[source + 1];
+      buffer[target + 2] = data[source];
+      if (alpha) {
+        buffer[target + 3] = data[source + 3];
+      }
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Check the shape of a raw image
+ * @param {Object} image - { width, height, channels, data }
+ * @returns {Object} The image
+ */
+function validateImage(image) {
+  const { width, height, channels, data } = image || {};
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+    throw new Error('Image width and height must be positive integers');
+  }
+  if (channels !== 3 && channels !== 4) {
+    throw new Error('Images must have 3 (RGB) or 4 (RGBA) channels');
+  }
+  if (!Buffer.isBuffer(data) && !(data instanceof Uint8Array)) {
+    throw new Error('Image data must be a Buffer');
+  }
+  if (data.length !== width * height * channels) {
+    throw new Error(`Image data must be ${width * height * channels} bytes for ${width}x${height}x${channels}`);
+  }
+  return image;
+}
+
+/**
+ * Decode a PNG, BMP or JPEG image
+ * @param {Buffer} buffer - Encoded image
+ * @returns {Object} { format, width, height, channels, data }
+ */
+function decodeImage(buffer) {
+  switch (detectImageFormat(buffer)) {
+    case IMAGE_FORMATS.PNG:
+      return { format: IMAGE_FORMATS.PNG, ...decodePNG(buffer) };
+
+    case IMAGE_FORMATS.BMP:
+      return { format: IMAGE_FORMATS.BMP, ...decodeBMP(buffer) };
+
+    case IMAGE_FORMATS.JPEG:
+      return { format: IMAGE_FORMATS.JPEG, ...decodeJPEG(buffer) };
+
+    default:
+      throw new Error('Unsupported image format (expected PNG, BMP or JPEG)');
+  }
+}
+
+/**
+ * Encode an image
+ * @param {Object} image - { width, height, channels, data }
+ * @param {string} format - Format (from IMAGE_FORMATS)
+ * @param {Object} options - Format options (quality for JPEG, 1 to 100)
+ * @returns {Buffer} Encoded image
+ */
+function encodeImage(image, format, options = {}) {
+  switch (format) {
+    case IMAGE_FORMATS.PNG:
+      return encodePNG(image);
+
+    case IMAGE_FORMATS.BMP:
+      return encodeBMP(image);
+
+    case IMAGE_FORMATS.JPEG:
+      return encodeJPEG(validateImage(image), options);
+
+    default:
+      throw new Error(`Unsupported image format: ${format}`);
+  }
+}
+
+module.exports = {
+  decodeImage,
+  encodeImage,
+  decodePNG,
+  encodePNG,
+  decodeBMP,
+  encodeBMP,
+  decodeJPEG,
+  encodeJPEG,
+  detectImageFormat,
+  validateImage,
+  IMAGE_FORMATS
+};
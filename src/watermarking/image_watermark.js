@@ -0,0 +1,385 @@
+/**
+ * Image Watermark Embedding and Detection
+ *
+ * Embeds watermark metadata into raw RGB/RGBA pixel data (see image_codec.js)
+ * with one of three methods:
+ *
+ * - lsb: least significant bits of the color channels. Invisible and high
+ *   capacity, but destroyed by any lossy re-encoding.
+ * - dct: quantization index modulation (QIM) of low-frequency coefficients of
+ *   the 8x8 DCT of the luminance, the blocks JPEG itself quantizes.
+ * - dwt: QIM of the level-2 detail coefficients of a Haar wavelet transform of
+ *   the luminance.
+ *
+ * The payload (CBOR metadata followed by a CRC-32) is preceded by a repeated
+ * length header and then repeated over all remaining slots. Slots are visited
+ * in a keyed pseudo-random order, so the payload is spread across the whole
+ * image, and each QIM slot uses a keyed dither. Detection accumulates soft
+ * decisions over the repetitions, which lets the dct and dwt modes survive JPEG
+ * re-encoding (jpeg_codec.js) at quality 75 with the default alpha. The alpha
+ * option sets the QIM step (alpha * 255); higher values are more robust and
+ * more visible.
+ * Alpha channels are never modified.
+ */
+
+const { validateImage } = require('./image_codec');
+const { encodePayload, decodePayload, toBits, softToBytes, keyedRandom, requireKey } = require('./watermark_payload');
+
+/**
+ * Supported embedding methods
+ */
+const WATERMARK_METHODS = {
+  LSB: 'lsb',
+  DCT: 'dct',
+  DWT: 'dwt'
+};
+
+/**
+ * Minimum number of copies of the payload for each robustness level
+ */
+const ROBUSTNESS_REPETITIONS = {
+  low: 1,
+  medium: 3,
+  high: 5
+};
+
+const LENGTH_BITS = 16;
+const MAX_HEADER_REPETITIONS = 64;
+
+// Coefficients of the 8x8 DCT carrying watermark bits, as [row, column]
+const DCT_COEFFICIENTS = [[0, 2], [1, 1], [2, 0], [1, 2], [2, 1]];
+
+/**
+ * Build the 8x8 orthonormal DCT basis images of the watermark coefficients
+ * @returns {Array<Float64Array>} One 64-sample basis image per coefficient
+ */
+function dctBasis() {
+  const scale = k => (k === 0 ? Math.sqrt(1 / 8) : Math.sqrt(2 / 8));
+  return DCT_COEFFICIENTS.map(([u, v]) => {
+    const basis = new Float64Array(64);
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        basis[y * 8 + x] = scale(u) * scale(v) *
+          Math.cos(((2 * y + 1) * u * Math.PI) / 16) *
+          Math.cos(((2 * x + 1) * v * Math.PI) / 16);
+      }
+    }
+    return basis;
+  });
+}
+
+/**
+ * Build the 4x4 basis images of the level-2 Haar detail coefficients
+ *
+ * In an orthonormal two-level Haar transform, each 4x4 block contributes one
+ * coefficient to each level-2 subband: the HL2 and LH2 coefficients are the
+ * projections on a left/right and a top/bottom step of +-1/4.
+ *
+ * @returns {Array<Float64Array>} HL2 and LH2 basis images
+ */
+function haarBasis() {
+  const hl = new Float64Array(16);
+  const lh = new Float64Array(16);
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) {
+      hl[y * 4 + x] = x < 2 ? 0.25 : -0.25;
+      lh[y * 4 + x] = y < 2 ? 0.25 : -0.25;
+    }
+  }
+  return [hl, lh];
+}
+
+const TRANSFORMS = {
+  [WATERMARK_METHODS.DCT]: { blockSize: 8, basis: dctBasis() },
+  [WATERMARK_METHODS.DWT]: { blockSize: 4, basis: haarBasis() }
+};
+
+/**
+ * Shuffle the slot indices of an image with the watermark key
+ * @param {number} count - Number of slots
+ * @param {Function} random - Keyed generator
+ * @returns {Uint32Array} Permuted slot indices
+ */
+function keyedPermutation(count, random) {
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    order[i] = i;
+  }
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const swap = order[i];
+    order[i] = order[j];
+    order[j] = swap;
+  }
+  return order;
+}
+
+/**
+ * Access the watermark slots of an image
+ *
+ * A carrier exposes the embedding domain as a flat list of slots. Each slot
+ * yields a soft decision in [-1, 1] (positive for 0, negative for 1) and can be
+ * set to carry a bit.
+ *
+ * @param {Object} image - { width, height, channels, data }; a single channel is luminance
+ * @param {string} method - Embedding method (from WATERMARK_METHODS)
+ * @param {number} step - QIM step for the transform methods
+ * @returns {Object} { count, read(slot, dither), write(slot, bit, dither), toImage() }
+ */
+function createCarrier(image, method, step) {
+  const { width, height, channels, data } = image;
+  const colors = Math.min(3, channels);
+
+  if (method === WATERMARK_METHODS.LSB) {
+    const pixels = Buffer.from(data);
+    const slot = index => Math.floor(index / colors) * channels + (index % colors);
+
+    return {
+      count: width * height * colors,
+      read: (index, dither) => ((pixels[slot(index)] & 1) ^ (dither < 0.5 ? 0 : 1)) ? -1 : 1,
+      write: (index, bit, dither) => {
+        const position = slot(index);
+        pixels[position] = (pixels[position] & 0xfe) | (bit ^ (dither < 0.5 ? 0 : 1));
+      },
+      toImage: () => ({ width, height, channels, data: pixels })
+    };
+  }
+
+  const transform = TRANSFORMS[method];
+  if (!transform) {
+    throw new Error(`Unsupported image watermark method: ${method}`);
+  }
+
+  const { blockSize, basis } = transform;
+  const blocksX = Math.floor(width / blockSize);
+  const blocksY = Math.floor(height / blockSize);
+  const perBlock = basis.length;
+
+  // Luminance, and the luminance change accumulated by writes
+  const luma = new Float64Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const pixel = i * channels;
+    luma[i] = colors === 1
+      ? data[pixel]
+      : 0.299 * data[pixel] + 0.587 * data[pixel + 1] + 0.114 * data[pixel + 2];
+  }
+  const delta = new Float64Array(width * height);
+
+  // Project the luminance of a block on one basis image
+  const coefficient = index => {
+    const block = Math.floor(index / perBlock);
+    const vector = basis[index % perBlock];
+    const left = (block % blocksX) * blockSize;
+    const top = Math.floor(block / blocksX) * blockSize;
+    let sum = 0;
+    for (let y = 0; y < blockSize; y++) {
+      for (let x = 0; x < blockSize; x++) {
+        const pixel = (top + y) * width + left + x;
+        sum += (luma[pixel] + delta[pixel]) * vector[y * blockSize + x];
+      }
+    }
+    return { sum, left, top, vector };
+  };
+
+  return {
+    count: blocksX * blocksY * perBlock,
+    read: (index, dither) => Math.cos((2 * Math.PI * (coefficient(index).sum - dither * step)) / step),
+    write: (index, bit, dither) => {
+      const { sum, left, top, vector } = coefficient(index);
+      const offset = dither * step + (bit * step) / 2;
+      const target = Math.round((sum - offset) / step) * step + offset;
+      for (let y = 0; y < blockSize; y++) {
+        for (let x = 0; x < blockSize; x++) {
+          delta[(top + y) * width + left + x] += (target - sum) * vector[y * blockSize + x];
+        }
+      }
+    },
+    toImage: () => {
+      const pixels = Buffer.from(data);
+      for (let i = 0; i < width * height; i++) {
+        if (delta[i] === 0) continue;
+        for (let channel = 0; channel < colors; channel++) {
+          const position = i * channels + channel;
+          pixels[position] = Math.max(0, Math.min(255, Math.round(data[position] + delta[i])));
+        }
+      }
+      return { width, height, channels, data: pixels };
+    }
+  };
+}
+
+// Slot layout of the last image size, reused across the frames of a video
+let cachedLayout = null;
+
+/**
+ * Get the keyed slot order and dither of a carrier size
+ * @param {number} count - Number of slots
+ * @param {string} method - Embedding method
+ * @param {string} key - Watermark key
+ * @returns {Object} { order, dithers }
+ */
+function slotLayout(count, method, key) {
+  const id = `${key}:${method}:${count}`;
+  if (!cachedLayout || cachedLayout.id !== id) {
+    const order = keyedPermutation(count, keyedRandom(key, `${method}:order`));
+    const dither = keyedRandom(key, `${method}:dither`);
+    const dithers = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      dithers[i] = dither();
+    }
+    cachedLayout = { id, order, dithers };
+  }
+  return cachedLayout;
+}
+
+/**
+ * Open the keyed slot sequence of an image
+ *
+ * Bits written over a range of the sequence repeat cyclically; reading a range
+ * sums the soft decisions of each bit over its copies.
+ *
+ * @param {Object} image - { width, height, channels, data }; a single channel is luminance
+ * @param {Object} options - Watermark options (see embedImageWatermark)
+ * @returns {Object} { count, write(bits, start, end), read(bitCount, start, end), toImage() }
+ */
+function openSlots(image, options = {}) {
+  const { method, alpha, key } = resolveOptions(options);
+  const carrier = createCarrier(image, method, alpha * 255);
+  const { order, dithers } = slotLayout(carrier.count, method, key);
+
+  return {
+    count: carrier.count,
+    write: (bits, start, end) => {
+      for (let i = start; i < end; i++) {
+        carrier.write(order[i], bits[(i - start) % bits.length], dithers[i]);
+      }
+    },
+    read: (bitCount, start, end) => {
+      const sums = new Float64Array(bitCount);
+      const counts = new Uint32Array(bitCount);
+      for (let i = start; i < end; i++) {
+        const bit = (i - start) % bitCount;
+        sums[bit] += carrier.read(order[i], dithers[i]);
+        counts[bit]++;
+      }
+      return { sums, counts };
+    },
+    toImage: carrier.toImage
+  };
+}
+
+/**
+ * Number of copies of the length header for a carrier capacity
+ * @param {number} capacity - Number of slots
+ * @returns {number} Header repetitions
+ */
+function headerRepetitions(capacity) {
+  return Math.max(1, Math.min(MAX_HEADER_REPETITIONS, Math.floor(capacity / (LENGTH_BITS * 16))));
+}
+
+/**
+ * Resolve and check watermark options
+ * @param {Object} options - { method, alpha, robustness, key }
+ * @returns {Object} Resolved options
+ */
+function resolveOptions(options = {}) {
+  const {
+    method = WATERMARK_METHODS.LSB,
+    alpha = 0.1,
+    robustness = 'medium',
+    key
+  } = options;
+
+  if (!Object.values(WATERMARK_METHODS).includes(method)) {
+    throw new Error(`Unsupported image watermark method: ${method}`);
+  }
+  if (typeof alpha !== 'number' || !(alpha > 0 && alpha <= 1)) {
+    throw new Error('Watermark alpha must be a number in (0, 1]');
+  }
+  if (!ROBUSTNESS_REPETITIONS[robustness]) {
+    throw new Error(`Unsupported watermark robustness: ${robustness}`);
+  }
+
+  return { method, alpha, robustness, key: requireKey(key) };
+}
+
+/**
+ * Embed watermark metadata into an image
+ *
+ * If the full metadata does not fit the image at the requested robustness,
+ * only its DID is embedded.
+ *
+ * @param {Object} image - { width, height, channels, data }
+ * @param {Object} metadata - Metadata to embed
+ * @param {Object} options - Watermark options
+ * @param {string} options.method - Embedding method (from WATERMARK_METHODS, default: lsb)
+ * @param {number} options.alpha - Strength of the dct and dwt methods, in (0, 1] (default: 0.1)
+ * @param {string} options.robustness - low, medium or high (default: medium)
+ * @param {string} options.key - Secret key of the slot order and dither
+ * @returns {Object} Watermarked image, as a copy
+ */
+function embedImageWatermark(image, metadata, options = {}) {
+  const { method, robustness } = resolveOptions(options);
+  const slots = openSlots(validateImage(image), options);
+
+  const headerSlots = headerRepetitions(slots.count) * LENGTH_BITS;
+  const minimumCopies = ROBUSTNESS_REPETITIONS[robustness];
+
+  const candidates = metadata && metadata.did && Object.keys(metadata).length > 1
+    ? [metadata, { did: metadata.did }]
+    : [metadata];
+  const payload = candidates
+    .map(encodePayload)
+    .find(bytes => bytes.length < 2 ** LENGTH_BITS &&
+      slots.count - headerSlots >= bytes.length * 8 * minimumCopies);
+
+  if (!payload) {
+    throw new Error(`Image too small for a ${robustness} robustness ${method} watermark`);
+  }
+
+  slots.write(toBits(Buffer.from([payload.length >> 8, payload.length & 0xff])), 0, headerSlots);
+  slots.write(toBits(payload), headerSlots, slots.count);
+  return slots.toImage();
+}
+
+/**
+ * Detect watermark metadata in an image
+ * @param {Object} image - { width, height, channels, data }
+ * @param {Object} options - Watermark options (see embedImageWatermark)
+ * @returns {Object|null} { metadata, confidence } or null if no watermark is found
+ */
+function detectImageWatermark(image, options = {}) {
+  const slots = openSlots(validateImage(image), options);
+
+  const headerSlots = headerRepetitions(slots.count) * LENGTH_BITS;
+  if (slots.count <= headerSlots) {
+    return null;
+  }
+
+  const header = softToBytes(slots.read(LENGTH_BITS, 0, headerSlots).sums);
+  const length = header.readUInt16BE(0);
+  if (length <= 4 || length * 8 > slots.count - headerSlots) {
+    return null;
+  }
+
+  const { sums, counts } = slots.read(length * 8, headerSlots, slots.count);
+  const metadata = decodePayload(softToBytes(sums));
+  if (metadata === null) {
+    return null;
+  }
+
+  let confidence = 0;
+  sums.forEach((sum, i) => {
+    confidence += Math.abs(sum) / counts[i];
+  });
+
+  return { metadata, confidence: confidence / sums.length };
+}
+
+module.exports = {
+  embedImageWatermark,
+  detectImageWatermark,
+  openSlots,
+  WATERMARK_METHODS,
+  ROBUSTNESS_REPETITIONS
+};
@@ -0,0 +1,829 @@
+/**
+ * JPEG Codec for Watermarking
+ *
+ * Pure JavaScript baseline JPEG (ITU-T T.81) decoding and encoding, so image
+ * watermarks can be applied to JPEG files and measured against real lossy
+ * re-encoding without native image libraries.
+ *
+ * Decoding: baseline and extended sequential Huffman files with 8-bit samples,
+ * one (grayscale) or three (YCbCr, or RGB with an Adobe marker) components, any
+ * sampling factors and restart intervals. Chroma is upsampled by replication.
+ * Progressive and arithmetic-coded files are rejected, as are frames larger than
+ * MAX_JPEG_PIXELS and scans that end before their last block.
+ * Encoding: JFIF YCbCr with 4:2:0 chroma subsampling, the Annex K quantization
+ * tables scaled to a quality as libjpeg does, and the Annex K Huffman tables.
+ * JPEG has no alpha channel; it is dropped when encoding RGBA pixels.
+ */
+
+// Largest frame decoded (width x height); about 200 MB of sample planes and pixels
+const MAX_JPEG_PIXELS = 1 << 25;
+
+// Natural (row-major) index of each coefficient in zigzag order
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// Quantization tables of ITU-T T.81 Annex K.1, in natural order
+const LUMINANCE_QUANTIZATION = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99
+];
+
+const CHROMINANCE_QUANTIZATION = [
+  17, 18, 24, 47, 99, 99, 99, 99,
+  18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99,
+  47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99
+];
+
+// Huffman tables of ITU-T T.81 Annex K.3: code counts per length (1 to 16) and symbols
+const HUFFMAN_TABLES = {
+  dcLuminance: {
+    counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+    symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+  },
+  dcChrominance: {
+    counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+    symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+  },
+  acLuminance: {
+    counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+    symbols: [
+      0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+      0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+      0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+      0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+      0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+      0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+      0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+      0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+      0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+      0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+      0xf9, 0xfa
+    ]
+  },
+  acChrominance: {
+    counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    symbols: [
+      0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+      0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+      0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+      0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+      0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+      0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+      0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+      0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+      0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+      0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+      0xf9, 0xfa
+    ]
+  }
+};
+
+// DCT basis: COSINES[x * 8 + u] = c(u) * cos((2x + 1) u pi / 16)
+const COSINES = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    COSINES[x * 8 + u] = (u === 0 ? Math.sqrt(1 / 8) : Math.sqrt(2 / 8)) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+/**
+ * Check whether a buffer holds a JPEG file (starts with an SOI marker)
+ * @param {Buffer} buffer - Encoded image
+ * @returns {boolean} True for JPEG files
+ */
+function isJPEG(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+}
+
+/**
+ * Scale an Annex K quantization table to a quality, as libjpeg does
+ * @param {Array<number>} table - Base table in natural order
+ * @param {number} quality - Quality, 1 to 100
+ * @returns {Array<number>} Scaled table in natural order (baseline values, 1 to 255)
+ */
+function scaleQuantization(table, quality) {
+  const scale = quality < 50 ? Math.floor(5000 / quality) : 200 - 2 * quality;
+  return table.map(value => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+}
+
+/**
+ * Two-dimensional DCT of an 8x8 block
+ * @param {Float64Array} block - 64 samples (level shifted), natural order
+ * @returns {Float64Array} 64 coefficients, natural order
+ */
+function forwardDCT(block) {
+  const rows = new Float64Array(64);
+  for (let y = 0; y < 8; y++) {
+    for (let v = 0; v < 8; v++) {
+      let sum = 0;
+      for (let x = 0; x < 8; x++) sum += block[y * 8 + x] * COSINES[x * 8 + v];
+      rows[y * 8 + v] = sum;
+    }
+  }
+
+  const coefficients = new Float64Array(64);
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < 8; y++) sum += rows[y * 8 + v] * COSINES[y * 8 + u];
+      coefficients[u * 8 + v] = sum;
+    }
+  }
+  return coefficients;
+}
+
+/**
+ * Two-dimensional inverse DCT of an 8x8 block
+ * @param {Float64Array} coefficients - 64 coefficients, natural order
+ * @returns {Float64Array} 64 samples (level shifted), natural order
+ */
+function inverseDCT(coefficients) {
+  const columns = new Float64Array(64);
+  for (let v = 0; v < 8; v++) {
+    for (let y = 0; y < 8; y++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) sum += coefficients[u * 8 + v] * COSINES[y * 8 + u];
+      columns[y * 8 + v] = sum;
+    }
+  }
+
+  const block = new Float64Array(64);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) sum += columns[y * 8 + v] * COSINES[x * 8 + v];
+      block[y * 8 + x] = sum;
+    }
+  }
+  return block;
+}
+
+/**
+ * Build the canonical Huffman codes of a table
+ * @param {Object} table - { counts, symbols }
+ * @returns {Array<Object>} { symbol, code, length } in symbol order of the table
+ */
+function huffmanCodes({ counts, symbols }) {
+  const codes = [];
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      codes.push({ symbol: symbols[index++], code: code++, length });
+    }
+    code <<= 1;
+  }
+  return codes;
+}
+
+/**
+ * Number of bits of the magnitude category of a coefficient
+ * @param {number} value - Coefficient
+ * @returns {number} Category (0 for zero)
+ */
+function magnitudeCategory(value) {
+  let magnitude = Math.abs(value);
+  let category = 0;
+  while (magnitude > 0) {
+    category++;
+    magnitude >>= 1;
+  }
+  return category;
+}
+
+/**
+ * Writes entropy-coded bits with 0xFF byte stuffing
+ */
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  /**
+   * @param {number} value - Bits, most significant first
+   * @param {number} length - Number of bits
+   */
+  write(value, length) {
+    for (let bit = length - 1; bit >= 0; bit--) {
+      this.buffer = (this.buffer << 1) | ((value >> bit) & 1);
+      if (++this.count === 8) {
+        this._emit();
+      }
+    }
+  }
+
+  /**
+   * Pad the last byte with 1 bits
+   */
+  flush() {
+    if (this.count > 0) {
+      this.write(0xff, 8 - this.count);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _emit() {
+    this.bytes.push(this.buffer);
+    if (this.buffer === 0xff) {
+      this.bytes.push(0x00);
+    }
+    this.buffer = 0;
+    this.count = 0;
+  }
+}
+
+/**
+ * Build a marker segment
+ * @param {number} marker - Marker code (second byte)
+ * @param {Array<number>|Buffer} payload - Segment payload
+ * @returns {Buffer} Segment
+ */
+function segment(marker, payload) {
+  const header = Buffer.from([0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]);
+  return Buffer.concat([header, Buffer.from(payload)]);
+}
+
+/**
+ * Encode an image as a baseline JFIF JPEG with 4:2:0 chroma subsampling
+ * @param {Object} image - { width, height, channels, data } with 3 or 4 channels
+ * @param {Object} options - Encoding options
+ * @param {number} options.quality - Quality, 1 to 100 (default 75)
+ * @param {number} options.restartInterval - MCUs between restart markers (default 0, none)
+ * @returns {Buffer} JPEG file contents
+ */
+function encodeJPEG(image, { quality = 75, restartInterval = 0 } = {}) {
+  const { width, height, channels, data } = image;
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new Error('JPEG quality must be an integer from 1 to 100');
+  }
+  if (width > 0xffff || height > 0xffff) {
+    throw new Error('JPEG images are limited to 65535x65535 pixels');
+  }
+
+  const quantization = [
+    scaleQuantization(LUMINANCE_QUANTIZATION, quality),
+    scaleQuantization(CHROMINANCE_QUANTIZATION, quality)
+  ];
+  const codeTable = table => {
+    const lookup = new Map();
+    for (const { symbol, code, length } of huffmanCodes(table)) lookup.set(symbol, { code, length });
+    return lookup;
+  };
+  const dcCodes = [codeTable(HUFFMAN_TABLES.dcLuminance), codeTable(HUFFMAN_TABLES.dcChrominance)];
+  const acCodes = [codeTable(HUFFMAN_TABLES.acLuminance), codeTable(HUFFMAN_TABLES.acChrominance)];
+
+  // Sample of a component at a pixel, replicating the edges into the padding
+  const sample = (x, y, component) => {
+    const p = (Math.min(y, height - 1) * width + Math.min(x, width - 1)) * channels;
+    const [r, g, b] = [data[p], data[p + 1], data[p + 2]];
+    switch (component) {
+      case 0: return 0.299 * r + 0.587 * g + 0.114 * b;
+      case 1: return -0.168736 * r - 0.331264 * g + 0.5 * b + 128;
+      default: return 0.5 * r - 0.418688 * g - 0.081312 * b + 128;
+    }
+  };
+
+  const writer = new BitWriter();
+  const predictions = [0, 0, 0];
+
+  const encodeBlock = (block, component) => {
+    const table = component === 0 ? 0 : 1;
+    const coefficients = forwardDCT(block);
+    // Baseline Huffman tables code AC magnitudes up to 10 bits
+    const quantized = ZIGZAG.map((natural, k) => {
+      const value = Math.round(coefficients[natural] / quantization[table][natural]);
+      return k === 0 ? value : Math.max(-1023, Math.min(1023, value));
+    });
+
+    const difference = quantized[0] - predictions[component];
+    predictions[component] = quantized[0];
+    const category = magnitudeCategory(difference);
+    const dc = dcCodes[table].get(category);
+    writer.write(dc.code, dc.length);
+    if (category > 0) {
+      writer.write(difference < 0 ? difference + (1 << category) - 1 : difference, category);
+    }
+
+    let run = 0;
+    for (let k = 1; k < 64; k++) {
+      const value = quantized[k];
+      if (value === 0) {
+        run++;
+        continue;
+      }
+      while (run > 15) {
+        const zeroRun = acCodes[table].get(0xf0);
+        writer.write(zeroRun.code, zeroRun.length);
+        run -= 16;
+      }
+      const size = magnitudeCategory(value);
+      const ac = acCodes[table].get((run << 4) | size);
+      writer.write(ac.code, ac.length);
+      writer.write(value < 0 ? value + (1 << size) - 1 : value, size);
+      run = 0;
+    }
+    if (run > 0) {
+      const endOfBlock = acCodes[table].get(0x00);
+      writer.write(endOfBlock.code, endOfBlock.length);
+    }
+  };
+
+  const mcusX = Math.ceil(width / 16);
+  const mcusY = Math.ceil(height / 16);
+  let restarts = 0;
+  const block = new Float64Array(64);
+
+  for (let mcu = 0; mcu < mcusX * mcusY; mcu++) {
+    if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+      writer.flush();
+      writer.bytes.push(0xff, 0xd0 + (restarts++ & 7));
+      predictions.fill(0);
+    }
+
+    const left = (mcu % mcusX) * 16;
+    const top = Math.floor(mcu / mcusX) * 16;
+
+    // Four luminance blocks, then one averaged block of each chroma component
+    for (let index = 0; index < 4; index++) {
+      const blockLeft = left + (index & 1) * 8;
+      const blockTop = top + (index >> 1) * 8;
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) block[y * 8 + x] = sample(blockLeft + x, blockTop + y, 0) - 128;
+      }
+      encodeBlock(block, 0);
+    }
+    for (const component of [1, 2]) {
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          const sx = left + 2 * x;
+          const sy = top + 2 * y;
+          block[y * 8 + x] = (sample(sx, sy, component) + sample(sx + 1, sy, component) +
+            sample(sx, sy + 1, component) + sample(sx + 1, sy + 1, component)) / 4 - 128;
+        }
+      }
+      encodeBlock(block, component);
+    }
+  }
+  writer.flush();
+
+  const huffmanSegment = (tableClass, id, table) => [(tableClass << 4) | id, ...table.counts, ...table.symbols];
+
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe0, [0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0]),
+    segment(0xdb, [
+      0x00, ...ZIGZAG.map(natural => quantization[0][natural]),
+      0x01, ...ZIGZAG.map(natural => quantization[1][natural])
+    ]),
+    segment(0xc0, [
+      8, height >> 8, height & 0xff, width >> 8, width & 0xff, 3,
+      1, 0x22, 0,
+      2, 0x11, 1,
+      3, 0x11, 1
+    ]),
+    segment(0xc4, [
+      ...huffmanSegment(0, 0, HUFFMAN_TABLES.dcLuminance),
+      ...huffmanSegment(1, 0, HUFFMAN_TABLES.acLuminance),
+      ...huffmanSegment(0, 1, HUFFMAN_TABLES.dcChrominance),
+      ...huffmanSegment(1, 1, HUFFMAN_TABLES.acChrominance)
+    ]),
+    restartInterval > 0 ? segment(0xdd, [restartInterval >> 8, restartInterval & 0xff]) : Buffer.alloc(0),
+    segment(0xda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]),
+    Buffer.from(writer.bytes),
+    Buffer.from([0xff, 0xd9])
+  ]);
+}
+
+/**
+ * Build a decoding table from a DHT table
+ * @param {Object} table - { counts, symbols }
+ * @returns {Map<number, number>} (length << 16 | code) -> symbol
+ */
+function huffmanDecoder(table) {
+  const decoder = new Map();
+  for (const { symbol, code, length } of huffmanCodes(table)) {
+    decoder.set((length << 16) | code, symbol);
+  }
+  return decoder;
+}
+
+/**
+ * Reads entropy-coded bits, removing byte stuffing and stopping at markers
+ */
+class BitReader {
+  /**
+   * @param {Buffer} buffer - File contents
+   * @param {number} offset - Start of the entropy-coded segment
+   */
+  constructor(buffer, offset) {
+    this.buffer = buffer;
+    this.offset = offset;
+    this.byte = 0;
+    this.count = 0;
+  }
+
+  /**
+   * @returns {number} Next bit
+   */
+  readBit() {
+    if (this.count === 0) {
+      // The scan ends at the next marker (or the end of the file)
+      if (this.offset >= this.buffer.length || (this.buffer[this.offset] === 0xff && this.buffer[this.offset + 1] !== 0x00)) {
+        throw new Error('Truncated JPEG scan');
+      }
+      this.byte = this.buffer[this.offset];
+      this.offset += this.byte === 0xff ? 2 : 1;
+      this.count = 8;
+    }
+    this.count--;
+    return (this.byte >> this.count) & 1;
+  }
+
+  /**
+   * @param {number} length - Number of bits
+   * @returns {number} Bits, most significant first
+   */
+  read(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | this.readBit();
+    return value;
+  }
+
+  /**
+   * Read a sign-extended coefficient of a magnitude category
+   * @param {number} category - Number of bits
+   * @returns {number} Coefficient
+   */
+  receiveExtend(category) {
+    if (category === 0) return 0;
+    const value = this.read(category);
+    return value < 1 << (category - 1) ? value - (1 << category) + 1 : value;
+  }
+
+  /**
+   * @param {Map<number, number>} decoder - Table from huffmanDecoder
+   * @returns {number} Decoded symbol
+   */
+  decode(decoder) {
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | this.readBit();
+      const symbol = decoder.get((length << 16) | code);
+      if (symbol !== undefined) return symbol;
+    }
+    throw new Error('Invalid Huffman code in JPEG data');
+  }
+
+  /**
+   * Skip to the restart marker that ends the current interval
+   */
+  restart() {
+    this.count = 0;
+    while (this.offset + 1 < this.buffer.length &&
+      !(this.buffer[this.offset] === 0xff && this.buffer[this.offset + 1] >= 0xd0 && this.buffer[this.offset + 1] <= 0xd7)) {
+      this.offset++;
+    }
+    this.offset += 2;
+  }
+}
+
+/**
+ * Decode a baseline or extended sequential JPEG
+ * @param {Buffer} buffer - JPEG file contents
+ * @returns {Object} { width, height, channels: 3, data }
+ */
+function decodeJPEG(buffer) {
+  if (!isJPEG(buffer)) {
+    throw new Error('Not a JPEG image');
+  }
+
+  const quantization = [];
+  const huffman = { 0: [], 1: [] };
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error(`Invalid JPEG marker at byte ${offset}`);
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd9) {
+      break;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) {
+      throw new Error('Truncated JPEG segment');
+    }
+
+    switch (marker) {
+      case 0xdb: // DQT
+        for (let p = start; p < end;) {
+          const precision = buffer[p] >> 4;
+          const id = buffer[p] & 15;
+          if (precision > 1 || id > 3) {
+            throw new Error(`Invalid JPEG quantization table ${precision}/${id}`);
+          }
+          if (p + 1 + 64 * (precision + 1) > end) {
+            throw new Error('Truncated JPEG segment');
+          }
+          const table = new Array(64);
+          for (let k = 0; k < 64; k++) {
+            table[ZIGZAG[k]] = precision ? buffer.readUInt16BE(p + 1 + 2 * k) : buffer[p + 1 + k];
+          }
+          quantization[id] = table;
+          p += 1 + 64 * (precision ? 2 : 1);
+        }
+        break;
+
+      case 0xc4: // DHT
+        for (let p = start; p < end;) {
+          const tableClass = buffer[p] >> 4;
+          const id = buffer[p] & 15;
+          if (tableClass > 1 || id > 3) {
+            throw new Error(`Invalid JPEG Huffman table ${tableClass}/${id}`);
+          }
+          const counts = Array.from(buffer.subarray(p + 1, p + 17));
+          const total = counts.reduce((sum, count) => sum + count, 0);
+          if (p + 17 + total > end) {
+            throw new Error('Truncated JPEG segment');
+          }
+          huffman[tableClass][id] = huffmanDecoder({ counts, symbols: Array.from(buffer.subarray(p + 17, p + 17 + total)) });
+          p += 17 + total;
+        }
+        break;
+
+      case 0xc0: // SOF0, baseline
+      case 0xc1: { // SOF1, extended sequential
+        if (buffer[start] !== 8) {
+          throw new Error(`Unsupported JPEG sample precision: ${buffer[start]} bits`);
+        }
+        if (start + 6 > end || start + 6 + 3 * buffer[start + 5] > end) {
+          throw new Error('Truncated JPEG segment');
+        }
+        const components = [];
+        for (let i = 0; i < buffer[start + 5]; i++) {
+          const p = start + 6 + 3 * i;
+          components.push({ id: buffer[p], h: buffer[p + 1] >> 4, v: buffer[p + 1] & 15, table: buffer[p + 2] });
+        }
+        if (components.length !== 1 && components.length !== 3) {
+          throw new Error(`Unsupported JPEG component count: ${components.length}`);
+        }
+        frame = {
+          height: buffer.readUInt16BE(start + 1),
+          width: buffer.readUInt16BE(start + 3),
+          components
+        };
+        if (frame.width === 0 || frame.height === 0) {
+          throw new Error('JPEG images without a height in the frame header are not supported');
+        }
+        if (frame.width * frame.height > MAX_JPEG_PIXELS) {
+          throw new Error(`JPEG image too large: ${frame.width}x${frame.height} exceeds ${MAX_JPEG_PIXELS} pixels`);
+        }
+        prepareFrame(frame);
+        break;
+      }
+
+      case 0xc2:
+      case 0xc3:
+      case 0xc5: case 0xc6: case 0xc7:
+      case 0xc9: case 0xca: case 0xcb:
+      case 0xcd: case 0xce: case 0xcf:
+        throw new Error('Only baseline and extended sequential Huffman JPEG images are supported');
+
+      case 0xdd: // DRI
+        if (start + 2 > end) {
+          throw new Error('Truncated JPEG segment');
+        }
+        restartInterval = buffer.readUInt16BE(start);
+        break;
+
+      case 0xee: // APP14 Adobe: color transform flag
+        if (end - start >= 12 && buffer.toString('latin1', start, start + 5) === 'Adobe') {
+          adobeTransform = buffer[start + 11];
+        }
+        break;
+
+      case 0xda: { // SOS
+        if (!frame) {
+          throw new Error('JPEG scan before the frame header');
+        }
+        if (start + 1 > end || start + 1 + 2 * buffer[start] > end) {
+          throw new Error('Truncated JPEG segment');
+        }
+        const scanComponents = [];
+        for (let i = 0; i < buffer[start]; i++) {
+          const p = start + 1 + 2 * i;
+          const component = frame.components.find(c => c.id === buffer[p]);
+          if (!component) {
+            throw new Error(`JPEG scan names unknown component ${buffer[p]}`);
+          }
+          component.dcDecoder = huffman[0][buffer[p + 1] >> 4];
+          component.acDecoder = huffman[1][buffer[p + 1] & 15];
+          scanComponents.push(component);
+        }
+        offset = decodeScan(buffer, end, frame, scanComponents, restartInterval, quantization);
+        continue;
+      }
+
+      default:
+        // APPn, COM and other segments carry nothing needed for the pixels
+        break;
+    }
+
+    offset = end;
+  }
+
+  if (!frame || !frame.components.every(component => component.decoded)) {
+    throw new Error('JPEG image has no complete scan');
+  }
+
+  return toRGB(frame, adobeTransform);
+}
+
+/**
+ * Size the block arrays of the components of a frame
+ * @param {Object} frame - { width, height, components }
+ * @private
+ */
+function prepareFrame(frame) {
+  frame.maxH = Math.max(...frame.components.map(c => c.h));
+  frame.maxV = Math.max(...frame.components.map(c => c.v));
+  frame.mcusX = Math.ceil(frame.width / (8 * frame.maxH));
+  frame.mcusY = Math.ceil(frame.height / (8 * frame.maxV));
+
+  for (const component of frame.components) {
+    if (component.h < 1 || component.h > 4 || component.v < 1 || component.v > 4) {
+      throw new Error('Invalid JPEG sampling factors');
+    }
+    component.blocksX = frame.mcusX * component.h;
+    component.blocksY = frame.mcusY * component.v;
+    component.pixels = new Uint8Array(component.blocksX * 8 * component.blocksY * 8);
+    component.decoded = false;
+  }
+}
+
+/**
+ * Decode one entropy-coded scan into the component sample planes
+ * @param {Buffer} buffer - File contents
+ * @param {number} offset - Start of the entropy-coded data
+ * @param {Object} frame - Frame from prepareFrame
+ * @param {Array<Object>} components - Components of the scan
+ * @param {number} restartInterval - MCUs between restart markers (0 for none)
+ * @param {Array<Array<number>>} quantization - Quantization tables, natural order
+ * @returns {number} Offset of the marker that follows the scan
+ * @private
+ */
+function decodeScan(buffer, offset, frame, components, restartInterval, quantization) {
+  const reader = new BitReader(buffer, offset);
+  const coefficients = new Float64Array(64);
+
+  const decodeBlock = (component, blockX, blockY) => {
+    const table = quantization[component.table];
+    if (!table || !component.dcDecoder || !component.acDecoder) {
+      throw new Error('JPEG scan references a missing quantization or Huffman table');
+    }
+    coefficients.fill(0);
+
+    component.prediction += reader.receiveExtend(reader.decode(component.dcDecoder));
+    coefficients[0] = component.prediction * table[0];
+
+    for (let k = 1; k < 64; k++) {
+      const symbol = reader.decode(component.acDecoder);
+      const run = symbol >> 4;
+      const size = symbol & 15;
+      if (size === 0) {
+        if (run !== 15) break;
+        k += 15;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      coefficients[ZIGZAG[k]] = reader.receiveExtend(size) * table[ZIGZAG[k]];
+    }
+
+    const samples = inverseDCT(coefficients);
+    const stride = component.blocksX * 8;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        const value = Math.round(samples[y * 8 + x] + 128);
+        component.pixels[(blockY * 8 + y) * stride + blockX * 8 + x] = value < 0 ? 0 : value > 255 ? 255 : value;
+      }
+    }
+  };
+
+  // A single-component scan covers only the blocks inside the image, one per MCU
+  const single = components.length === 1;
+  const [only] = components;
+  const mcusX = single ? Math.ceil(Math.ceil((frame.width * only.h) / frame.maxH) / 8) : frame.mcusX;
+  const mcusY = single ? Math.ceil(Math.ceil((frame.height * only.v) / frame.maxV) / 8) : frame.mcusY;
+
+  for (const component of components) component.prediction = 0;
+
+  for (let mcu = 0; mcu < mcusX * mcusY; mcu++) {
+    if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+      reader.restart();
+      for (const component of components) component.prediction = 0;
+    }
+
+    const mcuX = mcu % mcusX;
+    const mcuY = Math.floor(mcu / mcusX);
+    if (single) {
+      decodeBlock(only, mcuX, mcuY);
+      continue;
+    }
+    for (const component of components) {
+      for (let v = 0; v < component.v; v++) {
+        for (let h = 0; h < component.h; h++) {
+          decodeBlock(component, mcuX * component.h + h, mcuY * component.v + v);
+        }
+      }
+    }
+  }
+
+  for (const component of components) component.decoded = true;
+
+  // Continue at the next marker after the entropy-coded data
+  let next = reader.offset;
+  while (next + 1 < buffer.length && !(buffer[next] === 0xff && buffer[next + 1] !== 0x00 &&
+    !(buffer[next + 1] >= 0xd0 && buffer[next + 1] <= 0xd7))) {
+    next++;
+  }
+  return next;
+}
+
+/**
+ * Upsample the component planes and convert them to RGB
+ * @param {Object} frame - Decoded frame
+ * @param {number|null} adobeTransform - Adobe color transform flag (0: RGB, 1: YCbCr)
+ * @returns {Object} { width, height, channels: 3, data }
+ * @private
+ */
+function toRGB(frame, adobeTransform) {
+  const { width, height, components, maxH, maxV } = frame;
+  const data = Buffer.alloc(width * height * 3);
+  const clamp = value => (value < 0 ? 0 : value > 255 ? 255 : Math.round(value));
+  const sampleAt = (component, x, y) => component.pixels[
+    Math.floor((y * component.v) / maxV) * component.blocksX * 8 + Math.floor((x * component.h) / maxH)
+  ];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 3;
+      if (components.length === 1) {
+        data.fill(sampleAt(components[0], x, y), p, p + 3);
+        continue;
+      }
+
+      const [c1, c2, c3] = components.map(component => sampleAt(component, x, y));
+      if (adobeTransform === 0) {
+        data[p] = c1;
+        data[p + 1] = c2;
+        data[p + 2] = c3;
+      } else {
+        data[p] = clamp(c1 + 1.402 * (c3 - 128));
+        data[p + 1] = clamp(c1 - 0.344136 * (c2 - 128) - 0.714136 * (c3 - 128));
+        data[p + 2] = clamp(c1 + 1.772 * (c2 - 128));
+      }
+    }
+  }
+
+  return { width, height, channels: 3, data };
+}
+
+module.exports = {
+  decodeJPEG,
+  encodeJPEG,
+  isJPEG,
+  MAX_JPEG_PIXELS,
+  scaleQuantization,
+  LUMINANCE_QUANTIZATION,
+  CHROMINANCE_QUANTIZATION
+};
@@ -0,0 +1,427 @@
+/**
+ * AI Model Watermark Embedding and Detection
+ *
+ * Spread-spectrum watermarking of model weights. A model is given as
+ * { parameters: { <layer>: numbers } } with plain or typed arrays. Every weight
+ * of the marked layers is assigned, in a keyed order, to one payload bit and
+ * a keyed sign (chip). A bit is read as the mean of chip * weight / layer RMS
+ * over its weights: positive for 0, negative for 1.
+ *
+ * Embedding sets that mean to exactly +/- strength (improved spread spectrum),
+ * so the weights themselves do not interfere with detection. Pruning,
+ * fine-tuning noise and quantization only add noise that averages out over the
+ * weights of a bit. Cancelling the weights' own correlation moves each weight
+ * by about 1 / sqrt(weights per bit) of its layer RMS on top of the strength,
+ * so each bit gets at least 4096 weights (under 2%): the full metadata is
+ * embedded in large models, the DID or a DID hash in smaller ones. The first
+ * sixteenth of the weights carries the payload length, the rest the CBOR
+ * payload with its CRC-32. Detection needs the key and the layer shapes, not
+ * the original model.
+ *
+ * Models too small for a DID hash (under about a million weights) carry a
+ * single-bit DID mark instead: all weights correlate with chips keyed by the
+ * key and the DID hash. It is verified against an expected DID, as a z-score
+ * of that correlation, and cannot be read without one. Its strength is raised
+ * as far as needed for a reliable test, up to 10% of the layer RMS, so models
+ * need at least 6400 weights. For bit error rates, readDidMarkBits splits the
+ * mark into 64 interleaved shares of the weights and reads the sign of each.
+ */
+
+const { encodePayload, decodePayload, didHash, toBits, softToBytes, keyedRandom, requireKey } = require('./watermark_payload');
+
+/**
+ * Target correlation of each robustness level
+ */
+const STRENGTHS = {
+  low: 0.005,
+  medium: 0.01,
+  high: 0.02
+};
+
+const LENGTH_BITS = 8;
+const HEADER_SHARE = 1 / 16;
+const MIN_CHIPS_PER_BIT = 4096;
+const MIN_PAYLOAD_BYTES = 5;
+
+// DID marks: embedded at z = 8, present from z = 4 (false positive rate about 3e-5)
+const DID_MARK_Z = 8;
+const DID_DETECTION_Z = 4;
+const MAX_DID_STRENGTH = 0.1;
+const DID_MARK_BITS = 64;
+
+/**
+ * Check a model and list the layers to mark
+ * @param {Object} model - { parameters: { <layer>: numbers } }
+ * @param {Array<string>} layers - Layer names to mark (default: all, in name order)
+ * @returns {Array<string>} Layer names
+ */
+function validateModel(model, layers) {
+  if (!model || typeof model.parameters !== 'object' || model.parameters === null) {
+    throw new Error('Model must have a parameters object of named numeric arrays');
+  }
+
+  const names = layers || Object.keys(model.parameters).sort();
+  for (const name of names) {
+    const values = model.parameters[name];
+    if (!Array.isArray(values) && !ArrayBuffer.isView(values)) {
+      throw new Error(`Model layer ${name} is not a numeric array`);
+    }
+  }
+  return names;
+}
+
+/**
+ * Resolve watermark options
+ * @param {Object} options - Watermark options
+ * @returns {Object} Resolved options
+ */
+function resolveOptions(options = {}) {
+  const { robustness = 'medium', key, layers } = options;
+
+  if (!STRENGTHS[robustness]) {
+    throw new Error(`Unsupported watermark robustness: ${robustness}`);
+  }
+  const strength = options.strength === undefined ? STRENGTHS[robustness] : options.strength;
+  if (typeof strength !== 'number' || !(strength > 0 && strength <= 1)) {
+    throw new Error('Watermark strength must be a number in (0, 1]');
+  }
+
+  return { strength, key: requireKey(key), layers };
+}
+
+/**
+ * Measure the marked layers
+ * @param {Object} model - Model
+ * @param {Array<string>} names - Marked layers
+ * @returns {Array<Object>} { name, values, rms } of each layer
+ */
+function measureLayers(model, names) {
+  return names.map(name => {
+    const values = model.parameters[name];
+    let energy = 0;
+    for (let i = 0; i < values.length; i++) {
+      energy += values[i] * values[i];
+    }
+    return { name, values, rms: Math.sqrt(energy / Math.max(1, values.length)) || 1 };
+  });
+}
+
+/**
+ * Lay out the keyed chips of the marked weights
+ *
+ * Weights are shuffled with the key; the first HEADER_SHARE of the order
+ * carries the length header, the rest the payload, bit by bit in turn.
+ *
+ * @param {Object} model - Model
+ * @param {Array<string>} names - Marked layers
+ * @param {string} key - Watermark key
+ * @returns {Object} { layers, layerOf, indexOf, chips, headerWeights } with each layer's values
+ *   and RMS, and for each position of the keyed order the layer, index and chip of its weight
+ */
+function chipLayout(model, names, key) {
+  const layers = measureLayers(model, names);
+
+  const total = layers.reduce((sum, layer) => sum + layer.values.length, 0);
+  const layerOf = new Uint32Array(total);
+  const indexOf = new Uint32Array(total);
+  let position = 0;
+  layers.forEach((layer, l) => {
+    for (let i = 0; i < layer.values.length; i++, position++) {
+      layerOf[position] = l;
+      indexOf[position] = i;
+    }
+  });
+
+  // Keyed Fisher-Yates shuffle of the weights
+  const order = new Uint32Array(total);
+  for (let i = 0; i < total; i++) order[i] = i;
+  const random = keyedRandom(key, 'model:order');
+  for (let i = total - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const swap = order[i];
+    order[i] = order[j];
+    order[j] = swap;
+  }
+
+  const chipRandom = keyedRandom(key, 'model:chips');
+  const chips = new Int8Array(total);
+  for (let i = 0; i < total; i++) {
+    chips[i] = chipRandom() < 0.5 ? 1 : -1;
+  }
+
+  return {
+    layers,
+    layerOf: Uint32Array.from(order, weight => layerOf[weight]),
+    indexOf: Uint32Array.from(order, weight => indexOf[weight]),
+    chips,
+    headerWeights: Math.floor(total * HEADER_SHARE)
+  };
+}
+
+/**
+ * Strength of the DID mark of a model
+ * @param {number} total - Marked weights
+ * @param {number} strength - Configured strength
+ * @returns {number} Strength that reaches DID_MARK_Z
+ */
+function didMarkStrength(total, strength) {
+  return Math.max(strength, DID_MARK_Z / Math.sqrt(Math.max(1, total)));
+}
+
+/**
+ * Correlate the weights with the chips of a DID mark
+ * @param {Array<Object>} layers - Marked layers (see measureLayers)
+ * @param {Array<ArrayLike<number>>} values - Weights of each marked layer
+ * @param {string} key - Watermark key
+ * @param {string} did - DID of the mark
+ * @param {number} shares - Interleaved shares of the weights to correlate apart (default: 1)
+ * @returns {Float64Array} Mean chip * weight / RMS over the weights of each share
+ */
+function correlateDidMark(layers, values, key, did, shares = 1) {
+  const random = keyedRandom(key, `model:did:${didHash(did)}`);
+  const sums = new Float64Array(shares);
+  const counts = new Float64Array(shares);
+  let position = 0;
+  layers.forEach((layer, l) => {
+    for (let i = 0; i < values[l].length; i++, position++) {
+      sums[position % shares] += ((random() < 0.5 ? 1 : -1) * values[l][i]) / layer.rms;
+      counts[position % shares]++;
+    }
+  });
+  return sums.map((sum, share) => (counts[share] > 0 ? sum / counts[share] : 0));
+}
+
+/**
+ * Embed a DID mark, moving the correlation of all weights to the mark strength
+ * @param {Array<Object>} layers - Marked layers (see measureLayers)
+ * @param {Array<Float64Array>} values - Weights of each marked layer, modified in place
+ * @param {string} key - Watermark key
+ * @param {string} did - DID of the mark
+ * @param {number} strength - Mark strength
+ */
+function embedDidMark(layers, values, key, did, strength) {
+  const shift = strength - correlateDidMark(layers, values, key, did)[0];
+  const random = keyedRandom(key, `model:did:${didHash(did)}`);
+  layers.forEach((layer, l) => {
+    for (let i = 0; i < values[l].length; i++) {
+      values[l][i] += (random() < 0.5 ? 1 : -1) * shift * layer.rms;
+    }
+  });
+}
+
+/**
+ * Correlate the bits of a section of the weight order
+ * @param {Object} layout - Chip layout
+ * @param {Array<ArrayLike<number>>} values - Weights of each marked layer
+ * @param {number} start - First position of the section
+ * @param {number} end - Position after the section
+ * @param {number} bits - Bits of the section
+ * @returns {Float64Array} Mean chip * weight / RMS of each bit
+ */
+function correlateSection(layout, values, start, end, bits) {
+  const sums = new Float64Array(bits);
+  const counts = new Float64Array(bits);
+  for (let position = start; position < end; position++) {
+    const bit = (position - start) % bits;
+    const l = layout.layerOf[position];
+    sums[bit] += (layout.chips[position] * values[l][layout.indexOf[position]]) / layout.layers[l].rms;
+    counts[bit]++;
+  }
+  return sums.map((sum, bit) => (counts[bit] > 0 ? sum / counts[bit] : 0));
+}
+
+/**
+ * Move the weights of a section so each bit correlates at exactly +/- strength
+ * @param {Object} layout - Chip layout
+ * @param {Array<Float64Array>} values - Weights of each marked layer, modified in place
+ * @param {number} start - First position of the section
+ * @param {number} end - Position after the section
+ * @param {Array<number>} bits - Bits to embed
+ * @param {number} strength - Target correlation
+ */
+function embedSection(layout, values, start, end, bits, strength) {
+  const correlations = correlateSection(layout, values, start, end, bits.length);
+  for (let position = start; position < end; position++) {
+    const bit = (position - start) % bits.length;
+    const l = layout.layerOf[position];
+    const shift = (bits[bit] ? -strength : strength) - correlations[bit];
+    values[l][layout.indexOf[position]] += layout.chips[position] * shift * layout.layers[l].rms;
+  }
+}
+
+/**
+ * Copy a model with new weights for some layers
+ * @param {Object} model - Original model
+ * @param {Array<Object>} layers - Marked layers
+ * @param {Array<Float64Array>} values - New weights of each marked layer
+ * @returns {Object} Model copy, each layer in the array type of the original
+ */
+function withWeights(model, layers, values) {
+  const parameters = { ...model.parameters };
+  layers.forEach((layer, l) => {
+    parameters[layer.name] = Array.isArray(layer.values)
+      ? Array.from(values[l])
+      : new layer.values.constructor(values[l]);
+  });
+  return { ...model, parameters };
+}
+
+/**
+ * Embed a watermark into model weights
+ * @param {Object} model - { parameters: { <layer>: numbers } }
+ * @param {Object} metadata - Watermark metadata; falls back to its DID, then a DID hash,
+ *   then a DID mark, when the model is too small
+ * @param {Object} options - Watermark options
+ * @param {string} options.robustness - low, medium or high: the weight change, relative to
+ *   the RMS of each layer (0.5%, 1% or 2%; default: medium)
+ * @param {number} options.strength - Explicit relative weight change, in (0, 1]
+ * @param {string} options.key - Secret key of the weight order and chips
+ * @param {Array<string>} options.layers - Layers to mark (default: all)
+ * @returns {Object} Watermarked model, as a copy
+ */
+function embedModelWatermark(model, metadata, options = {}) {
+  const { strength, key, layers } = resolveOptions(options);
+  const names = validateModel(model, layers);
+  const layout = chipLayout(model, names, key);
+  const total = layout.layerOf.length;
+  const values = layout.layers.map(layer => Float64Array.from(layer.values));
+
+  // The largest payload with enough weights per bit
+  const payloadWeights = total - layout.headerWeights;
+  const candidates = metadata && metadata.did
+    ? [metadata, { did: metadata.did }, { didHash: didHash(metadata.did) }]
+    : [metadata];
+  const payloads = candidates.map(candidate => encodePayload(candidate))
+    .filter(payload => payload.length < 2 ** LENGTH_BITS);
+  const payload = payloads.find(bytes => payloadWeights >= bytes.length * 8 * MIN_CHIPS_PER_BIT);
+  if (payload && layout.headerWeights >= LENGTH_BITS * MIN_CHIPS_PER_BIT) {
+    embedSection(layout, values, 0, layout.headerWeights, toBits(Buffer.from([payload.length])), strength);
+    embedSection(layout, values, layout.headerWeights, total, toBits(payload), strength);
+    return withWeights(model, layout.layers, values);
+  }
+
+  // Too small for any payload: a DID mark, if it stays within the strength limit
+  const markStrength = didMarkStrength(total, strength);
+  if (metadata && metadata.did && markStrength <= MAX_DID_STRENGTH) {
+    embedDidMark(layout.layers, values, key, metadata.did, markStrength);
+    return withWeights(model, layout.layers, values);
+  }
+
+  const needed = metadata && metadata.did
+    ? Math.ceil((DID_MARK_Z / MAX_DID_STRENGTH) ** 2)
+    : Math.ceil(((payloads.length > 0 ? payloads[payloads.length - 1].length : 2 ** LENGTH_BITS) *
+      8 * MIN_CHIPS_PER_BIT) / (1 - HEADER_SHARE));
+  throw new Error(`Model too small for a watermark: ${needed} weights needed, ${total} found`);
+}
+
+/**
+ * Read the soft bits of a watermarked model
+ * @param {Object} model - Model
+ * @param {Object} options - Watermark options (see embedModelWatermark)
+ * @returns {Object|null} { header, soft, strength } with the correlation of each header and
+ *   payload bit, or null if the header gives no usable payload length
+ */
+function readModelBits(model, options = {}) {
+  const { strength, key, layers } = resolveOptions(options);
+  const names = validateModel(model, layers);
+  const layout = chipLayout(model, names, key);
+  const total = layout.layerOf.length;
+  const values = layout.layers.map(layer => layer.values);
+
+  if (layout.headerWeights < LENGTH_BITS) {
+    return null;
+  }
+  const header = correlateSection(layout, values, 0, layout.headerWeights, LENGTH_BITS);
+  const length = softToBytes(header)[0];
+  if (length < MIN_PAYLOAD_BYTES || total - layout.headerWeights < length * 8) {
+    return null;
+  }
+
+  return {
+    header,
+    soft: correlateSection(layout, values, layout.headerWeights, total, length * 8),
+    strength
+  };
+}
+
+/**
+ * Verify the DID mark of a model
+ * @param {Object} model - Model
+ * @param {string} did - Expected DID
+ * @param {Object} options - Watermark options (see embedModelWatermark)
+ * @returns {Object|null} { metadata, confidence } with the DID hash as metadata and the share
+ *   of the embedded correlation that remains, or null if the model has no mark of the DID
+ */
+function detectDidMark(model, did, options = {}) {
+  const { strength, key, layers } = resolveOptions(options);
+  const measured = measureLayers(model, validateModel(model, layers));
+  const total = measured.reduce((sum, layer) => sum + layer.values.length, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  const [correlation] = correlateDidMark(measured, measured.map(layer => layer.values), key, did);
+  if (correlation * Math.sqrt(total) < DID_DETECTION_Z) {
+    return null;
+  }
+  return {
+    metadata: { didHash: didHash(did) },
+    confidence: Math.min(1, correlation / didMarkStrength(total, strength))
+  };
+}
+
+/**
+ * Read the DID mark of a model as bits, for bit error rates
+ *
+ * The weights are split into DID_MARK_BITS interleaved shares; each bit is the
+ * correlation of a share with the mark. The shares keep the host weights' own
+ * correlation, so compare the bits with those read from the marked model, not
+ * with zeros.
+ *
+ * @param {Object} model - Model
+ * @param {string} did - Expected DID
+ * @param {Object} options - Watermark options (see embedModelWatermark)
+ * @returns {Float64Array|null} Correlation of each share, or null if a model of this size
+ *   carries a payload rather than a DID mark
+ */
+function readDidMarkBits(model, did, options = {}) {
+  const { key, layers } = resolveOptions(options);
+  const measured = measureLayers(model, validateModel(model, layers));
+  const total = measured.reduce((sum, layer) => sum + layer.values.length, 0);
+
+  // The smallest payload embedModelWatermark falls back to
+  const headerWeights = Math.floor(total * HEADER_SHARE);
+  const hashBits = encodePayload({ didHash: didHash(did) }).length * 8;
+  if (headerWeights >= LENGTH_BITS * MIN_CHIPS_PER_BIT &&
+    total - headerWeights >= hashBits * MIN_CHIPS_PER_BIT) {
+    return null;
+  }
+  return correlateDidMark(measured, measured.map(layer => layer.values), key, did, DID_MARK_BITS);
+}
+
+/**
+ * Detect the watermark of a model
+ * @param {Object} model - Model
+ * @param {Object} options - Watermark options (see embedModelWatermark)
+ * @param {string} options.did - Expected DID, to also find the DID marks of small models
+ * @returns {Object|null} { metadata, confidence } with the share of the embedded correlation
+ *   that remains, or null if no watermark is found
+ */
+function detectModelWatermark(model, options = {}) {
+  const bits = readModelBits(model, options);
+  const metadata = bits ? decodePayload(softToBytes(bits.soft)) : null;
+  if (metadata === null) {
+    return options.did ? detectDidMark(model, options.did, options) : null;
+  }
+
+  const remaining = bits.soft.reduce((sum, value) => sum + Math.abs(value), 0) / bits.soft.length;
+  return { metadata, confidence: Math.min(1, remaining / bits.strength) };
+}
+
+module.exports = {
+  embedModelWatermark,
+  detectModelWatermark,
+  readModelBits,
+  readDidMarkBits,
+  STRENGTHS
+};
@@ -0,0 +1,276 @@
+/**
+ * Reed-Solomon Codes
+ *
+ * Systematic Reed-Solomon codes over GF(2^8) (primitive polynomial 0x11d,
+ * generator 2), as used by QR codes. A codeword is the data followed by
+ * paritySymbols parity bytes; up to paritySymbols / 2 corrupted bytes anywhere
+ * in it are corrected. Decoding finds the error locator with Berlekamp-Massey,
+ * its roots with a Chien search and the error values with Forney's algorithm.
+ */
+
+const FIELD_SIZE = 255;
+
+// Exponent and logarithm tables of GF(2^8), the exponents doubled to skip a modulo
+const GF_EXP = new Uint8Array(FIELD_SIZE * 2);
+const GF_LOG = new Uint8Array(FIELD_SIZE + 1);
+(() => {
+  let x = 1;
+  for (let i = 0; i < FIELD_SIZE; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+  }
+  for (let i = FIELD_SIZE; i < FIELD_SIZE * 2; i++) {
+    GF_EXP[i] = GF_EXP[i - FIELD_SIZE];
+  }
+})();
+
+/**
+ * Multiply two field elements
+ * @param {number} x - Element
+ * @param {number} y - Element
+ * @returns {number} Product
+ */
+function gfMul(x, y) {
+  if (x === 0 || y === 0) return 0;
+  return GF_EXP[GF_LOG[x] + GF_LOG[y]];
+}
+
+/**
+ * Divide two field elements
+ * @param {number} x - Dividend
+ * @param {number} y - Divisor (not 0)
+ * @returns {number} Quotient
+ */
+function gfDiv(x, y) {
+  if (x === 0) return 0;
+  return GF_EXP[(GF_LOG[x] + FIELD_SIZE - GF_LOG[y]) % FIELD_SIZE];
+}
+
+/**
+ * Raise the generator to a power
+ * @param {number} power - Exponent, possibly negative
+ * @returns {number} 2^power
+ */
+function gfPow2(power) {
+  return GF_EXP[((power % FIELD_SIZE) + FIELD_SIZE) % FIELD_SIZE];
+}
+
+/**
+ * Multiply two polynomials (coefficients from the highest degree down)
+ * @param {Array<number>} p - Polynomial
+ * @param {Array<number>} q - Polynomial
+ * @returns {Array<number>} Product
+ */
+function polyMul(p, q) {
+  const result = new Array(p.length + q.length - 1).fill(0);
+  for (let i = 0; i < p.length; i++) {
+    for (let j = 0; j < q.length; j++) {
+      result[i + j] ^= gfMul(p[i], q[j]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Add two polynomials
+ * @param {Array<number>} p - Polynomial
+ * @param {Array<number>} q - Polynomial
+ * @returns {Array<number>} Sum
+ */
+function polyAdd(p, q) {
+  const result = new Array(Math.max(p.length, q.length)).fill(0);
+  p.forEach((coefficient, i) => { result[i + result.length - p.length] = coefficient; });
+  q.forEach((coefficient, i) => { result[i + result.length - q.length] ^= coefficient; });
+  return result;
+}
+
+/**
+ * Multiply a polynomial by a field element
+ * @param {Array<number>} p - Polynomial
+ * @param {number} x - Element
+ * @returns {Array<number>} Scaled polynomial
+ */
+function polyScale(p, x) {
+  return p.map(coefficient => gfMul(coefficient, x));
+}
+
+/**
+ * Evaluate a polynomial
+ * @param {ArrayLike<number>} p - Polynomial
+ * @param {number} x - Element
+ * @returns {number} p(x)
+ */
+function polyEval(p, x) {
+  let y = p[0];
+  for (let i = 1; i < p.length; i++) {
+    y = gfMul(y, x) ^ p[i];
+  }
+  return y;
+}
+
+// Generator polynomials by parity symbol count
+const generators = new Map();
+
+/**
+ * Get the generator polynomial of a code
+ * @param {number} paritySymbols - Parity symbol count
+ * @returns {Array<number>} (x - 2^0)(x - 2^1)...(x - 2^(paritySymbols - 1))
+ */
+function generatorPoly(paritySymbols) {
+  if (!generators.has(paritySymbols)) {
+    let generator = [1];
+    for (let i = 0; i < paritySymbols; i++) {
+      generator = polyMul(generator, [1, gfPow2(i)]);
+    }
+    generators.set(paritySymbols, generator);
+  }
+  return generators.get(paritySymbols);
+}
+
+/**
+ * Check the size of a code
+ * @param {number} dataLength - Data bytes
+ * @param {number} paritySymbols - Parity bytes
+ */
+function checkCode(dataLength, paritySymbols) {
+  if (!Number.isInteger(paritySymbols) || paritySymbols < 1) {
+    throw new Error('Reed-Solomon parity symbol count must be a positive integer');
+  }
+  if (dataLength + paritySymbols > FIELD_SIZE) {
+    throw new Error(`Reed-Solomon codewords hold at most ${FIELD_SIZE} bytes, got ${dataLength + paritySymbols}`);
+  }
+}
+
+/**
+ * Encode data as a Reed-Solomon codeword
+ * @param {Buffer} data - Data bytes
+ * @param {number} paritySymbols - Parity bytes to append
+ * @returns {Buffer} Data followed by its parity
+ */
+function rsEncode(data, paritySymbols) {
+  checkCode(data.length, paritySymbols);
+  const generator = generatorPoly(paritySymbols);
+  const codeword = Buffer.alloc(data.length + paritySymbols);
+  data.copy(codeword);
+
+  // Polynomial division by the generator; the remainder is the parity
+  const remainder = Buffer.concat([data, Buffer.alloc(paritySymbols)]);
+  for (let i = 0; i < data.length; i++) {
+    const coefficient = remainder[i];
+    if (coefficient !== 0) {
+      for (let j = 1; j < generator.length; j++) {
+        remainder[i + j] ^= gfMul(generator[j], coefficient);
+      }
+    }
+  }
+  remainder.copy(codeword, data.length, data.length);
+  return codeword;
+}
+
+/**
+ * Compute the syndromes of a codeword
+ * @param {Buffer} codeword - Received codeword
+ * @param {number} paritySymbols - Parity bytes
+ * @returns {Array<number>} Syndromes, all 0 for a valid codeword
+ */
+function syndromes(codeword, paritySymbols) {
+  return Array.from({ length: paritySymbols }, (_, i) => polyEval(codeword, gfPow2(i)));
+}
+
+/**
+ * Find the error locator polynomial (Berlekamp-Massey)
+ * @param {Array<number>} syndrome - Syndromes
+ * @returns {Array<number>} Error locator, lowest degree last
+ */
+function errorLocator(syndrome) {
+  let locator = [1];
+  let previous = [1];
+
+  for (let i = 0; i < syndrome.length; i++) {
+    let delta = syndrome[i];
+    for (let j = 1; j < locator.length; j++) {
+      delta ^= gfMul(locator[locator.length - 1 - j], syndrome[i - j]);
+    }
+
+    previous = [...previous, 0];
+    if (delta !== 0) {
+      if (previous.length > locator.length) {
+        const next = polyScale(previous, delta);
+        previous = polyScale(locator, gfDiv(1, delta));
+        locator = next;
+      }
+      locator = polyAdd(locator, polyScale(previous, delta));
+    }
+  }
+
+  while (locator.length > 1 && locator[0] === 0) {
+    locator.shift();
+  }
+  return locator;
+}
+
+/**
+ * Decode a Reed-Solomon codeword
+ * @param {Buffer} codeword - Received codeword (data followed by parity)
+ * @param {number} paritySymbols - Parity bytes
+ * @returns {Object|null} { data, corrected } with the corrected byte count, or null if
+ *   the codeword has more errors than the code corrects
+ */
+function rsDecode(codeword, paritySymbols) {
+  checkCode(codeword.length - paritySymbols, paritySymbols);
+  const syndrome = syndromes(codeword, paritySymbols);
+  if (syndrome.every(value => value === 0)) {
+    return { data: Buffer.from(codeword.slice(0, codeword.length - paritySymbols)), corrected: 0 };
+  }
+
+  const locator = errorLocator(syndrome);
+  const errorCount = locator.length - 1;
+  if (errorCount * 2 > paritySymbols) {
+    return null;
+  }
+
+  // Chien search: byte k (counted from the end) is wrong where the locator has a root at 2^-k
+  const positions = [];
+  for (let k = 0; k < codeword.length; k++) {
+    if (polyEval(locator, gfPow2(-k)) === 0) {
+      positions.push(k);
+    }
+  }
+  if (positions.length !== errorCount) {
+    return null;
+  }
+
+  // Forney: error evaluator is syndrome(x) * locator(x) mod x^paritySymbols
+  const syndromePoly = [...syndrome].reverse();
+  const evaluator = polyMul(syndromePoly, locator).slice(-paritySymbols);
+  const corrected = Buffer.from(codeword);
+
+  for (const k of positions) {
+    const xInverse = gfPow2(-k);
+
+    // Formal derivative of the locator at xInverse: product over the other error locations
+    let derivative = 1;
+    for (const other of positions) {
+      if (other !== k) {
+        derivative = gfMul(derivative, 1 ^ gfMul(xInverse, gfPow2(other)));
+      }
+    }
+    if (derivative === 0) {
+      return null;
+    }
+
+    corrected[codeword.length - 1 - k] ^= gfDiv(polyEval(evaluator, xInverse), derivative);
+  }
+
+  if (syndromes(corrected, paritySymbols).some(value => value !== 0)) {
+    return null;
+  }
+  return { data: corrected.slice(0, corrected.length - paritySymbols), corrected: positions.length };
+}
+
+module.exports = {
+  rsEncode,
+  rsDecode
+};
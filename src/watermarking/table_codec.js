@@ -0,0 +1,270 @@
+/**
+ * Table Codecs for Watermarking
+ *
+ * Reads and writes tabular datasets as CSV (RFC 4180, with a header row),
+ * JSON lines or arrays of row objects, keeping the source text of every row
+ * that is not modified. Tables are handled as:
+ *
+ *   { format, columns, records: [{ cells }] }
+ *
+ * where cells maps column names to values (strings for CSV, parsed JSON values
+ * otherwise). Rows can be reordered and numeric cells rewritten with setCell;
+ * untouched rows are written back byte for byte.
+ */
+
+/**
+ * Supported table formats
+ */
+const TABLE_FORMATS = {
+  CSV: 'csv',
+  JSON_LINES: 'jsonl',
+  ROWS: 'rows'
+};
+
+/**
+ * Split CSV text into records
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Object>} Records as { raw, segments, values }
+ */
+function splitCSV(text, delimiter) {
+  const records = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const start = i;
+    const segments = [];
+    const values = [];
+
+    for (;;) {
+      const fieldStart = i;
+      let value = '';
+
+      if (text[i] === '"') {
+        // Quoted field, with "" as an escaped quote
+        i++;
+        for (;;) {
+          if (i >= text.length) {
+            throw new Error('Unterminated quoted CSV field');
+          }
+          if (text[i] === '"') {
+            if (text[i + 1] === '"') {
+              value += '"';
+              i += 2;
+              continue;
+            }
+            i++;
+            break;
+          }
+          value += text[i++];
+        }
+      }
+
+      while (i < text.length && text[i] !== delimiter && text[i] !== '\n' && text[i] !== '\r') {
+        value += text[i++];
+      }
+
+      segments.push(text.slice(fieldStart, i));
+      values.push(value);
+
+      if (text[i] === delimiter) {
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    const raw = text.slice(start, i);
+    if (text[i] === '\r' && text[i + 1] === '\n') i += 2;
+    else if (i < text.length) i++;
+
+    // Blank lines carry no record
+    if (raw.length > 0) {
+      records.push({ raw, segments, values });
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {string} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @param {boolean} quoted - Whether the source field was quoted
+ * @returns {string} Field text
+ */
+function quoteCSV(value, delimiter, quoted) {
+  if (quoted || value.includes(delimiter) || /["\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Parse a CSV table
+ * @param {string} text - CSV text with a header row
+ * @param {Object} options - Parsing options
+ * @param {string} options.delimiter - Field delimiter (default: ,)
+ * @returns {Object} Table
+ */
+function parseCSV(text, options = {}) {
+  const { delimiter = ',' } = options;
+  const [header, ...rows] = splitCSV(text, delimiter);
+  if (!header) {
+    throw new Error('CSV table has no header row');
+  }
+
+  const columns = header.values;
+  const records = rows.map((row, index) => {
+    if (row.values.length !== columns.length) {
+      throw new Error(`CSV row ${index + 1} has ${row.values.length} fields, expected ${columns.length}`);
+    }
+    return {
+      source: row,
+      cells: Object.fromEntries(columns.map((column, i) => [column, row.values[i]])),
+      changed: new Set()
+    };
+  });
+
+  return {
+    format: TABLE_FORMATS.CSV,
+    columns,
+    records,
+    delimiter,
+    header: header.raw,
+    newline: text.includes('\r\n') ? '\r\n' : '\n',
+    trailingNewline: /\r?\n$/.test(text)
+  };
+}
+
+/**
+ * Parse a JSON lines table
+ * @param {string} text - One JSON object per line
+ * @returns {Object} Table
+ */
+function parseJSONLines(text) {
+  const columns = [];
+  const records = text.split(/\r?\n/).filter(line => line.trim()).map((line, index) => {
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`JSON line ${index + 1} is not an object`);
+    }
+
+    Object.keys(row).forEach(column => {
+      if (!columns.includes(column)) columns.push(column);
+    });
+    return { source: line, cells: row, changed: new Set() };
+  });
+
+  return {
+    format: TABLE_FORMATS.JSON_LINES,
+    columns,
+    records,
+    newline: text.includes('\r\n') ? '\r\n' : '\n',
+    trailingNewline: /\r?\n$/.test(text)
+  };
+}
+
+/**
+ * Read a table from any supported form
+ * @param {string|Buffer|Array<Object>} input - CSV or JSON lines text, or row objects
+ * @param {Object} options - Reading options
+ * @param {string} options.format - csv or jsonl for text input (default: detected)
+ * @param {string} options.delimiter - CSV field delimiter (default: ,)
+ * @returns {Object} Table
+ */
+function readTable(input, options = {}) {
+  if (Array.isArray(input)) {
+    const columns = [];
+    const records = input.map(row => {
+      Object.keys(row).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+      });
+      return { source: row, cells: { ...row }, changed: new Set() };
+    });
+    return { format: TABLE_FORMATS.ROWS, columns, records };
+  }
+
+  if (typeof input !== 'string' && !Buffer.isBuffer(input)) {
+    throw new Error('Datasets must be CSV or JSON lines text, or arrays of row objects');
+  }
+
+  const text = input.toString('utf8');
+  const format = options.format || (text.trimStart().startsWith('{') ? TABLE_FORMATS.JSON_LINES : TABLE_FORMATS.CSV);
+
+  switch (format) {
+    case TABLE_FORMATS.CSV:
+      return { ...parseCSV(text, options), binary: Buffer.isBuffer(input) };
+
+    case TABLE_FORMATS.JSON_LINES:
+      return { ...parseJSONLines(text), binary: Buffer.isBuffer(input) };
+
+    default:
+      throw new Error(`Unsupported dataset format: ${format}`);
+  }
+}
+
+/**
+ * Change a cell of a record
+ * @param {Object} record - Table record
+ * @param {string} column - Column name
+ * @param {*} value - New value (a string for CSV tables)
+ */
+function setCell(record, column, value) {
+  record.cells[column] = value;
+  record.changed.add(column);
+}
+
+/**
+ * Serialize one record
+ * @param {Object} table - Table
+ * @param {Object} record - Record
+ * @returns {string|Object} Row text, or row object for ROWS tables
+ */
+function writeRecord(table, record) {
+  switch (table.format) {
+    case TABLE_FORMATS.CSV:
+      if (record.changed.size === 0) return record.source.raw;
+      return table.columns.map((column, i) => record.changed.has(column)
+        ? quoteCSV(record.cells[column], table.delimiter, record.source.segments[i].startsWith('"'))
+        : record.source.segments[i]
+      ).join(table.delimiter);
+
+    case TABLE_FORMATS.JSON_LINES:
+      return record.changed.size === 0 ? record.source : JSON.stringify(record.cells);
+
+    default:
+      return record.changed.size === 0 ? record.source : { ...record.cells };
+  }
+}
+
+/**
+ * Write a table back to the form it was read from
+ * @param {Object} table - Table
+ * @returns {string|Buffer|Array<Object>} CSV or JSON lines text (a Buffer if read from one), or row objects
+ */
+function writeTable(table) {
+  const rows = table.records.map(record => writeRecord(table, record));
+  if (table.format === TABLE_FORMATS.ROWS) {
+    return rows;
+  }
+
+  const lines = table.format === TABLE_FORMATS.CSV ? [table.header, ...rows] : rows;
+  const text = lines.join(table.newline) + (table.trailingNewline ? table.newline : '');
+  return table.binary ? Buffer.from(text, 'utf8') : text;
+}
+
+module.exports = {
+  readTable,
+  writeTable,
+  setCell,
+  parseCSV,
+  parseJSONLines,
+  TABLE_FORMATS
+};
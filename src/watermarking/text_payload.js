@@ -0,0 +1,411 @@
+/**
+ * Text Watermark Payloads
+ *
+ * Frames watermark metadata as a bit stream for the text watermarking
+ * strategies, which carry one bit per space, punctuation mark or paragraph
+ * break and lose or flip some of them whenever text is retyped, pasted through
+ * chat tools or cleaned up by a CMS. Each packet is:
+ *
+ *   sync word (Barker-13) | header | body
+ *
+ * The header is the body's data and parity byte counts, as a Reed-Solomon
+ * codeword with 2 parity bytes. The body is the payload (CBOR with its CRC-32,
+ * see watermark_payload.js) as a Reed-Solomon codeword whose parity share is
+ * set by the error correction level. In compact form the DID is replaced by
+ * the first 8 bytes of its SHA-256, which detection returns as didHash, and
+ * hex strings such as hashes are carried as bytes.
+ *
+ * Compact metadata holding only the DID hash is sent as a hash packet:
+ *
+ *   inverted sync word | hash and 16-bit check, with Reed-Solomon parity
+ *
+ * Its size is fixed by the error correction level, so it needs no header, and
+ * the check replaces the CBOR framing and CRC-32. At medium error correction a
+ * hash packet takes 141 carriers, and a metadata packet holding the same hash 317.
+ *
+ * Carriers repeat the packet as often as it fits. Detection finds packets by
+ * their sync word, corrects byte errors with the parity, realigns packets that
+ * lost or gained a carrier, and takes a bitwise majority of the copies when no
+ * single copy decodes. This repairs scattered carrier errors only; cleanup that
+ * rewrites every space (whitespace normalization, NFKC) removes the mark.
+ *
+ * Which carriers hold a bit, and whether they hold it inverted, is decided by
+ * an HMAC of the words around each carrier under the watermark key (see
+ * keyCarriers). Without the key the marked carriers cannot be told apart from
+ * the others, and since nothing depends on a carrier's position, a lost
+ * character only disturbs the carriers next to it.
+ */
+
+const crypto = require('crypto');
+const { crc32, encodePayload, decodePayload, didHash, toBits, requireKey } = require('./watermark_payload');
+const { rsEncode, rsDecode } = require('./reed_solomon');
+
+/**
+ * Parity bytes per payload byte for each error correction level
+ */
+const ERROR_CORRECTION = {
+  low: 0.25,
+  medium: 0.5,
+  high: 1
+};
+
+const DEFAULT_DENSITY = 0.75;
+
+const SYNC = '1111100110101';
+const HASH_SYNC = '0000011001010';
+const SYNC_TOLERANCE = 1;
+const HEADER_DATA = 2;
+const HEADER_PARITY = 2;
+const HEADER_BITS = (HEADER_DATA + HEADER_PARITY) * 8;
+const MIN_PARITY = 4;
+const MIN_PAYLOAD_BYTES = 5;
+const MAX_CODEWORD = 255;
+const HASH_BYTES = 8;
+const CHECK_BYTES = 2;
+const MIN_VOTES = 3;
+const HEX_PATTERN = /^(?:[0-9a-f]{2}){8,}$/;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Replace the DID of metadata with its short hash and hex strings with bytes
+ * @param {Object} metadata - Metadata
+ * @returns {Object} Compact metadata
+ */
+function compactMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return metadata;
+  }
+
+  const { did, ...rest } = metadata;
+  const compact = typeof did === 'string' ? { didHash: didHash(did), ...rest } : metadata;
+  return Object.fromEntries(Object.entries(compact).map(([name, value]) => [
+    name,
+    typeof value === 'string' && HEX_PATTERN.test(value) ? Buffer.from(value, 'hex') : value
+  ]));
+}
+
+/**
+ * Turn the byte strings of decoded compact metadata back into hex
+ * @param {Object} metadata - Decoded metadata
+ * @returns {Object} Metadata
+ */
+function expandMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return metadata;
+  }
+  return Object.fromEntries(Object.entries(metadata).map(([name, value]) => [
+    name,
+    value instanceof Uint8Array ? Buffer.from(value).toString('hex') : value
+  ]));
+}
+
+/**
+ * Read bytes from a bit string
+ * @param {string} bits - Bits as '0' and '1' characters
+ * @param {number} start - First bit
+ * @param {number} count - Byte count
+ * @returns {Buffer} Bytes
+ */
+function bitsToBytes(bits, start, count) {
+  const bytes = Buffer.alloc(count);
+  for (let i = 0; i < count * 8; i++) {
+    if (bits[start + i] === '1') bytes[i >> 3] |= 0x80 >> (i & 7);
+  }
+  return bytes;
+}
+
+/**
+ * Select and key the carriers of a text
+ *
+ * Each carrier is keyed by an HMAC of the words just before and after it, so
+ * the selection survives edits elsewhere in the text.
+ *
+ * @param {string} text - Text
+ * @param {Array<Object>} carriers - Carriers as { start, end, ... } spans, in text order
+ * @param {Object} options - Keying options
+ * @param {string} options.key - Watermark key
+ * @param {string} options.label - Channel label, so each channel is keyed independently
+ * @param {number} options.density - Share of carriers selected, in (0, 1] (default: 0.75)
+ * @param {Function} options.normalize - Maps context words before hashing (default: lower case)
+ * @returns {Array<Object>} Selected carriers, each with flip: 1 if its bit is inverted
+ */
+function keyCarriers(text, carriers, options) {
+  const {
+    key,
+    label,
+    density = DEFAULT_DENSITY,
+    normalize = word => word.toLowerCase()
+  } = options;
+  const secret = requireKey(key);
+  if (!(density > 0 && density <= 1)) {
+    throw new Error('Carrier density must be in (0, 1]');
+  }
+
+  const words = [...text.matchAll(WORD_PATTERN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    word: normalize(match[0])
+  }));
+
+  const keyed = [];
+  let next = 0;
+  for (const carrier of carriers) {
+    // Words are in text order, like the carriers
+    while (next < words.length && words[next].end <= carrier.start) next++;
+    const before = next > 0 ? words[next - 1].word : '';
+    let after = next;
+    while (after < words.length && words[after].start < carrier.end) after++;
+
+    const digest = crypto.createHmac('sha256', secret)
+      .update(`${label}:${before}|${after < words.length ? words[after].word : ''}`)
+      .digest();
+    if (digest.readUInt32BE(0) / 4294967296 < density) {
+      keyed.push({ ...carrier, flip: digest[4] & 1 });
+    }
+  }
+  return keyed;
+}
+
+/**
+ * Count the parity bytes of a packet body
+ * @param {number} dataLength - Data bytes of the body
+ * @param {string} errorCorrection - low, medium or high
+ * @returns {number} Parity bytes
+ */
+function parityBytes(dataLength, errorCorrection) {
+  return Math.max(MIN_PARITY, 2 * Math.ceil(dataLength * ERROR_CORRECTION[errorCorrection] / 2));
+}
+
+/**
+ * Compute the check bytes of a DID hash
+ * @param {Buffer} hash - DID hash
+ * @returns {Buffer} Check bytes
+ */
+function hashCheck(hash) {
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(crc32(hash));
+  return checksum.subarray(0, CHECK_BYTES);
+}
+
+/**
+ * Encode watermark metadata as a text watermark packet
+ * @param {Object} metadata - Metadata to embed
+ * @param {Object} options - Encoding options
+ * @param {string} options.errorCorrection - low, medium or high (default: medium)
+ * @param {boolean} options.compact - Embed a hash of the DID instead of the DID (default: true)
+ * @returns {string} Packet bits as '0' and '1' characters
+ */
+function encodeTextPayload(metadata, options = {}) {
+  const { errorCorrection = 'medium', compact = true } = options;
+  if (!ERROR_CORRECTION[errorCorrection]) {
+    throw new Error(`Unsupported error correction level: ${errorCorrection}`);
+  }
+
+  const content = compact ? compactMetadata(metadata) : metadata;
+  if (compact && content && Object.keys(content).length === 1 && Buffer.isBuffer(content.didHash)) {
+    const data = Buffer.concat([content.didHash, hashCheck(content.didHash)]);
+    return HASH_SYNC + toBits(rsEncode(data, parityBytes(data.length, errorCorrection))).join('');
+  }
+
+  const payload = encodePayload(content);
+  const parity = parityBytes(payload.length, errorCorrection);
+  if (payload.length + parity > MAX_CODEWORD) {
+    throw new Error(`Text watermark payload is too large for ${errorCorrection} error correction (${payload.length} bytes)`);
+  }
+
+  const header = rsEncode(Buffer.from([payload.length, parity]), HEADER_PARITY);
+  return SYNC + toBits(Buffer.concat([header, rsEncode(payload, parity)])).join('');
+}
+
+/**
+ * Measure the distance of the bits at a position from a sync word
+ * @param {string} bits - Carrier bits
+ * @param {number} start - First bit
+ * @param {string} sync - Sync word
+ * @returns {number} Differing bits, counted up to one past the tolerance
+ */
+function syncDistance(bits, start, sync) {
+  let distance = 0;
+  for (let j = 0; j < sync.length && distance <= SYNC_TOLERANCE; j++) {
+    if (bits[start + j] !== sync[j]) distance++;
+  }
+  return distance;
+}
+
+/**
+ * Find the packet headers in a bit string
+ *
+ * A hash packet has no header, so one candidate is listed for each error
+ * correction level.
+ *
+ * @param {string} bits - Carrier bits
+ * @returns {Array<Object>} { start, dataLength, parity, corrected, hashOnly } with start the
+ *   first body bit
+ */
+function findPackets(bits) {
+  const packets = [];
+  const hashData = HASH_BYTES + CHECK_BYTES;
+  const hashParities = [...new Set(Object.keys(ERROR_CORRECTION).map(level => parityBytes(hashData, level)))];
+
+  for (let i = 0; i + SYNC.length <= bits.length; i++) {
+    if (syncDistance(bits, i, HASH_SYNC) <= SYNC_TOLERANCE) {
+      for (const parity of hashParities) {
+        packets.push({ start: i + HASH_SYNC.length, dataLength: hashData, parity, corrected: 0, hashOnly: true });
+      }
+      continue;
+    }
+    if (i + SYNC.length + HEADER_BITS > bits.length || syncDistance(bits, i, SYNC) > SYNC_TOLERANCE) continue;
+
+    const header = rsDecode(bitsToBytes(bits, i + SYNC.length, HEADER_DATA + HEADER_PARITY), HEADER_PARITY);
+    if (!header) continue;
+
+    const [dataLength, parity] = header.data;
+    if (dataLength < MIN_PAYLOAD_BYTES || parity < MIN_PARITY || dataLength + parity > MAX_CODEWORD) continue;
+    packets.push({ start: i + SYNC.length + HEADER_BITS, dataLength, parity, corrected: header.corrected, hashOnly: false });
+  }
+
+  return packets;
+}
+
+/**
+ * Decode a packet body
+ * @param {string} body - Body bits
+ * @param {Object} packet - Packet header (see findPackets)
+ * @returns {Object|null} { metadata, corrected } or null
+ */
+function decodeBody(body, packet) {
+  const decoded = rsDecode(bitsToBytes(body, 0, packet.dataLength + packet.parity), packet.parity);
+  if (!decoded) {
+    return null;
+  }
+  if (packet.hashOnly) {
+    const hash = decoded.data.subarray(0, HASH_BYTES);
+    return hashCheck(hash).equals(decoded.data.subarray(HASH_BYTES))
+      ? { metadata: { didHash: hash }, corrected: decoded.corrected }
+      : null;
+  }
+  const metadata = decodePayload(decoded.data);
+  return metadata ? { metadata, corrected: decoded.corrected } : null;
+}
+
+/**
+ * Decode a packet, realigning it if one of its carriers was lost or added
+ *
+ * A lost or extra bit shifts the rest of the packet, which no parity corrects.
+ * Each byte is tried as the place of the slip: with the shift undone there,
+ * only that byte is wrong.
+ *
+ * @param {string} bits - Carrier bits
+ * @param {Object} packet - Packet header (see findPackets)
+ * @returns {Object|null} { metadata, corrected } or null
+ */
+function decodePacket(bits, packet) {
+  const { start } = packet;
+  const length = (packet.dataLength + packet.parity) * 8;
+
+  if (start + length <= bits.length) {
+    const result = decodeBody(bits.slice(start, start + length), packet);
+    if (result) return result;
+  }
+
+  for (let at = start; at < start + length; at += 8) {
+    const candidates = [];
+    // A lost carrier: restore a bit
+    if (start + length - 1 <= bits.length) {
+      candidates.push(bits.slice(start, at) + '0' + bits.slice(at, start + length - 1));
+    }
+    // An extra carrier: drop a bit
+    if (start + length + 1 <= bits.length) {
+      candidates.push(bits.slice(start, at) + bits.slice(at + 1, start + length + 1));
+    }
+
+    for (const body of candidates) {
+      const result = decodeBody(body, packet);
+      if (result) return result;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode the bitwise majority of packet copies
+ * @param {string} bits - Carrier bits
+ * @param {Array<Object>} packets - Packet headers of the copies, all of the same size
+ * @returns {Object|null} { metadata, corrected } or null
+ */
+function decodeMajority(bits, packets) {
+  const length = (packets[0].dataLength + packets[0].parity) * 8;
+  const copies = packets.filter(packet => packet.start + length <= bits.length);
+  if (copies.length < MIN_VOTES) {
+    return null;
+  }
+
+  let body = '';
+  for (let i = 0; i < length; i++) {
+    const ones = copies.reduce((count, packet) => count + (bits[packet.start + i] === '1' ? 1 : 0), 0);
+    body += ones * 2 > copies.length ? '1' : '0';
+  }
+  return decodeBody(body, packets[0]);
+}
+
+/**
+ * Decode text watermark metadata from carrier bits
+ * @param {string} bits - Carrier bits as '0' and '1' characters, in reading order
+ * @returns {Object|null} { metadata, corrected, capacity, copies, confidence } or null if no
+ *   packet decodes. corrected counts the bytes the parity corrected in the best copy,
+ *   capacity the bytes it can correct, and copies the packets that decoded (or were
+ *   outvoted into one). confidence falls from 1 as the correction nears the capacity.
+ */
+function decodeTextPayload(bits) {
+  if (typeof bits !== 'string') {
+    return null;
+  }
+
+  const packets = findPackets(bits);
+  const decoded = [];
+  for (const packet of packets) {
+    const result = decodePacket(bits, packet);
+    if (result) {
+      decoded.push({ ...result, packet, corrected: result.corrected + packet.corrected });
+    }
+  }
+
+  let best = decoded.sort((a, b) => a.corrected - b.corrected)[0];
+  let copies = decoded.length;
+  if (!best) {
+    // No copy decodes on its own: vote over the copies of each size, the most common first
+    const sizes = new Map();
+    packets.forEach(packet => {
+      const size = `${packet.hashOnly ? 'hash' : 'metadata'}:${packet.dataLength}:${packet.parity}`;
+      sizes.set(size, [...(sizes.get(size) || []), packet]);
+    });
+    for (const group of [...sizes.values()].sort((a, b) => b.length - a.length)) {
+      const result = decodeMajority(bits, group);
+      if (result) {
+        best = { ...result, packet: group[0] };
+        copies = group.length;
+        break;
+      }
+    }
+    if (!best) {
+      return null;
+    }
+  }
+
+  const capacity = Math.floor(best.packet.parity / 2);
+  return {
+    metadata: expandMetadata(best.metadata),
+    corrected: best.corrected,
+    capacity,
+    copies,
+    confidence: Math.max(0, 1 - best.corrected / (capacity + 1))
+  };
+}
+
+module.exports = {
+  encodeTextPayload,
+  decodeTextPayload,
+  keyCarriers,
+  ERROR_CORRECTION
+};
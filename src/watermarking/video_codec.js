@@ -0,0 +1,170 @@
+/**
+ * Video Codecs for Watermarking
+ *
+ * Pure JavaScript YUV4MPEG2 (Y4M) decoding and encoding. Video is handled as a
+ * sequence of raw 8-bit planar frames:
+ *
+ *   { width, height, frameRate, colorspace, parameters, frames: [{ y, u, v }] }
+ *
+ * where frameRate is the Y4M ratio ('25:1', '30000:1001'), colorspace the Y4M
+ * chroma layout (420jpeg, 420mpeg2, 420paldv, 422, 444, mono) and parameters
+ * the remaining header fields, which are kept when re-encoding.
+ */
+
+const Y4M_SIGNATURE = 'YUV4MPEG2';
+const FRAME_MARKER = 'FRAME';
+
+/**
+ * Size of one chroma plane for a colorspace
+ * @param {string} colorspace - Y4M colorspace
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {number} Chroma plane size in bytes (0 for mono)
+ */
+function chromaSize(colorspace, width, height) {
+  switch (colorspace) {
+    // 4:2:0 variants differ only in chroma siting
+    case '420':
+    case '420jpeg':
+    case '420mpeg2':
+    case '420paldv':
+      return Math.ceil(width / 2) * Math.ceil(height / 2);
+
+    case '422':
+      return Math.ceil(width / 2) * height;
+
+    case '444':
+      return width * height;
+
+    case 'mono':
+      return 0;
+
+    default:
+      throw new Error(`Unsupported Y4M colorspace: ${colorspace}`);
+  }
+}
+
+/**
+ * Check whether a buffer holds a Y4M stream
+ * @param {Buffer} buffer - Candidate file contents
+ * @returns {boolean} True for YUV4MPEG2 data
+ */
+function isY4M(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length > 10 &&
+    buffer.toString('latin1', 0, 10) === `${Y4M_SIGNATURE} `;
+}
+
+/**
+ * Check the shape of a decoded video
+ * @param {Object} video - { width, height, colorspace, frames }
+ * @returns {Object} The video
+ */
+function validateVideo(video) {
+  const { width, height, colorspace = '420jpeg', frames } = video || {};
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+    throw new Error('Video width and height must be positive integers');
+  }
+  if (!Array.isArray(frames)) {
+    throw new Error('Video frames must be an array');
+  }
+
+  const chroma = chromaSize(colorspace, width, height);
+  frames.forEach((frame, index) => {
+    if (!frame || !frame.y || frame.y.length !== width * height) {
+      throw new Error(`Frame ${index} must have a ${width}x${height} luma plane`);
+    }
+    if (chroma > 0 && (!frame.u || !frame.v || frame.u.length !== chroma || frame.v.length !== chroma)) {
+      throw new Error(`Frame ${index} must have ${chroma}-byte chroma planes`);
+    }
+  });
+
+  return video;
+}
+
+/**
+ * Decode a Y4M stream
+ * @param {Buffer} buffer - Y4M file contents
+ * @returns {Object} { width, height, frameRate, colorspace, parameters, frames }
+ */
+function decodeY4M(buffer) {
+  if (!isY4M(buffer)) {
+    throw new Error('Not a Y4M stream');
+  }
+
+  const headerEnd = buffer.indexOf(0x0a);
+  if (headerEnd < 0) {
+    throw new Error('Truncated Y4M header');
+  }
+
+  const video = { width: 0, height: 0, frameRate: null, colorspace: '420jpeg', parameters: [], frames: [] };
+  for (const token of buffer.toString('latin1', 10, headerEnd).split(' ').filter(Boolean)) {
+    const value = token.substring(1);
+    switch (token[0]) {
+      case 'W': video.width = parseInt(value, 10); break;
+      case 'H': video.height = parseInt(value, 10); break;
+      case 'F': video.frameRate = value; break;
+      case 'C': video.colorspace = value; break;
+      // Interlacing, aspect ratio and extensions are passed through
+      default: video.parameters.push(token);
+    }
+  }
+
+  const { width, height, colorspace } = video;
+  if (!(width > 0 && height > 0)) {
+    throw new Error('Y4M header has no frame size');
+  }
+
+  const lumaSize = width * height;
+  const chroma = chromaSize(colorspace, width, height);
+
+  let offset = headerEnd + 1;
+  while (offset < buffer.length) {
+    const lineEnd = buffer.indexOf(0x0a, offset);
+    if (lineEnd < 0 || buffer.toString('latin1', offset, offset + FRAME_MARKER.length) !== FRAME_MARKER) {
+      throw new Error(`Invalid Y4M frame header at byte ${offset}`);
+    }
+
+    const start = lineEnd + 1;
+    if (start + lumaSize + 2 * chroma > buffer.length) {
+      throw new Error(`Truncated Y4M frame ${video.frames.length}`);
+    }
+
+    video.frames.push({
+      y: Buffer.from(buffer.slice(start, start + lumaSize)),
+      u: chroma > 0 ? Buffer.from(buffer.slice(start + lumaSize, start + lumaSize + chroma)) : null,
+      v: chroma > 0 ? Buffer.from(buffer.slice(start + lumaSize + chroma, start + lumaSize + 2 * chroma)) : null
+    });
+    offset = start + lumaSize + 2 * chroma;
+  }
+
+  return video;
+}
+
+/**
+ * Encode a video as a Y4M stream
+ * @param {Object} video - { width, height, frameRate, colorspace, parameters, frames }
+ * @returns {Buffer} Y4M file contents
+ */
+function encodeY4M(video) {
+  const { width, height, frameRate, colorspace = '420jpeg', parameters = [], frames } = validateVideo(video);
+
+  const header = [Y4M_SIGNATURE, `W${width}`, `H${height}`, `F${frameRate || '25:1'}`, ...parameters, `C${colorspace}`];
+  const parts = [Buffer.from(`${header.join(' ')}\n`, 'latin1')];
+  const frameHeader = Buffer.from(`${FRAME_MARKER}\n`, 'latin1');
+
+  for (const frame of frames) {
+    parts.push(frameHeader, frame.y);
+    if (frame.u && frame.v) {
+      parts.push(frame.u, frame.v);
+    }
+  }
+
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  decodeY4M,
+  encodeY4M,
+  isY4M,
+  validateVideo
+};
@@ -0,0 +1,278 @@
+/**
+ * Video Watermark Embedding and Detection
+ *
+ * Embeds watermark metadata into a sequence of frames through the image
+ * watermark slots (see image_watermark.js) of each frame's luminance.
+ *
+ * The payload (length-prefixed CBOR with its CRC-32) is cut into slices. Every
+ * frame carries one slice, with its index, the slice count and a frame
+ * checksum, repeated over the whole frame. Each slice is held for several
+ * consecutive frames and the slices cycle for the whole video, so any segment
+ * of sliceCount * framesPerSlice frames carries the complete payload, and the
+ * neighbours of a frame that lost its mark still carry its slice.
+ *
+ * Detection decodes every frame on its own, reports the frame ranges holding a
+ * valid mark and assembles the payload from the slices found.
+ *
+ * Videos are accepted as Y4M streams, decoded Y4M objects
+ * ({ width, height, frames: [{ y, u, v }] }, marked in the luma plane) or arrays
+ * of RGB/RGBA frames ({ width, height, channels, data }), and returned in the
+ * same form.
+ */
+
+const { decodeY4M, encodeY4M, isY4M, validateVideo } = require('./video_codec');
+const { validateImage } = require('./image_codec');
+const { openSlots } = require('./image_watermark');
+const { encodePayload, decodePayload, toBits, softToBytes, crc32, requireKey } = require('./watermark_payload');
+
+/**
+ * Minimum copies of each frame bit within a frame, for each robustness level
+ */
+const FRAME_REPETITIONS = {
+  low: 16,
+  medium: 32,
+  high: 64
+};
+
+const MAX_SLICE_BYTES = 16;
+const MAX_SLICES = 255;
+
+/**
+ * Resolve and check watermark options
+ * @param {Object} options - { method, alpha, robustness, key, framesPerSlice }
+ * @returns {Object} Resolved options
+ */
+function resolveOptions(options = {}) {
+  const { method = 'dct', robustness = 'medium', framesPerSlice = 3 } = options;
+
+  if (!FRAME_REPETITIONS[robustness]) {
+    throw new Error(`Unsupported watermark robustness: ${robustness}`);
+  }
+  if (!Number.isInteger(framesPerSlice) || framesPerSlice < 1) {
+    throw new Error('framesPerSlice must be a positive integer');
+  }
+
+  return { ...options, method, robustness, framesPerSlice, key: requireKey(options.key) };
+}
+
+/**
+ * Convert a video input to frame images
+ * @param {Buffer|Object|Array<Object>} video - Y4M stream, Y4M object or RGB(A) frames
+ * @returns {Object} { form, source, images }
+ */
+function readFrames(video) {
+  if (isY4M(video)) {
+    const source = decodeY4M(video);
+    return { form: 'y4m', source, images: lumaImages(source) };
+  }
+
+  if (Array.isArray(video)) {
+    return { form: 'images', source: video, images: video.map(validateImage) };
+  }
+
+  if (video && typeof video === 'object') {
+    const source = validateVideo(video);
+    return { form: 'planes', source, images: lumaImages(source) };
+  }
+
+  throw new Error('Videos must be Y4M streams, Y4M frame objects or arrays of frames');
+}
+
+/**
+ * Wrap the luma planes of a planar video as single-channel images
+ * @param {Object} video - { width, height, frames }
+ * @returns {Array<Object>} Frame images
+ */
+function lumaImages(video) {
+  const { width, height } = video;
+  return video.frames.map(frame => ({ width, height, channels: 1, data: frame.y }));
+}
+
+/**
+ * Convert watermarked frame images back to the form of the input
+ * @param {Object} input - Result of readFrames
+ * @param {Array<Object>} images - Watermarked frame images
+ * @returns {Buffer|Object|Array<Object>} Video
+ */
+function writeFrames(input, images) {
+  const { form, source } = input;
+  if (form === 'images') {
+    return images;
+  }
+
+  const video = {
+    ...source,
+    frames: source.frames.map((frame, index) => ({ ...frame, y: images[index].data }))
+  };
+  return form === 'y4m' ? encodeY4M(video) : video;
+}
+
+/**
+ * Number of payload bytes each frame carries
+ * @param {number} slots - Watermark slots per frame
+ * @param {string} robustness - Robustness level
+ * @returns {number} Slice size in bytes (0 if frames are too small)
+ */
+function sliceSize(slots, robustness) {
+  const frameBits = Math.floor(slots / FRAME_REPETITIONS[robustness]);
+  return Math.max(0, Math.min(MAX_SLICE_BYTES, Math.floor((frameBits - 32) / 8)));
+}
+
+/**
+ * Build the bits of a frame: slice index, slice count, slice and checksum
+ * @param {number} index - Slice index
+ * @param {number} count - Slice count
+ * @param {Buffer} slice - Slice bytes
+ * @returns {Array<number>} Frame bits
+ */
+function frameBits(index, count, slice) {
+  const body = Buffer.concat([Buffer.from([index, count]), slice]);
+  const check = Buffer.alloc(2);
+  check.writeUInt16BE(crc32(body) & 0xffff);
+  return toBits(Buffer.concat([body, check]));
+}
+
+/**
+ * Embed watermark metadata into a video
+ * @param {Buffer|Object|Array<Object>} video - Video (see module description)
+ * @param {Object} metadata - Metadata to embed
+ * @param {Object} options - Watermark options
+ * @param {string} options.method - Image embedding method per frame (default: dct)
+ * @param {number} options.alpha - Strength of the dct and dwt methods, in (0, 1] (default: 0.1)
+ * @param {string} options.robustness - low, medium or high (default: medium)
+ * @param {number} options.framesPerSlice - Consecutive frames carrying each slice (default: 3)
+ * @param {string} options.key - Secret key of the slot order and dither
+ * @returns {Buffer|Object|Array<Object>} Watermarked video, in the form of the input
+ */
+function embedVideoWatermark(video, metadata, options = {}) {
+  const resolved = resolveOptions(options);
+  const input = readFrames(video);
+  const { images } = input;
+  if (images.length === 0) {
+    throw new Error('Video has no frames');
+  }
+
+  const slots = openSlots(images[0], resolved);
+  const sliceBytes = sliceSize(slots.count, resolved.robustness);
+  if (sliceBytes === 0) {
+    throw new Error(`Video frames too small for a ${resolved.robustness} robustness watermark`);
+  }
+
+  const payload = encodePayload(metadata);
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(payload.length);
+  const packet = Buffer.concat([length, payload]);
+  const count = Math.ceil(packet.length / sliceBytes);
+  if (count > MAX_SLICES) {
+    throw new Error(`Video watermark payload is too large (${payload.length} bytes)`);
+  }
+  if (images.length < count * resolved.framesPerSlice) {
+    throw new Error(`Video too short for a watermark: at least ${count * resolved.framesPerSlice} frames needed`);
+  }
+
+  const slices = Array.from({ length: count }, (_, index) => {
+    const slice = Buffer.alloc(sliceBytes);
+    packet.copy(slice, 0, index * sliceBytes, (index + 1) * sliceBytes);
+    return frameBits(index, count, slice);
+  });
+
+  const marked = images.map((image, frame) => {
+    const frameSlots = openSlots(image, resolved);
+    frameSlots.write(slices[Math.floor(frame / resolved.framesPerSlice) % count], 0, frameSlots.count);
+    return frameSlots.toImage();
+  });
+
+  return writeFrames(input, marked);
+}
+
+/**
+ * Detect watermark metadata in a video or a segment of one
+ *
+ * Frames are decoded independently, so segments cut at any frame work. The
+ * metadata is null when the marked frames do not cover every slice.
+ *
+ * @param {Buffer|Object|Array<Object>} video - Video (see module description)
+ * @param {Object} options - Watermark options (see embedVideoWatermark)
+ * @returns {Object|null} { metadata, confidence, frameRanges, sliceCount, missingSlices },
+ *   or null if no frame carries a mark. frameRanges lists the runs of input frames with a
+ *   valid mark as inclusive { start, end } indexes; confidence is their share of all frames.
+ */
+function detectVideoWatermark(video, options = {}) {
+  const resolved = resolveOptions(options);
+  const { images } = readFrames(video);
+  if (images.length === 0) {
+    return null;
+  }
+
+  const sliceBytes = sliceSize(openSlots(images[0], resolved).count, resolved.robustness);
+  if (sliceBytes === 0) {
+    return null;
+  }
+  const bitCount = (sliceBytes + 4) * 8;
+
+  // Decode each frame on its own
+  const marks = [];
+  images.forEach((image, frame) => {
+    const slots = openSlots(image, resolved);
+    const { sums } = slots.read(bitCount, 0, slots.count);
+    const bytes = softToBytes(sums);
+    const body = bytes.slice(0, sliceBytes + 2);
+    const [index, count] = bytes;
+
+    if (count > 0 && index < count && (crc32(body) & 0xffff) === bytes.readUInt16BE(sliceBytes + 2)) {
+      marks.push({ frame, index, count, sums: sums.slice(16, 16 + sliceBytes * 8) });
+    }
+  });
+
+  if (marks.length === 0) {
+    return null;
+  }
+
+  // Keep the marks of the most common packet layout
+  const tally = new Map();
+  marks.forEach(mark => tally.set(mark.count, (tally.get(mark.count) || 0) + 1));
+  const sliceCount = [...tally.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  const valid = marks.filter(mark => mark.count === sliceCount);
+
+  const frameRanges = [];
+  for (const { frame } of valid) {
+    const last = frameRanges[frameRanges.length - 1];
+    if (last && last.end === frame - 1) {
+      last.end = frame;
+    } else {
+      frameRanges.push({ start: frame, end: frame });
+    }
+  }
+
+  // Combine the copies of each slice
+  const combined = Array.from({ length: sliceCount }, () => null);
+  for (const { index, sums } of valid) {
+    combined[index] = combined[index] ? combined[index].map((sum, i) => sum + sums[i]) : Float64Array.from(sums);
+  }
+
+  const missingSlices = [];
+  combined.forEach((sums, index) => {
+    if (!sums) missingSlices.push(index);
+  });
+
+  let metadata = null;
+  if (missingSlices.length === 0) {
+    const packet = Buffer.concat(combined.map(softToBytes));
+    const length = packet.readUInt16BE(0);
+    metadata = length + 2 <= packet.length ? decodePayload(packet.slice(2, 2 + length)) : null;
+  }
+
+  return {
+    metadata,
+    confidence: valid.length / images.length,
+    frameRanges,
+    sliceCount,
+    missingSlices
+  };
+}
+
+module.exports = {
+  embedVideoWatermark,
+  detectVideoWatermark,
+  FRAME_REPETITIONS
+};
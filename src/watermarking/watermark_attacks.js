@@ -0,0 +1,258 @@
+/**
+ * Watermark Attacks
+ *
+ * Transformations that watermarked content commonly goes through after its
+ * release, for the robustness benchmark (see robustness_benchmark.js). An
+ * attack is { name, description, apply(resource, random) }: apply returns an
+ * attacked copy, drawing any randomness from random (uniform numbers in
+ * [0, 1)) so benchmark runs are reproducible.
+ *
+ * Text attacks: whitespace normalization, Unicode NFKC normalization,
+ * punctuation replacement and paraphrase by synonyms. Model attacks (models
+ * as { parameters: { <layer>: numbers } }): magnitude pruning, fine-tuning
+ * noise and quantization.
+ */
+
+// Unicode spaces that editors and pipelines turn into plain spaces
+const UNICODE_SPACES = /[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g;
+const ZERO_WIDTH = /[\u200B-\u200D\u2060\uFEFF]/g;
+
+// Editorial punctuation substitutions
+const PUNCTUATION_REPLACEMENTS = {
+  '"': '\u201D',
+  "'": '\u2019',
+  '-': '\u2013',
+  ';': ',',
+  '!': '.'
+};
+
+// Synonyms of common words, each group interchangeable
+const SYNONYM_GROUPS = [
+  ['big', 'large', 'huge'],
+  ['small', 'little', 'tiny'],
+  ['quick', 'fast', 'rapid'],
+  ['good', 'great', 'fine'],
+  ['bad', 'poor'],
+  ['begin', 'start'],
+  ['end', 'finish'],
+  ['make', 'create'],
+  ['use', 'employ'],
+  ['help', 'assist'],
+  ['show', 'display'],
+  ['get', 'obtain'],
+  ['need', 'require'],
+  ['buy', 'purchase'],
+  ['many', 'numerous'],
+  ['often', 'frequently'],
+  ['also', 'too'],
+  ['very', 'really'],
+  ['about', 'regarding'],
+  ['important', 'significant'],
+  ['easy', 'simple'],
+  ['hard', 'difficult'],
+  ['said', 'stated'],
+  ['above', 'over'],
+  ['quiet', 'silent'],
+  ['bright', 'brilliant'],
+  ['shine', 'glow'],
+  ['jumps', 'leaps'],
+  ['lazy', 'idle']
+];
+
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const word of group) {
+    SYNONYMS.set(word, group.filter(other => other !== word));
+  }
+}
+
+/**
+ * Draw a standard normal number
+ * @param {Function} random - Generator of uniform numbers in [0, 1)
+ * @returns {number} Normal deviate (Box-Muller)
+ */
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Copy a model with each layer transformed
+ * @param {Object} model - { parameters: { <layer>: numbers } }
+ * @param {Function} transform - Maps a Float64Array of weights to the attacked weights
+ * @returns {Object} Model copy, each layer in the array type of the original
+ */
+function mapLayers(model, transform) {
+  if (!model || typeof model.parameters !== 'object' || model.parameters === null) {
+    throw new Error('Model must have a parameters object of named numeric arrays');
+  }
+
+  const parameters = {};
+  for (const [name, values] of Object.entries(model.parameters)) {
+    const attacked = transform(Float64Array.from(values));
+    parameters[name] = Array.isArray(values) ? Array.from(attacked) : new values.constructor(attacked);
+  }
+  return { ...model, parameters };
+}
+
+/**
+ * Root mean square of weights
+ * @param {Float64Array} values - Weights
+ * @returns {number} RMS
+ */
+function rms(values) {
+  let energy = 0;
+  for (let i = 0; i < values.length; i++) {
+    energy += values[i] * values[i];
+  }
+  return Math.sqrt(energy / Math.max(1, values.length));
+}
+
+/**
+ * Normalize whitespace as editors and text pipelines do
+ * @returns {Object} Attack replacing Unicode spaces, removing zero-width characters and
+ *   collapsing runs of spaces and blank lines
+ */
+function whitespaceNormalizationAttack() {
+  return {
+    name: 'whitespace-normalization',
+    description: 'Unicode spaces replaced, zero-width characters removed, runs of spaces and blank lines collapsed',
+    apply: text => text
+      .replace(UNICODE_SPACES, ' ')
+      .replace(ZERO_WIDTH, '')
+      .replace(/ {2,}/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+  };
+}
+
+/**
+ * Apply Unicode compatibility normalization
+ * @returns {Object} Attack normalizing to NFKC
+ */
+function nfkcAttack() {
+  return {
+    name: 'unicode-nfkc',
+    description: 'Unicode NFKC normalization',
+    apply: text => text.normalize('NFKC')
+  };
+}
+
+/**
+ * Replace punctuation marks with editorial equivalents
+ * @param {number} probability - Share of marks replaced (default: 0.5)
+ * @returns {Object} Attack replacing straight quotes and hyphens with typographic ones,
+ *   semicolons with commas and exclamation marks with periods
+ */
+function punctuationReplacementAttack(probability = 0.5) {
+  return {
+    name: 'punctuation-replacement',
+    description: `${Math.round(probability * 100)}% of quotes, hyphens, semicolons and exclamation marks replaced`,
+    apply: (text, random) => text.replace(/["';!-]/g, mark => (
+      random() < probability ? PUNCTUATION_REPLACEMENTS[mark] : mark
+    ))
+  };
+}
+
+/**
+ * Paraphrase by replacing words with synonyms
+ * @param {number} probability - Share of words with a synonym that are replaced (default: 0.3)
+ * @returns {Object} Attack replacing common words with a synonym, keeping their capitalization
+ */
+function synonymParaphraseAttack(probability = 0.3) {
+  return {
+    name: 'synonym-paraphrase',
+    description: `${Math.round(probability * 100)}% of common words replaced with a synonym`,
+    apply: (text, random) => text.replace(/[A-Za-z]+/g, word => {
+      const synonyms = SYNONYMS.get(word.toLowerCase());
+      if (!synonyms || random() >= probability) {
+        return word;
+      }
+      const synonym = synonyms[Math.floor(random() * synonyms.length)];
+      return word[0] === word[0].toUpperCase() ? synonym[0].toUpperCase() + synonym.substring(1) : synonym;
+    })
+  };
+}
+
+/**
+ * Prune the weights of smallest magnitude
+ * @param {number} fraction - Share of the weights of each layer set to zero (default: 0.2)
+ * @returns {Object} Attack applying per-layer magnitude pruning
+ */
+function pruningAttack(fraction = 0.2) {
+  return {
+    name: 'pruning',
+    description: `${Math.round(fraction * 100)}% of the weights of each layer pruned by magnitude`,
+    apply: model => mapLayers(model, values => {
+      const count = Math.floor(values.length * fraction);
+      if (count === 0) {
+        return values;
+      }
+      const threshold = Float64Array.from(values, Math.abs).sort()[count - 1];
+      let pruned = 0;
+      return values.map(value => (Math.abs(value) <= threshold && pruned++ < count ? 0 : value));
+    })
+  };
+}
+
+/**
+ * Add the weight drift of fine-tuning
+ * @param {number} scale - Noise level relative to the RMS of each layer (default: 0.01)
+ * @returns {Object} Attack adding Gaussian noise to every weight
+ */
+function fineTuneNoiseAttack(scale = 0.01) {
+  return {
+    name: 'fine-tune-noise',
+    description: `Gaussian noise at ${scale * 100}% of the RMS of each layer`,
+    apply: (model, random) => mapLayers(model, values => {
+      const level = scale * rms(values);
+      return values.map(value => value + level * gaussian(random));
+    })
+  };
+}
+
+/**
+ * Quantize the weights
+ * @param {number} bits - Bits per weight (default: 8)
+ * @returns {Object} Attack applying symmetric per-layer uniform quantization
+ */
+function quantizationAttack(bits = 8) {
+  return {
+    name: 'quantization',
+    description: `Symmetric ${bits}-bit quantization of each layer`,
+    apply: model => mapLayers(model, values => {
+      const peak = values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+      if (peak === 0) {
+        return values;
+      }
+      const step = peak / (2 ** (bits - 1) - 1);
+      return values.map(value => Math.round(value / step) * step);
+    })
+  };
+}
+
+/**
+ * Default attacks of each resource type
+ */
+const ATTACKS = {
+  text: [
+    whitespaceNormalizationAttack(),
+    nfkcAttack(),
+    punctuationReplacementAttack(),
+    synonymParaphraseAttack()
+  ],
+  'ai-model': [
+    pruningAttack(),
+    fineTuneNoiseAttack(),
+    quantizationAttack()
+  ]
+};
+
+module.exports = {
+  ATTACKS,
+  whitespaceNormalizationAttack,
+  nfkcAttack,
+  punctuationReplacementAttack,
+  synonymParaphraseAttack,
+  pruningAttack,
+  fineTuneNoiseAttack,
+  quantizationAttack
+};
@@ -6,13 +6,26 @@
  * It implements a multi-layer watermarking approach tailored to each resource type.
  */
 
+const { decodeImage, encodeImage, detectImageFormat, validateImage, IMAGE_FORMATS } = require('./image_codec');
+const { embedImageWatermark, detectImageWatermark } = require('./image_watermark');
+const { decodeWAV, encodeWAV, decodePCM, encodePCM, isWAV, validateAudio } = require('./audio_codec');
+const { embedAudioWatermark, detectAudioWatermark } = require('./audio_watermark');
+const { embedVideoWatermark, detectVideoWatermark } = require('./video_watermark');
+const { embedDatasetWatermark, detectDatasetWatermark, traceDatasetWatermark } = require('./dataset_watermark');
+const { embedCodeWatermark, detectCodeWatermark } = require('./code_watermark');
+const { embedModelWatermark, detectModelWatermark, readModelBits, readDidMarkBits } = require('./model_watermark');
+const { encodeTextPayload, decodeTextPayload, keyCarriers } = require('./text_payload');
+const { didHash } = require('./watermark_payload');
+const { runRobustnessBenchmark } = require('./robustness_benchmark');
+
 /**
  * Base class for resource-specific watermarking strategies
  */
 class WatermarkStrategy {
   /**
    * Create a watermarking strategy
-   * @param {Object} options - Strategy configuration options
+   * @param {Object} options - Strategy configuration options, with the secret watermark key
+   *   (key) that embedding requires; there is no default key
    */
   constructor(options = {}) {
     this.options = options;
@@ -55,10 +68,66 @@ class WatermarkStrategy {
   async calculateStrength(resource) {
     throw new Error('Method not implemented');
   }
+
+  /**
+   * Read the raw channel bits of a resource, for bit error rates in robustness benchmarks
+   * @param {*} resource - The resource to analyze
+   * @param {Object} metadata - Expected metadata, for marks that cannot be read without it
+   * @returns {Promise<string|null>} Bits as a string of 0s and 1s, or null if the strategy
+   *   does not expose them
+   */
+  async extractBits(resource, metadata) {
+    return null;
+  }
+
+  /**
+   * Record the robustness benchmark report of this strategy
+   * @param {Object} report - Report of runRobustnessBenchmark (see robustness_benchmark.js)
+   */
+  setBenchmark(report) {
+    this.benchmark = report;
+  }
 }
 
+/**
+ * Carriers of the text watermark layers, in the order their bits are read
+ */
+const TEXT_LAYERS = [
+  {
+    // Space between words: a regular space for 0; a no-break, zero-width + regular or hair space for 1
+    option: 'useUnicodeSpaces',
+    pattern: /(?<=[^\s\u200B.,;:!?-])(?:\u200B | |\u00A0|\u200A)/g,
+    write: (bit, index) => (bit === 0 ? ' ' : ['\u00A0', '\u200B ', '\u200A'][index % 3]),
+    read: carrier => (carrier === ' ' ? 0 : 1)
+  },
+  {
+    // Gap after a punctuation mark: one space for 0, two for 1
+    option: 'usePunctuationVariation',
+    pattern: /(?<=[.,;:!?-]) {1,2}(?=\S)/g,
+    write: bit => (bit === 0 ? ' ' : '  '),
+    read: carrier => (carrier.length === 1 ? 0 : 1)
+  },
+  {
+    // Paragraph break: one blank line for 0, two for 1
+    option: 'useLineBreakVariation',
+    pattern: /(?<=[^\n])\n{2,3}(?=[^\n])/g,
+    write: bit => (bit === 0 ? '\n\n' : '\n\n\n'),
+    read: carrier => (carrier.length === 2 ? 0 : 1)
+  }
+];
+
 /**
  * Strategy for watermarking text-based resources
+ *
+ * Spreads whole copies of the payload packet (see text_payload.js) over the
+ * spaces, punctuation gaps and paragraph breaks of the text, so flipped, lost
+ * or added carriers are corrected on detection. Texts too short for the
+ * metadata carry only a hash of the DID, which verify() accepts. The watermark
+ * key decides which carriers hold a bit and which hold it inverted.
+ *
+ * The mark is fragile: it survives punctuation replacement, but whitespace
+ * normalization, Unicode NFKC and synonym paraphrase remove it (detection rate
+ * 0 in the robustness benchmark).
  */
 class TextWatermarkStrategy extends WatermarkStrategy {
   constructor(options = {}) {
@@ -68,183 +137,74 @@ class TextWatermarkStrategy extends WatermarkStrategy {
       usePunctuationVariation: true,
       useLineBreakVariation: true,
       useSynonymSubstitution: false,
-      robustness: 'medium', // low, medium, high
+      robustness: 'medium', // low, medium, high (share of error correction parity)
+      compact: true, // Embed a hash of the DID instead of the DID
+      density: 0.75, // Share of the carriers that hold a bit
       ...options
     });
   }
 
   /**
-   * Convert metadata to a binary representation
-   * @param {Object} metadata - Metadata to convert
-   * @returns {string} Binary string representation
+   * List the enabled carrier layers
+   * @returns {Array<Object>} Layers
    * @private
    */
-  _metadataToBinary(metadata) {
-    // Simple implementation - in practice would use more sophisticated encoding
-    // with error correction codes
-    const json = JSON.stringify(metadata);
-    let binary = '';
-    for (let i = 0; i < json.length; i++) {
-      const charCode = json.charCodeAt(i);
-      const binaryChar = charCode.toString(2).padStart(8, '0');
-      binary += binaryChar;
-    }
-    return binary;
+  _layers() {
+    return TEXT_LAYERS.filter(layer => this.options[layer.option]);
   }
 
   /**
-   * Extract binary data from a watermarked text
-   * @param {string} text - Watermarked text
-   * @returns {string} Binary string
+   * Find the keyed carriers of a text
+   * @param {string} text - Text
+   * @returns {Array<Object>} { start, end, carrier, layer, flip } for the carriers selected
+   *   by the key, layer by layer
    * @private
    */
-  _extractBinary(text) {
-    // This is a placeholder implementation
-    // In a real system, would reverse the embedding process
-    let binary = '';
-    // Detection logic would go here
-    return binary;
+  _carriers(text) {
+    return this._layers().flatMap(layer => keyCarriers(
+      text,
+      [...text.matchAll(layer.pattern)].map(match => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        carrier: match[0],
+        layer
+      })),
+      { key: this.options.key, label: layer.option, density: this.options.density }
+    ));
   }
 
   /**
-   * Convert binary data back to metadata
-   * @param {string} binary - Binary string
-   * @returns {Object|null} Extracted metadata or null if invalid
-   * @private
-   */
-  _binaryToMetadata(binary) {
-    try {
-      // Convert binary to string
-      let result = '';
-      // Process 8 bits at a time (one character)
-      for (let i = 0; i < binary.length; i += 8) {
-        const byte = binary.substr(i, 8);
-        const charCode = parseInt(byte, 2);
-        result += String.fromCharCode(charCode);
-      }
-      
-      // Parse the JSON result
-      return JSON.parse(result);
-    } catch (error) {
-      console.error('Failed to convert binary to metadata:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Embed spaces-based watermark
+   * Write bits into the keyed carriers of the enabled layers
    * @param {string} text - Original text
-   * @param {string} binary - Binary data to embed
+   * @param {Array<Object>} carriers - Keyed carriers (see _carriers)
+   * @param {string} bits - Bits as '0' and '1' characters, at most one per carrier
    * @returns {string} Watermarked text
    * @private
    */
-  _embedUnicodeSpaces(text, binary) {
-    if (!this.options.useUnicodeSpaces) return text;
-    
-    // Unicode space characters
-    const regularSpace = ' ';                    // U+0020
-    const nonBreakingSpace = '\u00A0';           // U+00A0
-    const zeroWidthSpace = '\u200B';             // U+200B
-    const hairSpace = '\u200A';                  // U+200A
-    
-    let result = '';
-    let binaryIndex = 0;
-    
-    // Process the text character by character
-    for (let i = 0; i < text.length; i++) {
-      const char = text[i];
-      
-      // If it's a regular space and we still have binary data to embed
-      if (char === regularSpace && binaryIndex < binary.length) {
-        const bit = binary[binaryIndex++];
-        
-        // Choose a space character based on the current bit
-        if (bit === '0') {
-          result += regularSpace;
-        } else {
-          // Rotate through different space characters for '1' bits
-          const spaceType = (binaryIndex % 3);
-          if (spaceType === 0) result += nonBreakingSpace;
-          else if (spaceType === 1) result += zeroWidthSpace + regularSpace;
-          else result += hairSpace;
-        }
-      } else {
-        result += char;
-      }
-    }
-    
-    return result;
-  }
+  _embedBinary(text, carriers, bits) {
+    const written = carriers.slice(0, bits.length)
+      .map((carrier, index) => ({ ...carrier, index, bit: Number(bits[index]) ^ carrier.flip }))
+      .sort((a, b) => a.start - b.start);
 
-  /**
-   * Embed punctuation-based watermark
-   * @param {string} text - Original text
-   * @param {string} binary - Binary data to embed
-   * @returns {string} Watermarked text
-   * @private
-   */
-  _embedPunctuationVariation(text, binary) {
-    if (!this.options.usePunctuationVariation) return text;
-    
-    const punctuation = ['.', ',', ';', ':', '!', '?', '-'];
     let result = '';
-    let binaryIndex = 0;
-    
-    for (let i = 0; i < text.length; i++) {
-      const char = text[i];
-      
-      // If it's a punctuation mark and we still have binary data to embed
-      if (punctuation.includes(char) && binaryIndex < binary.length) {
-        const bit = binary[binaryIndex++];
-        
-        // Add the punctuation mark
-        result += char;
-        
-        // Add space after punctuation based on the bit
-        if (bit === '0') {
-          result += ' '; // Single space for '0'
-        } else {
-          result += '  '; // Double space for '1'
-        }
-      } else {
-        result += char;
-      }
+    let last = 0;
+    for (const carrier of written) {
+      result += text.substring(last, carrier.start) + carrier.layer.write(carrier.bit, carrier.index);
+      last = carrier.end;
     }
-    
-    return result;
+    return result + text.substring(last);
   }
 
   /**
-   * Embed line break watermark
-   * @param {string} text - Original text
-   * @param {string} binary - Binary data to embed
-   * @returns {string} Watermarked text
+   * Extract binary data from a watermarked text
+   * @param {string} text - Watermarked text
+   * @returns {string} Bits of the keyed carriers of the enabled layers
    * @private
    */
-  _embedLineBreakVariation(text, binary) {
-    if (!this.options.useLineBreakVariation) return text;
-    
-    // Split text into paragraphs
-    const paragraphs = text.split('\n\n');
-    let result = [];
-    let binaryIndex = 0;
-    
-    for (let i = 0; i < paragraphs.length && binaryIndex < binary.length; i++) {
-      const paragraph = paragraphs[i];
-      result.push(paragraph);
-      
-      // At the end of each paragraph, embed a bit
-      if (binaryIndex < binary.length) {
-        const bit = binary[binaryIndex++];
-        if (bit === '0') {
-          result.push(''); // Single line break for '0'
-        } else {
-          result.push('', ''); // Double line break for '1'
-        }
-      }
-    }
-    
-    return result.join('\n');
+  _extractBinary(text) {
+    return this._carriers(text)
+      .map(carrier => carrier.layer.read(carrier.carrier) ^ carrier.flip)
+      .join('');
   }
 
   async embed(text, metadata) {
@@ -252,40 +212,53 @@ class TextWatermarkStrategy extends WatermarkStrategy {
       if (typeof text !== 'string') {
         throw new Error('Resource must be a string for text watermarking');
       }
-      
-      // Convert metadata to binary
-      const binary = this._metadataToBinary(metadata);
-      
-      // Apply watermarking techniques in layers
-      let watermarkedText = text;
-      
-      // Apply Unicode space variation
-      watermarkedText = this._embedUnicodeSpaces(watermarkedText, binary);
-      
-      // Apply punctuation variation
-      watermarkedText = this._embedPunctuationVariation(watermarkedText, binary);
-      
-      // Apply line break variation
-      watermarkedText = this._embedLineBreakVariation(watermarkedText, binary);
-      
-      return watermarkedText;
+
+      // Embed the full metadata if it fits, otherwise only the DID
+      const carriers = this._carriers(text);
+      const capacity = carriers.length;
+      const codec = { errorCorrection: this.options.robustness, compact: this.options.compact };
+      const payloads = metadata.did ? [metadata, { did: metadata.did }] : [metadata];
+      const packets = payloads.flatMap((payload, index) => {
+        if (index === payloads.length - 1) {
+          return [encodeTextPayload(payload, codec)];
+        }
+        // Skip payloads too large for the error correction, such as signed metadata at high robustness
+        try {
+          return [encodeTextPayload(payload, codec)];
+        } catch (error) {
+          return [];
+        }
+      });
+      const packet = packets.find(bits => bits.length <= capacity);
+      if (!packet) {
+        throw new Error(`Text too short for a watermark: ${packets[packets.length - 1].length} spaces, punctuation gaps or paragraph breaks needed, ${capacity} found`);
+      }
+
+      // Repeat the packet over all carriers, so damage to one copy leaves the others
+      return this._embedBinary(text, carriers, packet.repeat(Math.floor(capacity / packet.length)));
     } catch (error) {
       console.error('Text watermarking failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Detect the watermark of a text along with its error correction
+   * @param {string} text - Watermarked text
+   * @returns {Object|null} { metadata, corrected, capacity, copies, confidence } or null
+   * @private
+   */
+  _detect(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Resource must be a string for text watermark detection');
+    }
+    return decodeTextPayload(this._extractBinary(text));
+  }
+
   async detect(text) {
     try {
-      if (typeof text !== 'string') {
-        throw new Error('Resource must be a string for text watermark detection');
-      }
-      
-      // Extract binary data from the watermarked text
-      const binary = this._extractBinary(text);
-      
-      // Convert binary back to metadata
-      return this._binaryToMetadata(binary);
+      const result = this._detect(text);
+      return result ? result.metadata : null;
     } catch (error) {
       console.error('Text watermark detection failed:', error);
       return null;
@@ -295,54 +268,128 @@ class TextWatermarkStrategy extends WatermarkStrategy {
   async verify(text, metadata) {
     const detectedMetadata = await this.detect(text);
     if (!detectedMetadata) return false;
-    
-    // Compare essential fields in the metadata
-    // This implementation would be more sophisticated in practice
-    return detectedMetadata.did === metadata.did;
+
+    if (detectedMetadata.did) {
+      return detectedMetadata.did === metadata.did;
+    }
+    return detectedMetadata.didHash === didHash(metadata.did);
   }
 
   async calculateStrength(text) {
-    // In a real implementation, would measure various statistical properties
-    // of the watermarked text to estimate robustness
-    return 0.75; // Placeholder value
+    try {
+      // Share of the error correction capacity left unused
+      const result = this._detect(text);
+      return result ? result.confidence : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async extractBits(text) {
+    return typeof text === 'string' ? this._extractBinary(text) : null;
   }
 }
 
 /**
  * Strategy for watermarking image-based resources
+ *
+ * Accepts PNG, BMP or JPEG files, raw pixel objects ({ width, height, channels, data })
+ * or raw RGB/RGBA buffers with width, height and channels given in the options,
+ * and returns the watermarked image in the same form. JPEG files are re-encoded
+ * at the quality option, which only the dct and dwt methods survive.
  */
 class ImageWatermarkStrategy extends WatermarkStrategy {
   constructor(options = {}) {
     super({
       // Default options
       method: 'lsb', // lsb, dct, dwt
-      alpha: 0.1,    // Watermark strength
+      alpha: 0.1,    // Watermark strength (dct and dwt)
       robustness: 'medium', // low, medium, high
+      width: undefined, // Dimensions of raw pixel buffers
+      height: undefined,
+      channels: undefined,
+      quality: 90, // JPEG quality of re-encoded JPEG files
       ...options
     });
   }
 
+  /**
+   * Decode an image input to raw pixels
+   * @param {Buffer|Object} image - Encoded image, pixel object or raw pixel buffer
+   * @returns {Object} { format, width, height, channels, data }
+   * @private
+   */
+  _readImage(image) {
+    if (Buffer.isBuffer(image) && detectImageFormat(image)) {
+      return decodeImage(image);
+    }
+
+    if (Buffer.isBuffer(image)) {
+      const { width, height, channels = 3 } = this.options;
+      return { format: IMAGE_FORMATS.RAW, ...validateImage({ width, height, channels, data: image }) };
+    }
+
+    if (image && typeof image === 'object') {
+      const { width, height, channels, data } = validateImage(image);
+      return { format: null, width, height, channels, data };
+    }
+
+    throw new Error('Images must be PNG, BMP or JPEG files, pixel objects or raw pixel buffers');
+  }
+
+  /**
+   * Convert raw pixels back to the form of the input
+   * @param {Object} pixels - { width, height, channels, data }
+   * @param {string|null} format - Format of the input (null for pixel objects)
+   * @returns {Buffer|Object} Image
+   * @private
+   */
+  _writeImage(pixels, format) {
+    switch (format) {
+      // Pixel object
+      case null:
+        return pixels;
+
+      // Raw pixel buffer
+      case IMAGE_FORMATS.RAW:
+        return pixels.data;
+
+      case IMAGE_FORMATS.JPEG:
+        return encodeImage(pixels, format, { quality: this.options.quality });
+
+      default:
+        return encodeImage(pixels, format);
+    }
+  }
+
   async embed(image, metadata) {
     try {
-      // This is a placeholder implementation
-      // In a real system, would use image processing libraries
-      console.log(`Embedding watermark in image using ${this.options.method} method`);
-      
-      // Return image with watermark
-      return image; // Placeholder
+      const { format, ...pixels } = this._readImage(image);
+      if (format === IMAGE_FORMATS.JPEG && this.options.method === 'lsb') {
+        throw new Error('lsb watermarks do not survive JPEG encoding; use the dct or dwt method for JPEG files');
+      }
+      return this._writeImage(embedImageWatermark(pixels, metadata, this.options), format);
     } catch (error) {
       console.error('Image watermarking failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Detect the watermark of an image along with its decoding confidence
+   * @param {Buffer|Object} image - Image (see embed)
+   * @returns {Object|null} { metadata, confidence } or null if no watermark is found
+   * @private
+   */
+  _detect(image) {
+    const { format, ...pixels } = this._readImage(image);
+    return detectImageWatermark(pixels, this.options);
+  }
+
   async detect(image) {
     try {
-      // This is a placeholder implementation
-      console.log(`Detecting watermark in image using ${this.options.method} method`);
-      
-      // Return detected metadata
-      return { did: 'did:asset:placeholder' }; // Placeholder
+      const result = this._detect(image);
+      return result ? result.metadata : null;
     } catch (error) {
       console.error('Image watermark detection failed:', error);
       return null;
@@ -357,45 +404,356 @@ class ImageWatermarkStrategy extends WatermarkStrategy {
   }
 
   async calculateStrength(image) {
-    return 0.8; // Placeholder value
+    try {
+      // Mean agreement of the repeated copies of each payload bit
+      const result = this._detect(image);
+      return result ? result.confidence : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+/**
+ * Strategy for watermarking audio resources
+ *
+ * Accepts WAV files, decoded audio objects ({ sampleRate, channelData }) or raw
+ * interleaved PCM buffers with sampleRate, channels and bitDepth given in the
+ * options, and returns the watermarked audio in the same form. Embedding needs
+ * about 2, 4 or 8 minutes of audio at low, medium (default) or high robustness,
+ * and excerpts of about 40 s, 80 s or 160 s are identified; shorter audio is
+ * rejected on embedding and yields null on detection (see audio_watermark.js).
+ */
+class AudioWatermarkStrategy extends WatermarkStrategy {
+  constructor(options = {}) {
+    super({
+      // Default options
+      strength: 0.05, // Watermark level relative to the audio
+      robustness: 'medium', // low, medium, high
+      sampleRate: undefined, // Format of raw PCM buffers
+      channels: 1,
+      bitDepth: 16,
+      float: false,
+      ...options
+    });
+  }
+
+  /**
+   * Decode an audio input to samples
+   * @param {Buffer|Object} audio - WAV file, audio object or raw PCM buffer
+   * @returns {Object} { container, sampleRate, channelData, bitDepth, float }
+   * @private
+   */
+  _readAudio(audio) {
+    if (isWAV(audio)) {
+      return { container: 'wav', ...decodeWAV(audio) };
+    }
+
+    if (Buffer.isBuffer(audio)) {
+      const { sampleRate, channels, bitDepth, float } = this.options;
+      return { container: 'pcm', ...decodePCM(audio, { sampleRate, channels, bitDepth, float }) };
+    }
+
+    if (audio && typeof audio === 'object') {
+      return { container: null, ...validateAudio(audio) };
+    }
+
+    throw new Error('Audio must be a WAV file, an audio object or a raw PCM buffer');
+  }
+
+  /**
+   * Convert samples back to the form of the input
+   * @param {Object} audio - { sampleRate, channelData, bitDepth, float }
+   * @param {string|null} container - Form of the input (null for audio objects)
+   * @returns {Buffer|Object} Audio
+   * @private
+   */
+  _writeAudio(audio, container) {
+    switch (container) {
+      // WAV file in the sample format of the input
+      case 'wav':
+        return encodeWAV(audio);
+
+      // Raw PCM buffer
+      case 'pcm':
+        return encodePCM(audio, audio);
+
+      default:
+        return audio;
+    }
+  }
+
+  async embed(audio, metadata) {
+    try {
+      const { container, ...samples } = this._readAudio(audio);
+      return this._writeAudio(embedAudioWatermark(samples, metadata, this.options), container);
+    } catch (error) {
+      console.error('Audio watermarking failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Detect the watermark of audio along with its decoding confidence
+   * @param {Buffer|Object} audio - Audio (see embed)
+   * @returns {Object|null} { metadata, confidence } or null if no watermark is found
+   * @private
+   */
+  _detect(audio) {
+    const { container, ...samples } = this._readAudio(audio);
+    return detectAudioWatermark(samples, this.options);
+  }
+
+  async detect(audio) {
+    try {
+      const result = this._detect(audio);
+      return result ? result.metadata : null;
+    } catch (error) {
+      console.error('Audio watermark detection failed:', error);
+      return null;
+    }
+  }
+
+  async verify(audio, metadata) {
+    const detectedMetadata = await this.detect(audio);
+    if (!detectedMetadata) return false;
+
+    return detectedMetadata.did === metadata.did;
+  }
+
+  async calculateStrength(audio) {
+    try {
+      // Share of frames agreeing with the decoded packet
+      const result = this._detect(audio);
+      return result ? result.confidence : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+/**
+ * Strategy for watermarking video resources
+ *
+ * Accepts Y4M streams, decoded Y4M objects or arrays of RGB/RGBA frames (see
+ * video_watermark.js) and returns the watermarked video in the same form.
+ */
+class VideoWatermarkStrategy extends WatermarkStrategy {
+  constructor(options = {}) {
+    super({
+      // Default options
+      method: 'dct', // Per-frame image method: lsb, dct, dwt
+      alpha: 0.1,    // Watermark strength (dct and dwt)
+      robustness: 'medium', // low, medium, high
+      framesPerSlice: 3, // Consecutive frames carrying each payload slice
+      ...options
+    });
+  }
+
+  async embed(video, metadata) {
+    try {
+      return embedVideoWatermark(video, metadata, this.options);
+    } catch (error) {
+      console.error('Video watermarking failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Locate the watermark of a video or a clip of one
+   * @param {Buffer|Object|Array<Object>} video - Video (see embed)
+   * @returns {Promise<Object|null>} { metadata, confidence, frameRanges, sliceCount, missingSlices },
+   *   or null if no frame carries a mark
+   */
+  async locate(video) {
+    return detectVideoWatermark(video, this.options);
+  }
+
+  async detect(video) {
+    try {
+      const result = await this.locate(video);
+      return result ? result.metadata : null;
+    } catch (error) {
+      console.error('Video watermark detection failed:', error);
+      return null;
+    }
+  }
+
+  async verify(video, metadata) {
+    const detectedMetadata = await this.detect(video);
+    if (!detectedMetadata) return false;
+
+    return detectedMetadata.did === metadata.did;
+  }
+
+  async calculateStrength(video) {
+    try {
+      // Share of frames carrying a valid mark
+      const result = await this.locate(video);
+      return result ? result.confidence : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+/**
+ * Strategy for watermarking tabular datasets
+ *
+ * Accepts CSV or JSON lines text (string or Buffer) or arrays of row objects
+ * (see dataset_watermark.js) and returns the watermarked dataset in the same
+ * form. Give each licensee its own key to trace leaked copies with trace().
+ * Small tables may only carry a hash of the DID, which verify() accepts.
+ */
+class DatasetWatermarkStrategy extends WatermarkStrategy {
+  constructor(options = {}) {
+    super({
+      // Default options
+      fraction: 0.5, // Share of numeric cells selected to carry a bit
+      maxDistortion: 0.01, // Largest change of a cell relative to its column's standard deviation
+      columns: null, // Numeric columns to mark (default: those with decimal places within maxDistortion)
+      idColumns: null, // Columns identifying rows, never marked
+      format: undefined, // csv or jsonl for text input (default: detected)
+      delimiter: ',', // CSV field delimiter
+      ...options
+    });
+  }
+
+  async embed(dataset, metadata) {
+    try {
+      return embedDatasetWatermark(dataset, metadata, this.options);
+    } catch (error) {
+      console.error('Dataset watermarking failed:', error);
+      throw error;
+    }
+  }
+
+  async detect(dataset) {
+    try {
+      const result = detectDatasetWatermark(dataset, this.options);
+      return result ? result.metadata : null;
+    } catch (error) {
+      console.error('Dataset watermark detection failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Score a dataset, or a subset of one, against the watermark given to each licensee
+   * @param {string|Buffer|Array<Object>} dataset - Dataset (see embed)
+   * @param {Array<Object>} candidates - { metadata, key } for each licensee
+   * @returns {Promise<Array<Object>>} { metadata, key, agreement, score, matched } for each
+   *   candidate, best first
+   */
+  async trace(dataset, candidates) {
+    return traceDatasetWatermark(dataset, candidates, this.options);
+  }
+
+  async verify(dataset, metadata) {
+    const detectedMetadata = await this.detect(dataset);
+    if (!detectedMetadata) return false;
+
+    if (detectedMetadata.did) {
+      return detectedMetadata.did === metadata.did;
+    }
+    return detectedMetadata.didHash === didHash(metadata.did);
+  }
+
+  async calculateStrength(dataset) {
+    try {
+      // Agreement of the marked cells and rows with the decoded payload
+      const result = detectDatasetWatermark(dataset, this.options);
+      return result ? result.confidence : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+/**
+ * Strategy for watermarking source code
+ *
+ * Accepts JavaScript, Python or JSON sources as strings or Buffers (see
+ * code_watermark.js) and returns the watermarked source in the same form.
+ * Small sources may only carry a hash of the DID, which verify() accepts.
+ */
+class CodeWatermarkStrategy extends WatermarkStrategy {
+  constructor(options = {}) {
+    super({
+      // Default options
+      language: null, // javascript, python, json (default: detected)
+      filename: null, // Source file name, to detect the language
+      comments: true, // Encode in the gaps between words in comments
+      whitespace: true, // Encode in trailing whitespace (lost when reformatted)
+      reorder: false, // Reorder commutative declarations
+      ...options
+    });
+  }
+
+  async embed(source, metadata) {
+    try {
+      return embedCodeWatermark(source, metadata, this.options);
+    } catch (error) {
+      console.error('Code watermarking failed:', error);
+      throw error;
+    }
+  }
+
+  async detect(source) {
+    try {
+      const result = detectCodeWatermark(source, this.options);
+      return result ? result.metadata : null;
+    } catch (error) {
+      console.error('Code watermark detection failed:', error);
+      return null;
+    }
+  }
+
+  async verify(source, metadata) {
+    const detectedMetadata = await this.detect(source);
+    if (!detectedMetadata) return false;
+
+    if (detectedMetadata.did) {
+      return detectedMetadata.did === metadata.did;
+    }
+    return detectedMetadata.didHash === didHash(metadata.did);
+  }
+
+  async calculateStrength(source) {
+    try {
+      // Agreement of the decoded channel with the payload
+      const result = detectCodeWatermark(source, this.options);
+      return result ? result.confidence : 0;
+    } catch (error) {
+      return 0;
+    }
   }
 }
 
 /**
  * Strategy for watermarking AI models
+ *
+ * Accepts models as { parameters: { <layer>: numbers } } with plain or typed
+ * arrays and marks their weights with keyed spread-spectrum chips (see
+ * model_watermark.js); the mark survives pruning, fine-tuning noise and
+ * quantization. Models too small for the metadata carry only their DID or a
+ * hash of it, and models under about a million weights a DID mark; verify()
+ * accepts all three, detect() only reads the first two.
  */
 class AIModelWatermarkStrategy extends WatermarkStrategy {
   constructor(options = {}) {
     super({
       // Default options
-      useWhiteboxWatermarking: true,
-      useBlackboxWatermarking: true,
-      whiteboxMethod: 'weight-perturbation',
-      blackboxMethod: 'output-distribution',
-      robustness: 'high',
+      robustness: 'high', // low, medium, high (weight change of 0.5%, 1% or 2% of the layer RMS)
+      strength: undefined, // Explicit weight change relative to the layer RMS
+      layers: undefined, // Layers to mark (default: all)
       ...options
     });
   }
 
   async embed(model, metadata) {
     try {
-      // This is a placeholder implementation
-      console.log('Applying multi-layer watermarking to AI model');
-      
-      // Apply white-box watermarking if enabled
-      if (this.options.useWhiteboxWatermarking) {
-        console.log(`Applying white-box watermarking using ${this.options.whiteboxMethod}`);
-        // In a real implementation, would modify model weights
-      }
-      
-      // Apply black-box watermarking if enabled
-      if (this.options.useBlackboxWatermarking) {
-        console.log(`Applying black-box watermarking using ${this.options.blackboxMethod}`);
-        // In a real implementation, would adjust output distributions
-      }
-      
-      // Return watermarked model
-      return model; // Placeholder
+      return embedModelWatermark(model, metadata, this.options);
     } catch (error) {
       console.error('AI model watermarking failed:', error);
       throw error;
@@ -404,25 +762,8 @@ class AIModelWatermarkStrategy extends WatermarkStrategy {
 
   async detect(model) {
     try {
-      // This is a placeholder implementation
-      console.log('Detecting watermark in AI model');
-      
-      // Attempt to detect white-box watermark
-      let whiteboxMetadata = null;
-      if (this.options.useWhiteboxWatermarking) {
-        console.log('Detecting white-box watermark');
-        // Would analyze model weights
-      }
-      
-      // Attempt to detect black-box watermark
-      let blackboxMetadata = null;
-      if (this.options.useBlackboxWatermarking) {
-        console.log('Detecting black-box watermark');
-        // Would analyze model outputs
-      }
-      
-      // Combine results
-      return whiteboxMetadata || blackboxMetadata || null;
+      const result = detectModelWatermark(model, this.options);
+      return result ? result.metadata : null;
     } catch (error) {
       console.error('AI model watermark detection failed:', error);
       return null;
@@ -430,15 +771,40 @@ class AIModelWatermarkStrategy extends WatermarkStrategy {
   }
 
   async verify(model, metadata) {
-    const detectedMetadata = await this.detect(model);
+    let detectedMetadata;
+    try {
+      // The expected DID also finds the DID marks of small models
+      const result = detectModelWatermark(model, { ...this.options, did: metadata.did });
+      detectedMetadata = result ? result.metadata : null;
+    } catch (error) {
+      console.error('AI model watermark detection failed:', error);
+      return false;
+    }
     if (!detectedMetadata) return false;
-    
-    return detectedMetadata.did === metadata.did;
+
+    if (detectedMetadata.did) {
+      return detectedMetadata.did === metadata.did;
+    }
+    return detectedMetadata.didHash === didHash(metadata.did);
   }
 
   async calculateStrength(model) {
-    // Would calculate combination of white-box and black-box watermark strengths
-    return 0.9; // Placeholder value
+    try {
+      // Share of the embedded weight correlation that remains
+      const result = detectModelWatermark(model, this.options);
+      return result ? result.confidence : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async extractBits(model, metadata) {
+    // Models too small for a payload are read through the DID mark of the expected DID
+    const shares = metadata && metadata.did ? readDidMarkBits(model, metadata.did, this.options) : null;
+    const bits = shares ? { header: [], soft: shares } : readModelBits(model, this.options);
+    if (!bits) return null;
+
+    return [...bits.header, ...bits.soft].map(value => (value < 0 ? '1' : '0')).join('');
   }
 }
 
@@ -459,16 +825,15 @@ class WatermarkStrategyFactory {
       case 'image':
         return new ImageWatermarkStrategy(options);
       case 'audio':
-        // Would implement AudioWatermarkStrategy
-        throw new Error('Audio watermarking not implemented yet');
+        return new AudioWatermarkStrategy(options);
       case 'video':
-        // Would implement VideoWatermarkStrategy
-        throw new Error('Video watermarking not implemented yet');
+        return new VideoWatermarkStrategy(options);
       case 'ai-model':
         return new AIModelWatermarkStrategy(options);
       case 'dataset':
-        // Would implement DatasetWatermarkStrategy
-        throw new Error('Dataset watermarking not implemented yet');
+        return new DatasetWatermarkStrategy(options);
+      case 'code':
+        return new CodeWatermarkStrategy(options);
       default:
         throw new Error(`Unsupported resource type for watermarking: ${resourceType}`);
     }
@@ -500,19 +865,28 @@ class WatermarkManager {
    * @private
    */
   _getStrategy(resourceType, options = {}) {
-    const cacheKey = `${resourceType}-${JSON.stringify(options)}`;
+    // Strategies are cached without the key of the call, so per-resource keys are not kept
+    const { key, ...sharedOptions } = options;
+    const cacheKey = `${resourceType}-${JSON.stringify(sharedOptions)}`;
     
     if (!this.strategies.has(cacheKey)) {
       const mergedOptions = {
         ...this.options.defaultStrategyOptions,
-        ...options
+        ...sharedOptions
       };
       
       const strategy = WatermarkStrategyFactory.createStrategy(resourceType, mergedOptions);
       this.strategies.set(cacheKey, strategy);
     }
     
-    return this.strategies.get(cacheKey);
+    const strategy = this.strategies.get(cacheKey);
+    if (key === undefined) {
+      return strategy;
+    }
+    
+    const keyedStrategy = WatermarkStrategyFactory.createStrategy(resourceType, { ...strategy.options, key });
+    keyedStrategy.setBenchmark(strategy.benchmark);
+    return keyedStrategy;
   }
 
   /**
@@ -520,7 +894,7 @@ class WatermarkManager {
    * @param {*} resource - The resource to watermark
    * @param {string} resourceType - Type of the resource
    * @param {Object} metadata - Metadata to embed
-   * @param {Object} options - Strategy-specific options
+   * @param {Object} options - Strategy-specific options, with the watermark key (key)
    * @returns {Promise<*>} The watermarked resource
    */
   async embedWatermark(resource, resourceType, metadata, options = {}) {
@@ -532,8 +906,9 @@ class WatermarkManager {
    * Detect a watermark in a resource
    * @param {*} resource - The resource to analyze
    * @param {string} resourceType - Type of the resource
-   * @param {Object} options - Strategy-specific options
-   * @returns {Promise<Object|null>} The detected metadata or null
+   * @param {Object} options - Strategy-specific options, with the watermark key (key)
+   * @returns {Promise<Object|null>} The detected metadata, or null if none is found with
+   *   the key (always without one)
    */
   async detectWatermark(resource, resourceType, options = {}) {
     const strategy = this._getStrategy(resourceType, options);
@@ -562,7 +937,31 @@ class WatermarkManager {
    */
   async calculateWatermarkStrength(resource, resourceType, options = {}) {
     const strategy = this._getStrategy(resourceType, options);
-    return strategy.calculateStrength(resource);
+    const strength = await strategy.calculateStrength(resource);
+
+    // Scale by the measured survival of attacks, once the strategy is benchmarked
+    const score = strategy.benchmark ? strategy.benchmark.score : null;
+    return typeof score === 'number' ? strength * score : strength;
+  }
+
+  /**
+   * Measure the robustness of a watermarking strategy against attacks
+   *
+   * The report is kept with the strategy, and scales the strengths that
+   * calculateWatermarkStrength reports for the same resource type and options.
+   *
+   * @param {string} resourceType - Type of the resources
+   * @param {Array<*>} samples - Unmarked sample resources
+   * @param {Object} benchmarkOptions - Benchmark options (see runRobustnessBenchmark)
+   * @param {Object} options - Strategy-specific options
+   * @returns {Promise<Object>} Benchmark report with the bit error, detection and false
+   *   positive rates of each attack
+   */
+  async benchmarkWatermark(resourceType, samples, benchmarkOptions = {}, options = {}) {
+    const strategy = this._getStrategy(resourceType, options);
+    const report = await runRobustnessBenchmark(strategy, samples, { resourceType, ...benchmarkOptions });
+    this._getStrategy(resourceType, { ...options, key: undefined }).setBenchmark(report);
+    return report;
   }
 }
 
@@ -571,5 +970,9 @@ module.exports = {
   WatermarkStrategyFactory,
   TextWatermarkStrategy,
   ImageWatermarkStrategy,
+  AudioWatermarkStrategy,
+  VideoWatermarkStrategy,
+  DatasetWatermarkStrategy,
+  CodeWatermarkStrategy,
   AIModelWatermarkStrategy
 };
@@ -0,0 +1,182 @@
+/**
+ * Watermark Payloads
+ *
+ * Shared building blocks of the watermarking strategies: payload framing as
+ * CBOR followed by a CRC-32, short DID hashes for carriers too small for a
+ * DID, bit conversion, and keyed pseudo-random streams that make the embedding
+ * pattern depend on a secret key, which registries refer to by its key id.
+ */
+
+const crypto = require('crypto');
+const { CBOREncoder } = require('../core/encoding');
+
+// CRC-32 lookup table (ISO 3309, as used by PNG and zlib)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode watermark metadata as payload bytes (CBOR followed by its CRC-32)
+ * @param {Object} metadata - Metadata to embed
+ * @returns {Buffer} Payload
+ */
+function encodePayload(metadata) {
+  const encoded = CBOREncoder.encode(metadata);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(crc32(encoded));
+  return Buffer.concat([encoded, checksum]);
+}
+
+/**
+ * Decode payload bytes
+ * @param {Buffer} payload - Payload (see encodePayload)
+ * @returns {Object|null} Metadata, or null if the checksum or encoding is invalid
+ */
+function decodePayload(payload) {
+  if (payload.length <= 4) {
+    return null;
+  }
+
+  const encoded = payload.slice(0, payload.length - 4);
+  if (crc32(encoded) !== payload.readUInt32BE(payload.length - 4)) {
+    return null;
+  }
+
+  try {
+    return CBOREncoder.decode(encoded);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compute the short DID hash embedded when a DID does not fit
+ * @param {string} did - DID
+ * @returns {string} First 8 bytes of the SHA-256 of the DID, as hex
+ */
+function didHash(did) {
+  return crypto.createHash('sha256').update(String(did)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Split bytes into bits, most significant first
+ * @param {Buffer} bytes - Bytes
+ * @returns {Array<number>} Bits
+ */
+function toBits(bytes) {
+  const bits = [];
+  for (const byte of bytes) {
+    for (let i = 7; i >= 0; i--) {
+      bits.push((byte >> i) & 1);
+    }
+  }
+  return bits;
+}
+
+/**
+ * Decide bytes from soft bit decisions (positive for 0, negative for 1)
+ * @param {ArrayLike<number>} soft - Soft decisions, a multiple of 8
+ * @returns {Buffer} Bytes
+ */
+function softToBytes(soft) {
+  const bytes = Buffer.alloc(Math.floor(soft.length / 8));
+  for (let i = 0; i < bytes.length * 8; i++) {
+    if (soft[i] < 0) bytes[i >> 3] |= 0x80 >> (i & 7);
+  }
+  return bytes;
+}
+
+/**
+ * Create a keyed pseudo-random generator (sfc32 seeded with HMAC-SHA256)
+ * @param {string} key - Watermark key
+ * @param {string} label - Stream label, so each use gets an independent stream
+ * @returns {Function} Generator of uniform numbers in [0, 1)
+ */
+function keyedRandom(key, label) {
+  const seed = crypto.createHmac('sha256', String(key)).update(label).digest();
+  let a = seed.readUInt32LE(0);
+  let b = seed.readUInt32LE(4);
+  let c = seed.readUInt32LE(8);
+  let d = seed.readUInt32LE(12);
+
+  return () => {
+    const t = (((a + b) >>> 0) + d) >>> 0;
+    d = (d + 1) >>> 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) >>> 0;
+    c = ((c << 21) | (c >>> 11)) >>> 0;
+    c = (c + t) >>> 0;
+    return t / 4294967296;
+  };
+}
+
+/**
+ * Check that a watermark key was given
+ *
+ * There is no default key: a key known to everyone would let anyone find and
+ * strip the marks made with it.
+ *
+ * @param {string} key - Watermark key
+ * @returns {string} The key as a string
+ */
+function requireKey(key) {
+  if (key === undefined || key === null || key === '') {
+    throw new Error('A watermark key is required');
+  }
+  return String(key);
+}
+
+/**
+ * Generate a random watermark key
+ * @returns {string} 256-bit key, base64url encoded
+ */
+function generateWatermarkKey() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Compute the public id of a watermark key
+ *
+ * Registries store the key id with a resource, so a verifier knows which of
+ * its keys detects the mark without the key itself being published.
+ *
+ * @param {string} key - Watermark key
+ * @returns {string} First 8 bytes of an HMAC-SHA256 under the key, as hex
+ */
+function watermarkKeyId(key) {
+  return crypto.createHmac('sha256', String(key)).update('watermark-key-id').digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  crc32,
+  encodePayload,
+  decodePayload,
+  didHash,
+  toBits,
+  softToBytes,
+  keyedRandom,
+  requireKey,
+  generateWatermarkKey,
+  watermarkKeyId
+};
@@ -0,0 +1,186 @@
+/**
+ * Watermark Payload Signatures
+ *
+ * Watermark payloads are signed by the controller key of the resource, so a
+ * mark naming a DID can only be made by whoever controls that DID:
+ *
+ *   {
+ *     did: 'did:asset:text:...',
+ *     timestamp: '2024-01-01T00:00:00.000Z',
+ *     verificationMethod: '#keys-1',
+ *     signature: <64-byte Ed25519 signature>
+ *   }
+ *
+ * The signature covers the dag-json encoding of every other payload field.
+ * It is embedded as raw bytes and verification methods of the payload's own
+ * DID as a fragment, to keep the payload small; codecs that return byte
+ * strings as hex (see text_payload.js) are accepted too. Carriers that only
+ * hold a hash of the DID are verified against the DID the verifier expects.
+ *
+ * Carriers too small for the signature (most texts, see text_payload.js) hold
+ * an unsigned DID or DID hash. Verification reports those as SIGNATURE_STATUS
+ * notEmbedded rather than invalid: the mark is genuine watermark data, it just
+ * cannot prove who made it.
+ */
+
+const { Ed25519KeyPair } = require('../core/crypto');
+const { dagJson } = require('../core/cid');
+const { findAuthorizationMethod } = require('../registry/authorization');
+const { didHash } = require('./watermark_payload');
+
+/**
+ * Verification relationships whose keys may sign watermark payloads
+ */
+const SIGNING_RELATIONSHIPS = ['assertionMethod', 'authentication'];
+
+/**
+ * Outcomes of a payload signature check
+ */
+const SIGNATURE_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  NOT_EMBEDDED: 'notEmbedded',
+  UNRESOLVED: 'unresolved',
+  NO_PAYLOAD: 'noPayload'
+};
+
+/**
+ * Build the bytes covered by a payload signature
+ *
+ * @param {Object} payload - Watermark payload, with its full DID
+ * @returns {Buffer} Deterministic signing payload
+ */
+function createSigningPayload(payload) {
+  const { signature, didHash: hash, ...signed } = payload;
+  return dagJson.encode(signed);
+}
+
+/**
+ * Expand the verification method of a payload to a DID URL
+ *
+ * @param {string} verificationMethod - Verification method id or fragment
+ * @param {string} did - DID of the payload
+ * @returns {string} Verification method id
+ */
+function expandVerificationMethod(verificationMethod, did) {
+  return verificationMethod.startsWith('#') ? `${did}${verificationMethod}` : verificationMethod;
+}
+
+/**
+ * Sign a watermark payload
+ *
+ * @param {Object} payload - Payload to sign, with a did
+ * @param {Ed25519KeyPair} keyPair - Controller key pair with a private key
+ * @param {string} verificationMethod - Id of the verification method for the key
+ * @returns {Object} Payload with verificationMethod and signature
+ */
+function signWatermarkPayload(payload, keyPair, verificationMethod) {
+  if (!keyPair || !keyPair.canSign()) {
+    throw new Error('Signing a watermark payload requires a private key');
+  }
+  if (!payload.did) {
+    throw new Error('Only watermark payloads with a did can be signed');
+  }
+
+  const signed = {
+    ...payload,
+    verificationMethod: verificationMethod.startsWith(`${payload.did}#`)
+      ? verificationMethod.substring(payload.did.length)
+      : verificationMethod
+  };
+  delete signed.signature;
+
+  signed.signature = keyPair.sign(createSigningPayload(signed));
+  return signed;
+}
+
+/**
+ * Verify the signature of a watermark payload against the DID document of its DID
+ *
+ * @param {Object} payload - Extracted payload
+ * @param {DIDResolver} resolver - Resolver for the DID of the payload
+ * @param {Object} options - Verification options
+ * @param {string} options.did - Expected DID, for payloads that only carry its hash
+ * @returns {Promise<Object>} { signatureValid, signatureStatus, keyId, revoked } with the
+ *   outcome (from SIGNATURE_STATUS), the id of the signing verification method, and whether
+ *   the DID is deactivated (null if it could not be resolved)
+ */
+async function verifyWatermarkSignature(payload, resolver, options = {}) {
+  const result = {
+    signatureValid: false,
+    signatureStatus: SIGNATURE_STATUS.NO_PAYLOAD,
+    keyId: null,
+    revoked: null
+  };
+  if (!payload || typeof payload !== 'object') {
+    return result;
+  }
+
+  // Unsigned payloads are still resolved, to report whether their DID is revoked
+  const signed = payload.signature !== undefined && payload.signature !== null;
+  result.signatureStatus = signed ? SIGNATURE_STATUS.UNRESOLVED : SIGNATURE_STATUS.NOT_EMBEDDED;
+
+  // Payloads that only carry a DID hash are checked against the expected DID
+  let did = payload.did;
+  if (!did && payload.didHash && options.did && payload.didHash === didHash(options.did)) {
+    did = options.did;
+  }
+  if (!did) {
+    return result;
+  }
+
+  if (typeof payload.verificationMethod === 'string') {
+    result.keyId = expandVerificationMethod(payload.verificationMethod, did);
+  }
+
+  if (!resolver) {
+    return result;
+  }
+  const resolution = await resolver.resolve(did);
+  const { didDocument, didDocumentMetadata = {} } = resolution;
+  if (!didDocument) {
+    return result;
+  }
+  result.revoked = Boolean(didDocumentMetadata.deactivated);
+  if (!signed) {
+    return result;
+  }
+  result.signatureStatus = SIGNATURE_STATUS.INVALID;
+
+  const signature = typeof payload.signature === 'string'
+    ? Buffer.from(payload.signature, 'hex')
+    : payload.signature;
+  if (!result.keyId || !(signature instanceof Uint8Array)) {
+    return result;
+  }
+
+  // Only keys of the DID itself may sign its watermarks
+  if (result.keyId.split('#')[0] !== did) {
+    return result;
+  }
+  const verificationMethod = findAuthorizationMethod(didDocument, result.keyId, SIGNING_RELATIONSHIPS);
+  if (!verificationMethod) {
+    return result;
+  }
+
+  try {
+    const keyPair = Ed25519KeyPair.fromVerificationMethod(verificationMethod);
+    const { didHash: hash, ...fields } = payload;
+    result.signatureValid = keyPair.verify(createSigningPayload({ ...fields, did }), signature);
+  } catch (error) {
+    // Unusable verification method or malformed signature
+  }
+  if (result.signatureValid) {
+    result.signatureStatus = SIGNATURE_STATUS.VALID;
+  }
+
+  return result;
+}
+
+module.exports = {
+  signWatermarkPayload,
+  verifyWatermarkSignature,
+  createSigningPayload,
+  SIGNING_RELATIONSHIPS,
+  SIGNATURE_STATUS
+};
@@ -0,0 +1,169 @@
+/**
+ * Tests for CBOR encoding and decoding (CBOREncoder in src/core/encoding.js)
+ * against the examples of RFC 8949 Appendix A
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+
+const { CBOREncoder, CBORDecoder, CBORTag, CBORSimple } = require('../../src/core/encoding');
+const { CID } = require('../../src/core/cid');
+
+const hex = string => Buffer.from(string, 'hex');
+
+// [value, preferred encoding] pairs from RFC 8949 Appendix A
+const ROUND_TRIP_VECTORS = [
+  [0, '00'],
+  [1, '01'],
+  [10, '0a'],
+  [23, '17'],
+  [24, '1818'],
+  [25, '1819'],
+  [100, '1864'],
+  [1000, '1903e8'],
+  [1000000, '1a000f4240'],
+  [1000000000000, '1b000000e8d4a51000'],
+  [18446744073709551615n, '1bffffffffffffffff'],
+  [18446744073709551616n, 'c249010000000000000000'],
+  [-18446744073709551616n, '3bffffffffffffffff'],
+  [-18446744073709551617n, 'c349010000000000000000'],
+  [-1, '20'],
+  [-10, '29'],
+  [-100, '3863'],
+  [-1000, '3903e7'],
+  [-0, 'f98000'],
+  [1.1, 'fb3ff199999999999a'],
+  [1.5, 'f93e00'],
+  [65504, '19ffe0'],
+  [3.4028234663852886e+38, 'fa7f7fffff'],
+  [1.0e+300, 'fb7e37e43c8800759c'],
+  [5.960464477539063e-8, 'f90001'],
+  [0.00006103515625, 'f90400'],
+  [-4.1, 'fbc010666666666666'],
+  [Infinity, 'f97c00'],
+  [-Infinity, 'f9fc00'],
+  [false, 'f4'],
+  [true, 'f5'],
+  [null, 'f6'],
+  [undefined, 'f7'],
+  [new Date(1363896240000), 'c11a514b67b0'],
+  [new Date(1363896240500), 'c1fb41d452d9ec200000'],
+  [hex(''), '40'],
+  [hex('01020304'), '4401020304'],
+  ['', '60'],
+  ['a', '6161'],
+  ['IETF', '6449455446'],
+  ['"\\', '62225c'],
+  ['\u00fc', '62c3bc'],
+  ['\u6c34', '63e6b0b4'],
+  ['\ud800\udd51', '64f0908591'],
+  [[], '80'],
+  [[1, 2, 3], '83010203'],
+  [[1, [2, 3], [4, 5]], '8301820203820405'],
+  [Array.from({ length: 25 }, (_, i) => i + 1), '98190102030405060708090a0b0c0d0e0f101112131415161718181819'],
+  [{}, 'a0'],
+  [{ a: 1, b: [2, 3] }, 'a26161016162820203'],
+  [['a', { b: 'c' }], '826161a161626163'],
+  [{ a: 'A', b: 'B', c: 'C', d: 'D', e: 'E' }, 'a56161614161626142616361436164614461656145']
+];
+
+// Decode-only examples: indefinite lengths, non-preferred floats, tag 0 dates
+const DECODE_VECTORS = [
+  ['f90000', 0],
+  ['f93c00', 1],
+  ['f97bff', 65504],
+  ['fa47c35000', 100000],
+  ['f9c400', -4],
+  ['c074323031332d30332d32315432303a30343a30305a', new Date('2013-03-21T20:04:00Z')],
+  ['5f42010243030405ff', hex('0102030405')],
+  ['7f657374726561646d696e67ff', 'streaming'],
+  ['9fff', []],
+  ['9f018202039f0405ffff', [1, [2, 3], [4, 5]]],
+  ['83018202039f0405ff', [1, [2, 3], [4, 5]]],
+  ['bf61610161629f0203ffff', { a: 1, b: [2, 3] }],
+  ['826161bf61626163ff', ['a', { b: 'c' }]],
+  ['bf6346756ef563416d7421ff', { Fun: true, Amt: -2 }]
+];
+
+describe('CBOREncoder', () => {
+  it('encodes the RFC 8949 examples with preferred serialization', () => {
+    for (const [value, expected] of ROUND_TRIP_VECTORS) {
+      assert.equal(CBOREncoder.encode(value).toString('hex'), expected, `encode ${String(value)}`);
+    }
+  });
+
+  it('decodes the RFC 8949 examples back to the same values', () => {
+    for (const [value, encoded] of ROUND_TRIP_VECTORS) {
+      assert.deepEqual(CBOREncoder.decode(hex(encoded)), value, `decode ${encoded}`);
+    }
+    for (const [encoded, value] of DECODE_VECTORS) {
+      assert.deepEqual(CBOREncoder.decode(hex(encoded)), value, `decode ${encoded}`);
+    }
+    assert.ok(Number.isNaN(CBOREncoder.decode(hex('f97e00'))));
+    assert.equal(CBOREncoder.encode(NaN).toString('hex'), 'f97e00');
+  });
+
+  it('sorts map keys by their encoded bytes (core deterministic encoding)', () => {
+    const encoded = CBOREncoder.encode({ aa: 3, b: 1, a: 2 });
+
+    assert.equal(encoded.toString('hex'), 'a361610261620162616103');
+    assert.deepEqual(CBOREncoder.encode(new Map([[3, 4], [1, 2]])), hex('a201020304'));
+    assert.deepEqual(CBOREncoder.decode(hex('a201020304'), { useMaps: true }), new Map([[1, 2], [3, 4]]));
+  });
+
+  it('round-trips tags, simple values and CIDs', () => {
+    const cid = CID.create(Buffer.from('hello world'));
+
+    assert.deepEqual(CBOREncoder.decode(hex('d74401020304')), new CBORTag(23, hex('01020304')));
+    assert.equal(CBOREncoder.encode(new CBORTag(24, hex('6449455446'))).toString('hex'), 'd818456449455446');
+    assert.equal(CBOREncoder.encode(new CBORSimple(16)).toString('hex'), 'f0');
+    assert.equal(CBOREncoder.encode(new CBORSimple(255)).toString('hex'), 'f8ff');
+    assert.deepEqual(CBOREncoder.decode(hex('f8ff')), new CBORSimple(255));
+    assert.ok(CBOREncoder.decode(CBOREncoder.encode({ link: cid })).link.equals(cid));
+    assert.throws(() => new CBORSimple(24), /Invalid CBOR simple value/);
+  });
+
+  it('rejects malformed, truncated and oversized input', () => {
+    assert.throws(() => CBOREncoder.decode(hex('0000')), /trailing bytes/);
+    assert.throws(() => CBOREncoder.decode(hex('1a0000')));
+    assert.throws(() => CBOREncoder.decode(hex('62c3')));
+    assert.throws(() => CBOREncoder.decode(hex('62fffe')));
+    assert.throws(() => CBOREncoder.decode(hex('ff')));
+    assert.throws(() => CBOREncoder.decode(hex('818181818101'), { maxDepth: 3 }));
+    assert.throws(() => CBOREncoder.decode(hex('5affffffff')));
+    assert.throws(() => CBOREncoder.encode(() => {}), /Cannot encode function/);
+  });
+});
+
+describe('CBORDecoder', () => {
+  it('decodes sequences split across arbitrary chunks', () => {
+    const sequence = Buffer.concat([CBOREncoder.encode({ a: [1, 2] }), CBOREncoder.encode('streaming'), CBOREncoder.encode(7)]);
+    const decoder = new CBORDecoder();
+
+    const items = [];
+    for (let offset = 0; offset < sequence.length; offset += 3) {
+      items.push(...decoder.write(sequence.subarray(offset, offset + 3)));
+    }
+    decoder.end();
+
+    assert.deepEqual(items, [{ a: [1, 2] }, 'streaming', 7]);
+    assert.deepEqual(CBOREncoder.decodeSequence(sequence), items);
+  });
+
+  it('reports a sequence that ends inside an item', () => {
+    const decoder = new CBORDecoder();
+    decoder.write(hex('8301'));
+    assert.throws(() => decoder.end());
+  });
+
+  it('decodes streams', async () => {
+    const source = Readable.from([hex('83'), hex('0102'), hex('03f5')]);
+    const items = [];
+    for await (const item of CBOREncoder.decodeStream(source)) {
+      items.push(item);
+    }
+
+    assert.deepEqual(items, [[1, 2, 3], true]);
+  });
+});
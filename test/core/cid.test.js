@@ -0,0 +1,77 @@
+/**
+ * Tests for multihashes, CIDs and dag-json (src/core/cid.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CID, CODECS, MULTIHASH_CODES, multihash, dagJson } = require('../../src/core/cid');
+
+// CIDv1 (raw, sha2-256) of the bytes "hello world", as computed by IPFS
+const HELLO_WORLD_CID = 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e';
+
+describe('CID', () => {
+  it('matches the IPFS CIDv1 of a raw block', () => {
+    const cid = CID.create(Buffer.from('hello world'));
+
+    assert.equal(cid.toString(), HELLO_WORLD_CID);
+    assert.equal(cid.version, 1);
+    assert.equal(cid.codec, CODECS.RAW);
+    assert.equal(cid.toString('base58btc'), 'zb2rhj7crUKTQYRGCRATFaQ6YFLTde2YzdqbbhAASkL9uRDXn');
+    assert.ok(CID.parse(cid.toString('base58btc')).equals(cid));
+  });
+
+  it('round-trips binary and string forms and parses CIDv0', () => {
+    const cid = CID.parse(HELLO_WORLD_CID);
+    assert.ok(CID.decode(cid.bytes).equals(cid));
+
+    const v0 = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o');
+    assert.equal(v0.version, 0);
+    assert.equal(v0.codec, CODECS.DAG_PB);
+    assert.equal(v0.toString(), 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o');
+  });
+
+  it('verifies content against the CID', () => {
+    const cid = CID.parse(HELLO_WORLD_CID);
+
+    assert.equal(cid.verify(Buffer.from('hello world')), true);
+    assert.equal(cid.verify(Buffer.from('hello world!')), false);
+  });
+
+  it('rejects malformed CIDs', () => {
+    assert.throws(() => CID.parse('bafyinvalid'));
+    assert.throws(() => CID.parse('not a cid'));
+    assert.equal(CID.isCID(CID.parse(HELLO_WORLD_CID)), true);
+    assert.equal(CID.isCID(HELLO_WORLD_CID), false);
+  });
+});
+
+describe('multihash', () => {
+  it('prefixes the digest with its function code and length', () => {
+    const digest = multihash.digest(Buffer.from('hello world'));
+
+    assert.deepEqual(digest.subarray(0, 2), Buffer.from([0x12, 0x20]));
+    assert.equal(digest.subarray(2).toString('hex'), 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9');
+    assert.equal(multihash.decode(digest).code, MULTIHASH_CODES.SHA2_256);
+  });
+});
+
+describe('dagJson', () => {
+  it('encodes maps with sorted keys, and bytes and links as "/" objects', () => {
+    const encoded = dagJson.encode({ b: 1, a: [1, 'x'], c: Buffer.from([1, 2]), l: CID.parse(HELLO_WORLD_CID) });
+
+    assert.equal(
+      encoded.toString(),
+      `{"a":[1,"x"],"b":1,"c":{"/":{"bytes":"AQI"}},"l":{"/":"${HELLO_WORLD_CID}"}}`
+    );
+    assert.deepEqual(dagJson.encode({ a: 1, b: 2 }), dagJson.encode({ b: 2, a: 1 }));
+  });
+
+  it('decodes bytes and links back to their types', () => {
+    const decoded = dagJson.decode(dagJson.encode({ c: Buffer.from([1, 2]), l: CID.parse(HELLO_WORLD_CID) }));
+
+    assert.deepEqual(Buffer.from(decoded.c), Buffer.from([1, 2]));
+    assert.ok(decoded.l instanceof CID);
+    assert.equal(decoded.l.toString(), HELLO_WORLD_CID);
+  });
+});
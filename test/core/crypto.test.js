@@ -0,0 +1,111 @@
+/**
+ * Tests for Ed25519 key management (src/core/crypto.js) and its use in DID
+ * documents
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Ed25519KeyPair, VERIFICATION_METHOD_TYPES } = require('../../src/core/crypto');
+const { DigitalResourceDID } = require('../../src/core/did_utils');
+const { DIDFactory } = require('../../src/identity/did_factory');
+
+// RFC 8032 section 7.1, test 1 (empty message)
+const RFC8032_SEED = Buffer.from('9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60', 'hex');
+const RFC8032_PUBLIC_KEY = Buffer.from('d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a', 'hex');
+const RFC8032_SIGNATURE = Buffer.from(
+  'e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e065224901555fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b',
+  'hex'
+);
+
+describe('Ed25519KeyPair', () => {
+  it('derives the RFC 8032 public key and signature from the seed', () => {
+    const keyPair = Ed25519KeyPair.fromSeed(RFC8032_SEED);
+
+    assert.deepEqual(keyPair.publicKey, RFC8032_PUBLIC_KEY);
+    assert.deepEqual(keyPair.sign(Buffer.alloc(0)), RFC8032_SIGNATURE);
+    assert.equal(keyPair.verify(Buffer.alloc(0), RFC8032_SIGNATURE), true);
+  });
+
+  it('rejects tampered payloads, tampered signatures and other keys', () => {
+    const keyPair = Ed25519KeyPair.generate();
+    const signature = keyPair.sign('payload');
+
+    assert.equal(keyPair.verify('payload', signature), true);
+    assert.equal(keyPair.verify('payload!', signature), false);
+
+    const tampered = Buffer.from(signature);
+    tampered[0] ^= 1;
+    assert.equal(keyPair.verify('payload', tampered), false);
+    assert.equal(keyPair.verify('payload', signature.subarray(1)), false);
+    assert.equal(Ed25519KeyPair.generate().verify('payload', signature), false);
+  });
+
+  it('round-trips raw, JWK and multibase exports', () => {
+    const keyPair = Ed25519KeyPair.fromSeed(RFC8032_SEED);
+
+    const raw = keyPair.export({ format: 'raw', includePrivate: true });
+    assert.deepEqual(Ed25519KeyPair.fromRaw(raw.publicKey, raw.privateKey).publicKey, RFC8032_PUBLIC_KEY);
+
+    const jwk = keyPair.export({ format: 'jwk', includePrivate: true });
+    assert.deepEqual(jwk, {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: '11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo',
+      d: 'nWGxne_9WmC6hEr0kuwsxERJxWl7MmkZcDusAxyuf2A'
+    });
+    assert.equal(Ed25519KeyPair.fromJWK(jwk).canSign(), true);
+
+    const { publicKeyMultibase, privateKeyMultibase } = keyPair.export({ includePrivate: true });
+    assert.match(publicKeyMultibase, /^z6Mk/);
+    const imported = Ed25519KeyPair.fromMultibase(publicKeyMultibase, privateKeyMultibase);
+    assert.deepEqual(imported.sign('x'), keyPair.sign('x'));
+  });
+
+  it('refuses mismatched, malformed and missing private keys', () => {
+    const other = Ed25519KeyPair.generate();
+
+    assert.throws(() => Ed25519KeyPair.fromRaw(RFC8032_PUBLIC_KEY, other.privateKey), /does not match/);
+    assert.throws(() => Ed25519KeyPair.fromRaw(Buffer.alloc(31)), /32 bytes/);
+    assert.throws(() => Ed25519KeyPair.fromJWK({ kty: 'EC', crv: 'P-256', x: 'AA' }), /not an Ed25519/);
+
+    const publicOnly = Ed25519KeyPair.fromRaw(RFC8032_PUBLIC_KEY);
+    assert.equal(publicOnly.canSign(), false);
+    assert.throws(() => publicOnly.sign('x'), /without a private key/);
+    assert.throws(() => publicOnly.export({ includePrivate: true }), /no private key/);
+  });
+
+  it('imports the key of every verification method type it produces', () => {
+    const keyPair = Ed25519KeyPair.generate();
+    const signature = keyPair.sign('payload');
+
+    for (const type of Object.values(VERIFICATION_METHOD_TYPES)) {
+      const method = keyPair.toVerificationMethod('did:example:123#keys-1', 'did:example:123', type);
+      assert.equal(method.type, type);
+      assert.equal(Ed25519KeyPair.fromVerificationMethod(method).verify('payload', signature), true, type);
+    }
+  });
+});
+
+describe('DID documents', () => {
+  it('publish the signing key of DigitalResourceDID.createDID', () => {
+    const { did, didDocument, keyPair } = DigitalResourceDID.createDID('text', {
+      content_hash: 'abc',
+      mime_type: 'text/plain',
+      charset: 'utf-8'
+    });
+
+    const [method] = didDocument.verificationMethod;
+    assert.equal(method.id, `${did}#keys-1`);
+    assert.deepEqual(didDocument.authentication, [method.id]);
+    assert.equal(Ed25519KeyPair.fromVerificationMethod(method).verify('x', keyPair.sign('x')), true);
+  });
+
+  it('publish usable keys from DIDFactory.createStandardVerificationMethods', () => {
+    const keyPair = Ed25519KeyPair.generate();
+    const [method] = new DIDFactory().createStandardVerificationMethods('did:example:123', keyPair);
+
+    assert.equal(method.publicKeyMultibase, keyPair.publicKeyMultibase);
+    assert.equal(Ed25519KeyPair.fromVerificationMethod(method).verify('x', keyPair.sign('x')), true);
+  });
+});
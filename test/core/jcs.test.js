@@ -0,0 +1,95 @@
+/**
+ * Tests for the JSON Canonicalization Scheme (jcs in src/core/encoding.js)
+ * against the examples of RFC 8785
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { jcs } = require('../../src/core/encoding');
+
+// [IEEE 754 bits, canonical text] pairs from RFC 8785 Appendix B
+const NUMBER_VECTORS = [
+  ['0000000000000000', '0'],
+  ['8000000000000000', '0'],
+  ['0000000000000001', '5e-324'],
+  ['8000000000000001', '-5e-324'],
+  ['7fefffffffffffff', '1.7976931348623157e+308'],
+  ['ffefffffffffffff', '-1.7976931348623157e+308'],
+  ['4340000000000000', '9007199254740992'],
+  ['c340000000000000', '-9007199254740992'],
+  ['4430000000000000', '295147905179352830000'],
+  ['44b52d02c7e14af5', '9.999999999999997e+22'],
+  ['44b52d02c7e14af6', '1e+23'],
+  ['44b52d02c7e14af7', '1.0000000000000001e+23'],
+  ['444b1ae4d6e2ef4e', '999999999999999700000'],
+  ['444b1ae4d6e2ef4f', '999999999999999900000'],
+  ['444b1ae4d6e2ef50', '1e+21'],
+  ['3eb0c6f7a0b5ed8c', '9.999999999999997e-7'],
+  ['3eb0c6f7a0b5ed8d', '0.000001'],
+  ['41b3de4355555553', '333333333.3333332'],
+  ['41b3de4355555554', '333333333.33333325'],
+  ['41b3de4355555555', '333333333.3333333'],
+  ['41b3de4355555556', '333333333.3333334'],
+  ['41b3de4355555557', '333333333.33333343'],
+  ['becbf647612f3696', '-0.0000033333333333333333'],
+  ['43143ff3c1cb0959', '1424953923781206.2']
+];
+
+describe('jcs', () => {
+  it('canonicalizes the RFC 8785 sample object', () => {
+    // Kept as JSON text, as in the RFC: its first number has more digits than a double holds
+    const input = JSON.parse(String.raw`{
+      "numbers": [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001],
+      "string": "\u20ac$\u000F\u000aA'\u0042\u0022\u005c\\\"\/",
+      "literals": [null, true, false]
+    }`);
+
+    assert.equal(
+      jcs.canonicalize(input),
+      '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],"string":"\u20ac$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}'
+    );
+    assert.deepEqual(jcs.encode(input), Buffer.from(jcs.canonicalize(input), 'utf8'));
+  });
+
+  it('sorts member names by UTF-16 code units', () => {
+    const input = {
+      '\u20ac': 'Euro Sign',
+      '\r': 'Carriage Return',
+      '\ufb33': 'Hebrew Letter Dalet With Dagesh',
+      '1': 'One',
+      '\ud83d\ude00': 'Emoji: Grinning Face',
+      '\u0080': 'Control',
+      '\u00f6': 'Latin Small Letter O With Diaeresis'
+    };
+
+    assert.equal(jcs.canonicalize(input), [
+      '{"\\r":"Carriage Return"',
+      '"1":"One"',
+      '"\u0080":"Control"',
+      '"\u00f6":"Latin Small Letter O With Diaeresis"',
+      '"\u20ac":"Euro Sign"',
+      '"\ud83d\ude00":"Emoji: Grinning Face"',
+      '"\ufb33":"Hebrew Letter Dalet With Dagesh"}'
+    ].join(','));
+  });
+
+  it('serializes numbers as ECMAScript does (RFC 8785 Appendix B)', () => {
+    for (const [bits, expected] of NUMBER_VECTORS) {
+      assert.equal(jcs.canonicalize(Buffer.from(bits, 'hex').readDoubleBE(0)), expected, bits);
+    }
+  });
+
+  it('sorts nested members and drops what JSON omits', () => {
+    const input = { b: [1, { d: undefined, c: () => {} }, undefined], a: { z: 1, y: new Date(0) } };
+
+    assert.equal(jcs.canonicalize(input), '{"a":{"y":"1970-01-01T00:00:00.000Z","z":1},"b":[1,{},null]}');
+  });
+
+  it('rejects values without a canonical form', () => {
+    assert.throws(() => jcs.canonicalize(NaN), /non-finite/);
+    assert.throws(() => jcs.canonicalize({ a: Infinity }), /non-finite/);
+    assert.throws(() => jcs.canonicalize(1n), /BigInt/);
+    assert.throws(() => jcs.canonicalize(undefined), /undefined/);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for JSON-LD processing and canonicalization (JSONLDUtil in
+ * src/core/encoding.js) with the offline loader of src/core/document_loader.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { JSONLDUtil } = require('../../src/core/encoding');
+const { createDocumentLoader, documentLoader, BUNDLED_CONTEXTS, CONTEXT_URLS } = require('../../src/core/document_loader');
+const { HierarchicalMetadataManager } = require('../../src/metadata/hierarchical_metadata_manager');
+
+const PERSON = {
+  '@context': 'https://schema.org/',
+  '@type': 'Person',
+  name: 'Jane',
+  knows: { '@type': 'Person', name: 'Bob' }
+};
+
+const PERSON_NQUADS = [
+  '_:c14n0 <http://schema.org/knows> _:c14n1 .',
+  '_:c14n0 <http://schema.org/name> "Jane" .',
+  '_:c14n0 <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://schema.org/Person> .',
+  '_:c14n1 <http://schema.org/name> "Bob" .',
+  '_:c14n1 <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://schema.org/Person> .',
+  ''
+].join('\n');
+
+describe('JSONLDUtil', () => {
+  it('expands terms to IRIs and compacts them back', async () => {
+    const expanded = await JSONLDUtil.expand(PERSON);
+
+    assert.deepEqual(expanded, [{
+      '@type': ['http://schema.org/Person'],
+      'http://schema.org/knows': [{
+        '@type': ['http://schema.org/Person'],
+        'http://schema.org/name': [{ '@value': 'Bob' }]
+      }],
+      'http://schema.org/name': [{ '@value': 'Jane' }]
+    }]);
+    assert.deepEqual(await JSONLDUtil.compact(expanded, CONTEXT_URLS.SCHEMA_ORG), {
+      '@context': 'https://schema.org/',
+      type: 'Person',
+      knows: { type: 'Person', name: 'Bob' },
+      name: 'Jane'
+    });
+  });
+
+  it('flattens nested nodes and frames them back into a tree', async () => {
+    const flattened = await JSONLDUtil.flatten(PERSON, CONTEXT_URLS.SCHEMA_ORG);
+    assert.equal(flattened['@graph'].length, 2);
+    assert.equal(flattened['@graph'][0].knows.id, flattened['@graph'][1].id);
+
+    const graph = {
+      '@context': 'https://schema.org/',
+      '@graph': [
+        { '@id': 'urn:dataset', '@type': 'Dataset', name: 'D', creator: { '@id': 'urn:person' } },
+        { '@id': 'urn:person', '@type': 'Person', name: 'P' }
+      ]
+    };
+    assert.deepEqual(await JSONLDUtil.frame(graph, { '@context': 'https://schema.org/', '@type': 'Dataset' }), {
+      '@context': 'https://schema.org/',
+      id: 'urn:dataset',
+      type: 'Dataset',
+      creator: { id: 'urn:person', type: 'Person', name: 'P' },
+      name: 'D'
+    });
+  });
+
+  it('canonicalizes to RDFC-1.0 N-Quads independent of key order', async () => {
+    const reordered = {
+      knows: { name: 'Bob', '@type': 'Person' },
+      name: 'Jane',
+      '@type': 'Person',
+      '@context': 'https://schema.org/'
+    };
+
+    assert.equal(await JSONLDUtil.canonize(PERSON), PERSON_NQUADS);
+    assert.equal(await JSONLDUtil.canonize(reordered), PERSON_NQUADS);
+    assert.equal(await JSONLDUtil.canonize(PERSON, { algorithm: 'URDNA2015' }), PERSON_NQUADS);
+    assert.equal(await JSONLDUtil.hash(reordered), await JSONLDUtil.hash(PERSON));
+    assert.match(await JSONLDUtil.hash(PERSON), /^[0-9a-f]{64}$/);
+    await assert.rejects(JSONLDUtil.canonize(PERSON, { algorithm: 'URGNA2012' }), /Unsupported canonicalization algorithm/);
+  });
+
+  it('canonicalizes DID documents with the bundled security contexts', async () => {
+    const didDocument = {
+      '@context': [CONTEXT_URLS.DID_V1, CONTEXT_URLS.ED25519_2020],
+      id: 'did:example:1',
+      authentication: [{
+        id: 'did:example:1#key-1',
+        type: 'Ed25519VerificationKey2020',
+        controller: 'did:example:1',
+        publicKeyMultibase: 'z6MkExample'
+      }]
+    };
+
+    assert.equal(await JSONLDUtil.canonize(didDocument), [
+      '<did:example:1#key-1> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <https://w3id.org/security#Ed25519VerificationKey2020> .',
+      '<did:example:1#key-1> <https://w3id.org/security#controller> <did:example:1> .',
+      '<did:example:1#key-1> <https://w3id.org/security#publicKeyMultibase> "z6MkExample"^^<https://w3id.org/security#multibase> .',
+      '<did:example:1> <https://w3id.org/security#authenticationMethod> <did:example:1#key-1> .',
+      ''
+    ].join('\n'));
+  });
+
+  it('rejects terms no context defines unless safe mode is turned off', async () => {
+    const lossy = { '@context': { name: 'http://schema.org/name' }, name: 'x', undefinedTerm: 1 };
+
+    await assert.rejects(JSONLDUtil.canonize(lossy), /Safe mode validation error/);
+    assert.equal(await JSONLDUtil.canonize(lossy, { safe: false }), '_:c14n0 <http://schema.org/name> "x" .\n');
+  });
+
+  it('never fetches contexts that are not bundled', async () => {
+    await assert.rejects(
+      JSONLDUtil.expand({ '@context': 'https://example.com/context.jsonld', a: 1 }),
+      error => /not available offline: https:\/\/example\.com\/context\.jsonld/.test(error.details.cause.message)
+    );
+  });
+});
+
+describe('documentLoader', () => {
+  it('serves every bundled context as a parsed, frozen document', async () => {
+    for (const url of Object.keys(BUNDLED_CONTEXTS)) {
+      const { document, documentUrl } = await documentLoader(url);
+      assert.equal(documentUrl, url);
+      assert.ok(document['@context'], url);
+      assert.ok(Object.isFrozen(document), url);
+    }
+  });
+
+  it('prefers extra contexts and falls back only when configured', async () => {
+    const extra = { '@context': { title: 'http://purl.org/dc/terms/title' } };
+    const loader = createDocumentLoader({
+      contexts: { 'https://example.com/extra': extra },
+      fallback: async url => ({ contextUrl: null, document: { '@context': {} }, documentUrl: url })
+    });
+
+    assert.equal((await loader('https://example.com/extra')).document, extra);
+    assert.deepEqual((await loader('https://example.com/other')).document, { '@context': {} });
+    await assert.rejects(documentLoader('https://example.com/other'), /not available offline/);
+
+    const expanded = await JSONLDUtil.expand({ '@context': 'https://example.com/extra', title: 'T' }, { documentLoader: loader });
+    assert.deepEqual(expanded, [{ 'http://purl.org/dc/terms/title': [{ '@value': 'T' }] }]);
+  });
+});
+
+describe('HierarchicalMetadataManager.canonicalize', () => {
+  /**
+   * Create a manager from layer data
+   * @param {Object} didData - Identification layer data
+   * @param {Object} characteristics - General characteristics
+   * @returns {HierarchicalMetadataManager} Manager
+   */
+  function createManager(didData, characteristics) {
+    const manager = new HierarchicalMetadataManager();
+    manager.setIdentificationLayer(didData);
+    manager.setCharacteristicsLayer('general', characteristics);
+    return manager;
+  }
+
+  it('does not depend on the key order of the layers', async () => {
+    const first = createManager(
+      { id: 'did:asset:text:zQmCanon', controller: 'did:key:z6MkOwner', created: '2024-01-01T00:00:00Z', updated: '2024-01-01T00:00:00Z' },
+      { title: 'Report', pages: 3 }
+    );
+    const second = createManager(
+      { updated: '2024-01-01T00:00:00Z', created: '2024-01-01T00:00:00Z', controller: 'did:key:z6MkOwner', id: 'did:asset:text:zQmCanon' },
+      { pages: 3, title: 'Report' }
+    );
+
+    const canonical = await first.canonicalize();
+    assert.equal(await second.canonicalize(), canonical);
+    assert.match(canonical, /<did:asset:text:zQmCanon> <https:\/\/w3id\.org\/security#controller> <did:key:z6MkOwner> \./);
+    assert.match(canonical, /asset-schema\/v1#characteristics> "\{\\"pages\\":3,\\"resourceType\\":\\"general\\",\\"title\\":\\"Report\\"\}"/);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for the base58, base32 and multibase codecs (src/core/encoding.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { base58, base32, multibase } = require('../../src/core/encoding');
+
+describe('base58', () => {
+  it('encodes the Bitcoin alphabet vectors and keeps leading zero bytes', () => {
+    const vectors = [
+      ['', ''],
+      ['61', '2g'],
+      ['626262', 'a3gV'],
+      ['636363', 'aPEr'],
+      ['48656c6c6f20576f726c6421', '2NEpo7TZRRrLZSi2U'],
+      ['00000001', '1112'],
+      ['0000287fb4cd', '11233QC4'],
+      ['572e4794', '3EFU7m']
+    ];
+
+    for (const [bytes, encoded] of vectors) {
+      assert.equal(base58.encode(Buffer.from(bytes, 'hex')), encoded, bytes);
+      assert.deepEqual(base58.decode(encoded), Buffer.from(bytes, 'hex'), encoded);
+    }
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    for (const invalid of ['0', 'O', 'I', 'l', '2g+']) {
+      assert.throws(() => base58.decode(invalid), invalid);
+    }
+  });
+});
+
+describe('base32', () => {
+  it('encodes the RFC 4648 vectors in lowercase without padding', () => {
+    const vectors = [['', ''], ['f', 'my'], ['fo', 'mzxq'], ['foo', 'mzxw6'], ['foob', 'mzxw6yq'], ['fooba', 'mzxw6ytb'], ['foobar', 'mzxw6ytboi']];
+
+    for (const [text, encoded] of vectors) {
+      assert.equal(base32.encode(Buffer.from(text)), encoded);
+      assert.equal(base32.decode(encoded).toString(), text);
+    }
+  });
+});
+
+describe('multibase', () => {
+  it('prefixes each base and detects it when decoding', () => {
+    const bytes = Buffer.from('yes mani !');
+    const encodings = {
+      base16: 'f796573206d616e692021',
+      base32: 'bpfsxgidnmfxgsibb',
+      base58btc: 'z7paNL19xttacUY',
+      base64url: 'ueWVzIG1hbmkgIQ'
+    };
+
+    for (const [base, encoded] of Object.entries(encodings)) {
+      assert.equal(multibase.encode(bytes, base), encoded);
+      assert.deepEqual(multibase.decode(encoded), { base, bytes });
+    }
+  });
+
+  it('rejects unknown bases and malformed strings', () => {
+    assert.throws(() => multibase.encode(Buffer.from('x'), 'base36'), /Unsupported multibase: base36/);
+    assert.throws(() => multibase.decode('k2lsn'), /Unsupported multibase prefix: k/);
+    assert.throws(() => multibase.decode(''), /non-empty/);
+    assert.throws(() => multibase.decode('fxyz'), /Invalid base16/);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for resource identifiers generated and decoded by DIDFactory
+ * (src/identity/did_factory.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { DIDFactory, HASH_MODES, COMPRESSION_FORMATS } = require('../../src/identity/did_factory');
+const { DecentralizedResourceIDSystem } = require('../../src/index');
+
+const MODEL = { name: 'classifier', architecture: { layers: 12, heads: 8 } };
+const LARGER_MODEL = { name: 'classifier', architecture: { layers: 24, heads: 8 } };
+
+describe('DIDFactory canonical hashing', () => {
+  const factory = new DIDFactory();
+
+  it('hashes objects over their RFC 8785 canonical JSON', () => {
+    const expected = crypto.createHash('sha256').update('{"a":"x","b":[1,{"c":1,"d":2}]}').digest('hex');
+
+    assert.equal(factory._generateHash({ b: [1, { d: 2, c: 1 }], a: 'x' }), expected);
+  });
+
+  it('gives models that differ only in nested metadata different DIDs', () => {
+    assert.notEqual(factory.generateAIModelDID(MODEL), factory.generateAIModelDID(LARGER_MODEL));
+    assert.equal(
+      factory.generateAIModelDID(MODEL),
+      factory.generateAIModelDID({ architecture: { heads: 8, layers: 12 }, name: 'classifier' })
+    );
+  });
+
+  it('hashes the content of models, datasets and code with their metadata', () => {
+    assert.notEqual(factory.generateCodeDID('function a() {}'), factory.generateCodeDID('function b() {}'));
+    assert.notEqual(
+      factory.generateDID({ weights: [1, 2] }, 'ai-model'),
+      factory.generateDID({ weights: [3, 4] }, 'ai-model')
+    );
+    assert.notEqual(
+      factory.generateDID(Buffer.from('a,b\n1,2\n'), 'dataset', { specificProps: { structure: 'csv' } }),
+      factory.generateDID(Buffer.from('a,b\n3,4\n'), 'dataset', { specificProps: { structure: 'csv' } })
+    );
+    assert.equal(
+      factory.generateDID({ weights: [1, 2] }, 'ai-model', { specificProps: { architecture: 'mlp' } }),
+      factory.generateDID({ weights: [1, 2] }, 'ai-model', { specificProps: { architecture: 'mlp' } })
+    );
+  });
+
+  it('reproduces identifiers generated before JCS in legacy mode', () => {
+    // The legacy replacer drops nested keys, so both models hashed alike
+    const legacy = { hashMode: HASH_MODES.LEGACY };
+
+    assert.equal(factory.generateAIModelDID(MODEL, legacy), factory.generateAIModelDID(LARGER_MODEL, legacy));
+    assert.notEqual(factory.generateAIModelDID(MODEL, legacy), factory.generateAIModelDID(MODEL));
+  });
+
+  it('records the canonicalization and hash algorithm in the DID document', () => {
+    const did = factory.generateAIModelDID(MODEL, { hashAlgorithm: 'sha512' });
+
+    assert.deepEqual(factory.generateDIDDocument(did, {}, [], [], { hashAlgorithm: 'sha512' }).identifierDerivation, {
+      canonicalization: HASH_MODES.JCS,
+      hashAlgorithm: 'sha512'
+    });
+    assert.equal(factory._decompressIdentifier(did.split(':').pop()).hashAlgorithm, 'sha512');
+    assert.deepEqual(new DIDFactory({ hashMode: HASH_MODES.LEGACY }).generateDIDDocument(did).identifierDerivation, {
+      canonicalization: HASH_MODES.LEGACY,
+      hashAlgorithm: 'sha256'
+    });
+  });
+
+  it('rejects unknown hash modes and resource values', () => {
+    assert.throws(() => factory.generateAIModelDID(MODEL, { hashMode: 'sorted' }), /Unsupported hash mode: sorted/);
+    assert.throws(() => factory._generateHash(42), /Unsupported resource type for hashing: number/);
+  });
+});
+
+describe('DIDFactory identifier compression', () => {
+  const factory = new DIDFactory();
+  const digest = crypto.createHash('sha256').update('hello world').digest('hex');
+
+  // Multibase identifiers of sha256('hello world') in each compression format
+  const IDENTIFIERS = {
+    [COMPRESSION_FORMATS.NONE]: digest,
+    [COMPRESSION_FORMATS.BASE58]: 'zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4',
+    [COMPRESSION_FORMATS.BASE64URL]: 'uEiC5TSe5k00-CKUuUtfafav6xITv43pTgO6QiPes4u_N6Q',
+    [COMPRESSION_FORMATS.HEX]: `f1220${digest}`,
+    [COMPRESSION_FORMATS.TLV]: 'bbmaaaabcciqlstjhxgju2pqiuuxffv62pwv7vree57rxuu4a52iir55m4lx432i'
+  };
+
+  it('encodes the digest as a multihash in the multibase of each format', () => {
+    for (const [compression, identifier] of Object.entries(IDENTIFIERS)) {
+      assert.equal(factory.generateTextDID('hello world', { compression }), `did:asset:text:${identifier}`, compression);
+    }
+  });
+
+  it('recovers the content hash and format from any DID', () => {
+    for (const [compression, identifier] of Object.entries(IDENTIFIERS)) {
+      assert.deepEqual(factory.decompressDID(`did:asset:text:${identifier}`), {
+        method: 'asset',
+        resourceType: 'text',
+        identifier: digest,
+        hashAlgorithm: 'sha256',
+        compression,
+        owner: null
+      });
+    }
+
+    const owned = factory.generateTextDID('hello world', { owner: 'did:key:z6MkOwner' });
+    assert.equal(factory.decompressDID(owned).identifier, digest);
+    assert.match(factory.decompressDID(owned).owner, /^[0-9a-f]{8}$/);
+  });
+
+  it('reads bare base64url digests of identifiers generated before multihash encoding', () => {
+    const legacy = factory.decompressDID(`did:asset:text:${Buffer.from(digest, 'hex').toString('base64url')}`);
+
+    assert.equal(legacy.compression, COMPRESSION_FORMATS.BASE64URL);
+    assert.equal(legacy.identifier, digest);
+    assert.equal(legacy.hashAlgorithm, 'sha256');
+  });
+
+  it('verifies content against the hash in the DID', () => {
+    const model = { name: 'classifier', architecture: { layers: 12 } };
+
+    for (const compression of Object.keys(IDENTIFIERS)) {
+      const did = factory.generateTextDID('hello world', { compression, hashAlgorithm: 'sha512' });
+      assert.equal(factory.verifyContent(did, 'hello world'), true, compression);
+      assert.equal(factory.verifyContent(did, 'hello world!'), false, compression);
+    }
+    assert.equal(factory.verifyContent(factory.generateAIModelDID(model), model), true);
+    assert.equal(factory.verifyContent(factory.generateAIModelDID(model), { ...model, name: 'other' }), false);
+  });
+
+  it('rejects unknown formats and identifiers without a hash', () => {
+    assert.throws(() => factory.generateTextDID('x', { compression: 'zip' }), /Unsupported compression format: zip/);
+    assert.equal(factory.decompressDID('did:asset:text:zzzz').hashAlgorithm, null);
+    assert.throws(() => factory.verifyContent('did:asset:text:zzzz', 'x'), /Cannot determine the hash algorithm/);
+  });
+});
+
+describe('DecentralizedResourceIDSystem.registerResource identifiers', () => {
+  it('registers code files with different contents under different DIDs', async () => {
+    const system = new DecentralizedResourceIDSystem({ registry: { dltType: 'local' } });
+    await system.initialize();
+
+    const first = await system.registerResource('function a() {}', 'code', { name: 'a.js' }, { applyWatermark: false });
+    const second = await system.registerResource('function b() {}', 'code', { name: 'b.js' }, { applyWatermark: false });
+
+    assert.notEqual(first.did, second.did);
+    assert.equal(first.registrationResult.transaction.status, 'success');
+    assert.equal(second.registrationResult.transaction.status, 'success');
+  });
+});
+
+describe('DecentralizedResourceIDSystem.createExecutionStructure', () => {
+  it('registers an execution-structure DID that contains its components', async () => {
+    const system = new DecentralizedResourceIDSystem({ registry: { dltType: 'local' } });
+    await system.initialize();
+    const code = await system.registerResource('function run() {}', 'code', { name: 'run.js' }, { applyWatermark: false });
+    const text = await system.registerResource('Instructions for the run.', 'text', { name: 'README' }, { applyWatermark: false });
+
+    const structure = await system.createExecutionStructure([code.did, text.did], {
+      name: 'Pipeline',
+      roles: { [code.did]: 'entrypoint' }
+    });
+
+    assert.match(structure.did, /^did:asset:execution-structure:/);
+    assert.equal(structure.registrationResult.transaction.status, 'success');
+    assert.deepEqual((await system.getResource(structure.did)).metadata.characteristics.componentDids, [code.did, text.did]);
+    assert.deepEqual(
+      system.getRelationships(structure.did).outgoing.map(relationship => [relationship.targetDid, relationship.properties.role]),
+      [[code.did, 'entrypoint'], [text.did, 'component']]
+    );
+  });
+});
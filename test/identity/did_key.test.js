@@ -0,0 +1,110 @@
+/**
+ * Tests for the did:key method (src/identity/did_key.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  createKeyDID,
+  createKeyDIDDocument,
+  encodeKeyFingerprint,
+  decodeKeyFingerprint,
+  KEY_TYPES
+} = require('../../src/identity/did_key');
+const { Ed25519KeyPair } = require('../../src/core/crypto');
+const { base58 } = require('../../src/core/encoding');
+const { DIDResolver } = require('../../src/identity/did_resolver');
+const { DIDFactory } = require('../../src/identity/did_factory');
+const { DID_RESOLUTION_ERRORS } = require('../../src/identity/errors');
+
+// Ed25519 example of the did:key specification
+const ED25519_DID = 'did:key:z6MkiTBz1ymuepAQ4HEHYSF1H8quG5GLVVQR3djdX3mDooWp';
+const ED25519_PUBLIC_KEY = '3b6a27bcceb6a42d62a3a8d02a6f0d73653215771de243a63ac048a18b59da29';
+const X25519_FINGERPRINT = 'z6LShs9GGnqk85isEBzzshkuVWrVKsRp24GnDuHk8QWkARMW';
+
+// P-256 example of the did:key specification
+const P256_DID = 'did:key:zDnaerDaTF5BXEavCrfRZEk316dpbLsfPDZ3WJ5hRTPFU2169';
+
+describe('did:key', () => {
+  it('encodes and decodes the Ed25519 example key', () => {
+    const publicKey = Buffer.from(ED25519_PUBLIC_KEY, 'hex');
+
+    assert.equal(createKeyDID(publicKey), ED25519_DID);
+    assert.equal(createKeyDID(Ed25519KeyPair.fromRaw(publicKey)), ED25519_DID);
+    assert.deepEqual(decodeKeyFingerprint(ED25519_DID.substring(8)), { keyType: KEY_TYPES.ED25519, publicKey });
+    assert.equal(new DIDFactory().generateDID(null, 'text', { method: 'key', publicKey }), ED25519_DID);
+  });
+
+  it('derives the Ed25519 document with an X25519 key agreement key', () => {
+    const didDocument = createKeyDIDDocument(ED25519_DID);
+    const signingKey = `${ED25519_DID}#${ED25519_DID.substring(8)}`;
+    const agreementKey = `${ED25519_DID}#${X25519_FINGERPRINT}`;
+
+    assert.deepEqual(didDocument, {
+      '@context': ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/multikey/v1'],
+      id: ED25519_DID,
+      verificationMethod: [
+        { id: signingKey, type: 'Multikey', controller: ED25519_DID, publicKeyMultibase: ED25519_DID.substring(8) },
+        { id: agreementKey, type: 'Multikey', controller: ED25519_DID, publicKeyMultibase: X25519_FINGERPRINT }
+      ],
+      authentication: [signingKey],
+      assertionMethod: [signingKey],
+      capabilityInvocation: [signingKey],
+      capabilityDelegation: [signingKey],
+      keyAgreement: [agreementKey]
+    });
+    assert.equal(createKeyDIDDocument(ED25519_DID, { enableEncryptionKeyDerivation: false }).keyAgreement, undefined);
+  });
+
+  it('round-trips P-256 keys in compressed and uncompressed form', () => {
+    const { publicKey } = decodeKeyFingerprint(P256_DID.substring(8));
+    const uncompressed = crypto.ECDH.convertKey(publicKey, 'prime256v1', null, null, 'uncompressed');
+
+    assert.equal(publicKey.length, 33);
+    assert.equal(createKeyDID(publicKey), P256_DID);
+    assert.equal(createKeyDID(uncompressed), P256_DID);
+
+    const { publicKey: keyObject } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const did = createKeyDID(keyObject);
+    assert.match(did, /^did:key:zDn/);
+    assert.equal(createKeyDID(keyObject.export({ format: 'jwk' })), did);
+    assert.deepEqual(createKeyDIDDocument(did).authentication, [`${did}#${did.substring(8)}`]);
+  });
+
+  it('lists X25519 keys for key agreement only', () => {
+    const { publicKey } = crypto.generateKeyPairSync('x25519');
+    const did = createKeyDID(publicKey);
+    const didDocument = createKeyDIDDocument(did);
+
+    assert.match(did, /^did:key:z6LS/);
+    assert.deepEqual(didDocument.keyAgreement, [`${did}#${did.substring(8)}`]);
+    assert.equal(didDocument.authentication, undefined);
+  });
+
+  it('rejects unsupported and malformed keys', () => {
+    const { publicKey: secp256k1 } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+    const offCurve = Buffer.alloc(33, 0xff);
+    offCurve[0] = 0x02;
+
+    assert.throws(() => createKeyDID(secp256k1), /Unsupported elliptic curve for did:key: secp256k1/);
+    assert.throws(() => encodeKeyFingerprint(Buffer.alloc(31)), /P-256 public keys must be 33 bytes/);
+    assert.throws(() => decodeKeyFingerprint('uAbc'), /base58btc/);
+    assert.throws(() => decodeKeyFingerprint('z6MkBad'), /Unsupported did:key multicodec/);
+    assert.throws(() => decodeKeyFingerprint(encodeKeyFingerprint(Buffer.alloc(32), KEY_TYPES.X25519).slice(0, -2)));
+    assert.throws(() => decodeKeyFingerprint(`z${base58.encode(Buffer.concat([Buffer.from([0x80, 0x24]), offCurve]))}`));
+  });
+
+  it('resolves through DIDResolver without a registry', async () => {
+    const resolver = new DIDResolver();
+    const result = await resolver.resolve(ED25519_DID);
+
+    assert.deepEqual(result.didDocument, createKeyDIDDocument(ED25519_DID));
+    assert.equal((await resolver.resolve('did:key:z6MkBad')).didResolutionMetadata.error, DID_RESOLUTION_ERRORS.INVALID_DID);
+    assert.equal(
+      (await resolver.resolve(ED25519_DID, { versionId: '1' })).didResolutionMetadata.error,
+      DID_RESOLUTION_ERRORS.INVALID_OPTIONS
+    );
+  });
+});
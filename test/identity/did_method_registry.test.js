@@ -0,0 +1,153 @@
+/**
+ * Tests for the DID method registry and the agreement of DIDFactory and
+ * DigitalResourceDID on DID syntax (src/identity/did_method_registry.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DIDMethodRegistry,
+  createDefaultRegistry,
+  defaultRegistry,
+  DID_METHODS
+} = require('../../src/identity/did_method_registry');
+const { DIDFactory } = require('../../src/identity/did_factory');
+const { DigitalResourceDID } = require('../../src/core/did_utils');
+const { Ed25519KeyPair } = require('../../src/core/crypto');
+
+const ION_SUFFIX = 'EiDahaOGH-liLLdDtTxEAdc8i-cfCz-WUcQdRJheMVNn3A';
+const ADDRESS = '0xb9c5714089478a327f09197987f16f9e5d936e8a';
+
+describe('DIDMethodRegistry', () => {
+  it('generates and parses DIDs of every bundled method', () => {
+    const keyPair = Ed25519KeyPair.generate();
+    const dids = {
+      asset: defaultRegistry.generate(DID_METHODS.ASSET, { resourceType: 'text', identifier: 'zQmText', owner: 'a1b2c3d4' }),
+      key: defaultRegistry.generate(DID_METHODS.KEY, { keyPair }),
+      web: defaultRegistry.generate(DID_METHODS.WEB, { host: 'example.com:8443', path: ['models'], resourceType: 'ai-model', identifier: 'zQmModel' }),
+      ethr: defaultRegistry.generate(DID_METHODS.ETHR, { network: 'sepolia', address: ADDRESS }),
+      ion: defaultRegistry.generate(DID_METHODS.ION, { suffix: ION_SUFFIX })
+    };
+
+    assert.equal(dids.asset, 'did:asset:text:zQmText:a1b2c3d4');
+    assert.match(dids.key, /^did:key:z6Mk/);
+    assert.equal(dids.web, 'did:web:example.com%3A8443:models:ai-model:zQmModel');
+    assert.equal(dids.ethr, `did:ethr:sepolia:${ADDRESS}`);
+    assert.equal(dids.ion, `did:ion:${ION_SUFFIX}`);
+
+    assert.deepEqual(defaultRegistry.parse(dids.asset), {
+      did: dids.asset,
+      method: 'asset',
+      methodSpecificId: 'text:zQmText:a1b2c3d4',
+      resourceType: 'text',
+      identifier: 'zQmText',
+      owner: 'a1b2c3d4'
+    });
+    assert.equal(defaultRegistry.parse(dids.key).publicKeyMultibase, dids.key.substring('did:key:'.length));
+    assert.deepEqual(
+      (({ host, path, resourceType, identifier }) => ({ host, path, resourceType, identifier }))(defaultRegistry.parse(dids.web)),
+      { host: 'example.com:8443', path: ['models'], resourceType: 'ai-model', identifier: 'zQmModel' }
+    );
+    assert.equal(defaultRegistry.parse(dids.ethr).network, 'sepolia');
+    assert.equal(defaultRegistry.parse(`did:ethr:${ADDRESS}`).network, 'mainnet');
+    assert.equal(defaultRegistry.parse(dids.ion).suffix, ION_SUFFIX);
+
+    for (const did of Object.values(dids)) {
+      assert.equal(defaultRegistry.validate(did), true, did);
+      assert.equal(defaultRegistry.expand(defaultRegistry.compress(did)), did, did);
+    }
+  });
+
+  it('compresses resource typed DIDs with the type prefix', () => {
+    assert.equal(defaultRegistry.compress('did:asset:ai-model:zQmModel'), 'am:zQmModel');
+    assert.equal(defaultRegistry.compress('did:asset:text:zQmText:a1b2c3d4'), 'at:zQmText:a1b2c3d4');
+    assert.equal(defaultRegistry.compress(`did:ethr:${ADDRESS}`), `e_:${ADDRESS}`);
+    assert.equal(defaultRegistry.expand('ad:zQmData'), 'did:asset:dataset:zQmData');
+  });
+
+  it('reads resource type aliases as their canonical name', () => {
+    assert.equal(defaultRegistry.parse('did:asset:model:zQmModel').resourceType, 'ai-model');
+    assert.equal(defaultRegistry.generate('asset', { resourceType: 'model', identifier: 'zQmModel' }), 'did:asset:ai-model:zQmModel');
+  });
+
+  it('rejects malformed DIDs for their method', () => {
+    const invalid = [
+      'did:asset:text',
+      'did:asset:unknown-type:zQm',
+      'did:asset:text:zQm:owner:extra',
+      'did:key:zInvalid0',
+      'did:key:z6MkInvalidKey',
+      'did:ethr:0x1234',
+      'did:ion:EiShort',
+      'did:unknown:abc',
+      'asset:text:zQm'
+    ];
+
+    for (const did of invalid) {
+      assert.equal(defaultRegistry.validate(did), false, did);
+    }
+    assert.throws(() => defaultRegistry.parse('did:unknown:abc'), /Unsupported DID method: unknown/);
+    assert.throws(() => defaultRegistry.generate('asset', { identifier: 'zQm' }), /need a resource type/);
+    assert.throws(() => defaultRegistry.generate('asset', { resourceType: 'text', identifier: 'a/b' }), /Invalid DID identifier segment/);
+    assert.throws(() => defaultRegistry.expand('x_:abc'), /Unknown method prefix: x/);
+    assert.throws(() => defaultRegistry.expand('az:abc'), /Unknown resource type prefix: z/);
+    assert.throws(() => defaultRegistry.expand(`et:${ADDRESS}`), /has no compact form with a resource type/);
+  });
+
+  it('accepts new methods and resource types without touching the bundled ones', () => {
+    const registry = createDefaultRegistry()
+      .registerResourceType('3d-model', { prefix: '3' })
+      .registerMethod('example', {
+        prefix: 'x',
+        syntax: /^[0-9a-f]{8}$/,
+        generate: components => components.identifier,
+        parse: methodSpecificId => ({ identifier: methodSpecificId })
+      });
+
+    assert.equal(registry.generate('asset', { resourceType: '3d-model', identifier: 'zQmMesh' }), 'did:asset:3d-model:zQmMesh');
+    assert.equal(registry.expand(registry.compress('did:example:0a1b2c3d')), 'did:example:0a1b2c3d');
+    assert.equal(registry.validate('did:example:xyz'), false);
+    assert.equal(defaultRegistry.hasMethod('example'), false);
+    assert.equal(defaultRegistry.validate('did:asset:3d-model:zQmMesh'), false);
+
+    assert.throws(() => registry.registerMethod('other', { ...registry.getMethod('example'), prefix: 'a' }), /already used by did:asset/);
+    assert.throws(() => registry.registerResourceType('mesh', { prefix: 't' }), /already used by resource type text/);
+    assert.throws(() => new DIDMethodRegistry().registerMethod('Bad', {}), /Invalid DID method name/);
+    assert.throws(() => new DIDMethodRegistry().registerMethod('bad', { prefix: 'b' }), /needs syntax, generate and parse/);
+  });
+});
+
+describe('DIDFactory and DigitalResourceDID', () => {
+  const factory = new DIDFactory();
+
+  it('read, compress and validate each other\'s DIDs', () => {
+    const fromFactory = factory.generateAIModelDID({ name: 'classifier', architecture: 'transformer' }, { compression: 'base58' });
+    const { did: fromUtils } = DigitalResourceDID.createDID('model', {
+      model_hash: 'weights',
+      architecture: 'transformer',
+      parameters: 7000000,
+      training_dataset_ref: 'did:asset:dataset:zQmData'
+    });
+
+    for (const did of [fromFactory, fromUtils]) {
+      assert.match(did, /^did:asset:ai-model:/);
+      assert.equal(factory.validateDID(did), true);
+      assert.equal(DigitalResourceDID._getResourceType(did), 'ai-model');
+      assert.equal(factory.decompressDID(did).resourceType, 'ai-model');
+      assert.equal(DigitalResourceDID.expandDID(factory.compactDID(did)), did);
+      assert.equal(factory.expandDID(DigitalResourceDID.compressDID(did)), did);
+    }
+    assert.equal(DigitalResourceDID.compressDID(fromUtils).substring(0, 3), 'am:');
+  });
+
+  it('share registrations made on a custom registry', () => {
+    const registry = createDefaultRegistry().registerResourceType('3d-model', { prefix: '3' });
+    const did = new DIDFactory({ registry }).generateDID(Buffer.from('mesh'), '3d-model');
+
+    assert.match(did, /^did:asset:3d-model:/);
+    assert.equal(DigitalResourceDID.expandDID(DigitalResourceDID.compressDID(did, registry), {}, registry), did);
+    assert.equal(DigitalResourceDID._getResourceType(did, registry), '3d-model');
+    assert.throws(() => DigitalResourceDID.compressDID(did), /Unsupported resource type: 3d-model/);
+  });
+});
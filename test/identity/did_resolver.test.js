@@ -0,0 +1,108 @@
+/**
+ * Tests for W3C DID Resolution of did:asset DIDs (src/identity/did_resolver.js)
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DIDResolver, parseDID, DID_CONTENT_TYPES } = require('../../src/identity/did_resolver');
+const { DistributedRegistry, REGISTRY_EVENTS } = require('../../src/registry/distributed_registry');
+const { DigitalResourceDID } = require('../../src/core/did_utils');
+
+/**
+ * Register a self-owned did:asset resource whose metadata is its DID document
+ * @param {DistributedRegistry} registry - Connected registry
+ * @returns {Promise<Object>} { did, didDocument, keyPair }
+ */
+async function registerAsset(registry) {
+  const created = DigitalResourceDID.createDID('text', {
+    content_hash: Math.random().toString(16).slice(2),
+    mime_type: 'text/plain',
+    charset: 'utf-8'
+  });
+  const request = await registry.createSignedRequest(
+    created.did,
+    REGISTRY_EVENTS.REGISTRATION,
+    { metadata: created.didDocument, owner: created.did },
+    created.keyPair,
+    `${created.did}#keys-1`
+  );
+  await registry.registerResource(created.did, created.didDocument, created.did, request);
+  return created;
+}
+
+describe('parseDID', () => {
+  it('splits method and method-specific id and rejects invalid syntax', () => {
+    assert.deepEqual(parseDID('did:asset:text:zQm1:owner'), {
+      did: 'did:asset:text:zQm1:owner',
+      method: 'asset',
+      methodSpecificId: 'text:zQm1:owner'
+    });
+    assert.equal(parseDID('did:Asset:x'), null);
+    assert.equal(parseDID('did:asset:'), null);
+    assert.equal(parseDID('urn:asset:x'), null);
+    assert.equal(parseDID(42), null);
+  });
+});
+
+describe('DIDResolver (did:asset)', () => {
+  let registry;
+  let resolver;
+
+  before(async () => {
+    registry = new DistributedRegistry({ dltType: 'local', storageType: 'local' });
+    await registry.initialize();
+    resolver = new DIDResolver(registry);
+  });
+
+  it('returns the registered document with resolution and document metadata', async () => {
+    const { did, didDocument } = await registerAsset(registry);
+    const result = await resolver.resolve(did);
+
+    assert.equal(result.didResolutionMetadata.error, undefined);
+    assert.equal(result.didResolutionMetadata.contentType, DID_CONTENT_TYPES.JSON_LD);
+    assert.equal(result.didResolutionMetadata.did.resourceType, 'text');
+    assert.equal(result.didDocument.id, did);
+    assert.equal(result.didDocument['@context'][0], 'https://www.w3.org/ns/did/v1');
+    assert.deepEqual(result.didDocument.verificationMethod, didDocument.verificationMethod);
+    assert.match(result.didDocumentMetadata.created, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ$/);
+    assert.equal(result.didDocumentMetadata.versionId, '1');
+  });
+
+  it('drops the JSON-LD context for application/did+json', async () => {
+    const { did } = await registerAsset(registry);
+    const result = await resolver.resolve(did, { accept: DID_CONTENT_TYPES.JSON });
+
+    assert.equal(result.didDocument['@context'], undefined);
+    assert.equal(JSON.parse((await resolver.resolveRepresentation(did)).didDocumentStream).id, did);
+  });
+
+  it('reports errors in the resolution metadata instead of throwing', async t => {
+    t.mock.method(console, 'error', () => {});
+    const { did } = await registerAsset(registry);
+    const error = async (input, options) =>
+      (await resolver.resolve(input, options)).didResolutionMetadata.error;
+
+    assert.equal(await error('not-a-did'), 'invalidDid');
+    assert.equal(await error('did:asset:text'), 'invalidDid');
+    assert.equal(await error('did:asset:text:zUnregistered'), 'notFound');
+    assert.equal(await error('did:example:123'), 'methodNotSupported');
+    assert.equal(await error(did, { accept: 'text/html' }), 'representationNotSupported');
+    assert.equal(await error(did, { versionId: '1', versionTime: new Date() }), 'invalidOptions');
+    assert.equal(await error(did, { versionId: '9' }), 'notFound');
+    assert.equal(await new DIDResolver().resolve(did).then(r => r.didResolutionMetadata.error), 'methodNotSupported');
+  });
+
+  it('marks revoked resources as deactivated but still returns their document', async () => {
+    const { did, keyPair } = await registerAsset(registry);
+    const request = await registry.createSignedRequest(
+      did, REGISTRY_EVENTS.REVOCATION, { reason: 'retired' }, keyPair, `${did}#keys-1`
+    );
+    await registry.revokeResource(did, 'retired', request);
+
+    const result = await resolver.resolve(did);
+    assert.equal(result.didResolutionMetadata.error, 'deactivated');
+    assert.equal(result.didDocumentMetadata.deactivated, true);
+    assert.equal(result.didDocument.id, did);
+  });
+});
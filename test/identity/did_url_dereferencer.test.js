@@ -0,0 +1,135 @@
+/**
+ * Tests for DID URL parsing and dereferencing (src/identity/did_url_dereferencer.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DIDURLDereferencer, parseDIDURL } = require('../../src/identity/did_url_dereferencer');
+
+const DID = 'did:asset:ai-model:zQmModel';
+
+const DID_DOCUMENT = {
+  '@context': ['https://www.w3.org/ns/did/v1'],
+  id: DID,
+  verificationMethod: [
+    { id: `${DID}#keys-1`, type: 'Multikey', controller: DID, publicKeyMultibase: 'z6Mk' }
+  ],
+  keyAgreement: [
+    { id: '#agreement-1', type: 'Multikey', controller: DID, publicKeyMultibase: 'z6LS' }
+  ],
+  service: [
+    { id: `${DID}#metadata`, type: 'MetadataService', serviceEndpoint: 'https://asset.example.org/metadata/' },
+    { id: '#watermark', type: 'WatermarkService', serviceEndpoint: ['https://wm.example.org/v1'] },
+    { id: `${DID}#inbox`, type: 'Messaging', serviceEndpoint: { accept: ['didcomm/v2'] } }
+  ]
+};
+
+/**
+ * Resolver returning DID_DOCUMENT and recording the resolution options it was given
+ */
+class FixedResolver {
+  constructor() {
+    this.calls = [];
+  }
+
+  async resolve(did, options) {
+    this.calls.push({ did, options });
+    if (did !== DID) {
+      return {
+        didDocument: null,
+        didResolutionMetadata: { error: 'notFound', errorMessage: `DID not found: ${did}` },
+        didDocumentMetadata: {}
+      };
+    }
+    return {
+      didDocument: DID_DOCUMENT,
+      didResolutionMetadata: { contentType: 'application/did+ld+json' },
+      didDocumentMetadata: { versionId: '2' }
+    };
+  }
+}
+
+describe('parseDIDURL', () => {
+  it('splits DID, path, query and fragment', () => {
+    assert.deepEqual(parseDIDURL(`${DID}/watermark/v2?service=metadata&relativeRef=%2Fcard#frag`), {
+      didUrl: `${DID}/watermark/v2?service=metadata&relativeRef=%2Fcard#frag`,
+      did: DID,
+      path: '/watermark/v2',
+      query: 'service=metadata&relativeRef=%2Fcard',
+      params: { service: 'metadata', relativeRef: '/card' },
+      fragment: 'frag'
+    });
+  });
+
+  it('keeps + literally and decodes percent-encoded octets (RFC 3986)', () => {
+    assert.deepEqual(parseDIDURL(`${DID}?relativeRef=a+b%20c&flag`).params, { relativeRef: 'a+b c', flag: '' });
+    assert.equal(parseDIDURL(`${DID}?service=a&service=b`).params.service, 'b');
+  });
+
+  it('rejects malformed DID URLs and percent-encoding', () => {
+    assert.equal(parseDIDURL('did:asset'), null);
+    assert.equal(parseDIDURL('https://example.org'), null);
+    assert.equal(parseDIDURL(`${DID}?relativeRef=%E0%A4%A`), null);
+    assert.equal(parseDIDURL(`${DID}/%ZZ`), null);
+    assert.equal(parseDIDURL(null), null);
+  });
+});
+
+describe('DIDURLDereferencer', () => {
+  const dereferencer = new DIDURLDereferencer(new FixedResolver());
+
+  it('returns the DID document for a bare DID', async () => {
+    const result = await dereferencer.dereference(DID);
+
+    assert.equal(result.dereferencingMetadata.contentType, 'application/did+ld+json');
+    assert.equal(result.contentStream, DID_DOCUMENT);
+    assert.deepEqual(result.contentMetadata, { versionId: '2' });
+  });
+
+  it('selects verification methods and services by fragment, absolute or relative', async () => {
+    assert.equal((await dereferencer.dereference(`${DID}#keys-1`)).contentStream, DID_DOCUMENT.verificationMethod[0]);
+    assert.equal((await dereferencer.dereference(`${DID}#agreement-1`)).contentStream, DID_DOCUMENT.keyAgreement[0]);
+    assert.equal((await dereferencer.dereference(`${DID}#watermark`)).contentStream, DID_DOCUMENT.service[1]);
+
+    const missing = await dereferencer.dereference(`${DID}#keys-9`);
+    assert.equal(missing.dereferencingMetadata.error, 'notFound');
+    assert.equal(missing.contentStream, null);
+  });
+
+  it('builds service endpoint URLs from service queries and paths', async () => {
+    const endpoint = async didUrl => {
+      const result = await dereferencer.dereference(didUrl);
+      assert.equal(result.dereferencingMetadata.contentType, 'text/uri-list');
+      return result.contentStream;
+    };
+
+    assert.equal(await endpoint(`${DID}?service=metadata`), 'https://asset.example.org/metadata/');
+    assert.equal(await endpoint(`${DID}?service=metadata&relativeRef=%2Fcards%2F1`), 'https://asset.example.org/metadata/cards/1');
+    assert.equal(await endpoint(`${DID}?service=watermark&relativeRef=key+1`), 'https://wm.example.org/v1/key+1');
+    assert.equal(await endpoint(`${DID}?service=metadata#section`), 'https://asset.example.org/metadata/#section');
+    assert.equal(await endpoint(`${DID}/watermark/detect`), 'https://wm.example.org/v1/detect');
+  });
+
+  it('reports unknown services, endpoints without a URI and resolution errors', async () => {
+    const error = async didUrl => (await dereferencer.dereference(didUrl)).dereferencingMetadata.error;
+
+    assert.equal(await error(`${DID}?service=unknown`), 'notFound');
+    assert.equal(await error(`${DID}/unknown`), 'notFound');
+    assert.equal(await error(`${DID}?service=inbox`), 'contentTypeNotSupported');
+    assert.equal(await error('did:asset:text:zQmOther'), 'notFound');
+    assert.equal(await error('not a DID URL'), 'invalidDidUrl');
+    assert.equal(await error(`${DID}/%ZZ`), 'invalidDidUrl');
+  });
+
+  it('passes versionId and versionTime on to resolution', async () => {
+    const resolver = new FixedResolver();
+    await new DIDURLDereferencer(resolver).dereference(`${DID}?versionId=1`);
+    await new DIDURLDereferencer(resolver).dereference(`${DID}?versionTime=2024-01-01T00%3A00%3A00Z`);
+
+    assert.deepEqual(resolver.calls.map(call => call.options), [
+      { versionId: '1' },
+      { versionTime: '2024-01-01T00:00:00Z' }
+    ]);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the did:web method (src/identity/did_web.js), resolved from a
+ * local HTTP server running the DIDWebDomain request listener
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const {
+  DIDWebDomain,
+  createWebDID,
+  webDIDToURL,
+  resolveWebDID
+} = require('../../src/identity/did_web');
+const { createKeyDID } = require('../../src/identity/did_key');
+const { Ed25519KeyPair } = require('../../src/core/crypto');
+const { DIDResolver } = require('../../src/identity/did_resolver');
+const { DIDFactory } = require('../../src/identity/did_factory');
+const { DID_RESOLUTION_ERRORS } = require('../../src/identity/errors');
+
+describe('did:web URLs', () => {
+  it('maps DIDs to the well-known and path-based document locations', () => {
+    assert.equal(webDIDToURL('did:web:example.com'), 'https://example.com/.well-known/did.json');
+    assert.equal(webDIDToURL('did:web:example.com:users:alice'), 'https://example.com/users/alice/did.json');
+    assert.equal(webDIDToURL('did:web:example.com%3A8443'), 'https://example.com:8443/.well-known/did.json');
+    assert.equal(webDIDToURL('did:web:localhost%3A3000', { scheme: 'http' }), 'http://localhost:3000/.well-known/did.json');
+    assert.equal(createWebDID('example.com:8443', ['users', 'alice']), 'did:web:example.com%3A8443:users:alice');
+  });
+
+  it('names resources under a domain when generated by DIDFactory', () => {
+    const factory = new DIDFactory();
+    const did = factory.generateDID('hello world', 'text', { method: 'web', host: 'example.com', compression: 'base58' });
+
+    assert.equal(did, `did:web:example.com:text:${factory.generateTextDID('hello world', { compression: 'base58' }).split(':').pop()}`);
+    assert.equal(factory.verifyContent(did, 'hello world'), true);
+    assert.equal(webDIDToURL(did), 'https://example.com/text/zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4/did.json');
+  });
+
+  it('rejects DIDs that do not name a location on a host', () => {
+    for (const did of ['did:web:', 'did:web:exa mple.com', 'did:web:example.com%2Fpath', 'did:web:example.com:a%2Fb', 'did:web:example.com:%E0%A4%A', 'did:key:z6Mk']) {
+      assert.throws(() => webDIDToURL(did), error => error.code === DID_RESOLUTION_ERRORS.INVALID_DID, did);
+    }
+  });
+});
+
+describe('DIDWebDomain', () => {
+  it('publishes signing keys for authentication and X25519 keys for key agreement', () => {
+    const domain = new DIDWebDomain('example.com');
+    const signing = Ed25519KeyPair.generate();
+    const agreement = 'z6LShs9GGnqk85isEBzzshkuVWrVKsRp24GnDuHk8QWkARMW';
+    const didDocument = domain.addDocument([], {
+      keys: [signing, `did:key:${agreement}`],
+      services: [{ id: 'did:web:example.com#site', type: 'LinkedDomains', serviceEndpoint: 'https://example.com' }],
+      alsoKnownAs: ['https://example.com']
+    });
+
+    assert.equal(didDocument.id, 'did:web:example.com');
+    assert.deepEqual(didDocument.verificationMethod.map(method => method.publicKeyMultibase), [
+      createKeyDID(signing).substring(8),
+      agreement
+    ]);
+    assert.deepEqual(didDocument.authentication, ['did:web:example.com#keys-1']);
+    assert.deepEqual(didDocument.assertionMethod, ['did:web:example.com#keys-1']);
+    assert.deepEqual(didDocument.keyAgreement, ['did:web:example.com#keys-2']);
+    assert.equal(didDocument.service[0].type, 'LinkedDomains');
+    assert.deepEqual(Object.keys(domain.files()), ['/.well-known/did.json']);
+  });
+});
+
+describe('did:web resolution over HTTP', () => {
+  const signing = Ed25519KeyPair.generate();
+  let server;
+  let domain;
+  let resolver;
+
+  before(async () => {
+    server = http.createServer((request, response) => domain.requestListener()(request, response));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    domain = new DIDWebDomain(`127.0.0.1:${server.address().port}`);
+    domain.addDocument([], { keys: [signing] });
+    domain.addDocument(['teams', 'research'], { keys: [signing], controller: domain.did() });
+    domain.addDocument(['alice b'], { keys: [signing] });
+    resolver = new DIDResolver(null, { webScheme: 'http' });
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('resolves the well-known and path-based documents', async () => {
+    const root = await resolver.resolve(domain.did());
+    assert.equal(root.didResolutionMetadata.error, undefined);
+    assert.deepEqual(root.didDocument, domain.files()['/.well-known/did.json']);
+
+    const team = await resolver.resolve(domain.did(['teams', 'research']));
+    assert.equal(team.didDocument.controller, domain.did());
+    assert.equal(team.didDocument.verificationMethod[0].publicKeyMultibase, createKeyDID(signing).substring(8));
+  });
+
+  it('serves documents of path segments that need percent-encoding', async () => {
+    const spaced = await resolver.resolve(domain.did(['alice b']));
+    assert.equal(spaced.didResolutionMetadata.error, undefined);
+    assert.equal(spaced.didDocument.id, domain.did(['alice b']));
+  });
+
+  it('reports missing documents, malformed paths and methods the listener does not serve', async () => {
+    const missing = await resolver.resolve(domain.did(['nobody']));
+    assert.equal(missing.didResolutionMetadata.error, DID_RESOLUTION_ERRORS.NOT_FOUND);
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/.well-known/did.json`, { method: 'POST' });
+    assert.equal(response.status, 405);
+
+    const malformed = await fetch(`http://127.0.0.1:${server.address().port}/%E0%A4%A/did.json`);
+    assert.equal(malformed.status, 400);
+    assert.equal((await fetch(`http://127.0.0.1:${server.address().port}/.well-known/did.json`)).status, 200);
+  });
+
+  it('rejects a document served for another DID', async () => {
+    const fetcher = async () => ({
+      ok: true,
+      status: 200,
+      text: async () => JSON.stringify(domain.files()['/.well-known/did.json'])
+    });
+
+    await assert.rejects(
+      resolveWebDID('did:web:attacker.example', { fetcher }),
+      error => error.code === DID_RESOLUTION_ERRORS.INVALID_DID_DOCUMENT
+    );
+  });
+
+  it('reports unreachable hosts and invalid JSON as resolution errors', async t => {
+    t.mock.method(console, 'error', () => {});
+    const unreachable = async () => {
+      throw new Error('connect ECONNREFUSED');
+    };
+    const garbage = async () => ({ ok: true, status: 200, text: async () => '<html>' });
+    const failing = async () => ({ ok: false, status: 500, text: async () => '' });
+
+    await assert.rejects(resolveWebDID('did:web:example.com', { fetcher: unreachable }), /ECONNREFUSED/);
+    await assert.rejects(resolveWebDID('did:web:example.com', { fetcher: garbage }), error => error.code === DID_RESOLUTION_ERRORS.INVALID_DID_DOCUMENT);
+    await assert.rejects(resolveWebDID('did:web:example.com', { fetcher: failing }), /HTTP 500/);
+    assert.equal(
+      (await new DIDResolver(null, { fetcher: unreachable }).resolve('did:web:example.com')).didResolutionMetadata.error,
+      DID_RESOLUTION_ERRORS.INTERNAL_ERROR
+    );
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for external identifier validation and the two-way DID mapping
+ * (src/identity/external_id_bridge.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ExternalIdBridge,
+  normalizeExternalId,
+  detectExternalIdType,
+  EXTERNAL_ID_TYPES
+} = require('../../src/identity/external_id_bridge');
+const { DIDFactory } = require('../../src/identity/did_factory');
+const { DecentralizedResourceIDSystem } = require('../../src/index');
+
+const SWHID = 'swh:1:cnt:94a9ed024d3859793618152ea559a168bbcbb5e2';
+const SWHID_SNAPSHOT = 'swh:1:snp:c7c108084bc0bf3d81436bf980b46e98bd338453';
+
+describe('normalizeExternalId', () => {
+  it('accepts every form of a DOI and stores it in lower case', () => {
+    for (const form of ['10.1000/ABC.123', 'doi:10.1000/abc.123', 'https://doi.org/10.1000/ABC.123', 'http://dx.doi.org/10.1000%2Fabc.123']) {
+      assert.deepEqual(normalizeExternalId(form), { type: 'doi', value: '10.1000/abc.123', uri: 'https://doi.org/10.1000/abc.123' }, form);
+    }
+    assert.throws(() => normalizeExternalId('11.1000/abc', 'doi'), /Invalid DOI/);
+  });
+
+  it('validates SWHID object types and qualifiers', () => {
+    const qualified = `${SWHID};origin=https://github.com/example/repo;visit=${SWHID_SNAPSHOT};lines=9-15`;
+    const normalized = normalizeExternalId(qualified);
+
+    assert.equal(normalized.type, EXTERNAL_ID_TYPES.SWHID);
+    assert.equal(normalized.objectType, 'content');
+    assert.equal(normalized.core, SWHID);
+    assert.deepEqual(normalized.qualifiers, { origin: 'https://github.com/example/repo', visit: SWHID_SNAPSHOT, lines: '9-15' });
+    assert.equal(normalizeExternalId(`https://archive.softwareheritage.org/${SWHID}`).value, SWHID);
+
+    for (const invalid of [
+      'swh:1:xyz:94a9ed024d3859793618152ea559a168bbcbb5e2',
+      'swh:2:cnt:94a9ed024d3859793618152ea559a168bbcbb5e2',
+      `${SWHID};visit=${SWHID}`,
+      `${SWHID};anchor=${SWHID}`,
+      `${SWHID};lines=nine`,
+      `${SWHID};color=blue`,
+      `${SWHID};lines=1;lines=2`
+    ]) {
+      assert.throws(() => normalizeExternalId(invalid, 'swhid'), /Invalid SWHID/, invalid);
+    }
+  });
+
+  it('verifies ISBN checksums and stores ISBN-13', () => {
+    for (const form of ['0-306-40615-2', '978-0-306-40615-7', 'urn:isbn:9780306406157', 'ISBN 0306406152']) {
+      assert.equal(normalizeExternalId(form, 'isbn').value, '9780306406157', form);
+    }
+    assert.equal(normalizeExternalId('0-8044-2957-X', 'isbn').value, '9780804429573');
+    assert.equal(normalizeExternalId('9780306406157', 'isbn').uri, 'urn:isbn:9780306406157');
+    assert.throws(() => normalizeExternalId('0-306-40615-3', 'isbn'), /Invalid ISBN/);
+    assert.throws(() => normalizeExternalId('978-0-306-40615-8', 'isbn'), /Invalid ISBN/);
+  });
+
+  it('normalizes ARKs, Handles and ORCID iDs', () => {
+    assert.deepEqual(normalizeExternalId('ark:/13030/tf5p3-0086k'), {
+      type: 'ark',
+      value: 'ark:13030/tf5p30086k',
+      uri: 'https://n2t.net/ark:13030/tf5p30086k'
+    });
+    assert.equal(normalizeExternalId('https://n2t.net/ark:13030/tf5p30086k').value, 'ark:13030/tf5p30086k');
+    assert.equal(normalizeExternalId('hdl:2027/mdp.39015012345678').uri, 'https://hdl.handle.net/2027/mdp.39015012345678');
+    assert.equal(normalizeExternalId('https://orcid.org/0000-0002-1694-233x').value, '0000-0002-1694-233X');
+    assert.throws(() => normalizeExternalId('0000-0002-1825-0098', 'orcid'), /Invalid ORCID/);
+  });
+
+  it('detects the identifier system, preferring DOI over Handle', () => {
+    assert.equal(detectExternalIdType('10.1000/182'), EXTERNAL_ID_TYPES.DOI);
+    assert.equal(detectExternalIdType('2027/mdp.39015012345678'), EXTERNAL_ID_TYPES.HANDLE);
+    assert.equal(detectExternalIdType('0000-0002-1825-0097'), EXTERNAL_ID_TYPES.ORCID);
+    assert.equal(detectExternalIdType('9780306406157'), EXTERNAL_ID_TYPES.ISBN);
+    assert.equal(detectExternalIdType('not an identifier'), null);
+    assert.equal(detectExternalIdType('10.1000/%E0%A4%A'), null);
+    assert.equal(normalizeExternalId('hdl:10.1000/182', 'handle').uri, 'https://hdl.handle.net/10.1000/182');
+    assert.throws(() => normalizeExternalId('not an identifier'), /Unrecognized external identifier/);
+    assert.throws(() => normalizeExternalId('10.1000/182', 'urn'), /Unsupported external identifier type: urn/);
+  });
+});
+
+describe('ExternalIdBridge', () => {
+  it('links identifiers both ways and keeps the DID of a bridged identifier', () => {
+    const bridge = new ExternalIdBridge(new DIDFactory());
+    const { did, externalId } = bridge.bridge('https://doi.org/10.5281/ZENODO.1234', null, 'dataset');
+
+    assert.match(did, /^did:asset:dataset:/);
+    assert.equal(externalId.value, '10.5281/zenodo.1234');
+    assert.equal(bridge.bridge('doi:10.5281/zenodo.1234', null, 'dataset').did, did);
+    assert.equal(bridge.lookupByExternalId('10.5281/Zenodo.1234'), did);
+    assert.deepEqual(bridge.getExternalIds(did).map(id => id.uri), ['https://doi.org/10.5281/zenodo.1234']);
+  });
+
+  it('lists every linked identifier in alsoKnownAs', () => {
+    const bridge = new ExternalIdBridge();
+    const did = 'did:asset:code:zQmCode';
+    bridge.link(did, SWHID);
+    bridge.link(did, '0000-0002-1825-0097');
+
+    const didDocument = bridge.addAlsoKnownAs({ id: did, alsoKnownAs: ['https://example.com/code'] });
+    assert.deepEqual(didDocument.alsoKnownAs, ['https://example.com/code', SWHID, 'https://orcid.org/0000-0002-1825-0097']);
+    assert.equal(bridge.addAlsoKnownAs({ id: 'did:asset:code:zQmOther' }).alsoKnownAs, undefined);
+  });
+
+  it('refuses to move an identifier to another DID until it is unlinked', () => {
+    const bridge = new ExternalIdBridge();
+    bridge.link('did:asset:text:zQmFirst', '10.1000/182');
+
+    assert.throws(() => bridge.link('did:asset:text:zQmSecond', 'doi:10.1000/182'), /already linked to did:asset:text:zQmFirst/);
+    assert.equal(bridge.unlink('did:asset:text:zQmSecond', '10.1000/182'), false);
+    assert.equal(bridge.unlink('did:asset:text:zQmFirst', '10.1000/182'), true);
+    assert.equal(bridge.lookupByExternalId('10.1000/182'), null);
+    assert.deepEqual(bridge.getExternalIds('did:asset:text:zQmFirst'), []);
+    bridge.link('did:asset:text:zQmSecond', '10.1000/182');
+  });
+
+  it('round-trips its links through JSON', () => {
+    const bridge = new ExternalIdBridge();
+    bridge.link('did:asset:text:zQmBook', '0-306-40615-2');
+    bridge.link('did:asset:text:zQmBook', 'ark:/13030/tf5p30086k');
+
+    const restored = new ExternalIdBridge();
+    restored.fromJSON(JSON.parse(JSON.stringify(bridge)));
+    assert.deepEqual(restored.toJSON(), bridge.toJSON());
+    assert.equal(restored.lookupByExternalId('urn:isbn:9780306406157'), 'did:asset:text:zQmBook');
+  });
+
+  it('needs a DIDFactory to generate DIDs', () => {
+    assert.throws(() => new ExternalIdBridge().bridge('10.1000/182'), /A DIDFactory is required/);
+  });
+});
+
+describe('DecentralizedResourceIDSystem.registerResource', () => {
+  it('links external identifiers of registered resources', async () => {
+    const system = new DecentralizedResourceIDSystem({ registry: { dltType: 'local' } });
+    await system.initialize();
+
+    const { did, didDocument } = await system.registerResource('A report with a DOI.', 'text', { title: 'Report' }, {
+      applyWatermark: false,
+      externalIds: ['https://doi.org/10.1000/REPORT', { id: '0-306-40615-2', type: 'isbn' }]
+    });
+
+    assert.deepEqual(didDocument.alsoKnownAs, ['https://doi.org/10.1000/report', 'urn:isbn:9780306406157']);
+    assert.equal(system.externalIds.lookupByExternalId('doi:10.1000/report'), did);
+    assert.deepEqual(system.externalIds.getExternalIds(did).map(id => id.type), ['doi', 'isbn']);
+  });
+
+  it('rejects an identifier already linked to another resource', async t => {
+    t.mock.method(console, 'error', () => {});
+    const system = new DecentralizedResourceIDSystem({ registry: { dltType: 'local' } });
+    await system.initialize();
+    system.externalIds.link('did:asset:text:zQmElsewhere', '10.1000/taken');
+
+    await assert.rejects(
+      system.registerResource('Another report.', 'text', {}, { applyWatermark: false, externalIds: ['10.1000/taken'] }),
+      /already linked to did:asset:text:zQmElsewhere/
+    );
+  });
+});
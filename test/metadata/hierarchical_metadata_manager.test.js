@@ -0,0 +1,112 @@
+/**
+ * Tests for serializing and parsing integrated metadata and selective views
+ * (HierarchicalMetadataManager in src/metadata/hierarchical_metadata_manager.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  HierarchicalMetadataManager,
+  METADATA_STANDARDS,
+  SERIALIZATION_FORMATS
+} = require('../../src/metadata/hierarchical_metadata_manager');
+const { tlv } = require('../../src/core/encoding');
+
+/**
+ * Create a manager with every layer populated
+ * @returns {HierarchicalMetadataManager} Manager
+ */
+function createManager() {
+  const manager = new HierarchicalMetadataManager();
+  manager.setIdentificationLayer({
+    id: 'did:asset:ai-model:zQmModel',
+    controller: 'did:key:z6MkOwner',
+    created: '2024-01-01T00:00:00Z',
+    updated: '2024-01-02T00:00:00Z'
+  });
+  manager.setProvenanceLayer({ claim: { generator: 'trainer/1.0', assertions: [] } });
+  manager.setCharacteristicsLayer('ai-model', {
+    name: 'Classifier',
+    version: '1.0',
+    parameters: 7000000,
+    metrics: { f1: 0.91, loss: -0.25, trainingFlops: 3.2e23 },
+    tags: [],
+    quantized: false,
+    notes: null
+  });
+  manager.setLineageLayer({});
+  manager.getLineageLayer().addEntity('ex:training-set', { 'prov:type': 'dataset' });
+  manager.setRightsLayer({});
+  manager.getRightsLayer().setLicense('CC-BY-4.0', 'https://creativecommons.org/licenses/by/4.0/', 'Attribution <required> & "quoted"');
+  return manager;
+}
+
+describe('HierarchicalMetadataManager serialization', () => {
+  for (const format of [SERIALIZATION_FORMATS.TLV, SERIALIZATION_FORMATS.XML, SERIALIZATION_FORMATS.CBOR]) {
+    it(`parses integrated ${format} metadata back into the same layers`, () => {
+      const manager = createManager();
+      const serialized = manager.generateIntegratedMetadata(format);
+      const parsed = new HierarchicalMetadataManager().parse(serialized, format);
+
+      assert.deepEqual(parsed.toJSON()[METADATA_STANDARDS.MODEL_CARD].data, manager.toJSON()[METADATA_STANDARDS.MODEL_CARD].data);
+      assert.deepEqual(
+        parsed.generateIntegratedMetadata(SERIALIZATION_FORMATS.JSON),
+        manager.generateIntegratedMetadata(SERIALIZATION_FORMATS.JSON)
+      );
+    });
+  }
+
+  it('wraps TLV output in a metadata envelope holding a map', () => {
+    const serialized = createManager().generateIntegratedMetadata(SERIALIZATION_FORMATS.TLV);
+    const envelope = tlv.decode(serialized);
+
+    assert.ok(Buffer.isBuffer(serialized));
+    assert.equal(envelope.type, tlv.TYPES.METADATA);
+    assert.equal(tlv.decode(envelope.value).type, tlv.TYPES.MAP);
+    assert.equal(tlv.decode(envelope.value).value.id, 'did:asset:ai-model:zQmModel');
+  });
+
+  it('rejects TLV that is not a metadata envelope', () => {
+    const manager = new HierarchicalMetadataManager();
+
+    assert.throws(() => manager.parse(tlv.encode(tlv.TYPES.MAP, { id: 'x' }), SERIALIZATION_FORMATS.TLV), /metadata envelope/);
+    assert.throws(
+      () => manager.parse(tlv.encode(tlv.TYPES.METADATA, tlv.encode(tlv.TYPES.STRING, 'x')), SERIALIZATION_FORMATS.TLV),
+      /TLV map/
+    );
+  });
+
+  it('writes each section of the XML in the namespace of its standard', () => {
+    const xml = createManager().generateIntegratedMetadata(SERIALIZATION_FORMATS.XML);
+
+    assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<ddris:metadata /);
+    assert.match(xml, /xmlns:prov="http:\/\/www\.w3\.org\/ns\/prov#"/);
+    assert.match(xml, /<did:id>did:asset:ai-model:zQmModel<\/did:id>/);
+    assert.match(xml, /<prov:lineage>/);
+    assert.match(xml, /<odrl:odrl>/);
+    assert.match(xml, /<schema:schemaOrg>/);
+    assert.match(xml, /<ddris:modelCard>/);
+    assert.match(xml, /<prov:entry ddris:key="ex:training-set">/);
+    assert.match(xml, /Attribution &lt;required&gt; &amp; &quot;quoted&quot;/);
+  });
+
+  it('parses selective views with only the requested layers', () => {
+    const manager = createManager();
+
+    for (const format of [SERIALIZATION_FORMATS.TLV, SERIALIZATION_FORMATS.XML]) {
+      const view = manager.createSelectiveView([METADATA_STANDARDS.PROV, METADATA_STANDARDS.MPEG21_REL], format);
+      const parsed = new HierarchicalMetadataManager().parse(view, format).toJSON();
+
+      assert.deepEqual(Object.keys(parsed).sort(), [METADATA_STANDARDS.DID, METADATA_STANDARDS.MPEG21_REL, METADATA_STANDARDS.PROV]);
+      assert.equal(parsed[METADATA_STANDARDS.DID].data.id, 'did:asset:ai-model:zQmModel');
+      assert.deepEqual(parsed[METADATA_STANDARDS.MPEG21_REL].data, manager.getRightsLayer().getData());
+      assert.deepEqual(parsed[METADATA_STANDARDS.PROV].data.entity, { 'ex:training-set': { 'prov:type': 'dataset' } });
+    }
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => createManager().generateIntegratedMetadata('yaml'), /Unsupported serialization format: yaml/);
+    assert.throws(() => new HierarchicalMetadataManager().parse('{}', 'yaml'), /Unsupported serialization format: yaml/);
+  });
+});
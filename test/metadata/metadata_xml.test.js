@@ -0,0 +1,72 @@
+/**
+ * Tests for the XML mapping of integrated metadata (src/metadata/metadata_xml.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toXML, fromXML, XML_NAMESPACES } = require('../../src/metadata/metadata_xml');
+
+const ROOT = `<ddris:metadata xmlns:ddris="${XML_NAMESPACES.ddris}">`;
+
+describe('toXML / fromXML', () => {
+  it('round-trips JSON values without loss', () => {
+    const metadata = {
+      '@context': ['https://www.w3.org/ns/did/v1'],
+      id: 'did:asset:text:zQmXml',
+      service: [],
+      characteristics: {
+        count: 0,
+        ratio: -1.5,
+        enabled: true,
+        missing: null,
+        empty: {},
+        numeric: '42',
+        text: 'line one\r\nline two & <three>',
+        unicode: '\u6c34 \ud83d\udca7',
+        'did:key:z6Mk': { nested: [[1, 'two'], { three: false }] }
+      }
+    };
+
+    assert.deepEqual(fromXML(toXML(metadata)), metadata);
+    assert.deepEqual(fromXML(toXML(metadata, { indent: '' })), metadata);
+  });
+
+  it('marks byte strings and decodes them as Buffers', () => {
+    const bytes = Buffer.from([0, 1, 254, 255]);
+    const xml = toXML({ characteristics: { digest: bytes } });
+
+    assert.match(xml, /<ddris:digest ddris:type="bytes">AAH\+\/w==<\/ddris:digest>/);
+    assert.deepEqual(fromXML(xml).characteristics.digest, bytes);
+  });
+
+  it('accepts other prefixes, comments and entities in documents from other writers', () => {
+    const xml = [
+      '<?xml version="1.0"?>',
+      '<!-- exported by an archive system -->',
+      `<m:metadata xmlns:m="${XML_NAMESPACES.ddris}" xmlns:d="${XML_NAMESPACES.did}">`,
+      '  <d:id>did:asset:text:zQm&#65;&amp;B</d:id>',
+      '  <m:rights><m:license><![CDATA[<free>]]></m:license></m:rights>',
+      '</m:metadata>'
+    ].join('\n');
+
+    assert.deepEqual(fromXML(xml), { id: 'did:asset:text:zQmA&B', rights: { license: '<free>' } });
+  });
+
+  it('rejects characters XML cannot carry and functions', () => {
+    assert.throws(() => toXML({ id: 'a\u0000b' }), /cannot be represented in XML 1\.0/);
+    assert.throws(() => toXML({ id: () => {} }), /Cannot serialize function/);
+  });
+
+  it('rejects malformed documents and foreign roots', () => {
+    assert.throws(() => fromXML('<metadata/>'), /Expected a ddris:metadata root element/);
+    assert.throws(() => fromXML(`${ROOT}<ddris:id>x</ddris:id>`));
+    assert.throws(() => fromXML(`${ROOT}<ddris:id>x</ddris:other></ddris:metadata>`));
+    assert.throws(() => fromXML(`${ROOT}</ddris:metadata><extra/>`));
+    assert.throws(() => fromXML(`${ROOT}<ddris:id>&unknown;</ddris:id></ddris:metadata>`));
+    for (const reference of ['&#xFFFFFFF;', '&#0;', '&#x1;', '&#xD800;', '&#65535;']) {
+      assert.throws(() => fromXML(`${ROOT}<ddris:id>${reference}</ddris:id></ddris:metadata>`), /^Error: Malformed XML: invalid character reference/);
+    }
+    assert.throws(() => fromXML(`<!DOCTYPE x [<!ENTITY e "x">]>${ROOT}</ddris:metadata>`));
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Tests for owner-signed registry requests (src/registry/authorization.js and
+ * the authorization of DistributedRegistry mutations)
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DistributedRegistry, REGISTRY_EVENTS, REGISTRY_ERROR_CODES } = require('../../src/registry/distributed_registry');
+const { signRegistryRequest, findAuthorizationMethod } = require('../../src/registry/authorization');
+const { Ed25519KeyPair } = require('../../src/core/crypto');
+const { createKeyDID } = require('../../src/identity/did_key');
+const { DIDWebDomain } = require('../../src/identity/did_web');
+const { DigitalResourceDID } = require('../../src/core/did_utils');
+
+/**
+ * Create a did:key owner
+ * @returns {Object} { keyPair, did, verificationMethod }
+ */
+function createOwner() {
+  const keyPair = Ed25519KeyPair.generate();
+  const did = createKeyDID(keyPair);
+  return { keyPair, did, verificationMethod: `${did}#${did.substring('did:key:'.length)}` };
+}
+
+/**
+ * Assert that a registry call is rejected with an error code
+ * @param {Promise} promise - Registry call
+ * @param {string} code - Expected code from REGISTRY_ERROR_CODES
+ * @returns {Promise<void>}
+ */
+function assertRejected(promise, code) {
+  return assert.rejects(promise, error => {
+    assert.equal(error.code, code, error.message);
+    return true;
+  });
+}
+
+let counter = 0;
+
+describe('DistributedRegistry authorization', () => {
+  const domain = new DIDWebDomain('owners.example.org');
+  const webOwner = Ed25519KeyPair.generate();
+  domain.addDocument(['alice'], { keys: [webOwner] });
+
+  let registry;
+  let owner;
+  let did;
+
+  before(async () => {
+    registry = new DistributedRegistry({
+      dltType: 'local',
+      resolverOptions: {
+        fetcher: async url => {
+          const didDocument = domain.files()[new URL(url).pathname];
+          return {
+            ok: Boolean(didDocument),
+            status: didDocument ? 200 : 404,
+            text: async () => JSON.stringify(didDocument)
+          };
+        }
+      }
+    });
+    await registry.initialize();
+  });
+
+  /**
+   * Register a resource with a request signed by a key of its owner
+   * @param {string} resourceDid - DID of the resource
+   * @param {Object} metadata - Metadata to register
+   * @param {string} ownerDid - Owner DID
+   * @param {Object} signer - { keyPair, verificationMethod }
+   * @returns {Promise<Object>} Registration result
+   */
+  async function register(resourceDid, metadata, ownerDid, signer) {
+    const request = await registry.createSignedRequest(
+      resourceDid, REGISTRY_EVENTS.REGISTRATION, { metadata, owner: ownerDid }, signer.keyPair, signer.verificationMethod
+    );
+    return registry.registerResource(resourceDid, metadata, ownerDid, request);
+  }
+
+  /**
+   * Register a fresh resource owned by a new did:key owner
+   */
+  async function registerOwned() {
+    owner = createOwner();
+    did = `did:asset:text:zQmAuth${counter++}`;
+    await register(did, { version: 1 }, owner.did, owner);
+  }
+
+  /**
+   * Sign an update of the current resource
+   * @param {Object} metadata - Metadata covered by the signature
+   * @param {Object} signer - { keyPair, verificationMethod } (default: the owner)
+   * @returns {Promise<Object>} Signed request
+   */
+  function signUpdate(metadata, signer = owner) {
+    return registry.createSignedRequest(did, REGISTRY_EVENTS.UPDATE, { metadata }, signer.keyPair, signer.verificationMethod);
+  }
+
+  it('accepts a request signed by the owner and applies it once', async t => {
+    t.mock.method(console, 'error', () => {});
+    await registerOwned();
+    const request = await signUpdate({ version: 2 });
+
+    await registry.updateMetadata(did, { version: 2 }, request);
+    assert.deepEqual((await registry.getResource(did)).metadata, { version: 2 });
+    await assertRejected(registry.updateMetadata(did, { version: 2 }, request), REGISTRY_ERROR_CODES.STALE_REQUEST);
+  });
+
+  it('rejects missing, repurposed and tampered requests', async t => {
+    t.mock.method(console, 'error', () => {});
+    await registerOwned();
+    const request = await signUpdate({ version: 2 });
+
+    await assertRejected(registry.updateMetadata(did, { version: 2 }), REGISTRY_ERROR_CODES.UNAUTHORIZED);
+    await assertRejected(registry.updateMetadata(did, { version: 3 }, request), REGISTRY_ERROR_CODES.UNAUTHORIZED);
+    await assertRejected(registry.revokeResource(did, 'x', request), REGISTRY_ERROR_CODES.UNAUTHORIZED);
+    const { signature } = await signUpdate({ version: 3 });
+    await assertRejected(registry.updateMetadata(did, { version: 2 }, { ...request, signature }), REGISTRY_ERROR_CODES.UNAUTHORIZED);
+    await assertRejected(registry.updateMetadata(did, { version: 2 }, { ...request, nonce: 7 }), REGISTRY_ERROR_CODES.STALE_REQUEST);
+  });
+
+  it('rejects keys of anyone but the owner, and owner ids with a foreign key', async t => {
+    t.mock.method(console, 'error', () => {});
+    await registerOwned();
+    const attacker = createOwner();
+
+    await assertRejected(registry.updateMetadata(did, { version: 9 }, await signUpdate({ version: 9 }, attacker)), REGISTRY_ERROR_CODES.UNAUTHORIZED);
+    await assertRejected(
+      registry.updateMetadata(did, { version: 9 }, await signUpdate({ version: 9 }, { keyPair: attacker.keyPair, verificationMethod: owner.verificationMethod })),
+      REGISTRY_ERROR_CODES.UNAUTHORIZED
+    );
+  });
+
+  it('rejects unsigned registrations and registrations not signed by the named owner', async t => {
+    t.mock.method(console, 'error', () => {});
+    owner = createOwner();
+    const attacker = createOwner();
+    did = `did:asset:text:zQmAuth${counter++}`;
+    const sign = (metadata, ownerDid, signer) => registry.createSignedRequest(
+      did, REGISTRY_EVENTS.REGISTRATION, { metadata, owner: ownerDid }, signer.keyPair, signer.verificationMethod
+    );
+
+    await assertRejected(registry.registerResource(did, { version: 1 }, owner.did), REGISTRY_ERROR_CODES.UNAUTHORIZED);
+    await assertRejected(
+      registry.registerResource(did, { version: 1 }, owner.did, await sign({ version: 1 }, owner.did, attacker)),
+      REGISTRY_ERROR_CODES.UNAUTHORIZED
+    );
+    await assertRejected(
+      registry.registerResource(did, { version: 1 }, owner.did, await sign({ version: 1 }, owner.did, { keyPair: attacker.keyPair, verificationMethod: owner.verificationMethod })),
+      REGISTRY_ERROR_CODES.UNAUTHORIZED
+    );
+    await assertRejected(
+      registry.registerResource(did, { version: 1 }, attacker.did, await sign({ version: 1 }, owner.did, owner)),
+      REGISTRY_ERROR_CODES.UNAUTHORIZED
+    );
+    await assertRejected(registry.registerResource(did, { version: 1 }, null, await sign({ version: 1 }, null, owner)), REGISTRY_ERROR_CODES.INVALID_REQUEST);
+    assert.equal((await registry.verifyResource(did)).exists, false);
+
+    const request = await sign({ version: 1 }, owner.did, owner);
+    await registry.registerResource(did, { version: 1 }, owner.did, request);
+    assert.equal((await registry.verifyResource(did)).owner, owner.did);
+    await assertRejected(registry.registerResource(did, { version: 1 }, owner.did, request), REGISTRY_ERROR_CODES.ALREADY_REGISTERED);
+    await assertRejected(sign({ version: 1 }, owner.did, owner), REGISTRY_ERROR_CODES.ALREADY_REGISTERED);
+  });
+
+  it('checks self-owned registrations against the registered DID document', async t => {
+    t.mock.method(console, 'error', () => {});
+    const created = DigitalResourceDID.createDID('text', { content_hash: `self${counter++}`, mime_type: 'text/plain', charset: 'utf-8' });
+    const attacker = createOwner();
+
+    await assertRejected(
+      register(created.did, created.didDocument, created.did, { keyPair: attacker.keyPair, verificationMethod: `${created.did}#keys-1` }),
+      REGISTRY_ERROR_CODES.UNAUTHORIZED
+    );
+    await register(created.did, created.didDocument, created.did, { keyPair: created.keyPair, verificationMethod: `${created.did}#keys-1` });
+    assert.equal((await registry.verifyResource(created.did)).owner, created.did);
+  });
+
+  it('does not trust a did:asset owner document registered by someone else', async t => {
+    t.mock.method(console, 'error', () => {});
+
+    // An attacker registers a did:asset DID with a document listing their own key
+    const victim = DigitalResourceDID.createDID('text', { content_hash: 'victim', mime_type: 'text/plain', charset: 'utf-8' });
+    const attacker = createOwner();
+    const verificationMethod = `${victim.did}#keys-1`;
+    await register(victim.did, {
+      id: victim.did,
+      verificationMethod: [attacker.keyPair.toVerificationMethod(verificationMethod, victim.did)],
+      authentication: [verificationMethod]
+    }, attacker.did, attacker);
+
+    // That document does not let them act as the owner of other resources
+    did = `did:asset:text:zQmAuth${counter++}`;
+    await assertRejected(
+      register(did, { version: 1 }, victim.did, { keyPair: attacker.keyPair, verificationMethod }),
+      REGISTRY_ERROR_CODES.UNAUTHORIZED
+    );
+  });
+
+  it('accepts keys of self-registered did:asset owners', async () => {
+    const ownerAsset = DigitalResourceDID.createDID('text', { content_hash: `owner${counter}`, mime_type: 'text/plain', charset: 'utf-8' });
+    const ownerKey = { keyPair: ownerAsset.keyPair, verificationMethod: `${ownerAsset.did}#keys-1` };
+    await register(ownerAsset.did, ownerAsset.didDocument, ownerAsset.did, ownerKey);
+
+    did = `did:asset:text:zQmAuth${counter++}`;
+    await register(did, { version: 1 }, ownerAsset.did, ownerKey);
+    const request = await signUpdate({ version: 2 }, ownerKey);
+
+    await registry.updateMetadata(did, { version: 2 }, request);
+    assert.equal((await registry.getResourceHistory(did))[1].author, `${ownerAsset.did}#keys-1`);
+  });
+
+  it('resolves did:web owner keys from their domain', async () => {
+    const webDid = domain.did(['alice']);
+    did = `did:asset:text:zQmAuth${counter++}`;
+    await register(did, { version: 1 }, webDid, { keyPair: webOwner, verificationMethod: `${webDid}#keys-1` });
+
+    const request = await registry.createSignedRequest(did, REGISTRY_EVENTS.REVOCATION, { reason: 'retired' }, webOwner, `${webDid}#keys-1`);
+    await registry.revokeResource(did, 'retired', request);
+    assert.equal((await registry.verifyResource(did)).status, 'revoked');
+  });
+
+  it('only registers did:asset DIDs', async t => {
+    t.mock.method(console, 'error', () => {});
+
+    await assertRejected(registry.registerResource(domain.did(['alice']), { id: 'x' }, createOwner().did), REGISTRY_ERROR_CODES.INVALID_REQUEST);
+    await assertRejected(registry.registerResource(createOwner().did, {}, createOwner().did), REGISTRY_ERROR_CODES.INVALID_REQUEST);
+  });
+});
+
+describe('signRegistryRequest', () => {
+  it('needs a private key', () => {
+    const publicOnly = Ed25519KeyPair.fromRaw(Ed25519KeyPair.generate().publicKey);
+    assert.throws(() => signRegistryRequest({ action: 'update', did: 'did:asset:text:z', nonce: 0 }, publicOnly, 'did:key:z#z'));
+  });
+});
+
+describe('findAuthorizationMethod', () => {
+  const didDocument = {
+    id: 'did:example:1',
+    verificationMethod: [
+      { id: 'did:example:1#auth', type: 'Multikey' },
+      { id: 'did:example:1#assert', type: 'Multikey' }
+    ],
+    authentication: ['#auth'],
+    assertionMethod: ['did:example:1#assert'],
+    capabilityInvocation: [{ id: 'did:example:1#embedded', type: 'Multikey' }]
+  };
+
+  it('finds referenced and embedded methods of authorizing relationships only', () => {
+    assert.equal(findAuthorizationMethod(didDocument, 'did:example:1#auth').type, 'Multikey');
+    assert.equal(findAuthorizationMethod(didDocument, 'did:example:1#embedded').id, 'did:example:1#embedded');
+    assert.equal(findAuthorizationMethod(didDocument, 'did:example:1#assert'), null);
+    assert.equal(findAuthorizationMethod(null, 'did:example:1#auth'), null);
+  });
+});
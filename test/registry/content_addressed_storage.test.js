@@ -0,0 +1,225 @@
+/**
+ * Tests for off-chain metadata storage (ContentAddressedStorage and IPFSStorage
+ * in src/registry/distributed_registry.js)
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const {
+  ContentAddressedStorage,
+  IPFSStorage,
+  DistributedRegistry,
+  REGISTRY_ERROR_CODES
+} = require('../../src/registry/distributed_registry');
+const { CID, CODECS } = require('../../src/core/cid');
+
+describe('ContentAddressedStorage', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ddris-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('addresses objects as dag-json and strings as raw blocks', async () => {
+    const storage = new ContentAddressedStorage();
+    await storage.connect();
+
+    const object = await storage.store({ title: 'Report', version: 2 });
+    assert.equal(object.codec, 'dag-json');
+    assert.equal(CID.parse(object.contentId).codec, CODECS.DAG_JSON);
+    assert.deepEqual(await storage.retrieve(object.contentId), { title: 'Report', version: 2 });
+
+    const text = await storage.store('hello world');
+    assert.equal(text.contentId, 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+    assert.deepEqual(await storage.retrieve(text.contentId), Buffer.from('hello world'));
+  });
+
+  it('gives equal content the same CID regardless of key order', async () => {
+    const storage = new ContentAddressedStorage();
+    await storage.connect();
+
+    const first = await storage.store({ a: 1, b: 2 });
+    const second = await storage.store({ b: 2, a: 1 });
+    assert.equal(first.contentId, second.contentId);
+    assert.equal(storage.getReferenceCount(first.contentId), 2);
+  });
+
+  it('keeps blocks until their last reference is released', async () => {
+    const storage = new ContentAddressedStorage({ directory });
+    await storage.connect();
+
+    const { contentId } = await storage.store({ a: 1 });
+    await storage.store({ a: 1 });
+
+    assert.equal(await storage.delete(contentId), true);
+    assert.equal(storage.has(contentId), true);
+    assert.equal(await storage.delete(contentId), true);
+    assert.equal(storage.has(contentId), false);
+    assert.equal(await storage.delete(contentId), false);
+    await assert.rejects(storage.retrieve(contentId), /Content not found/);
+  });
+
+  it('persists blocks and reference counts across connections', async () => {
+    const storage = new ContentAddressedStorage({ directory });
+    await storage.connect();
+    const { contentId } = await storage.store({ persisted: true });
+
+    const reopened = new ContentAddressedStorage({ directory });
+    await reopened.connect();
+    assert.equal(reopened.getReferenceCount(contentId), 1);
+    assert.deepEqual(await reopened.retrieve(contentId), { persisted: true });
+  });
+
+  it('never returns tampered blocks', async () => {
+    const storage = new ContentAddressedStorage({ directory });
+    await storage.connect();
+    const { contentId } = await storage.store({ owner: 'did:key:z6MkOwner' });
+
+    fs.writeFileSync(path.join(directory, 'blocks', contentId), '{"owner":"did:key:z6MkAttacker"}');
+    await assert.rejects(storage.retrieve(contentId), /hash mismatch/);
+  });
+});
+
+/**
+ * Start a minimal stand-in for the Kubo RPC API that keeps blocks in memory
+ * @param {Object} options - { corrupt } returns altered bytes from block/get
+ * @returns {Promise<Object>} { apiUrl, blocks, pins, close }
+ */
+async function startFakeKubo({ corrupt = false } = {}) {
+  const blocks = new Map();
+  const pins = new Set();
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+    const fail = (status, message) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ Message: message, Code: 0, Type: 'error' }));
+    };
+
+    switch (url.pathname) {
+      case '/api/v0/id':
+        response.end(JSON.stringify({ ID: 'fake' }));
+        return;
+      case '/api/v0/block/put': {
+        // Single-part multipart body: the block sits between the part headers and the closing boundary
+        const boundary = /boundary=(.+)$/.exec(request.headers['content-type'])[1];
+        const start = body.indexOf('\r\n\r\n') + 4;
+        const end = body.lastIndexOf(`\r\n--${boundary}--`);
+        const bytes = body.subarray(start, end);
+        const codec = url.searchParams.get('cid-codec') === 'raw' ? CODECS.RAW : CODECS.DAG_JSON;
+        const cid = CID.create(bytes, codec).toString();
+        blocks.set(cid, Buffer.from(bytes));
+        if (url.searchParams.get('pin') === 'true') pins.add(cid);
+        response.end(JSON.stringify({ Key: cid, Size: bytes.length }));
+        return;
+      }
+      case '/api/v0/block/get': {
+        const bytes = blocks.get(url.searchParams.get('arg'));
+        if (!bytes) return fail(500, 'block was not found locally (offline)');
+        response.end(corrupt ? Buffer.concat([bytes, Buffer.from(' ')]) : bytes);
+        return;
+      }
+      case '/api/v0/pin/rm': {
+        const cid = url.searchParams.get('arg');
+        if (!pins.delete(cid)) return fail(500, 'not pinned or pinned indirectly');
+        response.end(JSON.stringify({ Pins: [cid] }));
+        return;
+      }
+      default:
+        fail(404, '404 page not found');
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    apiUrl: `http://127.0.0.1:${server.address().port}/api/v0`,
+    blocks,
+    pins,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('IPFSStorage', () => {
+  let kubo;
+
+  afterEach(async () => {
+    if (kubo) await kubo.close();
+    kubo = null;
+  });
+
+  it('stores, pins and retrieves blocks under the same CIDs as the local storage', async () => {
+    kubo = await startFakeKubo();
+    const storage = new IPFSStorage({ apiUrl: kubo.apiUrl });
+    assert.equal(await storage.connect(), true);
+
+    const local = new ContentAddressedStorage();
+    await local.connect();
+
+    const metadata = { title: 'Report', version: 2 };
+    const object = await storage.store(metadata);
+    assert.equal(object.contentId, (await local.store(metadata)).contentId);
+    assert.equal(object.codec, 'dag-json');
+    assert.ok(kubo.pins.has(object.contentId));
+    assert.deepEqual(await storage.retrieve(object.contentId), metadata);
+
+    const text = await storage.store('hello world');
+    assert.equal(text.codec, 'raw');
+    assert.equal((await storage.retrieve(text.contentId)).toString('utf8'), 'hello world');
+
+    assert.equal(await storage.delete(object.contentId), true);
+    assert.equal(await storage.delete(object.contentId), false);
+    assert.equal(kubo.pins.has(object.contentId), false);
+  });
+
+  it('rejects blocks whose bytes do not match their CID', async () => {
+    kubo = await startFakeKubo({ corrupt: true });
+    const storage = new IPFSStorage({ apiUrl: kubo.apiUrl });
+    await storage.connect();
+
+    const { contentId } = await storage.store({ a: 1 });
+    await assert.rejects(storage.retrieve(contentId), /hash mismatch/);
+  });
+
+  it('reports node errors and an unreachable node', async t => {
+    kubo = await startFakeKubo();
+    const storage = new IPFSStorage({ apiUrl: kubo.apiUrl });
+    await storage.connect();
+    await assert.rejects(
+      storage.retrieve('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e'),
+      /block\/get failed \(500\): block was not found/
+    );
+
+    t.mock.method(console, 'error', () => {});
+    const url = kubo.apiUrl;
+    await kubo.close();
+    kubo = null;
+    const offline = new IPFSStorage({ apiUrl: url });
+    assert.equal(await offline.connect(), false);
+    await assert.rejects(offline.store({ a: 1 }), /not connected/);
+  });
+});
+
+describe('DistributedRegistry.getResource', () => {
+  it('reports a ledger record without a content ID instead of inventing one', async t => {
+    t.mock.method(console, 'error', () => {});
+    const registry = new DistributedRegistry({ dltType: 'local' });
+    await registry.initialize();
+
+    const did = 'did:asset:text:zQmNoContent';
+    await registry.dltConnector.registerResource(did, { metadataHash: 'h', owner: did });
+
+    await assert.rejects(registry.getResource(did), error => error.code === REGISTRY_ERROR_CODES.LEDGER_ERROR);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the Ethereum connector and the bundled ResourceRegistry contract
+ * (EthereumDLTConnector in src/registry/distributed_registry.js), against an
+ * in-process ganache chain
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ganache = require('ganache');
+
+const {
+  DistributedRegistry,
+  EthereumDLTConnector,
+  REGISTRY_EVENTS,
+  REGISTRY_ERROR_CODES
+} = require('../../src/registry/distributed_registry');
+const { Ed25519KeyPair } = require('../../src/core/crypto');
+const { createKeyDID } = require('../../src/identity/did_key');
+const { compile, COMPILER_SETTINGS } = require('../../contracts/build');
+const ARTIFACT = require('../../contracts/ResourceRegistry.json');
+
+/**
+ * Create a did:key owner
+ * @returns {Object} { keyPair, did, verificationMethod }
+ */
+function createOwner() {
+  const keyPair = Ed25519KeyPair.generate();
+  const did = createKeyDID(keyPair);
+  return { keyPair, did, verificationMethod: `${did}#${did.substring('did:key:'.length)}` };
+}
+
+describe('ResourceRegistry artifact', () => {
+  it('records its compiler settings and is rebuilt byte for byte from the source', () => {
+    assert.deepEqual(ARTIFACT.settings, COMPILER_SETTINGS);
+
+    const artifact = compile();
+    assert.equal(artifact.compiler, ARTIFACT.compiler);
+    assert.equal(artifact.bytecode, ARTIFACT.bytecode);
+    assert.deepEqual(artifact.abi, ARTIFACT.abi);
+  });
+});
+
+describe('EthereumDLTConnector', () => {
+  let server;
+  let rpcUrl;
+  let registry;
+
+  before(async () => {
+    server = ganache.server({ logging: { quiet: true } });
+    await server.listen(0);
+    rpcUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const contractAddress = await EthereumDLTConnector.deploy({ rpcUrl });
+    registry = new DistributedRegistry({ dltType: 'ethereum', dlt: { rpcUrl, contractAddress } });
+    assert.equal(await registry.initialize(), true);
+  });
+
+  after(async () => {
+    if (registry && registry.dltConnector.provider) {
+      registry.dltConnector.provider.destroy();
+    }
+    await server.close();
+  });
+
+  it('fails to connect when no contract is deployed at the address', async t => {
+    t.mock.method(console, 'error', () => {});
+    const connector = new EthereumDLTConnector({ rpcUrl, contractAddress: '0x000000000000000000000000000000000000dEaD' });
+
+    assert.equal(await connector.connect(), false);
+    connector.provider.destroy();
+  });
+
+  it('records owner-signed updates, transfers and revocations with their authorizing key', async t => {
+    t.mock.method(console, 'error', () => {});
+    const owner = createOwner();
+    const newOwner = createOwner();
+    const did = 'did:asset:text:zQmEthereum';
+
+    const registration = await registry.createSignedRequest(
+      did, REGISTRY_EVENTS.REGISTRATION, { metadata: { version: 1 }, owner: owner.did }, owner.keyPair, owner.verificationMethod
+    );
+    await registry.registerResource(did, { version: 1 }, owner.did, registration);
+    const update = await registry.createSignedRequest(
+      did, REGISTRY_EVENTS.UPDATE, { metadata: { version: 2 } }, owner.keyPair, owner.verificationMethod
+    );
+    await registry.updateMetadata(did, { version: 2 }, update);
+
+    // A request is bound to the nonce it was signed against
+    await assert.rejects(
+      registry.updateMetadata(did, { version: 2 }, update),
+      error => error.code === REGISTRY_ERROR_CODES.STALE_REQUEST
+    );
+
+    const transfer = await registry.createSignedRequest(
+      did, REGISTRY_EVENTS.TRANSFER, { newOwner: newOwner.did }, owner.keyPair, owner.verificationMethod
+    );
+    await registry.transferOwnership(did, newOwner.did, transfer);
+    assert.equal((await registry.verifyResource(did)).owner, newOwner.did);
+
+    // The previous owner can no longer change the resource
+    const stolen = await registry.createSignedRequest(
+      did, REGISTRY_EVENTS.UPDATE, { metadata: { version: 3 } }, owner.keyPair, owner.verificationMethod
+    );
+    await assert.rejects(
+      registry.updateMetadata(did, { version: 3 }, stolen),
+      error => error.code === REGISTRY_ERROR_CODES.UNAUTHORIZED
+    );
+
+    const history = await registry.getResourceHistory(did);
+    assert.deepEqual(history.map(version => [version.versionId, version.author]), [
+      ['1', owner.did],
+      ['2', owner.verificationMethod]
+    ]);
+    assert.deepEqual((await registry.getResource(did)).metadata, { version: 2 });
+    assert.deepEqual((await registry.getResource(did, { versionId: '1' })).metadata, { version: 1 });
+
+    const revoke = await registry.createSignedRequest(
+      did, REGISTRY_EVENTS.REVOCATION, { reason: 'retired' }, newOwner.keyPair, newOwner.verificationMethod
+    );
+    await registry.revokeResource(did, 'retired', revoke);
+    assert.equal((await registry.verifyResource(did)).status, 'revoked');
+    await assert.rejects(registry.getResource(did), error => error.code === REGISTRY_ERROR_CODES.NOT_ACTIVE);
+  });
+
+  it('rejects a second registration of the same DID', async t => {
+    t.mock.method(console, 'error', () => {});
+    const owner = createOwner();
+    const did = 'did:asset:text:zQmTwice';
+
+    const registration = await registry.createSignedRequest(
+      did, REGISTRY_EVENTS.REGISTRATION, { metadata: { version: 1 }, owner: owner.did }, owner.keyPair, owner.verificationMethod
+    );
+    await registry.registerResource(did, { version: 1 }, owner.did, registration);
+    await assert.rejects(
+      registry.registerResource(did, { version: 1 }, createOwner().did),
+      error => error.code === REGISTRY_ERROR_CODES.ALREADY_REGISTERED
+    );
+  });
+});
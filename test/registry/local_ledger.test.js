@@ -0,0 +1,156 @@
+/**
+ * Tests for the hash-chained local ledger (LocalLedgerConnector in
+ * src/registry/distributed_registry.js)
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LocalLedgerConnector, LedgerError, REGISTRY_ERROR_CODES } = require('../../src/registry/distributed_registry');
+
+const DID = 'did:asset:text:zQmLedger';
+const OWNER = 'did:key:z6MkOwner';
+
+describe('LocalLedgerConnector', () => {
+  let directory;
+  let ledgerPath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ddris-ledger-'));
+    ledgerPath = path.join(directory, 'ledger.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Open a ledger on the test log file
+   * @returns {Promise<LocalLedgerConnector>} Connected ledger
+   */
+  async function openLedger() {
+    const ledger = new LocalLedgerConnector({ path: ledgerPath });
+    assert.equal(await ledger.connect(), true);
+    return ledger;
+  }
+
+  /**
+   * Write a registration, an update and a transfer
+   * @param {LocalLedgerConnector} ledger - Connected ledger
+   */
+  async function writeHistory(ledger) {
+    await ledger.registerResource(DID, { metadataHash: 'h1', contentId: 'cid1', owner: OWNER });
+    await ledger.updateResource(DID, { metadataHash: 'h2', contentId: 'cid2', nonce: 0, authorizedBy: `${OWNER}#k` });
+    await ledger.transferOwnership(DID, 'did:key:z6MkNewOwner', { nonce: 1 });
+  }
+
+  it('chains blocks and tracks state, nonces and versions', async () => {
+    const ledger = await openLedger();
+    await writeHistory(ledger);
+
+    const record = await ledger.verifyResource(DID);
+    assert.equal(record.owner, 'did:key:z6MkNewOwner');
+    assert.equal(record.contentId, 'cid2');
+    assert.equal(record.nonce, 2);
+    assert.equal(ledger.verifyChain(), true);
+    assert.equal(ledger.getBlock(1).previousHash, ledger.getBlock(0).hash);
+    assert.equal(ledger.getTransaction(record.transactionId).type, 'transfer');
+
+    const history = await ledger.getResourceHistory(DID);
+    assert.deepEqual(history.map(version => [version.versionId, version.previousHash, version.author]), [
+      ['1', null, OWNER],
+      ['2', 'h1', `${OWNER}#k`]
+    ]);
+  });
+
+  it('replays the persisted log into the same state', async () => {
+    const ledger = await openLedger();
+    await writeHistory(ledger);
+
+    const replayed = await openLedger();
+    assert.deepEqual(await replayed.verifyResource(DID), await ledger.verifyResource(DID));
+    assert.deepEqual(await replayed.getResourceHistory(DID), await ledger.getResourceHistory(DID));
+    assert.equal(replayed.blocks.length, 3);
+  });
+
+  it('refuses to open a log with a modified block', async t => {
+    const errors = t.mock.method(console, 'error', () => {});
+    await writeHistory(await openLedger());
+
+    const lines = fs.readFileSync(ledgerPath, 'utf8').split('\n');
+    lines[0] = lines[0].replace(OWNER, 'did:key:z6MkAttacker');
+    fs.writeFileSync(ledgerPath, lines.join('\n'));
+
+    assert.equal(await new LocalLedgerConnector({ path: ledgerPath }).connect(), false);
+    assert.match(errors.mock.calls[0].arguments[1].message, /block 0 has been modified/);
+  });
+
+  it('refuses to open a log with a removed or reordered block', async t => {
+    const errors = t.mock.method(console, 'error', () => {});
+    await writeHistory(await openLedger());
+
+    const lines = fs.readFileSync(ledgerPath, 'utf8').split('\n').filter(Boolean);
+    fs.writeFileSync(ledgerPath, `${[lines[0], lines[2]].join('\n')}\n`);
+
+    assert.equal(await new LocalLedgerConnector({ path: ledgerPath }).connect(), false);
+    assert.match(errors.mock.calls[0].arguments[1].message, /chain broken at block 1/);
+  });
+
+  it('drops a torn last line and appends after the last complete block', async t => {
+    const warnings = t.mock.method(console, 'warn', () => {});
+    await writeHistory(await openLedger());
+
+    const complete = fs.readFileSync(ledgerPath, 'utf8');
+    fs.appendFileSync(ledgerPath, complete.split('\n')[2].slice(0, 40));
+
+    const ledger = await openLedger();
+    assert.equal(ledger.blocks.length, 3);
+    assert.equal(fs.readFileSync(ledgerPath, 'utf8'), complete);
+    assert.match(warnings.mock.calls[0].arguments[0], /unterminated last line/);
+
+    await ledger.revokeResource(DID, 'retired', { nonce: 2 });
+    const reopened = await openLedger();
+    assert.equal(reopened.blocks.length, 4);
+    assert.equal(reopened.verifyChain(), true);
+  });
+
+  it('refuses to open a log with a damaged block before its end', async t => {
+    const errors = t.mock.method(console, 'error', () => {});
+    await writeHistory(await openLedger());
+
+    const lines = fs.readFileSync(ledgerPath, 'utf8').split('\n');
+    lines[1] = lines[1].slice(0, 40);
+    fs.writeFileSync(ledgerPath, lines.join('\n'));
+
+    assert.equal(await new LocalLedgerConnector({ path: ledgerPath }).connect(), false);
+    const error = errors.mock.calls[0].arguments[1];
+    assert.ok(error instanceof LedgerError);
+    assert.match(error.message, /block 1 is not valid JSON/);
+  });
+
+  it('rejects invalid state transitions without writing them', async () => {
+    const ledger = await openLedger();
+    await ledger.registerResource(DID, { metadataHash: 'h1', contentId: 'cid1', owner: OWNER });
+
+    const rejects = (promise, code) => assert.rejects(promise, error => error.code === code);
+    await rejects(ledger.registerResource(DID, { metadataHash: 'h', owner: OWNER }), REGISTRY_ERROR_CODES.ALREADY_REGISTERED);
+    await rejects(ledger.registerResource('did:asset:text:zQmOther', { owner: OWNER }), REGISTRY_ERROR_CODES.INVALID_REQUEST);
+    await rejects(ledger.updateResource('did:asset:text:zQmOther', { metadataHash: 'h' }), REGISTRY_ERROR_CODES.NOT_FOUND);
+    await rejects(ledger.updateResource(DID, { metadataHash: 'h2', nonce: 5 }), REGISTRY_ERROR_CODES.STALE_REQUEST);
+
+    await ledger.revokeResource(DID, 'retired', { nonce: 0 });
+    await rejects(ledger.updateResource(DID, { metadataHash: 'h2' }), REGISTRY_ERROR_CODES.NOT_ACTIVE);
+
+    assert.equal(fs.readFileSync(ledgerPath, 'utf8').trim().split('\n').length, 2);
+    assert.equal((await openLedger()).verifyChain(), true);
+  });
+
+  it('needs connect() before use', async () => {
+    await assert.rejects(new LocalLedgerConnector().verifyResource(DID), error =>
+      error instanceof LedgerError && error.code === REGISTRY_ERROR_CODES.LEDGER_ERROR);
+    await assert.rejects(new LocalLedgerConnector().registerResource(DID, { owner: OWNER }), LedgerError);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for resource version chains and versionId / versionTime lookups in
+ * DistributedRegistry, DIDResolver and DID URLs
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+
+const { DistributedRegistry, REGISTRY_EVENTS, REGISTRY_ERROR_CODES } = require('../../src/registry/distributed_registry');
+const { DIDResolver } = require('../../src/identity/did_resolver');
+const { DIDURLDereferencer } = require('../../src/identity/did_url_dereferencer');
+const { DigitalResourceDID } = require('../../src/core/did_utils');
+
+describe('Resource version history', () => {
+  let registry;
+  let resolver;
+  let did;
+  let history;
+
+  before(async () => {
+    registry = new DistributedRegistry({ dltType: 'local' });
+    await registry.initialize();
+    resolver = new DIDResolver(registry);
+
+    // A self-owned resource with three document versions
+    const created = DigitalResourceDID.createDID('text', { content_hash: 'versions', mime_type: 'text/plain', charset: 'utf-8' });
+    did = created.did;
+    const registration = await registry.createSignedRequest(
+      did, REGISTRY_EVENTS.REGISTRATION, { metadata: created.didDocument, owner: did }, created.keyPair, `${did}#keys-1`
+    );
+    await registry.registerResource(did, created.didDocument, did, registration);
+
+    for (const title of ['second', 'third']) {
+      await delay(5);
+      const metadata = { ...created.didDocument, title };
+      const request = await registry.createSignedRequest(did, REGISTRY_EVENTS.UPDATE, { metadata }, created.keyPair, `${did}#keys-1`);
+      await registry.updateMetadata(did, metadata, request);
+    }
+    history = await registry.getResourceHistory(did);
+  });
+
+  it('links each version to the hash of the previous one', () => {
+    assert.deepEqual(history.map(version => version.versionId), ['1', '2', '3']);
+    assert.equal(history[0].previousHash, null);
+    assert.equal(history[1].previousHash, history[0].metadataHash);
+    assert.equal(history[2].previousHash, history[1].metadataHash);
+    assert.deepEqual(history.map(version => version.author), [did, `${did}#keys-1`, `${did}#keys-1`]);
+  });
+
+  it('returns a version by id or by the time it was current', async () => {
+    assert.equal((await registry.getResource(did)).metadata.title, 'third');
+    assert.equal((await registry.getResource(did, { versionId: '1' })).metadata.title, undefined);
+    assert.equal((await registry.getResource(did, { versionId: 2 })).metadata.title, 'second');
+
+    const atSecond = await registry.getResource(did, { versionTime: history[1].timestamp + 1 });
+    assert.equal(atSecond.version.versionId, '2');
+    assert.equal(atSecond.nextVersion.versionId, '3');
+    assert.equal((await registry.getResource(did, { versionTime: new Date(history[2].timestamp) })).version.versionId, '3');
+  });
+
+  it('reports unknown versions and times before registration', async t => {
+    t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(registry.getResource(did, { versionId: '4' }), error => error.code === REGISTRY_ERROR_CODES.VERSION_NOT_FOUND);
+    await assert.rejects(registry.getResource(did, { versionTime: history[0].timestamp - 1 }), error => error.code === REGISTRY_ERROR_CODES.VERSION_NOT_FOUND);
+    await assert.rejects(registry.getResource(did, { versionTime: 'yesterday' }), error => error.code === REGISTRY_ERROR_CODES.INVALID_REQUEST);
+  });
+
+  it('resolves earlier document versions with their version metadata', async () => {
+    const result = await resolver.resolve(did, { versionId: '2' });
+    assert.equal(result.didDocumentMetadata.versionId, '2');
+    assert.equal(result.didDocumentMetadata.nextVersionId, '3');
+    assert.equal(result.didDocumentMetadata.updated, new Date(history[1].timestamp).toISOString().replace(/\.\d{3}Z$/, 'Z'));
+
+    const latest = await resolver.resolve(did);
+    assert.equal(latest.didDocumentMetadata.versionId, '3');
+    assert.equal(latest.didDocumentMetadata.nextVersionId, undefined);
+  });
+
+  it('dereferences DID URLs with version parameters', async t => {
+    t.mock.method(console, 'error', () => {});
+    const dereferencer = new DIDURLDereferencer(resolver);
+    const first = await dereferencer.dereference(`${did}?versionId=1#keys-1`);
+
+    assert.equal(first.contentStream.id, `${did}#keys-1`);
+    assert.equal(first.contentMetadata.versionId, '1');
+    assert.equal((await dereferencer.dereference(`${did}?versionId=7`)).dereferencingMetadata.error, 'notFound');
+  });
+});
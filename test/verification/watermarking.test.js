@@ -0,0 +1,197 @@
+/**
+ * Tests for keyed watermark embedding in the WatermarkingEngine and its
+ * strategies (src/verification/watermarking.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WatermarkingEngine } = require('../../src/verification/watermarking');
+const { watermarkKeyId, didHash } = require('../../src/watermarking/watermark_payload');
+const { SIGNATURE_STATUS } = require('../../src/watermarking/watermark_signature');
+const { Ed25519KeyPair } = require('../../src/core/crypto');
+
+const DID = 'did:asset:text:zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4';
+const SENTENCES = [
+  'The archive keeps every version of the big report, and each reader can compare them; good notes help.',
+  'Editors review the small changes before they are published! Nothing bad goes out unchecked.',
+  'When a copy turns up elsewhere, the team can trace it back to its source, and that is good.',
+  'Short notes, long essays and data tables all follow the same rules here; none are too big.'
+];
+
+/**
+ * Build a text of paragraphs
+ * @param {number} paragraphs - Number of paragraphs
+ * @returns {string} Text
+ */
+function testText(paragraphs) {
+  return Array.from({ length: paragraphs }, (_, p) =>
+    Array.from({ length: 6 }, (_, i) => SENTENCES[(p + i) % SENTENCES.length]).join(' ')).join('\n\n');
+}
+
+/**
+ * Build a model of pseudo-random weights
+ * @param {Object} shape - Weight count of each layer
+ * @returns {Object} { parameters: { <layer>: Float32Array } }
+ */
+function testModel(shape) {
+  let seed = 7;
+  const parameters = {};
+  for (const [name, count] of Object.entries(shape)) {
+    parameters[name] = Float32Array.from({ length: count }, () => {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      return (seed / 0x80000000 - 0.5) * 0.1;
+    });
+  }
+  return { parameters };
+}
+
+/**
+ * Build a JavaScript module of documented functions
+ * @param {number} count - Number of functions
+ * @returns {string} Source
+ */
+function javaScriptSource(count) {
+  const lines = [];
+  for (let i = 0; i < count; i++) {
+    lines.push(
+      '/**',
+      ` * ${SENTENCES[i % SENTENCES.length]}`,
+      ' */',
+      `function handler${i}(value) {`,
+      `  return value * ${i + 1};`,
+      '}',
+      ''
+    );
+  }
+  return lines.join('\n');
+}
+
+describe('WatermarkingEngine', () => {
+  it('requires a key and marks nothing at fixed positions', () => {
+    const text = testText(12);
+
+    assert.throws(() => new WatermarkingEngine().embed('text', text, DID), /A watermark key is required/);
+    assert.throws(() => new WatermarkingEngine({ key: 'a' }).embed('text', text, DID, null, { keyId: 'ffff' }), /Unknown watermark key id: ffff/);
+
+    const first = new WatermarkingEngine({ key: 'alpha' }).embed('text', text, DID);
+    const second = new WatermarkingEngine({ key: 'beta' }).embed('text', text, DID);
+    const changed = marked => [...marked].flatMap((character, i) => (character === text[i] ? [] : [i]));
+    assert.notDeepEqual(changed(first), changed(second));
+  });
+
+  for (const strategy of ['spaces', 'combined']) {
+    it(`finds ${strategy} text marks with the embedding key only`, async () => {
+      const engine = new WatermarkingEngine({ key: 'alpha' });
+      const marked = engine.embed('text', testText(24), DID, { title: 'Report' }, { strategy });
+
+      const verified = await engine.verify('text', marked, DID, { strategy });
+      assert.equal(verified.isValid, true);
+      assert.equal(verified.payload.didHash, didHash(DID));
+      assert.equal(verified.signatureStatus, SIGNATURE_STATUS.NOT_EMBEDDED);
+
+      const other = await new WatermarkingEngine({ key: 'beta' }).verify('text', marked, DID, { strategy });
+      assert.equal(other.isValid, false);
+      assert.equal(other.payload, null);
+    });
+  }
+
+  it('keys punctuation and synonym marks as well', () => {
+    const { text: strategy } = new WatermarkingEngine().strategies;
+    const text = testText(100);
+
+    for (const channel of ['punctuation', 'synonyms']) {
+      const options = { strategy: channel, errorCorrection: 'low' };
+      const marked = strategy.embed(text, { did: DID }, { ...options, key: 'alpha' });
+
+      assert.notEqual(marked, text, channel);
+      assert.deepEqual(strategy.extract(marked, { ...options, key: 'alpha' }), { didHash: didHash(DID) }, channel);
+      assert.equal(strategy.extract(marked, { ...options, key: 'beta' }), null, channel);
+      assert.throws(() => strategy.extract(marked, options), /A watermark key is required/);
+    }
+  });
+
+  it('returns a boolean isValid without a key, a mark or a matching DID', async () => {
+    const engine = new WatermarkingEngine({ key: 'alpha' });
+    const marked = engine.embed('text', testText(12), DID);
+
+    assert.deepEqual(await new WatermarkingEngine().verify('text', marked, DID), {
+      isValid: false,
+      payload: null,
+      signatureValid: false,
+      signatureStatus: SIGNATURE_STATUS.NO_PAYLOAD,
+      keyId: null,
+      revoked: null
+    });
+    assert.equal((await engine.verify('text', testText(12), DID)).isValid, false);
+    assert.equal((await engine.verify('text', marked, 'did:asset:text:zQmOther')).isValid, false);
+    assert.equal((await engine.verify('text', marked)).isValid, true);
+    await assert.rejects(engine.verify('image', marked, DID), /No watermarking strategy available for resource type: image/);
+  });
+
+  it('verifies with any key of its keyring, chosen by key id', async () => {
+    const owner = new WatermarkingEngine({ key: 'alpha' });
+    const marked = owner.embed('text', testText(12), DID);
+    const verifier = new WatermarkingEngine({ keys: ['beta', 'alpha'] });
+
+    assert.equal(owner.getKeyId(), watermarkKeyId('alpha'));
+    assert.equal(verifier.getKeyId(), null);
+    assert.equal((await verifier.verify('text', marked, DID, { keyId: watermarkKeyId('alpha') })).isValid, true);
+    assert.equal((await verifier.verify('text', marked, DID, { keyId: watermarkKeyId('beta') })).isValid, false);
+    assert.equal((await verifier.verify('text', marked, DID)).isValid, false);
+  });
+
+  it('verifies registered resources with the key id in the registry', async t => {
+    t.mock.method(console, 'error', () => {});
+    const marked = new WatermarkingEngine({ key: 'alpha' }).embed('text', testText(12), DID);
+    const resources = { [DID]: { metadata: { watermark: { keyId: watermarkKeyId('alpha') } } } };
+    const registry = { getResource: async did => resources[did] || null };
+    const engine = new WatermarkingEngine({ keys: ['alpha'], registry });
+
+    const verified = await engine.verifyRegistered('text', marked, DID, { key: 'beta' });
+    assert.equal(verified.isValid, true);
+    assert.equal(verified.watermarkKeyId, watermarkKeyId('alpha'));
+    await assert.rejects(engine.verifyRegistered('text', marked, 'did:asset:text:zQmOther'), /No watermark key id registered/);
+    await assert.rejects(new WatermarkingEngine().verifyRegistered('text', marked, DID), /A registry is required/);
+  });
+
+  it('marks model weights and code with the key', async () => {
+    const engine = new WatermarkingEngine({ key: 'alpha' });
+    const other = new WatermarkingEngine({ key: 'beta' });
+
+    const model = testModel({ 'dense.weight': 6000, 'dense.bias': 2192 });
+    const markedModel = engine.embed('model', model, DID);
+    assert.deepEqual(Object.keys(markedModel), ['parameters']);
+    const verifiedModel = await engine.verify('model', markedModel, DID);
+    assert.equal(verifiedModel.isValid, true);
+    assert.deepEqual(verifiedModel.payload, { didHash: didHash(DID) });
+    assert.equal((await other.verify('model', markedModel, DID)).isValid, false);
+    assert.equal((await engine.verify('model', model, DID)).isValid, false);
+
+    const source = engine.embed('code', javaScriptSource(30), DID);
+    assert.equal((await engine.verify('code', source, DID)).isValid, true);
+    assert.equal((await other.verify('code', source, DID)).isValid, false);
+  });
+
+  it('signs payloads with the controller key and reports the signature on verification', async () => {
+    const controller = Ed25519KeyPair.generate();
+    const resolver = {
+      resolve: async did => {
+        const method = controller.toVerificationMethod(`${did}#keys-1`, did);
+        return { didDocument: { id: did, verificationMethod: [method], assertionMethod: [method.id] }, didDocumentMetadata: {} };
+      }
+    };
+    const engine = new WatermarkingEngine({ key: 'alpha', resolver });
+
+    const marked = engine.embed('text', testText(40), DID, null, { keyPair: controller });
+    const verified = await engine.verify('text', marked, DID);
+    assert.equal(verified.isValid, true);
+    assert.equal(verified.payload.didHash, didHash(DID));
+    assert.equal(verified.signatureValid, true);
+    assert.equal(verified.keyId, `${DID}#keys-1`);
+    assert.equal(verified.revoked, false);
+
+    const forged = engine.embed('text', testText(40), DID, null, { keyPair: Ed25519KeyPair.generate() });
+    assert.equal((await engine.verify('text', forged, DID)).signatureStatus, SIGNATURE_STATUS.INVALID);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Tests for spread-spectrum audio watermarking and the WAV/PCM codec
+ * (src/watermarking/audio_watermark.js, audio_codec.js and
+ * AudioWatermarkStrategy)
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  embedAudioWatermark,
+  detectAudioWatermark,
+  resample
+} = require('../../src/watermarking/audio_watermark');
+const { decodeWAV, encodeWAV, decodePCM, encodePCM } = require('../../src/watermarking/audio_codec');
+const { WatermarkStrategyFactory } = require('../../src/watermarking/watermark_manager');
+
+const DID = 'did:asset:audio:zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4';
+const OPTIONS = { robustness: 'low', key: 'studio' };
+
+// Three copies of the packet of DID at low robustness take about 118 s
+const SECONDS = 122;
+
+/**
+ * Build a test signal: two tones with a slow tremolo over faint noise
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} seconds - Duration
+ * @returns {Float32Array} Samples
+ */
+function testSignal(sampleRate, seconds = SECONDS) {
+  const samples = new Float32Array(sampleRate * seconds);
+  let seed = 3;
+  for (let i = 0; i < samples.length; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    const t = i / sampleRate;
+    samples[i] = 0.3 * Math.sin(2 * Math.PI * 220 * t) * (0.6 + 0.4 * Math.sin(Math.PI * t)) +
+      0.15 * Math.sin(2 * Math.PI * 330 * t) +
+      0.05 * (seed / 0x7fffffff - 0.5);
+  }
+  return samples;
+}
+
+describe('embedAudioWatermark and detectAudioWatermark', () => {
+  const audio = { sampleRate: 16000, channelData: [testSignal(16000)] };
+  let marked;
+
+  before(() => {
+    marked = embedAudioWatermark(audio, { did: DID, title: 'Episode 1' }, OPTIONS);
+  });
+
+  it('embeds only the DID, below the level of the audio', () => {
+    const detected = detectAudioWatermark(marked, OPTIONS);
+    assert.deepEqual(detected.metadata, { did: DID });
+    assert.ok(detected.confidence > 0.9);
+    assert.equal(detectAudioWatermark(audio, OPTIONS), null);
+
+    let signal = 0;
+    let noise = 0;
+    for (let i = 0; i < audio.channelData[0].length; i++) {
+      signal += audio.channelData[0][i] ** 2;
+      noise += (marked.channelData[0][i] - audio.channelData[0][i]) ** 2;
+    }
+    assert.ok(10 * Math.log10(signal / noise) > 20);
+  });
+
+  it('survives resampling, volume changes and crops', () => {
+    const samples = marked.channelData[0];
+    const attacked = {
+      'resampling to 22.05 kHz': { sampleRate: 22050, channelData: [Float32Array.from(resample(samples, 16000, 22050))] },
+      'resampling to 11.025 kHz': { sampleRate: 11025, channelData: [Float32Array.from(resample(samples, 16000, 11025))] },
+      'a volume of 30%': { sampleRate: 16000, channelData: [samples.map(value => value * 0.3)] },
+      'a crop of 3.3 s and 2 s': { sampleRate: 16000, channelData: [samples.subarray(52800, samples.length - 32000)] }
+    };
+
+    for (const [attack, audio] of Object.entries(attacked)) {
+      const detected = detectAudioWatermark(audio, OPTIONS);
+      assert.deepEqual(detected && detected.metadata, { did: DID }, attack);
+    }
+  });
+
+  it('identifies excerpts holding one copy of the packet, and nothing in shorter ones', () => {
+    // One packet takes 39.4 s at low robustness, and an excerpt may start mid-frame
+    const excerpt = (start, seconds) => ({
+      sampleRate: 16000,
+      channelData: [marked.channelData[0].subarray(start * 16000, (start + seconds) * 16000)]
+    });
+
+    assert.deepEqual(detectAudioWatermark(excerpt(13.3, 40), OPTIONS).metadata, { did: DID });
+    assert.deepEqual(detectAudioWatermark(excerpt(13.3, 60), OPTIONS).metadata, { did: DID });
+    assert.equal(detectAudioWatermark(excerpt(13.3, 38), OPTIONS), null);
+  });
+
+  it('needs the embedding key and robustness to find the watermark', () => {
+    assert.equal(detectAudioWatermark(marked, { ...OPTIONS, key: 'other' }), null);
+    assert.equal(detectAudioWatermark(marked, { ...OPTIONS, robustness: 'medium' }), null);
+    assert.throws(() => detectAudioWatermark(marked, { robustness: 'low' }), /A watermark key is required/);
+  });
+
+  it('rejects audio too short or too slow for a watermark', () => {
+    assert.throws(
+      () => embedAudioWatermark({ sampleRate: 16000, channelData: [testSignal(16000, 30)] }, { did: DID }, OPTIONS),
+      /Audio too short for a watermark: at least 119 s needed/
+    );
+    assert.throws(
+      () => embedAudioWatermark({ sampleRate: 4000, channelData: [testSignal(4000, 1)] }, { did: DID }, OPTIONS),
+      /sample rate of at least 8000 Hz/
+    );
+    assert.throws(() => embedAudioWatermark(audio, { did: DID }, { strength: 2 }), /strength must be a number in \(0, 1\]/);
+    assert.throws(() => embedAudioWatermark(audio, { did: DID }, { robustness: 'extreme' }), /Unsupported watermark robustness/);
+  });
+});
+
+describe('audio codec', () => {
+  it('round-trips WAV files in integer and float formats', () => {
+    const channelData = [Float32Array.from([0, 0.5, -0.5, 0.25]), Float32Array.from([1, -1, 0.125, 0])];
+
+    for (const format of [{ bitDepth: 16 }, { bitDepth: 24 }, { bitDepth: 32, float: true }]) {
+      const decoded = decodeWAV(encodeWAV({ sampleRate: 44100, channelData }, format));
+      assert.equal(decoded.sampleRate, 44100);
+      assert.equal(decoded.bitDepth, format.bitDepth);
+      decoded.channelData.forEach((channel, c) => channel.forEach((value, i) => {
+        assert.ok(Math.abs(value - channelData[c][i]) <= 2 ** (1 - format.bitDepth), `${format.bitDepth} bit`);
+      }));
+    }
+  });
+
+  it('reads raw interleaved PCM', () => {
+    const pcm = Buffer.alloc(8);
+    [0, 16384, -16384, 32767].forEach((value, i) => pcm.writeInt16LE(value, i * 2));
+    const decoded = decodePCM(pcm, { sampleRate: 8000, channels: 2 });
+
+    assert.deepEqual(decoded.channelData.map(channel => Array.from(channel)), [[0, -0.5], [0.5, 32767 / 32768]]);
+    assert.deepEqual(encodePCM(decoded, { bitDepth: 16 }), pcm);
+  });
+
+  it('rejects other files and formats', () => {
+    const wav = encodeWAV({ sampleRate: 8000, channelData: [new Float32Array(4)] });
+    const alaw = Buffer.from(wav);
+    alaw.writeUInt16LE(6, 20);
+
+    assert.throws(() => decodeWAV(Buffer.from('not a wave file, not a wave file')), /Not a WAV file/);
+    assert.throws(() => decodeWAV(alaw), /Unsupported WAV format: 0x6/);
+    assert.throws(() => encodeWAV({ sampleRate: 8000, channelData: [new Float32Array(2), new Float32Array(3)] }), /same length/);
+  });
+
+  it('rejects truncated and short fmt chunks', () => {
+    const wav = encodeWAV({ sampleRate: 8000, channelData: [new Float32Array(4)] });
+    const short = Buffer.from(wav);
+    short.writeUInt32LE(8, 16);
+
+    for (const file of [wav.subarray(0, 24), wav.subarray(0, 35), short]) {
+      assert.throws(() => decodeWAV(file), /^Error: Truncated WAV fmt chunk$/);
+    }
+  });
+});
+
+describe('AudioWatermarkStrategy', () => {
+  it('is created for audio resources and returns watermarked WAV files', async () => {
+    const strategy = WatermarkStrategyFactory.createStrategy('audio', OPTIONS);
+    const left = testSignal(8000);
+    const wav = encodeWAV({ sampleRate: 8000, channelData: [left, left.map(value => value * 0.5)] });
+
+    const marked = await strategy.embed(wav, { did: DID });
+    const decoded = decodeWAV(marked);
+    assert.equal(decoded.channelData.length, 2);
+    assert.equal(decoded.bitDepth, 16);
+    assert.equal(marked.length, wav.length);
+
+    assert.deepEqual(await strategy.detect(marked), { did: DID });
+    assert.equal(await strategy.verify(marked, { did: DID }), true);
+    assert.ok(await strategy.calculateStrength(marked) > 0.9);
+    assert.equal(await strategy.detect(wav), null);
+    assert.equal(await strategy.calculateStrength(wav), 0);
+  });
+
+  it('reads raw PCM with the format given in the options', async () => {
+    const strategy = WatermarkStrategyFactory.createStrategy('audio', { ...OPTIONS, sampleRate: 8000, channels: 1 });
+    const pcm = encodePCM({ sampleRate: 8000, channelData: [testSignal(8000)] }, { bitDepth: 16 });
+    const marked = await strategy.embed(pcm, { did: DID });
+
+    assert.equal(marked.length, pcm.length);
+    assert.equal(await strategy.verify(marked, { did: 'did:asset:audio:zQmOther' }), false);
+    assert.equal(await strategy.verify(marked, { did: DID }), true);
+  });
+
+  it('reports unreadable audio', async t => {
+    t.mock.method(console, 'error', () => {});
+    const strategy = WatermarkStrategyFactory.createStrategy('audio');
+
+    await assert.rejects(strategy.embed('not audio', { did: DID }), /WAV file, an audio object or a raw PCM buffer/);
+    assert.equal(await strategy.detect(Buffer.alloc(16)), null);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Tests for source code watermarking of JavaScript, Python and JSON
+ * (src/watermarking/code_watermark.js, code_scanner.js and
+ * CodeWatermarkStrategy)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const { embedCodeWatermark, detectCodeWatermark, didHash } = require('../../src/watermarking/code_watermark');
+const { detectLanguage, LANGUAGES } = require('../../src/watermarking/code_scanner');
+const { WatermarkStrategyFactory } = require('../../src/watermarking/watermark_manager');
+
+const DID = 'did:asset:code:zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4';
+const OPTIONS = { key: 'vendor' };
+const WORDS = 'the client sends each request with a signed token and retries on failure after a short delay while logging every response'.split(' ');
+
+/**
+ * Build a JavaScript module of documented functions and constants
+ * @param {number} count - Number of functions
+ * @returns {string} Source
+ */
+function javaScriptSource(count) {
+  const lines = ['\'use strict\';', ''];
+  for (let i = 0; i < count; i++) {
+    lines.push(
+      '/**',
+      ` * ${WORDS.slice(i % 5).join(' ')}`,
+      ` * ${WORDS.slice(0, 12).join(' ')}`,
+      ' */',
+      `function handler${i}(value) {`,
+      `  const scaled = value * ${i + 1};`,
+      `  return scaled + ${i};`,
+      '}',
+      ''
+    );
+  }
+  const names = Array.from({ length: count }, (_, i) => `handler${i}`);
+  lines.push('const LIMIT = 10;', 'const NAME = \'sdk\';', '', `module.exports = { ${names.join(', ')}, LIMIT, NAME };`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Build a Python module of commented functions
+ * @param {number} count - Number of functions
+ * @returns {string} Source
+ */
+function pythonSource(count) {
+  const lines = ['import math', ''];
+  for (let i = 0; i < count; i++) {
+    lines.push(
+      `# ${WORDS.slice(i % 5).join(' ')}`,
+      `# ${WORDS.slice(0, 12).join(' ')}`,
+      `def handler_${i}(value):`,
+      `    scaled = value * ${i + 1}  # ${WORDS.slice(3, 9).join(' ')}`,
+      `    return math.floor(scaled + ${i})`,
+      '',
+      ''
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build a JSON configuration of services with options
+ * @param {number} services - Number of service objects
+ * @param {number} options - Options per service
+ * @returns {string} Source
+ */
+function jsonSource(services, options) {
+  const config = {};
+  for (let i = 0; i < services; i++) {
+    config[`service_${i}`] = Object.fromEntries(Array.from({ length: options }, (_, k) => [`option_${k}`, k % 3 ? k : `v${k}`]));
+  }
+  return `${JSON.stringify(config, null, 2)}\n`;
+}
+
+/**
+ * Run a CommonJS module and call its exported functions
+ * @param {string} source - Module source
+ * @returns {Object} Export values, with functions replaced by their result for 7
+ */
+function runModule(source) {
+  const module = { exports: {} };
+  vm.runInNewContext(source, { module });
+  return Object.fromEntries(Object.entries(module.exports)
+    .map(([name, value]) => [name, typeof value === 'function' ? value(7) : value]));
+}
+
+/**
+ * Reformat a source the way formatters do: strip trailing whitespace and
+ * double the indentation
+ * @param {string} source - Source
+ * @returns {string} Reformatted source
+ */
+function reformat(source) {
+  return source.split('\n').map(line => line.replace(/\s+$/, '').replace(/^ +/, indent => indent + indent)).join('\n');
+}
+
+describe('embedCodeWatermark and detectCodeWatermark', () => {
+  it('marks JavaScript without changing its behavior or identifier order', () => {
+    const source = javaScriptSource(30);
+    const marked = embedCodeWatermark(source, { did: DID, name: 'sdk' }, OPTIONS);
+    const identifiers = text => text.replace(/\/\*[\s\S]*?\*\//g, '').match(/[A-Za-z_]\w*/g);
+
+    assert.notEqual(marked, source);
+    assert.deepEqual(runModule(marked), runModule(source));
+    assert.deepEqual(identifiers(marked), identifiers(source));
+    assert.deepEqual(detectCodeWatermark(marked, OPTIONS), { metadata: { did: DID, name: 'sdk' }, confidence: 1, channel: 'content' });
+    assert.equal(detectCodeWatermark(source, OPTIONS), null);
+  });
+
+  it('keeps the mark through reformatting, and the whitespace mark in verbatim copies only', () => {
+    const source = javaScriptSource(30);
+    const marked = embedCodeWatermark(source, { did: DID }, OPTIONS);
+    assert.deepEqual(detectCodeWatermark(reformat(marked), OPTIONS).metadata, { did: DID });
+
+    const whitespaceOnly = embedCodeWatermark(javaScriptSource(150), { did: DID }, { ...OPTIONS, comments: false });
+    assert.deepEqual(detectCodeWatermark(whitespaceOnly, OPTIONS), { metadata: { did: DID }, confidence: 1, channel: 'whitespace' });
+    assert.equal(detectCodeWatermark(reformat(whitespaceOnly), OPTIONS), null);
+  });
+
+  it('reorders commutative declarations when asked', () => {
+    const source = javaScriptSource(30);
+    const marked = embedCodeWatermark(source, { did: DID }, { ...OPTIONS, reorder: true, whitespace: false });
+    const order = text => text.match(/^function \w+/gm);
+
+    assert.notDeepEqual(order(marked), order(source));
+    assert.deepEqual([...order(marked)].sort(), [...order(source)].sort());
+    assert.deepEqual(runModule(marked), runModule(source));
+    assert.deepEqual(detectCodeWatermark(reformat(marked), OPTIONS), { metadata: { did: DID }, confidence: 1, channel: 'content' });
+  });
+
+  it('marks Python comments and leaves the code alone', () => {
+    const source = pythonSource(30);
+    const marked = embedCodeWatermark(source, { did: DID }, OPTIONS);
+    const code = text => text.split('\n').map(line => line.replace(/\s*#.*$/, '').trimEnd());
+
+    assert.deepEqual(code(marked), code(source));
+    assert.deepEqual(detectCodeWatermark(marked, OPTIONS).metadata, { did: DID });
+    assert.deepEqual(detectCodeWatermark(reformat(marked), OPTIONS).metadata, { did: DID });
+  });
+
+  it('marks JSON through key order, which survives pretty-printing', () => {
+    const source = jsonSource(60, 24);
+    const marked = embedCodeWatermark(source, { did: DID }, { ...OPTIONS, reorder: true });
+
+    assert.deepEqual(JSON.parse(marked), JSON.parse(source));
+    assert.notEqual(JSON.stringify(JSON.parse(marked)), JSON.stringify(JSON.parse(source)));
+    for (const copy of [marked, JSON.stringify(JSON.parse(marked), null, 4), JSON.stringify(JSON.parse(marked))]) {
+      assert.deepEqual(detectCodeWatermark(copy, { ...OPTIONS, language: 'json' }).metadata, { did: DID });
+    }
+  });
+
+  it('falls back to a hash of the DID in small sources', () => {
+    const marked = embedCodeWatermark(javaScriptSource(10), { did: DID, name: 'sdk' }, OPTIONS);
+    assert.deepEqual(detectCodeWatermark(marked, OPTIONS).metadata, { didHash: didHash(DID) });
+    assert.equal(didHash(DID), crypto.createHash('sha256').update(DID).digest('hex').slice(0, 16));
+  });
+
+  it('needs the embedding key to find the watermark', () => {
+    const marked = embedCodeWatermark(javaScriptSource(30), { did: DID }, { key: 'customer-42' });
+
+    assert.deepEqual(detectCodeWatermark(marked, { key: 'customer-42' }).metadata, { did: DID });
+    assert.equal(detectCodeWatermark(marked, OPTIONS), null);
+    assert.throws(() => detectCodeWatermark(marked), /A watermark key is required/);
+  });
+
+  it('rejects sources too small and options without a channel', () => {
+    assert.throws(() => embedCodeWatermark('const a = 1;\n', { did: DID }, OPTIONS), /Source too small for a watermark/);
+    assert.throws(
+      () => embedCodeWatermark(javaScriptSource(30), { did: DID }, { ...OPTIONS, comments: false, whitespace: false }),
+      /At least one code watermark channel must be enabled/
+    );
+  });
+});
+
+describe('detectLanguage', () => {
+  it('uses the file extension, then the contents', () => {
+    assert.equal(detectLanguage('x = 1', 'settings.py'), LANGUAGES.PYTHON);
+    assert.equal(detectLanguage('{"a": 1}'), LANGUAGES.JSON);
+    assert.equal(detectLanguage(pythonSource(1)), LANGUAGES.PYTHON);
+    assert.equal(detectLanguage(javaScriptSource(1)), LANGUAGES.JAVASCRIPT);
+  });
+});
+
+describe('CodeWatermarkStrategy', () => {
+  it('is created for code and verifies full and hashed marks', async () => {
+    const strategy = WatermarkStrategyFactory.createStrategy('code', OPTIONS);
+    const marked = await strategy.embed(Buffer.from(javaScriptSource(30)), { did: DID });
+    const hashed = await strategy.embed(javaScriptSource(10), { did: DID });
+
+    assert.ok(Buffer.isBuffer(marked));
+    assert.deepEqual(await strategy.detect(marked), { did: DID });
+    assert.equal(await strategy.verify(marked, { did: DID }), true);
+    assert.equal(await strategy.verify(hashed, { did: DID }), true);
+    assert.equal(await strategy.verify(hashed, { did: 'did:asset:code:zQmOther' }), false);
+    assert.equal(await strategy.calculateStrength(marked), 1);
+    assert.equal(await strategy.calculateStrength(javaScriptSource(30)), 0);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Tests for tabular dataset fingerprinting and licensee tracing
+ * (src/watermarking/dataset_watermark.js, table_codec.js and
+ * DatasetWatermarkStrategy)
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  embedDatasetWatermark,
+  detectDatasetWatermark,
+  traceDatasetWatermark
+} = require('../../src/watermarking/dataset_watermark');
+const { readTable, writeTable } = require('../../src/watermarking/table_codec');
+const { WatermarkStrategyFactory } = require('../../src/watermarking/watermark_manager');
+const { didHash } = require('../../src/watermarking/watermark_payload');
+
+const DID = 'did:asset:dataset:zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4';
+const CITIES = ['Oslo', 'Lima', 'Pune', 'Kobe', 'Nice'];
+
+/**
+ * Build rows of weather readings: three measurements with three decimals and
+ * two low-spread integer columns
+ * @param {number} count - Number of rows
+ * @returns {Array<Object>} Rows
+ */
+function testRows(count) {
+  let seed = 5;
+  return Array.from({ length: count }, (_, i) => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return {
+      id: `r${i}`,
+      city: CITIES[i % CITIES.length],
+      year: 2000 + (i % 23),
+      temperature: (10 + (seed % 30000) / 1000).toFixed(3),
+      humidity: (40 + (Math.floor(seed / 7) % 40000) / 1000).toFixed(3),
+      pressure: (990 + (Math.floor(seed / 13) % 20000) / 1000).toFixed(3),
+      count: seed % 7
+    };
+  });
+}
+
+/**
+ * Write rows as CSV text
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<string>} columns - Columns to write
+ * @returns {string} CSV text
+ */
+function toCSV(rows, columns) {
+  return `${[columns.join(','), ...rows.map(row => columns.map(column => row[column]).join(','))].join('\n')}\n`;
+}
+
+/**
+ * Keep a pseudo-random share of the data rows of CSV text, optionally shuffled
+ * @param {string} text - CSV text
+ * @param {number} share - Share of rows to keep
+ * @param {boolean} shuffle - Shuffle the kept rows
+ * @returns {string} CSV text
+ */
+function sample(text, share, shuffle = false) {
+  const [header, ...lines] = text.trim().split('\n');
+  let seed = 3;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x80000000;
+  };
+  const kept = lines.filter(() => random() < share);
+  if (shuffle) {
+    for (let i = kept.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [kept[i], kept[j]] = [kept[j], kept[i]];
+    }
+  }
+  return `${[header, ...kept].join('\n')}\n`;
+}
+
+describe('embedDatasetWatermark and detectDatasetWatermark', () => {
+  // Without an id column, rows are identified by their contents
+  const csv = toCSV(testRows(5000), ['city', 'year', 'temperature', 'humidity', 'pressure', 'count']);
+  const metadata = { did: DID, licensee: 'acme' };
+  let marked;
+
+  before(() => {
+    marked = embedDatasetWatermark(csv, metadata, { key: 'acme' });
+  });
+
+  it('finds the fingerprint in the copy, subsets and shuffled copies', () => {
+    assert.equal(typeof marked, 'string');
+    assert.notEqual(marked, csv);
+    assert.deepEqual(detectDatasetWatermark(marked, { key: 'acme' }), { metadata, confidence: 1 });
+
+    assert.deepEqual(detectDatasetWatermark(sample(marked, 0.8), { key: 'acme' }).metadata, metadata);
+    const shuffled = detectDatasetWatermark(sample(marked, 1, true), { key: 'acme' });
+    assert.deepEqual(shuffled.metadata, metadata);
+    assert.ok(shuffled.confidence > 0.9);
+
+    assert.equal(detectDatasetWatermark(csv, { key: 'acme' }), null);
+    assert.equal(detectDatasetWatermark(marked, { key: 'globex' }), null);
+    assert.throws(() => detectDatasetWatermark(marked), /A watermark key is required/);
+  });
+
+  it('traces a small leaked sample to the licensee whose key marked it', () => {
+    const leak = sample(marked, 0.04, true);
+    assert.equal(detectDatasetWatermark(leak, { key: 'acme' }), null);
+
+    const [best, other] = traceDatasetWatermark(leak, [
+      { metadata: { did: DID, licensee: 'globex' }, key: 'globex' },
+      { metadata, key: 'acme' }
+    ]);
+    assert.equal(best.key, 'acme');
+    assert.equal(best.matched, true);
+    assert.equal(other.key, 'globex');
+    assert.equal(other.matched, false);
+
+    const [unmarked] = traceDatasetWatermark(sample(csv, 0.04, true), [{ metadata, key: 'acme' }]);
+    assert.equal(unmarked.matched, false);
+  });
+
+  it('moves marked cells by one unit of the last place, within the distortion limit', () => {
+    const rows = testRows(5000);
+    const markedRows = embedDatasetWatermark(rows, { did: DID }, { key: 'acme', idColumns: ['id'] });
+    assert.deepEqual(detectDatasetWatermark(markedRows, { key: 'acme', idColumns: ['id'] }).metadata, { did: DID });
+
+    for (const column of ['temperature', 'humidity', 'pressure']) {
+      const before = rows.map(row => Number(row[column]));
+      const after = markedRows.map(row => Number(row[column]));
+      const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+      const spread = Math.sqrt(mean(before.map(value => (value - mean(before)) ** 2)));
+
+      let changed = 0;
+      before.forEach((value, i) => {
+        const change = Math.abs(after[i] - value);
+        assert.ok(change < 0.0011 && change <= 0.01 * spread, `${column} row ${i}`);
+        if (change > 0) changed++;
+      });
+      assert.ok(changed > 0, column);
+      assert.ok(Math.abs(mean(after) - mean(before)) < 0.0001, column);
+    }
+
+    markedRows.forEach((row, i) => {
+      assert.equal(row.id, rows[i].id);
+      assert.equal(row.year, rows[i].year);
+      assert.equal(row.count, rows[i].count);
+    });
+  });
+
+  it('leaves integer columns unmarked unless they are named', () => {
+    // A numeric key is not declared in idColumns, so only the other columns identify rows
+    const rows = testRows(5000).map((row, i) => ({ ...row, id: 100001 + i }));
+    const markedRows = embedDatasetWatermark(rows, { did: DID }, { key: 'acme' });
+    assert.deepEqual(detectDatasetWatermark(markedRows, { key: 'acme' }).metadata, { did: DID });
+
+    markedRows.forEach((row, i) => {
+      assert.equal(row.id, rows[i].id);
+      assert.equal(row.year, rows[i].year);
+    });
+    assert.ok(markedRows.some((row, i) => row.temperature !== rows[i].temperature));
+  });
+
+  it('reads and writes JSON lines', () => {
+    const jsonl = `${testRows(5000).map(row => JSON.stringify(row)).join('\n')}\n`;
+    const markedLines = embedDatasetWatermark(Buffer.from(jsonl), { did: DID }, { key: 'acme', idColumns: ['id'] });
+
+    assert.ok(Buffer.isBuffer(markedLines));
+    assert.deepEqual(detectDatasetWatermark(markedLines, { key: 'acme', idColumns: ['id'] }).metadata, { did: DID });
+    assert.deepEqual(
+      markedLines.toString().trim().split('\n').map(line => Object.keys(JSON.parse(line))),
+      jsonl.trim().split('\n').map(line => Object.keys(JSON.parse(line)))
+    );
+  });
+
+  it('falls back to a hash of the DID in tables too small for the DID', async () => {
+    const rows = testRows(2000);
+    const markedRows = embedDatasetWatermark(rows, { did: DID, licensee: 'acme' }, { key: 'acme', idColumns: ['id'] });
+    assert.deepEqual(detectDatasetWatermark(markedRows, { key: 'acme', idColumns: ['id'] }).metadata, { didHash: didHash(DID) });
+
+    const strategy = WatermarkStrategyFactory.createStrategy('dataset', { key: 'acme', idColumns: ['id'] });
+    assert.equal(await strategy.verify(markedRows, { did: DID }), true);
+    assert.equal(await strategy.verify(markedRows, { did: 'did:asset:dataset:zQmOther' }), false);
+  });
+
+  it('rejects columns over the distortion limit and tables too small to carry the payload', () => {
+    const rows = testRows(5000);
+    assert.throws(
+      () => embedDatasetWatermark(rows, { did: DID }, { key: 'acme', columns: ['count'] }),
+      /Marking column count would exceed the distortion limit of 0.01/
+    );
+    assert.throws(() => embedDatasetWatermark(rows, { did: DID }, { key: 'acme', columns: ['city'] }), /Column city is not a numeric column/);
+    assert.throws(
+      () => embedDatasetWatermark(testRows(50), { did: DID }, { key: 'acme' }),
+      /Dataset too small for a watermark: about \d+ rows needed, 50 found/
+    );
+    assert.throws(() => embedDatasetWatermark(rows, { did: DID }, { fraction: 0 }), /fraction must be a number in \(0, 1\]/);
+    assert.throws(() => embedDatasetWatermark(rows, { did: DID }, { idColumns: [] }), /idColumns must be a non-empty array/);
+  });
+});
+
+describe('table codec', () => {
+  it('round-trips quoted CSV fields and JSON lines', () => {
+    const csv = 'name,note\n"Smith, J.","said ""hi"""\nDoe,\n';
+    assert.equal(writeTable(readTable(csv)), csv);
+
+    const jsonl = '{"a":1,"b":"x"}\n{"a":2.50,"b":null}\n';
+    assert.equal(writeTable(readTable(jsonl, { format: 'jsonl' })), jsonl);
+  });
+
+  it('rejects malformed tables', () => {
+    assert.throws(() => readTable('a,b\n1,2,3\n'), /CSV row 1 has 3 fields, expected 2/);
+    assert.throws(() => readTable('{"a":1}\n[1]\n', { format: 'jsonl' }), /JSON line 2 is not an object/);
+    assert.throws(() => readTable('a,b\n', { format: 'xlsx' }), /Unsupported dataset format: xlsx/);
+    assert.throws(() => readTable(42), /CSV or JSON lines text, or arrays of row objects/);
+  });
+});
+
+describe('DatasetWatermarkStrategy', () => {
+  it('is created for datasets and traces licensees', async () => {
+    const rows = testRows(5000);
+    const acme = WatermarkStrategyFactory.createStrategy('dataset', { key: 'acme', idColumns: ['id'] });
+    const globex = WatermarkStrategyFactory.createStrategy('dataset', { key: 'globex', idColumns: ['id'] });
+    const leaked = await globex.embed(rows, { did: DID });
+
+    assert.equal(await globex.verify(leaked, { did: DID }), true);
+    assert.equal(await acme.detect(leaked), null);
+    assert.equal(await acme.calculateStrength(leaked), 0);
+    assert.equal(await globex.calculateStrength(leaked), 1);
+
+    const [best] = await acme.trace(leaked.slice(0, 200), [
+      { metadata: { did: DID }, key: 'acme' },
+      { metadata: { did: DID }, key: 'globex' }
+    ]);
+    assert.equal(best.key, 'globex');
+    assert.equal(best.matched, true);
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Tests for image watermark embedding and detection
+ * (src/watermarking/image_watermark.js, image_codec.js and
+ * ImageWatermarkStrategy)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  embedImageWatermark,
+  detectImageWatermark,
+  WATERMARK_METHODS
+} = require('../../src/watermarking/image_watermark');
+const { decodeImage, encodeImage, IMAGE_FORMATS } = require('../../src/watermarking/image_codec');
+const { ImageWatermarkStrategy } = require('../../src/watermarking/watermark_manager');
+
+const DID = 'did:asset:image:zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4';
+const METADATA = { did: DID, title: 'Gradient' };
+const OPTIONS = { key: 'gallery' };
+
+/**
+ * Build a test image of gradients, waves and noise
+ * @param {number} size - Width and height
+ * @param {number} channels - 3 or 4
+ * @returns {Object} { width, height, channels, data }
+ */
+function testImage(size, channels = 3) {
+  const data = Buffer.alloc(size * size * channels);
+  let seed = 7;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      const pixel = (y * size + x) * channels;
+      data[pixel] = Math.floor((x * 255) / size + (seed % 16));
+      data[pixel + 1] = Math.floor((y * 255) / size);
+      data[pixel + 2] = Math.floor(128 + 60 * Math.sin(x / 9) * Math.cos(y / 7));
+      if (channels === 4) data[pixel + 3] = 200;
+    }
+  }
+  return { width: size, height: size, channels, data };
+}
+
+/**
+ * Re-encode an image as JPEG and decode it again
+ * @param {Object} image - { width, height, channels, data }
+ * @param {number} quality - JPEG quality, 1 to 100
+ * @returns {Object} Re-encoded image
+ */
+function jpegReencode(image, quality) {
+  const { format, ...decoded } = decodeImage(encodeImage(image, IMAGE_FORMATS.JPEG, { quality }));
+  assert.equal(format, IMAGE_FORMATS.JPEG);
+  return decoded;
+}
+
+/**
+ * Peak signal-to-noise ratio of the color channels of two images
+ * @param {Object} a - { channels, data }
+ * @param {Object} b - { channels, data } with the same pixel count
+ * @returns {number} PSNR in dB
+ */
+function psnr(a, b) {
+  let squared = 0;
+  let samples = 0;
+  for (let pixel = 0; pixel < a.data.length / a.channels; pixel++) {
+    for (let channel = 0; channel < 3; channel++) {
+      squared += (a.data[pixel * a.channels + channel] - b.data[pixel * b.channels + channel]) ** 2;
+      samples++;
+    }
+  }
+  return 10 * Math.log10(255 ** 2 / (squared / samples));
+}
+
+describe('embedImageWatermark and detectImageWatermark', () => {
+  it('round-trip the metadata with every method', () => {
+    for (const method of Object.values(WATERMARK_METHODS)) {
+      const image = testImage(256);
+      const marked = embedImageWatermark(image, METADATA, { ...OPTIONS, method });
+
+      assert.notDeepEqual(marked.data, image.data, method);
+      assert.deepEqual(detectImageWatermark(marked, { ...OPTIONS, method }).metadata, METADATA, method);
+      assert.equal(detectImageWatermark(image, { ...OPTIONS, method }), null, method);
+    }
+  });
+
+  it('keeps the changes small and leaves the alpha channel alone', () => {
+    for (const method of Object.values(WATERMARK_METHODS)) {
+      const image = testImage(256, 4);
+      const marked = embedImageWatermark(image, METADATA, { ...OPTIONS, method });
+
+      for (let i = 3; i < image.data.length; i += 4) {
+        assert.equal(marked.data[i], 200);
+      }
+      const quality = psnr(image, marked);
+      assert.ok(quality > 35, `${method}: PSNR ${quality.toFixed(1)} dB`);
+    }
+  });
+
+  it('survives JPEG re-encoding in the dct and dwt modes only', () => {
+    const image = testImage(256);
+
+    for (const method of [WATERMARK_METHODS.DCT, WATERMARK_METHODS.DWT]) {
+      const marked = embedImageWatermark(image, METADATA, { ...OPTIONS, method });
+      for (const quality of [90, 75]) {
+        const detected = detectImageWatermark(jpegReencode(marked, quality), { ...OPTIONS, method });
+        assert.deepEqual(detected && detected.metadata, METADATA, `${method} at quality ${quality}`);
+      }
+    }
+
+    const lsb = embedImageWatermark(image, METADATA, { ...OPTIONS, method: WATERMARK_METHODS.LSB });
+    assert.equal(detectImageWatermark(jpegReencode(lsb, 75), { ...OPTIONS, method: WATERMARK_METHODS.LSB }), null);
+  });
+
+  it('makes a stronger alpha more robust', () => {
+    const image = testImage(256);
+    const weak = embedImageWatermark(image, METADATA, { ...OPTIONS, method: WATERMARK_METHODS.DCT, alpha: 0.02 });
+    const strong = embedImageWatermark(image, METADATA, { ...OPTIONS, method: WATERMARK_METHODS.DCT, alpha: 0.2 });
+
+    assert.equal(detectImageWatermark(jpegReencode(weak, 50), { ...OPTIONS, method: WATERMARK_METHODS.DCT, alpha: 0.02 }), null);
+    assert.deepEqual(detectImageWatermark(jpegReencode(strong, 50), { ...OPTIONS, method: WATERMARK_METHODS.DCT, alpha: 0.2 }).metadata, METADATA);
+  });
+
+  it('needs the embedding key and method to find the watermark', () => {
+    const marked = embedImageWatermark(testImage(128), METADATA, { key: 'secret' });
+
+    assert.deepEqual(detectImageWatermark(marked, { key: 'secret' }).metadata, METADATA);
+    assert.equal(detectImageWatermark(marked, { key: 'other' }), null);
+    assert.throws(() => detectImageWatermark(marked), /A watermark key is required/);
+    assert.equal(detectImageWatermark(marked, { key: 'secret', method: WATERMARK_METHODS.DWT }), null);
+  });
+
+  it('falls back to the DID alone when the metadata does not fit', () => {
+    const marked = embedImageWatermark(testImage(128), METADATA, { ...OPTIONS, method: WATERMARK_METHODS.DWT });
+    assert.deepEqual(detectImageWatermark(marked, { ...OPTIONS, method: WATERMARK_METHODS.DWT }).metadata, { did: DID });
+
+    assert.throws(
+      () => embedImageWatermark(testImage(64), METADATA, { ...OPTIONS, method: WATERMARK_METHODS.DCT }),
+      /Image too small for a medium robustness dct watermark/
+    );
+  });
+
+  it('rejects invalid options and images', () => {
+    const image = testImage(64);
+    assert.throws(() => embedImageWatermark(image, METADATA, { ...OPTIONS, method: 'dft' }), /Unsupported image watermark method: dft/);
+    assert.throws(() => embedImageWatermark(image, METADATA, { ...OPTIONS, alpha: 0 }), /alpha must be a number in \(0, 1\]/);
+    assert.throws(() => embedImageWatermark(image, METADATA, { ...OPTIONS, robustness: 'extreme' }), /Unsupported watermark robustness/);
+    assert.throws(() => embedImageWatermark({ ...image, channels: 2 }, METADATA, OPTIONS), /3 \(RGB\) or 4 \(RGBA\) channels/);
+    assert.throws(() => embedImageWatermark({ ...image, data: image.data.subarray(1) }, METADATA, OPTIONS), /Image data must be/);
+  });
+});
+
+describe('image codec', () => {
+  it('round-trips RGB and RGBA pixels through PNG and BMP', () => {
+    for (const channels of [3, 4]) {
+      const image = testImage(33, channels);
+      for (const format of [IMAGE_FORMATS.PNG, IMAGE_FORMATS.BMP]) {
+        const decoded = decodeImage(encodeImage(image, format));
+        assert.deepEqual(decoded, { format, ...image, data: decoded.data }, `${format} ${channels}`);
+        assert.deepEqual(Buffer.from(decoded.data), image.data, `${format} ${channels}`);
+      }
+    }
+  });
+
+  it('round-trips JPEG at the given quality', () => {
+    for (const channels of [3, 4]) {
+      const image = testImage(37, channels);
+      let previous = 0;
+      for (const quality of [30, 75, 95]) {
+        for (const restartInterval of [0, 2]) {
+          const file = encodeImage(image, IMAGE_FORMATS.JPEG, { quality, restartInterval });
+          const decoded = decodeImage(file);
+
+          assert.deepEqual({ ...decoded, data: null }, { format: IMAGE_FORMATS.JPEG, width: 37, height: 37, channels: 3, data: null });
+          const ratio = psnr(image, decoded);
+          assert.ok(ratio > 25 && ratio >= previous, `quality ${quality}: PSNR ${ratio.toFixed(1)} dB`);
+          previous = ratio;
+        }
+      }
+    }
+  });
+
+  it('rejects progressive and truncated JPEG and invalid qualities', () => {
+    const file = encodeImage(testImage(16), IMAGE_FORMATS.JPEG);
+    const progressive = Buffer.from(file);
+    progressive[progressive.indexOf(Buffer.from([0xff, 0xc0])) + 1] = 0xc2;
+    assert.throws(() => decodeImage(progressive), /Only baseline and extended sequential/);
+
+    assert.throws(() => encodeImage(testImage(8), IMAGE_FORMATS.JPEG, { quality: 0 }), /quality must be an integer from 1 to 100/);
+    assert.throws(() => decodeImage(file.subarray(0, 40)), /Truncated JPEG segment/);
+  });
+
+  it('rejects truncated scans, oversized frames and invalid tables without reading past them', () => {
+    const file = encodeImage(testImage(64), IMAGE_FORMATS.JPEG);
+    const frame = file.indexOf(Buffer.from([0xff, 0xc0]));
+
+    // A frame header claiming 2048x2048 followed by a few hundred bytes of scan
+    const truncated = Buffer.from(file.subarray(0, 611));
+    truncated.writeUInt16BE(2048, frame + 5);
+    truncated.writeUInt16BE(2048, frame + 7);
+    assert.throws(() => decodeImage(truncated), /^Error: Truncated JPEG scan$/);
+    assert.throws(() => decodeImage(file.subarray(0, file.length - 40)), /^Error: Truncated JPEG scan$/);
+
+    const huge = Buffer.from(file);
+    huge.writeUInt16BE(65535, frame + 5);
+    huge.writeUInt16BE(65535, frame + 7);
+    assert.throws(() => decodeImage(huge), /JPEG image too large: 65535x65535/);
+
+    const huffmanClass = Buffer.from(file);
+    huffmanClass[huffmanClass.indexOf(Buffer.from([0xff, 0xc4])) + 4] = 0x20;
+    assert.throws(() => decodeImage(huffmanClass), /^Error: Invalid JPEG Huffman table 2\/0$/);
+
+    const quantizationId = Buffer.from(file);
+    quantizationId[quantizationId.indexOf(Buffer.from([0xff, 0xdb])) + 4] = 0x07;
+    assert.throws(() => decodeImage(quantizationId), /^Error: Invalid JPEG quantization table 0\/7$/);
+  });
+
+  it('rejects BMP files with truncated headers', () => {
+    const file = encodeImage(testImage(8, 4), IMAGE_FORMATS.BMP);
+    assert.throws(() => decodeImage(file.subarray(0, 40)), /^Error: Truncated BMP header$/);
+
+    // BITMAPV4HEADER with bit field masks cut off after the BITMAPINFOHEADER part
+    const masks = Buffer.from(file.subarray(0, 60));
+    masks.writeUInt32LE(40, 14);
+    assert.throws(() => decodeImage(masks), /^Error: Truncated BMP header$/);
+
+    const palette = Buffer.from(file.subarray(0, 60));
+    palette.writeUInt32LE(40, 14);
+    palette.writeUInt16LE(8, 28);
+    palette.writeUInt32LE(0, 30);
+    assert.throws(() => decodeImage(palette), /^Error: Truncated BMP color table$/);
+  });
+
+  it('rejects other formats', () => {
+    assert.throws(() => decodeImage(Buffer.from('GIF89a')), /Unsupported image format/);
+    assert.throws(() => encodeImage(testImage(8), 'gif'), /Unsupported image format: gif/);
+  });
+});
+
+describe('ImageWatermarkStrategy', () => {
+  it('returns watermarked PNG and BMP files', async () => {
+    for (const method of Object.values(WATERMARK_METHODS)) {
+      const strategy = new ImageWatermarkStrategy({ ...OPTIONS, method });
+      for (const format of [IMAGE_FORMATS.PNG, IMAGE_FORMATS.BMP]) {
+        const file = encodeImage(testImage(256), format);
+        const marked = await strategy.embed(file, METADATA);
+
+        assert.equal(decodeImage(marked).format, format);
+        assert.deepEqual(await strategy.detect(marked), METADATA, `${method} ${format}`);
+        assert.equal(await strategy.verify(marked, { did: DID }), true);
+        assert.ok(await strategy.calculateStrength(marked) > 0.5);
+        assert.equal(await strategy.detect(file), null);
+        assert.equal(await strategy.calculateStrength(file), 0);
+      }
+    }
+  });
+
+  it('re-encodes JPEG files in the dct and dwt modes and refuses lsb', async t => {
+    const file = encodeImage(testImage(256), IMAGE_FORMATS.JPEG, { quality: 95 });
+    for (const method of [WATERMARK_METHODS.DCT, WATERMARK_METHODS.DWT]) {
+      const strategy = new ImageWatermarkStrategy({ ...OPTIONS, method, quality: 75 });
+      const marked = await strategy.embed(file, METADATA);
+
+      assert.equal(decodeImage(marked).format, IMAGE_FORMATS.JPEG);
+      assert.deepEqual(await strategy.detect(marked), METADATA, method);
+      assert.equal(await strategy.detect(file), null);
+    }
+
+    t.mock.method(console, 'error', () => {});
+    await assert.rejects(new ImageWatermarkStrategy(OPTIONS).embed(file, METADATA), /lsb watermarks do not survive JPEG encoding/);
+  });
+
+    it('reads raw pixel buffers with the dimensions given in the options', async () => {
+    const image = testImage(128);
+    const strategy = new ImageWatermarkStrategy({ ...OPTIONS, width: 128, height: 128, channels: 3 });
+    const marked = await strategy.embed(image.data, METADATA);
+
+    assert.ok(Buffer.isBuffer(marked));
+    assert.equal(marked.length, image.data.length);
+    assert.deepEqual(await strategy.detect(marked), METADATA);
+    assert.equal(await strategy.verify(marked, { did: 'did:asset:image:zQmOther' }), false);
+  });
+
+  it('reports unreadable images', async t => {
+    t.mock.method(console, 'error', () => {});
+    const strategy = new ImageWatermarkStrategy(OPTIONS);
+
+    await assert.rejects(strategy.embed('not an image', METADATA), /PNG, BMP or JPEG files, pixel objects or raw pixel buffers/);
+    await assert.rejects(strategy.embed(Buffer.alloc(12), METADATA), /width and height must be positive integers/);
+    assert.equal(await strategy.detect(Buffer.alloc(12)), null);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for spread-spectrum model weight watermarking and the model attacks
+ * (src/watermarking/model_watermark.js, watermark_attacks.js and
+ * AIModelWatermarkStrategy)
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { embedModelWatermark, detectModelWatermark, readModelBits, readDidMarkBits } = require('../../src/watermarking/model_watermark');
+const { pruningAttack, fineTuneNoiseAttack, quantizationAttack } = require('../../src/watermarking/watermark_attacks');
+const { didHash, keyedRandom } = require('../../src/watermarking/watermark_payload');
+const { WatermarkStrategyFactory } = require('../../src/watermarking/watermark_manager');
+
+const DID = 'did:asset:ai-model:zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4';
+const OTHER_DID = 'did:asset:ai-model:zQmOther';
+const MODEL_ATTACKS = [pruningAttack(0.3), fineTuneNoiseAttack(0.02), quantizationAttack(6)];
+
+/**
+ * Build a model of pseudo-random weights
+ * @param {number} weights - Total weight count, split 3:1 over a weight and a bias layer
+ * @returns {Object} { parameters: { <layer>: Float32Array } }
+ */
+function testModel(weights) {
+  let seed = 7;
+  const layer = count => Float32Array.from({ length: count }, () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return (seed / 0x80000000 - 0.5) * 0.1;
+  });
+  return { parameters: { 'dense.weight': layer((weights * 3) / 4), 'dense.bias': layer(weights / 4) } };
+}
+
+/**
+ * RMS of the difference of two layers, relative to the RMS of the first
+ * @param {ArrayLike<number>} original - Original weights
+ * @param {ArrayLike<number>} changed - Changed weights
+ * @returns {number} Relative change
+ */
+function relativeChange(original, changed) {
+  let energy = 0;
+  let difference = 0;
+  for (let i = 0; i < original.length; i++) {
+    energy += original[i] ** 2;
+    difference += (changed[i] - original[i]) ** 2;
+  }
+  return Math.sqrt(difference / energy);
+}
+
+describe('embedModelWatermark and detectModelWatermark', () => {
+  const model = testModel(1200000);
+  let marked;
+
+  before(() => {
+    marked = embedModelWatermark(model, { did: DID, name: 'classifier' }, { key: 'lab' });
+  });
+
+  it('carries the DID hash in a million weights, read with the key alone', () => {
+    assert.deepEqual(detectModelWatermark(marked, { key: 'lab' }), { metadata: { didHash: didHash(DID) }, confidence: 1 });
+    assert.equal(detectModelWatermark(marked, { key: 'other', did: DID }), null);
+    assert.equal(detectModelWatermark(model, { key: 'lab', did: DID }), null);
+
+    const bits = readModelBits(marked, { key: 'lab' });
+    assert.equal(bits.header.length, 8);
+    assert.ok(bits.soft.length >= 40);
+    assert.equal(readDidMarkBits(marked, DID, { key: 'lab' }), null);
+  });
+
+  it('changes each layer by about the robustness strength and keeps its array type', () => {
+    for (const [name, values] of Object.entries(model.parameters)) {
+      assert.ok(marked.parameters[name] instanceof Float32Array, name);
+      const change = relativeChange(values, marked.parameters[name]);
+      assert.ok(change > 0.005 && change < 0.03, `${name}: ${change}`);
+    }
+    assert.ok(relativeChange(model.parameters['dense.weight'], embedModelWatermark(model, { did: DID }, { key: 'lab', robustness: 'low' }).parameters['dense.weight']) < 0.02);
+  });
+
+  it('survives pruning, fine-tuning noise and quantization', () => {
+    MODEL_ATTACKS.forEach((attack, index) => {
+      const attacked = attack.apply(marked, keyedRandom('model-test', String(index)));
+      const detected = detectModelWatermark(attacked, { key: 'lab' });
+      assert.deepEqual(detected && detected.metadata, { didHash: didHash(DID) }, attack.name);
+    });
+  });
+
+  it('marks only the layers asked for', () => {
+    const small = testModel(12000);
+    const partial = embedModelWatermark(small, { did: DID }, { key: 'lab', layers: ['dense.weight'] });
+
+    assert.deepEqual(partial.parameters['dense.bias'], small.parameters['dense.bias']);
+    assert.notDeepEqual(partial.parameters['dense.weight'], small.parameters['dense.weight']);
+    assert.ok(detectModelWatermark(partial, { key: 'lab', did: DID, layers: ['dense.weight'] }));
+  });
+});
+
+describe('DID marks of small models', () => {
+  const model = testModel(8192);
+  const marked = embedModelWatermark(model, { did: DID }, { key: 'lab' });
+
+  it('are verified against the expected DID and key only', () => {
+    assert.equal(detectModelWatermark(marked, { key: 'lab' }), null);
+    assert.deepEqual(detectModelWatermark(marked, { key: 'lab', did: DID }).metadata, { didHash: didHash(DID) });
+    assert.equal(detectModelWatermark(marked, { key: 'lab', did: OTHER_DID }), null);
+    assert.equal(detectModelWatermark(marked, { key: 'other', did: DID }), null);
+    assert.equal(detectModelWatermark(model, { key: 'lab', did: DID }), null);
+  });
+
+  it('survive pruning, fine-tuning noise and quantization', () => {
+    MODEL_ATTACKS.forEach((attack, index) => {
+      const attacked = attack.apply(marked, keyedRandom('small-model-test', String(index)));
+      assert.ok(detectModelWatermark(attacked, { key: 'lab', did: DID }), attack.name);
+    });
+  });
+
+  it('are read as bits through 64 weight shares', () => {
+    const shares = readDidMarkBits(marked, DID, { key: 'lab' });
+    assert.equal(shares.length, 64);
+    const mean = shares.reduce((sum, value) => sum + value, 0) / shares.length;
+    assert.ok(Math.abs(mean - 8 / Math.sqrt(8192)) < 0.005, String(mean));
+    assert.ok(readDidMarkBits(model, DID, { key: 'lab' }).reduce((sum, value) => sum + value, 0) / 64 < 0.05);
+  });
+
+  it('need a few thousand weights', () => {
+    assert.throws(() => embedModelWatermark(testModel(4000), { did: DID }, { key: 'lab' }), /Model too small for a watermark: 6400 weights needed, 4000 found/);
+    assert.throws(() => embedModelWatermark(testModel(8192), { name: 'classifier' }, { key: 'lab' }), /Model too small for a watermark/);
+  });
+});
+
+describe('model validation and attacks', () => {
+  it('rejects malformed models and options', () => {
+    assert.throws(() => embedModelWatermark({ weights: [] }, { did: DID }, { key: 'lab' }), /Model must have a parameters object/);
+    assert.throws(() => embedModelWatermark({ parameters: { a: 'weights' } }, { did: DID }, { key: 'lab' }), /Model layer a is not a numeric array/);
+    assert.throws(() => embedModelWatermark(testModel(8192), { did: DID }, { key: 'lab', robustness: 'extreme' }), /Unsupported watermark robustness: extreme/);
+    assert.throws(() => embedModelWatermark(testModel(8192), { did: DID }, { key: 'lab', strength: 2 }), /strength must be a number in \(0, 1\]/);
+    assert.throws(() => pruningAttack().apply({ weights: [] }), /Model must have a parameters object/);
+  });
+
+  it('prune, perturb and quantize copies of the weights', () => {
+    const model = { parameters: { layer: [0.5, -0.01, 0.2, 0.02, -0.4, 0.003, 0.1, -0.3, 0.05, 0.25] } };
+
+    assert.deepEqual(pruningAttack(0.3).apply(model).parameters.layer, [0.5, 0, 0.2, 0, -0.4, 0, 0.1, -0.3, 0.05, 0.25]);
+    assert.equal(new Set(quantizationAttack(2).apply(model).parameters.layer).size, 3);
+    const noisy = fineTuneNoiseAttack(0.5).apply(model, keyedRandom('noise', 'test')).parameters.layer;
+    assert.ok(Array.isArray(noisy));
+    assert.ok(noisy.every((value, i) => value !== model.parameters.layer[i]));
+    assert.equal(model.parameters.layer[1], -0.01);
+  });
+});
+
+describe('AIModelWatermarkStrategy', () => {
+  it('is created for AI models and verifies DID marks', async t => {
+    t.mock.method(console, 'error', () => {});
+    const strategy = WatermarkStrategyFactory.createStrategy('ai-model', { key: 'lab' });
+    const marked = await strategy.embed(testModel(8192), { did: DID });
+
+    assert.equal(await strategy.detect(marked), null);
+    assert.equal(await strategy.verify(marked, { did: DID }), true);
+    assert.equal(await strategy.verify(marked, { did: OTHER_DID }), false);
+    assert.equal(await WatermarkStrategyFactory.createStrategy('ai-model', { key: 'other' }).verify(marked, { did: DID }), false);
+    await assert.rejects(strategy.embed(testModel(1000), { did: DID }), /Model too small for a watermark/);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for Reed-Solomon codes over GF(2^8) (src/watermarking/reed_solomon.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rsEncode, rsDecode } = require('../../src/watermarking/reed_solomon');
+
+// Data and error correction codewords of "HELLO WORLD" as a version 1-M QR code
+const QR_DATA = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+const QR_PARITY = [196, 35, 39, 119, 235, 215, 231, 226, 93, 23];
+
+describe('Reed-Solomon', () => {
+  it('computes the parity of the QR code example', () => {
+    assert.deepEqual([...rsEncode(Buffer.from(QR_DATA), 10)], [...QR_DATA, ...QR_PARITY]);
+    assert.deepEqual(rsDecode(Buffer.from([...QR_DATA, ...QR_PARITY]), 10), { data: Buffer.from(QR_DATA), corrected: 0 });
+  });
+
+  it('corrects up to half as many bytes as it has parity, anywhere in the codeword', () => {
+    const codeword = Buffer.from([...QR_DATA, ...QR_PARITY]);
+
+    for (const positions of [[0], [25], [1, 13, 17], [0, 3, 7, 15, 20], [21, 22, 23, 24, 25]]) {
+      const received = Buffer.from(codeword);
+      positions.forEach(position => {
+        received[position] ^= 0x5a + position;
+      });
+      assert.deepEqual(rsDecode(received, 10), { data: Buffer.from(QR_DATA), corrected: positions.length }, `${positions}`);
+    }
+  });
+
+  it('reports codewords with more errors than it corrects', () => {
+    const received = Buffer.from([...QR_DATA, ...QR_PARITY]);
+    [0, 3, 7, 15, 20, 25].forEach(position => {
+      received[position] ^= 0x5a;
+    });
+    assert.equal(rsDecode(received, 10), null);
+  });
+
+  it('round-trips random data with every parity size', () => {
+    let seed = 1;
+    for (let parity = 1; parity <= 32; parity++) {
+      const data = Buffer.alloc(40, 0).map(() => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return seed >> 16;
+      });
+      const received = rsEncode(data, parity);
+      for (let error = 0; error < Math.floor(parity / 2); error++) {
+        received[(error * 7) % received.length] ^= 0xff;
+      }
+      assert.deepEqual(rsDecode(received, parity).data, data, `${parity} parity bytes`);
+    }
+  });
+
+  it('rejects codes outside GF(2^8)', () => {
+    assert.throws(() => rsEncode(Buffer.alloc(250), 6), /at most 255 bytes, got 256/);
+    assert.throws(() => rsEncode(Buffer.alloc(4), 0), /parity symbol count must be a positive integer/);
+    assert.throws(() => rsDecode(Buffer.alloc(4), 1.5), /parity symbol count must be a positive integer/);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for the watermark robustness benchmark and the text attacks
+ * (src/watermarking/robustness_benchmark.js, watermark_attacks.js and
+ * WatermarkManager.benchmarkWatermark)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runRobustnessBenchmark, countBitErrors } = require('../../src/watermarking/robustness_benchmark');
+const {
+  ATTACKS,
+  whitespaceNormalizationAttack,
+  nfkcAttack,
+  punctuationReplacementAttack,
+  synonymParaphraseAttack,
+  pruningAttack
+} = require('../../src/watermarking/watermark_attacks');
+const { keyedRandom } = require('../../src/watermarking/watermark_payload');
+const { WatermarkManager, WatermarkStrategyFactory } = require('../../src/watermarking/watermark_manager');
+
+const SENTENCES = [
+  'The big archive keeps every version of the report, and each reader can compare them.',
+  'Editors make small changes before they begin the review; nothing bad goes out unchecked.',
+  'When a copy turns up elsewhere - in a "mirror" or a feed - the team can trace it back.',
+  'Good notes help: short essays, long tables and quick summaries follow the same rules!'
+];
+
+/**
+ * Build a text of paragraphs
+ * @param {number} paragraphs - Number of paragraphs
+ * @param {number} offset - First sentence
+ * @returns {string} Text
+ */
+function testText(paragraphs, offset = 0) {
+  return Array.from({ length: paragraphs }, (_, p) =>
+    Array.from({ length: 6 }, (_, i) => SENTENCES[(offset + p + i) % SENTENCES.length]).join(' ')).join('\n\n');
+}
+
+/**
+ * Build a model of pseudo-random weights
+ * @param {number} weights - Weight count
+ * @param {number} seed - Seed of the weights
+ * @returns {Object} { parameters: { dense: Float32Array } }
+ */
+function testModel(weights, seed) {
+  return {
+    parameters: {
+      dense: Float32Array.from({ length: weights }, () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return (seed / 0x80000000 - 0.5) * 0.1;
+      })
+    }
+  };
+}
+
+describe('countBitErrors', () => {
+  it('counts flipped, lost and added bits', () => {
+    assert.equal(countBitErrors('10110010', '10110010'), 0);
+    assert.equal(countBitErrors('10110010', '00111010'), 2);
+    assert.equal(countBitErrors('10110010', '1010010'), 1);
+    assert.equal(countBitErrors('10110010', '101100110'), 1);
+    assert.equal(countBitErrors('1011', ''), 4);
+    assert.equal(countBitErrors('10'.repeat(200), `1${'10'.repeat(200)}`), 1);
+  });
+});
+
+describe('text attacks', () => {
+  const random = keyedRandom('attack-test', 'text');
+
+  it('normalize spaces and compatibility characters', () => {
+    assert.equal(whitespaceNormalizationAttack().apply('a\u00A0b\u200B  c\n\n\n\nd'), 'a b c\n\nd');
+    assert.equal(nfkcAttack().apply('\uFB01le\u00A0\u2460'), 'file 1');
+  });
+
+  it('replace punctuation and words at the given rate, keeping capitalization', () => {
+    const text = testText(4);
+    assert.equal(punctuationReplacementAttack(0).apply(text, random), text);
+    assert.equal(punctuationReplacementAttack(1).apply('"a" - b; c!', random), '\u201Da\u201D \u2013 b, c.');
+
+    const paraphrased = synonymParaphraseAttack(1).apply('Big, small and good.', random);
+    assert.match(paraphrased, /^(Large|Huge), (little|tiny) and (great|fine)\.$/);
+    assert.equal(synonymParaphraseAttack(0).apply(text, random), text);
+  });
+
+  it('are listed for text and AI models', () => {
+    assert.deepEqual(ATTACKS.text.map(attack => attack.name), ['whitespace-normalization', 'unicode-nfkc', 'punctuation-replacement', 'synonym-paraphrase']);
+    assert.deepEqual(ATTACKS['ai-model'].map(attack => attack.name), ['pruning', 'fine-tune-noise', 'quantization']);
+  });
+});
+
+describe('runRobustnessBenchmark', () => {
+  it('measures the text strategy against the text attacks', async t => {
+    t.mock.method(console, 'error', () => {});
+    const strategy = WatermarkStrategyFactory.createStrategy('text', { key: 'bench' });
+    const report = await runRobustnessBenchmark(strategy, [testText(8), testText(8, 1), 'Too short.'], {
+      resourceType: 'text',
+      trials: 2
+    });
+    const rows = Object.fromEntries(report.attacks.map(row => [row.attack, row]));
+
+    assert.equal(report.samples, 2);
+    assert.equal(report.skipped, 1);
+    assert.equal(report.unsupported[0].sample, 2);
+    assert.match(report.unsupported[0].reason, /Text too short for a watermark/);
+
+    assert.deepEqual(rows.none, {
+      attack: 'none',
+      description: 'No attack',
+      trials: 4,
+      bitErrorRate: 0,
+      detectionRate: 1,
+      falsePositiveRate: 0
+    });
+    assert.equal(rows['punctuation-replacement'].detectionRate, 1);
+    assert.ok(rows['punctuation-replacement'].bitErrorRate < 0.05);
+    for (const name of ['whitespace-normalization', 'unicode-nfkc']) {
+      assert.equal(rows[name].detectionRate, 0, name);
+      assert.ok(rows[name].bitErrorRate > 0.1, name);
+    }
+    report.attacks.forEach(row => assert.equal(row.falsePositiveRate, 0, row.attack));
+    assert.equal(report.score, report.attacks.slice(1).reduce((sum, row) => sum + row.detectionRate, 0) / 4);
+  });
+
+  it('measures small models through their DID marks, with bit error rates on the mark shares', async t => {
+    t.mock.method(console, 'error', () => {});
+    const strategy = WatermarkStrategyFactory.createStrategy('ai-model', { key: 'bench' });
+    const report = await runRobustnessBenchmark(strategy, [testModel(8192, 1), testModel(10000, 2), testModel(100, 3)], {
+      resourceType: 'ai-model',
+      trials: 1
+    });
+
+    assert.equal(report.samples, 2);
+    assert.deepEqual(report.unsupported.map(entry => entry.sample), [2]);
+    report.attacks.forEach(row => {
+      assert.equal(row.trials, 2, row.attack);
+      assert.ok(row.bitErrorRate >= 0 && row.bitErrorRate < 0.5, row.attack);
+      assert.equal(row.detectionRate, 1, row.attack);
+      assert.equal(row.falsePositiveRate, 0, row.attack);
+    });
+    assert.equal(report.score, 1);
+    assert.equal(report.attacks[0].bitErrorRate, 0);
+    assert.ok(report.attacks.slice(1).some(row => row.bitErrorRate > 0));
+  });
+
+  it('reports a null score when no sample can be marked', async t => {
+    t.mock.method(console, 'error', () => {});
+    const strategy = WatermarkStrategyFactory.createStrategy('ai-model', { key: 'bench' });
+    const report = await runRobustnessBenchmark(strategy, [testModel(100, 1)], { attacks: [pruningAttack()] });
+
+    assert.equal(report.samples, 0);
+    assert.equal(report.score, null);
+    assert.deepEqual(report.attacks.map(row => row.detectionRate), [null, null]);
+  });
+
+  it('rejects benchmarks without attacks or samples', async () => {
+    const strategy = WatermarkStrategyFactory.createStrategy('text', { key: 'bench' });
+
+    await assert.rejects(runRobustnessBenchmark(strategy, [testText(8)], { resourceType: 'image' }), /No attacks available for resource type: image/);
+    await assert.rejects(runRobustnessBenchmark(strategy, [], { resourceType: 'text' }), /at least one sample resource/);
+  });
+});
+
+describe('WatermarkManager.benchmarkWatermark', () => {
+  it('scales the strength it reports by the benchmark score', async t => {
+    t.mock.method(console, 'error', () => {});
+    const manager = new WatermarkManager();
+    const options = { key: 'bench' };
+    const marked = await manager.embedWatermark(testText(8), 'text', { did: 'did:example:bench' }, options);
+    assert.equal(await manager.calculateWatermarkStrength(marked, 'text', options), 1);
+
+    const report = await manager.benchmarkWatermark('text', [testText(8)], { trials: 1 }, options);
+    assert.ok(report.score > 0 && report.score < 1);
+    assert.equal(await manager.calculateWatermarkStrength(marked, 'text', options), report.score);
+  });
+});
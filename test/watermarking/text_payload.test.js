@@ -0,0 +1,205 @@
+/**
+ * Tests for the error-correcting text watermark payload codec
+ * (src/watermarking/text_payload.js) and TextWatermarkStrategy
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { encodeTextPayload, decodeTextPayload, keyCarriers } = require('../../src/watermarking/text_payload');
+const { didHash } = require('../../src/watermarking/watermark_payload');
+const { TextWatermarkStrategy } = require('../../src/watermarking/watermark_manager');
+
+const DID = 'did:asset:text:zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4';
+const SYNC = '1111100110101';
+const HEADER_BITS = 32;
+
+const SENTENCES = [
+  'The archive keeps every version of the report, and each reader can compare them.',
+  'Editors review the changes before they are published; nothing goes out unchecked.',
+  'When a copy turns up elsewhere, the team can trace it back to its source.',
+  'Short notes, long essays and data tables all follow the same rules here.'
+];
+
+/**
+ * Build a text of paragraphs
+ * @param {number} paragraphs - Number of paragraphs
+ * @returns {string} Text
+ */
+function testText(paragraphs) {
+  return Array.from({ length: paragraphs }, (_, p) =>
+    Array.from({ length: 6 }, (_, i) => SENTENCES[(p + i) % SENTENCES.length]).join(' ')).join('\n\n');
+}
+
+/**
+ * Flip the bits of a bit string at some positions
+ * @param {string} bits - Bits as '0' and '1' characters
+ * @param {Array<number>} positions - Positions to flip
+ * @returns {string} Bits
+ */
+function flip(bits, positions) {
+  const flipped = [...bits];
+  positions.forEach(position => {
+    flipped[position] = flipped[position] === '1' ? '0' : '1';
+  });
+  return flipped.join('');
+}
+
+describe('encodeTextPayload and decodeTextPayload', () => {
+  const metadata = { did: DID, title: 'Report' };
+
+  it('frames a compact payload behind the sync word and header', () => {
+    const packet = encodeTextPayload(metadata);
+    const bodyBytes = (packet.length - SYNC.length - HEADER_BITS) / 8;
+
+    assert.equal(packet.slice(0, SYNC.length), SYNC);
+    assert.ok(Number.isInteger(bodyBytes));
+    assert.ok(bodyBytes < encodeTextPayload(metadata, { compact: false }).length / 8 - 6);
+    const { capacity, ...decoded } = decodeTextPayload(packet);
+    assert.deepEqual(decoded, {
+      metadata: { didHash: didHash(DID), title: 'Report' },
+      corrected: 0,
+      copies: 1,
+      confidence: 1
+    });
+    // Medium error correction spends a third of the body on parity
+    assert.ok(Math.abs(capacity - bodyBytes / 6) <= 1);
+    assert.deepEqual(decodeTextPayload(encodeTextPayload(metadata, { compact: false })).metadata, metadata);
+  });
+
+  it('sends a DID alone as a hash packet without header', () => {
+    const packet = encodeTextPayload({ did: DID });
+    assert.equal(packet.slice(0, SYNC.length), '0000011001010');
+    assert.deepEqual(
+      ['low', 'medium', 'high'].map(errorCorrection => encodeTextPayload({ did: DID }, { errorCorrection }).length),
+      [125, 141, 173]
+    );
+
+    const { capacity, ...decoded } = decodeTextPayload(packet);
+    assert.deepEqual(decoded, { metadata: { didHash: didHash(DID) }, corrected: 0, copies: 1, confidence: 1 });
+    const damaged = decodeTextPayload(flip(packet, Array.from({ length: capacity }, (_, i) => SYNC.length + 1 + i * 8)));
+    assert.deepEqual(damaged.metadata, { didHash: didHash(DID) });
+    assert.equal(damaged.corrected, capacity);
+    assert.deepEqual(decodeTextPayload(packet.slice(0, 60) + packet.slice(61) + '0').metadata, { didHash: didHash(DID) });
+    assert.equal(decodeTextPayload(encodeTextPayload({ did: DID }, { compact: false })).metadata.did, DID);
+  });
+
+  it('carries hex strings as bytes and returns them as hex', () => {
+    const hash = 'ab'.repeat(32);
+    const packet = encodeTextPayload({ did: DID, sha256: hash });
+
+    assert.ok(packet.length < encodeTextPayload({ did: DID, sha256: `${hash}x` }).length - 200);
+    assert.deepEqual(decodeTextPayload(packet).metadata, { didHash: didHash(DID), sha256: hash });
+  });
+
+  it('corrects flipped bits and reports the corrected byte count', () => {
+    const packet = encodeTextPayload(metadata, { errorCorrection: 'high' });
+    const body = SYNC.length + HEADER_BITS;
+    const { capacity } = decodeTextPayload(packet);
+
+    const damaged = decodeTextPayload(flip(packet, [body + 3, body + 17, body + 18, body + 100]));
+    assert.deepEqual(damaged.metadata, { didHash: didHash(DID), title: 'Report' });
+    assert.equal(damaged.corrected, 3);
+    assert.equal(damaged.confidence, 1 - 3 / (capacity + 1));
+
+    const tooMany = Array.from({ length: capacity + 1 }, (_, i) => body + i * 8);
+    assert.equal(decodeTextPayload(flip(packet, tooMany)), null);
+    assert.deepEqual(decodeTextPayload(flip(packet, [3, SYNC.length + 5])).metadata, damaged.metadata);
+  });
+
+  it('realigns a packet that lost or gained a bit', () => {
+    const packet = encodeTextPayload(metadata);
+    const at = SYNC.length + HEADER_BITS + 60;
+
+    assert.deepEqual(decodeTextPayload(packet.slice(0, at) + packet.slice(at + 1) + '0').metadata.title, 'Report');
+    assert.deepEqual(decodeTextPayload(`${packet.slice(0, at)}1${packet.slice(at)}`).metadata.title, 'Report');
+  });
+
+  it('votes over copies that no longer decode on their own', () => {
+    const packet = encodeTextPayload(metadata, { errorCorrection: 'low' });
+    const { capacity } = decodeTextPayload(packet);
+    const body = SYNC.length + HEADER_BITS;
+
+    // Each copy has too many errors, in different bytes
+    const copies = [0, 1, 2].map(copy =>
+      flip(packet, Array.from({ length: capacity + 1 }, (_, i) => body + (copy * (capacity + 1) + i) * 8)));
+    copies.forEach(copy => assert.equal(decodeTextPayload(copy), null));
+
+    const voted = decodeTextPayload(copies.join(''));
+    assert.equal(voted.metadata.title, 'Report');
+    assert.equal(voted.copies, 3);
+  });
+
+  it('finds nothing in unmarked bits and rejects payloads too large', () => {
+    assert.equal(decodeTextPayload('01'.repeat(400)), null);
+    assert.equal(decodeTextPayload(null), null);
+    assert.throws(() => encodeTextPayload(metadata, { errorCorrection: 'extreme' }), /Unsupported error correction level: extreme/);
+    assert.throws(
+      () => encodeTextPayload({ did: DID, notes: 'x'.repeat(200) }, { errorCorrection: 'high' }),
+      /too large for high error correction/
+    );
+  });
+});
+
+describe('keyCarriers', () => {
+  it('selects and inverts carriers by key, independent of their position', () => {
+    const text = testText(2);
+    const spaces = [...text.matchAll(/ /g)].map(match => ({ start: match.index, end: match.index + 1 }));
+    const keyed = keyCarriers(text, spaces, { key: 'k', label: 'spaces' });
+    const shifted = keyCarriers(`Preface. ${text}`, spaces.map(({ start, end }) => ({ start: start + 9, end: end + 9 })), { key: 'k', label: 'spaces' });
+
+    assert.ok(keyed.length > spaces.length * 0.6 && keyed.length < spaces.length * 0.9);
+    assert.deepEqual(shifted.slice(1).map(carrier => carrier.flip), keyed.slice(1).map(carrier => carrier.flip));
+    assert.notDeepEqual(keyCarriers(text, spaces, { key: 'other', label: 'spaces' }), keyed);
+    assert.throws(() => keyCarriers(text, spaces, { key: 'k', density: 0 }), /Carrier density must be in \(0, 1\]/);
+    assert.throws(() => keyCarriers(text, spaces, { label: 'spaces' }), /A watermark key is required/);
+  });
+});
+
+describe('TextWatermarkStrategy', () => {
+  it('survives a lost character and scattered carrier changes', async () => {
+    const strategy = new TextWatermarkStrategy({ key: 'press' });
+    const text = testText(12);
+    const marked = await strategy.embed(text, { did: DID, title: 'Report' });
+    const expected = { didHash: didHash(DID), title: 'Report' };
+
+    assert.deepEqual(await strategy.detect(marked), expected);
+    assert.equal(await strategy.verify(marked, { did: DID }), true);
+    assert.equal(await strategy.calculateStrength(marked), 1);
+
+    const lost = strategy._detect(marked.slice(0, 1000) + marked.slice(1001));
+    assert.deepEqual(lost.metadata, expected);
+    assert.ok(lost.corrected > 0 && lost.corrected <= lost.capacity);
+
+    let count = 0;
+    const retyped = marked.replace(/[\u00A0\u200A]/g, space => (count++ % 40 === 0 ? ' ' : space));
+    assert.deepEqual(await strategy.detect(retyped), expected);
+    assert.ok(await strategy.calculateStrength(retyped) < 1);
+
+    assert.equal(await strategy.detect(marked.replace(/[\u00A0\u200A]/g, ' ').replace(/\u200B/g, '')), null);
+  });
+
+  it('needs the embedding key and rejects texts too short for the packet', async t => {
+    t.mock.method(console, 'error', () => {});
+    const marked = await new TextWatermarkStrategy({ key: 'reader-7' }).embed(testText(12), { did: DID });
+
+    assert.equal(await new TextWatermarkStrategy({ key: 'reader-7' }).verify(marked, { did: DID }), true);
+    assert.equal(await new TextWatermarkStrategy({ key: 'reader-8' }).detect(marked), null);
+    assert.equal(await new TextWatermarkStrategy().detect(marked), null);
+    await assert.rejects(new TextWatermarkStrategy().embed(testText(12), { did: DID }), /A watermark key is required/);
+    await assert.rejects(
+      new TextWatermarkStrategy({ key: 'reader-7' }).embed(SENTENCES[0], { did: DID }),
+      /Text too short for a watermark: 141 spaces, punctuation gaps or paragraph breaks needed/
+    );
+  });
+
+  it('marks texts of about 200 words with the DID hash', async () => {
+    const strategy = new TextWatermarkStrategy({ key: 'press' });
+    const text = Array.from({ length: 15 }, (_, i) => SENTENCES[i % SENTENCES.length]).join(' ');
+    assert.equal(text.split(' ').length, 203);
+
+    const marked = await strategy.embed(text, { did: DID, title: 'Report' });
+    assert.deepEqual(await strategy.detect(marked), { didHash: didHash(DID) });
+    assert.equal(await strategy.verify(marked, { did: DID }), true);
+  });
+});
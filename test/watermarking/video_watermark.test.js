@@ -0,0 +1,170 @@
+/**
+ * Tests for frame-sequence video watermarking and the Y4M codec
+ * (src/watermarking/video_watermark.js, video_codec.js and
+ * VideoWatermarkStrategy)
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { embedVideoWatermark, detectVideoWatermark } = require('../../src/watermarking/video_watermark');
+const { decodeY4M, encodeY4M, isY4M } = require('../../src/watermarking/video_codec');
+const { WatermarkStrategyFactory } = require('../../src/watermarking/watermark_manager');
+
+const DID = 'did:asset:video:zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4';
+const SIZE = 256;
+const FRAMES = 20;
+const OPTIONS = { key: 'broadcaster' };
+
+/**
+ * Build a 4:2:0 test video of a moving gradient with noise
+ * @param {number} frameCount - Number of frames
+ * @returns {Object} { width, height, frameRate, colorspace, parameters, frames }
+ */
+function testVideo(frameCount = FRAMES) {
+  let seed = 11;
+  const frames = Array.from({ length: frameCount }, (_, frame) => {
+    const y = Buffer.alloc(SIZE * SIZE);
+    for (let row = 0; row < SIZE; row++) {
+      for (let column = 0; column < SIZE; column++) {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        y[row * SIZE + column] = 40 + ((column + row + frame * 4) % 160) + (seed % 12);
+      }
+    }
+    return { y, u: Buffer.alloc((SIZE * SIZE) / 4, 128), v: Buffer.alloc((SIZE * SIZE) / 4, 100) };
+  });
+  return { width: SIZE, height: SIZE, frameRate: '25:1', colorspace: '420jpeg', parameters: ['Ip'], frames };
+}
+
+/**
+ * Cut frames out of a video
+ * @param {Object} video - Y4M video object
+ * @param {number} start - First frame
+ * @param {number} end - Frame after the last
+ * @returns {Object} Clip
+ */
+function clip(video, start, end) {
+  return { ...video, frames: video.frames.slice(start, end) };
+}
+
+describe('Y4M codec', () => {
+  it('round-trips the header, planes and frame parameters', () => {
+    const video = testVideo(2);
+    const stream = encodeY4M(video);
+
+    assert.equal(isY4M(stream), true);
+    assert.equal(stream.toString('latin1', 0, stream.indexOf(0x0a)), 'YUV4MPEG2 W256 H256 F25:1 Ip C420jpeg');
+    assert.deepEqual(decodeY4M(stream), video);
+  });
+
+  it('rejects malformed streams', () => {
+    const stream = encodeY4M(testVideo(1));
+
+    assert.throws(() => decodeY4M(Buffer.from('RIFF')), /Not a Y4M stream/);
+    assert.throws(() => decodeY4M(stream.subarray(0, stream.length - 1)), /Truncated Y4M frame 0/);
+    assert.throws(() => decodeY4M(Buffer.from('YUV4MPEG2 W2 H2 C411x\n')), /Unsupported Y4M colorspace: 411x/);
+    assert.throws(() => encodeY4M({ ...testVideo(1), width: 128 }), /Frame 0 must have a 128x256 luma plane/);
+  });
+});
+
+describe('embedVideoWatermark and detectVideoWatermark', () => {
+  const video = testVideo();
+  let marked;
+
+  before(() => {
+    marked = embedVideoWatermark(video, { did: DID }, { ...OPTIONS, robustness: 'medium' });
+  });
+
+  it('marks the luma plane only and recovers the metadata from the whole video', () => {
+    marked.frames.forEach((frame, index) => {
+      assert.deepEqual(frame.u, video.frames[index].u);
+      assert.deepEqual(frame.v, video.frames[index].v);
+    });
+
+    assert.deepEqual(detectVideoWatermark(marked, OPTIONS), {
+      metadata: { did: DID },
+      confidence: 1,
+      frameRanges: [{ start: 0, end: FRAMES - 1 }],
+      sliceCount: 5,
+      missingSlices: []
+    });
+    assert.equal(detectVideoWatermark(video, OPTIONS), null);
+  });
+
+  it('recovers the metadata from any clip holding every slice', () => {
+    for (const start of [0, 1, 4, 5]) {
+      const detected = detectVideoWatermark(clip(marked, start, start + 15), OPTIONS);
+      assert.deepEqual(detected.metadata, { did: DID }, `frames ${start} to ${start + 14}`);
+      assert.deepEqual(detected.frameRanges, [{ start: 0, end: 14 }]);
+    }
+
+    const short = detectVideoWatermark(clip(marked, 2, 8), OPTIONS);
+    assert.equal(short.metadata, null);
+    assert.equal(short.sliceCount, 5);
+    assert.deepEqual(short.missingSlices, [3, 4]);
+  });
+
+  it('reports the frame ranges of a clip spliced between unmarked frames', () => {
+    const spliced = {
+      ...video,
+      frames: [...video.frames.slice(0, 3), ...marked.frames, ...video.frames.slice(0, 2)]
+    };
+    spliced.frames[10] = video.frames[7];
+
+    const detected = detectVideoWatermark(spliced, OPTIONS);
+    assert.deepEqual(detected.metadata, { did: DID });
+    assert.deepEqual(detected.frameRanges, [{ start: 3, end: 9 }, { start: 11, end: 22 }]);
+    assert.equal(detected.confidence, 19 / 25);
+  });
+
+  it('accepts Y4M streams and RGB frames in the form given', () => {
+    const stream = embedVideoWatermark(encodeY4M(clip(video, 0, 15)), { did: DID }, OPTIONS);
+    assert.equal(isY4M(stream), true);
+    assert.deepEqual(detectVideoWatermark(stream, OPTIONS).metadata, { did: DID });
+
+    const rgb = clip(video, 0, 15).frames.map(frame => ({
+      width: SIZE,
+      height: SIZE,
+      channels: 3,
+      data: Buffer.from(Array.from(frame.y).flatMap(value => [value, value, value]))
+    }));
+    const markedRGB = embedVideoWatermark(rgb, { did: DID }, OPTIONS);
+    assert.equal(markedRGB.length, 15);
+    assert.deepEqual(detectVideoWatermark(markedRGB, OPTIONS).metadata, { did: DID });
+  });
+
+  it('needs the embedding key to find the watermark', () => {
+    const keyed = embedVideoWatermark(clip(video, 0, 15), { did: DID }, { key: 'secret' });
+
+    assert.deepEqual(detectVideoWatermark(keyed, { key: 'secret' }).metadata, { did: DID });
+    assert.equal(detectVideoWatermark(keyed, OPTIONS), null);
+    assert.throws(() => detectVideoWatermark(keyed), /A watermark key is required/);
+  });
+
+  it('rejects videos too short or too small for the payload', () => {
+    assert.throws(() => embedVideoWatermark(clip(video, 0, 14), { did: DID }, OPTIONS), /at least 15 frames needed/);
+    assert.throws(() => embedVideoWatermark(clip(video, 0, 0), { did: DID }, OPTIONS), /Video has no frames/);
+    assert.throws(
+      () => embedVideoWatermark([{ width: 32, height: 32, channels: 3, data: Buffer.alloc(3072) }], { did: DID }, OPTIONS),
+      /Video frames too small for a medium robustness watermark/
+    );
+    assert.throws(() => embedVideoWatermark(video, { did: DID }, { ...OPTIONS, framesPerSlice: 0 }), /framesPerSlice must be a positive integer/);
+    assert.throws(() => embedVideoWatermark('video', { did: DID }, OPTIONS), /Y4M streams, Y4M frame objects or arrays of frames/);
+  });
+});
+
+describe('VideoWatermarkStrategy', () => {
+  it('is created for video resources and locates clipped copies', async t => {
+    t.mock.method(console, 'error', () => {});
+    const strategy = WatermarkStrategyFactory.createStrategy('video', { ...OPTIONS, framesPerSlice: 1 });
+    const marked = await strategy.embed(testVideo(10), { did: DID });
+    const excerpt = clip(marked, 3, 8);
+
+    assert.deepEqual(await strategy.detect(excerpt), { did: DID });
+    assert.deepEqual((await strategy.locate(excerpt)).frameRanges, [{ start: 0, end: 4 }]);
+    assert.equal(await strategy.verify(excerpt, { did: DID }), true);
+    assert.equal(await strategy.calculateStrength(excerpt), 1);
+    assert.equal(await strategy.detect(clip(marked, 3, 7)), null);
+    assert.equal(await strategy.detect('video'), null);
+  });
+});
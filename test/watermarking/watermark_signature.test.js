@@ -0,0 +1,204 @@
+/**
+ * Tests for signed watermark payloads (src/watermarking/watermark_signature.js)
+ * and their verification by DecentralizedResourceIDSystem
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  signWatermarkPayload,
+  verifyWatermarkSignature,
+  SIGNATURE_STATUS
+} = require('../../src/watermarking/watermark_signature');
+const { didHash, watermarkKeyId } = require('../../src/watermarking/watermark_payload');
+const { Ed25519KeyPair } = require('../../src/core/crypto');
+const { DecentralizedResourceIDSystem } = require('../../src/index');
+
+const DID = 'did:asset:image:zQmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4';
+const OTHER_DID = 'did:asset:image:zQmOther';
+
+/**
+ * Build a resolver of fixed DID documents, each with one assertion key
+ * @param {Object} keys - Controller key pair of each DID
+ * @param {Array<string>} deactivated - DIDs reported as deactivated
+ * @returns {Object} Resolver with a resolve(did) method
+ */
+function testResolver(keys, deactivated = []) {
+  return {
+    resolve: async did => {
+      if (!keys[did]) {
+        return { didDocument: null, didDocumentMetadata: {} };
+      }
+      const method = keys[did].toVerificationMethod(`${did}#keys-1`, did);
+      return {
+        didDocument: { id: did, verificationMethod: [method], assertionMethod: [method.id] },
+        didDocumentMetadata: deactivated.includes(did) ? { deactivated: true } : {}
+      };
+    }
+  };
+}
+
+/**
+ * Build a pixel object of noise
+ * @param {number} size - Width and height
+ * @returns {Object} { width, height, channels, data }
+ */
+function testImage(size) {
+  let seed = 3;
+  const data = Buffer.alloc(size * size * 3).map(() => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return 60 + ((seed >> 16) % 120);
+  });
+  return { width: size, height: size, channels: 3, data };
+}
+
+describe('signWatermarkPayload and verifyWatermarkSignature', () => {
+  const controller = Ed25519KeyPair.generate();
+  const forger = Ed25519KeyPair.generate();
+  const resolver = testResolver({ [DID]: controller, [OTHER_DID]: forger });
+  const payload = { did: DID, timestamp: '2024-01-01T00:00:00.000Z', creator: 'ann' };
+
+  it('signs with a verification method fragment of the payload DID', async () => {
+    const signed = signWatermarkPayload(payload, controller, `${DID}#keys-1`);
+
+    assert.equal(signed.verificationMethod, '#keys-1');
+    assert.equal(signed.signature.length, 64);
+    assert.deepEqual(await verifyWatermarkSignature(signed, resolver), {
+      signatureValid: true,
+      signatureStatus: SIGNATURE_STATUS.VALID,
+      keyId: `${DID}#keys-1`,
+      revoked: false
+    });
+  });
+
+  it('verifies hex signatures and payloads that only carry a DID hash', async () => {
+    const signed = signWatermarkPayload(payload, controller, `${DID}#keys-1`);
+    const { did, ...fields } = signed;
+    const hashed = { ...fields, didHash: didHash(did), signature: signed.signature.toString('hex') };
+
+    assert.equal((await verifyWatermarkSignature(hashed, resolver, { did: DID })).signatureStatus, SIGNATURE_STATUS.VALID);
+    assert.equal((await verifyWatermarkSignature(hashed, resolver)).signatureStatus, SIGNATURE_STATUS.UNRESOLVED);
+    assert.equal((await verifyWatermarkSignature(hashed, resolver, { did: OTHER_DID })).signatureStatus, SIGNATURE_STATUS.UNRESOLVED);
+  });
+
+  it('rejects tampered payloads and keys that do not control the DID', async () => {
+    const signed = signWatermarkPayload(payload, controller, `${DID}#keys-1`);
+    const tampered = await verifyWatermarkSignature({ ...signed, creator: 'eve' }, resolver);
+    assert.equal(tampered.signatureValid, false);
+    assert.equal(tampered.signatureStatus, SIGNATURE_STATUS.INVALID);
+
+    const forged = signWatermarkPayload(payload, forger, `${DID}#keys-1`);
+    assert.equal((await verifyWatermarkSignature(forged, resolver)).signatureStatus, SIGNATURE_STATUS.INVALID);
+
+    // A key of another DID may not sign for this one
+    const borrowed = signWatermarkPayload(payload, forger, `${OTHER_DID}#keys-1`);
+    const result = await verifyWatermarkSignature(borrowed, resolver);
+    assert.equal(result.keyId, `${OTHER_DID}#keys-1`);
+    assert.equal(result.signatureStatus, SIGNATURE_STATUS.INVALID);
+
+    const unknownMethod = signWatermarkPayload(payload, controller, `${DID}#keys-2`);
+    assert.equal((await verifyWatermarkSignature(unknownMethod, resolver)).signatureStatus, SIGNATURE_STATUS.INVALID);
+  });
+
+  it('reports unsigned, unresolvable, revoked and missing payloads', async () => {
+    assert.deepEqual(await verifyWatermarkSignature({ did: DID }, resolver), {
+      signatureValid: false,
+      signatureStatus: SIGNATURE_STATUS.NOT_EMBEDDED,
+      keyId: null,
+      revoked: false
+    });
+
+    const signed = signWatermarkPayload(payload, controller, `${DID}#keys-1`);
+    const unresolved = await verifyWatermarkSignature(signed, testResolver({}));
+    assert.equal(unresolved.signatureStatus, SIGNATURE_STATUS.UNRESOLVED);
+    assert.equal(unresolved.revoked, null);
+
+    const revoked = await verifyWatermarkSignature(signed, testResolver({ [DID]: controller }, [DID]));
+    assert.equal(revoked.signatureValid, true);
+    assert.equal(revoked.revoked, true);
+
+    assert.equal((await verifyWatermarkSignature(null, resolver)).signatureStatus, SIGNATURE_STATUS.NO_PAYLOAD);
+  });
+
+  it('needs a private key and a DID to sign', () => {
+    const publicOnly = new Ed25519KeyPair({ publicKey: controller.publicKey });
+
+    assert.throws(() => signWatermarkPayload(payload, publicOnly, `${DID}#keys-1`), /requires a private key/);
+    assert.throws(() => signWatermarkPayload({ timestamp: payload.timestamp }, controller, '#keys-1'), /Only watermark payloads with a did can be signed/);
+  });
+});
+
+describe('DecentralizedResourceIDSystem watermark signatures', () => {
+  const options = { key: 'studio', width: 128, height: 128, channels: 3 };
+  let system;
+  let registered;
+
+  before(async () => {
+    system = new DecentralizedResourceIDSystem({ registry: { dltType: 'local' } });
+    await system.initialize();
+    registered = await system.registerResource(testImage(128).data, 'image', { title: 'Still', creator: 'ann' }, {
+      watermarkOptions: options
+    });
+  });
+
+  it('registers the watermark key id and signs the mark with the controller key', async () => {
+    assert.deepEqual(registered.watermark, { embedded: true, key: 'studio', keyId: watermarkKeyId('studio') });
+    assert.deepEqual((await system.getResource(registered.did)).metadata.watermark, { keyId: watermarkKeyId('studio') });
+
+    const verified = await system.verifyResourceWatermark(registered.watermarkedResource, 'image', { did: registered.did }, options);
+    assert.equal(verified.verified, true);
+    assert.equal(verified.detectedMetadata.did, registered.did);
+    assert.equal(verified.signatureValid, true);
+    assert.equal(verified.keyId, `${registered.did}#keys-1`);
+    assert.equal(verified.revoked, false);
+  });
+
+  it('tells forged marks naming a registered DID from signed ones', async () => {
+    const { did } = registered;
+    const forged = signWatermarkPayload({ did, timestamp: new Date().toISOString() }, Ed25519KeyPair.generate(), `${did}#keys-1`);
+    const copies = [
+      await system.watermarkManager.embedWatermark(testImage(128).data, 'image', forged, options),
+      await system.watermarkManager.embedWatermark(testImage(128).data, 'image', { did }, options)
+    ];
+
+    const [invalid, unsigned] = await Promise.all(copies.map(copy =>
+      system.verifyResourceWatermark(copy, 'image', { did }, options)));
+    assert.equal(invalid.verified, true);
+    assert.equal(invalid.signatureStatus, SIGNATURE_STATUS.INVALID);
+    assert.equal(unsigned.signatureStatus, SIGNATURE_STATUS.NOT_EMBEDDED);
+
+    assert.deepEqual(await system.verifyResourceWatermark(registered.watermarkedResource, 'image', { did }, { ...options, key: 'other' }), {
+      verified: false,
+      message: 'No watermark detected'
+    });
+  });
+
+  it('reports resources too small to carry a mark instead of failing registration', async t => {
+    t.mock.method(console, 'error', () => {});
+    const { watermark, watermarked } = await system.registerResource('Too short.', 'text', { title: 'Note' }, {
+      watermarkOptions: { key: 'studio' }
+    });
+
+    assert.equal(watermarked, false);
+    assert.equal(watermark.embedded, false);
+    assert.match(watermark.reason, /Text too short for a watermark/);
+  });
+
+  it('marks with a random key when none is given, and returns the key to the caller only', async t => {
+    t.mock.method(console, 'error', () => {});
+    const rawOptions = { width: 160, height: 160, channels: 3 };
+    const { did, watermark, watermarkedResource } = await system.registerResource(testImage(160).data, 'image', { title: 'Draft', creator: 'ann' }, {
+      watermarkOptions: rawOptions
+    });
+
+    assert.match(watermark.key, /^[\w-]{43}$/);
+    assert.equal(watermark.keyId, watermarkKeyId(watermark.key));
+    const resource = await system.getResource(did);
+    assert.deepEqual(resource.metadata.watermark, { keyId: watermark.keyId });
+    assert.equal(JSON.stringify(resource).includes(watermark.key), false);
+
+    assert.equal(await system.watermarkManager.detectWatermark(watermarkedResource, 'image', rawOptions), null);
+    assert.equal((await system.watermarkManager.detectWatermark(watermarkedResource, 'image', { ...rawOptions, key: watermark.key })).did, did);
+  });
+});